@@ -1,5 +1,5 @@
 import { z } from 'zod';
-import BaseAgent from './BaseAgent.js';
+import BaseAgent, { timeframeSchema } from './BaseAgent.js';
 import { supabaseAdmin } from '../config/database.js';
 
 // Input/Output schemas for validation
@@ -121,6 +121,50 @@ const listingContentSchema = z.object({
 });
 
 export class ArtisanAssistantAgent extends BaseAgent {
+  static actions = {
+    ...BaseAgent.actions,
+    optimizeListing: {
+      description: 'Suggest improvements to the title, description, tags, pricing and images of a listing',
+      roles: ['artisan', 'admin'],
+      input: z.object({
+        productId: z.string().uuid(),
+        goals: optimizationGoalsSchema.default({ title: true, description: true, tags: true })
+      }),
+      cache: { ttl: 3600, tags: ({ productId }) => [`product:${productId}`] },
+      run: (agent, { productId, goals }) => agent.optimizeListing(productId, goals)
+    },
+    suggestPricing: {
+      description: 'Recommend a price range from product and market data',
+      roles: ['artisan', 'admin'],
+      input: pricingInputSchema,
+      // Compared against current catalog prices
+      cache: { ttl: 3600, tags: () => ['catalog'] },
+      run: (agent, { productData, marketContext }) => agent.suggestPricing(productData, marketContext)
+    },
+    getBusinessInsights: {
+      description: 'Summarise sales trends, customer feedback and growth opportunities',
+      roles: ['artisan', 'admin'],
+      input: z.object({
+        artisanId: z.string().uuid(),
+        timeframe: timeframeSchema
+      }),
+      // Orders and reviews are not tagged, so keep this short
+      cache: { ttl: 900, tags: ({ artisanId }) => [`artisan:${artisanId}`] },
+      run: async (agent, { artisanId, timeframe }, { userId }) =>
+        agent.getBusinessInsights(await agent.resolveArtisanScope(userId, artisanId), timeframe)
+    },
+    generateListingContent: {
+      description: 'Write listing copy, tags and SEO metadata with cultural context',
+      roles: ['artisan', 'admin'],
+      input: z.object({
+        productDetails: z.record(z.any()),
+        culturalContext: z.record(z.any()).optional()
+      }),
+      cache: { ttl: 86400 },
+      run: (agent, { productDetails, culturalContext }) => agent.generateListingContent(productDetails, culturalContext)
+    }
+  };
+
   constructor() {
     super('market-analyzer');
   }
@@ -1,7 +1,16 @@
-import { geminiClient, agentConfigs } from '../config/ai.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { z } from 'zod';
+import { v4 as uuidv4 } from 'uuid';
+import { agentConfigs, toolLoopConfig, conversationConfig, cacheConfig } from '../config/ai.js';
+import { getProvider } from '../services/llm/index.js';
 import { supabaseAdmin } from '../config/database.js';
+import conversationStore from '../services/conversationStore.js';
+import aiUsageTracker from '../services/aiUsage.js';
+import { getCache } from '../services/cache/index.js';
+import { cacheKey } from '../utils/cacheKey.js';
+import { toJsonSchema } from '../utils/jsonSchema.js';
+import { estimateTokens } from '../utils/tokens.js';
 import winston from 'winston';
-import NodeCache from 'node-cache';
 
 // Configure logger
 const logger = winston.createLogger({
@@ -13,68 +22,137 @@ const logger = winston.createLogger({
   ]
 });
 
-// Initialize cache for AI responses
-const cache = new NodeCache({ stdTTL: 600 }); // 10 minutes cache
+// Date range accepted by analysis actions
+export const timeframeSchema = z.object({
+  start: z.string().datetime(),
+  end: z.string().datetime()
+});
+
+// User and cache settings of the action being run, so every model call it
+// makes is accounted and cached for it without threading them through each
+// agent method
+const actionContext = new AsyncLocalStorage();
 
 export class BaseAgent {
+  /**
+   * Named actions callable through AgentManager tasks and
+   * POST /api/agents/:agentType/actions/:action.
+   *
+   * Each action is `{ description, input, roles, cache, run }` where `input`
+   * is a zod schema for the request body, `roles` optionally limits who may
+   * call it and `run(agent, input, { userId })` maps the validated input onto
+   * an agent method. `cache` is `{ ttl, tags(input) }` for the responses the
+   * action caches (TTL in seconds, tags invalidated when the data they name
+   * changes), or false when its answers must always be fresh.
+   * Subclasses extend this map with their domain methods.
+   */
+  static actions = {
+    query: {
+      description: 'Answer a free-form question',
+      input: z.object({
+        query: z.string().min(1, 'Query is required'),
+        context: z.record(z.any()).optional(),
+        // Continue a stored conversation; the turn is appended to it
+        conversationId: z.string().uuid().optional()
+      }),
+      run: (agent, { query, context, conversationId }, { userId }) =>
+        agent.processQuery(query, userId, context, { conversationId })
+    }
+  };
+
+  /**
+   * Tools the model may call while answering, see ./tools.js.
+   * Agents without tools answer from the prompt alone.
+   */
+  static tools = {};
+
+  /**
+   * Provider tool definitions with JSON schemas for the agent's tools
+   */
+  static describeTools() {
+    return Object.entries(this.tools).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      parameters: toJsonSchema(tool.input)
+    }));
+  }
+
+  /**
+   * Look up an action by name
+   */
+  static getAction(name) {
+    return Object.hasOwn(this.actions, name) ? this.actions[name] : null;
+  }
+
+  /**
+   * Whether a user with the given role may run an action
+   */
+  static canRunAction(name, role) {
+    const action = this.getAction(name);
+    return Boolean(action) && (!action.roles || action.roles.includes(role));
+  }
+
+  /**
+   * Validate an action's input. Throws a ZodError for invalid input.
+   */
+  static parseActionInput(name, input) {
+    const action = this.getAction(name);
+    if (!action) {
+      throw new Error(`Unknown action ${name} for ${this.name}`);
+    }
+    return action.input.parse(input ?? {});
+  }
+
+  /**
+   * Describe every action with its JSON input schema
+   */
+  static describeActions() {
+    return Object.entries(this.actions).map(([name, action]) => ({
+      name,
+      description: action.description,
+      roles: action.roles || null,
+      inputSchema: toJsonSchema(action.input)
+    }));
+  }
+
   constructor(agentType) {
     this.agentType = agentType;
     this.config = agentConfigs[agentType];
-    this.geminiClient = geminiClient;
+    this.provider = getProvider(this.config.provider);
     this.supabase = supabaseAdmin;
-    this.cache = cache;
+    this.conversations = conversationStore;
+    this.usage = aiUsageTracker;
+    this.cache = getCache();
     this.logger = logger;
   }
 
   /**
-   * Generate AI response using OpenAI
+   * Generate AI response using the agent's LLM provider
    */
   async generateResponse(messages, options = {}) {
     try {
-      const modelName = options.model || process.env.AI_MODEL || 'gemini-2.0-flash-001';
-      const temp = options.temperature ?? this.config.temperature;
-      const maxOut = options.maxTokens ?? this.config.maxTokens;
-      const cacheKey = `${this.agentType}:${modelName}:${temp}:${maxOut}:${JSON.stringify(messages)}`;
-      const cached = this.cache.get(cacheKey);
+      const modelName = options.model || this.provider.defaultModel;
+      const key = this.responseCacheKey(messages, options);
+      const cached = await this.readCache(key, options);
 
-      if (cached && !options.skipCache) {
+      if (cached) {
         this.logger.info(`Cache hit for ${this.agentType}`);
         return Object.assign(cached, { __cached: true });
       }
 
-      const model = this.geminiClient.getGenerativeModel({ 
-        model: options.model || process.env.AI_MODEL || 'gemini-2.0-flash-001',
-      });
-
-      const genCfg = {
-        temperature: options.temperature ?? this.config.temperature,
-        maxOutputTokens: options.maxTokens ?? this.config.maxTokens,
-      };
-      if (options.topP != null) genCfg.topP = options.topP;
-      if (options.topK != null) genCfg.topK = options.topK;
-      if (options.stopSequences) genCfg.stopSequences = options.stopSequences;
-      if (options.candidateCount) genCfg.candidateCount = options.candidateCount;
-
-      const prompt = {
-        contents: [
-          { role: 'user', parts: [{ text: this.config.systemPrompt }] },
-          ...messages.map(msg => ({
-            role: msg.role === 'assistant' ? 'model' : 'user',
-            parts: [{ text: msg.content }]
-          }))
-        ],
-        generationConfig: genCfg
-      };
-
-      const result = await model.generateContent(prompt);
-      const text = result?.response?.text?.();
-      if (!text) throw new Error('Gemini returned no content');
+      const { text, accounting } = await this.callModel({
+        model: modelName,
+        systemPrompt: this.config.systemPrompt,
+        messages,
+        generationConfig: this.buildGenerationConfig(options)
+      }, options);
+      if (!text) throw new Error(`${this.provider.displayName} returned no content`);
       
       // Cache the response
-      this.cache.set(cacheKey, text);
+      await this.writeCache(key, text, options);
       
       // Log the interaction
-      await this.logInteraction(messages, text);
+      await this.logInteraction(messages, text, accounting);
       
       return text;
     } catch (error) {
@@ -84,51 +162,342 @@ export class BaseAgent {
   }
 
   /**
-   * Generate structured response using function calling
+   * Stream an AI response chunk by chunk. Yields text deltas; the full
+   * answer is cached and logged once the stream completes.
+   */
+  async *streamResponse(messages, options = {}) {
+    try {
+      const modelName = options.model || this.provider.defaultModel;
+      const key = this.responseCacheKey(messages, options);
+      const cached = await this.readCache(key, options);
+
+      if (cached) {
+        this.logger.info(`Cache hit for ${this.agentType}`);
+        yield String(cached);
+        return;
+      }
+
+      const request = {
+        model: modelName,
+        systemPrompt: this.config.systemPrompt,
+        messages,
+        generationConfig: this.buildGenerationConfig(options)
+      };
+      const userId = this.resolveUserId(options);
+      const { artisanId } = await this.usage.assertWithinQuota(userId);
+      const startTime = Date.now();
+
+      let text = '';
+      let usage = null;
+      for await (const chunk of this.provider.stream(request)) {
+        if (chunk.text) {
+          text += chunk.text;
+          yield chunk.text;
+        }
+        if (chunk.usage) usage = chunk.usage;
+      }
+      if (!text) throw new Error(`${this.provider.displayName} returned no content`);
+
+      const accounting = this.recordUsage(request, { text, usage }, { userId, artisanId, startTime });
+      await this.writeCache(key, text, options);
+      await this.logInteraction(messages, text, accounting);
+    } catch (error) {
+      this.logger.error(`Error streaming response in ${this.agentType} agent:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cache key for plain text responses
+   */
+  responseCacheKey(messages, options = {}) {
+    return cacheKey(this.agentType, 'text', this.cacheKeyParts(messages, options));
+  }
+
+  /**
+   * What a cached response depends on: provider, model, generation settings
+   * and the prompt
+   */
+  cacheKeyParts(messages, options = {}) {
+    return {
+      provider: this.provider.name,
+      model: options.model || this.provider.defaultModel,
+      temperature: options.temperature ?? this.config.temperature,
+      maxTokens: options.maxTokens ?? this.config.maxTokens,
+      messages
+    };
+  }
+
+  /**
+   * TTL and tags for caching a response: those of the running action plus
+   * options.cacheTags, or null when it must not be cached (options.cache
+   * false or an action declared with `cache: false`). Every entry is tagged
+   * `agent:<type>` so clearCache() can drop the agent's responses.
+   */
+  cachePolicy(options = {}) {
+    const actionCache = actionContext.getStore()?.cache;
+    if (options.cache === false || actionCache === false) return null;
+    return {
+      ttl: actionCache?.ttl ?? cacheConfig.defaultTtlSeconds,
+      tags: [`agent:${this.agentType}`, ...(actionCache?.tags || []), ...(options.cacheTags || [])]
+    };
+  }
+
+  /**
+   * Cached response for a key, unless caching is off or options.skipCache
+   * asks for a fresh answer
+   */
+  async readCache(key, options = {}) {
+    if (options.skipCache || !this.cachePolicy(options)) return undefined;
+    return this.cache.get(key);
+  }
+
+  /**
+   * Cache a response under the current policy
+   */
+  async writeCache(key, value, options = {}) {
+    const policy = this.cachePolicy(options);
+    if (policy) await this.cache.set(key, value, policy);
+  }
+
+  /**
+   * The user a model call is made for: options.userId, else the user of the
+   * action being run
+   */
+  resolveUserId(options = {}) {
+    return options.userId ?? actionContext.getStore()?.userId ?? null;
+  }
+
+  /**
+   * Make one model call after checking the caller's monthly quota, and
+   * account for its tokens, latency and cost. Resolves to the provider
+   * response plus `accounting`, the usage details for logInteraction.
+   */
+  async callModel(request, options = {}) {
+    const userId = this.resolveUserId(options);
+    const { artisanId } = await this.usage.assertWithinQuota(userId);
+    const startTime = Date.now();
+
+    let response;
+    try {
+      response = await this.provider.generate(request);
+    } catch (error) {
+      this.usage.record({
+        agentType: this.agentType,
+        model: request.model,
+        usage: this.usage.normalizeUsage({}),
+        durationMs: Date.now() - startTime,
+        error
+      });
+      throw error;
+    }
+
+    return {
+      ...response,
+      accounting: this.recordUsage(request, response, { userId, artisanId, startTime })
+    };
+  }
+
+  /**
+   * Record the usage of a finished model call and build its accounting details
+   */
+  recordUsage(request, { text, usage, model }, { userId, artisanId, startTime }) {
+    const durationMs = Date.now() - startTime;
+    const modelName = model || request.model;
+    const recorded = this.usage.record({
+      agentType: this.agentType,
+      model: modelName,
+      userId,
+      usage: this.usage.normalizeUsage(usage, request, text),
+      durationMs
+    });
+
+    return {
+      userId,
+      artisanId,
+      model: modelName,
+      durationMs,
+      ...recorded
+    };
+  }
+
+  /**
+   * Let the model call the agent's tools until it answers in text.
+   *
+   * The loop is bounded: after options.maxToolIterations model turns with
+   * tool calls (default toolLoopConfig.maxIterations) the model gets one last
+   * turn with tools disabled. Every model turn and tool call is recorded in
+   * ai_interactions under a shared session ID.
+   *
+   * Answers are cached tagged with the data the tools returned, so that a
+   * product or artisan edit invalidates them. Answers that used a tool
+   * without cache tags (e.g. order status) or a failed tool call are not
+   * cached. `cacheTags` in the result is null for those.
+   * @param {Array} messages - Prompt messages
+   * @param {Object} options - { userId, maxToolIterations, model, temperature, maxTokens }
+   * @returns {Promise<{text: string, toolResults: Array, iterations: number, sessionId: string, cacheTags: Array|null}>}
+   */
+  async generateWithTools(messages, options = {}) {
+    const tools = this.constructor.describeTools();
+    const maxIterations = options.maxToolIterations ?? toolLoopConfig.maxIterations;
+    const key = cacheKey(this.agentType, 'tools', {
+      ...this.cacheKeyParts(messages, options),
+      tools: tools.map(tool => tool.name),
+      maxIterations
+    });
+    const cached = await this.readCache(key, options);
+
+    if (cached) {
+      this.logger.info(`Cache hit for tool answer in ${this.agentType}`);
+      return Object.assign(cached, { __cached: true });
+    }
+
+    const sessionId = uuidv4();
+    const transcript = [...messages];
+    const toolResults = [];
+    let cacheTags = [];
+    let pending = messages;
+
+    try {
+      for (let iteration = 0; iteration <= maxIterations; iteration++) {
+        const toolChoice = iteration < maxIterations ? 'auto' : 'none';
+        const { text, toolCalls = [], accounting } = await this.callModel({
+          model: options.model || this.provider.defaultModel,
+          systemPrompt: this.config.systemPrompt,
+          messages: transcript,
+          generationConfig: this.buildGenerationConfig(options),
+          tools,
+          toolChoice
+        }, options);
+
+        await this.logInteraction(pending, { text, toolCalls }, {
+          ...accounting,
+          sessionId,
+          iteration
+        });
+
+        if (toolCalls.length === 0 || toolChoice === 'none') {
+          if (!text) throw new Error(`${this.provider.displayName} returned no content`);
+          const answer = { text, toolResults, iterations: iteration + 1, sessionId, cacheTags };
+          if (cacheTags) await this.writeCache(key, answer, { ...options, cacheTags });
+          return answer;
+        }
+
+        transcript.push({ role: 'assistant', content: text || '', toolCalls });
+        pending = [];
+        for (const call of toolCalls) {
+          const result = await this.runTool(call, { userId: this.resolveUserId(options), sessionId, iteration });
+          const message = { role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) };
+          transcript.push(message);
+          pending.push(message);
+          toolResults.push({ name: call.name, arguments: call.arguments, result });
+
+          const tags = this.toolCacheTags(call, result);
+          cacheTags = cacheTags && tags ? [...cacheTags, ...tags] : null;
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Error in tool loop for ${this.agentType}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cache tags for the data a tool call returned, or null when an answer
+   * built from it must not be cached
+   */
+  toolCacheTags(call, result) {
+    const tool = Object.hasOwn(this.constructor.tools, call.name) ? this.constructor.tools[call.name] : null;
+    if (!tool?.cacheTags || result?.error) return null;
+    return tool.cacheTags(result);
+  }
+
+  /**
+   * Validate and run one tool call. Failures are returned to the model as
+   * `{ error }` so it can correct itself instead of aborting the answer.
+   */
+  async runTool(call, { userId = null, sessionId = null, iteration = null } = {}) {
+    const startTime = Date.now();
+    const tool = Object.hasOwn(this.constructor.tools, call.name) ? this.constructor.tools[call.name] : null;
+
+    let result;
+    try {
+      if (!tool) throw new Error(`Unknown tool ${call.name}`);
+      const parsed = tool.input.safeParse(call.arguments ?? {});
+      result = parsed.success
+        ? await tool.run(this, parsed.data, { userId })
+        : { error: `Invalid arguments: ${parsed.error.issues.map(issue => `${issue.path.join('.')} ${issue.message}`).join('; ')}` };
+    } catch (error) {
+      this.logger.error(`Tool ${call.name} failed in ${this.agentType}:`, error);
+      result = { error: error.message };
+    }
+
+    await this.logInteraction(call.arguments, result, {
+      userId,
+      sessionId,
+      iteration,
+      type: 'tool_call',
+      toolName: call.name,
+      durationMs: Date.now() - startTime
+    });
+    return result;
+  }
+
+  /**
+   * Generate structured response using function calling.
+   * With options.useTools the agent first gathers data with its tools and
+   * the structured answer is built from the tool results.
    */
   async generateStructuredResponse(messages, functions, options = {}) {
     try {
-      const modelName = options.model || process.env.AI_MODEL || 'gemini-2.0-flash-001';
+      if (options.useTools) {
+        const { text, toolResults, cacheTags } = await this.generateWithTools(messages, options);
+        messages = [
+          ...messages,
+          { role: 'assistant', content: text },
+          {
+            role: 'user',
+            content: JSON.stringify({
+              toolResults,
+              instruction: 'Give your final answer in the requested format, using only data from these tool results.'
+            })
+          }
+        ];
+        // The answer is only as fresh as the tool results it is built from
+        options = cacheTags ? { ...options, cacheTags } : { ...options, cache: false };
+      }
+
+      const modelName = options.model || this.provider.defaultModel;
       const temp = options.temperature ?? this.config.temperature;
       const maxOut = options.maxTokens ?? this.config.maxTokens;
       const fnName = options.functionCall?.name || functions[0]?.name;
-      const cacheKey = `${this.agentType}:${modelName}:${temp}:${maxOut}:${fnName}:${JSON.stringify(messages)}`;
-      const cached = this.cache.get(cacheKey);
+      const key = cacheKey(this.agentType, 'structured', {
+        ...this.cacheKeyParts(messages, options),
+        functionName: fnName
+      });
+      const cached = await this.readCache(key, options);
 
-      if (cached && !options.skipCache) {
+      if (cached) {
         this.logger.info(`Cache hit for structured response in ${this.agentType}`);
         return Object.assign(cached, { __cached: true });
       }
 
-      const model = this.geminiClient.getGenerativeModel({
-        model: modelName,
-        systemInstruction: { role: 'system', parts: [{ text: this.config.systemPrompt }] }
-      });
-
       const selectedFn = options.functionCall?.name
         ? functions.find(f => f.name === options.functionCall.name)
         : functions[0];
       if (!selectedFn) throw new Error('Selected function not found');
 
-      const contents = [
-        { role: 'user', parts: [{ text: this.config.systemPrompt }] },
-        ...messages.map(m => ({ 
-          role: m.role === 'assistant' ? 'model' : 'user', 
-          parts: [{ text: m.content }] 
-        }))
-      ];
-
-      const result = await model.generateContent({
-        contents,
+      const { text, accounting } = await this.callModel({
+        model: modelName,
+        systemPrompt: this.config.systemPrompt,
+        messages,
         generationConfig: {
-          temperature: options.temperature ?? this.config.temperature,
-          maxOutputTokens: options.maxTokens ?? this.config.maxTokens,
-          responseMimeType: 'application/json',
-          responseSchema: selectedFn.parameters,
+          temperature: temp,
+          maxTokens: maxOut
         },
-      });
-
-      const text = result?.response?.text?.();
+        responseSchema: toJsonSchema(selectedFn.parameters),
+        schemaName: selectedFn.name
+      }, options);
       if (!text) throw new Error('No JSON response from model');
       
       let parsed;
@@ -139,8 +508,8 @@ export class BaseAgent {
         throw new Error('Invalid JSON from model');
       }
 
-      this.cache.set(cacheKey, parsed);
-      await this.logInteraction(messages, parsed);
+      await this.writeCache(key, parsed, options);
+      await this.logInteraction(messages, parsed, accounting);
       return parsed;
     } catch (error) {
       this.logger.error(`Error in structured response for ${this.agentType}:`, error);
@@ -148,17 +517,50 @@ export class BaseAgent {
     }
   }
 
+  /**
+   * Build provider generation options from call options and agent defaults
+   */
+  buildGenerationConfig(options = {}) {
+    const genCfg = {
+      temperature: options.temperature ?? this.config.temperature,
+      maxTokens: options.maxTokens ?? this.config.maxTokens
+    };
+    if (options.topP != null) genCfg.topP = options.topP;
+    if (options.topK != null) genCfg.topK = options.topK;
+    if (options.stopSequences) genCfg.stopSequences = options.stopSequences;
+    if (options.candidateCount) genCfg.candidateCount = options.candidateCount;
+    return genCfg;
+  }
+
   /**
    * Log AI interactions to database
+   * @param {*} input - Messages sent to the model, or tool arguments
+   * @param {*} output - Model answer, or tool result
+   * @param {Object} details - { userId, artisanId, sessionId, iteration, type: 'completion' | 'tool_call',
+   *   toolName, durationMs, model, usage, costUsd }
    */
-  async logInteraction(input, output) {
+  async logInteraction(input, output, details = {}) {
     try {
       const { error } = await this.supabase
         .from('ai_interactions')
         .insert({
           agent_type: this.agentType,
-          input: JSON.stringify(input),
-          output: JSON.stringify(output),
+          user_id: details.userId || null,
+          artisan_id: details.artisanId || null,
+          session_id: details.sessionId || null,
+          interaction_type: details.type || 'completion',
+          tool_name: details.toolName || null,
+          iteration: details.iteration ?? null,
+          input,
+          output,
+          duration_ms: details.durationMs ?? null,
+          model: details.model || null,
+          prompt_tokens: details.usage?.promptTokens ?? 0,
+          completion_tokens: details.usage?.completionTokens ?? 0,
+          cached_tokens: details.usage?.cachedTokens ?? 0,
+          total_tokens: details.usage?.totalTokens ?? 0,
+          usage_estimated: details.usage?.estimated ?? false,
+          cost_usd: details.costUsd ?? 0,
           timestamp: new Date().toISOString()
         });
 
@@ -197,39 +599,132 @@ export class BaseAgent {
     }
   }
 
+  /**
+   * Build the prompt messages for a user query with context enrichment
+   */
+  async buildQueryMessages(query, userId = null, additionalContext = {}, history = null) {
+    // Fetch user context if userId is provided
+    let userContext = {};
+    if (userId) {
+      const { data: userData } = await this.supabase
+        .from('user_profiles')
+        .select('*')
+        .eq('id', userId)
+        .single();
+      
+      if (userData) {
+        userContext = userData;
+      }
+    }
+
+    return [
+      ...(history?.messages || []),
+      {
+        role: 'user',
+        content: JSON.stringify({
+          query: query,
+          userContext: userContext,
+          additionalContext: additionalContext,
+          ...(history?.summary && { conversationSummary: history.summary })
+        })
+      }
+    ];
+  }
+
+  /**
+   * Load a stored conversation as prompt history.
+   *
+   * The newest turns that fit conversationConfig.historyTokenBudget are
+   * returned verbatim; older turns are folded into the conversation's rolling
+   * summary, which is saved so they are only summarized once.
+   * @returns {Promise<{summary: string|null, messages: Array}>}
+   */
+  async buildConversationHistory(conversationId, userId) {
+    const conversation = await this.conversations.get(conversationId, userId);
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    const messages = await this.conversations.getMessages(conversation.id, {
+      afterSeq: conversation.summarizedThroughSeq
+    });
+
+    let budget = conversationConfig.historyTokenBudget - estimateTokens(conversation.summary);
+    let split = messages.length;
+    while (split > 0) {
+      const tokens = messages[split - 1].tokenCount || estimateTokens(messages[split - 1].content);
+      if (tokens > budget) break;
+      budget -= tokens;
+      split--;
+    }
+    // Never open the kept history with a reply whose question was summarized
+    while (split < messages.length && messages[split].role === 'assistant') split++;
+
+    let summary = conversation.summary;
+    if (split > 0) {
+      const older = messages.slice(0, split);
+      summary = await this.summarizeConversation(summary, older, userId);
+      await this.conversations.updateSummary(conversation.id, summary, older.at(-1).seq);
+    }
+
+    return {
+      summary,
+      messages: messages.slice(split).map(({ role, content }) => ({ role, content }))
+    };
+  }
+
+  /**
+   * Fold older conversation turns into the running summary
+   */
+  async summarizeConversation(previousSummary, messages, userId = null) {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Customer' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+
+    return this.generateResponse([
+      {
+        role: 'user',
+        content: `Update the summary of this conversation with the new turns. Keep the customer's needs, budget, preferences, products discussed and open questions. Reply with the summary only.
+
+        Current summary: ${previousSummary || 'None'}
+
+        New turns:
+        ${transcript}`
+      }
+    ], {
+      temperature: 0.2,
+      maxTokens: conversationConfig.summaryMaxTokens,
+      skipCache: true,
+      userId
+    });
+  }
+
+  /**
+   * Append a question and its answer to a stored conversation
+   */
+  async rememberTurn(conversationId, query, response) {
+    await this.conversations.addMessages(conversationId, [
+      { role: 'user', content: query },
+      { role: 'assistant', content: response, agentType: this.agentType }
+    ]);
+  }
+
   /**
    * Process user query with context enrichment
    */
-  async processQuery(query, userId = null, additionalContext = {}) {
+  async processQuery(query, userId = null, additionalContext = {}, { conversationId } = {}) {
     try {
-      // Fetch user context if userId is provided
-      let userContext = {};
-      if (userId) {
-        const { data: userData } = await this.supabase
-          .from('user_profiles')
-          .select('*')
-          .eq('id', userId)
-          .single();
-        
-        if (userData) {
-          userContext = userData;
-        }
-      }
+      const history = conversationId ? await this.buildConversationHistory(conversationId, userId) : null;
+      const messages = await this.buildQueryMessages(query, userId, additionalContext, history);
 
-      // Build messages with context
-      const messages = [
-        {
-          role: 'user',
-          content: JSON.stringify({
-            query: query,
-            userContext: userContext,
-            additionalContext: additionalContext
-          })
-        }
-      ];
+      // Agents with tools look up live data themselves
+      const response = Object.keys(this.constructor.tools).length > 0
+        ? (await this.generateWithTools(messages, { userId })).text
+        : await this.generateResponse(messages, { userId });
 
-      // Generate response
-      const response = await this.generateResponse(messages);
+      if (conversationId) {
+        await this.rememberTurn(conversationId, query, response);
+      }
       
       return {
         success: true,
@@ -253,17 +748,69 @@ export class BaseAgent {
     }
   }
 
+  /**
+   * Stream the answer to a user query. Yields text deltas.
+   */
+  async *streamQuery(query, userId = null, additionalContext = {}, { conversationId } = {}) {
+    const history = conversationId ? await this.buildConversationHistory(conversationId, userId) : null;
+    const messages = await this.buildQueryMessages(query, userId, additionalContext, history);
+
+    let response = '';
+    for await (const text of this.streamResponse(messages, { userId })) {
+      response += text;
+      yield text;
+    }
+
+    if (conversationId) {
+      await this.rememberTurn(conversationId, query, response);
+    }
+  }
+
+  /**
+   * The artisan an analysis of shop data runs for. Admins, and tasks run
+   * without a user, may name any artisan or none; everyone else only gets
+   * their own shop. Throws when they name another shop or have none.
+   */
+  async resolveArtisanScope(userId, artisanId = null) {
+    if (!userId) return artisanId;
+
+    const { data: profile, error } = await this.supabase
+      .from('user_profiles')
+      .select('role, artisan:artisan_profiles(id)')
+      .eq('id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (profile?.role === 'admin') return artisanId;
+
+    const ownArtisanId = [].concat(profile?.artisan ?? [])[0]?.id;
+    if (!ownArtisanId || (artisanId && artisanId !== ownArtisanId)) {
+      throw new Error('Artisan not found');
+    }
+    return ownArtisanId;
+  }
+
+  /**
+   * Validate the input of a named action and run it
+   */
+  async runAction(name, input, context = {}) {
+    const action = this.constructor.getAction(name);
+    if (!action) {
+      throw new Error(`Unknown action ${name} for ${this.agentType}`);
+    }
+    const parsed = action.input.parse(input ?? {});
+    const cache = action.cache === false ? false : {
+      ttl: action.cache?.ttl,
+      tags: action.cache?.tags?.(parsed) || []
+    };
+    return actionContext.run({ userId: context.userId ?? null, cache }, () => action.run(this, parsed, context));
+  }
+
   /**
    * Clear cache for this agent
    */
-  clearCache() {
-    const keys = this.cache.keys();
-    keys.forEach(key => {
-      if (key.startsWith(this.agentType)) {
-        this.cache.del(key);
-      }
-    });
-    this.logger.info(`Cache cleared for ${this.agentType}`);
+  async clearCache() {
+    const removed = await this.cache.invalidateTags([`agent:${this.agentType}`]);
+    this.logger.info(`Cache cleared for ${this.agentType}`, { removed });
   }
 }
 
@@ -140,6 +140,48 @@ const seoOptimizationSchema = z.object({
 });
 
 export class ContentGenerationAgent extends BaseAgent {
+  static actions = {
+    ...BaseAgent.actions,
+    generateProductDescription: {
+      description: 'Write a product description that highlights craftsmanship and heritage',
+      roles: ['artisan', 'admin'],
+      input: z.object({
+        productDetails: z.record(z.any()),
+        targetAudience: z.record(z.any()).optional()
+      }),
+      run: (agent, { productDetails, targetAudience }) => agent.generateProductDescription(productDetails, targetAudience)
+    },
+    createArtisanStory: {
+      description: 'Write an artisan biography',
+      roles: ['artisan', 'admin'],
+      input: z.object({
+        artisanProfile: z.record(z.any()),
+        achievements: z.array(z.any()).optional()
+      }),
+      run: (agent, { artisanProfile, achievements }) => agent.createArtisanStory(artisanProfile, achievements)
+    },
+    generateMarketingContent: {
+      description: 'Write campaign content for social, email and ad channels',
+      roles: ['artisan', 'admin'],
+      input: z.object({
+        campaign: z.record(z.any()),
+        products: z.array(z.record(z.any())).default([]),
+        audience: z.record(z.any()).optional()
+      }),
+      run: (agent, { campaign, products, audience }) => agent.generateMarketingContent(campaign, products, audience)
+    },
+    optimizeForSEO: {
+      description: 'Rewrite content for search engines without losing readability',
+      roles: ['artisan', 'admin'],
+      input: z.object({
+        content: z.string().min(1),
+        keywords: z.array(z.string()).default([]),
+        platform: z.string().optional()
+      }),
+      run: (agent, { content, keywords, platform }) => agent.optimizeForSEO(content, keywords, platform)
+    }
+  };
+
   constructor() {
     super('customer-insights');
   }
@@ -1,6 +1,88 @@
-import BaseAgent from './BaseAgent.js';
+import { z } from 'zod';
+import BaseAgent, { timeframeSchema } from './BaseAgent.js';
+import { getOrderStatus, getProduct, checkStock, searchProducts } from './tools.js';
+
+// Reviews to analyse: passed in directly, or loaded for a product or artisan
+const feedbackInputSchema = z.object({
+  productId: z.string().uuid().optional(),
+  artisanId: z.string().uuid().optional(),
+  reviews: z.array(z.object({
+    rating: z.number().min(1).max(5),
+    review_text: z.string().nullable().optional()
+  })).optional()
+});
+
+const feedbackAnalysisSchema = z.object({
+  summary: z.string(),
+  sentiment: z.object({
+    positive: z.number(),
+    neutral: z.number(),
+    negative: z.number()
+  }),
+  themes: z.array(z.object({
+    theme: z.string(),
+    sentiment: z.enum(['positive', 'neutral', 'negative']),
+    mentions: z.number(),
+    examples: z.array(z.string())
+  })),
+  actionItems: z.array(z.string())
+});
 
 export class CustomerSupportAgent extends BaseAgent {
+  static tools = {
+    getOrderStatus,
+    getProduct,
+    checkStock,
+    searchProducts
+  };
+
+  static actions = {
+    ...BaseAgent.actions,
+    handleSupportQuery: {
+      description: 'Answer a support question using the customer\'s recent orders',
+      input: z.object({
+        query: z.string().min(1),
+        conversationHistory: z.array(z.object({
+          sender: z.string(),
+          text: z.string()
+        })).default([])
+      }),
+      cache: false,
+      run: (agent, { query, conversationHistory }, { userId }) =>
+        agent.handleSupportQuery(query, userId, conversationHistory)
+    },
+    categorizeQuery: {
+      description: 'Classify a support question and its sentiment',
+      input: z.object({
+        query: z.string().min(1)
+      }),
+      cache: { ttl: 86400 },
+      run: (agent, { query }) => agent.categorizeQuery(query)
+    },
+    getFAQResponse: {
+      description: 'Answer a question from the FAQ',
+      input: z.object({
+        question: z.string().min(1)
+      }),
+      cache: { ttl: 86400 },
+      run: (agent, { question }) => agent.getFAQResponse(question)
+    },
+    analyzeFeedback: {
+      description: 'Summarise review sentiment and recurring themes',
+      roles: ['artisan', 'admin'],
+      input: feedbackInputSchema.extend({
+        timeframe: timeframeSchema.optional()
+      }),
+      cache: { ttl: 900 },
+      // Stored reviews are only read from the caller's own shop unless they
+      // are an admin
+      run: async (agent, { timeframe, ...feedback }, { userId }) => {
+        const artisanId = await agent.resolveArtisanScope(userId, feedback.artisanId);
+        return agent.analyzeFeedback({ ...feedback, artisanId: artisanId ?? undefined }, timeframe);
+      }
+    }
+  };
+
   constructor() {
     super('customer-support');
   }
@@ -10,34 +92,6 @@ export class CustomerSupportAgent extends BaseAgent {
    */
   async handleSupportQuery(query, userId, conversationHistory = []) {
     try {
-      // Fetch user order history if userId is provided
-      let userOrders = [];
-      if (userId) {
-        const { data } = await this.supabase
-          .from('orders')
-          .select('*')
-          .eq('user_id', userId)
-          .order('created_at', { ascending: false })
-          .limit(5);
-        
-        userOrders = data || [];
-      }
-
-      // Prepare context
-      const context = {
-        userOrders,
-        conversationHistory,
-        supportCategories: [
-          'Order Status',
-          'Shipping Information',
-          'Returns & Refunds',
-          'Product Information',
-          'Payment Issues',
-          'Account Management',
-          'Technical Support'
-        ]
-      };
-
       // Build messages
       const messages = [
         ...conversationHistory.map(msg => ({
@@ -48,13 +102,13 @@ export class CustomerSupportAgent extends BaseAgent {
           role: 'user',
           content: `Customer Query: "${query}"
           
-          Recent Orders: ${JSON.stringify(userOrders)}
+          Look up the customer's orders and any products they mention with your tools rather than guessing.
           
           Please provide helpful customer support. If the issue requires human intervention, indicate that clearly.`
         }
       ];
 
-      const response = await this.generateResponse(messages);
+      const { text: response } = await this.generateWithTools(messages, { userId });
       
       // Check if escalation is needed
       const needsEscalation = await this.checkEscalation(query, response);
@@ -188,6 +242,79 @@ export class CustomerSupportAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Analyse customer reviews for sentiment, recurring themes and action items
+   * @param {Object} feedback - { reviews } or a { productId } / { artisanId } to load reviews for
+   * @param {Object} timeframe - Optional { start, end } ISO timestamps
+   */
+  async analyzeFeedback(feedback = {}, timeframe = null) {
+    try {
+      const input = feedbackInputSchema.parse(feedback);
+
+      let reviews = input.reviews;
+      if (!reviews) {
+        let query = this.supabase
+          .from('product_reviews')
+          .select('rating, review_text, created_at, products!inner(artisan_id)')
+          .order('created_at', { ascending: false })
+          .limit(200);
+
+        if (input.productId) query = query.eq('product_id', input.productId);
+        if (input.artisanId) query = query.eq('products.artisan_id', input.artisanId);
+        if (timeframe) {
+          query = query.gte('created_at', timeframe.start).lte('created_at', timeframe.end);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+        reviews = (data || []).map(({ rating, review_text }) => ({ rating, review_text }));
+      }
+
+      const reviewCount = reviews.length;
+      const averageRating = reviewCount > 0
+        ? Math.round((reviews.reduce((sum, review) => sum + review.rating, 0) / reviewCount) * 10) / 10
+        : null;
+
+      if (reviewCount === 0) {
+        return {
+          reviewCount,
+          averageRating,
+          summary: 'No reviews in this period.',
+          sentiment: { positive: 0, neutral: 0, negative: 0 },
+          themes: [],
+          actionItems: []
+        };
+      }
+
+      // Define function for structured response
+      const functions = [{
+        name: 'analyzeFeedback',
+        description: 'Summarise review sentiment (as percentages), recurring themes and action items',
+        parameters: feedbackAnalysisSchema
+      }];
+
+      const messages = [
+        {
+          role: 'user',
+          content: JSON.stringify({
+            reviews,
+            instruction: 'Analyse these customer reviews. Report sentiment as percentages, group recurring themes and suggest concrete action items for the artisan.'
+          })
+        }
+      ];
+
+      const analysis = await this.generateStructuredResponse(messages, functions);
+      return {
+        reviewCount,
+        averageRating,
+        ...feedbackAnalysisSchema.parse(analysis)
+      };
+    } catch (error) {
+      this.logger.error('Error in analyzeFeedback:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate FAQ response
    */
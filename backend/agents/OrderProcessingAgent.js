@@ -1,5 +1,5 @@
 import { z } from 'zod';
-import BaseAgent from './BaseAgent.js';
+import BaseAgent, { timeframeSchema } from './BaseAgent.js';
 import { supabaseAdmin } from '../config/database.js';
 
 // Input/Output schemas for validation
@@ -47,24 +47,14 @@ const orderProcessingResponseSchema = z.object({
   }))
 });
 
-const shipmentTrackingSchema = z.object({
-  currentStatus: z.object({
-    location: z.string(),
-    status: z.string(),
-    timestamp: z.string(),
-    details: z.string()
-  }),
+// What the model adds to a shipment's stored tracking events; the status and
+// journey themselves come from the carrier
+const shipmentInsightSchema = z.object({
   predictions: z.object({
     estimatedDelivery: z.string(),
     confidence: z.number(),
     potentialDelays: z.array(z.string()).optional()
   }),
-  journey: z.array(z.object({
-    location: z.string(),
-    status: z.string(),
-    timestamp: z.string(),
-    nextDestination: z.string().optional()
-  })),
   notifications: z.array(z.object({
     trigger: z.string(),
     message: z.string(),
@@ -72,32 +62,15 @@ const shipmentTrackingSchema = z.object({
   }))
 });
 
-const returnRequestSchema = z.object({
-  orderId: z.string(),
-  reason: z.string(),
-  condition: z.string(),
-  items: z.array(z.object({
-    productId: z.string(),
-    quantity: z.number(),
-    reason: z.string()
-  }))
-});
-
-const returnProcessingSchema = z.object({
-  returnId: z.string(),
-  status: z.enum(['approved', 'pending', 'rejected']),
-  refundAmount: z.number(),
-  instructions: z.array(z.string()),
-  resolution: z.object({
-    type: z.enum(['full_refund', 'partial_refund', 'replacement', 'rejected']),
-    reason: z.string(),
-    nextSteps: z.array(z.string())
-  }),
-  inventoryUpdates: z.array(z.object({
-    productId: z.string(),
-    action: z.enum(['restock', 'damage_report', 'quality_check']),
-    quantity: z.number()
-  }))
+// Advisory triage of a stored return request. The artisan decides; this is
+// only saved alongside the request for them to consider.
+const returnTriageSchema = z.object({
+  recommendation: z.enum(['approve', 'reject', 'needs_more_info']),
+  resolution: z.enum(['full_refund', 'partial_refund', 'replacement', 'none']),
+  suggestedRefundAmount: z.number(),
+  confidence: z.number().min(0).max(1),
+  reasoning: z.string(),
+  flags: z.array(z.string())
 });
 
 const inventoryUpdateSchema = z.object({
@@ -130,13 +103,85 @@ const inventoryResponseSchema = z.object({
   }))
 });
 
+const performanceAnalysisSchema = z.object({
+  summary: z.string(),
+  kpis: z.array(z.object({
+    name: z.string(),
+    value: z.string(),
+    assessment: z.string()
+  })),
+  bottlenecks: z.array(z.string()),
+  recommendations: z.array(z.object({
+    area: z.string(),
+    recommendation: z.string(),
+    priority: z.enum(['low', 'medium', 'high'])
+  }))
+});
+
 export class OrderProcessingAgent extends BaseAgent {
+  static actions = {
+    ...BaseAgent.actions,
+    processOrder: {
+      description: 'Validate an order against inventory and plan next steps',
+      roles: ['admin'],
+      input: z.object({
+        orderData: orderDataSchema,
+        paymentInfo: paymentInfoSchema
+      }),
+      cache: false,
+      run: (agent, { orderData, paymentInfo }) => agent.processOrder(orderData, paymentInfo)
+    },
+    trackShipment: {
+      description: 'Report where a shipment is from its carrier tracking events and predict delivery',
+      input: z.object({
+        orderId: z.string().uuid(),
+        // The order's latest delivery when left out
+        trackingNumber: z.string().optional()
+      }),
+      cache: false,
+      run: (agent, { orderId, trackingNumber }, { userId }) => agent.trackShipment(orderId, trackingNumber, { userId })
+    },
+    handleReturn: {
+      description: 'Triage a return request and recommend a resolution to the artisan',
+      roles: ['artisan', 'admin'],
+      input: z.object({
+        returnRequestId: z.string().uuid()
+      }),
+      cache: false,
+      run: (agent, { returnRequestId }, { userId }) => agent.handleReturn(returnRequestId, { userId })
+    },
+    updateInventory: {
+      description: 'Apply stock changes and flag low stock',
+      roles: ['admin'],
+      input: inventoryUpdateSchema.extend({
+        reason: z.string().optional()
+      }),
+      cache: false,
+      run: (agent, { changes, reason }) => agent.updateInventory({ changes }, reason)
+    },
+    analyzePerformance: {
+      description: 'Compute order KPIs for a period and explain them',
+      roles: ['artisan', 'admin'],
+      input: z.object({
+        artisanId: z.string().uuid().optional(),
+        metrics: z.record(z.any()).optional(),
+        timeframe: timeframeSchema
+      }),
+      cache: { ttl: 900 },
+      // Artisans always get their own shop's figures, admins the platform's
+      // unless they name an artisan
+      run: async (agent, { artisanId, metrics, timeframe }, { userId }) =>
+        agent.analyzePerformance({ artisanId: await agent.resolveArtisanScope(userId, artisanId), metrics }, timeframe)
+    }
+  };
+
   constructor() {
     super('order-processor');
   }
 
   /**
-   * Process a new order with validation and inventory checks
+   * Process a new order with validation and inventory checks. The order
+   * itself is placed atomically by orderService.checkout; this only reviews it.
    */
   async processOrder(orderData, paymentInfo) {
     try {
@@ -144,41 +189,27 @@ export class OrderProcessingAgent extends BaseAgent {
       const order = orderDataSchema.parse(orderData);
       const payment = paymentInfoSchema.parse(paymentInfo);
 
-      // Begin transaction
-      const { data: { transactionId }, error: txError } = await this.supabase.rpc('begin_transaction');
-      if (txError) throw txError;
-
-      try {
-        // Define function for structured response
-        const functions = [{
-          name: 'processOrderRequest',
-          description: 'Process order and generate next steps',
-          parameters: orderProcessingResponseSchema
-        }];
-
-        // Check inventory and process order using AI
-        const messages = [
-          {
-            role: 'user',
-            content: JSON.stringify({
-              order,
-              payment,
-              instruction: 'Process the order, validate inventory, and determine next steps.'
-            })
-          }
-        ];
-
-        const result = await this.generateStructuredResponse(messages, functions);
-        const processedOrder = orderProcessingResponseSchema.parse(result);
-
-        // Commit transaction if successful
-        await this.supabase.rpc('commit_transaction', { transaction_id: transactionId });
-        return processedOrder;
-      } catch (error) {
-        // Rollback transaction on error
-        await this.supabase.rpc('rollback_transaction', { transaction_id: transactionId });
-        throw error;
-      }
+      // Define function for structured response
+      const functions = [{
+        name: 'processOrderRequest',
+        description: 'Process order and generate next steps',
+        parameters: orderProcessingResponseSchema
+      }];
+
+      // Check inventory and process order using AI
+      const messages = [
+        {
+          role: 'user',
+          content: JSON.stringify({
+            order,
+            payment,
+            instruction: 'Process the order, validate inventory, and determine next steps.'
+          })
+        }
+      ];
+
+      const result = await this.generateStructuredResponse(messages, functions);
+      return orderProcessingResponseSchema.parse(result);
     } catch (error) {
       this.logger.error('Error in processOrder:', error);
       throw error;
@@ -186,35 +217,77 @@ export class OrderProcessingAgent extends BaseAgent {
   }
 
   /**
-   * Track shipment status with AI-powered predictions
+   * Track a shipment of an order. Its status and journey are the tracking
+   * events the carrier reported (see shipmentService); the model only
+   * predicts delivery and suggests customer notifications from them.
+   *
+   * userId is the customer, artisan or admin asking.
    */
-  async trackShipment(orderId, trackingNumber) {
+  async trackShipment(orderId, trackingNumber, { userId = null } = {}) {
     try {
-      // Fetch shipping API data
-      const shippingData = await this.fetchShippingData(trackingNumber);
+      const shipment = await this.fetchShippingData(orderId, trackingNumber);
+      if (userId) {
+        await this.assertCanTrack(userId, shipment);
+      }
+
+      const journey = [...shipment.events]
+        .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at))
+        .map(event => ({
+          status: event.status,
+          location: event.location,
+          timestamp: event.occurred_at,
+          details: event.description
+        }));
+      const currentStatus = journey[journey.length - 1] || {
+        status: shipment.status,
+        location: null,
+        timestamp: shipment.created_at,
+        details: 'Label created, waiting for the carrier to pick up the parcel'
+      };
+
+      const tracking = {
+        orderId,
+        carrier: shipment.carrier,
+        trackingNumber: shipment.tracking_number,
+        direction: shipment.direction,
+        status: shipment.status,
+        labelUrl: shipment.label_url,
+        carrierEstimatedDelivery: shipment.estimated_delivery_at,
+        currentStatus,
+        journey
+      };
+
+      if (['delivered', 'returned', 'cancelled'].includes(shipment.status)) {
+        return {
+          ...tracking,
+          predictions: null,
+          notifications: []
+        };
+      }
 
       // Define function for structured response
       const functions = [{
         name: 'analyzeShipment',
-        description: 'Analyze shipment data and provide tracking insights',
-        parameters: shipmentTrackingSchema
+        description: 'Predict delivery of a shipment from its tracking events',
+        parameters: shipmentInsightSchema
       }];
 
-      // Generate tracking insights using AI
       const messages = [
         {
           role: 'user',
           content: JSON.stringify({
-            orderId,
-            trackingNumber,
-            shippingData,
-            instruction: 'Analyze shipping data and provide detailed tracking insights with predictions.'
+            shipment: tracking,
+            now: new Date().toISOString(),
+            instruction: 'Predict when this parcel will be delivered from its tracking events and the carrier estimate, note likely delays, and suggest notifications for the customer.'
           })
         }
       ];
 
-      const tracking = await this.generateStructuredResponse(messages, functions);
-      return shipmentTrackingSchema.parse(tracking);
+      const insight = shipmentInsightSchema.parse(await this.generateStructuredResponse(messages, functions));
+      return {
+        ...tracking,
+        ...insight
+      };
     } catch (error) {
       this.logger.error('Error in trackShipment:', error);
       throw error;
@@ -222,54 +295,126 @@ export class OrderProcessingAgent extends BaseAgent {
   }
 
   /**
-   * Handle return requests and process refunds
+   * Triage a stored return request: recommend approving or rejecting it and
+   * how much to refund, from its reason, evidence and the customer's return
+   * history. The recommendation is saved on the request; its status and any
+   * refund stay with the artisan (see returnService).
+   *
+   * userId is the artisan or admin asking, or null when queued on creation.
    */
-  async handleReturn(returnRequest, orderDetails) {
+  async handleReturn(returnRequestId, { userId = null } = {}) {
     try {
-      // Validate input
-      const request = returnRequestSchema.parse(returnRequest);
-
-      // Begin transaction
-      const { data: { transactionId }, error: txError } = await this.supabase.rpc('begin_transaction');
-      if (txError) throw txError;
-
-      try {
-        // Define function for structured response
-        const functions = [{
-          name: 'processReturn',
-          description: 'Process return request and determine resolution',
-          parameters: returnProcessingSchema
-        }];
-
-        // Process return using AI
-        const messages = [
-          {
-            role: 'user',
-            content: JSON.stringify({
-              request,
-              orderDetails,
-              instruction: 'Process the return request and determine appropriate resolution.'
-            })
-          }
-        ];
-
-        const result = await this.generateStructuredResponse(messages, functions);
-        const processedReturn = returnProcessingSchema.parse(result);
-
-        // Commit transaction if successful
-        await this.supabase.rpc('commit_transaction', { transaction_id: transactionId });
-        return processedReturn;
-      } catch (error) {
-        // Rollback transaction on error
-        await this.supabase.rpc('rollback_transaction', { transaction_id: transactionId });
-        throw error;
+      const { data: returnRequest, error } = await this.supabase
+        .from('return_requests')
+        .select(`
+          id, order_id, customer_id, artisan_id, status, reason, description, evidence_paths, created_at,
+          fulfilment:order_fulfilments(delivered_at),
+          items:return_request_items(quantity, refund_amount, order_item:order_items(product_title, quantity, unit_price))
+        `)
+        .eq('id', returnRequestId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!returnRequest) {
+        throw new Error('Return request not found');
+      }
+      if (userId) {
+        await this.assertCanTriage(userId, returnRequest.artisan_id);
       }
+
+      const { data: pastReturns, error: historyError } = await this.supabase
+        .from('return_requests')
+        .select('reason, status, created_at')
+        .eq('customer_id', returnRequest.customer_id)
+        .neq('id', returnRequest.id);
+      if (historyError) throw historyError;
+
+      const maxRefundAmount = returnRequest.items.reduce((sum, item) => sum + Number(item.refund_amount), 0);
+
+      // Define function for structured response
+      const functions = [{
+        name: 'triageReturn',
+        description: 'Recommend a resolution for a return request',
+        parameters: returnTriageSchema
+      }];
+
+      const messages = [
+        {
+          role: 'user',
+          content: JSON.stringify({
+            returnRequest: {
+              reason: returnRequest.reason,
+              description: returnRequest.description,
+              evidencePhotos: returnRequest.evidence_paths.length,
+              deliveredAt: returnRequest.fulfilment?.delivered_at,
+              requestedAt: returnRequest.created_at,
+              items: returnRequest.items.map(item => ({
+                title: item.order_item?.product_title,
+                returning: item.quantity,
+                ordered: item.order_item?.quantity,
+                unitPrice: Number(item.order_item?.unit_price)
+              }))
+            },
+            maxRefundAmount,
+            customerReturnHistory: pastReturns,
+            instruction: 'Recommend whether the artisan should approve this return and how much to refund. Flag anything they should check, such as missing evidence or frequent returns.'
+          })
+        }
+      ];
+
+      const triage = returnTriageSchema.parse(await this.generateStructuredResponse(messages, functions));
+      const recommendation = {
+        ...triage,
+        suggestedRefundAmount: Math.min(Math.max(triage.suggestedRefundAmount, 0), maxRefundAmount),
+        maxRefundAmount,
+        generatedAt: new Date().toISOString()
+      };
+
+      const { error: saveError } = await this.supabase
+        .from('return_requests')
+        .update({ ai_recommendation: recommendation })
+        .eq('id', returnRequest.id);
+      if (saveError) throw saveError;
+
+      return recommendation;
     } catch (error) {
       this.logger.error('Error in handleReturn:', error);
       throw error;
     }
   }
 
+  /**
+   * Artisans may only triage returns of their own shop
+   */
+  async assertCanTriage(userId, artisanId) {
+    if (!(await this.isAdminOrArtisan(userId, artisanId))) {
+      throw new Error('Return request not found');
+    }
+  }
+
+  /**
+   * Shipments are tracked by the order's customer, the shipping artisan or
+   * an admin
+   */
+  async assertCanTrack(userId, shipment) {
+    if (shipment.order.customer_id === userId) return;
+
+    if (!(await this.isAdminOrArtisan(userId, shipment.artisan_id))) {
+      throw new Error('Shipment not found');
+    }
+  }
+
+  async isAdminOrArtisan(userId, artisanId) {
+    const { data: profile, error } = await this.supabase
+      .from('user_profiles')
+      .select('role, artisan:artisan_profiles(id)')
+      .eq('id', userId)
+      .maybeSingle();
+    if (error) throw error;
+
+    const ownShop = [].concat(profile?.artisan ?? []).some(artisan => artisan.id === artisanId);
+    return profile?.role === 'admin' || ownShop;
+  }
+
   /**
    * Update inventory with intelligent recommendations
    */
@@ -278,41 +423,27 @@ export class OrderProcessingAgent extends BaseAgent {
       // Validate input
       const changes = inventoryUpdateSchema.parse(inventoryChanges);
 
-      // Begin transaction
-      const { data: { transactionId }, error: txError } = await this.supabase.rpc('begin_transaction');
-      if (txError) throw txError;
-
-      try {
-        // Define function for structured response
-        const functions = [{
-          name: 'processInventoryUpdate',
-          description: 'Process inventory updates and generate recommendations',
-          parameters: inventoryResponseSchema
-        }];
-
-        // Process inventory updates using AI
-        const messages = [
-          {
-            role: 'user',
-            content: JSON.stringify({
-              changes,
-              reason,
-              instruction: 'Process inventory updates and provide insights and recommendations.'
-            })
-          }
-        ];
-
-        const result = await this.generateStructuredResponse(messages, functions);
-        const inventory = inventoryResponseSchema.parse(result);
-
-        // Commit transaction if successful
-        await this.supabase.rpc('commit_transaction', { transaction_id: transactionId });
-        return inventory;
-      } catch (error) {
-        // Rollback transaction on error
-        await this.supabase.rpc('rollback_transaction', { transaction_id: transactionId });
-        throw error;
-      }
+      // Define function for structured response
+      const functions = [{
+        name: 'processInventoryUpdate',
+        description: 'Process inventory updates and generate recommendations',
+        parameters: inventoryResponseSchema
+      }];
+
+      // Process inventory updates using AI
+      const messages = [
+        {
+          role: 'user',
+          content: JSON.stringify({
+            changes,
+            reason,
+            instruction: 'Process inventory updates and provide insights and recommendations.'
+          })
+        }
+      ];
+
+      const result = await this.generateStructuredResponse(messages, functions);
+      return inventoryResponseSchema.parse(result);
     } catch (error) {
       this.logger.error('Error in updateInventory:', error);
       throw error;
@@ -320,17 +451,126 @@ export class OrderProcessingAgent extends BaseAgent {
   }
 
   /**
-   * Helper method to fetch shipping data from external API
+   * Compute order KPIs for a period and have the model explain them
+   * @param {Object} scope - { artisanId, metrics } where metrics are extra figures from the caller
+   * @param {Object} timeframe - { start, end } ISO timestamps
    */
-  async fetchShippingData(trackingNumber) {
-    // Implementation would integrate with actual shipping APIs
-    // For now, return mock data
-    return {
-      status: 'in_transit',
-      lastUpdate: new Date().toISOString(),
-      locations: []
-    };
+  async analyzePerformance(scope = {}, timeframe) {
+    try {
+      let query = this.supabase
+        .from('order_items')
+        .select('order_id, product_id, product_title, quantity, total_price, orders!inner(status, payment_status, created_at)')
+        .gte('orders.created_at', timeframe.start)
+        .lte('orders.created_at', timeframe.end);
+
+      if (scope.artisanId) {
+        query = query.eq('artisan_id', scope.artisanId);
+      }
+
+      const { data: items, error } = await query;
+      if (error) throw error;
+
+      const metrics = computeOrderMetrics(items || []);
+
+      // Define function for structured response
+      const functions = [{
+        name: 'analyzePerformance',
+        description: 'Assess order performance metrics and recommend improvements',
+        parameters: performanceAnalysisSchema
+      }];
+
+      const messages = [
+        {
+          role: 'user',
+          content: JSON.stringify({
+            timeframe,
+            metrics,
+            additionalMetrics: scope.metrics || {},
+            instruction: 'Assess these order performance metrics, identify bottlenecks and recommend improvements.'
+          })
+        }
+      ];
+
+      const analysis = await this.generateStructuredResponse(messages, functions);
+      return {
+        metrics,
+        ...performanceAnalysisSchema.parse(analysis)
+      };
+    } catch (error) {
+      this.logger.error('Error in analyzePerformance:', error);
+      throw error;
+    }
   }
+
+  /**
+   * A shipment of the order with the tracking events stored for it: the one
+   * with this tracking number, or else the latest delivery
+   */
+  async fetchShippingData(orderId, trackingNumber) {
+    let query = this.supabase
+      .from('shipments')
+      .select('*, order:orders!inner(customer_id), events:shipment_events(status, description, location, occurred_at)')
+      .eq('order_id', orderId);
+    query = trackingNumber
+      ? query.eq('tracking_number', trackingNumber)
+      : query.eq('direction', 'forward');
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw new Error('Shipment not found');
+    }
+    return data;
+  }
+}
+
+/**
+ * Aggregate order_items rows (joined with their order) into KPIs
+ */
+function computeOrderMetrics(items) {
+  const orders = new Map();
+  const products = new Map();
+  let unitsSold = 0;
+  let revenue = 0;
+
+  items.forEach(item => {
+    orders.set(item.order_id, item.orders.status);
+    if (['cancelled', 'refunded'].includes(item.orders.status)) return;
+
+    const amount = Number(item.total_price);
+    unitsSold += item.quantity;
+    revenue += amount;
+
+    const product = products.get(item.product_id) || { productId: item.product_id, title: item.product_title, unitsSold: 0, revenue: 0 };
+    product.unitsSold += item.quantity;
+    product.revenue += amount;
+    products.set(item.product_id, product);
+  });
+
+  const statusBreakdown = {};
+  orders.forEach(status => {
+    statusBreakdown[status] = (statusBreakdown[status] || 0) + 1;
+  });
+
+  const orderCount = orders.size;
+  const cancelled = (statusBreakdown.cancelled || 0) + (statusBreakdown.refunded || 0);
+  const fulfilledOrders = orderCount - cancelled;
+
+  return {
+    orderCount,
+    unitsSold,
+    revenue: Math.round(revenue * 100) / 100,
+    averageOrderValue: fulfilledOrders > 0 ? Math.round((revenue / fulfilledOrders) * 100) / 100 : 0,
+    cancellationRate: orderCount > 0 ? Math.round((cancelled / orderCount) * 1000) / 10 : 0,
+    statusBreakdown,
+    topProducts: [...products.values()]
+      .sort((a, b) => b.revenue - a.revenue)
+      .slice(0, 5)
+  };
 }
 
 export default OrderProcessingAgent;
\ No newline at end of file
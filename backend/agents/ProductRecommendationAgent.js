@@ -1,14 +1,11 @@
 import BaseAgent from './BaseAgent.js';
 import { z } from 'zod';
+import { catalogTools } from './tools.js';
 
-// Schema for product recommendations
+// Schema of the model's picks from the candidates it was shown
 const ProductRecommendationSchema = z.object({
   recommendations: z.array(z.object({
     productId: z.string(),
-    productName: z.string(),
-    artisanName: z.string(),
-    price: z.number(),
-    rating: z.number(),
     matchScore: z.number(),
     reason: z.string(),
     culturalInsight: z.string().optional()
@@ -21,35 +18,111 @@ const ProductRecommendationSchema = z.object({
     categories: z.array(z.string()).optional(),
     regions: z.array(z.string()).optional(),
     materials: z.array(z.string()).optional()
-  }),
+  }).optional(),
   summary: z.string()
 });
 
+const CANDIDATE_COLUMNS = `
+  id, title, description, price, images, tags, materials, stock_quantity, is_featured, category_id,
+  categories(name, slug),
+  artisan_profiles(id, business_name, region, is_verified),
+  product_reviews(rating)
+`;
+
+// Products fetched from each catalog search before pre-ranking
+const CANDIDATE_POOL_SIZE = 60;
+
+// Best pre-ranked candidates the model chooses from
+const PROMPT_CANDIDATES = 12;
+
+// Reviews a product needs before its own average counts as much as the mean
+// rating of the candidates
+const RATING_PRIOR_WEIGHT = 5;
+
+// Shares of the pre-ranking score from text relevance and from similarity to
+// the shopper's cart, wishlist and orders; the rest is rating
+const RELEVANCE_WEIGHT = 0.5;
+const SIMILARITY_WEIGHT = 0.25;
+
+// Recent orders whose products count as the shopper's history
+const ORDER_HISTORY_SIZE = 20;
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Shopper preferences accepted by getRecommendations
+const preferencesSchema = z.object({
+  budgetMin: z.number().nonnegative().optional(),
+  budgetMax: z.number().positive().optional(),
+  categories: z.array(z.string()).optional(),
+  regions: z.array(z.string()).optional()
+});
+
 export class ProductRecommendationAgent extends BaseAgent {
+  static tools = { ...catalogTools };
+
+  static actions = {
+    ...BaseAgent.actions,
+    getRecommendations: {
+      description: 'Recommend products for a shopper request',
+      input: z.object({
+        query: z.string().min(1),
+        preferences: preferencesSchema.default({})
+      }),
+      // Tagged with the candidate products the model chose from
+      cache: { ttl: 900 },
+      run: (agent, { query, preferences }, { userId }) => agent.getRecommendations(query, preferences, { userId })
+    },
+    getSimilarProducts: {
+      description: 'Find products similar to a given product',
+      input: z.object({
+        productId: z.string().uuid(),
+        limit: z.number().int().positive().max(20).default(5)
+      }),
+      cache: { ttl: 1800, tags: ({ productId }) => ['catalog', `product:${productId}`] },
+      run: (agent, { productId, limit }) => agent.getSimilarProducts(productId, limit)
+    },
+    parseSearchQuery: {
+      description: 'Turn a natural language search into structured filters',
+      input: z.object({
+        query: z.string().min(1).max(500)
+      }),
+      cache: { ttl: 86400 },
+      run: (agent, { query }) => agent.parseSearchQuery(query)
+    }
+  };
+
   constructor() {
     super('content-optimizer');
   }
 
   /**
-   * Get personalized product recommendations
+   * Recommend products for a shopper's request. Candidates are filtered on
+   * the preferences and pre-ranked by text relevance to the request,
+   * similarity to what the shopper carted, wishlisted and ordered, and a
+   * review-weighted rating; the model chooses among the best few, and its
+   * picks are checked against the catalog so only real, active products are
+   * returned, with their details from the database.
    */
-  async getRecommendations(userQuery, preferences = {}) {
+  async getRecommendations(userQuery, preferences = {}, { userId } = {}) {
     try {
-      // Fetch available products from database
-      const products = await this.fetchProducts(preferences);
-      
-      // Prepare context for AI
-      const context = {
-        availableProducts: products.slice(0, 20), // Limit to prevent token overflow
-        userPreferences: preferences,
-        totalProducts: products.length
-      };
+      const candidates = (await this.rankCandidates(userQuery, preferences, { userId })).slice(0, PROMPT_CANDIDATES);
+
+      if (candidates.length === 0) {
+        return {
+          success: true,
+          data: {
+            recommendations: [],
+            searchCriteria: criteriaOf(preferences),
+            summary: 'No products in the catalog match these preferences yet.'
+          }
+        };
+      }
 
       // Define function for structured output
       const functions = [
         {
           name: 'recommend_products',
-          description: 'Recommend products based on user query and preferences',
+          description: 'Recommend products from the candidates based on user query and preferences',
           parameters: {
             type: 'object',
             properties: {
@@ -58,16 +131,12 @@ export class ProductRecommendationAgent extends BaseAgent {
                 items: {
                   type: 'object',
                   properties: {
-                    productId: { type: 'string' },
-                    productName: { type: 'string' },
-                    artisanName: { type: 'string' },
-                    price: { type: 'number' },
-                    rating: { type: 'number' },
+                    productId: { type: 'string', enum: candidates.map(({ product }) => product.id) },
                     matchScore: { type: 'number', description: 'Score from 0-100 indicating match quality' },
                     reason: { type: 'string', description: 'Why this product matches the query' },
                     culturalInsight: { type: 'string', description: 'Cultural or historical insight about the product' }
                   },
-                  required: ['productId', 'productName', 'artisanName', 'price', 'rating', 'matchScore', 'reason']
+                  required: ['productId', 'matchScore', 'reason']
                 }
               },
               searchCriteria: {
@@ -97,29 +166,32 @@ export class ProductRecommendationAgent extends BaseAgent {
           role: 'user',
           content: `User Query: "${userQuery}"
           
-          Available Products: ${JSON.stringify(context.availableProducts)}
-          
           User Preferences: ${JSON.stringify(preferences)}
           
-          Please recommend the most suitable products based on the query and preferences. Include cultural insights where relevant.`
+          Candidate Products, best matches first: ${JSON.stringify(candidates.map(describeCandidate))}
+          
+          Please recommend the most suitable of these candidates for the query and preferences, by their id. Only recommend candidates listed above; those marked likedBySimilarShoppers were chosen by shoppers with a history like this shopper's. Include cultural insights where relevant.`
         }
       ];
 
       const response = await this.generateStructuredResponse(messages, functions, {
-        functionCall: { name: 'recommend_products' }
+        functionCall: { name: 'recommend_products' },
+        userId,
+        // The answer is only as fresh as the candidates it was chosen from
+        cacheTags: ['catalog', ...candidates.map(({ product }) => `product:${product.id}`)]
       });
 
       // Validate response against schema
       const validatedResponse = ProductRecommendationSchema.parse(response);
-      
-      // Enrich with additional product details
-      const enrichedRecommendations = await this.enrichRecommendations(validatedResponse.recommendations);
-      
+
+      const recommendations = await this.verifyRecommendations(validatedResponse.recommendations, candidates);
+
       return {
         success: true,
         data: {
-          ...validatedResponse,
-          recommendations: enrichedRecommendations
+          recommendations,
+          searchCriteria: validatedResponse.searchCriteria ?? criteriaOf(preferences),
+          summary: validatedResponse.summary
         }
       };
     } catch (error) {
@@ -129,120 +201,213 @@ export class ProductRecommendationAgent extends BaseAgent {
   }
 
   /**
-   * Fetch products from database based on filters
+   * Active, in-stock products matching the preferences, best first, as
+   * { product, weightedRating, similar, score }. The pool is the catalog
+   * search's matches for any word of the request, the best rated products
+   * and recommend_products' picks for the shopper's history (the products
+   * shoppers chose together with theirs, else popular ones), so a request
+   * that names nothing in the catalog still gets candidates. Each is scored
+   * by its text relevance relative to the best match, its similarity to the
+   * history relative to the most similar and its review-weighted rating out
+   * of 5.
    */
-  async fetchProducts(filters = {}) {
-    try {
-      let query = this.supabase
-        .from('products')
-        .select(`
-          *,
-          artisans (
-            id,
-            name,
-            location,
-            rating,
-            specialization
-          ),
-          product_images (
-            image_url,
-            is_primary
-          )
-        `)
-        .eq('is_active', true)
-        .order('rating', { ascending: false });
-
-      // Apply budget filter
-      if (filters.budgetMin) {
-        query = query.gte('price', filters.budgetMin);
-      }
-      if (filters.budgetMax) {
-        query = query.lte('price', filters.budgetMax);
-      }
-
-      // Apply category filter
-      if (filters.categories && filters.categories.length > 0) {
-        query = query.in('category', filters.categories);
-      }
-
-      // Apply region filter
-      if (filters.regions && filters.regions.length > 0) {
-        query = query.in('artisans.location', filters.regions);
-      }
+  async rankCandidates(userQuery, preferences = {}, { userId } = {}) {
+    const categories = await this.resolveCategories(preferences.categories);
+    if (preferences.categories?.length && categories.length === 0) {
+      return [];
+    }
+    const regions = (preferences.regions || []).map(region => region.toLowerCase());
 
-      const { data, error } = await query.limit(50);
+    // search_products filters on one category and region; several are
+    // filtered below
+    const filters = {
+      minPrice: preferences.budgetMin,
+      maxPrice: preferences.budgetMax,
+      ...(categories.length === 1 && { category: categories[0].slug }),
+      ...(regions.length === 1 && { region: regions[0] })
+    };
+    const anyWord = userQuery
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 2)
+      .join(' or ');
 
-      if (error) throw error;
-      return data || [];
-    } catch (error) {
-      this.logger.error('Error fetching products:', error);
+    const [matches, bestRated, picks] = await Promise.all([
+      anyWord ? this.searchCatalog(anyWord, filters) : [],
+      this.searchCatalog(null, filters, 'rating'),
+      this.shopperHistory(userId).then(history => this.recommendFor(history, {
+        category: filters.category,
+        region: filters.region
+      }))
+    ]);
+    const relevance = new Map(matches.map(({ id, rank }) => [id, Number(rank)]));
+    const similarity = new Map(picks.filter(pick => pick.reason === 'similar').map(({ id, score }) => [id, Number(score)]));
+    const ids = [...new Set([...matches, ...bestRated, ...picks].map(({ id }) => id))];
+    if (ids.length === 0) {
       return [];
     }
+
+    const { data, error } = await this.supabase
+      .from('products')
+      .select(CANDIDATE_COLUMNS)
+      .in('id', ids)
+      .eq('status', 'active');
+    if (error) throw error;
+
+    const slugs = new Set(categories.map(category => category.slug));
+    const eligible = data.filter(product => product.stock_quantity > 0
+      && !(product.price < preferences.budgetMin) && !(product.price > preferences.budgetMax)
+      && (slugs.size === 0 || slugs.has(product.categories?.slug))
+      && (regions.length === 0 || regions.includes(product.artisan_profiles?.region?.toLowerCase())));
+
+    const allRatings = eligible.flatMap(product => ratingsOf(product));
+    const meanRating = allRatings.length > 0 ? average(allRatings) : 0;
+    const bestRank = Math.max(0, ...relevance.values());
+    const bestSimilarity = Math.max(0, ...similarity.values());
+
+    return eligible
+      .map(product => {
+        const ratings = ratingsOf(product);
+        const weightedRating = (RATING_PRIOR_WEIGHT * meanRating + ratings.reduce((sum, value) => sum + value, 0))
+          / (RATING_PRIOR_WEIGHT + ratings.length);
+        const textScore = bestRank > 0 ? (relevance.get(product.id) ?? 0) / bestRank : 0;
+        const similarityScore = bestSimilarity > 0 ? (similarity.get(product.id) ?? 0) / bestSimilarity : 0;
+        return {
+          product,
+          weightedRating,
+          similar: similarity.has(product.id),
+          score: RELEVANCE_WEIGHT * textScore
+            + SIMILARITY_WEIGHT * similarityScore
+            + (1 - RELEVANCE_WEIGHT - SIMILARITY_WEIGHT) * weightedRating / 5
+        };
+      })
+      .sort((a, b) => b.score - a.score);
   }
 
   /**
-   * Enrich recommendations with additional details
+   * Result IDs and ranks of a search_products search
    */
-  async enrichRecommendations(recommendations) {
-    try {
-      const enriched = await Promise.all(
-        recommendations.map(async (rec) => {
-          // Fetch full product details
-          const { data: product } = await this.supabase
-            .from('products')
-            .select(`
-              *,
-              artisans (
-                id,
-                name,
-                location,
-                bio,
-                rating,
-                years_experience,
-                total_products,
-                specialization
-              ),
-              product_images (
-                image_url,
-                is_primary
-              ),
-              product_reviews (
-                rating,
-                comment,
-                created_at
-              )
-            `)
-            .eq('id', rec.productId)
-            .single();
-
-          if (product) {
-            return {
-              ...rec,
-              fullDetails: product,
-              images: product.product_images || [],
-              artisan: product.artisans,
-              reviews: product.product_reviews || []
-            };
-          }
-          return rec;
-        })
-      );
-      return enriched;
-    } catch (error) {
-      this.logger.error('Error enriching recommendations:', error);
-      return recommendations;
+  async searchCatalog(query, filters, sort = null) {
+    const { data, error } = await this.supabase.rpc('search_products', {
+      p_query: query,
+      p_filters: filters,
+      p_sort: sort,
+      p_limit: CANDIDATE_POOL_SIZE
+    });
+    if (error) throw error;
+    return data.results;
+  }
+
+  /**
+   * recommend_products' picks for a set of products, as [{ id, score,
+   * reason }]: the products shoppers chose together with them, then popular
+   * ones of their categories and regions or the given ones
+   */
+  async recommendFor(productIds, { category, region, limit = CANDIDATE_POOL_SIZE, purchasedOnly = false } = {}) {
+    const { data, error } = await this.supabase.rpc('recommend_products', {
+      p_product_ids: productIds,
+      p_category: category ?? null,
+      p_region: region ?? null,
+      p_limit: limit,
+      p_purchased_only: purchasedOnly
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * IDs of the products in a shopper's cart and wishlist and recent orders
+   */
+  async shopperHistory(userId) {
+    if (!userId) return [];
+
+    const [cart, wishlist, orders] = await Promise.all([
+      this.supabase.from('carts').select('product_id').eq('user_id', userId),
+      this.supabase.from('wishlists').select('product_id').eq('user_id', userId),
+      this.supabase
+        .from('order_items')
+        .select('product_id, orders!inner(customer_id)')
+        .eq('orders.customer_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(ORDER_HISTORY_SIZE)
+    ]);
+    const failed = [cart, wishlist, orders].find(result => result.error);
+    if (failed) throw failed.error;
+
+    return [...new Set([...cart.data, ...wishlist.data, ...orders.data].map(row => row.product_id))];
+  }
+
+  /**
+   * Categories named by preferences, by name or slug
+   */
+  async resolveCategories(names = []) {
+    if (names.length === 0) return [];
+
+    const { data, error } = await this.supabase
+      .from('categories')
+      .select('name, slug');
+    if (error) throw error;
+
+    const wanted = new Set(names.map(name => name.toLowerCase()));
+    return data.filter(category => wanted.has(category.name.toLowerCase()) || wanted.has(category.slug));
+  }
+
+  /**
+   * Keep the model's picks that were among its candidates and are still
+   * active and in stock (answers can come from the cache), with their
+   * details read from the database rather than from the model
+   */
+  async verifyRecommendations(recommendations, candidates) {
+    const shown = new Map(candidates.map(candidate => [candidate.product.id, candidate]));
+    const picked = recommendations.filter((rec, index) =>
+      shown.has(rec.productId) && recommendations.findIndex(other => other.productId === rec.productId) === index);
+
+    const dropped = recommendations.filter(rec => !shown.has(rec.productId)).map(rec => rec.productId);
+    if (dropped.length > 0) {
+      this.logger.warn('Dropped recommendations of products that were not candidates', { productIds: dropped });
     }
+    if (picked.length === 0) return [];
+
+    const { data, error } = await this.supabase
+      .from('products')
+      .select(CANDIDATE_COLUMNS)
+      .in('id', picked.map(rec => rec.productId))
+      .eq('status', 'active')
+      .gt('stock_quantity', 0);
+    if (error) throw error;
+
+    const current = new Map(data.map(product => [product.id, product]));
+    return picked
+      .filter(rec => current.has(rec.productId))
+      .map(rec => {
+        const product = current.get(rec.productId);
+        return {
+          productId: product.id,
+          productName: product.title,
+          artisanName: product.artisan_profiles?.business_name,
+          price: Number(product.price),
+          ...ratingOf(product),
+          image: product.images?.[0] ?? null,
+          category: product.categories?.name,
+          region: product.artisan_profiles?.region,
+          matchScore: rec.matchScore,
+          reason: rec.reason,
+          ...(rec.culturalInsight && { culturalInsight: rec.culturalInsight })
+        };
+      });
   }
 
   /**
-   * Get similar products based on a product ID
+   * Products similar to a product: the ones shoppers chose together with it,
+   * then popular ones of its category and region (see recommend_products),
+   * in that order. The model only adds why a shopper of the product might
+   * like each and their cultural context.
    */
   async getSimilarProducts(productId, limit = 5) {
     try {
       // Fetch the reference product
       const { data: referenceProduct } = await this.supabase
         .from('products')
-        .select('*')
+        .select(CANDIDATE_COLUMNS)
         .eq('id', productId)
         .single();
 
@@ -250,29 +415,37 @@ export class ProductRecommendationAgent extends BaseAgent {
         throw new Error('Product not found');
       }
 
-      // Find similar products
-      const { data: similarProducts } = await this.supabase
+      const picks = await this.recommendFor([productId], { limit });
+      if (picks.length === 0) {
+        return {
+          success: true,
+          data: { referenceProduct, similarProducts: [], aiAnalysis: null }
+        };
+      }
+
+      const { data, error } = await this.supabase
         .from('products')
-        .select(`
-          *,
-          artisans (
-            name,
-            location
-          )
-        `)
-        .eq('category', referenceProduct.category)
-        .neq('id', productId)
-        .limit(limit);
-
-      // Use AI to rank similarity
+        .select(CANDIDATE_COLUMNS)
+        .in('id', picks.map(pick => pick.id));
+      if (error) throw error;
+
+      const byId = new Map(data.map(product => [product.id, product]));
+      const similarProducts = picks
+        .filter(pick => byId.has(pick.id))
+        .map(pick => ({ ...byId.get(pick.id), similarity: pick.reason }));
+
       const messages = [
         {
           role: 'user',
-          content: `Reference Product: ${JSON.stringify(referenceProduct)}
+          content: `Reference Product: ${JSON.stringify(describeCandidate({ product: referenceProduct }))}
           
-          Potential Similar Products: ${JSON.stringify(similarProducts)}
+          Similar Products, most similar first: ${JSON.stringify(similarProducts.map(product => ({
+            ...describeCandidate({ product }),
+            // similar: chosen by the same shoppers; category, region, popular: popular alternatives
+            similarity: product.similarity
+          })))}
           
-          Rank these products by similarity to the reference product and provide reasons.`
+          In this order, say briefly why a shopper of the reference product might like each of these products, with their cultural context.`
         }
       ];
 
@@ -312,7 +485,8 @@ export class ProductRecommendationAgent extends BaseAgent {
               materials: { type: 'array', items: { type: 'string' } },
               artisanNames: { type: 'array', items: { type: 'string' } },
               priceSort: { type: 'string', enum: ['asc', 'desc'] },
-              ratingMin: { type: 'number' }
+              ratingMin: { type: 'number' },
+              verifiedOnly: { type: 'boolean', description: 'Only products by verified artisans' }
             }
           }
         }
@@ -346,4 +520,42 @@ export class ProductRecommendationAgent extends BaseAgent {
   }
 }
 
+const ratingsOf = product => (product.product_reviews || []).map(review => review.rating);
+
+const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// A product's average rating to one decimal, null without reviews
+const ratingOf = product => {
+  const ratings = ratingsOf(product);
+  return {
+    rating: ratings.length > 0 ? Math.round(average(ratings) * 10) / 10 : null,
+    reviewCount: ratings.length
+  };
+};
+
+const criteriaOf = ({ budgetMin, budgetMax, categories, regions }) => ({
+  ...((budgetMin !== undefined || budgetMax !== undefined) && { budget: { min: budgetMin, max: budgetMax } }),
+  ...(categories && { categories }),
+  ...(regions && { regions })
+});
+
+/**
+ * What the model is told about a candidate
+ */
+const describeCandidate = ({ product, similar }) => ({
+  id: product.id,
+  title: product.title,
+  price: Number(product.price),
+  category: product.categories?.name,
+  region: product.artisan_profiles?.region,
+  artisan: product.artisan_profiles?.business_name,
+  verifiedArtisan: Boolean(product.artisan_profiles?.is_verified),
+  materials: product.materials || [],
+  tags: product.tags || [],
+  ...ratingOf(product),
+  // Chosen by shoppers who chose what this shopper carted, wishlisted or ordered
+  likedBySimilarShoppers: similar,
+  description: product.description?.slice(0, MAX_DESCRIPTION_LENGTH) ?? ''
+});
+
 export default ProductRecommendationAgent;
\ No newline at end of file
@@ -0,0 +1,251 @@
+import { z } from 'zod';
+
+/**
+ * Tools the model can call during BaseAgent.generateWithTools().
+ *
+ * Each tool is `{ description, input, run, cacheTags }` where `input` is a zod
+ * schema for the arguments the model sends and `run(agent, args, { userId })`
+ * resolves to JSON-serialisable data that is returned to the model.
+ * `cacheTags(result)` names the data the result came from (see
+ * services/cacheInvalidation.js); answers that used a tool without it are
+ * never cached. Agents pick the tools they offer in their `static tools` map.
+ */
+
+const PRODUCT_SUMMARY_COLUMNS = `
+  id, title, description, price, original_price, stock_quantity, tags, materials, is_featured,
+  categories!inner(name, slug),
+  artisan_profiles!inner(id, business_name, region, trust_score, is_verified)
+`;
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Keep only characters that are safe inside a PostgREST or() filter
+ */
+const sanitizeSearchTerm = (term) => term.replace(/[%,()*\\]/g, ' ').trim();
+
+/**
+ * Compact product shape returned to the model
+ */
+const summarizeProduct = (product) => ({
+  id: product.id,
+  title: product.title,
+  description: product.description?.length > MAX_DESCRIPTION_LENGTH
+    ? `${product.description.slice(0, MAX_DESCRIPTION_LENGTH)}...`
+    : product.description,
+  price: Number(product.price),
+  originalPrice: product.original_price != null ? Number(product.original_price) : null,
+  inStock: product.stock_quantity > 0,
+  tags: product.tags || [],
+  materials: product.materials || [],
+  featured: product.is_featured,
+  category: product.categories?.name,
+  artisan: product.artisan_profiles && {
+    id: product.artisan_profiles.id,
+    name: product.artisan_profiles.business_name,
+    region: product.artisan_profiles.region,
+    trustScore: Number(product.artisan_profiles.trust_score),
+    verified: product.artisan_profiles.is_verified
+  }
+});
+
+export const searchProducts = {
+  description: 'Search active catalog products by keywords, category, price range, materials or artisan region',
+  input: z.object({
+    keywords: z.string().max(200).optional(),
+    category: z.string().optional().describe('Category name, e.g. Textiles or Pottery'),
+    minPrice: z.number().nonnegative().optional(),
+    maxPrice: z.number().positive().optional(),
+    materials: z.array(z.string()).optional(),
+    region: z.string().optional().describe('Artisan region or state, e.g. Rajasthan'),
+    inStockOnly: z.boolean().default(true),
+    sort: z.enum(['featured', 'price_asc', 'price_desc', 'newest']).default('featured'),
+    limit: z.number().int().positive().max(20).default(10),
+    offset: z.number().int().nonnegative().default(0)
+  }),
+  run: async (agent, args) => {
+    let query = agent.supabase
+      .from('products')
+      .select(PRODUCT_SUMMARY_COLUMNS, { count: 'exact' })
+      .eq('status', 'active');
+
+    const keywords = args.keywords && sanitizeSearchTerm(args.keywords);
+    if (keywords) {
+      query = query.or(`title.ilike.%${keywords}%,description.ilike.%${keywords}%`);
+    }
+    if (args.category) query = query.ilike('categories.name', args.category);
+    if (args.minPrice != null) query = query.gte('price', args.minPrice);
+    if (args.maxPrice != null) query = query.lte('price', args.maxPrice);
+    if (args.materials?.length) query = query.overlaps('materials', args.materials);
+    if (args.region) query = query.ilike('artisan_profiles.region', `%${sanitizeSearchTerm(args.region)}%`);
+    if (args.inStockOnly) query = query.gt('stock_quantity', 0);
+
+    switch (args.sort) {
+      case 'price_asc':
+        query = query.order('price', { ascending: true });
+        break;
+      case 'price_desc':
+        query = query.order('price', { ascending: false });
+        break;
+      case 'newest':
+        query = query.order('created_at', { ascending: false });
+        break;
+      default:
+        query = query.order('is_featured', { ascending: false }).order('created_at', { ascending: false });
+    }
+
+    const { data, count, error } = await query.range(args.offset, args.offset + args.limit - 1);
+    if (error) throw error;
+
+    return {
+      total: count ?? 0,
+      products: (data || []).map(summarizeProduct)
+    };
+  },
+  // Any product change can alter search results
+  cacheTags: ({ products }) => ['catalog', ...products.map(product => `artisan:${product.artisan?.id}`)]
+};
+
+export const getProduct = {
+  description: 'Get full details of one product, including its artisan and review summary',
+  input: z.object({
+    productId: z.string().uuid()
+  }),
+  run: async (agent, { productId }) => {
+    const { data, error } = await agent.supabase
+      .from('products')
+      .select(`
+        ${PRODUCT_SUMMARY_COLUMNS},
+        status, images, dimensions, weight_grams, care_instructions, shipping_info,
+        product_reviews(rating)
+      `)
+      .eq('id', productId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return { error: 'Product not found' };
+
+    const ratings = (data.product_reviews || []).map(review => review.rating);
+    return {
+      ...summarizeProduct(data),
+      description: data.description,
+      status: data.status,
+      images: data.images || [],
+      dimensions: data.dimensions,
+      weightGrams: data.weight_grams,
+      careInstructions: data.care_instructions,
+      shippingInfo: data.shipping_info,
+      reviewCount: ratings.length,
+      averageRating: ratings.length > 0
+        ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10
+        : null
+    };
+  },
+  cacheTags: (product) => [`product:${product.id}`, `artisan:${product.artisan?.id}`]
+};
+
+export const getArtisanProfile = {
+  description: 'Get an artisan\'s profile: craft specialty, region, experience and trust score',
+  input: z.object({
+    artisanId: z.string().uuid()
+  }),
+  run: async (agent, { artisanId }) => {
+    const { data, error } = await agent.supabase
+      .from('artisan_profiles')
+      .select('id, business_name, craft_specialty, bio, years_of_experience, region, trust_score, is_verified, products(count)')
+      .eq('id', artisanId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return { error: 'Artisan not found' };
+
+    return {
+      id: data.id,
+      name: data.business_name,
+      craftSpecialty: data.craft_specialty,
+      bio: data.bio,
+      yearsOfExperience: data.years_of_experience,
+      region: data.region,
+      trustScore: Number(data.trust_score),
+      verified: data.is_verified,
+      productCount: data.products?.[0]?.count ?? 0
+    };
+  },
+  cacheTags: (artisan) => [`artisan:${artisan.id}`]
+};
+
+export const getOrderStatus = {
+  description: 'Get the status of the current customer\'s orders, by order number or the most recent ones',
+  input: z.object({
+    orderNumber: z.string().optional(),
+    limit: z.number().int().positive().max(10).default(3)
+  }),
+  run: async (agent, { orderNumber, limit }, { userId }) => {
+    if (!userId) return { error: 'The customer is not signed in' };
+
+    // Always scoped to the signed-in customer, whatever the model asks for
+    let query = agent.supabase
+      .from('orders')
+      .select('order_number, status, payment_status, total_amount, created_at, updated_at, order_items(product_title, quantity)')
+      .eq('customer_id', userId);
+
+    if (orderNumber) query = query.eq('order_number', orderNumber);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(orderNumber ? 1 : limit);
+
+    if (error) throw error;
+    if (orderNumber && !data?.length) return { error: `No order ${orderNumber} for this customer` };
+
+    return {
+      orders: (data || []).map(order => ({
+        orderNumber: order.order_number,
+        status: order.status,
+        paymentStatus: order.payment_status,
+        totalAmount: Number(order.total_amount),
+        placedAt: order.created_at,
+        updatedAt: order.updated_at,
+        items: (order.order_items || []).map(item => ({ title: item.product_title, quantity: item.quantity }))
+      }))
+    };
+  }
+};
+
+export const checkStock = {
+  description: 'Check whether products are available to order and how many are in stock',
+  input: z.object({
+    productIds: z.array(z.string().uuid()).min(1).max(20)
+  }),
+  run: async (agent, { productIds }) => {
+    const { data, error } = await agent.supabase
+      .from('products')
+      .select('id, title, status, stock_quantity')
+      .in('id', productIds);
+
+    if (error) throw error;
+
+    const found = new Map((data || []).map(product => [product.id, product]));
+    return {
+      products: productIds.map(productId => {
+        const product = found.get(productId);
+        if (!product) return { productId, error: 'Product not found' };
+        return {
+          productId,
+          title: product.title,
+          stockQuantity: product.stock_quantity,
+          available: product.status === 'active' && product.stock_quantity > 0
+        };
+      })
+    };
+  },
+  cacheTags: ({ products }) => products.map(product => `product:${product.productId}`)
+};
+
+// Read-only catalog lookups, safe to offer to any agent
+export const catalogTools = {
+  searchProducts,
+  getProduct,
+  getArtisanProfile,
+  checkStock
+};
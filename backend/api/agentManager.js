@@ -4,6 +4,12 @@ import CustomerSupportAgent from '../agents/CustomerSupportAgent.js';
 import ArtisanAssistantAgent from '../agents/ArtisanAssistantAgent.js';
 import OrderProcessingAgent from '../agents/OrderProcessingAgent.js';
 import ContentGenerationAgent from '../agents/ContentGenerationAgent.js';
+import { v4 as uuidv4 } from 'uuid';
+import { agentConfigs, taskQueueConfig } from '../config/ai.js';
+import agentTaskStore from '../services/agentTaskStore.js';
+import { logger } from '../middleware/logging.js';
+import { toJsonSchema } from '../utils/jsonSchema.js';
+import { workflowDefinitions } from './workflows.js';
 
 // Agent states
 const AgentState = {
@@ -14,12 +20,62 @@ const AgentState = {
   STOPPED: 'stopped'
 };
 
+// Task lifecycle states
+const TaskStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed_out',
+  CANCELLED: 'cancelled'
+};
+
+const FINAL_TASK_STATES = new Set([
+  TaskStatus.COMPLETED,
+  TaskStatus.FAILED,
+  TaskStatus.TIMED_OUT,
+  TaskStatus.CANCELLED
+]);
+
+// Workflow run states
+const WorkflowStatus = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Workflow step states
+const StepStatus = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled'
+};
+
+// Queue order, lower runs first
+const TaskPriority = {
+  high: 0,
+  normal: 1,
+  low: 2
+};
+
 class AgentManager extends EventEmitter {
-  constructor() {
+  constructor({ store = agentTaskStore, ...options } = {}) {
     super();
+    this.options = { ...taskQueueConfig, ...options };
+    this.store = store;
+    this.pendingWrites = new Set();
     this.agents = new Map();
     this.taskQueues = new Map();
+    this.runningTasks = new Map();
+    this.tasks = new Map();
+    this.taskHandles = new Map();
     this.agentStats = new Map();
+    this.workflowRuns = new Map();
+    this.workflowWaiters = new Map();
     this.initializeStats();
   }
 
@@ -34,6 +90,11 @@ class AgentManager extends EventEmitter {
     'customer-insights': ContentGenerationAgent
   };
 
+  /**
+   * Multi-step workflows, see ./workflows.js
+   */
+  static workflows = workflowDefinitions;
+
   /**
    * Agent type aliases mapping for backward compatibility
    */
@@ -85,6 +146,7 @@ class AgentManager extends EventEmitter {
       const agent = new AgentClass();
       this.agents.set(type, agent);
       this.taskQueues.set(type, []);
+      this.runningTasks.set(type, new Set());
       this.agentStats.get(type).startTime = Date.now();
 
       this.emit('agent-started', { type, config });
@@ -106,9 +168,15 @@ class AgentManager extends EventEmitter {
       }
 
       // Clear agent's cache
-      agent.clearCache();
+      await agent.clearCache();
 
-      // Clean up task queue
+      // Cancel queued and running tasks, then clean up the task queue
+      const pending = [...(this.taskQueues.get(type) || [])];
+      this.taskQueues.set(type, []);
+      pending.forEach(task => this.finishTask(task, TaskStatus.CANCELLED, { error: `Agent ${type} stopped` }));
+      this.runningTasks.get(type)?.forEach(taskId => {
+        this.finishTask(this.tasks.get(taskId), TaskStatus.CANCELLED, { error: `Agent ${type} stopped` });
+      });
       this.taskQueues.delete(type);
       this.agents.delete(type);
 
@@ -121,48 +189,785 @@ class AgentManager extends EventEmitter {
   }
 
   /**
-   * Submit a task to an agent
+   * Start every agent, restore lifetime stats and pick up the tasks that
+   * were pending when the backend last stopped
    */
-  async submitTask(type, taskData) {
+  async initializeAgents() {
+    for (const type of Object.keys(AgentManager.agentTypes)) {
+      if (!this.agents.has(type)) {
+        await this.startAgent(type);
+      }
+    }
+
+    const recovered = await this.recoverTasks();
+    await this.restoreStats();
+    return recovered;
+  }
+
+  /**
+   * Stop every agent for shutdown. Unlike stopAgent(), unfinished tasks are
+   * left queued or running in agent_tasks so the next start resumes them.
+   */
+  async stopAllAgents() {
+    for (const handle of this.taskHandles.values()) {
+      clearTimeout(handle.timer);
+    }
+
+    // Cached responses are kept: other replicas may share them
+    for (const type of this.agents.keys()) {
+      this.taskQueues.delete(type);
+      this.agents.delete(type);
+      this.emit('agent-stopped', { type });
+    }
+
+    await this.flushWrites();
+  }
+
+  /**
+   * Re-queue pending tasks from agent_tasks. Tasks that were running when the
+   * backend stopped are retried until they reach options.maxAttempts.
+   * @returns {Promise<{resumed: number, failed: number}>}
+   */
+  async recoverTasks() {
+    const summary = { resumed: 0, failed: 0 };
+
+    let pending;
     try {
-      const agent = this.agents.get(type);
-      if (!agent) {
-        throw new Error(`Agent ${type} is not running`);
+      pending = await this.store.listPending();
+    } catch (error) {
+      logger.error('Failed to load pending agent tasks', { error: error.message });
+      return summary;
+    }
+
+    for (const task of pending) {
+      if (this.tasks.has(task.id)) continue;
+
+      this.tasks.set(task.id, task);
+      this.taskHandles.set(task.id, { timer: null, waiters: [], lastWrite: Promise.resolve() });
+
+      const interrupted = task.status === TaskStatus.RUNNING;
+      let failure = null;
+      if (!this.agents.has(task.agentType)) {
+        failure = `Agent ${task.agentType} is not available`;
+      } else if (task.attempts >= this.options.maxAttempts) {
+        failure = 'Interrupted by a server restart';
       }
 
-      const startTime = Date.now();
-      this.emit('agent-task-progress', { type, progress: 0 });
+      if (failure) {
+        Object.assign(task, {
+          status: TaskStatus.FAILED,
+          error: failure,
+          completedAt: new Date().toISOString()
+        });
+        summary.failed++;
+      } else {
+        Object.assign(task, { status: TaskStatus.QUEUED, startedAt: null });
+        this.enqueue(task);
+        summary.resumed++;
+      }
 
-      // Update stats
-      const stats = this.agentStats.get(type);
-      stats.totalTasks++;
+      if (failure || interrupted) {
+        this.persistTask('update', task);
+      }
+    }
 
-      try {
-        // Process the task
-        this.emit('agent-task-progress', { type, progress: 25 });
-        const result = await agent.processQuery(taskData.query, taskData.userId);
-        this.emit('agent-task-progress', { type, progress: 75 });
+    await this.flushWrites();
+    this.agents.forEach((agent, type) => this.drainQueue(type));
 
-        // Update success stats
-        stats.successfulTasks++;
-        stats.averageResponseTime = (stats.averageResponseTime * (stats.successfulTasks - 1) + 
+    if (pending.length > 0) {
+      logger.info('Recovered agent tasks', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Load lifetime task counts from agent_tasks into agentStats
+   */
+  async restoreStats() {
+    try {
+      const rows = await this.store.getStats();
+      rows.forEach(row => {
+        const stats = this.agentStats.get(row.agent_type);
+        if (!stats) return;
+
+        Object.assign(stats, {
+          totalTasks: Number(row.total_tasks),
+          successfulTasks: Number(row.successful_tasks),
+          failedTasks: Number(row.failed_tasks),
+          averageResponseTime: Number(row.average_response_time)
+        });
+      });
+    } catch (error) {
+      logger.error('Failed to restore agent stats', { error: error.message });
+    }
+  }
+
+  /**
+   * Queue one of an agent's actions. Resolves with the queued task record;
+   * use waitForTask() or the task events to get the result.
+   * @param {string} type - Canonical agent type
+   * @param {Object} taskData - { action, input, userId }; action defaults to 'query'
+   * @param {Object} options - { priority: 'high' | 'normal' | 'low', timeoutMs }
+   * @throws {ZodError} When the input does not match the action's schema
+   */
+  async submitTask(type, taskData, options = {}) {
+    const agent = this.agents.get(type);
+    if (!agent) {
+      const error = new Error(`Agent ${type} is not running`);
+      this.emit('agent-error', { type, error: error.message });
+      throw error;
+    }
+
+    const priority = options.priority || 'normal';
+    if (!(priority in TaskPriority)) {
+      throw new Error(`Invalid task priority: ${priority}`);
+    }
+
+    const action = taskData.action || 'query';
+    const input = agent.constructor.parseActionInput(action, taskData.input);
+
+    const task = {
+      id: uuidv4(),
+      agentType: type,
+      status: TaskStatus.QUEUED,
+      priority,
+      action,
+      input,
+      userId: taskData.userId || null,
+      result: null,
+      error: null,
+      attempts: 0,
+      timeoutMs: options.timeoutMs || this.getTaskTimeout(type),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.pruneFinishedTasks();
+    this.tasks.set(task.id, task);
+    this.taskHandles.set(task.id, { timer: null, waiters: [], lastWrite: Promise.resolve() });
+    const persisted = this.persistTask('create', task);
+    this.enqueue(task);
+    this.agentStats.get(type).totalTasks++;
+
+    this.emit('agent-task-queued', this.taskEvent(task));
+    this.drainQueue(type);
+
+    await persisted;
+    return this.getTask(task.id);
+  }
+
+  /**
+   * Queue a task and wait for it to finish.
+   * Resolves with the agent result, rejects when the task fails, times out or is cancelled.
+   */
+  async executeTask(type, taskData, options = {}) {
+    const { id } = await this.submitTask(type, taskData, options);
+    const task = await this.waitForTask(id);
+
+    if (task.status !== TaskStatus.COMPLETED) {
+      throw new Error(task.error || `Task ${id} ${task.status}`);
+    }
+    return task.result;
+  }
+
+  /**
+   * Resolve with the task record once it reaches a final state
+   */
+  waitForTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      return Promise.reject(new Error(`Task ${taskId} not found`));
+    }
+    if (FINAL_TASK_STATES.has(task.status)) {
+      return Promise.resolve(this.getTask(taskId));
+    }
+    return new Promise(resolve => this.taskHandles.get(taskId).waiters.push(resolve));
+  }
+
+  /**
+   * Get a task from memory, falling back to agent_tasks for tasks that
+   * finished before the last restart or have been pruned
+   */
+  async findTask(taskId) {
+    return this.getTask(taskId) || this.store.get(taskId);
+  }
+
+  /**
+   * A user's task history from agent_tasks
+   */
+  async listTasks(userId, filters = {}) {
+    return this.store.listForUser(userId, filters);
+  }
+
+  /**
+   * Get a snapshot of a task, or null when it is unknown or expired
+   */
+  getTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) return null;
+
+    const queue = this.taskQueues.get(task.agentType) || [];
+    const position = task.status === TaskStatus.QUEUED ? queue.indexOf(task) : -1;
+    return {
+      ...task,
+      queuePosition: position >= 0 ? position + 1 : null
+    };
+  }
+
+  /**
+   * Cancel a queued or running task.
+   * A running agent call cannot be interrupted; its result is discarded and
+   * its concurrency slot is released immediately.
+   * @returns {Object|null} Updated task, or null when the task is unknown
+   */
+  cancelTask(taskId, reason = 'Cancelled by user') {
+    const task = this.tasks.get(taskId);
+    if (!task) return null;
+
+    if (task.status === TaskStatus.QUEUED) {
+      const queue = this.taskQueues.get(task.agentType) || [];
+      queue.splice(queue.indexOf(task), 1);
+    }
+
+    this.finishTask(task, TaskStatus.CANCELLED, { error: reason });
+    return this.getTask(taskId);
+  }
+
+  /**
+   * Insert a task into its agent queue, after every task of equal or higher priority
+   */
+  enqueue(task) {
+    const queue = this.taskQueues.get(task.agentType);
+    const rank = TaskPriority[task.priority];
+    const index = queue.findIndex(queued => TaskPriority[queued.priority] > rank);
+    queue.splice(index === -1 ? queue.length : index, 0, task);
+  }
+
+  /**
+   * Start queued tasks while the agent has free concurrency slots
+   */
+  drainQueue(type) {
+    const queue = this.taskQueues.get(type);
+    const running = this.runningTasks.get(type);
+    if (!queue || !this.agents.has(type)) return;
+
+    while (queue.length > 0 && running.size < this.getConcurrencyLimit(type)) {
+      this.runTask(queue.shift());
+    }
+  }
+
+  /**
+   * Run a task on its agent and record the outcome
+   */
+  async runTask(task) {
+    const type = task.agentType;
+    const agent = this.agents.get(type);
+    const handle = this.taskHandles.get(task.id);
+    const stats = this.agentStats.get(type);
+
+    task.status = TaskStatus.RUNNING;
+    task.startedAt = new Date().toISOString();
+    task.attempts++;
+    this.runningTasks.get(type).add(task.id);
+    this.persistTask('update', task);
+    handle.timer = setTimeout(() => {
+      this.finishTask(task, TaskStatus.TIMED_OUT, { error: `Task timed out after ${task.timeoutMs}ms` });
+    }, task.timeoutMs);
+
+    this.emit('agent-task-progress', { ...this.taskEvent(task), progress: 0 });
+
+    const startTime = Date.now();
+    try {
+      this.emit('agent-task-progress', { ...this.taskEvent(task), progress: 25 });
+      const result = await agent.runAction(task.action, task.input, { userId: task.userId });
+
+      if (result?.success === false) {
+        throw new Error(result.error || 'Agent task failed');
+      }
+
+      if (this.finishTask(task, TaskStatus.COMPLETED, { result })) {
+        stats.averageResponseTime = (stats.averageResponseTime * (stats.successfulTasks - 1) +
           (Date.now() - startTime)) / stats.successfulTasks;
 
-        if (result.__cached) {
+        if (result?.__cached) {
           stats.cacheHits++;
         } else {
           stats.cacheMisses++;
         }
+      }
+    } catch (error) {
+      this.finishTask(task, TaskStatus.FAILED, { error: error.message });
+    }
+  }
 
-        this.emit('agent-task-complete', { type, result });
-        return result;
-      } catch (error) {
-        // Update failure stats
+  /**
+   * Move a task to a final state, notify listeners and free its slot.
+   * @returns {boolean} false when the task had already finished
+   */
+  finishTask(task, status, { result = null, error = null } = {}) {
+    if (FINAL_TASK_STATES.has(task.status)) return false;
+
+    const type = task.agentType;
+    const handle = this.taskHandles.get(task.id);
+    const stats = this.agentStats.get(type);
+
+    task.status = status;
+    task.result = result;
+    task.error = error;
+    task.completedAt = new Date().toISOString();
+    clearTimeout(handle.timer);
+    this.runningTasks.get(type)?.delete(task.id);
+    this.persistTask('update', task);
+
+    switch (status) {
+      case TaskStatus.COMPLETED:
+        stats.successfulTasks++;
+        this.emit('agent-task-progress', { ...this.taskEvent(task), progress: 100 });
+        this.emit('agent-task-complete', { ...this.taskEvent(task), result });
+        break;
+      case TaskStatus.CANCELLED:
+        this.emit('agent-task-cancelled', this.taskEvent(task));
+        break;
+      default:
         stats.failedTasks++;
-        stats.lastError = error.message;
-        throw error;
+        stats.lastError = error;
+        this.emit('agent-error', { ...this.taskEvent(task), error });
+    }
+
+    handle.waiters.forEach(resolve => resolve(this.getTask(task.id)));
+    handle.waiters = [];
+    this.drainQueue(type);
+    return true;
+  }
+
+  /**
+   * Write a snapshot of a task to the store. Writes for the same task are
+   * chained so they land in order; failures are logged and never break the queue.
+   */
+  persistTask(method, task) {
+    const handle = this.taskHandles.get(task.id);
+    const snapshot = { ...task };
+
+    const write = handle.lastWrite
+      .then(() => this.store[method](snapshot))
+      .catch(error => {
+        logger.error('Failed to persist agent task', { taskId: task.id, method, error: error.message });
+      });
+
+    handle.lastWrite = write;
+    this.pendingWrites.add(write);
+    write.finally(() => this.pendingWrites.delete(write));
+    return write;
+  }
+
+  /**
+   * Wait for every outstanding task write
+   */
+  async flushWrites() {
+    await Promise.all([...this.pendingWrites]);
+  }
+
+  /**
+   * Drop finished tasks older than the retention window
+   */
+  pruneFinishedTasks() {
+    const cutoff = Date.now() - this.options.retentionMs;
+    for (const [id, task] of this.tasks) {
+      if (FINAL_TASK_STATES.has(task.status) && Date.parse(task.completedAt) < cutoff) {
+        this.tasks.delete(id);
+        this.taskHandles.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Common payload for task events
+   */
+  taskEvent(task) {
+    return {
+      type: task.agentType,
+      taskId: task.id,
+      action: task.action,
+      userId: task.userId,
+      status: task.status
+    };
+  }
+
+  /**
+   * Maximum number of tasks an agent runs at once
+   */
+  getConcurrencyLimit(type) {
+    return agentConfigs[type]?.maxConcurrency || this.options.maxConcurrency;
+  }
+
+  /**
+   * Default timeout for an agent's tasks
+   */
+  getTaskTimeout(type) {
+    return agentConfigs[type]?.taskTimeoutMs || this.options.taskTimeoutMs;
+  }
+
+  /**
+   * Describe the actions of every agent type with their JSON input schemas
+   */
+  static describeActions() {
+    return Object.entries(AgentManager.agentTypes).reduce((actions, [type, AgentClass]) => {
+      actions[type] = AgentClass.describeActions();
+      return actions;
+    }, {});
+  }
+
+  /**
+   * Describe every workflow with its JSON input schema and step graph
+   */
+  static describeWorkflows() {
+    return Object.entries(AgentManager.workflows).map(([name, workflow]) => ({
+      name,
+      description: workflow.description,
+      roles: workflow.roles || null,
+      inputSchema: toJsonSchema(workflow.input),
+      steps: workflow.steps.map(({ id, agent, action, dependsOn = [], when }) => ({
+        id,
+        agentType: normalizeAgentType(agent),
+        action,
+        dependsOn,
+        conditional: Boolean(when)
+      }))
+    }));
+  }
+
+  /**
+   * Look up a workflow definition by name
+   */
+  static getWorkflow(name) {
+    return Object.hasOwn(AgentManager.workflows, name) ? AgentManager.workflows[name] : null;
+  }
+
+  /**
+   * Whether a user with the given role may start a workflow
+   */
+  static canRunWorkflow(name, role) {
+    const workflow = AgentManager.getWorkflow(name);
+    return Boolean(workflow) && (!workflow.roles || workflow.roles.includes(role));
+  }
+
+  /**
+   * Start a workflow run. Each step runs as an ordinary agent task, so steps
+   * share the agent queues, limits and agent_tasks history. Runs themselves
+   * are kept in memory only.
+   * @param {string} name - Workflow name
+   * @param {Object} input - Validated against the workflow's input schema
+   * @param {Object} options - { userId, priority }
+   * @throws {ZodError} When the input does not match the workflow's schema
+   */
+  startWorkflow(name, input, { userId = null, priority = 'normal' } = {}) {
+    const workflow = AgentManager.getWorkflow(name);
+    if (!workflow) {
+      throw new Error(`Unknown workflow ${name}`);
+    }
+
+    const run = {
+      id: uuidv4(),
+      workflow: name,
+      status: WorkflowStatus.RUNNING,
+      priority,
+      input: workflow.input.parse(input ?? {}),
+      userId,
+      steps: Object.fromEntries(workflow.steps.map(step => [step.id, {
+        status: StepStatus.PENDING,
+        taskId: null,
+        output: null,
+        error: null,
+        attempts: 0
+      }])),
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    this.pruneFinishedWorkflows();
+    this.workflowRuns.set(run.id, run);
+    this.advanceWorkflow(run);
+    return this.getWorkflowRun(run.id);
+  }
+
+  /**
+   * Rerun the failed steps of a failed workflow. Completed steps keep their
+   * outputs and are not run again.
+   * @returns {Object|null} Updated run, or null when the run is unknown
+   */
+  retryWorkflow(runId) {
+    const run = this.workflowRuns.get(runId);
+    if (!run) return null;
+    if (run.status !== WorkflowStatus.FAILED) {
+      throw new Error(`Workflow run ${runId} is ${run.status}`);
+    }
+
+    Object.values(run.steps)
+      .filter(step => step.status === StepStatus.FAILED)
+      .forEach(step => Object.assign(step, { status: StepStatus.PENDING, error: null }));
+    Object.assign(run, { status: WorkflowStatus.RUNNING, error: null, completedAt: null });
+
+    this.advanceWorkflow(run);
+    return this.getWorkflowRun(runId);
+  }
+
+  /**
+   * Cancel a running workflow and the tasks of its running steps
+   * @returns {Object|null} Updated run, or null when the run is unknown
+   */
+  cancelWorkflow(runId, reason = 'Cancelled by user') {
+    const run = this.workflowRuns.get(runId);
+    if (!run) return null;
+    if (run.status !== WorkflowStatus.RUNNING) return this.getWorkflowRun(runId);
+
+    this.finishWorkflow(run, WorkflowStatus.CANCELLED, { error: reason });
+    Object.values(run.steps).forEach(step => {
+      if (step.status === StepStatus.RUNNING && step.taskId) {
+        this.cancelTask(step.taskId, reason);
+      }
+    });
+    return this.getWorkflowRun(runId);
+  }
+
+  /**
+   * Get a snapshot of a workflow run, or null when it is unknown or expired
+   */
+  getWorkflowRun(runId) {
+    const run = this.workflowRuns.get(runId);
+    if (!run) return null;
+
+    return {
+      ...run,
+      steps: Object.fromEntries(Object.entries(run.steps).map(([id, step]) => [id, { ...step }])),
+      progress: this.workflowProgress(run)
+    };
+  }
+
+  /**
+   * Resolve with the run snapshot once the workflow completes, fails or is cancelled
+   */
+  waitForWorkflow(runId) {
+    const run = this.workflowRuns.get(runId);
+    if (!run) {
+      return Promise.reject(new Error(`Workflow run ${runId} not found`));
+    }
+    if (run.status !== WorkflowStatus.RUNNING) {
+      return Promise.resolve(this.getWorkflowRun(runId));
+    }
+    return new Promise(resolve => {
+      const waiters = this.workflowWaiters.get(runId) || [];
+      this.workflowWaiters.set(runId, [...waiters, resolve]);
+    });
+  }
+
+  /**
+   * Start every step whose dependencies are done, skip steps whose branch
+   * condition is false, and finish the run once nothing is left to start
+   */
+  advanceWorkflow(run) {
+    if (run.status !== WorkflowStatus.RUNNING) return;
+
+    const workflow = AgentManager.workflows[run.workflow];
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const step of workflow.steps) {
+        const state = run.steps[step.id];
+        if (state.status !== StepStatus.PENDING) continue;
+
+        const ready = (step.dependsOn || []).every(id =>
+          [StepStatus.COMPLETED, StepStatus.SKIPPED].includes(run.steps[id].status));
+        if (!ready) continue;
+
+        try {
+          if (step.when && !step.when(this.workflowContext(run))) {
+            state.status = StepStatus.SKIPPED;
+            this.emit('agent-task-progress', this.workflowEvent(run, step.id));
+            changed = true;
+            continue;
+          }
+        } catch (error) {
+          Object.assign(state, { status: StepStatus.FAILED, error: error.message });
+          continue;
+        }
+
+        this.runWorkflowStep(run, step);
+      }
+    }
+
+    const states = Object.values(run.steps).map(step => step.status);
+    if (states.includes(StepStatus.RUNNING)) return;
+
+    const [failedId, failed] = Object.entries(run.steps).find(([, step]) => step.status === StepStatus.FAILED) || [];
+    if (failed) {
+      this.finishWorkflow(run, WorkflowStatus.FAILED, { error: `Step ${failedId} failed: ${failed.error}` });
+      return;
+    }
+
+    const context = this.workflowContext(run);
+    try {
+      const result = workflow.result ? workflow.result(context) : context.steps;
+      this.finishWorkflow(run, WorkflowStatus.COMPLETED, { result });
+    } catch (error) {
+      this.finishWorkflow(run, WorkflowStatus.FAILED, { error: error.message });
+    }
+  }
+
+  /**
+   * Run one workflow step as an agent task, then advance the workflow
+   */
+  async runWorkflowStep(run, step) {
+    const state = run.steps[step.id];
+    Object.assign(state, { status: StepStatus.RUNNING, taskId: null, error: null });
+    state.attempts++;
+    this.emit('agent-task-progress', this.workflowEvent(run, step.id));
+
+    try {
+      const task = await this.submitTask(normalizeAgentType(step.agent), {
+        action: step.action,
+        input: step.input ? step.input(this.workflowContext(run)) : run.input,
+        userId: run.userId
+      }, { priority: run.priority });
+      state.taskId = task.id;
+
+      // The run may have been cancelled while the task was being queued
+      if (run.status === WorkflowStatus.CANCELLED) {
+        this.cancelTask(task.id, run.error);
+      }
+
+      const finished = await this.waitForTask(task.id);
+      if (finished.status !== TaskStatus.COMPLETED) {
+        throw new Error(finished.error || `Task ${task.id} ${finished.status}`);
+      }
+      Object.assign(state, { status: StepStatus.COMPLETED, output: finished.result });
+    } catch (error) {
+      Object.assign(state, {
+        status: run.status === WorkflowStatus.CANCELLED ? StepStatus.CANCELLED : StepStatus.FAILED,
+        error: error.message
+      });
+    }
+
+    if (run.status !== WorkflowStatus.RUNNING) return;
+    this.emit('agent-task-progress', this.workflowEvent(run, step.id));
+    this.advanceWorkflow(run);
+  }
+
+  /**
+   * Move a workflow run to a final state and notify listeners
+   */
+  finishWorkflow(run, status, { result = null, error = null } = {}) {
+    Object.assign(run, {
+      status,
+      result,
+      error,
+      completedAt: new Date().toISOString()
+    });
+
+    switch (status) {
+      case WorkflowStatus.COMPLETED:
+        this.emit('agent-task-progress', this.workflowEvent(run));
+        this.emit('agent-task-complete', { ...this.workflowEvent(run), result });
+        break;
+      case WorkflowStatus.CANCELLED:
+        this.emit('agent-task-cancelled', this.workflowEvent(run));
+        break;
+      default:
+        logger.error('Workflow failed', { workflowId: run.id, workflow: run.workflow, error });
+        this.emit('agent-error', { ...this.workflowEvent(run), error, retryable: true });
+    }
+
+    (this.workflowWaiters.get(run.id) || []).forEach(resolve => resolve(this.getWorkflowRun(run.id)));
+    this.workflowWaiters.delete(run.id);
+  }
+
+  /**
+   * The workflow input plus the outputs of completed steps
+   */
+  workflowContext(run) {
+    const steps = {};
+    Object.entries(run.steps).forEach(([id, step]) => {
+      if (step.status === StepStatus.COMPLETED) steps[id] = step.output;
+    });
+    return { input: run.input, steps };
+  }
+
+  /**
+   * Percentage of steps that completed or were skipped
+   */
+  workflowProgress(run) {
+    const steps = Object.values(run.steps);
+    const done = steps.filter(step => [StepStatus.COMPLETED, StepStatus.SKIPPED].includes(step.status)).length;
+    return Math.round((done / steps.length) * 100);
+  }
+
+  /**
+   * Common payload for workflow events, with the changed step when there is one
+   */
+  workflowEvent(run, stepId = null) {
+    const step = stepId && run.steps[stepId];
+    return {
+      type: 'workflow',
+      workflowId: run.id,
+      workflow: run.workflow,
+      userId: run.userId,
+      status: run.status,
+      progress: this.workflowProgress(run),
+      ...(step && {
+        step: {
+          id: stepId,
+          status: step.status,
+          taskId: step.taskId,
+          attempts: step.attempts,
+          error: step.error
+        }
+      })
+    };
+  }
+
+  /**
+   * Drop finished workflow runs older than the retention window
+   */
+  pruneFinishedWorkflows() {
+    const cutoff = Date.now() - this.options.retentionMs;
+    for (const [id, run] of this.workflowRuns) {
+      if (run.status !== WorkflowStatus.RUNNING && Date.parse(run.completedAt) < cutoff) {
+        this.workflowRuns.delete(id);
       }
+    }
+  }
+
+  /**
+   * Stream a chat task from an agent. Yields text deltas as they arrive.
+   */
+  async *streamTask(type, taskData) {
+    const agent = this.agents.get(type);
+    if (!agent) {
+      const error = new Error(`Agent ${type} is not running`);
+      this.emit('agent-error', { type, error: error.message });
+      throw error;
+    }
+
+    const startTime = Date.now();
+    const stats = this.agentStats.get(type);
+    stats.totalTasks++;
+    this.emit('agent-task-progress', { type, progress: 0 });
+
+    try {
+      yield* agent.streamQuery(taskData.query, taskData.userId, taskData.context, {
+        conversationId: taskData.conversationId
+      });
+
+      stats.successfulTasks++;
+      stats.averageResponseTime = (stats.averageResponseTime * (stats.successfulTasks - 1) +
+        (Date.now() - startTime)) / stats.successfulTasks;
+
+      this.emit('agent-task-progress', { type, progress: 100 });
     } catch (error) {
+      stats.failedTasks++;
+      stats.lastError = error.message;
       this.emit('agent-error', { type, error: error.message });
       throw error;
     }
@@ -175,10 +980,13 @@ class AgentManager extends EventEmitter {
     const agent = this.agents.get(type);
     const stats = this.agentStats.get(type);
     const queueLength = (this.taskQueues.get(type) || []).length;
+    const runningTasks = (this.runningTasks.get(type) || new Set()).size;
 
     return {
       status: agent ? AgentState.RUNNING : AgentState.STOPPED,
       queueLength,
+      runningTasks,
+      maxConcurrency: this.getConcurrencyLimit(type),
       stats: {
         ...stats,
         uptime: stats.startTime ? Date.now() - stats.startTime : 0,
@@ -209,7 +1017,7 @@ class AgentManager extends EventEmitter {
         throw new Error(`Agent ${type} is not running`);
       }
 
-      agent.clearCache();
+      await agent.clearCache();
       this.emit('agent-cache-cleared', { type });
       return { success: true, message: `Cache cleared for agent ${type}` };
     } catch (error) {
@@ -229,7 +1037,27 @@ export function normalizeAgentType(input) {
   return AgentManager.agentAliases[key] || key;
 }
 
+/**
+ * Agent that answers chat messages for each chat context type
+ */
+const chatContextAgents = {
+  product: 'productRecommendation',
+  support: 'customerSupport',
+  artisan: 'artisanAssistant',
+  order: 'orderProcessing'
+};
+
+/**
+ * Resolve the agent type that handles a chat context
+ * @param {string} contextType - Chat context type (product, support, artisan, order)
+ * @returns {string|null} Canonical agent type, or null for unknown contexts
+ */
+export function resolveChatAgentType(contextType) {
+  const alias = chatContextAgents[contextType];
+  return alias ? normalizeAgentType(alias) : null;
+}
+
 // Create and export singleton instance
 const agentManager = new AgentManager();
 export default agentManager;
-export { AgentManager };
\ No newline at end of file
+export { AgentManager, TaskStatus, TaskPriority, WorkflowStatus, StepStatus };
\ No newline at end of file
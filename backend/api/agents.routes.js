@@ -1,7 +1,7 @@
 import { Router } from 'express';
 import { z } from 'zod';
 import { authenticate, validateRequest, requireRole, rateLimits } from './middleware.js';
-import agentManager, { normalizeAgentType, AgentManager } from './agentManager.js';
+import agentManager, { normalizeAgentType, AgentManager, TaskStatus, WorkflowStatus } from './agentManager.js';
 
 const router = Router();
 
@@ -15,7 +15,8 @@ const agentConfigSchema = z.object({
 const agentTaskSchema = z.object({
   body: z.object({
     query: z.string().min(1, 'Query is required'),
-    parameters: z.record(z.any()).optional()
+    parameters: z.record(z.any()).optional(),
+    priority: z.enum(['high', 'normal', 'low']).default('normal')
   }),
   params: z.object({
     agentType: z.string().transform(normalizeAgentType).refine(v => v in AgentManager.agentTypes, 'Unknown agent type')
@@ -28,6 +29,84 @@ const agentTypeParamSchema = z.object({
   })
 });
 
+const agentActionSchema = z.object({
+  body: z.object({
+    input: z.record(z.any()).default({}),
+    priority: z.enum(['high', 'normal', 'low']).default('normal')
+  }),
+  params: z.object({
+    agentType: z.string().transform(normalizeAgentType).refine(v => v in AgentManager.agentTypes, 'Unknown agent type'),
+    action: z.string().min(1)
+  })
+});
+
+const workflowStartSchema = z.object({
+  body: z.object({
+    input: z.record(z.any()).default({}),
+    priority: z.enum(['high', 'normal', 'low']).default('normal')
+  }),
+  params: z.object({
+    workflow: z.string().min(1)
+  })
+});
+
+const workflowRunParamSchema = z.object({
+  params: z.object({
+    runId: z.string().uuid('Invalid workflow run ID')
+  })
+});
+
+const taskIdParamSchema = z.object({
+  params: z.object({
+    taskId: z.string().uuid('Invalid task ID')
+  })
+});
+
+const taskListSchema = z.object({
+  query: z.object({
+    status: z.enum(Object.values(TaskStatus)).optional(),
+    agentType: z.string().transform(normalizeAgentType).refine(v => v in AgentManager.agentTypes, 'Unknown agent type').optional(),
+    page: z.coerce.number().int().positive().default(1),
+    limit: z.coerce.number().int().positive().max(100).default(20)
+  })
+});
+
+/**
+ * Respond 202 with the ID and queue position of a submitted task
+ */
+const sendTaskAccepted = (req, res, task) => {
+  res.status(202)
+    .location(`${req.baseUrl}/tasks/${task.id}`)
+    .json({
+      success: true,
+      data: {
+        taskId: task.id,
+        status: task.status,
+        queuePosition: task.queuePosition
+      }
+    });
+};
+
+/**
+ * Look up a task the current user may see: their own tasks, or any task for admins
+ */
+const findUserTask = async (req) => {
+  const task = await agentManager.findTask(req.validated.params.taskId);
+  if (!task) return null;
+  if (task.userId !== req.user.id && req.userProfile?.role !== 'admin') return null;
+  return task;
+};
+
+/**
+ * Look up a workflow run the current user may see
+ */
+const findUserWorkflowRun = (req) => {
+  const run = agentManager.getWorkflowRun(req.validated.params.runId);
+  if (!run) return null;
+  if (run.userId !== req.user.id && req.userProfile?.role !== 'admin') return null;
+  return run;
+};
+
 /**
  * Get all available agents and their status
  * GET /api/agents
@@ -60,6 +139,254 @@ router.get('/status',
   }
 );
 
+/**
+ * List every agent's actions with their JSON input schemas
+ * GET /api/agents/actions
+ */
+router.get('/actions',
+  authenticate,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: AgentManager.describeActions()
+    });
+  }
+);
+
+/**
+ * List the workflows with their JSON input schemas and steps
+ * GET /api/agents/workflows
+ */
+router.get('/workflows',
+  authenticate,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: AgentManager.describeWorkflows()
+    });
+  }
+);
+
+/**
+ * Get a workflow run with the status and output of each step
+ * GET /api/agents/workflows/runs/:runId
+ */
+router.get('/workflows/runs/:runId',
+  authenticate,
+  validateRequest(workflowRunParamSchema),
+  (req, res) => {
+    const run = findUserWorkflowRun(req);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Workflow run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  }
+);
+
+/**
+ * Rerun the failed steps of a failed workflow run
+ * POST /api/agents/workflows/runs/:runId/retry
+ */
+router.post('/workflows/runs/:runId/retry',
+  authenticate,
+  rateLimits.agents,
+  validateRequest(workflowRunParamSchema),
+  (req, res, next) => {
+    try {
+      const run = findUserWorkflowRun(req);
+      if (!run) {
+        return res.status(404).json({
+          error: 'Workflow run not found'
+        });
+      }
+
+      if (run.status !== WorkflowStatus.FAILED) {
+        return res.status(409).json({
+          error: 'Workflow run has not failed',
+          message: `Workflow run is ${run.status}`
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        data: agentManager.retryWorkflow(run.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Cancel a running workflow run
+ * DELETE /api/agents/workflows/runs/:runId
+ */
+router.delete('/workflows/runs/:runId',
+  authenticate,
+  rateLimits.agents,
+  validateRequest(workflowRunParamSchema),
+  (req, res) => {
+    const run = findUserWorkflowRun(req);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Workflow run not found'
+      });
+    }
+
+    if (run.status !== WorkflowStatus.RUNNING) {
+      return res.status(409).json({
+        error: 'Workflow run already finished',
+        message: `Workflow run is ${run.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: agentManager.cancelWorkflow(run.id)
+    });
+  }
+);
+
+/**
+ * Start a workflow run
+ * POST /api/agents/workflows/:workflow
+ *
+ * Responds 202 with the run; step progress arrives as agent-task-progress
+ * socket events with type 'workflow'.
+ */
+router.post('/workflows/:workflow',
+  authenticate,
+  rateLimits.agents,
+  validateRequest(workflowStartSchema),
+  (req, res, next) => {
+    try {
+      const { workflow } = req.validated.params;
+      const { input, priority } = req.validated.body;
+
+      if (!AgentManager.getWorkflow(workflow)) {
+        return res.status(404).json({
+          error: 'Workflow not found',
+          message: `No workflow named ${workflow}`
+        });
+      }
+
+      if (!AgentManager.canRunWorkflow(workflow, req.userProfile?.role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Insufficient permissions'
+        });
+      }
+
+      const run = agentManager.startWorkflow(workflow, input, { userId: req.user.id, priority });
+
+      res.status(202)
+        .location(`${req.baseUrl}/workflows/runs/${run.id}`)
+        .json({
+          success: true,
+          data: run
+        });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List the current user's tasks, newest first
+ * GET /api/agents/tasks
+ */
+router.get('/tasks',
+  authenticate,
+  validateRequest(taskListSchema),
+  async (req, res, next) => {
+    try {
+      const { status, agentType, page, limit } = req.validated.query;
+      const { tasks, total } = await agentManager.listTasks(req.user.id, {
+        status,
+        agentType,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          tasks,
+          pagination: { page, limit, total }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get a task's status and result
+ * GET /api/agents/tasks/:taskId
+ */
+router.get('/tasks/:taskId',
+  authenticate,
+  validateRequest(taskIdParamSchema),
+  async (req, res, next) => {
+    try {
+      const task = await findUserTask(req);
+      if (!task) {
+        return res.status(404).json({
+          error: 'Task not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: task
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Cancel a queued or running task
+ * DELETE /api/agents/tasks/:taskId
+ */
+router.delete('/tasks/:taskId',
+  authenticate,
+  rateLimits.agents,
+  validateRequest(taskIdParamSchema),
+  async (req, res, next) => {
+    try {
+      const task = await findUserTask(req);
+      if (!task) {
+        return res.status(404).json({
+          error: 'Task not found'
+        });
+      }
+
+      if (task.status !== TaskStatus.QUEUED && task.status !== TaskStatus.RUNNING) {
+        return res.status(409).json({
+          error: 'Task already finished',
+          message: `Task is ${task.status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: agentManager.cancelTask(task.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * Start a specific agent
  * POST /api/agents/:agentType/start
@@ -112,8 +439,11 @@ router.post('/:agentType/stop',
 );
 
 /**
- * Submit task to specific agent
+ * Queue a task for a specific agent
  * POST /api/agents/:agentType/task
+ *
+ * Responds 202 with the task ID; poll GET /api/agents/tasks/:taskId or
+ * listen for the agent-task-* socket events for the result.
  */
 router.post('/:agentType/task',
   authenticate,
@@ -122,18 +452,59 @@ router.post('/:agentType/task',
   async (req, res, next) => {
     try {
       const { agentType } = req.validated.params;
-      const { query, parameters } = req.validated.body;
+      const { query, parameters, priority } = req.validated.body;
 
-      const result = await agentManager.submitTask(agentType, {
-        query,
-        userId: req.user.id,
-        parameters
-      });
+      const task = await agentManager.submitTask(agentType, {
+        action: 'query',
+        input: { query, context: parameters },
+        userId: req.user.id
+      }, { priority });
 
-      res.json({
-        success: true,
-        data: result
-      });
+      sendTaskAccepted(req, res, task);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Queue one of an agent's named actions
+ * POST /api/agents/:agentType/actions/:action
+ *
+ * The body's `input` is validated against the action's schema (see
+ * GET /api/agents/actions). Responds 202 like POST /:agentType/task.
+ */
+router.post('/:agentType/actions/:action',
+  authenticate,
+  rateLimits.agents,
+  validateRequest(agentActionSchema),
+  async (req, res, next) => {
+    try {
+      const { agentType, action } = req.validated.params;
+      const { input, priority } = req.validated.body;
+      const AgentClass = AgentManager.agentTypes[agentType];
+
+      if (!AgentClass.getAction(action)) {
+        return res.status(404).json({
+          error: 'Action not found',
+          message: `${agentType} has no action ${action}`
+        });
+      }
+
+      if (!AgentClass.canRunAction(action, req.userProfile?.role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Insufficient permissions'
+        });
+      }
+
+      const task = await agentManager.submitTask(agentType, {
+        action,
+        input,
+        userId: req.user.id
+      }, { priority });
+
+      sendTaskAccepted(req, res, task);
     } catch (error) {
       next(error);
     }
@@ -1,7 +1,10 @@
 import { Router } from 'express';
 import { z } from 'zod';
-import { authenticate, validateRequest, rateLimits } from './middleware.js';
-import agentManager, { normalizeAgentType } from './agentManager.js';
+import { authenticate, validateRequest, requireRole, rateLimits } from './middleware.js';
+import agentManager, { AgentManager, normalizeAgentType, resolveChatAgentType } from './agentManager.js';
+import { EventTypes } from './websocket.js';
+import conversationStore from '../services/conversationStore.js';
+import aiUsageTracker, { startOfMonth } from '../services/aiUsage.js';
 
 const router = Router();
 
@@ -9,6 +12,8 @@ const router = Router();
 const chatSchema = z.object({
   body: z.object({
     message: z.string().min(1, 'Message is required'),
+    // Omit to start a new conversation
+    conversationId: z.string().uuid('Invalid conversation ID').optional(),
     context: z.object({
       type: z.enum(['product', 'support', 'artisan', 'order']),
       data: z.record(z.any()).optional()
@@ -16,6 +21,27 @@ const chatSchema = z.object({
   })
 });
 
+const conversationListSchema = z.object({
+  query: z.object({
+    page: z.coerce.number().int().positive().default(1),
+    limit: z.coerce.number().int().positive().max(100).default(20)
+  })
+});
+
+const usageSchema = z.object({
+  query: z.object({
+    from: z.string().datetime().optional(),
+    to: z.string().datetime().optional(),
+    groupBy: z.enum(['agent_type', 'user', 'artisan', 'model']).default('agent_type')
+  })
+});
+
+const conversationIdParamSchema = z.object({
+  params: z.object({
+    conversationId: z.string().uuid('Invalid conversation ID')
+  })
+});
+
 const generateSchema = z.object({
   body: z.object({
     type: z.enum([
@@ -45,6 +71,90 @@ const analyzeSchema = z.object({
   })
 });
 
+// Generation and analysis types mapped onto agent actions
+const generationActions = {
+  product_description: {
+    action: 'generateProductDescription',
+    toInput: (input, parameters) => ({ productDetails: input, targetAudience: parameters })
+  },
+  artisan_story: {
+    action: 'createArtisanStory',
+    toInput: (input, parameters = {}) => ({ artisanProfile: input, achievements: parameters.achievements })
+  },
+  marketing_content: {
+    action: 'generateMarketingContent',
+    toInput: (input, parameters = {}) => ({ campaign: input, products: parameters.products, audience: parameters.audience })
+  },
+  seo_content: {
+    action: 'optimizeForSEO',
+    toInput: ({ content, keywords }, parameters = {}) => ({ content, keywords, platform: parameters.platform })
+  }
+};
+
+const analysisActions = {
+  business_insights: {
+    agentType: 'artisanAssistant',
+    action: 'getBusinessInsights',
+    toInput: (data, timeframe) => ({ artisanId: data.artisanId, timeframe })
+  },
+  market_analysis: {
+    agentType: 'artisanAssistant',
+    action: 'suggestPricing',
+    toInput: ({ productData, marketContext }) => ({ productData, marketContext })
+  },
+  customer_feedback: {
+    agentType: 'customerSupport',
+    action: 'analyzeFeedback',
+    toInput: (data, timeframe) => ({ ...data, timeframe })
+  },
+  performance_metrics: {
+    agentType: 'orderProcessing',
+    action: 'analyzePerformance',
+    toInput: ({ artisanId, ...metrics }, timeframe) => ({ artisanId, metrics, timeframe })
+  }
+};
+
+/**
+ * Run an agent action on behalf of the current user, or respond 403 when
+ * their role may not call it
+ */
+const runAgentAction = async (req, res, agentType, action, input) => {
+  if (!AgentManager.agentTypes[agentType].canRunAction(action, req.userProfile?.role)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Insufficient permissions'
+    });
+  }
+
+  const result = await agentManager.executeTask(agentType, {
+    action,
+    input,
+    userId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+};
+
+/**
+ * The conversation a chat message belongs to: the user's existing
+ * conversation when an ID is given (null if it is not theirs), otherwise a
+ * new one titled after the message
+ */
+const openConversation = async (req, agentType) => {
+  const { message, conversationId } = req.validated.body;
+  if (conversationId) {
+    return conversationStore.get(conversationId, req.user.id);
+  }
+  return conversationStore.create({ userId: req.user.id, agentType, firstMessage: message });
+};
+
+const sendConversationNotFound = (res) => res.status(404).json({
+  error: 'Conversation not found'
+});
+
 /**
  * Route for general AI chat functionality
  * POST /api/ai/chat
@@ -58,34 +168,27 @@ router.post('/chat',
       const { message, context } = req.validated.body;
 
       // Select appropriate agent based on context
-      let agentType;
-      switch (context.type) {
-        case 'product':
-          agentType = normalizeAgentType('productRecommendation');
-          break;
-        case 'support':
-          agentType = normalizeAgentType('customerSupport');
-          break;
-        case 'artisan':
-          agentType = normalizeAgentType('artisanAssistant');
-          break;
-        case 'order':
-          agentType = normalizeAgentType('orderProcessing');
-          break;
-        default:
-          throw new Error('Invalid context type');
+      const agentType = resolveChatAgentType(context.type);
+      if (!agentType) {
+        throw new Error('Invalid context type');
       }
 
-      // Submit task to agent
-      const result = await agentManager.submitTask(agentType, {
-        query: message,
-        userId: req.user.id,
-        context: context.data
-      });
+      const conversation = await openConversation(req, agentType);
+      if (!conversation) return sendConversationNotFound(res);
+
+      // Queue ahead of background jobs and wait for the agent's answer
+      const result = await agentManager.executeTask(agentType, {
+        action: 'query',
+        input: { query: message, context: context.data, conversationId: conversation.id },
+        userId: req.user.id
+      }, { priority: 'high' });
 
       res.json({
         success: true,
-        data: result
+        data: {
+          ...result,
+          conversationId: conversation.id
+        }
       });
     } catch (error) {
       next(error);
@@ -93,6 +196,79 @@ router.post('/chat',
   }
 );
 
+/**
+ * Streaming variant of /chat using server-sent events
+ * POST /api/ai/chat/stream
+ *
+ * Emits `ai-thinking`, then one `ai-response-chunk` per text delta, then
+ * `ai-response` with the full answer (or `ai-error`). `ai-thinking` and
+ * `ai-response` carry the conversation ID.
+ */
+router.post('/chat/stream',
+  authenticate,
+  rateLimits.ai,
+  validateRequest(chatSchema),
+  async (req, res, next) => {
+    const { message, context } = req.validated.body;
+    const agentType = resolveChatAgentType(context.type);
+
+    let conversation;
+    try {
+      conversation = await openConversation(req, agentType);
+    } catch (error) {
+      return next(error);
+    }
+    if (!conversation) return sendConversationNotFound(res);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify({ ...data, agentType, timestamp: new Date().toISOString() })}\n\n`);
+      // Push through the compression middleware immediately
+      res.flush?.();
+    };
+
+    let clientClosed = false;
+    res.on('close', () => {
+      clientClosed = !res.writableEnded;
+    });
+
+    send(EventTypes.AI.THINKING, { conversationId: conversation.id });
+
+    let response = '';
+    try {
+      const stream = agentManager.streamTask(agentType, {
+        query: message,
+        userId: req.user.id,
+        context: context.data,
+        conversationId: conversation.id
+      });
+
+      for await (const text of stream) {
+        if (clientClosed) break;
+        response += text;
+        send(EventTypes.AI.RESPONSE_CHUNK, { text });
+      }
+
+      if (!clientClosed) {
+        send(EventTypes.AI.RESPONSE, { response, conversationId: conversation.id });
+      }
+    } catch (error) {
+      const showMessage = process.env.NODE_ENV === 'development' || error.message.includes('AI quota exceeded');
+      send(EventTypes.AI.ERROR, {
+        message: showMessage ? error.message : 'AI service temporarily unavailable'
+      });
+    } finally {
+      res.end();
+    }
+  }
+);
+
 /**
  * Route for content generation
  * POST /api/ai/generate
@@ -104,30 +280,9 @@ router.post('/generate',
   async (req, res, next) => {
     try {
       const { type, input, parameters } = req.validated.body;
-      const agent = agentManager.agents.get(normalizeAgentType('contentGeneration'));
-
-      let result;
-      switch (type) {
-        case 'product_description':
-          result = await agent.generateProductDescription(input, parameters);
-          break;
-        case 'artisan_story':
-          result = await agent.createArtisanStory(input, parameters);
-          break;
-        case 'marketing_content':
-          result = await agent.generateMarketingContent(input, parameters);
-          break;
-        case 'seo_content':
-          result = await agent.optimizeForSEO(input, parameters);
-          break;
-        default:
-          throw new Error('Invalid generation type');
-      }
+      const { action, toInput } = generationActions[type];
 
-      res.json({
-        success: true,
-        data: result
-      });
+      await runAgentAction(req, res, normalizeAgentType('contentGeneration'), action, toInput(input, parameters));
     } catch (error) {
       next(error);
     }
@@ -145,37 +300,124 @@ router.post('/analyze',
   async (req, res, next) => {
     try {
       const { type, data, timeframe } = req.validated.body;
+      const { agentType, action, toInput } = analysisActions[type];
 
-      // Select appropriate agent based on analysis type
-      let agentType;
-      let method;
-      switch (type) {
-        case 'business_insights':
-          agentType = normalizeAgentType('artisanAssistant');
-          method = 'getBusinessInsights';
-          break;
-        case 'market_analysis':
-          agentType = normalizeAgentType('artisanAssistant');
-          method = 'suggestPricing';
-          break;
-        case 'customer_feedback':
-          agentType = normalizeAgentType('customerSupport');
-          method = 'analyzeFeedback';
-          break;
-        case 'performance_metrics':
-          agentType = normalizeAgentType('orderProcessing');
-          method = 'analyzePerformance';
-          break;
-        default:
-          throw new Error('Invalid analysis type');
-      }
+      await runAgentAction(req, res, normalizeAgentType(agentType), action, toInput(data, timeframe));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List the current user's conversations, most recently active first
+ * GET /api/ai/conversations
+ */
+router.get('/conversations',
+  authenticate,
+  validateRequest(conversationListSchema),
+  async (req, res, next) => {
+    try {
+      const { page, limit } = req.validated.query;
+      const { conversations, total } = await conversationStore.listForUser(req.user.id, {
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          conversations,
+          pagination: { page, limit, total }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get a conversation with its messages, to resume it
+ * GET /api/ai/conversations/:conversationId
+ */
+router.get('/conversations/:conversationId',
+  authenticate,
+  validateRequest(conversationIdParamSchema),
+  async (req, res, next) => {
+    try {
+      const conversation = await conversationStore.get(req.validated.params.conversationId, req.user.id);
+      if (!conversation) return sendConversationNotFound(res);
+
+      const messages = await conversationStore.getMessages(conversation.id);
+
+      res.json({
+        success: true,
+        data: {
+          ...conversation,
+          messages
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Delete a conversation and its messages
+ * DELETE /api/ai/conversations/:conversationId
+ */
+router.delete('/conversations/:conversationId',
+  authenticate,
+  validateRequest(conversationIdParamSchema),
+  async (req, res, next) => {
+    try {
+      const deleted = await conversationStore.delete(req.validated.params.conversationId, req.user.id);
+      if (!deleted) return sendConversationNotFound(res);
+
+      res.json({
+        success: true,
+        data: { id: req.validated.params.conversationId, deleted: true }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * AI spend for a period, broken down by agent type, user, artisan or model.
+ * Defaults to the current month.
+ * GET /api/ai/usage
+ */
+router.get('/usage',
+  authenticate,
+  requireRole(['admin']),
+  validateRequest(usageSchema),
+  async (req, res, next) => {
+    try {
+      const {
+        from = startOfMonth(),
+        to = new Date().toISOString(),
+        groupBy
+      } = req.validated.query;
 
-      const agent = agentManager.agents.get(agentType);
-      const result = await agent[method](data, timeframe);
+      const breakdown = await aiUsageTracker.getBreakdown({ from, to, groupBy });
+      const totals = breakdown.reduce((sum, row) => ({
+        requests: sum.requests + row.requests,
+        totalTokens: sum.totalTokens + row.totalTokens,
+        costUsd: Math.round((sum.costUsd + row.costUsd) * 1e6) / 1e6
+      }), { requests: 0, totalTokens: 0, costUsd: 0 });
 
       res.json({
         success: true,
-        data: result
+        data: {
+          period: { from, to },
+          groupBy,
+          totals,
+          breakdown
+        }
       });
     } catch (error) {
       next(error);
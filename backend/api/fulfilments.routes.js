@@ -0,0 +1,156 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { authenticate, validateRequest, rateLimits } from './middleware.js';
+import fulfilmentService from '../services/fulfilmentService.js';
+import shipmentService from '../services/shipmentService.js';
+import invoiceService from '../services/invoiceService.js';
+
+const router = Router();
+
+const FULFILMENT_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Input validation schemas
+const listFulfilmentsSchema = z.object({
+  query: z.object({
+    status: z.enum(FULFILMENT_STATUSES).optional()
+  })
+});
+
+const updateFulfilmentSchema = z.object({
+  body: z.object({
+    status: z.enum(FULFILMENT_STATUSES).optional(),
+    carrier: z.string().max(100).optional(),
+    trackingNumber: z.string().max(100).optional()
+  }).refine(body => Object.keys(body).length > 0, 'Nothing to update'),
+  params: z.object({
+    fulfilmentId: z.string().uuid('Invalid fulfilment ID')
+  })
+});
+
+const bookShipmentSchema = z.object({
+  body: z.object({
+    // A service the carrier quoted; the carrier's default when left out
+    service: z.string().max(100).optional()
+  }),
+  params: z.object({
+    fulfilmentId: z.string().uuid('Invalid fulfilment ID')
+  })
+});
+
+const invoiceSchema = z.object({
+  params: z.object({
+    fulfilmentId: z.string().uuid('Invalid fulfilment ID')
+  })
+});
+
+/**
+ * Respond with the status and message of a known fulfilment error, or pass it on
+ */
+const sendFulfilmentError = (res, next, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: 'Fulfilment update failed',
+      message: error.message
+    });
+  }
+  next(error);
+};
+
+/**
+ * The signed-in artisan's share of each order
+ * GET /api/fulfilments
+ */
+router.get('/',
+  authenticate,
+  rateLimits.api,
+  validateRequest(listFulfilmentsSchema),
+  async (req, res, next) => {
+    try {
+      const fulfilments = await fulfilmentService.listForArtisan(req.user.id, req.validated.query);
+
+      res.json({
+        success: true,
+        data: fulfilments
+      });
+    } catch (error) {
+      sendFulfilmentError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Update the status or tracking of one of the artisan's fulfilments
+ * PATCH /api/fulfilments/:fulfilmentId
+ */
+router.patch('/:fulfilmentId',
+  authenticate,
+  rateLimits.api,
+  validateRequest(updateFulfilmentSchema),
+  async (req, res, next) => {
+    try {
+      const fulfilment = await fulfilmentService.updateFulfilment(
+        req.user.id,
+        req.validated.params.fulfilmentId,
+        req.validated.body
+      );
+
+      res.json({
+        success: true,
+        data: fulfilment
+      });
+    } catch (error) {
+      sendFulfilmentError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Book the carrier label for one of the artisan's processing fulfilments.
+ * The fulfilment ships when the carrier reports the parcel picked up.
+ * POST /api/fulfilments/:fulfilmentId/shipment
+ */
+router.post('/:fulfilmentId/shipment',
+  authenticate,
+  rateLimits.api,
+  validateRequest(bookShipmentSchema),
+  async (req, res, next) => {
+    try {
+      const shipment = await shipmentService.bookFulfilmentShipment(
+        req.user.id,
+        req.validated.params.fulfilmentId,
+        req.validated.body
+      );
+
+      res.status(201).json({
+        success: true,
+        data: shipment
+      });
+    } catch (error) {
+      sendFulfilmentError(res, next, error);
+    }
+  }
+);
+
+/**
+ * The GST invoice of one of the artisan's fulfilments, with a PDF download link
+ * GET /api/fulfilments/:fulfilmentId/invoice
+ */
+router.get('/:fulfilmentId/invoice',
+  authenticate,
+  rateLimits.api,
+  validateRequest(invoiceSchema),
+  async (req, res, next) => {
+    try {
+      const invoice = await invoiceService.getForArtisan(req.user.id, req.validated.params.fulfilmentId);
+
+      res.json({
+        success: true,
+        data: invoice
+      });
+    } catch (error) {
+      sendFulfilmentError(res, next, error);
+    }
+  }
+);
+
+export default router;
@@ -1,7 +1,7 @@
 import { Router } from 'express';
 import os from 'os';
 import { supabaseAdmin } from '../config/database.js';
-import { geminiClient } from '../config/ai.js';
+import { getProvider } from '../services/llm/index.js';
 import agentManager from './agentManager.js';
 
 const router = Router();
@@ -100,36 +100,22 @@ router.get('/database', async (req, res) => {
  * GET /api/health/ai
  */
 router.get('/ai', async (req, res) => {
+  const provider = getProvider();
   try {
-    const startTime = Date.now();
-    
-    // Test Gemini API with a simple prompt
-    const model = geminiClient.getGenerativeModel({
-      model: process.env.AI_MODEL || 'gemini-2.0-flash-001'
-    });
-    
-    await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: 'Test connection' }] }]
-    });
-
-    const responseTime = Date.now() - startTime;
+    // Test the default LLM provider with a simple prompt
+    const ai = await provider.healthCheck();
 
     res.status(200).json({
       status: 'healthy',
       timestamp: new Date().toISOString(),
-      ai: {
-        provider: 'Google Gemini',
-        model: process.env.AI_MODEL ?? 'gemini-2.0-flash-001',
-        connected: true,
-        responseTime
-      }
+      ai
     });
   } catch (error) {
     res.status(503).json({
       status: 'unhealthy',
       timestamp: new Date().toISOString(),
       ai: {
-        provider: 'Google Gemini',
+        provider: provider.displayName,
         connected: false,
         lastError: error.message
       }
@@ -191,27 +177,16 @@ router.get('/all', async (req, res) => {
 
     // Build AI health
     let ai;
+    const provider = getProvider();
     try {
-      const startTime = Date.now();
-      const model = geminiClient.getGenerativeModel({
-        model: process.env.AI_MODEL || 'gemini-2.0-flash-001'
-      });
-      await model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: 'Test connection' }] }]
-      });
-      const responseTime = Date.now() - startTime;
-      
       ai = {
         status: 'healthy',
-        provider: 'Google Gemini',
-        model: process.env.AI_MODEL ?? 'gemini-2.0-flash-001',
-        connected: true,
-        responseTime
+        ...(await provider.healthCheck())
       };
     } catch (error) {
       ai = {
         status: 'unhealthy',
-        provider: 'Google Gemini',
+        provider: provider.displayName,
         connected: false,
         lastError: error.message
       };
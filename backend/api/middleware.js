@@ -125,6 +125,12 @@ export const validateRequest = (schema) => {
   };
 };
 
+// AI request budget, the same over HTTP and the WebSocket
+const aiRequestLimit = {
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 50 // 50 requests per window
+};
+
 /**
  * Rate limiting middleware configurations
  */
@@ -141,8 +147,7 @@ export const rateLimits = {
 
   // AI operations (more restricted)
   ai: rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 50, // 50 requests per window
+    ...aiRequestLimit,
     message: {
       error: 'AI request limit exceeded',
       message: 'Please try again in an hour'
@@ -160,6 +165,43 @@ export const rateLimits = {
   })
 };
 
+/**
+ * Per-key limiter for requests that do not go through Express, such as
+ * WebSocket events: at most `max` requests per key in each window. Returns
+ * whether another request is allowed.
+ */
+export const createRateLimiter = ({ windowMs, max }) => {
+  const windows = new Map();
+
+  // Forget keys whose window has ended
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetTime <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref?.();
+
+  return (key) => {
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetTime <= now) {
+      window = { hits: 0, resetTime: now + windowMs };
+      windows.set(key, window);
+    }
+    window.hits++;
+    return window.hits <= max;
+  };
+};
+
+/**
+ * Rate limiters for WebSocket events, by user ID
+ */
+export const socketRateLimits = {
+  // Streamed chat, within the same budget as rateLimits.ai
+  ai: createRateLimiter(aiRequestLimit)
+};
+
 /**
  * Error handling middleware
  */
@@ -190,6 +232,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Handle monthly AI quota errors
+  if (err?.message?.includes('AI quota exceeded')) {
+    return res.status(429).json({
+      error: 'Quota exceeded',
+      message: err.message
+    });
+  }
+
   // Handle AI service errors
   if (err?.message?.includes('AI service')) {
     return res.status(503).json({
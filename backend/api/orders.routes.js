@@ -0,0 +1,192 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { authenticate, validateRequest, rateLimits } from './middleware.js';
+import orderService from '../services/orderService.js';
+import orderLifecycle from '../services/orderLifecycle.js';
+import invoiceService from '../services/invoiceService.js';
+
+const router = Router();
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Input validation schemas
+const checkoutSchema = z.object({
+  body: z.object({
+    // Defaults to the user's default shipping address
+    shippingAddressId: z.string().uuid('Invalid address ID').optional(),
+    // Defaults to the shipping address
+    billingAddressId: z.string().uuid('Invalid address ID').optional(),
+    paymentMethod: z.string().max(50).optional(),
+    notes: z.string().max(1000).optional(),
+    // Artisan ID -> quoted shipping service; the cheapest when left out
+    shippingServices: z.record(z.string().uuid('Invalid artisan ID'), z.string().max(100)).optional(),
+    promoCode: z.string().trim().regex(/^[A-Za-z0-9_-]{3,32}$/, 'Invalid promo code').optional()
+  })
+});
+
+const orderParamsSchema = z.object({
+  orderId: z.string().uuid('Invalid order ID')
+});
+
+const transitionSchema = z.object({
+  body: z.object({
+    status: z.enum(['confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded']),
+    reason: z.string().max(500).optional()
+  }),
+  params: orderParamsSchema
+});
+
+const historySchema = z.object({
+  params: orderParamsSchema
+});
+
+const invoicesSchema = z.object({
+  params: orderParamsSchema
+});
+
+/**
+ * The acting user as the order lifecycle sees them
+ */
+const actorOf = (req) => ({
+  id: req.user.id,
+  role: req.userProfile?.role ?? req.user.role
+});
+
+/**
+ * Respond with the status and message of a known lifecycle error, or pass it on
+ */
+const sendStatusError = (res, next, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: 'Status change failed',
+      message: error.message
+    });
+  }
+  next(error);
+};
+
+/**
+ * Respond with the status and message of a known invoice error, or pass it on
+ */
+const sendInvoiceError = (res, next, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: 'Invoice unavailable',
+      message: error.message
+    });
+  }
+  next(error);
+};
+
+/**
+ * Place an order from the current user's cart
+ * POST /api/orders/checkout
+ *
+ * Requires an Idempotency-Key header. Responds 201 with the new order, or
+ * 200 with Idempotency-Replayed: true when that key already placed one.
+ */
+router.post('/checkout',
+  authenticate,
+  rateLimits.api,
+  validateRequest(checkoutSchema),
+  async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return res.status(400).json({
+        error: 'Idempotency key required',
+        message: `Send a unique Idempotency-Key header of at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters per checkout attempt`
+      });
+    }
+
+    try {
+      const { order, replayed } = await orderService.checkout(req.user.id, req.validated.body, idempotencyKey);
+
+      if (replayed) {
+        res.set('Idempotency-Replayed', 'true');
+      }
+      res.status(replayed ? 200 : 201).json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: 'Checkout failed',
+          message: error.message,
+          ...(error.items && { items: error.items })
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * Move an order to another status: customers may cancel their own orders
+ * before they ship, admins may make any legal transition
+ * POST /api/orders/:orderId/status
+ */
+router.post('/:orderId/status',
+  authenticate,
+  rateLimits.api,
+  validateRequest(transitionSchema),
+  async (req, res, next) => {
+    try {
+      const { status, reason } = req.validated.body;
+      const order = await orderLifecycle.transition(actorOf(req), req.validated.params.orderId, status, reason);
+
+      res.json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      sendStatusError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Status changes of an order, oldest first
+ * GET /api/orders/:orderId/history
+ */
+router.get('/:orderId/history',
+  authenticate,
+  rateLimits.api,
+  validateRequest(historySchema),
+  async (req, res, next) => {
+    try {
+      const history = await orderLifecycle.history(actorOf(req), req.validated.params.orderId);
+
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      sendStatusError(res, next, error);
+    }
+  }
+);
+
+/**
+ * GST invoices of a paid order, one per artisan, with PDF download links
+ * GET /api/orders/:orderId/invoices
+ */
+router.get('/:orderId/invoices',
+  authenticate,
+  rateLimits.api,
+  validateRequest(invoicesSchema),
+  async (req, res, next) => {
+    try {
+      const invoices = await invoiceService.listForOrder(actorOf(req), req.validated.params.orderId);
+
+      res.json({
+        success: true,
+        data: invoices
+      });
+    } catch (error) {
+      sendInvoiceError(res, next, error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,118 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { authenticate, validateRequest, rateLimits } from './middleware.js';
+import paymentService from '../services/paymentService.js';
+import { logger } from '../middleware/logging.js';
+
+const router = Router();
+
+// Input validation schemas
+const startPaymentSchema = z.object({
+  body: z.object({
+    orderId: z.string().uuid('Invalid order ID'),
+    method: z.enum(['upi', 'credit_card', 'bank_transfer', 'wallet']),
+    // Only accepted when the sandbox is the configured provider
+    outcome: z.enum(['success', 'failure', 'pending']).optional()
+  })
+});
+
+const capturePaymentSchema = z.object({
+  body: z.object({
+    // Payment ID the gateway's checkout returned to the browser
+    providerPaymentId: z.string().min(1).optional()
+  }),
+  params: z.object({
+    paymentId: z.string().uuid('Invalid payment ID')
+  })
+});
+
+/**
+ * Respond with the status and message of a known payment error, or pass it on
+ */
+const sendPaymentError = (res, next, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: 'Payment failed',
+      message: error.message
+    });
+  }
+  next(error);
+};
+
+/**
+ * Start paying for a pending order
+ * POST /api/payments
+ *
+ * Responds 201 with the payment and the clientData the browser hands to the
+ * gateway's checkout.
+ */
+router.post('/',
+  authenticate,
+  rateLimits.api,
+  validateRequest(startPaymentSchema),
+  async (req, res, next) => {
+    try {
+      const { orderId, ...options } = req.validated.body;
+      const payment = await paymentService.startPayment(req.user.id, orderId, options);
+
+      res.status(201).json({
+        success: true,
+        data: payment
+      });
+    } catch (error) {
+      sendPaymentError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Settle a payment the customer completed at the gateway
+ * POST /api/payments/:paymentId/capture
+ */
+router.post('/:paymentId/capture',
+  authenticate,
+  rateLimits.api,
+  validateRequest(capturePaymentSchema),
+  async (req, res, next) => {
+    try {
+      const result = await paymentService.capturePayment(
+        req.user.id,
+        req.validated.params.paymentId,
+        req.validated.body
+      );
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      sendPaymentError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Gateway webhook, authenticated by the gateway's signature over the raw body
+ * POST /api/payments/webhooks/:provider
+ */
+router.post('/webhooks/:provider',
+  async (req, res, next) => {
+    try {
+      const result = await paymentService.handleWebhook(req.params.provider, req.rawBody?.toString('utf8'), req.headers);
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.status === 401) {
+        logger.warn('Rejected payment webhook with an invalid signature', {
+          provider: req.params.provider,
+          ip: req.ip
+        });
+      }
+      sendPaymentError(res, next, error);
+    }
+  }
+);
+
+export default router;
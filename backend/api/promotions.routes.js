@@ -0,0 +1,173 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { authenticate, validateRequest, requireRole, rateLimits } from './middleware.js';
+import promotionService from '../services/promotionService.js';
+
+const router = Router();
+
+const codeSchema = z.string().trim().regex(/^[A-Za-z0-9_-]{3,32}$/, 'Invalid promo code');
+const amountSchema = z.number().nonnegative().max(10000000);
+
+// Input validation schemas
+const validateSchema = z.object({
+  body: z.object({
+    code: codeSchema,
+    // Artisan ID -> quoted shipping service, for free shipping codes
+    services: z.record(z.string().uuid('Invalid artisan ID'), z.string().max(100)).optional()
+  })
+});
+
+const promotionFields = {
+  description: z.string().max(500).optional(),
+  maxDiscount: amountSchema.positive().nullable().optional(),
+  categoryIds: z.array(z.string().uuid('Invalid category ID')).max(50).optional(),
+  minCartValue: amountSchema.optional(),
+  startsAt: z.string().datetime({ offset: true }).optional(),
+  endsAt: z.string().datetime({ offset: true }).nullable().optional(),
+  usageLimit: z.number().int().positive().nullable().optional(),
+  perUserLimit: z.number().int().positive().nullable().optional(),
+  isActive: z.boolean().optional()
+};
+
+const createSchema = z.object({
+  body: z.object({
+    code: codeSchema,
+    type: z.enum(['percentage', 'flat', 'free_shipping']),
+    value: amountSchema.optional(),
+    // Admins only; artisans' promotions are always their own
+    fundedBy: z.enum(['platform', 'artisan']).optional(),
+    artisanId: z.string().uuid('Invalid artisan ID').optional(),
+    ...promotionFields
+  }).refine(body => body.type !== 'percentage' || (body.value > 0 && body.value <= 100), {
+    message: 'Percentage must be between 0 and 100',
+    path: ['value']
+  }).refine(body => body.type !== 'flat' || body.value > 0, {
+    message: 'Flat discount must be more than 0',
+    path: ['value']
+  })
+});
+
+const updateSchema = z.object({
+  params: z.object({
+    promotionId: z.string().uuid('Invalid promotion ID')
+  }),
+  body: z.object({
+    value: amountSchema.optional(),
+    ...promotionFields
+  })
+});
+
+const actorOf = (req) => ({
+  id: req.user.id,
+  role: req.userProfile?.role ?? req.user.role
+});
+
+/**
+ * Respond with the status and message of a known promotion error, or pass it on
+ */
+const sendPromotionError = (res, next, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: 'Promotion failed',
+      message: error.message
+    });
+  }
+  next(error);
+};
+
+/**
+ * The discount a promo code gives the signed-in user's cart
+ * POST /api/promotions/validate
+ */
+router.post('/validate',
+  authenticate,
+  rateLimits.api,
+  validateRequest(validateSchema),
+  async (req, res, next) => {
+    try {
+      const { code, services } = req.validated.body;
+      const promotion = await promotionService.quoteCart(req.user.id, code, { services });
+
+      res.json({
+        success: true,
+        data: promotion
+      });
+    } catch (error) {
+      sendPromotionError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Promotions the signed-in admin or artisan manages
+ * GET /api/promotions
+ */
+router.get('/',
+  authenticate,
+  requireRole(['admin', 'artisan']),
+  rateLimits.api,
+  async (req, res, next) => {
+    try {
+      const promotions = await promotionService.listPromotions(actorOf(req));
+
+      res.json({
+        success: true,
+        data: promotions
+      });
+    } catch (error) {
+      sendPromotionError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Create a promotion; artisans create ones they fund on their own items
+ * POST /api/promotions
+ */
+router.post('/',
+  authenticate,
+  requireRole(['admin', 'artisan']),
+  rateLimits.api,
+  validateRequest(createSchema),
+  async (req, res, next) => {
+    try {
+      const promotion = await promotionService.createPromotion(actorOf(req), req.validated.body);
+
+      res.status(201).json({
+        success: true,
+        data: promotion
+      });
+    } catch (error) {
+      sendPromotionError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Change or end a promotion
+ * PATCH /api/promotions/:promotionId
+ */
+router.patch('/:promotionId',
+  authenticate,
+  requireRole(['admin', 'artisan']),
+  rateLimits.api,
+  validateRequest(updateSchema),
+  async (req, res, next) => {
+    try {
+      const promotion = await promotionService.updatePromotion(
+        actorOf(req),
+        req.validated.params.promotionId,
+        req.validated.body
+      );
+
+      res.json({
+        success: true,
+        data: promotion
+      });
+    } catch (error) {
+      sendPromotionError(res, next, error);
+    }
+  }
+);
+
+export default router;
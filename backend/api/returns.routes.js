@@ -0,0 +1,243 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { authenticate, validateRequest, rateLimits } from './middleware.js';
+import returnService from '../services/returnService.js';
+
+const router = Router();
+
+const RETURN_REASONS = ['damaged', 'defective', 'not_as_described', 'wrong_item', 'size_or_fit', 'changed_mind', 'other'];
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded', 'cancelled'];
+
+// Input validation schemas
+const returnParamsSchema = z.object({
+  returnId: z.string().uuid('Invalid return ID')
+});
+
+const requestReturnSchema = z.object({
+  body: z.object({
+    orderId: z.string().uuid('Invalid order ID'),
+    reason: z.enum(RETURN_REASONS),
+    description: z.string().max(2000).optional(),
+    items: z.array(z.object({
+      orderItemId: z.string().uuid('Invalid order item ID'),
+      quantity: z.number().int().positive()
+    })).min(1, 'Choose at least one item to return'),
+    evidencePaths: z.array(z.string().max(500)).max(10).optional()
+  }).refine(
+    body => !['damaged', 'defective', 'wrong_item'].includes(body.reason) || body.evidencePaths?.length,
+    'Add a photo of the problem'
+  )
+});
+
+const listArtisanReturnsSchema = z.object({
+  query: z.object({
+    status: z.enum(RETURN_STATUSES).optional()
+  })
+});
+
+const approveSchema = z.object({
+  body: z.object({
+    note: z.string().max(1000).optional()
+  }),
+  params: returnParamsSchema
+});
+
+const rejectSchema = z.object({
+  body: z.object({
+    note: z.string().min(1, 'Tell the customer why').max(1000)
+  }),
+  params: returnParamsSchema
+});
+
+const receiveSchema = z.object({
+  body: z.object({
+    restock: z.boolean().optional()
+  }),
+  params: returnParamsSchema
+});
+
+const cancelSchema = z.object({
+  params: returnParamsSchema
+});
+
+/**
+ * Respond with the status and message of a known return error, or pass it on
+ */
+const sendReturnError = (res, next, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: 'Return failed',
+      message: error.message,
+      ...(error.items && { items: error.items })
+    });
+  }
+  next(error);
+};
+
+/**
+ * The signed-in customer's return requests
+ * GET /api/returns
+ */
+router.get('/',
+  authenticate,
+  rateLimits.api,
+  async (req, res, next) => {
+    try {
+      const returns = await returnService.listForCustomer(req.user.id);
+
+      res.json({
+        success: true,
+        data: returns
+      });
+    } catch (error) {
+      sendReturnError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Return requests for the signed-in artisan's shop
+ * GET /api/returns/artisan
+ */
+router.get('/artisan',
+  authenticate,
+  rateLimits.api,
+  validateRequest(listArtisanReturnsSchema),
+  async (req, res, next) => {
+    try {
+      const returns = await returnService.listForArtisan(req.user.id, req.validated.query);
+
+      res.json({
+        success: true,
+        data: returns
+      });
+    } catch (error) {
+      sendReturnError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Request the return of delivered items
+ * POST /api/returns
+ */
+router.post('/',
+  authenticate,
+  rateLimits.api,
+  validateRequest(requestReturnSchema),
+  async (req, res, next) => {
+    try {
+      const { orderId, ...details } = req.validated.body;
+      const returnRequest = await returnService.requestReturn(req.user.id, orderId, details);
+
+      res.status(201).json({
+        success: true,
+        data: returnRequest
+      });
+    } catch (error) {
+      sendReturnError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Approve a return and book its return shipment
+ * POST /api/returns/:returnId/approve
+ */
+router.post('/:returnId/approve',
+  authenticate,
+  rateLimits.api,
+  validateRequest(approveSchema),
+  async (req, res, next) => {
+    try {
+      const returnRequest = await returnService.approve(
+        req.user.id,
+        req.validated.params.returnId,
+        req.validated.body
+      );
+
+      res.json({
+        success: true,
+        data: returnRequest
+      });
+    } catch (error) {
+      sendReturnError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Reject a return with a note for the customer
+ * POST /api/returns/:returnId/reject
+ */
+router.post('/:returnId/reject',
+  authenticate,
+  rateLimits.api,
+  validateRequest(rejectSchema),
+  async (req, res, next) => {
+    try {
+      const returnRequest = await returnService.reject(
+        req.user.id,
+        req.validated.params.returnId,
+        req.validated.body
+      );
+
+      res.json({
+        success: true,
+        data: returnRequest
+      });
+    } catch (error) {
+      sendReturnError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Confirm the returned parcel arrived and refund its items
+ * POST /api/returns/:returnId/receive
+ */
+router.post('/:returnId/receive',
+  authenticate,
+  rateLimits.api,
+  validateRequest(receiveSchema),
+  async (req, res, next) => {
+    try {
+      const returnRequest = await returnService.receive(
+        req.user.id,
+        req.validated.params.returnId,
+        req.validated.body
+      );
+
+      res.json({
+        success: true,
+        data: returnRequest
+      });
+    } catch (error) {
+      sendReturnError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Withdraw a return request the artisan has not decided yet
+ * POST /api/returns/:returnId/cancel
+ */
+router.post('/:returnId/cancel',
+  authenticate,
+  rateLimits.api,
+  validateRequest(cancelSchema),
+  async (req, res, next) => {
+    try {
+      const returnRequest = await returnService.cancel(req.user.id, req.validated.params.returnId);
+
+      res.json({
+        success: true,
+        data: returnRequest
+      });
+    } catch (error) {
+      sendReturnError(res, next, error);
+    }
+  }
+);
+
+export default router;
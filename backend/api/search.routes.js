@@ -0,0 +1,66 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { validateRequest, rateLimits } from './middleware.js';
+import searchService from '../services/searchService.js';
+
+const router = Router();
+
+// Input validation schemas
+const parseSchema = z.object({
+  body: z.object({
+    query: z.string().trim().min(1, 'Search is empty').max(500)
+  })
+});
+
+const suggestionsSchema = z.object({
+  query: z.object({
+    q: z.string().trim().max(100).default(''),
+    limit: z.coerce.number().int().positive().max(20).default(8)
+  })
+});
+
+/**
+ * Read a natural-language search into keywords and catalog filters, with the
+ * AI when it is available and by keywords otherwise. Open to guests, like
+ * the marketplace.
+ * POST /api/search/parse
+ */
+router.post('/parse',
+  rateLimits.api,
+  validateRequest(parseSchema),
+  async (req, res, next) => {
+    try {
+      const parsed = await searchService.parseQuery(req.validated.body.query);
+
+      res.json({
+        success: true,
+        data: parsed
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Autocomplete from popular searches and the catalog
+ * GET /api/search/suggestions?q=
+ */
+router.get('/suggestions',
+  validateRequest(suggestionsSchema),
+  async (req, res, next) => {
+    try {
+      const { q, limit } = req.validated.query;
+      const suggestions = await searchService.suggest(q, { limit });
+
+      res.json({
+        success: true,
+        data: suggestions
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
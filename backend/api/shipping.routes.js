@@ -0,0 +1,80 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { authenticate, validateRequest, rateLimits } from './middleware.js';
+import shipmentService from '../services/shipmentService.js';
+import shippingQuoteService from '../services/shippingQuoteService.js';
+import { logger } from '../middleware/logging.js';
+
+const router = Router();
+
+// Input validation schemas
+const quoteSchema = z.object({
+  body: z.object({
+    // Defaults to the user's default shipping address
+    addressId: z.string().uuid('Invalid address ID').optional(),
+    postalCode: z.string().regex(/^[1-9][0-9]{5}$/, 'Invalid pincode').optional(),
+    // Artisan ID -> quoted shipping service; the cheapest when left out
+    services: z.record(z.string().uuid('Invalid artisan ID'), z.string().max(100)).optional()
+  })
+});
+
+/**
+ * Respond with the status and message of a known shipping error, or pass it on
+ */
+const sendShippingError = (res, next, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: 'Shipping failed',
+      message: error.message
+    });
+  }
+  next(error);
+};
+
+/**
+ * Quote shipping for the signed-in user's cart, per artisan and service
+ * POST /api/shipping/quote
+ */
+router.post('/quote',
+  authenticate,
+  rateLimits.api,
+  validateRequest(quoteSchema),
+  async (req, res, next) => {
+    try {
+      const quote = await shippingQuoteService.quoteCart(req.user.id, req.validated.body);
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      sendShippingError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Carrier tracking webhook, authenticated by the carrier's signature or token
+ * POST /api/shipping/webhooks/:carrier
+ */
+router.post('/webhooks/:carrier',
+  async (req, res, next) => {
+    try {
+      const result = await shipmentService.handleWebhook(req.params.carrier, req.rawBody?.toString('utf8'), req.headers);
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.status === 401) {
+        logger.warn('Rejected shipping webhook with an invalid signature', {
+          carrier: req.params.carrier,
+          ip: req.ip
+        });
+      }
+      sendShippingError(res, next, error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { authenticate, validateRequest, rateLimits } from './middleware.js';
+import taxService from '../services/taxService.js';
+
+const router = Router();
+
+// Input validation schemas
+const quoteSchema = z.object({
+  body: z.object({
+    // Defaults to the user's default shipping address
+    addressId: z.string().uuid('Invalid address ID').optional()
+  })
+});
+
+/**
+ * Respond with the status and message of a known tax error, or pass it on
+ */
+const sendTaxError = (res, next, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: 'Tax calculation failed',
+      message: error.message
+    });
+  }
+  next(error);
+};
+
+/**
+ * The GST included in the signed-in user's cart, per artisan
+ * POST /api/tax/quote
+ */
+router.post('/quote',
+  authenticate,
+  rateLimits.api,
+  validateRequest(quoteSchema),
+  async (req, res, next) => {
+    try {
+      const quote = await taxService.quoteCart(req.user.id, req.validated.body);
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      sendTaxError(res, next, error);
+    }
+  }
+);
+
+export default router;
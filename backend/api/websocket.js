@@ -2,6 +2,8 @@ import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import { supabaseAdmin } from '../config/database.js';
 import { getAllowedOrigins } from '../middleware/cors.js';
+import { resolveChatAgentType } from './agentManager.js';
+import { socketRateLimits } from './middleware.js';
 
 // Event types for WebSocket communication
 const EventTypes = {
@@ -9,12 +11,16 @@ const EventTypes = {
     STARTED: 'agent-started',
     STOPPED: 'agent-stopped',
     ERROR: 'agent-error',
+    TASK_QUEUED: 'agent-task-queued',
     TASK_PROGRESS: 'agent-task-progress',
     TASK_COMPLETE: 'agent-task-complete',
+    TASK_CANCELLED: 'agent-task-cancelled',
     CACHE_CLEARED: 'agent-cache-cleared'
   },
   AI: {
+    CHAT: 'ai-chat',
     RESPONSE: 'ai-response',
+    RESPONSE_CHUNK: 'ai-response-chunk',
     ERROR: 'ai-error',
     THINKING: 'ai-thinking'
   },
@@ -115,6 +121,11 @@ class WebSocketManager {
         this.handleUnsubscription(socket, `agent:${agentType}`);
       });
 
+      // Streamed chat with an agent
+      socket.on(EventTypes.AI.CHAT, (payload) => {
+        this.handleChatStream(socket, payload);
+      });
+
       // Handle disconnection
       socket.on('disconnect', () => {
         console.log(`Client disconnected: ${socket.id}`);
@@ -169,53 +180,77 @@ class WebSocketManager {
   }
 
   /**
-   * Setup event listeners for agent events
+   * Stream an agent's answer to a chat message back to the requesting socket
    */
-  setupAgentEventListeners() {
-    if (!this.agentManager) return;
-    
-    // Agent started event
-    this.agentManager.on('agent:started', ({ type, config }) => {
-      this.io.to(`agent:${type}`).emit('agent:started', {
-        agentType: type,
-        config,
-        timestamp: new Date().toISOString()
-      });
-      this.io.to('agents').emit('agent:started', {
-        agentType: type,
-        config,
-        timestamp: new Date().toISOString()
-      });
+  async handleChatStream(socket, { message, context = {}, requestId } = {}) {
+    const agentType = resolveChatAgentType(context.type);
+    const emit = (event, data) => socket.emit(event, {
+      ...data,
+      requestId,
+      agentType,
+      timestamp: new Date().toISOString()
     });
 
-    // Agent stopped event
-    this.agentManager.on('agent:stopped', ({ type }) => {
-      this.io.to(`agent:${type}`).emit('agent:stopped', {
-        agentType: type,
-        timestamp: new Date().toISOString()
-      });
-      this.io.to('agents').emit('agent:stopped', {
-        agentType: type,
-        timestamp: new Date().toISOString()
+    if (!message || !agentType || !this.agentManager) {
+      emit(EventTypes.AI.ERROR, { message: 'Invalid chat request' });
+      return;
+    }
+
+    if (!socketRateLimits.ai(socket.user.id)) {
+      emit(EventTypes.AI.ERROR, { message: 'AI request limit exceeded. Please try again in an hour' });
+      return;
+    }
+
+    emit(EventTypes.AI.THINKING, {});
+
+    let response = '';
+    try {
+      const stream = this.agentManager.streamTask(agentType, {
+        query: message,
+        userId: socket.user?.id,
+        context: context.data
       });
-    });
 
-    // Agent error event
-    this.agentManager.on('agent:error', ({ type, error }) => {
-      this.io.to(`agent:${type}`).emit('agent:error', {
-        agentType: type,
-        error,
-        timestamp: new Date().toISOString()
+      for await (const text of stream) {
+        if (!socket.connected) return;
+        response += text;
+        emit(EventTypes.AI.RESPONSE_CHUNK, { text });
+      }
+
+      emit(EventTypes.AI.RESPONSE, { response });
+    } catch (error) {
+      emit(EventTypes.AI.ERROR, { message: error.message });
+    }
+  }
+
+  /**
+   * Setup event listeners for agent events
+   */
+  setupAgentEventListeners() {
+    if (!this.agentManager) return;
+
+    // Agent lifecycle events go to everyone watching the agent
+    [EventTypes.AGENT.STARTED, EventTypes.AGENT.STOPPED, EventTypes.AGENT.CACHE_CLEARED].forEach(event => {
+      this.agentManager.on(event, (data) => {
+        const payload = { ...data, agentType: data.type, timestamp: new Date().toISOString() };
+        this.io.to(`agent:${data.type}`).to('agents').emit(event, payload);
       });
     });
 
-    // Task completed event
-    this.agentManager.on('task:completed', ({ type, taskId, result }) => {
-      this.io.to(`agent:${type}`).emit('task:completed', {
-        agentType: type,
-        taskId,
-        result,
-        timestamp: new Date().toISOString()
+    // Task and workflow events carry the user's input and the agent's answer,
+    // so they only reach the sockets of the user who submitted them. Agent
+    // rooms are open to any user and only get events that belong to no user.
+    [
+      EventTypes.AGENT.ERROR,
+      EventTypes.AGENT.TASK_QUEUED,
+      EventTypes.AGENT.TASK_PROGRESS,
+      EventTypes.AGENT.TASK_COMPLETE,
+      EventTypes.AGENT.TASK_CANCELLED
+    ].forEach(event => {
+      this.agentManager.on(event, (data) => {
+        const payload = { ...data, agentType: data.type, timestamp: new Date().toISOString() };
+        const room = data.userId ? `user:${data.userId}` : `agent:${data.type}`;
+        this.io.to(room).emit(event, payload);
       });
     });
   }
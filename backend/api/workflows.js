@@ -0,0 +1,92 @@
+import { z } from 'zod';
+
+/**
+ * Declarative multi-agent workflows run by AgentManager.startWorkflow().
+ *
+ * Each workflow is `{ description, roles, input, steps, result }`:
+ * - `input` is a zod schema for the workflow input
+ * - each step is `{ id, agent, action, dependsOn, when, input }`. A step starts
+ *   once every step in `dependsOn` has completed or been skipped, so steps
+ *   without a dependency between them run in parallel. `dependsOn` may only
+ *   name earlier steps.
+ * - `when(context)` branches: when it returns false the step is skipped
+ * - `input(context)` builds the agent action input
+ * - `result(context)` builds the workflow result, defaulting to every step output
+ *
+ * The context passed to `when`, `input` and `result` is
+ * `{ input, steps }`, where `steps` maps step IDs to their outputs.
+ */
+export const workflowDefinitions = {
+  listingLaunch: {
+    description: 'Write listing content, optimise it for search and suggest a price',
+    roles: ['artisan', 'admin'],
+    input: z.object({
+      product: z.object({
+        title: z.string().min(1),
+        description: z.string().default(''),
+        category: z.string().optional(),
+        materials: z.array(z.string()).default([]),
+        productionTime: z.number().default(0),
+        craftingComplexity: z.string().default('medium')
+      }).passthrough(),
+      culturalContext: z.record(z.any()).optional(),
+      keywords: z.array(z.string()).default([]),
+      marketContext: z.object({
+        category: z.string(),
+        region: z.string(),
+        seasonality: z.string().optional(),
+        competitorPrices: z.array(z.number()).optional()
+      }).optional()
+    }),
+    steps: [
+      {
+        id: 'content',
+        agent: 'artisanAssistant',
+        action: 'generateListingContent',
+        input: ({ input }) => ({
+          productDetails: input.product,
+          culturalContext: input.culturalContext
+        })
+      },
+      {
+        id: 'seo',
+        agent: 'contentGeneration',
+        action: 'optimizeForSEO',
+        dependsOn: ['content'],
+        input: ({ input, steps }) => ({
+          content: steps.content.description,
+          keywords: [...new Set([...input.keywords, ...steps.content.seoMetadata.focusKeywords])],
+          platform: 'marketplace'
+        })
+      },
+      {
+        // Pricing only needs the product, so it runs alongside the content steps
+        id: 'pricing',
+        agent: 'artisanAssistant',
+        action: 'suggestPricing',
+        when: ({ input }) => Boolean(input.marketContext),
+        input: ({ input: { product, marketContext } }) => ({
+          productData: {
+            title: product.title,
+            description: product.description,
+            materials: product.materials,
+            productionTime: product.productionTime,
+            craftingComplexity: product.craftingComplexity
+          },
+          marketContext
+        })
+      }
+    ],
+    result: ({ steps }) => ({
+      listing: {
+        ...steps.content,
+        title: steps.seo.optimized.title,
+        description: steps.seo.optimized.description
+      },
+      seo: steps.seo,
+      pricing: steps.pricing || null
+    })
+  }
+};
+
+export default workflowDefinitions;
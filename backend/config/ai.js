@@ -1,4 +1,5 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -6,6 +7,107 @@ dotenv.config();
 // Initialize Google Gemini client
 export const geminiClient = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
+// LLM provider used by every agent unless overridden with AI_PROVIDER_<AGENT_TYPE>
+export const defaultProvider = process.env.AI_PROVIDER || 'gemini';
+
+const providerFor = (agentType) =>
+  process.env[`AI_PROVIDER_${agentType.toUpperCase().replace(/-/g, '_')}`] || defaultProvider;
+
+// LLM provider configurations
+export const providerConfigs = {
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    defaultModel: process.env.AI_MODEL || 'gemini-2.0-flash-001'
+  },
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    timeout: parseInt(process.env.OPENAI_TIMEOUT_MS || '60000')
+  },
+  fixture: {
+    fixturesDir: process.env.AI_FIXTURES_DIR || fileURLToPath(new URL('../tests/fixtures/llm', import.meta.url)),
+    mode: process.env.AI_FIXTURE_MODE || 'replay',
+    // Provider whose answers are recorded when AI_FIXTURE_MODE=record
+    delegate: process.env.AI_FIXTURE_DELEGATE || 'gemini'
+  }
+};
+
+// Task queue limits, shared by every agent unless overridden in agentConfigs
+export const taskQueueConfig = {
+  // Tasks an agent runs at the same time, the rest wait in its queue
+  maxConcurrency: parseInt(process.env.AGENT_MAX_CONCURRENCY || '2'),
+  // Running tasks are failed after this long
+  taskTimeoutMs: parseInt(process.env.AGENT_TASK_TIMEOUT_MS || '120000'),
+  // Tasks interrupted by a restart are retried until they were started this many times
+  maxAttempts: parseInt(process.env.AGENT_TASK_MAX_ATTEMPTS || '2'),
+  // Finished tasks stay queryable for this long
+  retentionMs: parseInt(process.env.AGENT_TASK_RETENTION_MS || '3600000')
+};
+
+// Tool calling: model turns allowed before the agent must answer without tools
+export const toolLoopConfig = {
+  maxIterations: parseInt(process.env.AGENT_MAX_TOOL_ITERATIONS || '5')
+};
+
+// Conversation memory for multi-turn chat
+export const conversationConfig = {
+  // Estimated tokens of earlier turns sent with each message; older turns are summarized
+  historyTokenBudget: parseInt(process.env.CONVERSATION_HISTORY_TOKENS || '3000'),
+  // Length cap for the rolling summary of older turns
+  summaryMaxTokens: parseInt(process.env.CONVERSATION_SUMMARY_TOKENS || '400')
+};
+
+// USD per million tokens, used to estimate the cost of each model call.
+// Cached prompt tokens are billed at the cachedInput rate instead of input.
+export const modelPricing = {
+  'gemini-2.0-flash-001': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+  'gemini-2.0-flash-exp': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+  'gemini-1.5-pro': { input: 1.25, cachedInput: 0.3125, output: 5.00 },
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.60 },
+  'gpt-4o': { input: 2.50, cachedInput: 1.25, output: 10.00 }
+};
+
+// Monthly token quotas checked before every model call; 0 disables a quota
+export const usageQuotaConfig = {
+  // Tokens one user may spend per calendar month (UTC)
+  userMonthlyTokens: parseInt(process.env.AI_USER_MONTHLY_TOKENS || '500000'),
+  // Tokens spent on behalf of one artisan's shop per calendar month, across its users
+  artisanMonthlyTokens: parseInt(process.env.AI_ARTISAN_MONTHLY_TOKENS || '2000000'),
+  // How long month-to-date totals are reused before re-reading them
+  usageCacheSeconds: parseInt(process.env.AI_USAGE_CACHE_SECONDS || '60')
+};
+
+// Natural-language product search
+export const searchConfig = {
+  // How long a search waits for the AI to read it before falling back to keywords
+  parseTimeoutMs: parseInt(process.env.SEARCH_PARSE_TIMEOUT_MS || '8000'),
+  // How long the catalog's categories, regions and materials are reused
+  catalogCacheSeconds: parseInt(process.env.SEARCH_CATALOG_CACHE_SECONDS || '300')
+};
+
+// Product similarities from orders, wishlists and carts, which recommendations
+// and the product agent's candidates are drawn from
+export const recommendationConfig = {
+  // How often similarities are recomputed
+  refreshIntervalMs: parseInt(process.env.SIMILARITY_REFRESH_INTERVAL_MS || '21600000'),
+  // Days of orders, wishlists and carts they are computed from
+  lookbackDays: parseInt(process.env.SIMILARITY_LOOKBACK_DAYS || '365'),
+  // Shoppers two products need in common to count as similar
+  minShoppers: parseInt(process.env.SIMILARITY_MIN_SHOPPERS || '2'),
+  maxPerProduct: parseInt(process.env.SIMILARITY_MAX_PER_PRODUCT || '20')
+};
+
+// Agent response cache. Redis is shared between backend replicas; the
+// in-memory cache is per process and used when no Redis URL is configured.
+export const cacheConfig = {
+  backend: process.env.AI_CACHE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory'),
+  redisUrl: process.env.REDIS_URL || null,
+  keyPrefix: process.env.AI_CACHE_PREFIX || 'artomart:ai:',
+  // TTL for actions that do not set their own
+  defaultTtlSeconds: parseInt(process.env.AI_CACHE_TTL_SECONDS || '600')
+};
+
 // AI Agent configurations
 export const agentConfigs = {
   'content-optimizer': {
@@ -14,39 +116,54 @@ export const agentConfigs = {
     Always provide culturally rich insights about the crafts and artisans.
     Be enthusiastic about the heritage and stories behind each craft.`,
     temperature: 0.7,
-    maxTokens: 1500
+    maxTokens: 1500,
+    provider: providerFor('content-optimizer')
   },
   'customer-support': {
     systemPrompt: `You are a helpful customer support agent for Art-O-Mart marketplace.
     Help customers with order inquiries, shipping information, product details, and general marketplace navigation.
     Be polite, professional, and solution-oriented. If you don't know something, offer to connect them with human support.`,
     temperature: 0.5,
-    maxTokens: 1000
+    maxTokens: 1000,
+    provider: providerFor('customer-support')
   },
   'market-analyzer': {
     systemPrompt: `You are an AI assistant helping traditional artisans on Art-O-Mart marketplace.
     Help artisans with product listings, pricing strategies, order management, and business insights.
     Provide culturally sensitive advice that respects traditional crafting methods while suggesting modern business practices.`,
     temperature: 0.6,
-    maxTokens: 1200
+    maxTokens: 1200,
+    provider: providerFor('market-analyzer')
   },
   'order-processor': {
     systemPrompt: `You are an order processing AI agent for Art-O-Mart.
     Help process orders, track shipments, handle returns, and manage inventory updates.
     Ensure accuracy in all transaction-related operations.`,
     temperature: 0.3,
-    maxTokens: 800
+    maxTokens: 800,
+    provider: providerFor('order-processor')
   },
   'customer-insights': {
     systemPrompt: `You are a content generation AI for Art-O-Mart.
     Create engaging product descriptions, artisan stories, and cultural insights.
     Focus on authenticity, cultural significance, and the human stories behind each craft.`,
     temperature: 0.8,
-    maxTokens: 1500
+    maxTokens: 1500,
+    provider: providerFor('customer-insights')
   }
 };
 
 export default {
   geminiClient,
+  defaultProvider,
+  providerConfigs,
+  taskQueueConfig,
+  toolLoopConfig,
+  conversationConfig,
+  modelPricing,
+  usageQuotaConfig,
+  searchConfig,
+  recommendationConfig,
+  cacheConfig,
   agentConfigs
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+import dotenv from 'dotenv';
+import os from 'os';
+import path from 'path';
+
+dotenv.config();
+
+// Stock reservations taken at checkout
+export const reservationConfig = {
+  // How long stock stays held for an unpaid order
+  holdMinutes: parseInt(process.env.CHECKOUT_HOLD_MINUTES || '15'),
+  // How often expired holds are released and their orders cancelled
+  sweepIntervalMs: parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS || '60000')
+};
+
+// Order domain events, published from order_status_history
+export const orderEventsConfig = {
+  // How often undispatched status changes are published
+  pollIntervalMs: parseInt(process.env.ORDER_EVENTS_POLL_INTERVAL_MS || '5000'),
+  batchSize: parseInt(process.env.ORDER_EVENTS_BATCH_SIZE || '100'),
+  // First wait before a change whose subscribers failed is published again;
+  // it doubles with each attempt up to maxRetryDelayMs
+  retryDelayMs: parseInt(process.env.ORDER_EVENTS_RETRY_DELAY_MS || '30000'),
+  maxRetryDelayMs: parseInt(process.env.ORDER_EVENTS_MAX_RETRY_DELAY_MS || '3600000')
+};
+
+// Payment gateways
+export const paymentConfig = {
+  // Gateway used for new payments and the only one whose webhooks are
+  // accepted: razorpay | sandbox. Required; the sandbox is refused in production
+  provider: process.env.PAYMENT_PROVIDER,
+  currency: process.env.PAYMENT_CURRENCY || 'INR',
+  providers: {
+    razorpay: {
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+      baseURL: process.env.RAZORPAY_BASE_URL || 'https://api.razorpay.com/v1',
+      timeout: parseInt(process.env.RAZORPAY_TIMEOUT_MS || '30000')
+    },
+    sandbox: {
+      webhookSecret: process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET,
+      // Outcome of attempts that do not choose one: success | failure | pending
+      outcome: process.env.PAYMENT_SANDBOX_OUTCOME || 'success'
+    }
+  }
+};
+
+// Returns
+export const returnConfig = {
+  // How long after delivery items can be returned
+  windowDays: parseInt(process.env.RETURN_WINDOW_DAYS || '7')
+};
+
+// Shipping carriers
+export const shippingConfig = {
+  // Carrier that books shipments: local | indiapost | shiprocket. The local
+  // simulator is refused in production.
+  carrier: process.env.SHIPPING_CARRIER,
+  // Parcel weight of products without a weight_grams
+  defaultItemWeightGrams: parseInt(process.env.SHIPPING_DEFAULT_ITEM_WEIGHT_GRAMS || '500'),
+  carriers: {
+    local: {
+      // Where the simulator keeps its booked parcels
+      stateFile: process.env.SHIPPING_SIMULATOR_FILE || path.join(os.tmpdir(), 'art-o-mart-shipping-simulator.json'),
+      webhookSecret: process.env.SHIPPING_LOCAL_WEBHOOK_SECRET
+    },
+    indiapost: {
+      baseURL: process.env.INDIAPOST_BASE_URL,
+      apiKey: process.env.INDIAPOST_API_KEY,
+      customerId: process.env.INDIAPOST_CUSTOMER_ID,
+      webhookSecret: process.env.INDIAPOST_WEBHOOK_SECRET,
+      timeout: parseInt(process.env.INDIAPOST_TIMEOUT_MS || '30000')
+    },
+    shiprocket: {
+      email: process.env.SHIPROCKET_EMAIL,
+      password: process.env.SHIPROCKET_PASSWORD,
+      baseURL: process.env.SHIPROCKET_BASE_URL || 'https://apiv2.shiprocket.in/v1/external',
+      // Pickup address nickname set up in the Shiprocket panel
+      pickupLocation: process.env.SHIPROCKET_PICKUP_LOCATION || 'Primary',
+      webhookToken: process.env.SHIPROCKET_WEBHOOK_TOKEN,
+      timeout: parseInt(process.env.SHIPROCKET_TIMEOUT_MS || '30000')
+    }
+  }
+};
+
+export default {
+  reservationConfig,
+  orderEventsConfig,
+  paymentConfig,
+  returnConfig,
+  shippingConfig
+};
@@ -168,7 +168,26 @@ class BackendMonitoring {
     this.aiTokensUsed = new prometheus.Counter({
       name: 'ai_tokens_used_total',
       help: 'Total AI tokens consumed',
-      labelNames: ['service', 'model', 'type'] // type: input/output
+      labelNames: ['service', 'model', 'type'] // type: input/output/cached
+    });
+
+    this.aiCostTotal = new prometheus.Counter({
+      name: 'ai_cost_usd_total',
+      help: 'Estimated AI spend in USD',
+      labelNames: ['agent_type', 'model']
+    });
+
+    // Agent response cache metrics
+    this.cacheRequests = new prometheus.Counter({
+      name: 'ai_cache_requests_total',
+      help: 'Agent response cache lookups',
+      labelNames: ['backend', 'agent_type', 'result'] // result: hit/miss
+    });
+
+    this.cacheInvalidations = new prometheus.Counter({
+      name: 'ai_cache_invalidated_entries_total',
+      help: 'Agent response cache entries removed by tag invalidation',
+      labelNames: ['backend', 'tag_type']
     });
 
     // Business metrics
@@ -410,6 +429,9 @@ class BackendMonitoring {
     if (tokensUsed.output) {
       this.aiTokensUsed.inc({ service, model, type: 'output' }, tokensUsed.output);
     }
+    if (tokensUsed.cached) {
+      this.aiTokensUsed.inc({ service, model, type: 'cached' }, tokensUsed.cached);
+    }
 
     if (error) {
       this.captureError(error, {
@@ -422,6 +444,29 @@ class BackendMonitoring {
     }
   }
 
+  /**
+   * Track estimated AI spend per agent type
+   */
+  trackAICost(agentType, model, costUsd) {
+    if (costUsd > 0) {
+      this.aiCostTotal.inc({ agent_type: agentType, model }, costUsd);
+    }
+  }
+
+  /**
+   * Track agent response cache lookups
+   */
+  trackCacheRequest(backend, agentType, hit) {
+    this.cacheRequests.inc({ backend, agent_type: agentType, result: hit ? 'hit' : 'miss' });
+  }
+
+  /**
+   * Track entries removed by invalidating a cache tag, e.g. product:<id>
+   */
+  trackCacheInvalidation(backend, tag, entries) {
+    this.cacheInvalidations.inc({ backend, tag_type: tag.split(':')[0] }, entries);
+  }
+
   /**
    * Track business events
    */
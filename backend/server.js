@@ -6,6 +6,12 @@ import { createServer } from 'http';
 import rateLimit from 'express-rate-limit';
 import { supabaseAdmin } from './config/database.js';
 import agentManager from './api/agentManager.js';
+import cacheInvalidator from './services/cacheInvalidation.js';
+import { closeCache } from './services/cache/index.js';
+import reservationSweeper from './services/reservationSweeper.js';
+import similarityRefresher from './services/similarityRefresher.js';
+import orderEvents from './services/orderEvents.js';
+import paymentService from './services/paymentService.js';
 import WebSocketManager from './api/websocket.js';
 import { initializeEnvironment } from './utils/envValidator.js';
 import backendMonitoring from './middleware/monitoring.js';
@@ -24,6 +30,14 @@ import {
 import aiRouter from './api/ai.routes.js';
 import agentsRouter from './api/agents.routes.js';
 import healthRouter from './api/health.routes.js';
+import ordersRouter from './api/orders.routes.js';
+import paymentsRouter from './api/payments.routes.js';
+import fulfilmentsRouter from './api/fulfilments.routes.js';
+import returnsRouter from './api/returns.routes.js';
+import shippingRouter from './api/shipping.routes.js';
+import taxRouter from './api/tax.routes.js';
+import promotionsRouter from './api/promotions.routes.js';
+import searchRouter from './api/search.routes.js';
 import { handleError } from './middleware/errorHandler.js';
 
 // Load environment variables
@@ -54,7 +68,13 @@ app.use(helmet()); // Security headers
 app.use(requestIdMiddleware); // Add unique request ID
 app.use(backendMonitoring.requestMiddleware()); // Monitoring middleware
 app.use(getCorsMiddleware('enhanced')); // Advanced CORS with security headers
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -96,6 +116,14 @@ app.get('/metrics', backendMonitoring.metricsEndpoint());
 // API routes - authentication handled per route
 app.use('/api/ai', aiRouter);
 app.use('/api/agents', agentsRouter);
+app.use('/api/orders', ordersRouter);
+app.use('/api/payments', paymentsRouter);
+app.use('/api/fulfilments', fulfilmentsRouter);
+app.use('/api/returns', returnsRouter);
+app.use('/api/shipping', shippingRouter);
+app.use('/api/tax', taxRouter);
+app.use('/api/promotions', promotionsRouter);
+app.use('/api/search', searchRouter);
 
 // Root route with enhanced information
 app.get('/', (req, res) => {
@@ -108,7 +136,15 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       ai: '/api/ai',
-      agents: '/api/agents'
+      agents: '/api/agents',
+      orders: '/api/orders',
+      payments: '/api/payments',
+      fulfilments: '/api/fulfilments',
+      returns: '/api/returns',
+      shipping: '/api/shipping',
+      tax: '/api/tax',
+      promotions: '/api/promotions',
+      search: '/api/search'
     },
     features: {
       websocket: true,
@@ -178,6 +214,7 @@ const initializeAgents = async () => {
     
     if (process.env.ENABLE_AI_FEATURES === 'true') {
       await agentManager.initializeAgents();
+      cacheInvalidator.start();
     } else {
       logger.info('AI features disabled, skipping agent initialization');
     }
@@ -187,7 +224,7 @@ const initializeAgents = async () => {
       wsManager.broadcast('system', 'system:agents_ready', {
         message: 'Agent system initialized successfully',
         timestamp: new Date().toISOString(),
-        agentCount: Object.keys(agentManager.getAllAgentsStatus()).length
+        agentCount: Object.keys(agentManager.getAllAgentStatus()).length
       });
     }
     
@@ -220,6 +257,12 @@ httpServer.listen(PORT, HOST, async () => {
   logger.info(`🔐 JWT Expiry: ${envVars.JWT_EXPIRY || '24h'}`);
   logger.info(`📊 Rate Limit: ${envVars.RATE_LIMIT_MAX || 100} requests per ${Math.floor((envVars.RATE_LIMIT_WINDOW_MS || 900000) / 60000)} minutes`);
   
+  reservationSweeper.start();
+  similarityRefresher.start();
+  // Paid orders cancelled before they ship get their money back
+  orderEvents.subscribe('order.cancelled', event => paymentService.refundCancelledOrder(event));
+  orderEvents.start();
+
   // Initialize agents after server starts
   logger.info('🔄 Initializing AI agents...');
   await initializeAgents();
@@ -255,10 +298,16 @@ const shutdown = async (signal) => {
       logger.info('HTTP server closed');
     });
     
+    reservationSweeper.stop();
+    similarityRefresher.stop();
+    orderEvents.stop();
+
     // Stop all agents
     logger.info('Stopping AI agents...');
     if (process.env.ENABLE_AI_FEATURES === 'true') {
       await agentManager.stopAllAgents();
+      await cacheInvalidator.stop();
+      await closeCache();
     }
     logger.info('AI agents stopped');
     
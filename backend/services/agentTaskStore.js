@@ -0,0 +1,144 @@
+import { supabaseAdmin } from '../config/database.js';
+
+const PENDING_STATES = ['queued', 'running'];
+
+/**
+ * Persists AgentManager tasks in the agent_tasks table
+ */
+export class AgentTaskStore {
+  constructor(client = supabaseAdmin) {
+    this.supabase = client;
+  }
+
+  /**
+   * Insert a newly submitted task
+   */
+  async create(task) {
+    const { error } = await this.supabase
+      .from('agent_tasks')
+      .insert(toRow(task));
+
+    if (error) throw error;
+  }
+
+  /**
+   * Write the mutable fields of a task (status, result, timings)
+   */
+  async update(task) {
+    const { id, user_id, agent_type, action, input, created_at, ...fields } = toRow(task);
+    const { error } = await this.supabase
+      .from('agent_tasks')
+      .update(fields)
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Fetch one task, or null when it does not exist
+   */
+  async get(taskId) {
+    const { data, error } = await this.supabase
+      .from('agent_tasks')
+      .select('*')
+      .eq('id', taskId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? fromRow(data) : null;
+  }
+
+  /**
+   * Tasks that were queued or running when the backend last stopped, oldest first
+   */
+  async listPending() {
+    const { data, error } = await this.supabase
+      .from('agent_tasks')
+      .select('*')
+      .in('status', PENDING_STATES)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  }
+
+  /**
+   * A user's task history, newest first
+   */
+  async listForUser(userId, { status, agentType, limit = 20, offset = 0 } = {}) {
+    let query = this.supabase
+      .from('agent_tasks')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (status) query = query.eq('status', status);
+    if (agentType) query = query.eq('agent_type', agentType);
+
+    const { data, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return {
+      tasks: (data || []).map(fromRow),
+      total: count ?? 0
+    };
+  }
+
+  /**
+   * Lifetime task counts per agent type
+   */
+  async getStats() {
+    const { data, error } = await this.supabase.rpc('agent_task_stats');
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+/**
+ * Map an in-memory task onto an agent_tasks row
+ */
+function toRow(task) {
+  return {
+    id: task.id,
+    user_id: task.userId,
+    agent_type: task.agentType,
+    status: task.status,
+    priority: task.priority,
+    action: task.action,
+    input: task.input,
+    result: task.result,
+    error: task.error,
+    attempts: task.attempts,
+    timeout_ms: task.timeoutMs,
+    started_at: task.startedAt,
+    completed_at: task.completedAt,
+    created_at: task.createdAt
+  };
+}
+
+/**
+ * Map an agent_tasks row back onto the in-memory task shape
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    agentType: row.agent_type,
+    status: row.status,
+    priority: row.priority,
+    action: row.action,
+    input: row.input || {},
+    userId: row.user_id,
+    result: row.result,
+    error: row.error,
+    attempts: row.attempts,
+    timeoutMs: row.timeout_ms,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  };
+}
+
+const agentTaskStore = new AgentTaskStore();
+export default agentTaskStore;
@@ -0,0 +1,205 @@
+import NodeCache from 'node-cache';
+import { supabaseAdmin } from '../config/database.js';
+import { modelPricing, usageQuotaConfig } from '../config/ai.js';
+import { logger } from '../middleware/logging.js';
+import backendMonitoring from '../middleware/monitoring.js';
+import { estimateTokens } from '../utils/tokens.js';
+
+/**
+ * First instant of the current calendar month in UTC
+ */
+export const startOfMonth = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+
+/**
+ * Token, latency and cost accounting for model calls, with monthly quotas
+ * per user and per artisan shop.
+ *
+ * Usage itself is stored on the ai_interactions rows written by
+ * BaseAgent.logInteraction; month-to-date totals are read back from there and
+ * cached briefly, then kept current in memory as calls are recorded.
+ */
+export class AIUsageTracker {
+  constructor({
+    client = supabaseAdmin,
+    monitoring = backendMonitoring,
+    quotas = usageQuotaConfig,
+    pricing = modelPricing
+  } = {}) {
+    this.supabase = client;
+    this.monitoring = monitoring;
+    this.quotas = quotas;
+    this.pricing = pricing;
+    this.cache = new NodeCache({ stdTTL: quotas.usageCacheSeconds });
+  }
+
+  /**
+   * The artisan profile of a user, or null for customers
+   */
+  async resolveArtisanId(userId) {
+    const cacheKey = `artisan:${userId}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const { data, error } = await this.supabase
+      .from('artisan_profiles')
+      .select('id')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    const artisanId = data?.id ?? null;
+    this.cache.set(cacheKey, artisanId);
+    return artisanId;
+  }
+
+  /**
+   * Tokens used this month by a user and by their artisan shop
+   */
+  async getMonthToDate(userId, artisanId) {
+    const cacheKey = `usage:${startOfMonth()}:${userId}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const { data, error } = await this.supabase.rpc('ai_usage_since', {
+      p_user_id: userId,
+      p_artisan_id: artisanId,
+      p_since: startOfMonth()
+    });
+
+    if (error) throw error;
+    const usage = {
+      userTokens: Number(data?.[0]?.user_tokens ?? 0),
+      artisanTokens: Number(data?.[0]?.artisan_tokens ?? 0)
+    };
+    this.cache.set(cacheKey, usage);
+    return usage;
+  }
+
+  /**
+   * Refuse a model call when the user or their shop has used up this month's
+   * quota. Calls without a user (background jobs) are not limited. When
+   * usage cannot be read the call is allowed, so a database outage does not
+   * take the assistant down with it.
+   * @returns {Promise<{artisanId: string|null}>}
+   */
+  async assertWithinQuota(userId) {
+    if (!userId) return { artisanId: null };
+
+    let artisanId = null;
+    let usage;
+    try {
+      artisanId = await this.resolveArtisanId(userId);
+      usage = await this.getMonthToDate(userId, artisanId);
+    } catch (error) {
+      logger.warn('Could not check AI quota, allowing the call', { userId, error: error.message });
+      return { artisanId };
+    }
+
+    const { userMonthlyTokens, artisanMonthlyTokens } = this.quotas;
+    if (userMonthlyTokens > 0 && usage.userTokens >= userMonthlyTokens) {
+      throw new Error(`Monthly AI quota exceeded: ${usage.userTokens} of ${userMonthlyTokens} tokens used this month`);
+    }
+    if (artisanId && artisanMonthlyTokens > 0 && usage.artisanTokens >= artisanMonthlyTokens) {
+      throw new Error(`Monthly AI quota exceeded for this shop: ${usage.artisanTokens} of ${artisanMonthlyTokens} tokens used this month`);
+    }
+
+    return { artisanId };
+  }
+
+  /**
+   * Provider usage with cachedTokens filled in, or an estimate from the text
+   * when the provider reported none
+   */
+  normalizeUsage(usage, request = {}, text = '') {
+    if (usage) {
+      return {
+        promptTokens: usage.promptTokens ?? 0,
+        completionTokens: usage.completionTokens ?? 0,
+        cachedTokens: usage.cachedTokens ?? 0,
+        totalTokens: usage.totalTokens ?? (usage.promptTokens ?? 0) + (usage.completionTokens ?? 0),
+        estimated: false
+      };
+    }
+
+    const promptTokens = estimateTokens(request.systemPrompt) + estimateTokens(JSON.stringify(request.messages || []));
+    const completionTokens = estimateTokens(text);
+    return {
+      promptTokens,
+      completionTokens,
+      cachedTokens: 0,
+      totalTokens: promptTokens + completionTokens,
+      estimated: true
+    };
+  }
+
+  /**
+   * Estimated USD cost of a call; models without pricing cost nothing
+   */
+  estimateCost(model, usage) {
+    const price = this.pricing[model];
+    if (!price) return 0;
+
+    const uncachedPrompt = Math.max(usage.promptTokens - usage.cachedTokens, 0);
+    const cost = (uncachedPrompt * price.input +
+      usage.cachedTokens * (price.cachedInput ?? price.input) +
+      usage.completionTokens * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Account for one model call: metrics, cost and the in-memory month-to-date totals
+   * @returns {{usage: Object, costUsd: number}}
+   */
+  record({ agentType, model, userId = null, usage, durationMs, error = null }) {
+    const costUsd = this.estimateCost(model, usage);
+
+    this.monitoring.trackAIRequest(agentType, model, durationMs, {
+      input: usage.promptTokens,
+      output: usage.completionTokens,
+      cached: usage.cachedTokens
+    }, error);
+    this.monitoring.trackAICost(agentType, model, costUsd);
+
+    if (userId) {
+      const cacheKey = `usage:${startOfMonth()}:${userId}`;
+      const monthToDate = this.cache.get(cacheKey);
+      if (monthToDate) {
+        // NodeCache hands out copies; write the totals back without extending the entry's lifetime
+        const secondsLeft = Math.max(Math.ceil((this.cache.getTtl(cacheKey) - Date.now()) / 1000), 1);
+        this.cache.set(cacheKey, {
+          userTokens: monthToDate.userTokens + usage.totalTokens,
+          artisanTokens: monthToDate.artisanTokens + usage.totalTokens
+        }, secondsLeft);
+      }
+    }
+
+    return { usage, costUsd };
+  }
+
+  /**
+   * Spend between two instants grouped by agent type, user, artisan or model
+   */
+  async getBreakdown({ from, to, groupBy = 'agent_type' }) {
+    const { data, error } = await this.supabase.rpc('ai_usage_breakdown', {
+      p_from: from,
+      p_to: to,
+      p_group_by: groupBy
+    });
+
+    if (error) throw error;
+    return (data || []).map(row => ({
+      key: row.group_key,
+      requests: Number(row.requests),
+      promptTokens: Number(row.prompt_tokens),
+      completionTokens: Number(row.completion_tokens),
+      cachedTokens: Number(row.cached_tokens),
+      totalTokens: Number(row.total_tokens),
+      costUsd: Number(row.cost_usd),
+      averageLatencyMs: Math.round(Number(row.average_latency_ms))
+    }));
+  }
+}
+
+const aiUsageTracker = new AIUsageTracker();
+export default aiUsageTracker;
@@ -0,0 +1,83 @@
+import backendMonitoring from '../../middleware/monitoring.js';
+
+/**
+ * Base class for the agent response cache.
+ *
+ * Keys are namespaced by agent type (`<agentType>:<kind>:<hash>`, see
+ * utils/cacheKey.js) and values are JSON-serialisable. Every entry is stored
+ * with a TTL in seconds and a list of tags such as `product:<id>`,
+ * `artisan:<id>` or `catalog`; invalidating a tag removes every entry
+ * carrying it.
+ *
+ * Subclasses implement read(), write(), deleteTags(), flush() and close().
+ * The public methods add hit, miss and invalidation metrics on top.
+ */
+export class CacheStore {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.defaultTtlSeconds = options.defaultTtlSeconds ?? 600;
+    this.monitoring = options.monitoring || backendMonitoring;
+    this.options = options;
+  }
+
+  /**
+   * Cached value for a key, or undefined on a miss
+   */
+  async get(key) {
+    const value = await this.read(key);
+    this.monitoring.trackCacheRequest(this.name, key.split(':')[0], value !== undefined);
+    return value;
+  }
+
+  /**
+   * Store a value under a key
+   * @param {Object} options - { ttl: seconds, tags: [string] }
+   */
+  async set(key, value, { ttl = this.defaultTtlSeconds, tags = [] } = {}) {
+    await this.write(key, value, ttl, [...new Set(tags)]);
+  }
+
+  /**
+   * Remove every entry carrying any of the tags
+   * @returns {Promise<number>} Entries removed
+   */
+  async invalidateTags(tags) {
+    let removed = 0;
+    for (const tag of new Set(tags)) {
+      const entries = await this.deleteTags(tag);
+      this.monitoring.trackCacheInvalidation(this.name, tag, entries);
+      removed += entries;
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    await this.flush();
+  }
+
+  async read(key) {
+    throw new Error(`read() is not implemented by the ${this.name} cache`);
+  }
+
+  async write(key, value, ttl, tags) {
+    throw new Error(`write() is not implemented by the ${this.name} cache`);
+  }
+
+  async deleteTags(tag) {
+    throw new Error(`deleteTags() is not implemented by the ${this.name} cache`);
+  }
+
+  async flush() {
+    throw new Error(`flush() is not implemented by the ${this.name} cache`);
+  }
+
+  /**
+   * Release connections on shutdown
+   */
+  async close() {}
+}
+
+export default CacheStore;
@@ -0,0 +1,63 @@
+import NodeCache from 'node-cache';
+import { CacheStore } from './CacheStore.js';
+
+/**
+ * Process-local cache backed by NodeCache. Entries are not shared between
+ * backend replicas; use RedisCacheStore for that.
+ */
+export class MemoryCacheStore extends CacheStore {
+  constructor(options = {}) {
+    super('memory', options);
+    this.store = new NodeCache({ stdTTL: this.defaultTtlSeconds, checkperiod: 120 });
+    // tag -> keys carrying it, and key -> its tags for cleanup on expiry
+    this.tagKeys = new Map();
+    this.keyTags = new Map();
+
+    this.store.on('expired', key => this.forget(key));
+    this.store.on('del', key => this.forget(key));
+  }
+
+  async read(key) {
+    return this.store.get(key);
+  }
+
+  async write(key, value, ttl, tags) {
+    this.forget(key);
+    this.store.set(key, value, ttl);
+    this.keyTags.set(key, tags);
+    for (const tag of tags) {
+      if (!this.tagKeys.has(tag)) this.tagKeys.set(tag, new Set());
+      this.tagKeys.get(tag).add(key);
+    }
+  }
+
+  async deleteTags(tag) {
+    const keys = [...(this.tagKeys.get(tag) || [])];
+    this.tagKeys.delete(tag);
+    return this.store.del(keys);
+  }
+
+  async flush() {
+    this.store.flushAll();
+    this.tagKeys.clear();
+    this.keyTags.clear();
+  }
+
+  async close() {
+    this.store.close();
+  }
+
+  /**
+   * Drop a key from the tag index
+   */
+  forget(key) {
+    for (const tag of this.keyTags.get(key) || []) {
+      const keys = this.tagKeys.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) this.tagKeys.delete(tag);
+    }
+    this.keyTags.delete(key);
+  }
+}
+
+export default MemoryCacheStore;
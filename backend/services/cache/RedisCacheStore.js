@@ -0,0 +1,102 @@
+import { createClient } from 'redis';
+import { CacheStore } from './CacheStore.js';
+import { logger } from '../../middleware/logging.js';
+
+/**
+ * Cache shared by every backend replica, stored in Redis (see redis/redis.conf).
+ *
+ * Each entry is a JSON string with an expiry. Each tag is a Redis set of the
+ * keys carrying it, which expires no earlier than its longest-lived entry.
+ * When Redis is unreachable lookups miss and writes are dropped, so agents
+ * keep answering uncached.
+ */
+export class RedisCacheStore extends CacheStore {
+  constructor(options = {}) {
+    super('redis', options);
+    this.keyPrefix = options.keyPrefix || '';
+    this.client = options.client || createClient({ url: options.redisUrl });
+    this.client.on?.('error', error => {
+      logger.warn('Redis cache connection error', { error: error.message });
+    });
+    this.connecting = null;
+  }
+
+  /**
+   * Connected client. The first call starts connecting in the background;
+   * until the client is ready this throws instead of queueing commands, so a
+   * Redis outage turns into cache misses rather than stalled agents.
+   */
+  async connection() {
+    if (!this.client.isOpen && !this.connecting) {
+      this.connecting = this.client.connect()
+        .catch(error => logger.warn('Could not connect to the Redis cache', { error: error.message }))
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+    if (!this.client.isReady) {
+      throw new Error('Redis cache is not connected');
+    }
+    return this.client;
+  }
+
+  async read(key) {
+    try {
+      const client = await this.connection();
+      const value = await client.get(this.keyPrefix + key);
+      return value === null ? undefined : JSON.parse(value);
+    } catch (error) {
+      logger.warn('Redis cache read failed', { key, error: error.message });
+      return undefined;
+    }
+  }
+
+  async write(key, value, ttl, tags) {
+    try {
+      const client = await this.connection();
+      const transaction = client.multi().set(this.keyPrefix + key, JSON.stringify(value), { EX: ttl });
+      for (const tag of tags) {
+        const tagKey = this.tagKey(tag);
+        transaction
+          .sAdd(tagKey, key)
+          .expire(tagKey, ttl, 'NX')
+          .expire(tagKey, ttl, 'GT');
+      }
+      await transaction.exec();
+    } catch (error) {
+      logger.warn('Redis cache write failed', { key, error: error.message });
+    }
+  }
+
+  async deleteTags(tag) {
+    const client = await this.connection();
+    const tagKey = this.tagKey(tag);
+    const keys = await client.sMembers(tagKey);
+    if (keys.length === 0) return 0;
+
+    const [removed] = await client
+      .multi()
+      .del(keys.map(key => this.keyPrefix + key))
+      .del(tagKey)
+      .exec();
+    return Number(removed);
+  }
+
+  async flush() {
+    // FLUSHDB and KEYS are disabled in redis.conf, so walk our own prefix
+    const client = await this.connection();
+    for await (const key of client.scanIterator({ MATCH: `${this.keyPrefix}*`, COUNT: 500 })) {
+      await client.del(key);
+    }
+  }
+
+  async close() {
+    if (this.client.isOpen) await this.client.quit();
+  }
+
+  tagKey(tag) {
+    return `${this.keyPrefix}tag:${tag}`;
+  }
+}
+
+export default RedisCacheStore;
@@ -0,0 +1,43 @@
+import { cacheConfig } from '../../config/ai.js';
+import { CacheStore } from './CacheStore.js';
+import MemoryCacheStore from './MemoryCacheStore.js';
+import RedisCacheStore from './RedisCacheStore.js';
+
+// Cache backend name -> store class
+const cacheClasses = {
+  memory: MemoryCacheStore,
+  redis: RedisCacheStore
+};
+
+let instance = null;
+
+/**
+ * Create a new cache store from config/ai.js plus overrides
+ */
+export function createCache(name = cacheConfig.backend, overrides = {}) {
+  const CacheClass = cacheClasses[name];
+  if (!CacheClass) {
+    throw new Error(`Unknown cache backend: ${name}`);
+  }
+  return new CacheClass({ ...cacheConfig, ...overrides });
+}
+
+/**
+ * The cache shared by all agents
+ */
+export function getCache() {
+  instance ??= createCache();
+  return instance;
+}
+
+/**
+ * Close the shared cache on shutdown
+ */
+export async function closeCache() {
+  if (instance) {
+    await instance.close();
+    instance = null;
+  }
+}
+
+export { CacheStore, MemoryCacheStore, RedisCacheStore };
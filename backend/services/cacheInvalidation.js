@@ -0,0 +1,94 @@
+import { supabaseAdmin } from '../config/database.js';
+import { logger } from '../middleware/logging.js';
+import { getCache } from './cache/index.js';
+
+// Tables whose changes invalidate cached agent responses
+const WATCHED_TABLES = ['products', 'artisan_profiles'];
+
+/**
+ * Cache tags invalidated by a change to a watched table.
+ *
+ *   catalog        - anything built from catalog searches or prices
+ *   product:<id>   - anything built from that product
+ *   artisan:<id>   - anything built from that artisan's profile or products
+ */
+export function tagsForChange(table, { new: next = {}, old: previous = {} } = {}) {
+  switch (table) {
+    case 'products': {
+      const artisanIds = new Set([next.artisan_id, previous.artisan_id].filter(Boolean));
+      return [
+        'catalog',
+        `product:${next.id ?? previous.id}`,
+        ...[...artisanIds].map(artisanId => `artisan:${artisanId}`)
+      ];
+    }
+    case 'artisan_profiles':
+      return [`artisan:${next.id ?? previous.id}`];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Invalidates cached agent responses when products, prices or artisan
+ * profiles change, from Supabase Realtime change events. Every replica
+ * listens, so in-memory caches are invalidated everywhere too.
+ */
+export class CacheInvalidator {
+  constructor({ client = supabaseAdmin, cache = getCache() } = {}) {
+    this.supabase = client;
+    this.cache = cache;
+    this.channel = null;
+  }
+
+  /**
+   * Subscribe to changes of the watched tables
+   */
+  start() {
+    if (this.channel) return;
+
+    this.channel = WATCHED_TABLES.reduce(
+      (channel, table) => channel.on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table },
+        payload => this.handleChange(payload)
+      ),
+      this.supabase.channel('agent-cache-invalidation')
+    );
+
+    this.channel.subscribe((status, error) => {
+      if (status === 'SUBSCRIBED') {
+        logger.info('Watching catalog changes for agent cache invalidation', { tables: WATCHED_TABLES });
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        logger.error('Agent cache invalidation channel failed', { status, error: error?.message });
+      }
+    });
+  }
+
+  /**
+   * Invalidate the tags of one change event
+   */
+  async handleChange(payload) {
+    const tags = tagsForChange(payload.table, payload);
+    if (tags.length === 0) return 0;
+
+    try {
+      const removed = await this.cache.invalidateTags(tags);
+      logger.info('Invalidated cached agent responses', { table: payload.table, event: payload.eventType, tags, removed });
+      return removed;
+    } catch (error) {
+      logger.error('Failed to invalidate cached agent responses', { tags, error: error.message });
+      return 0;
+    }
+  }
+
+  async stop() {
+    if (this.channel) {
+      await this.supabase.removeChannel(this.channel);
+      this.channel = null;
+    }
+  }
+}
+
+const cacheInvalidator = new CacheInvalidator();
+export default cacheInvalidator;
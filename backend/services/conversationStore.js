@@ -0,0 +1,160 @@
+import { supabaseAdmin } from '../config/database.js';
+import { estimateTokens } from '../utils/tokens.js';
+
+const TITLE_LENGTH = 80;
+
+/**
+ * Persists chat conversations in the conversations and conversation_messages tables
+ */
+export class ConversationStore {
+  constructor(client = supabaseAdmin) {
+    this.supabase = client;
+  }
+
+  /**
+   * Start a conversation, titled after its first message
+   */
+  async create({ userId, agentType, firstMessage }) {
+    const title = firstMessage.length > TITLE_LENGTH
+      ? `${firstMessage.slice(0, TITLE_LENGTH - 3).trimEnd()}...`
+      : firstMessage;
+
+    const { data, error } = await this.supabase
+      .from('conversations')
+      .insert({ user_id: userId, agent_type: agentType, title })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return fromRow(data);
+  }
+
+  /**
+   * Fetch one of a user's conversations, or null when it does not exist or
+   * belongs to someone else
+   */
+  async get(conversationId, userId) {
+    const { data, error } = await this.supabase
+      .from('conversations')
+      .select('*')
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? fromRow(data) : null;
+  }
+
+  /**
+   * A user's conversations, most recently active first
+   */
+  async listForUser(userId, { limit = 20, offset = 0 } = {}) {
+    const { data, count, error } = await this.supabase
+      .from('conversations')
+      .select('id, agent_type, title, message_count, last_message_at, created_at', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('last_message_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return {
+      conversations: (data || []).map(fromRow),
+      total: count ?? 0
+    };
+  }
+
+  /**
+   * Messages of a conversation in order, optionally only those after a sequence number
+   */
+  async getMessages(conversationId, { afterSeq = 0 } = {}) {
+    const { data, error } = await this.supabase
+      .from('conversation_messages')
+      .select('id, seq, role, content, agent_type, token_count, created_at')
+      .eq('conversation_id', conversationId)
+      .gt('seq', afterSeq)
+      .order('seq', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(messageFromRow);
+  }
+
+  /**
+   * Append messages, e.g. a user turn and the reply to it
+   */
+  async addMessages(conversationId, messages) {
+    const { error } = await this.supabase
+      .from('conversation_messages')
+      .insert(messages.map(message => ({
+        conversation_id: conversationId,
+        role: message.role,
+        content: message.content,
+        agent_type: message.agentType || null,
+        token_count: estimateTokens(message.content)
+      })));
+
+    if (error) throw error;
+  }
+
+  /**
+   * Replace the rolling summary once older messages have been folded into it
+   */
+  async updateSummary(conversationId, summary, summarizedThroughSeq) {
+    const { error } = await this.supabase
+      .from('conversations')
+      .update({ summary, summarized_through_seq: summarizedThroughSeq })
+      .eq('id', conversationId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Delete one of a user's conversations with its messages.
+   * Resolves to false when there was nothing to delete.
+   */
+  async delete(conversationId, userId) {
+    const { data, error } = await this.supabase
+      .from('conversations')
+      .delete()
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+}
+
+/**
+ * Map a conversations row onto the API shape
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    agentType: row.agent_type,
+    title: row.title,
+    summary: row.summary,
+    summarizedThroughSeq: row.summarized_through_seq ?? 0,
+    messageCount: row.message_count ?? 0,
+    lastMessageAt: row.last_message_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Map a conversation_messages row onto the API shape
+ */
+function messageFromRow(row) {
+  return {
+    id: row.id,
+    seq: Number(row.seq),
+    role: row.role,
+    content: row.content,
+    agentType: row.agent_type,
+    tokenCount: row.token_count,
+    createdAt: row.created_at
+  };
+}
+
+const conversationStore = new ConversationStore();
+export default conversationStore;
@@ -0,0 +1,174 @@
+import { supabaseAdmin } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+
+// Statuses a fulfilment can move to from each status
+const TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Order statuses in which artisans may work on their fulfilments; unpaid,
+// cancelled and refunded orders are not shipped
+const FULFILLABLE_ORDER_STATUSES = ['confirmed', 'processing', 'shipped'];
+
+const FULFILMENT_COLUMNS = `
+  *,
+  order:orders!inner(
+    order_number, status, payment_status, payment_method, shipping_address, created_at,
+    customer:user_profiles(full_name, avatar_url)
+  )
+`;
+
+/**
+ * Each artisan's share of an order. The order's own status is derived from
+ * its fulfilments by the refresh_order_status trigger.
+ */
+export class FulfilmentService {
+  constructor(client = supabaseAdmin) {
+    this.supabase = client;
+  }
+
+  /**
+   * The fulfilments of the user's artisan shop, newest first, each with the
+   * order and only that artisan's items
+   */
+  async listForArtisan(userId, { status } = {}) {
+    const artisanId = await this.requireArtisanId(userId);
+
+    let query = this.supabase
+      .from('order_fulfilments')
+      .select(FULFILMENT_COLUMNS)
+      .eq('artisan_id', artisanId)
+      .order('created_at', { ascending: false });
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: fulfilments, error } = await query;
+    if (error) throw error;
+    if (fulfilments.length === 0) return [];
+
+    const { data: items, error: itemsError } = await this.supabase
+      .from('order_items')
+      .select('*')
+      .eq('artisan_id', artisanId)
+      .in('order_id', fulfilments.map(fulfilment => fulfilment.order_id));
+    if (itemsError) throw itemsError;
+
+    return fulfilments.map(fulfilment => fulfilmentFromRow(
+      fulfilment,
+      items.filter(item => item.order_id === fulfilment.order_id)
+    ));
+  }
+
+  /**
+   * Move one of the artisan's fulfilments on, e.g. to shipped with its
+   * tracking number. Cancelling puts its items back into stock. Returns the
+   * fulfilment with the order status derived from it.
+   *
+   * Throws errors with status 403 (not an artisan), 404 (not their
+   * fulfilment) or 409 (order not paid, or an illegal transition).
+   */
+  async updateFulfilment(userId, fulfilmentId, { status, carrier, trackingNumber }) {
+    const artisanId = await this.requireArtisanId(userId);
+    const fulfilment = await this.findFulfilment(artisanId, fulfilmentId);
+
+    if (status && status !== fulfilment.status) {
+      if (!FULFILLABLE_ORDER_STATUSES.includes(fulfilment.order.status)) {
+        throw httpError(409, 'Order is not ready for fulfilment');
+      }
+      if (!TRANSITIONS[fulfilment.status].includes(status)) {
+        throw httpError(409, `Cannot move a ${fulfilment.status} fulfilment to ${status}`);
+      }
+    }
+
+    const { error } = await this.supabase
+      .from('order_fulfilments')
+      .update({
+        ...(status && { status }),
+        ...(carrier !== undefined && { carrier }),
+        ...(trackingNumber !== undefined && { tracking_number: trackingNumber })
+      })
+      .eq('id', fulfilmentId);
+    if (error) throw error;
+
+    // Read it back for the order status the trigger derived
+    return fulfilmentFromRow(await this.findFulfilment(artisanId, fulfilmentId));
+  }
+
+  async findFulfilment(artisanId, fulfilmentId) {
+    const { data, error } = await this.supabase
+      .from('order_fulfilments')
+      .select(FULFILMENT_COLUMNS)
+      .eq('id', fulfilmentId)
+      .eq('artisan_id', artisanId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw httpError(404, 'Fulfilment not found');
+    }
+    return data;
+  }
+
+  async requireArtisanId(userId) {
+    const { data, error } = await this.supabase
+      .from('artisan_profiles')
+      .select('id')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw httpError(403, 'Artisan profile required');
+    }
+    return data.id;
+  }
+}
+
+/**
+ * Map an order_fulfilments row, with its order joined, onto the API shape
+ */
+export function fulfilmentFromRow(row, items) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    artisanOrderNumber: row.artisan_order_number,
+    status: row.status,
+    shippingService: row.shipping_service,
+    shippingAmount: Number(row.shipping_amount ?? 0),
+    discountAmount: Number(row.discount_amount ?? 0),
+    artisanDiscountAmount: Number(row.artisan_discount_amount ?? 0),
+    carrier: row.carrier,
+    trackingNumber: row.tracking_number,
+    shippedAt: row.shipped_at,
+    deliveredAt: row.delivered_at,
+    cancelledAt: row.cancelled_at,
+    order: row.order && {
+      orderNumber: row.order.order_number,
+      status: row.order.status,
+      paymentStatus: row.order.payment_status,
+      paymentMethod: row.order.payment_method,
+      shippingAddress: row.order.shipping_address,
+      customerName: row.order.customer?.full_name,
+      customerAvatar: row.order.customer?.avatar_url,
+      createdAt: row.order.created_at
+    },
+    ...(items && {
+      items: items.map(item => ({
+        id: item.id,
+        productId: item.product_id,
+        title: item.product_title,
+        image: item.product_image,
+        quantity: item.quantity,
+        unitPrice: Number(item.unit_price),
+        totalPrice: Number(item.total_price)
+      }))
+    })
+  };
+}
+
+export default new FulfilmentService();
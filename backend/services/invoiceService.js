@@ -0,0 +1,419 @@
+import { supabaseAdmin } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+import { PdfDocument, PAGE_WIDTH } from '../utils/pdf.js';
+import { gstBreakdown, gstStateCode, supplyType } from './taxService.js';
+
+const INVOICE_BUCKET = 'invoices';
+
+// How long download links stay valid, in seconds
+const DOWNLOAD_URL_TTL = 3600;
+
+// SAC of courier services, for the shipping line
+const SHIPPING_SAC = '996812';
+
+// Order statuses of paid orders; unpaid and cancelled orders get no invoice
+const INVOICEABLE_ORDER_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered', 'refunded'];
+
+const FULFILMENT_COLUMNS = `
+  *,
+  order:orders!inner(id, customer_id, order_number, status, shipping_address, billing_address, created_at),
+  artisan:artisan_profiles!inner(id, user_id, business_name, workshop_address, workshop_pincode, workshop_state, gstin)
+`;
+
+/**
+ * GST tax invoices, one per artisan fulfilment of a paid order. The artisan
+ * is the supplier: invoices are numbered per artisan and financial year by
+ * the assign_invoice_number trigger, and rendered once to a PDF in the
+ * invoices bucket that buyers and artisans download through signed URLs.
+ */
+export class InvoiceService {
+  constructor({ client = supabaseAdmin } = {}) {
+    this.supabase = client;
+  }
+
+  /**
+   * The invoices of an order the actor may see (any for admins, their own
+   * for others), issuing those not issued yet. Cancelled fulfilments are
+   * left out.
+   *
+   * Throws errors with status 404 (not their order) or 409 (not paid).
+   */
+  async listForOrder(actor, orderId) {
+    let query = this.supabase
+      .from('orders')
+      .select('id, status')
+      .eq('id', orderId);
+    if (actor.role !== 'admin') {
+      query = query.eq('customer_id', actor.id);
+    }
+
+    const { data: order, error } = await query.maybeSingle();
+    if (error) throw error;
+
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    if (!INVOICEABLE_ORDER_STATUSES.includes(order.status)) {
+      throw httpError(409, 'Order is not paid yet');
+    }
+
+    const { data: fulfilments, error: fulfilmentsError } = await this.supabase
+      .from('order_fulfilments')
+      .select(FULFILMENT_COLUMNS)
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+    if (fulfilmentsError) throw fulfilmentsError;
+
+    const invoices = [];
+    for (const fulfilment of fulfilments) {
+      const invoice = await this.findInvoice(fulfilment.id);
+      if (invoice || fulfilment.status !== 'cancelled') {
+        invoices.push(await this.withDownloadUrl(invoice ?? await this.issue(fulfilment)));
+      }
+    }
+    return invoices;
+  }
+
+  /**
+   * The invoice of one of the artisan's fulfilments, issued if it was not
+   * yet.
+   *
+   * Throws errors with status 403 (not an artisan), 404 (not their
+   * fulfilment) or 409 (not paid, or cancelled before it was invoiced).
+   */
+  async getForArtisan(userId, fulfilmentId) {
+    const artisanId = await this.requireArtisanId(userId);
+
+    const { data: fulfilment, error } = await this.supabase
+      .from('order_fulfilments')
+      .select(FULFILMENT_COLUMNS)
+      .eq('id', fulfilmentId)
+      .eq('artisan_id', artisanId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!fulfilment) {
+      throw httpError(404, 'Fulfilment not found');
+    }
+
+    const invoice = await this.findInvoice(fulfilment.id);
+    if (invoice) {
+      return this.withDownloadUrl(invoice);
+    }
+    if (!INVOICEABLE_ORDER_STATUSES.includes(fulfilment.order.status)) {
+      throw httpError(409, 'Order is not paid yet');
+    }
+    if (fulfilment.status === 'cancelled') {
+      throw httpError(409, 'Fulfilment was cancelled');
+    }
+    return this.withDownloadUrl(await this.issue(fulfilment));
+  }
+
+  /**
+   * Issue the invoice of a fulfilment, with its order and artisan joined,
+   * and store its PDF. Returns the invoices row.
+   */
+  async issue(fulfilment) {
+    const { data: items, error: itemsError } = await this.supabase
+      .from('order_items')
+      .select('product_title, hsn_code, gst_rate, quantity, unit_price, total_price')
+      .eq('order_id', fulfilment.order_id)
+      .eq('artisan_id', fulfilment.artisan_id)
+      .order('created_at', { ascending: true });
+    if (itemsError) throw itemsError;
+
+    const shippingAddress = fulfilment.order.shipping_address || {};
+    const lines = items.map(item => ({
+      description: item.product_title,
+      hsnCode: item.hsn_code,
+      quantity: item.quantity,
+      unitPrice: Number(item.unit_price),
+      amount: Number(item.total_price),
+      gstRate: Number(item.gst_rate ?? 0)
+    }));
+    // Shipping is part of the same supply, so it is taxed at the highest
+    // rate of the goods it carries
+    if (Number(fulfilment.shipping_amount) > 0) {
+      lines.push({
+        description: `Shipping${fulfilment.shipping_service ? ` (${fulfilment.shipping_service})` : ''}`,
+        hsnCode: SHIPPING_SAC,
+        quantity: 1,
+        unitPrice: Number(fulfilment.shipping_amount),
+        amount: Number(fulfilment.shipping_amount),
+        gstRate: Math.max(0, ...lines.map(line => line.gstRate))
+      });
+    }
+
+    // A promotion the artisan funds lowers the value of their supply; ones
+    // the platform funds do not, as the artisan is paid the full price
+    applyDiscount(lines, Number(fulfilment.artisan_discount_amount ?? 0));
+
+    const tax = gstBreakdown(lines, supplyType(fulfilment.artisan.workshop_state, shippingAddress.state));
+
+    let { data: invoice, error } = await this.supabase
+      .from('invoices')
+      .insert({
+        fulfilment_id: fulfilment.id,
+        order_id: fulfilment.order_id,
+        artisan_id: fulfilment.artisan_id,
+        customer_id: fulfilment.order.customer_id,
+        supply_type: tax.supplyType,
+        seller_state: fulfilment.artisan.workshop_state ?? null,
+        place_of_supply: shippingAddress.state ?? null,
+        taxable_amount: tax.taxableAmount,
+        cgst_amount: tax.cgstAmount,
+        sgst_amount: tax.sgstAmount,
+        igst_amount: tax.igstAmount,
+        total_amount: tax.totalAmount,
+        lines: tax.lines
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      // Unique violation: another request issued this invoice meanwhile
+      if (error.code !== '23505') throw error;
+      invoice = await this.findInvoice(fulfilment.id);
+    }
+    if (invoice.storage_path) {
+      return invoice;
+    }
+
+    const storagePath = `${fulfilment.order_id}/${invoice.id}.pdf`;
+    const { error: uploadError } = await this.supabase.storage
+      .from(INVOICE_BUCKET)
+      .upload(storagePath, renderInvoicePdf(invoice, fulfilment), {
+        contentType: 'application/pdf',
+        upsert: true
+      });
+    if (uploadError) throw uploadError;
+
+    const { error: updateError } = await this.supabase
+      .from('invoices')
+      .update({ storage_path: storagePath })
+      .eq('id', invoice.id);
+    if (updateError) throw updateError;
+
+    return { ...invoice, storage_path: storagePath };
+  }
+
+  async findInvoice(fulfilmentId) {
+    const { data, error } = await this.supabase
+      .from('invoices')
+      .select('*')
+      .eq('fulfilment_id', fulfilmentId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * The invoice in the API shape, with a signed link that downloads its PDF.
+   * Invoices whose PDF was never stored are rendered again first.
+   */
+  async withDownloadUrl(invoice) {
+    if (!invoice.storage_path) {
+      const { data: fulfilment, error } = await this.supabase
+        .from('order_fulfilments')
+        .select(FULFILMENT_COLUMNS)
+        .eq('id', invoice.fulfilment_id)
+        .single();
+      if (error) throw error;
+      invoice = await this.issue(fulfilment);
+    }
+
+    const { data, error } = await this.supabase.storage
+      .from(INVOICE_BUCKET)
+      .createSignedUrl(invoice.storage_path, DOWNLOAD_URL_TTL, {
+        download: `${invoice.invoice_number.replace(/\//g, '-')}.pdf`
+      });
+    if (error) throw error;
+
+    return { ...invoiceFromRow(invoice), downloadUrl: data.signedUrl };
+  }
+
+  async requireArtisanId(userId) {
+    const { data, error } = await this.supabase
+      .from('artisan_profiles')
+      .select('id')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw httpError(403, 'Artisan profile required');
+    }
+    return data.id;
+  }
+}
+
+/**
+ * Map an invoices row onto the API shape
+ */
+export function invoiceFromRow(row) {
+  return {
+    id: row.id,
+    invoiceNumber: row.invoice_number,
+    financialYear: row.financial_year,
+    fulfilmentId: row.fulfilment_id,
+    orderId: row.order_id,
+    artisanId: row.artisan_id,
+    supplyType: row.supply_type,
+    sellerState: row.seller_state,
+    placeOfSupply: row.place_of_supply,
+    taxableAmount: Number(row.taxable_amount),
+    cgstAmount: Number(row.cgst_amount),
+    sgstAmount: Number(row.sgst_amount),
+    igstAmount: Number(row.igst_amount),
+    totalAmount: Number(row.total_amount),
+    lines: row.lines,
+    issuedAt: row.issued_at
+  };
+}
+
+const MARGIN = 40;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const PAGE_BOTTOM = 770;
+
+/**
+ * Render an invoices row, for a fulfilment with its order and artisan
+ * joined, as a one or more page A4 PDF
+ */
+function renderInvoicePdf(invoice, fulfilment) {
+  const pdf = new PdfDocument();
+  const { artisan, order } = fulfilment;
+  const address = order.shipping_address || {};
+  const intraState = invoice.supply_type === 'intra_state';
+
+  pdf.text(MARGIN, 56, 'TAX INVOICE', { size: 16, bold: true });
+  pdf.text(RIGHT, 50, `Invoice No. ${invoice.invoice_number}`, { bold: true, align: 'right' });
+  pdf.text(RIGHT, 64, `Date: ${formatDate(invoice.issued_at)}`, { align: 'right' });
+  pdf.text(RIGHT, 78, `Order: ${fulfilment.artisan_order_number || order.order_number}`, { align: 'right' });
+  pdf.line(MARGIN, 92, RIGHT, 92);
+
+  const block = (x, title, rows) => {
+    pdf.text(x, 112, title, { bold: true });
+    rows.filter(Boolean).forEach((row, index) => pdf.text(x, 128 + index * 13, row, { size: 9 }));
+  };
+  block(MARGIN, 'Sold by', [
+    artisan.business_name,
+    artisan.workshop_address,
+    artisan.workshop_state && `State: ${withStateCode(artisan.workshop_state)}`,
+    `GSTIN: ${artisan.gstin || 'Unregistered'}`
+  ]);
+  block(310, 'Ship to', [
+    address.full_name,
+    address.address_line_1,
+    address.address_line_2,
+    [address.city, address.postal_code].filter(Boolean).join(' '),
+    address.state && `Place of supply: ${withStateCode(address.state)}`
+  ]);
+
+  const columns = intraState
+    ? [['CGST', 470], ['SGST', 515]]
+    : [['IGST', 515]];
+  const header = y => {
+    pdf.line(MARGIN, y - 12, RIGHT, y - 12);
+    pdf.text(MARGIN, y, '#', { size: 9, bold: true });
+    pdf.text(58, y, 'Description', { size: 9, bold: true });
+    pdf.text(250, y, 'HSN/SAC', { size: 9, bold: true });
+    pdf.text(320, y, 'Qty', { size: 9, bold: true, align: 'right' });
+    pdf.text(385, y, 'Taxable', { size: 9, bold: true, align: 'right' });
+    pdf.text(420, y, 'GST %', { size: 9, bold: true, align: 'right' });
+    columns.forEach(([name, x]) => pdf.text(x, y, name, { size: 9, bold: true, align: 'right' }));
+    pdf.text(RIGHT, y, 'Amount', { size: 9, bold: true, align: 'right' });
+    pdf.line(MARGIN, y + 6, RIGHT, y + 6);
+    return y + 22;
+  };
+
+  let y = header(220);
+  invoice.lines.forEach((line, index) => {
+    if (y > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = header(60);
+    }
+    pdf.text(MARGIN, y, String(index + 1), { size: 9 });
+    pdf.text(58, y, truncate(line.description, 36), { size: 9 });
+    pdf.text(250, y, line.hsnCode || '-', { size: 9 });
+    pdf.text(320, y, String(line.quantity), { size: 9, align: 'right' });
+    pdf.text(385, y, formatAmount(line.taxableAmount), { size: 9, align: 'right' });
+    pdf.text(420, y, `${line.gstRate}%`, { size: 9, align: 'right' });
+    const taxes = intraState ? [line.cgstAmount, line.sgstAmount] : [line.igstAmount];
+    columns.forEach(([, x], column) => pdf.text(x, y, formatAmount(taxes[column]), { size: 9, align: 'right' }));
+    pdf.text(RIGHT, y, formatAmount(line.amount), { size: 9, align: 'right' });
+    y += 16;
+  });
+
+  if (y > PAGE_BOTTOM - 80) {
+    pdf.addPage();
+    y = 60;
+  }
+  pdf.line(MARGIN, y - 6, RIGHT, y - 6);
+  const totals = [
+    ['Taxable value', invoice.taxable_amount],
+    ...(intraState
+      ? [['CGST', invoice.cgst_amount], ['SGST', invoice.sgst_amount]]
+      : [['IGST', invoice.igst_amount]])
+  ];
+  totals.forEach(([label, amount]) => {
+    y += 14;
+    pdf.text(450, y, label, { size: 9, align: 'right' });
+    pdf.text(RIGHT, y, `Rs. ${formatAmount(amount)}`, { size: 9, align: 'right' });
+  });
+  y += 18;
+  pdf.text(450, y, 'Total (incl. GST)', { bold: true, align: 'right' });
+  pdf.text(RIGHT, y, `Rs. ${formatAmount(invoice.total_amount)}`, { bold: true, align: 'right' });
+
+  y += 30;
+  pdf.text(MARGIN, y, intraState
+    ? 'Intra-state supply: GST charged as CGST and SGST.'
+    : 'Inter-state supply: GST charged as IGST.', { size: 8 });
+  pdf.text(MARGIN, y + 12, 'Prices include GST. This is a computer generated invoice and needs no signature.', { size: 8 });
+  const discount = invoice.lines.reduce((sum, line) => sum + (line.discountAmount || 0), 0);
+  if (discount > 0) {
+    pdf.text(MARGIN, y + 24, `Amounts are after a seller discount of Rs. ${formatAmount(discount)}.`, { size: 8 });
+  }
+
+  return pdf.toBuffer();
+}
+
+/**
+ * Take a discount off invoice lines in proportion to their amounts, with the
+ * rounding remainder on the last, recording each line's discountAmount
+ */
+function applyDiscount(lines, discount) {
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (discount <= 0 || total <= 0) return;
+
+  const applied = Math.min(discount, total);
+  let remaining = applied;
+  lines.forEach((line, index) => {
+    const share = index === lines.length - 1
+      ? remaining
+      : Math.round(applied * line.amount / total * 100) / 100;
+    remaining = Math.round((remaining - share) * 100) / 100;
+    line.discountAmount = share;
+    line.amount = Math.round((line.amount - share) * 100) / 100;
+  });
+}
+
+const withStateCode = state => {
+  const code = gstStateCode(state);
+  return code ? `${state} (${code})` : state;
+};
+
+const formatAmount = amount => Number(amount).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = date => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 1)}...` : text || '');
+
+export default new InvoiceService();
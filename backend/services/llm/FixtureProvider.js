@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * Deterministic offline provider that replays recorded responses.
+ *
+ * Responses are stored as `<fixturesDir>/<hash>.json`, where the hash is a
+ * SHA-256 of the system prompt, the messages, the response schema and the tools.
+ *
+ * Modes:
+ * - replay: serve recordings, synthesize a deterministic answer when none exists
+ * - strict: serve recordings, fail when none exists
+ * - record: call the delegate provider and store its answer
+ */
+export class FixtureProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('fixture', {
+      displayName: 'Offline fixtures',
+      defaultModel: 'fixture',
+      ...options
+    });
+    this.fixturesDir = options.fixturesDir;
+    this.mode = options.mode || 'replay';
+    this.delegate = options.delegate || null;
+
+    if (this.mode === 'record' && !this.delegate) {
+      throw new Error('Fixture provider in record mode requires a delegate provider');
+    }
+  }
+
+  /**
+   * Compute the fixture key for a request
+   */
+  static hashRequest({ systemPrompt = null, messages = [], responseSchema = null, tools, toolChoice }) {
+    const payload = stableStringify({
+      systemPrompt,
+      messages: messages.map(({ role, content, toolCalls, toolCallId }) => ({ role, content, toolCalls, toolCallId })),
+      responseSchema,
+      tools: tools?.map(({ name }) => name),
+      toolChoice
+    });
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  async generate(request) {
+    const key = FixtureProvider.hashRequest(request);
+
+    if (this.mode === 'record') {
+      const response = await this.delegate.generate(request);
+      await this.saveFixture(key, request, response);
+      return response;
+    }
+
+    const fixture = await this.loadFixture(key);
+    if (fixture) {
+      return {
+        text: fixture.text,
+        toolCalls: fixture.toolCalls || [],
+        model: fixture.model || this.resolveModel(request),
+        usage: fixture.usage || null
+      };
+    }
+
+    if (this.mode === 'strict') {
+      throw new Error(`No LLM fixture recorded for prompt ${key}`);
+    }
+
+    return {
+      text: request.responseSchema
+        ? JSON.stringify(synthesizeFromSchema(request.responseSchema))
+        : `[offline response ${key.slice(0, 12)}] No recorded answer is available for this prompt.`,
+      // Without a recording the model answers straight away instead of calling tools
+      toolCalls: [],
+      model: this.resolveModel(request),
+      usage: null
+    };
+  }
+
+  /**
+   * Replay the answer word by word so streaming consumers see several chunks
+   */
+  async *stream(request) {
+    const response = await this.generate(request);
+    for (const text of response.text.match(/\S+\s*/g) || []) {
+      yield { text };
+    }
+    if (response.usage) yield { usage: response.usage };
+  }
+
+  async healthCheck() {
+    return {
+      provider: this.displayName,
+      model: this.defaultModel,
+      connected: true,
+      responseTime: 0,
+      mode: this.mode
+    };
+  }
+
+  fixturePath(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+
+  async loadFixture(key) {
+    try {
+      const raw = await fs.readFile(this.fixturePath(key), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async saveFixture(key, request, response) {
+    await fs.mkdir(this.fixturesDir, { recursive: true });
+    const fixture = {
+      key,
+      recordedAt: new Date().toISOString(),
+      model: response.model,
+      request: {
+        systemPrompt: request.systemPrompt ?? null,
+        messages: request.messages,
+        schemaName: request.schemaName ?? null
+      },
+      text: response.text,
+      toolCalls: response.toolCalls?.length ? response.toolCalls : undefined,
+      usage: response.usage ?? null
+    };
+    await fs.writeFile(this.fixturePath(key), JSON.stringify(fixture, null, 2));
+  }
+}
+
+/**
+ * JSON.stringify with recursively sorted object keys
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Build the smallest deterministic value that satisfies a JSON schema
+ */
+export function synthesizeFromSchema(schema, name = 'value') {
+  if (!schema || typeof schema !== 'object') return null;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  switch (schema.type) {
+    case 'object': {
+      const properties = schema.properties || {};
+      const keys = schema.required || Object.keys(properties);
+      return keys.reduce((obj, key) => {
+        obj[key] = synthesizeFromSchema(properties[key], key);
+        return obj;
+      }, {});
+    }
+    case 'array':
+      return schema.items ? [synthesizeFromSchema(schema.items, name)] : [];
+    case 'string':
+      return `fixture ${name}`;
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
+
+export default FixtureProvider;
@@ -0,0 +1,176 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * Google Gemini provider backed by @google/generative-ai
+ */
+export class GeminiProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('gemini', {
+      displayName: 'Google Gemini',
+      defaultModel: 'gemini-2.0-flash-001',
+      ...options
+    });
+    this.client = options.client || new GoogleGenerativeAI(options.apiKey);
+  }
+
+  /**
+   * Map a provider-agnostic request onto a Gemini generateContent call
+   */
+  async generate(request) {
+    const { model, modelName, params } = this.prepare(request);
+    const result = await model.generateContent(params);
+
+    return {
+      text: result?.response?.text?.(),
+      toolCalls: (result?.response?.functionCalls?.() || []).map((call, index) => ({
+        id: `call_${index}`,
+        name: call.name,
+        arguments: call.args || {}
+      })),
+      model: modelName,
+      usage: this.mapUsage(result?.response?.usageMetadata)
+    };
+  }
+
+  /**
+   * Stream a completion with generateContentStream
+   */
+  async *stream(request) {
+    const { model, params } = this.prepare(request);
+    const result = await model.generateContentStream(params);
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text?.();
+      if (text) yield { text };
+    }
+
+    const response = await result.response;
+    const usage = this.mapUsage(response?.usageMetadata);
+    if (usage) yield { usage };
+  }
+
+  /**
+   * Build the model handle and generateContent params for a request
+   */
+  prepare(request) {
+    const modelName = this.resolveModel(request);
+    const { systemPrompt, messages = [], generationConfig = {}, responseSchema, tools, toolChoice } = request;
+
+    const modelParams = { model: modelName };
+    if (responseSchema && systemPrompt) {
+      modelParams.systemInstruction = { role: 'system', parts: [{ text: systemPrompt }] };
+    }
+
+    const contents = [
+      ...(systemPrompt ? [{ role: 'user', parts: [{ text: systemPrompt }] }] : []),
+      ...messages.map(msg => this.mapMessage(msg))
+    ];
+
+    const params = {
+      contents,
+      generationConfig: this.buildGenerationConfig(generationConfig, responseSchema)
+    };
+
+    if (tools?.length) {
+      params.tools = [{
+        functionDeclarations: tools.map(({ name, description, parameters }) => ({
+          name,
+          description,
+          parameters: toGeminiSchema(parameters)
+        }))
+      }];
+      params.toolConfig = {
+        functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' }
+      };
+    }
+
+    return {
+      model: this.client.getGenerativeModel(modelParams),
+      modelName,
+      params
+    };
+  }
+
+  /**
+   * Convert a provider-agnostic message into Gemini content
+   */
+  mapMessage(msg) {
+    if (msg.role === 'tool') {
+      return {
+        role: 'function',
+        parts: [{ functionResponse: { name: msg.name, response: { content: msg.content } } }]
+      };
+    }
+    if (msg.role === 'assistant') {
+      return {
+        role: 'model',
+        parts: [
+          ...(msg.content ? [{ text: msg.content }] : []),
+          ...(msg.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+        ]
+      };
+    }
+    return { role: 'user', parts: [{ text: msg.content }] };
+  }
+
+  /**
+   * Convert Gemini usageMetadata into provider-agnostic usage
+   */
+  mapUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.promptTokenCount ?? 0,
+      completionTokens: usage.candidatesTokenCount ?? 0,
+      cachedTokens: usage.cachedContentTokenCount ?? 0,
+      totalTokens: usage.totalTokenCount ?? 0
+    };
+  }
+
+  /**
+   * Translate generation options into Gemini's generationConfig
+   */
+  buildGenerationConfig(config, responseSchema) {
+    const genCfg = {};
+    if (config.temperature != null) genCfg.temperature = config.temperature;
+    if (config.maxTokens != null) genCfg.maxOutputTokens = config.maxTokens;
+    if (config.topP != null) genCfg.topP = config.topP;
+    if (config.topK != null) genCfg.topK = config.topK;
+    if (config.stopSequences) genCfg.stopSequences = config.stopSequences;
+    if (config.candidateCount) genCfg.candidateCount = config.candidateCount;
+
+    if (responseSchema) {
+      genCfg.responseMimeType = 'application/json';
+      genCfg.responseSchema = toGeminiSchema(responseSchema);
+    }
+    return genCfg;
+  }
+}
+
+// Schema keywords understood by Gemini's responseSchema
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type', 'format', 'description', 'nullable', 'enum', 'properties', 'required',
+  'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf'
+]);
+
+/**
+ * Strip JSON schema keywords Gemini rejects, such as additionalProperties
+ */
+export function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  return Object.entries(schema).reduce((clean, [key, value]) => {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) return clean;
+    if (key === 'properties') {
+      clean.properties = Object.fromEntries(
+        Object.entries(value).map(([name, prop]) => [name, toGeminiSchema(prop)])
+      );
+    } else {
+      clean[key] = key === 'items' || key === 'anyOf' ? toGeminiSchema(value) : value;
+    }
+    return clean;
+  }, {});
+}
+
+export default GeminiProvider;
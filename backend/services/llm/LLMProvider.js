@@ -0,0 +1,80 @@
+/**
+ * Base class for LLM providers used by the agents.
+ *
+ * A provider turns a provider-agnostic request into a model call:
+ *
+ *   {
+ *     model,              // optional, falls back to provider.defaultModel
+ *     systemPrompt,       // agent system prompt
+ *     messages,           // [{ role: 'user' | 'assistant' | 'tool', content }]
+ *     generationConfig,   // { temperature, maxTokens, topP, topK, stopSequences, candidateCount }
+ *     responseSchema,     // optional JSON schema, switches the call to JSON output
+ *     schemaName,         // optional name for the JSON schema
+ *     tools,              // optional [{ name, description, parameters }] the model may call
+ *     toolChoice          // 'auto' (default) or 'none' to force a text answer
+ *   }
+ *
+ * and resolves to `{ text, toolCalls, model, usage }` where toolCalls is
+ * `[{ id, name, arguments }]` (empty unless tools were offered) and usage is
+ * `{ promptTokens, completionTokens, cachedTokens, totalTokens }` or null when
+ * unknown. cachedTokens are the part of promptTokens served from the
+ * provider's prompt cache.
+ *
+ * Tool calls are replayed as an assistant message with `toolCalls`, followed
+ * by one `{ role: 'tool', toolCallId, name, content }` message per call.
+ *
+ * `stream(request)` is an async generator over `{ text }` deltas, optionally
+ * followed by a final `{ usage }` chunk.
+ */
+export class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.displayName = options.displayName || name;
+    this.defaultModel = options.defaultModel || null;
+    this.options = options;
+  }
+
+  /**
+   * Generate a completion for the given request
+   */
+  async generate(request) {
+    throw new Error(`generate() is not implemented by the ${this.name} provider`);
+  }
+
+  /**
+   * Stream a completion. Providers without native streaming yield the
+   * whole answer as a single chunk.
+   */
+  async *stream(request) {
+    const response = await this.generate(request);
+    if (response.text) yield { text: response.text };
+    if (response.usage) yield { usage: response.usage };
+  }
+
+  /**
+   * Check that the provider is reachable
+   */
+  async healthCheck() {
+    const startTime = Date.now();
+    await this.generate({
+      messages: [{ role: 'user', content: 'Test connection' }],
+      generationConfig: { maxTokens: 5 }
+    });
+
+    return {
+      provider: this.displayName,
+      model: this.defaultModel,
+      connected: true,
+      responseTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Resolve the model name for a request
+   */
+  resolveModel(request = {}) {
+    return request.model || this.defaultModel;
+  }
+}
+
+export default LLMProvider;
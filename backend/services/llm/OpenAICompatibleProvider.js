@@ -0,0 +1,153 @@
+import axios from 'axios';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * Provider for any endpoint that speaks the OpenAI chat completions API
+ * (OpenAI, Azure OpenAI, vLLM, Ollama, LM Studio, ...)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('openai', {
+      displayName: 'OpenAI-compatible',
+      defaultModel: 'gpt-4o-mini',
+      ...options
+    });
+
+    this.http = options.httpClient || axios.create({
+      baseURL: options.baseURL || 'https://api.openai.com/v1',
+      timeout: options.timeout || 60000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(options.apiKey && { Authorization: `Bearer ${options.apiKey}` })
+      }
+    });
+  }
+
+  /**
+   * Map a provider-agnostic request onto POST /chat/completions
+   */
+  async generate(request) {
+    const body = this.buildBody(request);
+    const { data } = await this.http.post('/chat/completions', body);
+
+    const message = data?.choices?.[0]?.message;
+
+    return {
+      text: message?.content,
+      toolCalls: (message?.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: JSON.parse(call.function.arguments || '{}')
+      })),
+      model: data?.model || body.model,
+      usage: this.mapUsage(data?.usage)
+    };
+  }
+
+  /**
+   * Stream a completion from the server-sent events of /chat/completions
+   */
+  async *stream(request) {
+    const body = {
+      ...this.buildBody(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    const { data: stream } = await this.http.post('/chat/completions', body, { responseType: 'stream' });
+
+    let buffer = '';
+    for await (const part of stream) {
+      buffer += part.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        const event = JSON.parse(payload);
+        const text = event.choices?.[0]?.delta?.content;
+        if (text) yield { text };
+        if (event.usage) yield { usage: this.mapUsage(event.usage) };
+      }
+    }
+  }
+
+  /**
+   * Build the chat completions request body
+   */
+  buildBody(request) {
+    const { systemPrompt, messages = [], generationConfig = {}, responseSchema, schemaName, tools, toolChoice } = request;
+
+    const body = {
+      model: this.resolveModel(request),
+      messages: [
+        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+        ...messages.map(msg => this.mapMessage(msg))
+      ]
+    };
+
+    if (generationConfig.temperature != null) body.temperature = generationConfig.temperature;
+    if (generationConfig.maxTokens != null) body.max_tokens = generationConfig.maxTokens;
+    if (generationConfig.topP != null) body.top_p = generationConfig.topP;
+    if (generationConfig.stopSequences) body.stop = generationConfig.stopSequences;
+    if (generationConfig.candidateCount) body.n = generationConfig.candidateCount;
+
+    if (responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: schemaName || 'response', schema: responseSchema }
+      };
+    }
+
+    if (tools?.length) {
+      body.tools = tools.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters }
+      }));
+      body.tool_choice = toolChoice || 'auto';
+    }
+    return body;
+  }
+
+  /**
+   * Convert a provider-agnostic message into a chat completions message
+   */
+  mapMessage(msg) {
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+    }
+    if (msg.role === 'assistant') {
+      return {
+        role: 'assistant',
+        content: msg.content ?? null,
+        ...(msg.toolCalls?.length && {
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+          }))
+        })
+      };
+    }
+    return { role: 'user', content: msg.content };
+  }
+
+  /**
+   * Convert OpenAI usage into provider-agnostic usage
+   */
+  mapUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens ?? 0,
+      completionTokens: usage.completion_tokens ?? 0,
+      cachedTokens: usage.prompt_tokens_details?.cached_tokens ?? 0,
+      totalTokens: usage.total_tokens ?? 0
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
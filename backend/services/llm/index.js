@@ -0,0 +1,64 @@
+import { geminiClient, defaultProvider, providerConfigs } from '../../config/ai.js';
+import GeminiProvider from './GeminiProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import FixtureProvider from './FixtureProvider.js';
+
+// Provider name -> provider class
+const providerClasses = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  fixture: FixtureProvider
+};
+
+// Shared provider instances, one per provider name
+const instances = new Map();
+
+/**
+ * Register an additional provider implementation
+ */
+export function registerProvider(name, ProviderClass) {
+  providerClasses[name] = ProviderClass;
+  instances.delete(name);
+}
+
+/**
+ * Create a new provider instance from config/ai.js plus overrides
+ */
+export function createProvider(name, overrides = {}) {
+  const ProviderClass = providerClasses[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  const options = { ...providerConfigs[name], ...overrides };
+
+  if (name === 'gemini' && !options.client && !overrides.apiKey) {
+    options.client = geminiClient;
+  }
+
+  if (name === 'fixture' && typeof options.delegate === 'string') {
+    // Only record mode talks to the delegate
+    options.delegate = options.mode === 'record' ? getProvider(options.delegate) : null;
+  }
+
+  return new ProviderClass(options);
+}
+
+/**
+ * Get the shared provider instance for a provider name
+ */
+export function getProvider(name = defaultProvider) {
+  if (!instances.has(name)) {
+    instances.set(name, createProvider(name));
+  }
+  return instances.get(name);
+}
+
+/**
+ * Drop cached provider instances (used by tests and config reloads)
+ */
+export function resetProviders() {
+  instances.clear();
+}
+
+export { GeminiProvider, OpenAICompatibleProvider, FixtureProvider, defaultProvider };
@@ -0,0 +1,175 @@
+import { supabaseAdmin } from '../config/database.js';
+import { orderEventsConfig } from '../config/orders.js';
+import { logger } from '../middleware/logging.js';
+
+// Subscribe to this to receive every order status change
+export const ORDER_STATUS_CHANGED = 'order.status_changed';
+
+/**
+ * Map an order_status_history row onto an order domain event
+ */
+export function eventFromRow(row) {
+  return {
+    id: row.id,
+    type: `order.${row.to_status}`,
+    orderId: row.order_id,
+    from: row.from_status,
+    to: row.to_status,
+    actorId: row.actor_id,
+    actorRole: row.actor_role,
+    reason: row.reason,
+    occurredAt: row.created_at
+  };
+}
+
+/**
+ * Publishes order status changes as domain events, e.g. order.shipped, to
+ * in-process subscribers such as notifications, payouts or analytics.
+ *
+ * Every status change, whoever made it, lands in order_status_history; the
+ * dispatcher polls it for rows not yet published. Each replica runs one and
+ * the database hands each change to only one of them at a time.
+ *
+ * A change is only marked dispatched once all its subscribers succeeded, so
+ * subscribers must cope with seeing an event more than once. When one fails
+ * the change is published again after a backoff; changes a crashed replica
+ * had claimed are handed out again once its claim runs out.
+ */
+export class OrderEventDispatcher {
+  constructor({
+    client = supabaseAdmin,
+    intervalMs = orderEventsConfig.pollIntervalMs,
+    batchSize = orderEventsConfig.batchSize,
+    retryDelayMs = orderEventsConfig.retryDelayMs,
+    maxRetryDelayMs = orderEventsConfig.maxRetryDelayMs
+  } = {}) {
+    this.supabase = client;
+    this.intervalMs = intervalMs;
+    this.batchSize = batchSize;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.handlers = new Map();
+    this.timer = null;
+    this.dispatching = null;
+  }
+
+  /**
+   * Call handler(event) for events of a type ('order.<status>', or
+   * ORDER_STATUS_CHANGED for all). Returns a function that unsubscribes.
+   */
+  subscribe(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return () => this.handlers.get(type)?.delete(handler);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.dispatch(), this.intervalMs);
+    this.timer.unref?.();
+    logger.info('Publishing order events', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Publish the pending status changes now. Returns the number published to
+   * all their subscribers. Calls made while a dispatch is running share it.
+   */
+  dispatch() {
+    if (!this.dispatching) {
+      this.dispatching = this.drain().finally(() => {
+        this.dispatching = null;
+      });
+    }
+    return this.dispatching;
+  }
+
+  async drain() {
+    let published = 0;
+    try {
+      let claimed;
+      do {
+        const { data, error } = await this.supabase.rpc('claim_order_status_events', { p_limit: this.batchSize });
+        if (error) throw error;
+        claimed = data || [];
+
+        const dispatched = [];
+        for (const row of claimed) {
+          const failures = await this.publish(eventFromRow(row));
+          if (failures.length === 0) {
+            dispatched.push(row.id);
+          } else {
+            await this.retryLater(row, failures);
+          }
+        }
+
+        await this.markDispatched(dispatched);
+        published += dispatched.length;
+      } while (claimed.length === this.batchSize);
+    } catch (error) {
+      logger.error('Failed to publish order events', { error: error.message });
+    }
+    return published;
+  }
+
+  async markDispatched(ids) {
+    if (ids.length === 0) return;
+
+    const { error } = await this.supabase
+      .from('order_status_history')
+      .update({ dispatched_at: new Date().toISOString() })
+      .in('id', ids);
+    if (error) throw error;
+  }
+
+  /**
+   * Publish a change whose subscribers failed again later, waiting twice as
+   * long after each attempt up to maxRetryDelayMs
+   */
+  async retryLater(row, failures) {
+    const attempts = Math.max(row.attempts ?? 1, 1);
+    const delayMs = Math.min(this.retryDelayMs * 2 ** (attempts - 1), this.maxRetryDelayMs);
+
+    const { error } = await this.supabase
+      .from('order_status_history')
+      .update({
+        next_attempt_at: new Date(Date.now() + delayMs).toISOString(),
+        last_error: failures.map(failure => failure?.message ?? String(failure)).join('; ')
+      })
+      .eq('id', row.id);
+    if (error) throw error;
+
+    logger.warn('Order event will be published again', { id: row.id, attempts, delayMs });
+  }
+
+  /**
+   * Run the subscribers of one event. A failing subscriber is logged and
+   * does not stop the others. Returns the errors of those that failed.
+   */
+  async publish(event) {
+    const handlers = [
+      ...(this.handlers.get(event.type) || []),
+      ...(this.handlers.get(ORDER_STATUS_CHANGED) || [])
+    ];
+
+    const results = await Promise.allSettled(handlers.map(async handler => handler(event)));
+    const failures = results
+      .filter(result => result.status === 'rejected')
+      .map(result => result.reason);
+    failures.forEach(reason => logger.error('Order event subscriber failed', {
+      event: event.type,
+      orderId: event.orderId,
+      error: reason?.message
+    }));
+    return failures;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const orderEvents = new OrderEventDispatcher();
+export default orderEvents;
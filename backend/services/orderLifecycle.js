@@ -0,0 +1,128 @@
+import { supabaseAdmin } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+import { orderFromRow } from './orderService.js';
+import orderEvents from './orderEvents.js';
+
+// Statuses an order can move to from each status. The database enforces the
+// same rules on every status update (see order_transition_allowed).
+export const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+// Refunds need a payment to return
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'refunded'];
+
+/**
+ * Whether an order ({ status, payment_status } row) may move to a status
+ */
+export function canTransition(order, status) {
+  if (status === 'refunded' && !REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+    return false;
+  }
+  return ORDER_TRANSITIONS[order.status]?.includes(status) ?? false;
+}
+
+/**
+ * Moves orders through their lifecycle on behalf of users. Every change is
+ * recorded in order_status_history with its actor and reason, and published
+ * as an order domain event (see orderEvents).
+ *
+ * Customers may cancel their own orders; admins may make any legal
+ * transition. Artisans move orders through their fulfilments instead.
+ */
+export class OrderLifecycle {
+  constructor({ client = supabaseAdmin, events = orderEvents } = {}) {
+    this.supabase = client;
+    this.events = events;
+  }
+
+  /**
+   * Move an order to a status. actor is { id, role }. Cancelling puts the
+   * order's stock back, whether it was held or already paid for.
+   *
+   * Throws errors with status 403 (not allowed to make this change), 404
+   * (unknown order, or another customer's) or 409 (illegal transition).
+   */
+  async transition(actor, orderId, status, reason) {
+    const order = await this.findOrder(actor, orderId);
+
+    if (actor.role !== 'admin' && status !== 'cancelled') {
+      throw httpError(403, `Only admins can move orders to ${status}`);
+    }
+    if (!canTransition(order, status)) {
+      throw httpError(409, `Cannot move a ${order.status} order to ${status}`);
+    }
+
+    const { data, error } = await this.supabase.rpc('transition_order_status', {
+      p_order_id: orderId,
+      p_status: status,
+      p_actor_id: actor.id,
+      p_actor_role: actor.role,
+      p_reason: reason ?? null
+    });
+    if (error) {
+      // Another change got there first
+      if (error.message === 'Illegal order status transition') {
+        throw httpError(409, `Cannot move this order to ${status}`);
+      }
+      throw error;
+    }
+
+    // Publish now rather than on the next poll
+    this.events.dispatch();
+
+    return orderFromRow(data);
+  }
+
+  /**
+   * An order's status changes, oldest first
+   */
+  async history(actor, orderId) {
+    await this.findOrder(actor, orderId);
+
+    const { data, error } = await this.supabase
+      .from('order_status_history')
+      .select('*')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    return data.map(row => ({
+      from: row.from_status,
+      to: row.to_status,
+      actorId: row.actor_id,
+      actorRole: row.actor_role,
+      reason: row.reason,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * An order the actor may see: any for admins, their own for others
+   */
+  async findOrder(actor, orderId) {
+    let query = this.supabase
+      .from('orders')
+      .select('id, customer_id, status, payment_status')
+      .eq('id', orderId);
+    if (actor.role !== 'admin') {
+      query = query.eq('customer_id', actor.id);
+    }
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw httpError(404, 'Order not found');
+    }
+    return data;
+  }
+}
+
+export default new OrderLifecycle();
@@ -0,0 +1,248 @@
+import { supabaseAdmin } from '../config/database.js';
+import { reservationConfig } from '../config/orders.js';
+import { httpError } from '../utils/httpError.js';
+import promotionService from './promotionService.js';
+import shippingQuoteService from './shippingQuoteService.js';
+
+// Address columns copied onto the order, so later edits to the address book
+// do not rewrite where past orders were shipped
+const ADDRESS_FIELDS = [
+  'full_name', 'address_line_1', 'address_line_2', 'city', 'state', 'postal_code', 'country', 'phone'
+];
+
+// Errors raised by place_order -> HTTP status
+const CHECKOUT_ERRORS = {
+  'Cart is empty': 409,
+  'Shipping quote is out of date': 409,
+  'Promotion is not available': 409,
+  'Promotion usage limit reached': 409,
+  'Promotion quote is out of date': 409
+};
+
+/**
+ * Places orders from customers' carts
+ */
+export class OrderService {
+  constructor(client = supabaseAdmin, { quotes = shippingQuoteService, promotions = promotionService } = {}) {
+    this.supabase = client;
+    this.quotes = quotes;
+    this.promotions = promotions;
+  }
+
+  /**
+   * Turn a user's cart into an order in one transaction (see the place_order
+   * function). The order's stock is held until reservedUntil; pay before then
+   * or the order is cancelled. Repeating a checkout with the same idempotency
+   * key returns the first order with replayed set instead of placing another;
+   * it is looked up before the cart is quoted, as the first checkout emptied
+   * the cart and used up its promo code.
+   *
+   * Shipping is quoted for the cart (see shippingQuoteService) with the
+   * service chosen per artisan ID in shippingServices, and added to the total.
+   * A promoCode is checked against the cart again (see promotionService) and
+   * its discount taken off the total and recorded on the order.
+   *
+   * Throws errors with status 400 (no shipping address, or an unknown
+   * shipping service), 404 (unknown address or promo code) or 409 (empty
+   * cart, a cart that changed while it was quoted, a promo code that no
+   * longer applies, or unavailable items listed in error.items).
+   */
+  async checkout(userId, { shippingAddressId, billingAddressId, paymentMethod, notes, shippingServices, promoCode } = {}, idempotencyKey) {
+    const placed = await this.findPlacedOrder(userId, idempotencyKey);
+    if (placed) {
+      return { order: placed, replayed: true };
+    }
+
+    const shippingAddress = await this.findAddress(userId, shippingAddressId);
+    if (!shippingAddress) {
+      throw httpError(400, 'Shipping address required');
+    }
+    const billingAddress = billingAddressId ? await this.findAddress(userId, billingAddressId) : null;
+
+    const quote = await this.quotes.quoteCart(userId, {
+      postalCode: shippingAddress.postal_code,
+      services: shippingServices
+    });
+    const promotion = promoCode
+      ? await this.promotions.quoteCart(userId, promoCode, { shipping: quote })
+      : null;
+
+    const { data, error } = await this.supabase.rpc('place_order', {
+      p_customer_id: userId,
+      p_idempotency_key: idempotencyKey,
+      p_shipping_address: toSnapshot(shippingAddress),
+      p_billing_address: billingAddress ? toSnapshot(billingAddress) : null,
+      p_payment_method: paymentMethod ?? null,
+      p_notes: notes ?? null,
+      p_hold_minutes: reservationConfig.holdMinutes,
+      p_shipping: quote.artisans.map(artisan => ({
+        artisanId: artisan.artisanId,
+        service: artisan.service,
+        amount: artisan.amount
+      })),
+      p_promotion: promotion && {
+        promotionId: promotion.promotionId,
+        subtotal: promotion.subtotal,
+        discounts: promotion.artisans.map(artisan => ({
+          artisanId: artisan.artisanId,
+          eligibleSubtotal: artisan.eligibleSubtotal,
+          amount: artisan.discountAmount
+        }))
+      }
+    });
+
+    if (error) {
+      if (CHECKOUT_ERRORS[error.message]) {
+        throw httpError(CHECKOUT_ERRORS[error.message], error.message);
+      }
+      if (error.message === 'Some cart items are unavailable') {
+        throw httpError(409, error.message, { items: parseDetails(error.details) });
+      }
+      throw error;
+    }
+
+    return {
+      order: {
+        ...orderFromRow(data.order),
+        items: data.items.map(itemFromRow),
+        reservedUntil: data.reservedUntil
+      },
+      replayed: data.replayed
+    };
+  }
+
+  /**
+   * The order a checkout with this idempotency key already placed, in the
+   * shape checkout returns it, or null
+   */
+  async findPlacedOrder(userId, idempotencyKey) {
+    const { data, error } = await this.supabase
+      .from('orders')
+      .select('*, items:order_items(*), reservations:stock_reservations(status, expires_at)')
+      .eq('customer_id', userId)
+      .eq('idempotency_key', idempotencyKey)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    const { items, reservations, ...order } = data;
+    const held = reservations.filter(reservation => reservation.status === 'held');
+    return {
+      ...orderFromRow(order),
+      items: [...items]
+        .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id))
+        .map(itemFromRow),
+      reservedUntil: held.length > 0
+        ? held.map(reservation => reservation.expires_at).sort()[0]
+        : null
+    };
+  }
+
+  /**
+   * Take a paid order's held stock out of inventory. Throws a 409 error when
+   * its holds were already released or expired.
+   */
+  async commitStock(orderId) {
+    const { error } = await this.supabase.rpc('commit_order_stock', { p_order_id: orderId });
+    if (error) {
+      if (error.message === 'Stock reservation is no longer held') {
+        throw httpError(409, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Give an order's held stock back, e.g. after a failed payment, and cancel
+   * the order if it is still pending. Returns the number of holds released.
+   */
+  async releaseStock(orderId, reason) {
+    const { data, error } = await this.supabase.rpc('release_order_stock', {
+      p_order_id: orderId,
+      p_reason: reason
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * One of the user's addresses by ID, or their default shipping address when
+   * no ID is given. Null when they have no default.
+   */
+  async findAddress(userId, addressId) {
+    let query = this.supabase
+      .from('addresses')
+      .select('*')
+      .eq('user_id', userId);
+
+    query = addressId
+      ? query.eq('id', addressId)
+      : query.eq('type', 'shipping').eq('is_default', true).limit(1);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+
+    if (addressId && !data) {
+      throw httpError(404, 'Address not found');
+    }
+    return data;
+  }
+}
+
+function toSnapshot(address) {
+  return Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field] ?? null]));
+}
+
+function parseDetails(details) {
+  try {
+    return JSON.parse(details);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Map an orders row onto the API shape
+ */
+export function orderFromRow(row) {
+  return {
+    id: row.id,
+    orderNumber: row.order_number,
+    status: row.status,
+    paymentStatus: row.payment_status,
+    totalAmount: Number(row.total_amount),
+    shippingAmount: Number(row.shipping_amount ?? 0),
+    taxAmount: Number(row.tax_amount ?? 0),
+    discountAmount: Number(row.discount_amount ?? 0),
+    shippingAddress: row.shipping_address,
+    billingAddress: row.billing_address,
+    paymentMethod: row.payment_method,
+    notes: row.notes,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Map an order_items row onto the API shape
+ */
+function itemFromRow(row) {
+  return {
+    id: row.id,
+    productId: row.product_id,
+    artisanId: row.artisan_id,
+    artisanOrderNumber: row.artisan_order_number,
+    productTitle: row.product_title,
+    productImage: row.product_image,
+    quantity: row.quantity,
+    unitPrice: Number(row.unit_price),
+    totalPrice: Number(row.total_price),
+    hsnCode: row.hsn_code,
+    gstRate: row.gst_rate === null || row.gst_rate === undefined ? null : Number(row.gst_rate),
+    // GST included in totalPrice
+    taxAmount: Number(row.tax_amount ?? 0)
+  };
+}
+
+const orderService = new OrderService();
+export default orderService;
@@ -0,0 +1,405 @@
+import { supabaseAdmin } from '../config/database.js';
+import { paymentConfig } from '../config/orders.js';
+import { logger } from '../middleware/logging.js';
+import { httpError } from '../utils/httpError.js';
+import { getPaymentProvider } from './payments/index.js';
+import { orderFromRow } from './orderService.js';
+
+// Webhook event type -> payment status it moves the payment to
+const EVENT_STATUSES = {
+  'payment.completed': 'completed',
+  'payment.failed': 'failed'
+};
+
+/**
+ * Takes payments for orders through the configured gateway and applies
+ * their results, whether the browser reports them or the gateway's webhook
+ */
+export class PaymentService {
+  constructor({ client = supabaseAdmin, providers = getPaymentProvider } = {}) {
+    this.supabase = client;
+    this.providers = providers;
+  }
+
+  /**
+   * Start a payment attempt for one of the user's pending orders. Returns the
+   * data the browser needs to collect the payment from the gateway.
+   * outcome picks the result of sandbox payments; other gateways refuse it.
+   */
+  async startPayment(userId, orderId, { method, outcome } = {}) {
+    const provider = this.providers();
+    if (outcome && provider.name !== 'sandbox') {
+      throw httpError(400, 'Payment outcomes can only be chosen in the sandbox');
+    }
+
+    const { data: order, error } = await this.supabase
+      .from('orders')
+      .select('id, order_number, status, payment_status, total_amount')
+      .eq('id', orderId)
+      .eq('customer_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    if (order.status !== 'pending' || order.payment_status === 'completed') {
+      throw httpError(409, 'Order is not awaiting payment', { orderStatus: order.status });
+    }
+
+    const amount = Number(order.total_amount);
+    const { intentId, clientData } = await provider.createIntent({
+      orderId: order.id,
+      orderNumber: order.order_number,
+      amount,
+      currency: paymentConfig.currency,
+      method,
+      outcome
+    });
+
+    const { data: payment, error: insertError } = await this.supabase
+      .from('payments')
+      .insert({
+        order_id: order.id,
+        provider: provider.name,
+        provider_intent_id: intentId,
+        method,
+        amount,
+        currency: paymentConfig.currency
+      })
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+    return { ...paymentFromRow(payment), clientData };
+  }
+
+  /**
+   * Settle an attempt the customer completed in the browser. Attempts that
+   * already have a result are returned unchanged.
+   */
+  async capturePayment(userId, paymentId, { providerPaymentId } = {}) {
+    const { data: payment, error } = await this.supabase
+      .from('payments')
+      .select('*, orders!inner(customer_id)')
+      .eq('id', paymentId)
+      .eq('orders.customer_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!payment) {
+      throw httpError(404, 'Payment not found');
+    }
+    if (payment.status !== 'pending') {
+      return { payment: paymentFromRow(payment), order: null };
+    }
+
+    const result = await this.providers(payment.provider).capture(payment.provider_intent_id, {
+      providerPaymentId,
+      amount: Number(payment.amount),
+      currency: payment.currency
+    });
+
+    if (result.status === 'pending') {
+      const { error: updateError } = await this.supabase
+        .from('payments')
+        .update({ provider_payment_id: result.providerPaymentId })
+        .eq('id', payment.id);
+      if (updateError) throw updateError;
+      return { payment: { ...paymentFromRow(payment), providerPaymentId: result.providerPaymentId }, order: null };
+    }
+
+    return this.applyResult(payment, result);
+  }
+
+  /**
+   * Handle a gateway webhook. Only the configured gateway's webhooks are
+   * accepted; others are 404s. Throws a 401 error when the signature does not
+   * match. Redelivered events are acknowledged without being applied again.
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.providers();
+    if (provider.name !== providerName) {
+      throw httpError(404, 'Unknown payment provider');
+    }
+    if (!rawBody || !provider.verifyWebhook(rawBody, headers)) {
+      throw httpError(401, 'Invalid webhook signature');
+    }
+
+    const body = JSON.parse(rawBody);
+    const event = provider.parseWebhook(body, headers);
+
+    let payment = null;
+    if (event.intentId) {
+      const { data, error } = await this.supabase
+        .from('payments')
+        .select('*')
+        .eq('provider', providerName)
+        .eq('provider_intent_id', event.intentId)
+        .maybeSingle();
+      if (error) throw error;
+      payment = data;
+    }
+
+    const { error: eventError } = await this.supabase
+      .from('payment_events')
+      .insert({
+        provider: providerName,
+        event_id: event.eventId,
+        event_type: event.type || body.event || body.type || 'unknown',
+        payment_id: payment?.id ?? null,
+        payload: body
+      });
+
+    if (eventError) {
+      // Unique violation: this event was handled before
+      if (eventError.code === '23505') return { duplicate: true };
+      throw eventError;
+    }
+
+    if (payment && event.type === 'refund.completed') {
+      return this.completeRefund(payment, event.refundId);
+    }
+
+    const status = EVENT_STATUSES[event.type];
+    if (!payment || !status) {
+      return { ignored: true };
+    }
+
+    const { order } = await this.applyResult(payment, { ...event, status });
+    return { applied: true, orderStatus: order?.status };
+  }
+
+  /**
+   * Refund some or, by default, the rest of a completed payment through its
+   * gateway. The refund is requested first (see request_payment_refund) and
+   * counts against the payment from then on, so a retry after recording it
+   * failed cannot send the same money back twice; the gateway's answer is
+   * then recorded (see record_payment_refund). Refunding the whole payment
+   * moves its order to refunded. Resolves to null when no amount is given
+   * and nothing is left to refund. When recording fails after the gateway
+   * refunded, the error carries its providerRefundId and the refund stays
+   * requested until someone reconciles it.
+   */
+  async refundPayment(payment, { amount, reason, returnRequestId } = {}) {
+    const { data: requested, error: requestError } = await this.supabase.rpc('request_payment_refund', {
+      p_payment_id: payment.id,
+      p_amount: amount ?? null,
+      p_return_request_id: returnRequestId ?? null,
+      p_reason: reason ?? null
+    });
+    if (requestError) {
+      if (requestError.message === 'Refund exceeds the amount paid') {
+        throw httpError(409, requestError.message);
+      }
+      throw requestError;
+    }
+    if (!requested) return null;
+
+    const refundAmount = Number(requested.amount);
+    let refund;
+    try {
+      refund = await this.providers(payment.provider).refund(payment.provider_payment_id, {
+        amount: refundAmount,
+        currency: payment.currency,
+        reason
+      });
+    } catch (error) {
+      // Nothing was refunded: give the amount back so it can be requested again
+      const { error: releaseError } = await this.supabase
+        .from('payment_refunds')
+        .update({ status: 'failed' })
+        .eq('id', requested.id)
+        .eq('status', 'requested');
+      if (releaseError) {
+        logger.error('Refund request could not be released', {
+          paymentId: payment.id,
+          refundId: requested.id,
+          error: releaseError.message
+        });
+      }
+      throw error;
+    }
+
+    const { data, error } = await this.supabase.rpc('record_payment_refund', {
+      p_refund_id: requested.id,
+      p_status: refund.status,
+      p_provider_refund_id: refund.refundId ?? null
+    });
+    if (error) {
+      logger.error('Refund was sent but could not be recorded', {
+        paymentId: payment.id,
+        refundId: requested.id,
+        providerRefundId: refund.refundId,
+        amount: refundAmount,
+        error: error.message
+      });
+      throw Object.assign(error, { providerRefundId: refund.refundId ?? null });
+    }
+
+    return {
+      refund: refundFromRow(data.refund),
+      payment: paymentFromRow(data.payment),
+      order: orderFromRow(data.order)
+    };
+  }
+
+  /**
+   * Refund part or the rest of what was paid for an order. An order can have
+   * more than one completed payment (a customer who paid twice), so the
+   * amount is taken from its payments oldest first; refunds lists one refund
+   * per payment used and refund, payment and order are those of the last.
+   * Refunds still being requested count as refunded. Resolves to null when
+   * the order has no payment left to refund, e.g. when a cancelled order's
+   * refund is retried.
+   */
+  async refundOrder(orderId, { amount, ...options } = {}) {
+    const { data: payments, error } = await this.supabase
+      .from('payments')
+      .select('*, refunds:payment_refunds(amount, status)')
+      .eq('order_id', orderId)
+      .eq('status', 'completed')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    const refundable = (payments || [])
+      .map(payment => ({ payment, left: roundAmount(Number(payment.amount) - Number(payment.refunded_amount ?? 0) - requestedAmount(payment)) }))
+      .filter(({ left }) => left > 0);
+    if (refundable.length === 0) return null;
+
+    const paid = roundAmount(refundable.reduce((sum, { left }) => sum + left, 0));
+    let remaining = amount ?? paid;
+    if (remaining > paid) {
+      throw httpError(409, 'Refund exceeds the amount paid');
+    }
+
+    const refunds = [];
+    let result = null;
+    for (const { payment, left } of refundable) {
+      if (remaining <= 0) break;
+      const portion = Math.min(left, remaining);
+      result = await this.refundPayment(payment, { ...options, amount: portion });
+      refunds.push(result.refund);
+      remaining = roundAmount(remaining - portion);
+    }
+
+    return { ...result, refunds };
+  }
+
+  /**
+   * order.cancelled subscriber: return the money for paid orders that were
+   * cancelled before they shipped
+   */
+  async refundCancelledOrder(event) {
+    const result = await this.refundOrder(event.orderId, { reason: event.reason || 'Order cancelled' });
+    if (result) {
+      const amount = result.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+      logger.info('Refunded cancelled order', { orderId: event.orderId, amount });
+    }
+    return result;
+  }
+
+  /**
+   * Mark a refund the gateway reported as pending completed
+   */
+  async completeRefund(payment, providerRefundId) {
+    if (!providerRefundId) {
+      return { ignored: true };
+    }
+
+    const { error } = await this.supabase
+      .from('payment_refunds')
+      .update({ status: 'completed' })
+      .eq('payment_id', payment.id)
+      .eq('provider_refund_id', providerRefundId);
+    if (error) throw error;
+
+    return { applied: true };
+  }
+
+  /**
+   * Apply a payment result to the payment, its order and the order's stock
+   * (see apply_payment_result). Payments that arrive after their order was
+   * cancelled or its stock holds expired are refunded straight away.
+   */
+  async applyResult(payment, { status, providerPaymentId, failureReason }) {
+    const result = await this.recordResult(payment.id, { status, providerPaymentId, failureReason });
+
+    if (result.needsRefund) {
+      logger.warn('Refunding payment for an order that was no longer held', {
+        paymentId: payment.id,
+        orderId: payment.order_id
+      });
+      await this.refundPayment(
+        { ...payment, provider_payment_id: result.payment.provider_payment_id },
+        { reason: 'Order expired before payment' }
+      );
+    }
+
+    return {
+      payment: paymentFromRow(result.payment),
+      order: orderFromRow(result.order)
+    };
+  }
+
+  async recordResult(paymentId, { status, providerPaymentId, failureReason }) {
+    const { data, error } = await this.supabase.rpc('apply_payment_result', {
+      p_payment_id: paymentId,
+      p_status: status,
+      p_provider_payment_id: providerPaymentId ?? null,
+      p_failure_reason: failureReason ?? null
+    });
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+/**
+ * Map a payments row onto the API shape
+ */
+function paymentFromRow(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    provider: row.provider,
+    intentId: row.provider_intent_id,
+    providerPaymentId: row.provider_payment_id,
+    method: row.method,
+    amount: Number(row.amount),
+    refundedAmount: Number(row.refunded_amount ?? 0),
+    currency: row.currency,
+    status: row.status,
+    failureReason: row.failure_reason,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Map a payment_refunds row onto the API shape
+ */
+function refundFromRow(row) {
+  return {
+    id: row.id,
+    paymentId: row.payment_id,
+    returnRequestId: row.return_request_id,
+    amount: Number(row.amount),
+    status: row.status,
+    providerRefundId: row.provider_refund_id,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Sum of a payment's refunds that were sent to the gateway but not recorded
+ */
+function requestedAmount(payment) {
+  return (payment.refunds || [])
+    .filter(refund => refund.status === 'requested')
+    .reduce((sum, refund) => sum + Number(refund.amount), 0);
+}
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+const paymentService = new PaymentService();
+export default paymentService;
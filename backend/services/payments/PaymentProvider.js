@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+/**
+ * Base class for payment gateways.
+ *
+ * Amounts are in rupees (or the currency's major unit) on this interface;
+ * adapters convert to what their gateway expects.
+ *
+ * - `createIntent({ orderId, orderNumber, amount, currency, method, outcome })`
+ *   starts a payment attempt and resolves to `{ intentId, clientData }`, where
+ *   clientData is what the browser needs to collect the payment
+ * - `capture(intentId, { providerPaymentId, amount, currency })` settles an
+ *   attempt the customer completed and resolves to
+ *   `{ status, providerPaymentId, failureReason }` with status 'completed',
+ *   'failed' or 'pending' (the gateway will tell us later via webhook)
+ * - `refund(providerPaymentId, { amount, currency, reason })` resolves to
+ *   `{ refundId, status, amount }` with status 'completed' or 'pending'
+ * - `verifyWebhook(rawBody, headers)` checks a webhook's signature
+ * - `parseWebhook(body, headers)` maps a webhook onto
+ *   `{ eventId, type, intentId, providerPaymentId, refundId, failureReason }` where type
+ *   is 'payment.completed', 'payment.failed', 'payment.pending',
+ *   'refund.completed' or null for events we do not handle
+ */
+export class PaymentProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.displayName = options.displayName || name;
+    this.options = options;
+  }
+
+  async createIntent(intent) {
+    throw new Error(`createIntent() is not implemented by the ${this.name} payment provider`);
+  }
+
+  async capture(intentId, details) {
+    throw new Error(`capture() is not implemented by the ${this.name} payment provider`);
+  }
+
+  async refund(providerPaymentId, details) {
+    throw new Error(`refund() is not implemented by the ${this.name} payment provider`);
+  }
+
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`verifyWebhook() is not implemented by the ${this.name} payment provider`);
+  }
+
+  parseWebhook(body, headers) {
+    throw new Error(`parseWebhook() is not implemented by the ${this.name} payment provider`);
+  }
+
+  /**
+   * Hex HMAC-SHA256 of a payload
+   */
+  static sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  /**
+   * Compare a hex signature with the expected one in constant time
+   */
+  static signatureMatches(payload, signature, secret) {
+    if (!secret || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(PaymentProvider.sign(payload, secret), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,128 @@
+import axios from 'axios';
+import PaymentProvider from './PaymentProvider.js';
+
+// Razorpay webhook events -> provider-agnostic event types
+const EVENT_TYPES = {
+  'payment.captured': 'payment.completed',
+  'order.paid': 'payment.completed',
+  'payment.failed': 'payment.failed',
+  'payment.authorized': 'payment.pending',
+  'refund.processed': 'refund.completed'
+};
+
+const toSubunits = amount => Math.round(Number(amount) * 100);
+const fromSubunits = amount => amount / 100;
+
+/**
+ * Razorpay Orders API adapter. An intent is a Razorpay order; the browser
+ * collects the payment with Razorpay Checkout and the backend captures it.
+ */
+export class RazorpayPaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super('razorpay', {
+      displayName: 'Razorpay',
+      ...options
+    });
+    this.keyId = options.keyId;
+    this.webhookSecret = options.webhookSecret;
+
+    this.http = options.httpClient || axios.create({
+      baseURL: options.baseURL || 'https://api.razorpay.com/v1',
+      timeout: options.timeout || 30000,
+      auth: { username: options.keyId, password: options.keySecret },
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  async createIntent({ orderId, orderNumber, amount, currency }) {
+    const { data } = await this.http.post('/orders', {
+      amount: toSubunits(amount),
+      currency,
+      receipt: orderNumber,
+      notes: { order_id: orderId }
+    });
+
+    return {
+      intentId: data.id,
+      clientData: {
+        keyId: this.keyId,
+        razorpayOrderId: data.id,
+        amount: data.amount,
+        currency: data.currency
+      }
+    };
+  }
+
+  /**
+   * Capture the payment the customer made against a Razorpay order. Payments
+   * that were auto-captured by Razorpay are reported as completed as is.
+   */
+  async capture(intentId, { providerPaymentId, amount, currency } = {}) {
+    if (!providerPaymentId) {
+      throw new Error('Razorpay capture requires the payment ID returned by Checkout');
+    }
+
+    let { data: payment } = await this.http.get(`/payments/${providerPaymentId}`);
+    if (payment.order_id !== intentId) {
+      throw new Error('Razorpay payment does not belong to this order');
+    }
+
+    if (payment.status === 'authorized') {
+      ({ data: payment } = await this.http.post(`/payments/${providerPaymentId}/capture`, {
+        amount: toSubunits(amount),
+        currency
+      }));
+    }
+
+    return {
+      status: mapPaymentStatus(payment.status),
+      providerPaymentId: payment.id,
+      failureReason: payment.error_description || undefined
+    };
+  }
+
+  async refund(providerPaymentId, { amount, reason } = {}) {
+    const { data } = await this.http.post(`/payments/${providerPaymentId}/refund`, {
+      ...(amount !== undefined && { amount: toSubunits(amount) }),
+      notes: reason ? { reason } : {}
+    });
+
+    return {
+      refundId: data.id,
+      status: data.status === 'processed' ? 'completed' : 'pending',
+      amount: fromSubunits(data.amount)
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    return PaymentProvider.signatureMatches(rawBody, headers['x-razorpay-signature'], this.webhookSecret);
+  }
+
+  parseWebhook(body, headers = {}) {
+    const payment = body.payload?.payment?.entity;
+    const refund = body.payload?.refund?.entity;
+    const order = body.payload?.order?.entity;
+
+    return {
+      eventId: headers['x-razorpay-event-id'] || `${body.event}:${(refund || payment || order)?.id}`,
+      type: EVENT_TYPES[body.event] || null,
+      intentId: payment?.order_id || order?.id,
+      providerPaymentId: payment?.id || refund?.payment_id,
+      refundId: refund?.id,
+      failureReason: payment?.error_description || undefined
+    };
+  }
+}
+
+function mapPaymentStatus(status) {
+  switch (status) {
+    case 'captured':
+      return 'completed';
+    case 'failed':
+      return 'failed';
+    default:
+      return 'pending';
+  }
+}
+
+export default RazorpayPaymentProvider;
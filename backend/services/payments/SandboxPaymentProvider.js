@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import PaymentProvider from './PaymentProvider.js';
+
+const OUTCOMES = ['success', 'failure', 'pending'];
+
+/**
+ * Offline gateway for development and end-to-end tests.
+ *
+ * The outcome of an attempt ('success', 'failure' or 'pending') is chosen
+ * when the intent is created and encoded in its ID, so any replica can
+ * capture it. Pending attempts are settled by a webhook built with
+ * buildWebhook() and signed with the sandbox webhook secret.
+ */
+export class SandboxPaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super('sandbox', {
+      displayName: 'Sandbox',
+      ...options
+    });
+    this.webhookSecret = options.webhookSecret;
+    this.defaultOutcome = options.outcome || 'success';
+  }
+
+  async createIntent({ amount, currency, outcome = this.defaultOutcome }) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown sandbox payment outcome: ${outcome}`);
+    }
+
+    const intentId = `sbx_intent_${outcome}_${crypto.randomUUID()}`;
+    return {
+      intentId,
+      clientData: { intentId, amount, currency, outcome }
+    };
+  }
+
+  async capture(intentId, { providerPaymentId } = {}) {
+    const outcome = OUTCOMES.find(name => intentId.startsWith(`sbx_intent_${name}_`)) || this.defaultOutcome;
+    const paymentId = providerPaymentId || `sbx_pay_${crypto.randomUUID()}`;
+
+    switch (outcome) {
+      case 'failure':
+        return { status: 'failed', providerPaymentId: paymentId, failureReason: 'Sandbox payment declined' };
+      case 'pending':
+        return { status: 'pending', providerPaymentId: paymentId };
+      default:
+        return { status: 'completed', providerPaymentId: paymentId };
+    }
+  }
+
+  async refund(providerPaymentId, { amount }) {
+    return { refundId: `sbx_rfnd_${crypto.randomUUID()}`, status: 'completed', amount };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    return PaymentProvider.signatureMatches(rawBody, headers['x-sandbox-signature'], this.webhookSecret);
+  }
+
+  parseWebhook(body) {
+    return {
+      eventId: body.id,
+      type: body.type,
+      intentId: body.data?.intentId,
+      providerPaymentId: body.data?.providerPaymentId,
+      refundId: body.data?.refundId,
+      failureReason: body.data?.failureReason
+    };
+  }
+
+  /**
+   * A signed webhook as the sandbox would deliver it, e.g.
+   * buildWebhook('payment.completed', { intentId, providerPaymentId })
+   */
+  buildWebhook(type, data) {
+    const body = JSON.stringify({ id: `sbx_evt_${crypto.randomUUID()}`, type, data });
+    return {
+      body,
+      headers: {
+        'content-type': 'application/json',
+        'x-sandbox-signature': PaymentProvider.sign(body, this.webhookSecret)
+      }
+    };
+  }
+}
+
+export default SandboxPaymentProvider;
@@ -0,0 +1,64 @@
+import { paymentConfig } from '../../config/orders.js';
+import { PaymentProvider } from './PaymentProvider.js';
+import RazorpayPaymentProvider from './RazorpayPaymentProvider.js';
+import SandboxPaymentProvider from './SandboxPaymentProvider.js';
+
+// Provider name -> provider class
+const providerClasses = {
+  razorpay: RazorpayPaymentProvider,
+  sandbox: SandboxPaymentProvider
+};
+
+// Shared provider instances, one per provider name
+const instances = new Map();
+
+/**
+ * Whether a payment provider with this name is registered
+ */
+export function hasPaymentProvider(name) {
+  return Object.hasOwn(providerClasses, name);
+}
+
+/**
+ * Register an additional payment provider implementation
+ */
+export function registerPaymentProvider(name, ProviderClass) {
+  providerClasses[name] = ProviderClass;
+  instances.delete(name);
+}
+
+/**
+ * Create a new payment provider from config/orders.js plus overrides
+ */
+export function createPaymentProvider(name, overrides = {}) {
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not configured');
+  }
+  const ProviderClass = providerClasses[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (name === 'sandbox' && process.env.NODE_ENV === 'production') {
+    throw new Error('The sandbox payment provider cannot be used in production');
+  }
+  return new ProviderClass({ ...paymentConfig.providers[name], ...overrides });
+}
+
+/**
+ * Get the shared provider instance for a provider name
+ */
+export function getPaymentProvider(name = paymentConfig.provider) {
+  if (!instances.has(name)) {
+    instances.set(name, createPaymentProvider(name));
+  }
+  return instances.get(name);
+}
+
+/**
+ * Drop cached provider instances (used by tests and config reloads)
+ */
+export function resetPaymentProviders() {
+  instances.clear();
+}
+
+export { PaymentProvider, RazorpayPaymentProvider, SandboxPaymentProvider };
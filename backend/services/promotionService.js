@@ -0,0 +1,338 @@
+import { supabaseAdmin } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+import shippingQuoteService from './shippingQuoteService.js';
+
+const CART_COLUMNS = `
+  quantity,
+  product:products!inner(
+    id, artisan_id, category_id, price,
+    artisan:artisan_profiles!inner(id, business_name)
+  )
+`;
+
+// Fields of a promotion that can change once it exists; its code, type and
+// funder stay as customers and artisans first saw them
+const UPDATABLE_FIELDS = {
+  description: 'description',
+  value: 'value',
+  maxDiscount: 'max_discount',
+  categoryIds: 'category_ids',
+  minCartValue: 'min_cart_value',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  usageLimit: 'usage_limit',
+  perUserLimit: 'per_user_limit',
+  isActive: 'is_active'
+};
+
+/**
+ * Promo codes. A promotion takes a percentage (up to max_discount) or a flat
+ * amount off the items it applies to, or waives their shipping. It can be
+ * limited to one artisan's items and to some categories, to carts of a
+ * minimum value, to a validity window and to a number of uses in total and
+ * per customer. Discounts are split across the artisans whose items earned
+ * them; promotions funded by an artisan come out of their payout, the rest
+ * are paid by the platform.
+ *
+ * Codes are checked here against the live cart and applied again at
+ * checkout, where place_order enforces the usage limits.
+ */
+export class PromotionService {
+  constructor({ client = supabaseAdmin, quotes = shippingQuoteService } = {}) {
+    this.supabase = client;
+    this.quotes = quotes;
+  }
+
+  /**
+   * The discount a code gives the user's cart. Free shipping promotions
+   * waive the quoted shipping: pass the checkout's shipping quote, or the
+   * services chosen per artisan ID to have the cart quoted.
+   *
+   * Resolves to { promotionId, code, description, type, fundedBy, subtotal,
+   * discountAmount, artisans: [{ artisanId, artisanName, eligibleSubtotal,
+   * discountAmount }] }. subtotal and eligibleSubtotal are the cart amounts
+   * the discount was worked out from; place_order checks them against the
+   * cart it orders.
+   *
+   * Throws errors with status 404 (unknown code) or 409 (not valid now, used
+   * up, below the minimum cart value, or nothing in the cart qualifies).
+   */
+  async quoteCart(userId, code, { services, shipping } = {}) {
+    const promotion = await this.findRedeemable(userId, code);
+
+    const { data: cart, error } = await this.supabase
+      .from('carts')
+      .select(CART_COLUMNS)
+      .eq('user_id', userId);
+    if (error) throw error;
+
+    if (cart.length === 0) {
+      throw httpError(409, 'Cart is empty');
+    }
+
+    const subtotal = cart.reduce((sum, { quantity, product }) => sum + Number(product.price) * quantity, 0);
+    if (subtotal < Number(promotion.min_cart_value)) {
+      throw httpError(409, `Add items worth ₹${formatAmount(Number(promotion.min_cart_value) - subtotal)} more to use this code`, {
+        minCartValue: Number(promotion.min_cart_value)
+      });
+    }
+
+    const eligible = new Map();
+    for (const { quantity, product } of cart) {
+      if (promotion.artisan_id && product.artisan_id !== promotion.artisan_id) continue;
+      if (promotion.category_ids?.length && !promotion.category_ids.includes(product.category_id)) continue;
+
+      const artisan = eligible.get(product.artisan_id) || {
+        artisanId: product.artisan_id,
+        artisanName: product.artisan.business_name,
+        subtotal: 0
+      };
+      artisan.subtotal += Number(product.price) * quantity;
+      eligible.set(product.artisan_id, artisan);
+    }
+
+    if (eligible.size === 0) {
+      throw httpError(409, 'No items in your cart qualify for this code');
+    }
+
+    let artisans;
+    if (promotion.type === 'free_shipping') {
+      const quote = shipping || await this.quotes.quoteCart(userId, { services });
+      artisans = [...eligible.values()].map(artisan => ({
+        artisanId: artisan.artisanId,
+        artisanName: artisan.artisanName,
+        eligibleSubtotal: roundAmount(artisan.subtotal),
+        discountAmount: quote.artisans.find(parcel => parcel.artisanId === artisan.artisanId)?.amount ?? 0
+      }));
+    } else {
+      const eligibleTotal = [...eligible.values()].reduce((sum, artisan) => sum + artisan.subtotal, 0);
+      const discount = promotion.type === 'percentage'
+        ? Math.min(eligibleTotal * Number(promotion.value) / 100, promotion.max_discount ? Number(promotion.max_discount) : Infinity)
+        : Math.min(Number(promotion.value), eligibleTotal);
+      artisans = splitDiscount(roundAmount(discount), [...eligible.values()], eligibleTotal);
+    }
+
+    return {
+      promotionId: promotion.id,
+      code: promotion.code,
+      description: promotion.description,
+      type: promotion.type,
+      fundedBy: promotion.funded_by,
+      subtotal: roundAmount(subtotal),
+      discountAmount: roundAmount(artisans.reduce((sum, artisan) => sum + artisan.discountAmount, 0)),
+      artisans
+    };
+  }
+
+  /**
+   * An active promotion by code that is valid now and that the user has
+   * uses of left
+   */
+  async findRedeemable(userId, code) {
+    const { data: promotion, error } = await this.supabase
+      .from('promotions')
+      .select('*')
+      .eq('code', normaliseCode(code))
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!promotion || !promotion.is_active) {
+      throw httpError(404, 'Invalid promo code');
+    }
+
+    const now = new Date();
+    if (new Date(promotion.starts_at) > now) {
+      throw httpError(409, 'This code is not valid yet');
+    }
+    if (promotion.ends_at && new Date(promotion.ends_at) <= now) {
+      throw httpError(409, 'This code has expired');
+    }
+
+    if (promotion.usage_limit && await this.countRedemptions(promotion.id) >= promotion.usage_limit) {
+      throw httpError(409, 'Promotion usage limit reached');
+    }
+    if (promotion.per_user_limit && await this.countRedemptions(promotion.id, userId) >= promotion.per_user_limit) {
+      throw httpError(409, 'You have already used this code');
+    }
+
+    return promotion;
+  }
+
+  async countRedemptions(promotionId, customerId) {
+    let query = this.supabase
+      .from('promotion_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('promotion_id', promotionId);
+
+    if (customerId) {
+      query = query.eq('customer_id', customerId);
+    }
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count ?? 0;
+  }
+
+  /**
+   * Promotions the actor manages, newest first: all of them for admins, the
+   * ones they fund for artisans
+   */
+  async listPromotions(actor) {
+    let query = this.supabase
+      .from('promotions')
+      .select('*, redemptions:promotion_redemptions(count)')
+      .order('created_at', { ascending: false });
+
+    if (actor.role !== 'admin') {
+      query = query.eq('artisan_id', await this.requireArtisanId(actor.id));
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data.map(promotionFromRow);
+  }
+
+  /**
+   * Create a promotion. Artisans can only create promotions they fund, on
+   * their own items. Throws errors with status 400 (an artisan-funded
+   * promotion without an artisan), 403 (not an artisan) or 409 (code taken).
+   */
+  async createPromotion(actor, fields) {
+    let { fundedBy = 'platform', artisanId = null } = fields;
+    if (actor.role !== 'admin') {
+      fundedBy = 'artisan';
+      artisanId = await this.requireArtisanId(actor.id);
+    }
+    if (fundedBy === 'artisan' && !artisanId) {
+      throw httpError(400, 'Artisan-funded promotions need an artisan');
+    }
+
+    const { data, error } = await this.supabase
+      .from('promotions')
+      .insert({
+        code: normaliseCode(fields.code),
+        description: fields.description ?? null,
+        type: fields.type,
+        value: fields.value ?? 0,
+        max_discount: fields.maxDiscount ?? null,
+        funded_by: fundedBy,
+        artisan_id: artisanId,
+        category_ids: fields.categoryIds ?? [],
+        min_cart_value: fields.minCartValue ?? 0,
+        starts_at: fields.startsAt ?? new Date().toISOString(),
+        ends_at: fields.endsAt ?? null,
+        usage_limit: fields.usageLimit ?? null,
+        per_user_limit: fields.perUserLimit ?? null,
+        is_active: fields.isActive ?? true,
+        created_by: actor.id
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      // Unique violation on the code
+      if (error.code === '23505') {
+        throw httpError(409, 'Promo code already exists');
+      }
+      throw error;
+    }
+    return promotionFromRow(data);
+  }
+
+  /**
+   * Change a promotion the actor manages, e.g. to end it early. Throws
+   * errors with status 403 (not an artisan) or 404 (not theirs).
+   */
+  async updatePromotion(actor, promotionId, fields) {
+    const updates = {};
+    for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (fields[field] !== undefined) {
+        updates[column] = fields[field];
+      }
+    }
+
+    let query = this.supabase
+      .from('promotions')
+      .update(updates)
+      .eq('id', promotionId);
+
+    if (actor.role !== 'admin') {
+      query = query.eq('artisan_id', await this.requireArtisanId(actor.id));
+    }
+
+    const { data, error } = await query.select('*').maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw httpError(404, 'Promotion not found');
+    }
+    return promotionFromRow(data);
+  }
+
+  async requireArtisanId(userId) {
+    const { data, error } = await this.supabase
+      .from('artisan_profiles')
+      .select('id')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw httpError(403, 'Artisan profile required');
+    }
+    return data.id;
+  }
+}
+
+/**
+ * Map a promotions row onto the API shape
+ */
+export function promotionFromRow(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    type: row.type,
+    value: Number(row.value),
+    maxDiscount: row.max_discount === null ? null : Number(row.max_discount),
+    fundedBy: row.funded_by,
+    artisanId: row.artisan_id,
+    categoryIds: row.category_ids,
+    minCartValue: Number(row.min_cart_value),
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    usageLimit: row.usage_limit,
+    perUserLimit: row.per_user_limit,
+    isActive: row.is_active,
+    ...(row.redemptions && { redemptions: row.redemptions[0]?.count ?? 0 }),
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Share a discount across artisans in proportion to their eligible
+ * subtotals, with the rounding remainder on the last
+ */
+function splitDiscount(discount, artisans, eligibleTotal) {
+  let remaining = discount;
+  return artisans.map((artisan, index) => {
+    const share = index === artisans.length - 1
+      ? remaining
+      : roundAmount(discount * artisan.subtotal / eligibleTotal);
+    remaining = roundAmount(remaining - share);
+    return {
+      artisanId: artisan.artisanId,
+      artisanName: artisan.artisanName,
+      eligibleSubtotal: roundAmount(artisan.subtotal),
+      discountAmount: share
+    };
+  });
+}
+
+const normaliseCode = code => String(code ?? '').trim().toUpperCase();
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+const formatAmount = amount => roundAmount(amount).toLocaleString('en-IN');
+
+export default new PromotionService();
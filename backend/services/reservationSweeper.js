@@ -0,0 +1,49 @@
+import { supabaseAdmin } from '../config/database.js';
+import { reservationConfig } from '../config/orders.js';
+import { logger } from '../middleware/logging.js';
+
+/**
+ * Periodically releases stock held by checkouts that were never paid and
+ * cancels their orders (see expire_stock_reservations). Every replica may
+ * run one; the database skips holds another sweep is already expiring.
+ */
+export class ReservationSweeper {
+  constructor({ client = supabaseAdmin, intervalMs = reservationConfig.sweepIntervalMs } = {}) {
+    this.supabase = client;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    this.timer.unref?.();
+    logger.info('Sweeping expired stock reservations', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Expire overdue holds once. Returns the number of holds expired.
+   */
+  async sweep() {
+    try {
+      const { data, error } = await this.supabase.rpc('expire_stock_reservations');
+      if (error) throw error;
+
+      if (data > 0) {
+        logger.info('Expired stock reservations', { expired: data });
+      }
+      return data;
+    } catch (error) {
+      logger.error('Failed to expire stock reservations', { error: error.message });
+      return 0;
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const reservationSweeper = new ReservationSweeper();
+export default reservationSweeper;
@@ -0,0 +1,400 @@
+import { supabaseAdmin } from '../config/database.js';
+import { returnConfig } from '../config/orders.js';
+import { logger } from '../middleware/logging.js';
+import { httpError } from '../utils/httpError.js';
+import paymentService from './paymentService.js';
+import shipmentService from './shipmentService.js';
+
+const EVIDENCE_BUCKET = 'return-evidence';
+
+// How long signed evidence URLs stay valid, in seconds
+const EVIDENCE_URL_TTL = 3600;
+
+const RETURN_COLUMNS = `
+  *,
+  order:orders!inner(order_number, shipping_address, customer_id),
+  artisan:artisan_profiles!inner(user_id, business_name, workshop_address, workshop_pincode),
+  items:return_request_items(
+    id, order_item_id, quantity, refund_amount,
+    order_item:order_items(product_id, product_title, product_image, unit_price)
+  )
+`;
+
+// Errors raised by create_return_request -> HTTP status
+const REQUEST_ERRORS = {
+  'Order not found': 404,
+  'Return items are not part of this order': 409,
+  'Return items must come from one artisan': 409,
+  'Items are not returnable': 409,
+  'Return quantity exceeds what can be returned': 409
+};
+
+/**
+ * Asks the order agent to triage a new return. Its recommendation is
+ * stored on the return for the artisan to consider; it never decides.
+ */
+async function queueReturnTriage(returnRequest) {
+  const { default: agentManager } = await import('../api/agentManager.js');
+  await agentManager.submitTask('order-processor', {
+    action: 'handleReturn',
+    input: { returnRequestId: returnRequest.id }
+  }, { priority: 'low' });
+}
+
+/**
+ * Customers return delivered items of one artisan's fulfilment with a reason
+ * and photo evidence. The artisan approves (a return label is booked) or
+ * rejects the request, and refunds the items once the parcel is back.
+ *
+ * requested -> approved -> received -> refunded, or requested -> rejected |
+ * cancelled.
+ */
+export class ReturnService {
+  constructor({
+    client = supabaseAdmin,
+    payments = paymentService,
+    shipments = shipmentService,
+    triage = queueReturnTriage
+  } = {}) {
+    this.supabase = client;
+    this.payments = payments;
+    this.shipments = shipments;
+    this.triage = triage;
+  }
+
+  /**
+   * Request the return of some of an order's delivered items. items is
+   * [{ orderItemId, quantity }]; evidencePaths are objects the customer
+   * uploaded to their folder of the return-evidence bucket.
+   *
+   * Throws errors with status 400 (evidence outside the customer's folder),
+   * 404 (unknown order) or 409 (items that cannot be returned, with the
+   * offending items on error.items when quantities are too high).
+   */
+  async requestReturn(userId, orderId, { reason, description, items, evidencePaths = [] }) {
+    if (evidencePaths.some(path => !path.startsWith(`${userId}/`))) {
+      throw httpError(400, 'Evidence must be uploaded to your own folder');
+    }
+
+    const { data, error } = await this.supabase.rpc('create_return_request', {
+      p_customer_id: userId,
+      p_order_id: orderId,
+      p_reason: reason,
+      p_description: description ?? null,
+      p_evidence_paths: evidencePaths,
+      p_items: items,
+      p_window_days: returnConfig.windowDays
+    });
+
+    if (error) {
+      const status = REQUEST_ERRORS[error.message];
+      if (status) {
+        throw httpError(status, error.message, error.details ? { items: parseDetails(error.details) } : {});
+      }
+      throw error;
+    }
+
+    this.triage(data).catch(triageError => logger.warn('Failed to queue return triage', {
+      returnRequestId: data.id,
+      error: triageError.message
+    }));
+
+    return returnFromRow(await this.findReturn(data.id));
+  }
+
+  /**
+   * The customer's return requests, newest first
+   */
+  async listForCustomer(userId) {
+    const { data, error } = await this.supabase
+      .from('return_requests')
+      .select(RETURN_COLUMNS)
+      .eq('customer_id', userId)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+
+    return data.map(row => returnFromRow(row));
+  }
+
+  /**
+   * Return requests for the user's artisan shop, newest first, with signed
+   * URLs for their evidence and the order agent's triage
+   */
+  async listForArtisan(userId, { status } = {}) {
+    const artisanId = await this.requireArtisanId(userId);
+
+    let query = this.supabase
+      .from('return_requests')
+      .select(RETURN_COLUMNS)
+      .eq('artisan_id', artisanId)
+      .order('created_at', { ascending: false });
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const paths = data.flatMap(row => row.evidence_paths || []);
+    const urls = await this.signEvidence(paths);
+
+    return data.map(row => ({
+      ...returnFromRow(row),
+      evidenceUrls: (row.evidence_paths || []).map(path => urls.get(path)).filter(Boolean),
+      aiRecommendation: row.ai_recommendation
+    }));
+  }
+
+  /**
+   * Approve a requested return and book the return shipment from the
+   * customer's address to the artisan's pickup address
+   */
+  async approve(userId, returnRequestId, { note } = {}) {
+    const row = await this.findArtisanReturn(userId, returnRequestId, 'requested');
+
+    const shipment = await this.shipments.bookReturnShipment(row);
+
+    return this.decide(userId, row, 'requested', {
+      status: 'approved',
+      decision_note: note ?? null,
+      return_carrier: shipment.carrier,
+      return_label_id: shipment.labelId,
+      return_label_url: shipment.labelUrl,
+      return_tracking_number: shipment.trackingNumber
+    });
+  }
+
+  async reject(userId, returnRequestId, { note }) {
+    const row = await this.findArtisanReturn(userId, returnRequestId, 'requested');
+    return this.decide(userId, row, 'requested', { status: 'rejected', decision_note: note });
+  }
+
+  /**
+   * Mark an approved return as received, optionally put its units back into
+   * stock, and refund its items through the payment provider. Refunding the
+   * last of an order's payment moves the order to refunded.
+   *
+   * The return is claimed (received -> refunding) before the provider is
+   * called, so overlapping receives cannot both refund it, and only what its
+   * recorded refunds do not cover yet is refunded. A received return whose
+   * refund failed can be received again to retry. One left refunding is only
+   * finished once its refunds are recorded, as the provider may have paid
+   * out; refund is null when an earlier attempt already refunded it.
+   */
+  async receive(userId, returnRequestId, { restock = false } = {}) {
+    let row = await this.findArtisanReturn(userId, returnRequestId, ['approved', 'received', 'refunding']);
+    const resuming = row.status === 'refunding';
+
+    if (row.status === 'approved') {
+      await this.updateReturn(row, 'approved', { status: 'received', received_at: new Date().toISOString() });
+      if (restock) {
+        const { error } = await this.supabase.rpc('restock_return', { p_return_request_id: row.id });
+        if (error) throw error;
+      }
+    }
+    if (!resuming) {
+      await this.updateReturn(row, 'received', { status: 'refunding' });
+    }
+
+    const amount = roundAmount(row.items.reduce((sum, item) => sum + Number(item.refund_amount), 0));
+    const refunded = await this.refundedAmount(row.id);
+    if (resuming && refunded < amount) {
+      throw httpError(409, 'Return refund was interrupted; check it with the payment provider');
+    }
+
+    let refund = null;
+    if (refunded < amount) {
+      try {
+        refund = await this.payments.refundOrder(row.order_id, {
+          amount: roundAmount(amount - refunded),
+          reason: `Return ${row.order.order_number}: ${row.reason}`,
+          returnRequestId: row.id
+        });
+        if (!refund) {
+          throw httpError(409, 'Order has no payment to refund');
+        }
+      } catch (error) {
+        // Hand the return back for a retry unless money went out
+        if (!error.providerRefundId) {
+          await this.updateReturn(row, 'refunding', { status: 'received' });
+        }
+        throw error;
+      }
+    }
+
+    await this.updateReturn(row, 'refunding', {
+      status: 'refunded',
+      refund_amount: amount,
+      refunded_at: new Date().toISOString()
+    });
+
+    row = await this.findReturn(row.id);
+    return { ...returnFromRow(row), refund: refund?.refund ?? null, order: refund?.order ?? null };
+  }
+
+  /**
+   * What has been refunded for a return so far, over all its payments
+   */
+  async refundedAmount(returnRequestId) {
+    const { data, error } = await this.supabase
+      .from('payment_refunds')
+      .select('amount')
+      .eq('return_request_id', returnRequestId)
+      .neq('status', 'failed');
+    if (error) throw error;
+
+    return roundAmount(data.reduce((sum, refund) => sum + Number(refund.amount), 0));
+  }
+
+  /**
+   * Withdraw one of the customer's requests before the artisan decides
+   */
+  async cancel(userId, returnRequestId) {
+    const row = await this.findReturn(returnRequestId);
+    if (row.customer_id !== userId) {
+      throw httpError(404, 'Return request not found');
+    }
+    if (row.status !== 'requested') {
+      throw httpError(409, `Cannot cancel a ${row.status} return`);
+    }
+
+    await this.updateReturn(row, 'requested', { status: 'cancelled' });
+    return returnFromRow(await this.findReturn(row.id));
+  }
+
+  async decide(userId, row, from, changes) {
+    await this.updateReturn(row, from, {
+      ...changes,
+      decided_by: userId,
+      decided_at: new Date().toISOString()
+    });
+    return returnFromRow(await this.findReturn(row.id));
+  }
+
+  /**
+   * Update a return only if it is still in the status it was read in, so two
+   * decisions cannot both apply
+   */
+  async updateReturn(row, from, changes) {
+    const { data, error } = await this.supabase
+      .from('return_requests')
+      .update(changes)
+      .eq('id', row.id)
+      .eq('status', from)
+      .select('id');
+    if (error) throw error;
+
+    if (data.length === 0) {
+      throw httpError(409, 'Return request was changed by someone else');
+    }
+  }
+
+  /**
+   * One of the artisan's returns, which must be in one of the given statuses
+   */
+  async findArtisanReturn(userId, returnRequestId, statuses) {
+    const artisanId = await this.requireArtisanId(userId);
+    const row = await this.findReturn(returnRequestId);
+
+    if (row.artisan_id !== artisanId) {
+      throw httpError(404, 'Return request not found');
+    }
+    if (![].concat(statuses).includes(row.status)) {
+      throw httpError(409, `Return request is already ${row.status}`);
+    }
+    return row;
+  }
+
+  async findReturn(returnRequestId) {
+    const { data, error } = await this.supabase
+      .from('return_requests')
+      .select(RETURN_COLUMNS)
+      .eq('id', returnRequestId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw httpError(404, 'Return request not found');
+    }
+    return data;
+  }
+
+  /**
+   * Signed URLs for evidence objects, by path
+   */
+  async signEvidence(paths) {
+    if (paths.length === 0) return new Map();
+
+    const { data, error } = await this.supabase.storage
+      .from(EVIDENCE_BUCKET)
+      .createSignedUrls(paths, EVIDENCE_URL_TTL);
+    if (error) throw error;
+
+    return new Map(data.filter(entry => entry.signedUrl).map(entry => [entry.path, entry.signedUrl]));
+  }
+
+  async requireArtisanId(userId) {
+    const { data, error } = await this.supabase
+      .from('artisan_profiles')
+      .select('id')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw httpError(403, 'Artisan profile required');
+    }
+    return data.id;
+  }
+}
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+function parseDetails(details) {
+  try {
+    return JSON.parse(details);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Map a return_requests row, with its order and items joined, onto the API shape
+ */
+export function returnFromRow(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    orderNumber: row.order?.order_number,
+    fulfilmentId: row.fulfilment_id,
+    artisanName: row.artisan?.business_name,
+    status: row.status,
+    reason: row.reason,
+    description: row.description,
+    evidencePaths: row.evidence_paths || [],
+    decisionNote: row.decision_note,
+    decidedAt: row.decided_at,
+    returnShipment: row.return_label_id ? {
+      carrier: row.return_carrier,
+      labelId: row.return_label_id,
+      labelUrl: row.return_label_url,
+      trackingNumber: row.return_tracking_number
+    } : null,
+    receivedAt: row.received_at,
+    restocked: row.restocked,
+    refundAmount: row.refund_amount === null || row.refund_amount === undefined ? null : Number(row.refund_amount),
+    refundedAt: row.refunded_at,
+    items: (row.items || []).map(item => ({
+      id: item.id,
+      orderItemId: item.order_item_id,
+      productId: item.order_item?.product_id,
+      title: item.order_item?.product_title,
+      image: item.order_item?.product_image,
+      quantity: item.quantity,
+      refundAmount: Number(item.refund_amount)
+    })),
+    createdAt: row.created_at
+  };
+}
+
+export default new ReturnService();
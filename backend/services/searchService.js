@@ -0,0 +1,276 @@
+import { supabaseAdmin } from '../config/database.js';
+import { searchConfig } from '../config/ai.js';
+import { logger } from '../middleware/logging.js';
+
+// Words left over once filters are read that would only narrow the text match
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'artisan', 'artisans', 'by', 'find', 'for', 'from',
+  'get', 'i', 'in', 'inr', 'items', 'made', 'me', 'need', 'of', 'on', 'or',
+  'price', 'priced', 'products', 'rs', 'rupee', 'rupees', 'show', 'some',
+  'something', 'the', 'to', 'want', 'with'
+]);
+
+const SORT_LABELS = {
+  'price-low': 'Lowest price first',
+  'price-high': 'Highest price first',
+  rating: 'Best rated first'
+};
+
+// An amount in rupees: '₹5,000', 'rs 5000', '5k'
+const AMOUNT = String.raw`(?:₹|rs\.?|inr)?\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?`;
+
+const PRICE_BETWEEN = new RegExp(String.raw`\b(?:between|from)\s+${AMOUNT}\s*(?:and|to|-)\s*${AMOUNT}`, 'u');
+const PRICE_MAX = new RegExp(String.raw`\b(?:under|below|less than|cheaper than|within|up ?to|max(?:imum)?|at most)\s+${AMOUNT}`, 'u');
+const PRICE_MIN = new RegExp(String.raw`\b(?:over|above|more than|at least|min(?:imum)?)\s+${AMOUNT}`, 'u');
+const RATING_MIN = /\b([1-5](?:\.\d)?)\s*(?:stars?|★)\s*(?:\+|and up|and above|or more)?/u;
+const VERIFIED = /\bverified\b/u;
+const SORTS = [
+  [/\b(?:cheapest|lowest price[sd]?|low to high)\b/u, 'price-low'],
+  [/\b(?:most expensive|highest price[sd]?|high to low)\b/u, 'price-high'],
+  [/\b(?:best|top|highest)[ -]rated\b/u, 'rating']
+];
+
+/**
+ * Asks the product agent to read a search. Rejects when the agent is not
+ * running, fails, or has not answered within searchConfig.parseTimeoutMs
+ * (also while its queue is busy), so the search can fall back to keywords.
+ */
+async function interpretWithAgent(query) {
+  const { default: agentManager } = await import('../api/agentManager.js');
+  const task = agentManager.executeTask('content-optimizer', {
+    action: 'parseSearchQuery',
+    input: { query }
+  }, { timeoutMs: searchConfig.parseTimeoutMs });
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Search parsing timed out')), searchConfig.parseTimeoutMs);
+  });
+  try {
+    const result = await Promise.race([task, timeout]);
+    return result.data;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Natural-language product search. A search like "wooden sculptures under
+ * ₹5000" is read into the keywords and filters of search_products: by the
+ * product agent when it is available, by matching the catalog's categories,
+ * regions and materials and price phrases otherwise. Filters only ever name
+ * values that exist in the catalog; anything else stays a keyword.
+ *
+ * Searches are counted, and the popular ones are suggested as people type
+ * along with matching categories, regions and products.
+ */
+export class SearchService {
+  constructor({ client = supabaseAdmin, interpret = interpretWithAgent } = {}) {
+    this.supabase = client;
+    this.interpret = interpret;
+    this.catalog = null;
+  }
+
+  /**
+   * Read a search into { query, keywords, filters: [{ field, value, label }],
+   * source: 'ai' | 'keywords' }. Fields are category (slug), region,
+   * material, minPrice, maxPrice, minRating, verified and sort, each at most
+   * once; labels are for showing the filters back to the shopper.
+   */
+  async parseQuery(query) {
+    const catalog = await this.getCatalog();
+
+    let parsed;
+    try {
+      parsed = { ...fromAgent(await this.interpret(query), catalog), source: 'ai' };
+    } catch (error) {
+      logger.warn('Search parsing fell back to keywords', { error: error.message });
+      parsed = { ...fromKeywords(query, catalog), source: 'keywords' };
+    }
+
+    await this.recordQuery(query);
+    return {
+      query,
+      keywords: parsed.keywords || (parsed.filters.length === 0 ? query : ''),
+      filters: parsed.filters,
+      source: parsed.source
+    };
+  }
+
+  /**
+   * Autocomplete for a partly typed search:
+   * [{ type: 'query' | 'category' | 'region' | 'product', text, value }]
+   */
+  async suggest(prefix, { limit = 8 } = {}) {
+    const { data, error } = await this.supabase.rpc('search_suggestions', {
+      p_prefix: prefix,
+      p_limit: limit
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Count a search towards the popular ones. Failures are logged; they never
+   * fail the search.
+   */
+  async recordQuery(query) {
+    const normalised = normalise(query);
+    if (normalised.length < 2 || normalised.length > 100) return;
+
+    const { error } = await this.supabase.rpc('record_search_query', { p_query: normalised });
+    if (error) {
+      logger.error('Failed to record search query', { error: error.message });
+    }
+  }
+
+  /**
+   * The categories, regions and materials of active products, from the
+   * facets of an empty search; reused for searchConfig.catalogCacheSeconds
+   */
+  async getCatalog() {
+    if (this.catalog && this.catalog.expiresAt > Date.now()) {
+      return this.catalog.value;
+    }
+
+    const { data, error } = await this.supabase.rpc('search_products', { p_limit: 0 });
+    if (error) throw error;
+
+    const value = {
+      category: data.facets.categories.map(({ value, label }) => ({ value, label })),
+      region: data.facets.regions.map(({ value, label }) => ({ value, label })),
+      material: data.facets.materials.map(({ value }) => ({ value, label: capitalise(value) }))
+    };
+    this.catalog = { value, expiresAt: Date.now() + searchConfig.catalogCacheSeconds * 1000 };
+    return value;
+  }
+}
+
+/**
+ * Map the agent's parse_search result onto catalog filters; categories,
+ * regions and materials not in the catalog are searched as keywords
+ */
+function fromAgent(parsed = {}, catalog) {
+  const filters = [];
+  const keywords = [...(parsed.keywords || []), ...(parsed.artisanNames || [])];
+
+  for (const [field, terms] of [
+    ['category', parsed.categories],
+    ['region', parsed.regions],
+    ['material', parsed.materials]
+  ]) {
+    for (const term of terms || []) {
+      const entry = findInCatalog(catalog[field], term);
+      if (!entry) {
+        keywords.push(term);
+      } else if (!filters.some(filter => filter.field === field)) {
+        filters.push({ field, value: entry.value, label: entry.label });
+      }
+    }
+  }
+
+  filters.push(...priceFilters(parsed.budgetMin, parsed.budgetMax));
+  if (parsed.ratingMin > 0 && parsed.ratingMin <= 5) {
+    filters.push(ratingFilter(parsed.ratingMin));
+  }
+  if (parsed.verifiedOnly) {
+    filters.push(verifiedFilter());
+  }
+  if (parsed.priceSort) {
+    filters.push(sortFilter(parsed.priceSort === 'desc' ? 'price-high' : 'price-low'));
+  }
+
+  // The agent often repeats a filter among the keywords
+  const named = new Set(filters.flatMap(filter => [filter.value, filter.label].map(name => singular(normalise(name)))));
+  const remaining = keywords.filter(keyword => !named.has(singular(normalise(keyword))));
+
+  return { keywords: [...new Set(remaining.map(normalise))].join(' '), filters };
+}
+
+/**
+ * Read a search without the agent: price and rating phrases, "verified",
+ * sort phrases and catalog categories, regions and materials become filters;
+ * the remaining words are the keywords
+ */
+function fromKeywords(query, catalog) {
+  let text = ` ${normalise(query)} `;
+  const filters = [];
+  const take = (pattern, toFilters) => {
+    text = text.replace(pattern, (...match) => {
+      filters.push(...toFilters(match));
+      return ' ';
+    });
+  };
+
+  take(PRICE_BETWEEN, ([, min, minK, max, maxK]) => priceFilters(parseAmount(min, minK), parseAmount(max, maxK)));
+  if (!filters.some(filter => filter.field === 'maxPrice')) {
+    take(PRICE_MAX, ([, amount, k]) => priceFilters(undefined, parseAmount(amount, k)));
+  }
+  if (!filters.some(filter => filter.field === 'minPrice')) {
+    take(PRICE_MIN, ([, amount, k]) => priceFilters(parseAmount(amount, k)));
+  }
+  take(RATING_MIN, ([, rating]) => [ratingFilter(Number(rating))]);
+  take(VERIFIED, () => [verifiedFilter()]);
+  for (const [pattern, sort] of SORTS) {
+    if (!filters.some(filter => filter.field === 'sort')) {
+      take(pattern, () => [sortFilter(sort)]);
+    }
+  }
+
+  for (const field of ['category', 'region', 'material']) {
+    for (const entry of catalog[field]) {
+      const names = [...new Set([entry.label, entry.value].map(name => singular(normalise(name))))];
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${names.map(escapeRegExp).join('|')})s?(?![\\p{L}\\p{N}])`, 'u');
+      if (pattern.test(text)) {
+        filters.push({ field, value: entry.value, label: entry.label });
+        text = text.replace(pattern, ' ');
+        break;
+      }
+    }
+  }
+
+  const keywords = text
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+
+  return { keywords: keywords.join(' '), filters };
+}
+
+function priceFilters(min, max) {
+  const filters = [];
+  if (min > 0) {
+    filters.push({ field: 'minPrice', value: min, label: `Over ₹${formatAmount(min)}` });
+  }
+  if (max > 0 && !(min > max)) {
+    filters.push({ field: 'maxPrice', value: max, label: `Under ₹${formatAmount(max)}` });
+  }
+  return filters;
+}
+
+const ratingFilter = rating => ({ field: 'minRating', value: rating, label: `${rating}★ & up` });
+
+const verifiedFilter = () => ({ field: 'verified', value: true, label: 'Verified artisans' });
+
+const sortFilter = sort => ({ field: 'sort', value: sort, label: SORT_LABELS[sort] });
+
+/**
+ * Catalog entry whose value or label is the term, ignoring case and plurals
+ */
+const findInCatalog = (entries, term) => {
+  const wanted = singular(normalise(term));
+  return entries.find(entry => [entry.value, entry.label].some(name => singular(normalise(name)) === wanted));
+};
+
+const parseAmount = (digits, thousands) => Number(digits.replace(/,/g, '')) * (thousands ? 1000 : 1);
+
+const normalise = text => String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const singular = word => word.replace(/s$/, '');
+
+const capitalise = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatAmount = amount => amount.toLocaleString('en-IN');
+
+export default new SearchService();
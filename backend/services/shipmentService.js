@@ -0,0 +1,331 @@
+import { supabaseAdmin } from '../config/database.js';
+import { shippingConfig } from '../config/orders.js';
+import { httpError } from '../utils/httpError.js';
+import { getShippingCarrier, hasShippingCarrier } from './shipping/index.js';
+import { chargeableWeight } from './shipping/ShippingCarrier.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parcels booked with shipping carriers and the tracking events carriers
+ * report for them. Events are stored as they arrive; the apply_shipment_event
+ * trigger keeps each shipment's status current and ships or delivers its
+ * fulfilment.
+ */
+export class ShipmentService {
+  constructor({ client = supabaseAdmin, carriers = getShippingCarrier } = {}) {
+    this.supabase = client;
+    this.carriers = carriers;
+  }
+
+  /**
+   * Book the label for one of the artisan's processing fulfilments, from the
+   * artisan's pickup address to the order's shipping address. service is one
+   * the carrier quoted; it defaults to the one chosen at checkout.
+   *
+   * Throws errors with status 403 (not an artisan), 404 (not their
+   * fulfilment) or 409 (not processing, or already booked).
+   */
+  async bookFulfilmentShipment(userId, fulfilmentId, { service } = {}) {
+    const artisan = await this.requireArtisan(userId);
+
+    const { data: fulfilment, error } = await this.supabase
+      .from('order_fulfilments')
+      .select('*, order:orders!inner(order_number, shipping_address)')
+      .eq('id', fulfilmentId)
+      .eq('artisan_id', artisan.id)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!fulfilment) {
+      throw httpError(404, 'Fulfilment not found');
+    }
+    if (fulfilment.status !== 'processing') {
+      throw httpError(409, `Cannot ship a ${fulfilment.status} fulfilment`);
+    }
+
+    const { data: booked, error: bookedError } = await this.supabase
+      .from('shipments')
+      .select('id')
+      .eq('fulfilment_id', fulfilment.id)
+      .eq('direction', 'forward')
+      .neq('status', 'cancelled');
+    if (bookedError) throw bookedError;
+
+    if (booked.length > 0) {
+      throw httpError(409, 'Fulfilment already has a shipment');
+    }
+
+    const { data: orderItems, error: itemsError } = await this.supabase
+      .from('order_items')
+      .select('product_id, product_title, quantity, unit_price')
+      .eq('order_id', fulfilment.order_id)
+      .eq('artisan_id', artisan.id);
+    if (itemsError) throw itemsError;
+
+    const items = orderItems.map(item => ({
+      productId: item.product_id,
+      title: item.product_title,
+      quantity: item.quantity,
+      unitPrice: Number(item.unit_price)
+    }));
+
+    const shipment = await this.book({
+      reference: fulfilment.artisan_order_number || fulfilment.id,
+      direction: 'forward',
+      from: await this.pickupAddress(artisan),
+      to: fulfilment.order.shipping_address,
+      items,
+      // The service the customer paid for at checkout, unless the artisan picks another
+      service: service ?? fulfilment.shipping_service ?? undefined
+    }, {
+      order_id: fulfilment.order_id,
+      artisan_id: artisan.id,
+      fulfilment_id: fulfilment.id
+    });
+
+    const { error: fulfilmentError } = await this.supabase
+      .from('order_fulfilments')
+      .update({ carrier: shipment.carrier, tracking_number: shipment.trackingNumber })
+      .eq('id', fulfilment.id);
+    if (fulfilmentError) throw fulfilmentError;
+
+    return shipment;
+  }
+
+  /**
+   * Book the pickup of an approved return, a return_requests row with its
+   * order, artisan and items joined, from the customer back to the artisan
+   */
+  async bookReturnShipment(returnRow) {
+    return this.book({
+      reference: returnRow.id,
+      direction: 'return',
+      from: returnRow.order.shipping_address,
+      to: await this.pickupAddress(returnRow.artisan),
+      items: returnRow.items.map(item => ({
+        productId: item.order_item.product_id,
+        title: item.order_item.product_title,
+        quantity: item.quantity,
+        unitPrice: Number(item.order_item.unit_price)
+      }))
+    }, {
+      order_id: returnRow.order_id,
+      artisan_id: returnRow.artisan_id,
+      fulfilment_id: returnRow.fulfilment_id,
+      return_request_id: returnRow.id
+    });
+  }
+
+  /**
+   * Create the label with the configured carrier and record the shipment
+   */
+  async book(parcel, links) {
+    const carrier = this.carriers();
+    const weightGrams = await this.parcelWeight(parcel.items);
+    const label = await carrier.createLabel({ ...parcel, weightGrams });
+
+    const { data, error } = await this.supabase
+      .from('shipments')
+      .insert({
+        ...links,
+        direction: parcel.direction,
+        carrier: carrier.name,
+        service: label.service ?? null,
+        label_id: label.labelId,
+        label_url: label.labelUrl ?? null,
+        tracking_number: label.trackingNumber,
+        weight_grams: weightGrams,
+        shipping_cost: label.amount ?? null,
+        estimated_delivery_at: label.estimatedDays
+          ? new Date(Date.now() + label.estimatedDays * DAY_MS).toISOString()
+          : null
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      // Unique violation: another request booked this parcel meanwhile
+      if (error.code === '23505') {
+        throw httpError(409, 'Shipment is already booked');
+      }
+      throw error;
+    }
+    return shipmentFromRow(data);
+  }
+
+  /**
+   * Store the tracking events of a carrier webhook. Events for parcels that
+   * were not booked here are ignored, and events seen before are skipped.
+   *
+   * Throws errors with status 404 (unknown carrier), 401 (bad signature) or
+   * 400 (body is not JSON).
+   */
+  async handleWebhook(carrierName, rawBody, headers) {
+    if (!hasShippingCarrier(carrierName)) {
+      throw httpError(404, 'Unknown shipping carrier');
+    }
+    const carrier = this.carriers(carrierName);
+    if (!rawBody || !carrier.verifyWebhook(rawBody, headers)) {
+      throw httpError(401, 'Invalid webhook signature');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      throw httpError(400, 'Invalid webhook body');
+    }
+
+    const events = carrier.parseWebhook(payload, headers);
+    const result = { recorded: 0, duplicates: 0, ignored: 0 };
+
+    for (const event of events) {
+      const { data: shipment, error } = await this.supabase
+        .from('shipments')
+        .select('id')
+        .eq('carrier', carrierName)
+        .eq('tracking_number', event.trackingNumber)
+        .maybeSingle();
+      if (error) throw error;
+
+      if (!shipment) {
+        result.ignored++;
+        continue;
+      }
+
+      const { error: eventError } = await this.supabase
+        .from('shipment_events')
+        .insert({
+          shipment_id: shipment.id,
+          event_id: event.eventId,
+          status: event.status,
+          description: event.description ?? null,
+          location: event.location ?? null,
+          occurred_at: event.occurredAt,
+          payload: event
+        });
+
+      if (eventError) {
+        // Unique violation: this event was stored before
+        if (eventError.code === '23505') {
+          result.duplicates++;
+          continue;
+        }
+        throw eventError;
+      }
+      result.recorded++;
+    }
+
+    return result;
+  }
+
+  /**
+   * An order's shipments, oldest first, each with its tracking events in the
+   * order they happened
+   */
+  async listForOrder(orderId) {
+    const { data, error } = await this.supabase
+      .from('shipments')
+      .select('*, events:shipment_events(*)')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    return data.map(row => shipmentFromRow(row));
+  }
+
+  /**
+   * Where an artisan's parcels are picked up: their default shipping address,
+   * or else the workshop address and pincode on their profile
+   */
+  async pickupAddress(artisan) {
+    const { data, error } = await this.supabase
+      .from('addresses')
+      .select('full_name, address_line_1, address_line_2, city, state, postal_code, country, phone')
+      .eq('user_id', artisan.user_id)
+      .eq('type', 'shipping')
+      .order('is_default', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+
+    return data || {
+      full_name: artisan.business_name,
+      address_line_1: artisan.workshop_address,
+      postal_code: artisan.workshop_pincode
+    };
+  }
+
+  /**
+   * Chargeable parcel weight of [{ productId, quantity }] from each product's
+   * weight_grams and dimensions, counting products without a weight at the
+   * configured default
+   */
+  async parcelWeight(items) {
+    const { data, error } = await this.supabase
+      .from('products')
+      .select('id, weight_grams, dimensions')
+      .in('id', [...new Set(items.map(item => item.productId))]);
+    if (error) throw error;
+
+    const products = new Map(data.map(product => [product.id, product]));
+    return items.reduce((sum, item) => {
+      const product = products.get(item.productId);
+      return sum + chargeableWeight(
+        product?.weight_grams || shippingConfig.defaultItemWeightGrams,
+        product?.dimensions
+      ) * item.quantity;
+    }, 0);
+  }
+
+  async requireArtisan(userId) {
+    const { data, error } = await this.supabase
+      .from('artisan_profiles')
+      .select('id, user_id, business_name, workshop_address, workshop_pincode')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw httpError(403, 'Artisan profile required');
+    }
+    return data;
+  }
+}
+
+/**
+ * Map a shipments row, with its events when joined, onto the API shape
+ */
+export function shipmentFromRow(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    fulfilmentId: row.fulfilment_id,
+    returnRequestId: row.return_request_id,
+    direction: row.direction,
+    carrier: row.carrier,
+    service: row.service,
+    labelId: row.label_id,
+    labelUrl: row.label_url,
+    trackingNumber: row.tracking_number,
+    weightGrams: row.weight_grams,
+    shippingCost: row.shipping_cost === null || row.shipping_cost === undefined ? null : Number(row.shipping_cost),
+    status: row.status,
+    estimatedDeliveryAt: row.estimated_delivery_at,
+    lastEventAt: row.last_event_at,
+    createdAt: row.created_at,
+    ...(row.events && {
+      events: [...row.events]
+        .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at))
+        .map(event => ({
+          status: event.status,
+          description: event.description,
+          location: event.location,
+          occurredAt: event.occurred_at
+        }))
+    })
+  };
+}
+
+export default new ShipmentService();
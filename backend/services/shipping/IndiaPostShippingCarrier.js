@@ -0,0 +1,116 @@
+import axios from 'axios';
+import ShippingCarrier, { pincodeZone, slabRate } from './ShippingCarrier.js';
+
+// Speed Post rupees per zone for the first 500 g and each 500 g after it
+const TARIFF = {
+  local: { first: 30, additional: 10 },
+  regional: { first: 60, additional: 30 },
+  national: { first: 90, additional: 50 }
+};
+
+const TRANSIT_DAYS = { local: 2, regional: 4, national: 6 };
+
+// India Post tracking event codes -> tracking statuses
+const EVENTS = {
+  ITEM_BOOK: 'picked_up',
+  ITEM_BAGGING: 'in_transit',
+  ITEM_DISPATCH: 'in_transit',
+  ITEM_RECEIVE: 'in_transit',
+  ITEM_OUT_FOR_DELIVERY: 'out_for_delivery',
+  ITEM_DELIVERY: 'delivered',
+  ITEM_DELIVERY_ATTEMPT: 'delivery_failed',
+  ITEM_RETURN: 'returned'
+};
+
+/**
+ * India Post Speed Post for contract (business) customers. Quotes come from
+ * the published Speed Post tariff, so they need no API call; bookings go to
+ * the contract booking API and the article number is the tracking number.
+ *
+ * Tracking events arrive from a tracking relay that posts them signed with
+ * the shared webhook secret in x-indiapost-signature.
+ */
+export class IndiaPostShippingCarrier extends ShippingCarrier {
+  constructor(options = {}) {
+    super('indiapost', {
+      displayName: 'India Post',
+      ...options
+    });
+    this.customerId = options.customerId;
+    this.webhookSecret = options.webhookSecret;
+
+    this.http = options.httpClient || axios.create({
+      baseURL: options.baseURL,
+      timeout: options.timeout || 30000,
+      headers: { 'Content-Type': 'application/json', 'x-api-key': options.apiKey }
+    });
+  }
+
+  async quote({ fromPincode, toPincode, weightGrams }) {
+    const zone = pincodeZone(fromPincode, toPincode);
+
+    return [{
+      service: 'speed_post',
+      serviceName: 'Speed Post',
+      amount: slabRate(TARIFF[zone], weightGrams),
+      currency: 'INR',
+      estimatedDays: TRANSIT_DAYS[zone]
+    }];
+  }
+
+  async createLabel({ reference, from, to, weightGrams = 500, direction = 'forward' }) {
+    const [rate] = await this.quote({ fromPincode: from?.postal_code, toPincode: to?.postal_code, weightGrams });
+    const { data } = await this.http.post('/bookings', {
+      customer_id: this.customerId,
+      reference,
+      product: 'SPEED_POST',
+      return_pickup: direction === 'return',
+      weight_grams: weightGrams,
+      sender: postalAddress(from),
+      receiver: postalAddress(to)
+    });
+
+    return {
+      labelId: data.booking_id,
+      trackingNumber: data.article_number,
+      labelUrl: data.label_url || null,
+      service: rate.service,
+      amount: data.postage ?? rate.amount,
+      estimatedDays: rate.estimatedDays
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    return Boolean(this.webhookSecret) && ShippingCarrier.secretMatches(
+      headers['x-indiapost-signature'],
+      ShippingCarrier.sign(rawBody, this.webhookSecret)
+    );
+  }
+
+  parseWebhook(body) {
+    return (body.events || [])
+      .filter(event => EVENTS[event.event_code])
+      .map(event => ({
+        eventId: `${event.article_number}:${event.event_code}:${event.event_time}`,
+        trackingNumber: event.article_number,
+        status: EVENTS[event.event_code],
+        description: event.event_description || event.event_code,
+        location: event.office_name || null,
+        occurredAt: new Date(event.event_time).toISOString()
+      }));
+  }
+}
+
+function postalAddress(address = {}) {
+  return {
+    name: address.full_name,
+    line1: address.address_line_1,
+    line2: address.address_line_2 || '',
+    city: address.city,
+    state: address.state,
+    pincode: address.postal_code,
+    phone: address.phone
+  };
+}
+
+export default IndiaPostShippingCarrier;
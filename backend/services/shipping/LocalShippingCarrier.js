@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import ShippingCarrier, { pincodeZone, slabRate } from './ShippingCarrier.js';
+
+// Rupees per zone for the first 500 g and each 500 g after it
+const TARIFFS = {
+  standard: {
+    local: { first: 40, additional: 20 },
+    regional: { first: 60, additional: 30 },
+    national: { first: 90, additional: 45 }
+  },
+  express: {
+    local: { first: 70, additional: 35 },
+    regional: { first: 110, additional: 50 },
+    national: { first: 160, additional: 75 }
+  }
+};
+
+const TRANSIT_DAYS = {
+  standard: { local: 2, regional: 4, national: 6 },
+  express: { local: 1, regional: 2, national: 3 }
+};
+
+// Tracking steps a simulated parcel goes through after its label is booked
+const JOURNEY = [
+  { status: 'picked_up', description: 'Picked up from sender', at: 'from' },
+  { status: 'in_transit', description: 'Arrived at sorting hub', at: null },
+  { status: 'out_for_delivery', description: 'Out for delivery', at: 'to' },
+  { status: 'delivered', description: 'Delivered', at: 'to' }
+];
+
+const placeOf = address => [address?.city, address?.state].filter(Boolean).join(', ') || null;
+
+/**
+ * Offline carrier for development and tests. Rates come from a made-up
+ * tariff by pincode zone and weight; booked parcels are kept in a JSON file
+ * so they survive restarts, and advance() moves one along its journey and
+ * returns the signed tracking webhook a real carrier would send.
+ */
+export class LocalShippingCarrier extends ShippingCarrier {
+  constructor(options = {}) {
+    super('local', {
+      displayName: 'Local Simulator',
+      ...options
+    });
+    this.stateFile = options.stateFile;
+    this.webhookSecret = options.webhookSecret;
+    this.writing = Promise.resolve();
+  }
+
+  async quote({ fromPincode, toPincode, weightGrams }) {
+    const zone = pincodeZone(fromPincode, toPincode);
+
+    return Object.entries(TARIFFS).map(([service, tariff]) => ({
+      service,
+      serviceName: `Local ${service[0].toUpperCase()}${service.slice(1)}`,
+      amount: slabRate(tariff[zone], weightGrams),
+      currency: 'INR',
+      estimatedDays: TRANSIT_DAYS[service][zone]
+    }));
+  }
+
+  async createLabel({ reference, from, to, weightGrams = 500, direction = 'forward', service = 'standard' }) {
+    const rates = await this.quote({ fromPincode: from?.postal_code, toPincode: to?.postal_code, weightGrams });
+    const rate = rates.find(option => option.service === service);
+    if (!rate) {
+      throw new Error(`Unknown local shipping service: ${service}`);
+    }
+
+    const label = {
+      labelId: `lcl_label_${crypto.randomUUID()}`,
+      trackingNumber: `LCL${direction === 'return' ? 'R' : 'F'}${crypto.randomInt(1e9, 1e10)}`,
+      labelUrl: null,
+      service,
+      amount: rate.amount,
+      estimatedDays: rate.estimatedDays
+    };
+
+    await this.updateState(state => {
+      state.shipments[label.trackingNumber] = {
+        ...label,
+        reference,
+        direction,
+        from: placeOf(from),
+        to: placeOf(to),
+        weightGrams,
+        events: [],
+        createdAt: new Date().toISOString()
+      };
+    });
+    return label;
+  }
+
+  /**
+   * Move a simulated parcel to its next tracking step. Resolves to the signed
+   * webhook for it, to post to /api/shipping/webhooks/local.
+   */
+  async advance(trackingNumber) {
+    let event;
+    await this.updateState(state => {
+      const shipment = state.shipments[trackingNumber];
+      if (!shipment) {
+        throw new Error(`Unknown local shipment: ${trackingNumber}`);
+      }
+      const step = JOURNEY[shipment.events.length];
+      if (!step) {
+        throw new Error(`Local shipment ${trackingNumber} was already delivered`);
+      }
+
+      event = {
+        eventId: `lcl_evt_${crypto.randomUUID()}`,
+        trackingNumber,
+        status: step.status,
+        description: step.description,
+        location: step.at ? shipment[step.at] : 'Sorting hub',
+        occurredAt: new Date().toISOString()
+      };
+      shipment.events.push(event);
+    });
+
+    return this.buildWebhook([event]);
+  }
+
+  /**
+   * A signed tracking webhook as the simulator would deliver it
+   */
+  buildWebhook(events) {
+    const body = JSON.stringify({ id: `lcl_whk_${crypto.randomUUID()}`, events });
+    return {
+      body,
+      headers: {
+        'content-type': 'application/json',
+        'x-local-shipping-signature': ShippingCarrier.sign(body, this.webhookSecret)
+      }
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    return Boolean(this.webhookSecret) && ShippingCarrier.secretMatches(
+      headers['x-local-shipping-signature'],
+      ShippingCarrier.sign(rawBody, this.webhookSecret)
+    );
+  }
+
+  parseWebhook(body) {
+    return (body.events || []).map(event => ({
+      eventId: event.eventId,
+      trackingNumber: event.trackingNumber,
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      occurredAt: event.occurredAt
+    }));
+  }
+
+  async readState() {
+    try {
+      return JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { shipments: {} };
+      throw error;
+    }
+  }
+
+  /**
+   * Read, change and write the state file, one change at a time
+   */
+  updateState(change) {
+    const run = this.writing.then(async () => {
+      const state = await this.readState();
+      change(state);
+      await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+    });
+    this.writing = run.catch(() => {});
+    return run;
+  }
+}
+
+export default LocalShippingCarrier;
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+
+// Tracking statuses carriers' events are mapped onto (see shipment_status)
+export const SHIPMENT_STATUSES = [
+  'label_created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned', 'cancelled'
+];
+
+/**
+ * Base class for shipping carriers.
+ *
+ * Addresses are order address snapshots ({ full_name, address_line_1,
+ * address_line_2, city, state, postal_code, country, phone }).
+ *
+ * - `quote({ fromPincode, toPincode, weightGrams })` resolves to the
+ *   carrier's services for that parcel:
+ *   `[{ service, serviceName, amount, currency, estimatedDays }]`
+ * - `createLabel({ reference, from, to, items, weightGrams, direction, service })`
+ *   books a shipment, with the quoted service or the carrier's default, and
+ *   resolves to
+ *   `{ labelId, trackingNumber, labelUrl, service, amount, estimatedDays }`
+ *   (estimatedDays when the carrier gives one); direction is 'forward' for
+ *   deliveries and 'return' for return pickups
+ * - `verifyWebhook(rawBody, headers)` checks a tracking webhook is genuine
+ * - `parseWebhook(body, headers)` maps a tracking webhook onto its events:
+ *   `[{ eventId, trackingNumber, status, description, location, occurredAt }]`
+ *   where status is one of SHIPMENT_STATUSES
+ */
+export class ShippingCarrier {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.displayName = options.displayName || name;
+    this.options = options;
+  }
+
+  async quote(parcel) {
+    throw new Error(`quote() is not implemented by the ${this.name} shipping carrier`);
+  }
+
+  async createLabel(shipment) {
+    throw new Error(`createLabel() is not implemented by the ${this.name} shipping carrier`);
+  }
+
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`verifyWebhook() is not implemented by the ${this.name} shipping carrier`);
+  }
+
+  parseWebhook(body, headers) {
+    throw new Error(`parseWebhook() is not implemented by the ${this.name} shipping carrier`);
+  }
+
+  /**
+   * Hex HMAC-SHA256 of a payload
+   */
+  static sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  /**
+   * Compare a secret or signature with the expected one in constant time
+   */
+  static secretMatches(received, expected) {
+    if (!expected || typeof received !== 'string') return false;
+
+    const a = Buffer.from(received);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+/**
+ * Postal zone of a parcel between two Indian pincodes: 'local' within a
+ * sorting district (same first three digits), 'regional' within a postal
+ * region (same first digit) and 'national' otherwise
+ */
+export function pincodeZone(fromPincode, toPincode) {
+  const from = String(fromPincode || '');
+  const to = String(toPincode || '');
+  if (from.length !== 6 || to.length !== 6) return 'national';
+  if (from.slice(0, 3) === to.slice(0, 3)) return 'local';
+  if (from[0] === to[0]) return 'regional';
+  return 'national';
+}
+
+/**
+ * Price a parcel from a tariff of { first, additional } per zone, where
+ * first covers the first slab of slabGrams and additional each slab after it
+ */
+export function slabRate(tariff, weightGrams, slabGrams = 500) {
+  const slabs = Math.max(1, Math.ceil(weightGrams / slabGrams));
+  return tariff.first + (slabs - 1) * tariff.additional;
+}
+
+/**
+ * Weight a parcel is charged at: its actual weight or, for bulky parcels,
+ * its volumetric weight (length x width x height in cm / 5000, in kg) when
+ * products.dimensions gives { length, width, height } in centimetres
+ */
+export function chargeableWeight(weightGrams, dimensions) {
+  const { length, width, height } = dimensions || {};
+  const sides = [length, width, height].map(Number);
+  const volumetricGrams = sides.every(side => side > 0)
+    ? Math.ceil(sides[0] * sides[1] * sides[2] / 5)
+    : 0;
+  return Math.max(weightGrams, volumetricGrams);
+}
+
+export default ShippingCarrier;
@@ -0,0 +1,222 @@
+import axios from 'axios';
+import ShippingCarrier from './ShippingCarrier.js';
+
+// Shiprocket API tokens last 10 days; log in again a day early
+const TOKEN_TTL_MS = 9 * 24 * 60 * 60 * 1000;
+
+// Shiprocket shipment statuses -> tracking statuses
+const STATUSES = {
+  'PICKUP SCHEDULED': 'label_created',
+  'PICKUP GENERATED': 'label_created',
+  'OUT FOR PICKUP': 'label_created',
+  'PICKED UP': 'picked_up',
+  'SHIPPED': 'in_transit',
+  'IN TRANSIT': 'in_transit',
+  'REACHED AT DESTINATION HUB': 'in_transit',
+  'OUT FOR DELIVERY': 'out_for_delivery',
+  'DELIVERED': 'delivered',
+  'UNDELIVERED': 'delivery_failed',
+  'DELIVERY DELAYED': 'delivery_failed',
+  'RTO INITIATED': 'returned',
+  'RTO IN TRANSIT': 'returned',
+  'RTO DELIVERED': 'returned',
+  'CANCELED': 'cancelled',
+  'CANCELLED': 'cancelled'
+};
+
+/**
+ * Shiprocket, an aggregator that books parcels with Delhivery, Blue Dart,
+ * Ekart and other couriers through one API. Quotes list each courier that
+ * serves the route as a service; labels use the quoted courier or let
+ * Shiprocket pick one.
+ *
+ * Tracking webhooks are authenticated by the token configured for them in
+ * the Shiprocket panel, sent in the x-api-key header.
+ */
+export class ShiprocketShippingCarrier extends ShippingCarrier {
+  constructor(options = {}) {
+    super('shiprocket', {
+      displayName: 'Shiprocket',
+      ...options
+    });
+    this.email = options.email;
+    this.password = options.password;
+    this.pickupLocation = options.pickupLocation || 'Primary';
+    this.parcel = options.parcel || { lengthCm: 20, breadthCm: 15, heightCm: 10 };
+    this.webhookToken = options.webhookToken;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+    this.loggingIn = null;
+
+    this.http = options.httpClient || axios.create({
+      baseURL: options.baseURL || 'https://apiv2.shiprocket.in/v1/external',
+      timeout: options.timeout || 30000,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  async quote({ fromPincode, toPincode, weightGrams }) {
+    const data = await this.request('get', '/courier/serviceability/', {
+      params: {
+        pickup_postcode: fromPincode,
+        delivery_postcode: toPincode,
+        weight: weightGrams / 1000,
+        cod: 0
+      }
+    });
+
+    return (data.data?.available_courier_companies || []).map(courier => ({
+      service: String(courier.courier_company_id),
+      serviceName: courier.courier_name,
+      amount: Number(courier.rate ?? courier.freight_charge),
+      currency: 'INR',
+      estimatedDays: Number(courier.estimated_delivery_days) || null
+    }));
+  }
+
+  async createLabel({ reference, from, to, items = [], weightGrams = 500, direction = 'forward', service }) {
+    const parcel = {
+      order_id: reference,
+      order_date: new Date().toISOString().slice(0, 16).replace('T', ' '),
+      order_items: items.map(item => ({
+        name: item.title,
+        sku: item.productId,
+        units: item.quantity,
+        selling_price: item.unitPrice ?? 0
+      })),
+      payment_method: 'Prepaid',
+      sub_total: items.reduce((sum, item) => sum + (item.unitPrice ?? 0) * item.quantity, 0),
+      length: this.parcel.lengthCm,
+      breadth: this.parcel.breadthCm,
+      height: this.parcel.heightCm,
+      weight: weightGrams / 1000
+    };
+
+    const order = direction === 'return'
+      ? await this.request('post', '/orders/create/return', {
+        data: { ...parcel, ...addressFields('pickup', from), ...addressFields('shipping', to) }
+      })
+      : await this.request('post', '/orders/create/adhoc', {
+        data: {
+          ...parcel,
+          pickup_location: this.pickupLocation,
+          ...addressFields('billing', to),
+          shipping_is_billing: true
+        }
+      });
+
+    const assigned = await this.request('post', '/courier/assign/awb', {
+      data: {
+        shipment_id: order.shipment_id,
+        ...(service && { courier_id: service }),
+        ...(direction === 'return' && { is_return: 1 })
+      }
+    });
+    const awb = assigned.response?.data;
+    if (!awb?.awb_code) {
+      throw new Error(`Shiprocket could not assign a courier: ${assigned.message || 'no courier available'}`);
+    }
+
+    const label = await this.request('post', '/courier/generate/label', {
+      data: { shipment_id: [order.shipment_id] }
+    });
+
+    return {
+      labelId: String(order.shipment_id),
+      trackingNumber: awb.awb_code,
+      labelUrl: label.label_url || null,
+      service: String(awb.courier_company_id ?? service ?? ''),
+      amount: awb.applied_weight_amount ?? null
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    return ShippingCarrier.secretMatches(headers['x-api-key'], this.webhookToken);
+  }
+
+  /**
+   * One event per webhook: the shipment's current status
+   */
+  parseWebhook(body) {
+    const status = STATUSES[String(body.current_status || body.shipment_status || '').toUpperCase()];
+    if (!body.awb || !status) return [];
+
+    const lastScan = body.scans?.[body.scans.length - 1];
+    return [{
+      eventId: `${body.awb}:${body.current_status_id ?? body.current_status}:${body.current_timestamp}`,
+      trackingNumber: String(body.awb),
+      status,
+      description: lastScan?.activity || body.current_status,
+      location: lastScan?.location || null,
+      occurredAt: parseIstTime(lastScan?.date) || parseShiprocketTimestamp(body.current_timestamp) || new Date().toISOString()
+    }];
+  }
+
+  /**
+   * Call the API with a token, logging in when there is none or it expired
+   */
+  async request(method, url, { params, data } = {}) {
+    const token = await this.authorize();
+    const response = await this.http.request({
+      method,
+      url,
+      params,
+      data,
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+
+  async authorize() {
+    if (this.token && Date.now() < this.tokenExpiresAt) {
+      return this.token;
+    }
+    if (!this.loggingIn) {
+      this.loggingIn = this.http.request({
+        method: 'post',
+        url: '/auth/login',
+        data: { email: this.email, password: this.password }
+      }).then(({ data }) => {
+        this.token = data.token;
+        this.tokenExpiresAt = Date.now() + TOKEN_TTL_MS;
+        return data.token;
+      }).finally(() => {
+        this.loggingIn = null;
+      });
+    }
+    return this.loggingIn;
+  }
+}
+
+/**
+ * Address fields of a Shiprocket order, e.g. billing_city, from an address
+ * snapshot
+ */
+function addressFields(prefix, address = {}) {
+  const name = prefix === 'billing' ? 'billing_customer_name' : `${prefix}_customer_name`;
+  return {
+    [name]: address.full_name,
+    [`${prefix}_address`]: address.address_line_1,
+    [`${prefix}_address_2`]: address.address_line_2 || '',
+    [`${prefix}_city`]: address.city,
+    [`${prefix}_state`]: address.state,
+    [`${prefix}_country`]: address.country || 'India',
+    [`${prefix}_pincode`]: address.postal_code,
+    [`${prefix}_phone`]: address.phone
+  };
+}
+
+// Shiprocket reports times in IST, e.g. '2026-10-19 11:59:16'
+function parseIstTime(value) {
+  if (!value) return null;
+  const date = new Date(`${value.replace(' ', 'T')}+05:30`);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+// ...or as '19 10 2026 11:59:16'
+function parseShiprocketTimestamp(value) {
+  const match = /^(\d{2}) (\d{2}) (\d{4}) (\d{2}:\d{2}:\d{2})$/.exec(value || '');
+  return match ? parseIstTime(`${match[3]}-${match[2]}-${match[1]} ${match[4]}`) : null;
+}
+
+export default ShiprocketShippingCarrier;
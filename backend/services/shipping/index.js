@@ -0,0 +1,70 @@
+import { shippingConfig } from '../../config/orders.js';
+import { ShippingCarrier } from './ShippingCarrier.js';
+import LocalShippingCarrier from './LocalShippingCarrier.js';
+import IndiaPostShippingCarrier from './IndiaPostShippingCarrier.js';
+import ShiprocketShippingCarrier from './ShiprocketShippingCarrier.js';
+
+// Carrier name -> carrier class
+const carrierClasses = {
+  local: LocalShippingCarrier,
+  indiapost: IndiaPostShippingCarrier,
+  shiprocket: ShiprocketShippingCarrier
+};
+
+// Shared carrier instances, one per carrier name
+const instances = new Map();
+
+// The local simulator books no real parcels and anyone could send it tracking
+const refusedInProduction = (name) => name === 'local' && process.env.NODE_ENV === 'production';
+
+/**
+ * Whether a shipping carrier with this name is registered and may be used
+ * here
+ */
+export function hasShippingCarrier(name) {
+  return Object.hasOwn(carrierClasses, name) && !refusedInProduction(name);
+}
+
+/**
+ * Register an additional shipping carrier implementation
+ */
+export function registerShippingCarrier(name, CarrierClass) {
+  carrierClasses[name] = CarrierClass;
+  instances.delete(name);
+}
+
+/**
+ * Create a new shipping carrier from config/orders.js plus overrides
+ */
+export function createShippingCarrier(name, overrides = {}) {
+  if (!name) {
+    throw new Error('SHIPPING_CARRIER is not configured');
+  }
+  const CarrierClass = carrierClasses[name];
+  if (!CarrierClass) {
+    throw new Error(`Unknown shipping carrier: ${name}`);
+  }
+  if (refusedInProduction(name)) {
+    throw new Error('The local shipping simulator cannot be used in production');
+  }
+  return new CarrierClass({ ...shippingConfig.carriers[name], ...overrides });
+}
+
+/**
+ * Get the shared carrier instance for a carrier name
+ */
+export function getShippingCarrier(name = shippingConfig.carrier) {
+  if (!instances.has(name)) {
+    instances.set(name, createShippingCarrier(name));
+  }
+  return instances.get(name);
+}
+
+/**
+ * Drop cached carrier instances (used by tests and config reloads)
+ */
+export function resetShippingCarriers() {
+  instances.clear();
+}
+
+export { ShippingCarrier, LocalShippingCarrier, IndiaPostShippingCarrier, ShiprocketShippingCarrier };
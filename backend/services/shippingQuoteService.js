@@ -0,0 +1,144 @@
+import { supabaseAdmin } from '../config/database.js';
+import { shippingConfig } from '../config/orders.js';
+import { httpError } from '../utils/httpError.js';
+import { getShippingCarrier } from './shipping/index.js';
+import { chargeableWeight } from './shipping/ShippingCarrier.js';
+
+const CART_COLUMNS = `
+  quantity,
+  product:products!inner(
+    id, artisan_id, price, weight_grams, dimensions,
+    artisan:artisan_profiles!inner(id, business_name, workshop_pincode, free_shipping_threshold)
+  )
+`;
+
+/**
+ * Shipping quotes for a customer's cart. Each artisan ships their items as
+ * one parcel from their workshop pincode, charged at its actual or
+ * volumetric weight, whichever is higher. The carrier's services are the
+ * service levels on offer; artisans with a free shipping threshold ship free
+ * on the cheapest service once the cart has that much of their items, and
+ * faster services cost the difference.
+ */
+export class ShippingQuoteService {
+  constructor({ client = supabaseAdmin, carriers = getShippingCarrier } = {}) {
+    this.supabase = client;
+    this.carriers = carriers;
+  }
+
+  /**
+   * Quote the user's cart to a pincode, or to one of their addresses (their
+   * default shipping address when neither is given). services picks a
+   * service per artisan ID; artisans left out get their cheapest service.
+   *
+   * Resolves to { toPincode, currency, shippingAmount, artisans: [{
+   * artisanId, artisanName, subtotal, weightGrams, freeShippingThreshold,
+   * freeShipping, services, service, amount, estimatedDays }] }.
+   *
+   * Throws errors with status 400 (no address, or an unknown service) or
+   * 404 (unknown address).
+   */
+  async quoteCart(userId, { addressId, postalCode, services = {} } = {}) {
+    const toPincode = postalCode || await this.findPincode(userId, addressId);
+
+    const { data: cart, error } = await this.supabase
+      .from('carts')
+      .select(CART_COLUMNS)
+      .eq('user_id', userId);
+    if (error) throw error;
+
+    const parcels = new Map();
+    for (const { quantity, product } of cart) {
+      const parcel = parcels.get(product.artisan_id) || {
+        artisan: product.artisan,
+        subtotal: 0,
+        weightGrams: 0
+      };
+      parcel.subtotal += Number(product.price) * quantity;
+      parcel.weightGrams += chargeableWeight(
+        product.weight_grams || shippingConfig.defaultItemWeightGrams,
+        product.dimensions
+      ) * quantity;
+      parcels.set(product.artisan_id, parcel);
+    }
+
+    const carrier = this.carriers();
+    const artisans = await Promise.all([...parcels.entries()].map(async ([artisanId, parcel]) => {
+      const rates = await carrier.quote({
+        fromPincode: parcel.artisan.workshop_pincode,
+        toPincode,
+        weightGrams: parcel.weightGrams
+      });
+      if (rates.length === 0) {
+        throw httpError(409, `${parcel.artisan.business_name} cannot ship to ${toPincode}`);
+      }
+
+      const threshold = parcel.artisan.free_shipping_threshold === null || parcel.artisan.free_shipping_threshold === undefined
+        ? null
+        : Number(parcel.artisan.free_shipping_threshold);
+      const freeShipping = threshold !== null && parcel.subtotal >= threshold;
+
+      const sorted = [...rates].sort((a, b) => a.amount - b.amount);
+      const offered = sorted.map(rate => ({
+        service: rate.service,
+        serviceName: rate.serviceName,
+        amount: roundAmount(freeShipping ? rate.amount - sorted[0].amount : rate.amount),
+        estimatedDays: rate.estimatedDays
+      }));
+
+      const chosen = services[artisanId]
+        ? offered.find(rate => rate.service === services[artisanId])
+        : offered[0];
+      if (!chosen) {
+        throw httpError(400, `Unknown shipping service: ${services[artisanId]}`);
+      }
+
+      return {
+        artisanId,
+        artisanName: parcel.artisan.business_name,
+        subtotal: roundAmount(parcel.subtotal),
+        weightGrams: parcel.weightGrams,
+        freeShippingThreshold: threshold,
+        freeShipping,
+        services: offered,
+        service: chosen.service,
+        amount: chosen.amount,
+        estimatedDays: chosen.estimatedDays
+      };
+    }));
+
+    return {
+      toPincode,
+      currency: 'INR',
+      shippingAmount: roundAmount(artisans.reduce((sum, artisan) => sum + artisan.amount, 0)),
+      artisans
+    };
+  }
+
+  /**
+   * Pincode of one of the user's addresses, or of their default shipping
+   * address when no ID is given
+   */
+  async findPincode(userId, addressId) {
+    let query = this.supabase
+      .from('addresses')
+      .select('postal_code')
+      .eq('user_id', userId);
+
+    query = addressId
+      ? query.eq('id', addressId)
+      : query.eq('type', 'shipping').eq('is_default', true).limit(1);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw addressId ? httpError(404, 'Address not found') : httpError(400, 'Shipping address required');
+    }
+    return data.postal_code;
+  }
+}
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+export default new ShippingQuoteService();
@@ -0,0 +1,60 @@
+import { supabaseAdmin } from '../config/database.js';
+import { recommendationConfig } from '../config/ai.js';
+import { logger } from '../middleware/logging.js';
+
+/**
+ * Periodically recomputes which products the same shoppers ordered,
+ * wishlisted and carted (see refresh_product_similarities), which
+ * recommend_products draws on. Every replica may run one; the database skips
+ * a refresh while another is running.
+ */
+export class SimilarityRefresher {
+  constructor({ client = supabaseAdmin, config = recommendationConfig } = {}) {
+    this.supabase = client;
+    this.config = config;
+    this.timer = null;
+  }
+
+  /**
+   * Refresh now and then every config.refreshIntervalMs, so that a new
+   * deployment does not wait a whole interval for its first similarities
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.refresh(), this.config.refreshIntervalMs);
+    this.timer.unref?.();
+    logger.info('Refreshing product similarities', { intervalMs: this.config.refreshIntervalMs });
+    this.refresh();
+  }
+
+  /**
+   * Recompute similarities once. Returns { pairs, products } written, or null
+   * when another refresh was running or this one failed.
+   */
+  async refresh() {
+    try {
+      const { data, error } = await this.supabase.rpc('refresh_product_similarities', {
+        p_lookback_days: this.config.lookbackDays,
+        p_min_shoppers: this.config.minShoppers,
+        p_max_per_product: this.config.maxPerProduct
+      });
+      if (error) throw error;
+
+      if (data) {
+        logger.info('Refreshed product similarities', data);
+      }
+      return data;
+    } catch (error) {
+      logger.error('Failed to refresh product similarities', { error: error.message });
+      return null;
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const similarityRefresher = new SimilarityRefresher();
+export default similarityRefresher;
@@ -0,0 +1,204 @@
+import { supabaseAdmin } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+
+// GST state codes of the states and union territories, by name
+const GST_STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  'punjab': '03',
+  'chandigarh': '04',
+  'uttarakhand': '05',
+  'uttaranchal': '05',
+  'haryana': '06',
+  'delhi': '07',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'rajasthan': '08',
+  'uttar pradesh': '09',
+  'bihar': '10',
+  'sikkim': '11',
+  'arunachal pradesh': '12',
+  'nagaland': '13',
+  'manipur': '14',
+  'mizoram': '15',
+  'tripura': '16',
+  'meghalaya': '17',
+  'assam': '18',
+  'west bengal': '19',
+  'jharkhand': '20',
+  'odisha': '21',
+  'orissa': '21',
+  'chhattisgarh': '22',
+  'madhya pradesh': '23',
+  'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'maharashtra': '27',
+  'karnataka': '29',
+  'goa': '30',
+  'lakshadweep': '31',
+  'kerala': '32',
+  'tamil nadu': '33',
+  'puducherry': '34',
+  'pondicherry': '34',
+  'andaman and nicobar islands': '35',
+  'telangana': '36',
+  'andhra pradesh': '37',
+  'ladakh': '38'
+};
+
+const CART_COLUMNS = `
+  quantity,
+  product:products!inner(
+    id, artisan_id, price, gst_rate,
+    category:categories!inner(gst_rate),
+    artisan:artisan_profiles!inner(id, business_name, workshop_state)
+  )
+`;
+
+/**
+ * GST state code of a state name as written in an address, e.g. '27' for
+ * 'Maharashtra'; null when it is not recognised
+ */
+export function gstStateCode(state) {
+  if (!state) return null;
+  const name = String(state).toLowerCase().replace(/&/g, ' and ').replace(/[^a-z]+/g, ' ').trim();
+  return GST_STATE_CODES[name] ?? null;
+}
+
+/**
+ * Sales within one state are taxed as CGST + SGST, sales across states (or
+ * from a seller whose state is not known) as IGST
+ */
+export function supplyType(sellerState, buyerState) {
+  const seller = gstStateCode(sellerState);
+  return seller && seller === gstStateCode(buyerState) ? 'intra_state' : 'inter_state';
+}
+
+/**
+ * Split GST-inclusive amounts into taxable value and tax. lines are
+ * [{ amount, gstRate, ...rest }] with amount the price paid including GST;
+ * each comes back with taxableAmount, cgstAmount, sgstAmount and igstAmount
+ * added, alongside the totals.
+ */
+export function gstBreakdown(lines, type) {
+  const taxed = lines.map(line => {
+    const amount = roundAmount(line.amount);
+    const taxableAmount = roundAmount(amount * 100 / (100 + line.gstRate));
+    const tax = roundAmount(amount - taxableAmount);
+    const cgstAmount = type === 'intra_state' ? roundAmount(tax / 2) : 0;
+
+    return {
+      ...line,
+      amount,
+      taxableAmount,
+      cgstAmount,
+      sgstAmount: type === 'intra_state' ? roundAmount(tax - cgstAmount) : 0,
+      igstAmount: type === 'intra_state' ? 0 : tax
+    };
+  });
+
+  const total = key => roundAmount(taxed.reduce((sum, line) => sum + line[key], 0));
+  return {
+    supplyType: type,
+    lines: taxed,
+    taxableAmount: total('taxableAmount'),
+    cgstAmount: total('cgstAmount'),
+    sgstAmount: total('sgstAmount'),
+    igstAmount: total('igstAmount'),
+    taxAmount: roundAmount(total('cgstAmount') + total('sgstAmount') + total('igstAmount')),
+    totalAmount: total('amount')
+  };
+}
+
+/**
+ * GST on carts. Listed prices include GST at the product's slab, or else its
+ * category's; whether that is CGST + SGST or IGST depends on the artisan's
+ * workshop state and the state the order ships to.
+ */
+export class TaxService {
+  constructor({ client = supabaseAdmin } = {}) {
+    this.supabase = client;
+  }
+
+  /**
+   * The GST included in the user's cart when shipped to one of their
+   * addresses (their default shipping address when no ID is given).
+   *
+   * Resolves to { placeOfSupply, currency, taxableAmount, taxAmount,
+   * artisans: [{ artisanId, artisanName, supplyType, taxableAmount,
+   * cgstAmount, sgstAmount, igstAmount, taxAmount }] }.
+   *
+   * Throws errors with status 400 (no address) or 404 (unknown address).
+   */
+  async quoteCart(userId, { addressId } = {}) {
+    const placeOfSupply = await this.findState(userId, addressId);
+
+    const { data: cart, error } = await this.supabase
+      .from('carts')
+      .select(CART_COLUMNS)
+      .eq('user_id', userId);
+    if (error) throw error;
+
+    const sellers = new Map();
+    for (const { quantity, product } of cart) {
+      const seller = sellers.get(product.artisan_id) || { artisan: product.artisan, lines: [] };
+      seller.lines.push({
+        amount: Number(product.price) * quantity,
+        gstRate: Number(product.gst_rate ?? product.category.gst_rate)
+      });
+      sellers.set(product.artisan_id, seller);
+    }
+
+    const artisans = [...sellers.entries()].map(([artisanId, { artisan, lines }]) => {
+      const tax = gstBreakdown(lines, supplyType(artisan.workshop_state, placeOfSupply));
+      return {
+        artisanId,
+        artisanName: artisan.business_name,
+        supplyType: tax.supplyType,
+        taxableAmount: tax.taxableAmount,
+        cgstAmount: tax.cgstAmount,
+        sgstAmount: tax.sgstAmount,
+        igstAmount: tax.igstAmount,
+        taxAmount: tax.taxAmount
+      };
+    });
+
+    const total = key => roundAmount(artisans.reduce((sum, artisan) => sum + artisan[key], 0));
+    return {
+      placeOfSupply,
+      currency: 'INR',
+      taxableAmount: total('taxableAmount'),
+      taxAmount: total('taxAmount'),
+      artisans
+    };
+  }
+
+  /**
+   * State of one of the user's addresses, or of their default shipping
+   * address when no ID is given
+   */
+  async findState(userId, addressId) {
+    let query = this.supabase
+      .from('addresses')
+      .select('state')
+      .eq('user_id', userId);
+
+    query = addressId
+      ? query.eq('id', addressId)
+      : query.eq('type', 'shipping').eq('is_default', true).limit(1);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      throw addressId ? httpError(404, 'Address not found') : httpError(400, 'Shipping address required');
+    }
+    return data.state;
+  }
+}
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+export default new TaxService();
@@ -0,0 +1,267 @@
+/**
+ * Agent Action Tests
+ *
+ * Tests for the per-agent action registries behind
+ * POST /api/agents/:agentType/actions/:action, and the analysis actions
+ * that read from Supabase.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock Supabase: every query builder call chains, awaiting it yields
+// mockResult and maybeSingle (the caller's profile) yields mockProfile
+let mockResult = { data: [], error: null };
+let mockProfile = null;
+const mockQuery = {};
+['select', 'eq', 'gte', 'lte', 'order', 'limit', 'in'].forEach(method => {
+  mockQuery[method] = jest.fn(() => mockQuery);
+});
+mockQuery.insert = jest.fn(() => Promise.resolve({ data: [], error: null }));
+mockQuery.maybeSingle = jest.fn(() => Promise.resolve({ data: mockProfile, error: null }));
+mockQuery.then = (resolve, reject) => Promise.resolve(mockResult).then(resolve, reject);
+
+const mockSupabase = {
+  from: jest.fn(() => mockQuery)
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const timeframe = {
+  start: '2026-09-01T00:00:00.000Z',
+  end: '2026-09-30T23:59:59.000Z'
+};
+
+describe('Agent Actions', () => {
+  let AgentManager;
+  let ArtisanAssistantAgent;
+  let CustomerSupportAgent;
+  let OrderProcessingAgent;
+  let FixtureProvider;
+  let fixturesDir;
+
+  beforeAll(async () => {
+    ({ AgentManager } = await import('../api/agentManager.js'));
+    ({ ArtisanAssistantAgent } = await import('../agents/ArtisanAssistantAgent.js'));
+    ({ CustomerSupportAgent } = await import('../agents/CustomerSupportAgent.js'));
+    ({ OrderProcessingAgent } = await import('../agents/OrderProcessingAgent.js'));
+    ({ FixtureProvider } = await import('../services/llm/index.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResult = { data: [], error: null };
+    mockProfile = null;
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-actions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  describe('Registry', () => {
+    test('should describe every agent action with a JSON schema', () => {
+      const actions = AgentManager.describeActions();
+
+      expect(Object.keys(actions)).toEqual(Object.keys(AgentManager.agentTypes));
+      Object.values(actions).forEach(list => {
+        expect(list.map(action => action.name)).toContain('query');
+      });
+
+      const suggestPricing = actions['market-analyzer'].find(action => action.name === 'suggestPricing');
+      expect(suggestPricing).toMatchObject({
+        roles: ['artisan', 'admin'],
+        inputSchema: {
+          type: 'object',
+          required: ['productData', 'marketContext']
+        }
+      });
+      expect(suggestPricing.inputSchema.properties.productData.properties.materials)
+        .toEqual({ type: 'array', items: { type: 'string' } });
+    });
+
+    test('should validate input and apply defaults', () => {
+      const input = ArtisanAssistantAgent.parseActionInput('optimizeListing', {
+        productId: '3f1c2b7e-8a4d-4c2e-9b1a-5d6e7f8a9b0c'
+      });
+
+      expect(input.goals).toEqual({ title: true, description: true, tags: true });
+      expect(() => ArtisanAssistantAgent.parseActionInput('optimizeListing', { productId: 'nope' }))
+        .toThrow('Invalid uuid');
+      expect(() => ArtisanAssistantAgent.parseActionInput('constructor', {}))
+        .toThrow('Unknown action');
+    });
+
+    test('should limit actions to their roles', () => {
+      expect(ArtisanAssistantAgent.canRunAction('suggestPricing', 'artisan')).toBe(true);
+      expect(ArtisanAssistantAgent.canRunAction('suggestPricing', 'customer')).toBe(false);
+      expect(ArtisanAssistantAgent.canRunAction('query', 'customer')).toBe(true);
+      expect(OrderProcessingAgent.canRunAction('processOrder', 'artisan')).toBe(false);
+      expect(OrderProcessingAgent.canRunAction('missing', 'admin')).toBe(false);
+    });
+
+    test('should dispatch actions onto agent methods', async () => {
+      const agent = new CustomerSupportAgent();
+      agent.getFAQResponse = jest.fn().mockResolvedValue({ success: true, response: 'Within 7 days' });
+
+      const result = await agent.runAction('getFAQResponse', { question: 'Return window?' });
+
+      expect(agent.getFAQResponse).toHaveBeenCalledWith('Return window?');
+      expect(result.response).toBe('Within 7 days');
+    });
+  });
+
+  describe('analyzePerformance', () => {
+    test('should compute order metrics before asking the model', async () => {
+      mockResult = {
+        data: [
+          { order_id: 'o1', product_id: 'p1', product_title: 'Madhubani Painting', quantity: 2, total_price: '3000.00', orders: { status: 'delivered' } },
+          { order_id: 'o1', product_id: 'p2', product_title: 'Brass Diya', quantity: 1, total_price: '500.00', orders: { status: 'delivered' } },
+          { order_id: 'o2', product_id: 'p2', product_title: 'Brass Diya', quantity: 3, total_price: '1500.00', orders: { status: 'shipped' } },
+          { order_id: 'o3', product_id: 'p1', product_title: 'Madhubani Painting', quantity: 1, total_price: '1500.00', orders: { status: 'cancelled' } }
+        ],
+        error: null
+      };
+      const agent = new OrderProcessingAgent();
+      agent.provider = new FixtureProvider({ fixturesDir });
+
+      const result = await agent.runAction('analyzePerformance', {
+        artisanId: '3f1c2b7e-8a4d-4c2e-9b1a-5d6e7f8a9b0c',
+        timeframe
+      });
+
+      expect(mockSupabase.from).toHaveBeenCalledWith('order_items');
+      expect(mockQuery.eq).toHaveBeenCalledWith('artisan_id', '3f1c2b7e-8a4d-4c2e-9b1a-5d6e7f8a9b0c');
+      expect(result.metrics).toEqual({
+        orderCount: 3,
+        unitsSold: 6,
+        revenue: 5000,
+        averageOrderValue: 2500,
+        cancellationRate: 33.3,
+        statusBreakdown: { delivered: 1, shipped: 1, cancelled: 1 },
+        topProducts: [
+          { productId: 'p1', title: 'Madhubani Painting', unitsSold: 2, revenue: 3000 },
+          { productId: 'p2', title: 'Brass Diya', unitsSold: 4, revenue: 2000 }
+        ]
+      });
+      expect(result.recommendations[0].priority).toBe('low');
+    });
+  });
+
+  describe('analyzeFeedback', () => {
+    test('should skip the model when there are no reviews', async () => {
+      const agent = new CustomerSupportAgent();
+      agent.generateStructuredResponse = jest.fn();
+
+      const result = await agent.runAction('analyzeFeedback', {
+        productId: '3f1c2b7e-8a4d-4c2e-9b1a-5d6e7f8a9b0c',
+        timeframe
+      });
+
+      expect(mockSupabase.from).toHaveBeenCalledWith('product_reviews');
+      expect(mockQuery.gte).toHaveBeenCalledWith('created_at', timeframe.start);
+      expect(agent.generateStructuredResponse).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ reviewCount: 0, averageRating: null, themes: [] });
+    });
+
+    test('should analyse reviews passed in directly', async () => {
+      const agent = new CustomerSupportAgent();
+      agent.provider = new FixtureProvider({ fixturesDir });
+
+      const result = await agent.runAction('analyzeFeedback', {
+        reviews: [
+          { rating: 5, review_text: 'Beautiful colours' },
+          { rating: 4, review_text: 'Took a while to arrive' }
+        ]
+      });
+
+      expect(mockSupabase.from).not.toHaveBeenCalledWith('product_reviews');
+      expect(result).toMatchObject({ reviewCount: 2, averageRating: 4.5 });
+      expect(result.themes[0].sentiment).toBe('positive');
+    });
+  });
+
+  describe('Artisan scope', () => {
+    const ownArtisanId = '3f1c2b7e-8a4d-4c2e-9b1a-5d6e7f8a9b0c';
+    const otherArtisanId = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+    const context = { userId: 'artisan-user-1' };
+
+    beforeEach(() => {
+      mockProfile = { role: 'artisan', artisan: [{ id: ownArtisanId }] };
+    });
+
+    test('should refuse an artisan another artisan\'s figures', async () => {
+      const orders = new OrderProcessingAgent();
+      const insights = new ArtisanAssistantAgent();
+      const feedback = new CustomerSupportAgent();
+      orders.generateStructuredResponse = jest.fn();
+      insights.generateStructuredResponse = jest.fn();
+      feedback.generateStructuredResponse = jest.fn();
+
+      await expect(orders.runAction('analyzePerformance', { artisanId: otherArtisanId, timeframe }, context))
+        .rejects.toThrow('Artisan not found');
+      await expect(insights.runAction('getBusinessInsights', { artisanId: otherArtisanId, timeframe }, context))
+        .rejects.toThrow('Artisan not found');
+      await expect(feedback.runAction('analyzeFeedback', { artisanId: otherArtisanId, timeframe }, context))
+        .rejects.toThrow('Artisan not found');
+
+      expect(mockSupabase.from.mock.calls.map(([table]) => table)).toEqual(['user_profiles', 'user_profiles', 'user_profiles']);
+      expect(mockQuery.eq).toHaveBeenCalledWith('id', 'artisan-user-1');
+    });
+
+    test('should scope artisans to their own shop when they name none', async () => {
+      const agent = new OrderProcessingAgent();
+      agent.provider = new FixtureProvider({ fixturesDir });
+
+      await agent.runAction('analyzePerformance', { timeframe }, context);
+
+      expect(mockQuery.eq).toHaveBeenCalledWith('artisan_id', ownArtisanId);
+    });
+
+    test('should refuse users without a shop', async () => {
+      mockProfile = { role: 'artisan', artisan: [] };
+      const agent = new CustomerSupportAgent();
+
+      await expect(agent.runAction('analyzeFeedback', { productId: ownArtisanId, timeframe }, context))
+        .rejects.toThrow('Artisan not found');
+    });
+
+    test('should let admins analyse the whole platform or any artisan', async () => {
+      mockProfile = { role: 'admin', artisan: [] };
+      const agent = new OrderProcessingAgent();
+      agent.provider = new FixtureProvider({ fixturesDir });
+
+      await agent.runAction('analyzePerformance', { timeframe }, { userId: 'admin-user-1' });
+      expect(mockQuery.eq).not.toHaveBeenCalledWith('artisan_id', expect.anything());
+
+      await agent.runAction('analyzePerformance', { artisanId: otherArtisanId, timeframe }, { userId: 'admin-user-1' });
+      expect(mockQuery.eq).toHaveBeenCalledWith('artisan_id', otherArtisanId);
+    });
+  });
+
+  describe('Gemini schemas', () => {
+    test('should drop JSON schema keywords Gemini rejects', async () => {
+      const { toGeminiSchema } = await import('../services/llm/GeminiProvider.js');
+
+      expect(toGeminiSchema({
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          tags: { type: 'array', items: { type: 'string', default: 'x' }, minItems: 1 }
+        },
+        required: ['tags']
+      })).toEqual({
+        type: 'object',
+        properties: {
+          tags: { type: 'array', items: { type: 'string' }, minItems: 1 }
+        },
+        required: ['tags']
+      });
+    });
+  });
+});
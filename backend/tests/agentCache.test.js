@@ -0,0 +1,289 @@
+/**
+ * Agent Response Cache Tests
+ *
+ * Tests for the cache stores, normalized cache keys, per-action TTLs and
+ * tags, tagging of tool answers and invalidation on catalog changes.
+ */
+
+import { jest } from '@jest/globals';
+
+// Chainable Supabase query builder that resolves to the next queued result
+const queryResults = [];
+const mockInsert = jest.fn(() => Promise.resolve({ data: [], error: null }));
+
+const queryBuilder = () => {
+  const builder = {};
+  ['select', 'eq', 'neq', 'or', 'ilike', 'gte', 'lte', 'gt', 'overlaps', 'in', 'order', 'limit', 'range'].forEach(method => {
+    builder[method] = jest.fn(() => builder);
+  });
+  builder.maybeSingle = jest.fn(() => builder);
+  builder.single = jest.fn(() => builder);
+  builder.then = (resolve, reject) =>
+    Promise.resolve(queryResults.shift() || { data: [], error: null }).then(resolve, reject);
+  builder.insert = mockInsert;
+  return builder;
+};
+
+const mockSupabase = {
+  from: jest.fn(() => queryBuilder()),
+  rpc: jest.fn(() => Promise.resolve({ data: [], error: null }))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const productId = '3f1c2b6e-8a4d-4c1e-9f2a-1b2c3d4e5f60';
+const artisanId = '7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c0d';
+const similarProductId = '5d6e7f80-9a1b-4c2d-8e3f-4a5b6c7d8e9f';
+
+const monitoringDouble = () => ({
+  trackCacheRequest: jest.fn(),
+  trackCacheInvalidation: jest.fn()
+});
+
+/**
+ * Provider double that replays a scripted list of responses
+ */
+const scriptedProvider = (...responses) => ({
+  name: 'scripted',
+  displayName: 'Scripted',
+  defaultModel: 'test-model',
+  generate: jest.fn(async () => responses.shift() || { text: 'done', toolCalls: [] })
+});
+
+describe('Agent Response Cache', () => {
+  let MemoryCacheStore;
+  let RedisCacheStore;
+  let cacheKey;
+  let tagsForChange;
+  let CacheInvalidator;
+  let BaseAgent;
+  let ProductRecommendationAgent;
+  let CustomerSupportAgent;
+
+  beforeAll(async () => {
+    ({ MemoryCacheStore, RedisCacheStore } = await import('../services/cache/index.js'));
+    ({ cacheKey } = await import('../utils/cacheKey.js'));
+    ({ tagsForChange, CacheInvalidator } = await import('../services/cacheInvalidation.js'));
+    ({ default: BaseAgent } = await import('../agents/BaseAgent.js'));
+    ({ ProductRecommendationAgent } = await import('../agents/ProductRecommendationAgent.js'));
+    ({ CustomerSupportAgent } = await import('../agents/CustomerSupportAgent.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queryResults.length = 0;
+  });
+
+  describe('Stores and keys', () => {
+    test('should drop only the entries carrying an invalidated tag', async () => {
+      const cache = new MemoryCacheStore({ monitoring: monitoringDouble() });
+      await cache.set('content-optimizer:text:a', 'Kantha stoles', { ttl: 60, tags: ['catalog', `product:${productId}`] });
+      await cache.set('content-optimizer:text:b', 'Pattachitra story', { ttl: 60, tags: ['agent:content-optimizer'] });
+
+      await expect(cache.invalidateTags([`product:${productId}`])).resolves.toBe(1);
+
+      await expect(cache.get('content-optimizer:text:a')).resolves.toBeUndefined();
+      await expect(cache.get('content-optimizer:text:b')).resolves.toBe('Pattachitra story');
+      await expect(cache.invalidateTags(['catalog'])).resolves.toBe(0);
+      expect(cache.monitoring.trackCacheRequest).toHaveBeenCalledWith('memory', 'content-optimizer', false);
+      expect(cache.monitoring.trackCacheRequest).toHaveBeenCalledWith('memory', 'content-optimizer', true);
+      expect(cache.monitoring.trackCacheInvalidation).toHaveBeenCalledWith('memory', `product:${productId}`, 1);
+    });
+
+    test('should share keys between prompts that differ only in formatting', () => {
+      const key = cacheKey('market-analyzer', 'text', { model: 'm', messages: [{ role: 'user', content: 'Price  my\n Dhokra horse' }] });
+
+      expect(key).toMatch(/^market-analyzer:text:[0-9a-f]{64}$/);
+      expect(cacheKey('market-analyzer', 'text', { messages: [{ content: ' Price my Dhokra horse', role: 'user' }], model: 'm' }))
+        .toBe(key);
+      expect(cacheKey('market-analyzer', 'text', { model: 'm', messages: [{ role: 'user', content: 'Price my Bidri vase' }] }))
+        .not.toBe(key);
+    });
+
+    test('should store entries and tag sets in Redis under the key prefix', async () => {
+      const commands = [];
+      const transaction = new Proxy({}, {
+        get: (target, command) => command === 'exec'
+          ? async () => [1]
+          : (...args) => {
+            commands.push([command, ...args]);
+            return transaction;
+          }
+      });
+      const client = {
+        isOpen: true,
+        isReady: true,
+        get: jest.fn(async () => JSON.stringify({ text: 'cached' })),
+        sMembers: jest.fn(async () => ['content-optimizer:text:a']),
+        multi: () => transaction
+      };
+      const cache = new RedisCacheStore({ client, keyPrefix: 'artomart:ai:', monitoring: monitoringDouble() });
+
+      await cache.set('content-optimizer:text:a', { text: 'cached' }, { ttl: 900, tags: ['catalog'] });
+      expect(commands.slice(0, 4)).toEqual([
+        ['set', 'artomart:ai:content-optimizer:text:a', '{"text":"cached"}', { EX: 900 }],
+        ['sAdd', 'artomart:ai:tag:catalog', 'content-optimizer:text:a'],
+        ['expire', 'artomart:ai:tag:catalog', 900, 'NX'],
+        ['expire', 'artomart:ai:tag:catalog', 900, 'GT']
+      ]);
+
+      await expect(cache.get('content-optimizer:text:a')).resolves.toEqual({ text: 'cached' });
+      await expect(cache.invalidateTags(['catalog'])).resolves.toBe(1);
+      expect(commands).toContainEqual(['del', ['artomart:ai:content-optimizer:text:a']]);
+      expect(commands).toContainEqual(['del', 'artomart:ai:tag:catalog']);
+    });
+
+    test('should treat Redis failures as misses', async () => {
+      const client = { isOpen: true, isReady: true, get: jest.fn(async () => { throw new Error('ECONNREFUSED'); }) };
+      const cache = new RedisCacheStore({ client, monitoring: monitoringDouble() });
+
+      await expect(cache.get('customer-support:text:a')).resolves.toBeUndefined();
+    });
+
+    test('should export cache lookups to /metrics', async () => {
+      const { default: backendMonitoring } = await import('../middleware/monitoring.js');
+      const prometheus = await import('prom-client');
+      const cache = new MemoryCacheStore({ monitoring: backendMonitoring });
+
+      await cache.get('customer-insights:structured:missing');
+
+      const metric = await prometheus.register.getSingleMetricAsString('ai_cache_requests_total');
+      expect(metric).toContain('ai_cache_requests_total{backend="memory",agent_type="customer-insights",result="miss"} 1');
+    });
+  });
+
+  describe('Agents', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new MemoryCacheStore({ monitoring: monitoringDouble() });
+      jest.spyOn(cache, 'set');
+    });
+
+    test('should cache with the TTL and tags of the running action', async () => {
+      const agent = new ProductRecommendationAgent();
+      agent.cache = cache;
+      agent.provider = scriptedProvider({ text: 'Similar: two Kantha stoles', toolCalls: [] });
+      queryResults.push(
+        { data: { id: productId, title: 'Kantha stole', categories: { name: 'Textiles' } }, error: null },
+        { data: [{ id: similarProductId, title: 'Kantha dupatta', categories: { name: 'Textiles' } }], error: null }
+      );
+      mockSupabase.rpc.mockResolvedValueOnce({ data: [{ id: similarProductId, score: 0.8, reason: 'similar' }], error: null });
+
+      await agent.runAction('getSimilarProducts', { productId, limit: 3 });
+
+      expect(cache.set).toHaveBeenCalledWith(expect.stringMatching(/^content-optimizer:/), expect.anything(), {
+        ttl: 1800,
+        tags: ['agent:content-optimizer', 'catalog', `product:${productId}`]
+      });
+    });
+
+    test('should not cache actions declared with cache: false', async () => {
+      const agent = new CustomerSupportAgent();
+      agent.cache = cache;
+      agent.provider = scriptedProvider(
+        { text: 'Your order ships tomorrow.', toolCalls: [] },
+        { text: '{"needsEscalation": false}', toolCalls: [] }
+      );
+
+      await agent.runAction('handleSupportQuery', { query: 'When does my order ship?' }, { userId: 'customer-1' });
+
+      expect(cache.set).not.toHaveBeenCalled();
+    });
+
+    test('should tag tool answers with the data they used and drop them when it changes', async () => {
+      const agent = new ProductRecommendationAgent();
+      agent.cache = cache;
+      const answerFromTool = () => [
+        { text: '', toolCalls: [{ id: 'call_1', name: 'getProduct', arguments: { productId } }] },
+        { text: 'This Kantha stole is hand-stitched in Bolpur.', toolCalls: [] }
+      ];
+      const productRow = {
+        data: {
+          id: productId,
+          title: 'Kantha stole',
+          price: '2400',
+          stock_quantity: 3,
+          artisan_profiles: { id: artisanId, business_name: 'Bolpur Kantha Collective' },
+          product_reviews: []
+        },
+        error: null
+      };
+      agent.provider = scriptedProvider(...answerFromTool(), ...answerFromTool());
+      queryResults.push(productRow, productRow);
+      const messages = [{ role: 'user', content: 'Tell me about this stole' }];
+
+      const first = await agent.generateWithTools(messages);
+      const second = await agent.generateWithTools(messages);
+
+      expect(first.cacheTags).toEqual([`product:${productId}`, `artisan:${artisanId}`]);
+      expect(second.__cached).toBe(true);
+      expect(agent.provider.generate).toHaveBeenCalledTimes(2);
+
+      // A price edit arrives over Realtime
+      const invalidator = new CacheInvalidator({ client: mockSupabase, cache });
+      await expect(invalidator.handleChange({
+        table: 'products',
+        eventType: 'UPDATE',
+        new: { id: productId, artisan_id: artisanId, price: 2200 },
+        old: {}
+      })).resolves.toBe(1);
+
+      const third = await agent.generateWithTools(messages);
+      expect(third.__cached).toBeUndefined();
+      expect(agent.provider.generate).toHaveBeenCalledTimes(4);
+    });
+
+    test('should not cache answers that read order status', async () => {
+      const agent = new CustomerSupportAgent();
+      agent.cache = cache;
+      agent.provider = scriptedProvider(
+        { text: '', toolCalls: [{ id: 'call_1', name: 'getOrderStatus', arguments: {} }] },
+        { text: 'It shipped yesterday.', toolCalls: [] }
+      );
+
+      const answer = await agent.generateWithTools([{ role: 'user', content: 'Where is my order?' }], { userId: 'customer-1' });
+
+      expect(answer.cacheTags).toBeNull();
+      expect(cache.set).not.toHaveBeenCalled();
+    });
+
+    test('should clear only the agent\'s own entries', async () => {
+      const agent = new BaseAgent('market-analyzer');
+      agent.cache = cache;
+      await cache.set('market-analyzer:text:a', 'x', { tags: ['agent:market-analyzer'] });
+      await cache.set('customer-support:text:a', 'y', { tags: ['agent:customer-support'] });
+
+      await agent.clearCache();
+
+      await expect(cache.get('market-analyzer:text:a')).resolves.toBeUndefined();
+      await expect(cache.get('customer-support:text:a')).resolves.toBe('y');
+    });
+  });
+
+  describe('Invalidation', () => {
+    test('should map catalog changes onto cache tags', () => {
+      expect(tagsForChange('products', { new: { id: productId, artisan_id: artisanId }, old: {} }))
+        .toEqual(['catalog', `product:${productId}`, `artisan:${artisanId}`]);
+      expect(tagsForChange('products', { new: {}, old: { id: productId, artisan_id: artisanId } }))
+        .toEqual(['catalog', `product:${productId}`, `artisan:${artisanId}`]);
+      expect(tagsForChange('artisan_profiles', { new: { id: artisanId }, old: {} })).toEqual([`artisan:${artisanId}`]);
+      expect(tagsForChange('orders', { new: { id: 'o1' } })).toEqual([]);
+    });
+
+    test('should subscribe to product and artisan profile changes', () => {
+      const channel = { on: jest.fn(() => channel), subscribe: jest.fn() };
+      const client = { channel: jest.fn(() => channel) };
+      const invalidator = new CacheInvalidator({ client, cache: new MemoryCacheStore({ monitoring: monitoringDouble() }) });
+
+      invalidator.start();
+
+      expect(channel.on).toHaveBeenCalledWith('postgres_changes', { event: '*', schema: 'public', table: 'products' }, expect.any(Function));
+      expect(channel.on).toHaveBeenCalledWith('postgres_changes', { event: '*', schema: 'public', table: 'artisan_profiles' }, expect.any(Function));
+      expect(channel.subscribe).toHaveBeenCalledTimes(1);
+    });
+  });
+});
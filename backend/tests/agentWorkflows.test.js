@@ -0,0 +1,214 @@
+/**
+ * Agent Workflow Tests
+ *
+ * Tests for multi-step workflows in AgentManager: step dependencies,
+ * parallel steps, branching, progress events, retries and cancellation.
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock Supabase
+const mockSupabase = {
+  from: jest.fn(() => ({
+    insert: jest.fn(() => Promise.resolve({ data: [], error: null }))
+  }))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const memoryStore = () => ({
+  create: jest.fn(async () => {}),
+  update: jest.fn(async () => {}),
+  get: jest.fn(async () => null),
+  listPending: jest.fn(async () => []),
+  listForUser: jest.fn(async () => ({ tasks: [], total: 0 })),
+  getStats: jest.fn(async () => [])
+});
+
+const listingContent = {
+  title: 'Madhubani Fish Painting',
+  description: 'Hand-painted on handmade paper',
+  shortDescription: 'Madhubani painting',
+  tags: ['madhubani'],
+  culturalStory: 'From Mithila',
+  specifications: [],
+  seoMetadata: { metaTitle: 'Madhubani', metaDescription: 'Art', focusKeywords: ['mithila art'] }
+};
+
+const seoResult = {
+  analysis: { currentScore: 60, improvements: [] },
+  optimized: {
+    title: 'Handmade Madhubani Fish Painting',
+    description: 'Authentic Mithila art, hand-painted',
+    headers: [],
+    content: 'Authentic Mithila art',
+    keywords: []
+  },
+  technical: { structuredData: {} }
+};
+
+const workflowInput = {
+  product: { title: 'Fish Painting', description: 'Madhubani art', materials: ['paper'] },
+  keywords: ['madhubani'],
+  marketContext: { category: 'Paintings', region: 'Bihar' }
+};
+
+/**
+ * Flush pending promise callbacks
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Agent Workflows', () => {
+  let AgentManager;
+  let WorkflowStatus;
+  let manager;
+  let artisan;
+  let content;
+  let progress;
+
+  beforeAll(async () => {
+    ({ AgentManager, WorkflowStatus } = await import('../api/agentManager.js'));
+  });
+
+  beforeEach(async () => {
+    manager = new AgentManager({ maxConcurrency: 2, taskTimeoutMs: 1000, store: memoryStore() });
+    await manager.startAgent('market-analyzer');
+    await manager.startAgent('customer-insights');
+
+    artisan = manager.agents.get('market-analyzer');
+    content = manager.agents.get('customer-insights');
+    artisan.generateListingContent = jest.fn().mockResolvedValue(listingContent);
+    artisan.suggestPricing = jest.fn().mockResolvedValue({ recommendedPrice: 2400 });
+    content.optimizeForSEO = jest.fn().mockResolvedValue(seoResult);
+
+    progress = [];
+    manager.on('agent-task-progress', event => {
+      if (event.type === 'workflow') progress.push(event);
+    });
+  });
+
+  afterEach(async () => {
+    await manager.stopAllAgents();
+  });
+
+  test('should describe workflows with their step graph', () => {
+    const [listingLaunch] = AgentManager.describeWorkflows();
+
+    expect(listingLaunch).toMatchObject({
+      name: 'listingLaunch',
+      roles: ['artisan', 'admin'],
+      inputSchema: { type: 'object', required: ['product'] }
+    });
+    expect(listingLaunch.steps).toEqual([
+      { id: 'content', agentType: 'market-analyzer', action: 'generateListingContent', dependsOn: [], conditional: false },
+      { id: 'seo', agentType: 'customer-insights', action: 'optimizeForSEO', dependsOn: ['content'], conditional: false },
+      { id: 'pricing', agentType: 'market-analyzer', action: 'suggestPricing', dependsOn: [], conditional: true }
+    ]);
+  });
+
+  test('should only reference known actions and earlier steps', () => {
+    Object.values(AgentManager.workflows).forEach(workflow => {
+      const seen = new Set();
+      workflow.steps.forEach(step => {
+        const AgentClass = AgentManager.agentTypes[AgentManager.agentAliases[step.agent] || step.agent];
+        expect(AgentClass.getAction(step.action)).not.toBeNull();
+        (step.dependsOn || []).forEach(id => expect(seen.has(id)).toBe(true));
+        seen.add(step.id);
+      });
+    });
+  });
+
+  test('should pass outputs to later steps and run independent steps in parallel', async () => {
+    let finishContent;
+    artisan.generateListingContent.mockReturnValue(new Promise(resolve => { finishContent = resolve; }));
+
+    const run = manager.startWorkflow('listingLaunch', workflowInput, { userId: 'artisan-1' });
+    await settle();
+
+    expect(run.status).toBe(WorkflowStatus.RUNNING);
+    expect(artisan.suggestPricing).toHaveBeenCalled();
+    expect(content.optimizeForSEO).not.toHaveBeenCalled();
+
+    finishContent(listingContent);
+    const finished = await manager.waitForWorkflow(run.id);
+
+    expect(content.optimizeForSEO).toHaveBeenCalledWith(
+      'Hand-painted on handmade paper',
+      ['madhubani', 'mithila art'],
+      'marketplace'
+    );
+    expect(finished).toMatchObject({
+      status: WorkflowStatus.COMPLETED,
+      progress: 100,
+      result: {
+        listing: { title: 'Handmade Madhubani Fish Painting', tags: ['madhubani'] },
+        pricing: { recommendedPrice: 2400 }
+      }
+    });
+    expect(progress.at(-1)).toMatchObject({ workflowId: run.id, userId: 'artisan-1', progress: 100 });
+    expect(progress.filter(event => event.step?.status === 'completed').map(event => event.step.id).sort())
+      .toEqual(['content', 'pricing', 'seo']);
+  });
+
+  test('should skip steps whose branch condition is false', async () => {
+    const { marketContext, ...input } = workflowInput;
+
+    const run = manager.startWorkflow('listingLaunch', input);
+    const finished = await manager.waitForWorkflow(run.id);
+
+    expect(artisan.suggestPricing).not.toHaveBeenCalled();
+    expect(finished.steps.pricing.status).toBe('skipped');
+    expect(finished.result.pricing).toBeNull();
+  });
+
+  test('should retry only the failed steps', async () => {
+    content.optimizeForSEO.mockRejectedValueOnce(new Error('Model overloaded'));
+    const errors = [];
+    manager.on('agent-error', event => errors.push(event));
+
+    const run = manager.startWorkflow('listingLaunch', workflowInput);
+    const failed = await manager.waitForWorkflow(run.id);
+
+    expect(failed.status).toBe(WorkflowStatus.FAILED);
+    expect(failed.error).toBe('Step seo failed: Model overloaded');
+    expect(errors.at(-1)).toMatchObject({ type: 'workflow', workflowId: run.id, retryable: true });
+
+    manager.retryWorkflow(run.id);
+    const finished = await manager.waitForWorkflow(run.id);
+
+    expect(finished.status).toBe(WorkflowStatus.COMPLETED);
+    expect(finished.steps.seo.attempts).toBe(2);
+    expect(artisan.generateListingContent).toHaveBeenCalledTimes(1);
+    expect(artisan.suggestPricing).toHaveBeenCalledTimes(1);
+  });
+
+  test('should refuse to retry runs that have not failed', async () => {
+    const run = manager.startWorkflow('listingLaunch', workflowInput);
+    await manager.waitForWorkflow(run.id);
+
+    expect(() => manager.retryWorkflow(run.id)).toThrow('is completed');
+  });
+
+  test('should cancel the tasks of running steps', async () => {
+    artisan.generateListingContent.mockReturnValue(new Promise(() => {}));
+
+    const run = manager.startWorkflow('listingLaunch', workflowInput);
+    await settle();
+    const cancelled = manager.cancelWorkflow(run.id);
+    await settle();
+
+    expect(cancelled.status).toBe(WorkflowStatus.CANCELLED);
+    expect(manager.getTask(cancelled.steps.content.taskId).status).toBe('cancelled');
+    expect(manager.getWorkflowRun(run.id).steps.content.status).toBe('cancelled');
+    expect(content.optimizeForSEO).not.toHaveBeenCalled();
+  });
+
+  test('should validate workflow input', () => {
+    expect(() => manager.startWorkflow('listingLaunch', { product: {} }))
+      .toThrow(expect.objectContaining({ name: 'ZodError' }));
+    expect(() => manager.startWorkflow('nope', {})).toThrow('Unknown workflow');
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * AI Usage Accounting Tests
+ *
+ * Tests for per-call token, latency and cost accounting, monthly quotas per
+ * user and artisan shop, and the spend metric by agent type.
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock Supabase
+const mockInsert = jest.fn(() => Promise.resolve({ data: [], error: null }));
+const mockSupabase = {
+  from: jest.fn(() => ({
+    insert: mockInsert,
+    select: jest.fn().mockReturnThis(),
+    eq: jest.fn().mockReturnThis(),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null }))
+  }))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const pricing = {
+  'gemini-2.0-flash-001': { input: 0.10, cachedInput: 0.025, output: 0.40 }
+};
+
+/**
+ * Supabase double answering the artisan lookup and the month-to-date RPC
+ */
+const usageClient = ({ artisanId = null, userTokens = 0, artisanTokens = 0, error = null } = {}) => ({
+  from: jest.fn(() => ({
+    select: () => ({
+      eq: () => ({
+        maybeSingle: async () => ({ data: artisanId ? { id: artisanId } : null, error: null })
+      })
+    })
+  })),
+  rpc: jest.fn(async () => (error
+    ? { data: null, error }
+    : { data: [{ user_tokens: userTokens, artisan_tokens: artisanTokens }], error: null }))
+});
+
+const monitoringDouble = () => ({
+  trackAIRequest: jest.fn(),
+  trackAICost: jest.fn()
+});
+
+describe('AI Usage Accounting', () => {
+  let AIUsageTracker;
+  let BaseAgent;
+
+  beforeAll(async () => {
+    ({ AIUsageTracker } = await import('../services/aiUsage.js'));
+    ({ default: BaseAgent } = await import('../agents/BaseAgent.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const tracker = (clientOptions, quotas = {}) => new AIUsageTracker({
+    client: usageClient(clientOptions),
+    monitoring: monitoringDouble(),
+    pricing,
+    quotas: { userMonthlyTokens: 1000, artisanMonthlyTokens: 5000, usageCacheSeconds: 60, ...quotas }
+  });
+
+  describe('Cost and usage', () => {
+    test('should bill cached prompt tokens at the cached rate', () => {
+      const usage = { promptTokens: 1_000_000, cachedTokens: 400_000, completionTokens: 100_000, totalTokens: 1_100_000 };
+
+      // 600k * 0.10 + 400k * 0.025 + 100k * 0.40, per million
+      expect(tracker().estimateCost('gemini-2.0-flash-001', usage)).toBe(0.11);
+      expect(tracker().estimateCost('unpriced-model', usage)).toBe(0);
+    });
+
+    test('should estimate usage when the provider reports none', () => {
+      const usage = tracker().normalizeUsage(null, {
+        systemPrompt: 'x'.repeat(40),
+        messages: []
+      }, 'y'.repeat(20));
+
+      expect(usage).toEqual({ promptTokens: 11, completionTokens: 5, cachedTokens: 0, totalTokens: 16, estimated: true });
+    });
+
+    test('should report tokens and spend per agent type to monitoring', () => {
+      const usageTracker = tracker();
+      const usage = { promptTokens: 2000, completionTokens: 500, cachedTokens: 1000, totalTokens: 2500 };
+
+      const { costUsd } = usageTracker.record({
+        agentType: 'market-analyzer',
+        model: 'gemini-2.0-flash-001',
+        usage,
+        durationMs: 1200
+      });
+
+      expect(costUsd).toBe(0.000325);
+      expect(usageTracker.monitoring.trackAIRequest)
+        .toHaveBeenCalledWith('market-analyzer', 'gemini-2.0-flash-001', 1200, { input: 2000, output: 500, cached: 1000 }, null);
+      expect(usageTracker.monitoring.trackAICost).toHaveBeenCalledWith('market-analyzer', 'gemini-2.0-flash-001', 0.000325);
+    });
+
+    test('should expose spend as a Prometheus counter by agent type', async () => {
+      const { default: backendMonitoring } = await import('../middleware/monitoring.js');
+      const prometheus = await import('prom-client');
+
+      backendMonitoring.trackAICost('customer-insights', 'gemini-2.0-flash-001', 0.25);
+
+      const metric = await prometheus.register.getSingleMetricAsString('ai_cost_usd_total');
+      expect(metric).toContain('ai_cost_usd_total{agent_type="customer-insights",model="gemini-2.0-flash-001"} 0.25');
+    });
+  });
+
+  describe('Quotas', () => {
+    test('should refuse users over their monthly quota', async () => {
+      await expect(tracker({ userTokens: 1000 }).assertWithinQuota('customer-1'))
+        .rejects.toThrow('Monthly AI quota exceeded: 1000 of 1000 tokens used this month');
+    });
+
+    test('should refuse artisans whose shop is over its monthly quota', async () => {
+      await expect(tracker({ artisanId: 'artisan-1', userTokens: 10, artisanTokens: 5000 }).assertWithinQuota('artisan-user-1'))
+        .rejects.toThrow('Monthly AI quota exceeded for this shop');
+    });
+
+    test('should count recorded calls against the cached month-to-date total', async () => {
+      const usageTracker = tracker({ userTokens: 900 });
+
+      await expect(usageTracker.assertWithinQuota('customer-1')).resolves.toEqual({ artisanId: null });
+      usageTracker.record({
+        agentType: 'content-optimizer',
+        model: 'gemini-2.0-flash-001',
+        userId: 'customer-1',
+        usage: { promptTokens: 80, completionTokens: 20, cachedTokens: 0, totalTokens: 100 },
+        durationMs: 10
+      });
+
+      await expect(usageTracker.assertWithinQuota('customer-1')).rejects.toThrow('AI quota exceeded');
+      expect(usageTracker.supabase.rpc).toHaveBeenCalledTimes(1);
+    });
+
+    test('should allow calls when usage cannot be read or the quota is disabled', async () => {
+      await expect(tracker({ error: new Error('Supabase unavailable') }).assertWithinQuota('customer-1'))
+        .resolves.toEqual({ artisanId: null });
+      await expect(tracker({ userTokens: 10_000 }, { userMonthlyTokens: 0 }).assertWithinQuota('customer-1'))
+        .resolves.toEqual({ artisanId: null });
+      await expect(tracker({ userTokens: 10_000 }).assertWithinQuota(null))
+        .resolves.toEqual({ artisanId: null });
+    });
+  });
+
+  describe('BaseAgent accounting', () => {
+    let agent;
+
+    beforeEach(() => {
+      agent = new BaseAgent('market-analyzer');
+      agent.usage = tracker({ artisanId: 'artisan-1', userTokens: 100 });
+      agent.provider = {
+        name: 'scripted',
+        displayName: 'Scripted',
+        defaultModel: 'gemini-2.0-flash-001',
+        generate: jest.fn(async () => ({
+          text: 'Price it at 2400',
+          model: 'gemini-2.0-flash-001',
+          usage: { promptTokens: 1200, completionTokens: 300, cachedTokens: 200, totalTokens: 1500 }
+        }))
+      };
+    });
+
+    test('should store tokens, model, latency and cost with each interaction', async () => {
+      await agent.generateResponse([{ role: 'user', content: 'Suggest a price' }], { userId: 'artisan-user-1', skipCache: true });
+
+      expect(mockInsert).toHaveBeenCalledWith(expect.objectContaining({
+        agent_type: 'market-analyzer',
+        user_id: 'artisan-user-1',
+        artisan_id: 'artisan-1',
+        model: 'gemini-2.0-flash-001',
+        prompt_tokens: 1200,
+        completion_tokens: 300,
+        cached_tokens: 200,
+        total_tokens: 1500,
+        usage_estimated: false,
+        cost_usd: 0.000225,
+        duration_ms: expect.any(Number)
+      }));
+    });
+
+    test('should check the quota before calling the model', async () => {
+      agent.usage = tracker({ userTokens: 1000 });
+
+      await expect(agent.generateResponse([{ role: 'user', content: 'Hi' }], { userId: 'customer-1', skipCache: true }))
+        .rejects.toThrow('AI quota exceeded');
+      expect(agent.provider.generate).not.toHaveBeenCalled();
+    });
+
+    test('should attribute model calls made inside an action to its user', async () => {
+      await agent.runAction('query', { query: 'How should I price my Dhokra figurines?' }, { userId: 'artisan-user-1' });
+
+      expect(mockInsert).toHaveBeenCalledWith(expect.objectContaining({ user_id: 'artisan-user-1', artisan_id: 'artisan-1' }));
+    });
+  });
+});
@@ -208,17 +208,17 @@ describe('API Integration Tests', () => {
       expect(mockAgentManager.stopAgent).toHaveBeenCalledWith('ProductRecommendationAgent');
     });
 
-    test('POST /api/agents/:agentType/task should submit a task', async () => {
+    test('POST /api/agents/:agentType/task should queue a task', async () => {
       const taskData = { query: 'Recommend products for pottery enthusiast' };
-      mockAgentManager.submitTask.mockResolvedValue({ taskId: 'test-task-123' });
+      mockAgentManager.submitTask.mockResolvedValue({ id: 'test-task-123', status: 'queued', queuePosition: 1 });
 
       const response = await request(app)
         .post('/api/agents/ProductRecommendationAgent/task')
         .set('Authorization', `Bearer ${validToken}`)
         .send(taskData)
-        .expect(200);
+        .expect(202);
 
-      expect(response.body).toHaveProperty('taskId');
+      expect(response.body.data).toHaveProperty('taskId', 'test-task-123');
       expect(mockAgentManager.submitTask).toHaveBeenCalledWith(
         'ProductRecommendationAgent',
         taskData
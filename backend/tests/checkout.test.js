@@ -0,0 +1,442 @@
+/**
+ * Checkout Tests
+ *
+ * Tests for POST /api/orders/checkout and the OrderService behind it:
+ * address snapshots, mapping place_order results and errors, idempotent
+ * replays, and committing, releasing and sweeping stock holds.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+// Checkout quotes delivery with the configured carrier, which config/orders.js
+// does not default
+process.env.SHIPPING_CARRIER = 'local';
+
+// Mock Supabase: query builders chain, maybeSingle yields mockPlacedOrder for
+// orders and mockAddress otherwise, and list reads (the cart being quoted)
+// yield mockCart
+let mockAddress = null;
+let mockPlacedOrder = null;
+let mockCart = [];
+let mockTable = null;
+const mockQuery = {};
+['select', 'eq', 'limit'].forEach(method => {
+  mockQuery[method] = jest.fn(() => mockQuery);
+});
+mockQuery.maybeSingle = jest.fn(() => Promise.resolve({
+  data: mockTable === 'orders' ? mockPlacedOrder : mockAddress,
+  error: null
+}));
+mockQuery.then = (resolve, reject) => Promise.resolve({ data: mockCart, error: null }).then(resolve, reject);
+
+const mockSupabase = {
+  from: jest.fn(table => {
+    mockTable = table;
+    return mockQuery;
+  }),
+  rpc: jest.fn()
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const userId = '5c3e1a7b-2d4f-4a6b-9c8d-7e6f5a4b3c2d';
+const addressId = '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+
+const address = {
+  id: addressId,
+  user_id: userId,
+  type: 'shipping',
+  full_name: 'Asha Rao',
+  address_line_1: '12 Temple Road',
+  address_line_2: null,
+  city: 'Mysuru',
+  state: 'Karnataka',
+  postal_code: '570001',
+  country: 'India',
+  phone: '+91 90000 00000',
+  is_default: true,
+  created_at: '2026-10-01T00:00:00.000Z'
+};
+
+const placedOrder = (replayed = false) => ({
+  order: {
+    id: 'order-1',
+    order_number: 'AOM-20261019-0042',
+    status: 'pending',
+    payment_status: 'pending',
+    total_amount: 4400,
+    shipping_amount: 0,
+    tax_amount: 0,
+    discount_amount: 0,
+    shipping_address: { full_name: 'Asha Rao' },
+    billing_address: { full_name: 'Asha Rao' },
+    payment_method: null,
+    notes: null,
+    created_at: '2026-10-19T10:00:00.000Z'
+  },
+  reservedUntil: '2026-10-19T10:15:00.000Z',
+  items: [{
+    id: 'item-1',
+    product_id: 'product-1',
+    artisan_id: 'artisan-1',
+    artisan_order_number: 'AOM-20261019-0042/1',
+    product_title: 'Blue Pottery Vase',
+    product_image: 'https://example.com/vase.jpg',
+    quantity: 2,
+    unit_price: 2200,
+    total_price: 4400
+  }],
+  replayed
+});
+
+describe('Checkout', () => {
+  let OrderService;
+  let ReservationSweeper;
+  let ordersRouter;
+
+  beforeAll(async () => {
+    ({ OrderService } = await import('../services/orderService.js'));
+    ({ ReservationSweeper } = await import('../services/reservationSweeper.js'));
+    ({ default: ordersRouter } = await import('../api/orders.routes.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAddress = address;
+    mockPlacedOrder = null;
+    mockCart = [];
+    mockSupabase.rpc.mockResolvedValue({ data: placedOrder(), error: null });
+  });
+
+  describe('OrderService.checkout', () => {
+    test('places the order with a snapshot of the default shipping address', async () => {
+      const quotes = {
+        quoteCart: jest.fn(() => Promise.resolve({
+          artisans: [{ artisanId: 'artisan-1', service: 'express', amount: 110 }]
+        }))
+      };
+      const service = new OrderService(mockSupabase, { quotes });
+
+      const { order, replayed } = await service.checkout(userId, {
+        paymentMethod: 'upi',
+        shippingServices: { 'artisan-1': 'express' }
+      }, 'key-1');
+
+      expect(mockQuery.eq).toHaveBeenCalledWith('type', 'shipping');
+      expect(mockQuery.eq).toHaveBeenCalledWith('is_default', true);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('place_order', {
+        p_customer_id: userId,
+        p_idempotency_key: 'key-1',
+        p_shipping_address: {
+          full_name: 'Asha Rao',
+          address_line_1: '12 Temple Road',
+          address_line_2: null,
+          city: 'Mysuru',
+          state: 'Karnataka',
+          postal_code: '570001',
+          country: 'India',
+          phone: '+91 90000 00000'
+        },
+        p_billing_address: null,
+        p_payment_method: 'upi',
+        p_notes: null,
+        p_hold_minutes: 15,
+        p_shipping: [{ artisanId: 'artisan-1', service: 'express', amount: 110 }],
+        p_promotion: null
+      });
+      expect(quotes.quoteCart).toHaveBeenCalledWith(userId, {
+        postalCode: '570001',
+        services: { 'artisan-1': 'express' }
+      });
+
+      expect(replayed).toBe(false);
+      expect(order).toMatchObject({
+        id: 'order-1',
+        orderNumber: 'AOM-20261019-0042',
+        totalAmount: 4400,
+        reservedUntil: '2026-10-19T10:15:00.000Z',
+        items: [{
+          productId: 'product-1',
+          artisanId: 'artisan-1',
+          artisanOrderNumber: 'AOM-20261019-0042/1',
+          productTitle: 'Blue Pottery Vase',
+          quantity: 2,
+          unitPrice: 2200,
+          totalPrice: 4400
+        }]
+      });
+    });
+
+    test('applies a promo code to the quoted cart', async () => {
+      const quote = { artisans: [{ artisanId: 'artisan-1', service: 'standard', amount: 60 }] };
+      const quotes = { quoteCart: jest.fn(() => Promise.resolve(quote)) };
+      const promotions = {
+        quoteCart: jest.fn(() => Promise.resolve({
+          promotionId: 'promotion-1',
+          subtotal: 4400,
+          discountAmount: 440,
+          artisans: [{ artisanId: 'artisan-1', artisanName: 'Jaipur Blue', eligibleSubtotal: 4400, discountAmount: 440 }]
+        }))
+      };
+      const service = new OrderService(mockSupabase, { quotes, promotions });
+
+      await service.checkout(userId, { promoCode: 'welcome10' }, 'key-1');
+
+      expect(promotions.quoteCart).toHaveBeenCalledWith(userId, 'welcome10', { shipping: quote });
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('place_order', expect.objectContaining({
+        p_promotion: {
+          promotionId: 'promotion-1',
+          subtotal: 4400,
+          discounts: [{ artisanId: 'artisan-1', eligibleSubtotal: 4400, amount: 440 }]
+        }
+      }));
+    });
+
+    test('replays a checkout that used a promo code without quoting the emptied cart again', async () => {
+      const quotes = { quoteCart: jest.fn(() => Promise.resolve({ artisans: [] })) };
+      const promotions = {
+        quoteCart: jest.fn()
+          .mockResolvedValueOnce({ promotionId: 'promotion-1', discountAmount: 440, artisans: [] })
+          .mockRejectedValue(Object.assign(new Error('Promotion usage limit reached'), { status: 409 }))
+      };
+      const placed = placedOrder();
+      placed.order.discount_amount = 440;
+      mockSupabase.rpc.mockResolvedValueOnce({ data: placed, error: null });
+      const service = new OrderService(mockSupabase, { quotes, promotions });
+
+      const first = await service.checkout(userId, { promoCode: 'welcome10' }, 'key-1');
+
+      // The first checkout emptied the cart and used the code up
+      mockPlacedOrder = {
+        ...placed.order,
+        items: placed.items.map(item => ({ ...item, created_at: '2026-10-19T10:00:00.000Z' })),
+        reservations: [
+          { status: 'held', expires_at: '2026-10-19T10:15:00.000Z' },
+          { status: 'released', expires_at: '2026-10-19T10:05:00.000Z' }
+        ]
+      };
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: { code: 'P0001', message: 'Cart is empty' } });
+
+      const retry = await service.checkout(userId, { promoCode: 'welcome10' }, 'key-1');
+
+      expect(mockQuery.eq).toHaveBeenCalledWith('idempotency_key', 'key-1');
+      expect(quotes.quoteCart).toHaveBeenCalledTimes(1);
+      expect(promotions.quoteCart).toHaveBeenCalledTimes(1);
+      expect(mockSupabase.rpc).toHaveBeenCalledTimes(1);
+      expect(retry.replayed).toBe(true);
+      expect(retry.order).toEqual(first.order);
+    });
+
+    test('reports a promotion used up meanwhile as a conflict', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: { code: 'P0001', message: 'Promotion usage limit reached' } });
+      const promotions = {
+        quoteCart: jest.fn(() => Promise.resolve({ promotionId: 'promotion-1', discountAmount: 100, artisans: [] }))
+      };
+      const service = new OrderService(mockSupabase, { promotions });
+
+      await expect(service.checkout(userId, { promoCode: 'FLAT100' }, 'key-1'))
+        .rejects.toMatchObject({ status: 409, message: 'Promotion usage limit reached' });
+    });
+
+    test('requires a shipping address when the user has no default', async () => {
+      mockAddress = null;
+      const service = new OrderService(mockSupabase);
+
+      await expect(service.checkout(userId, {}, 'key-1'))
+        .rejects.toMatchObject({ status: 400, message: 'Shipping address required' });
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('rejects addresses that are not the user\'s', async () => {
+      mockAddress = null;
+      const service = new OrderService(mockSupabase);
+
+      await expect(service.checkout(userId, { shippingAddressId: addressId }, 'key-1'))
+        .rejects.toMatchObject({ status: 404, message: 'Address not found' });
+      expect(mockQuery.eq).toHaveBeenCalledWith('user_id', userId);
+      expect(mockQuery.eq).toHaveBeenCalledWith('id', addressId);
+    });
+
+    test('reports unavailable cart items as a conflict', async () => {
+      const problems = [{ productId: 'product-1', title: 'Blue Pottery Vase', requested: 2, available: 1, reason: 'insufficient_stock' }];
+      mockSupabase.rpc.mockResolvedValue({
+        data: null,
+        error: { code: 'P0001', message: 'Some cart items are unavailable', details: JSON.stringify(problems) }
+      });
+      const service = new OrderService(mockSupabase);
+
+      await expect(service.checkout(userId, {}, 'key-1'))
+        .rejects.toMatchObject({ status: 409, items: problems });
+    });
+
+    test('reports an empty cart as a conflict', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: { code: 'P0001', message: 'Cart is empty' } });
+      const service = new OrderService(mockSupabase);
+
+      await expect(service.checkout(userId, {}, 'key-1'))
+        .rejects.toMatchObject({ status: 409, message: 'Cart is empty' });
+    });
+
+    test('reports a cart that changed while it was quoted as a conflict', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: { code: 'P0001', message: 'Shipping quote is out of date' } });
+      const service = new OrderService(mockSupabase);
+
+      await expect(service.checkout(userId, {}, 'key-1'))
+        .rejects.toMatchObject({ status: 409, message: 'Shipping quote is out of date' });
+    });
+
+    test('rethrows database errors', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: { code: '08006', message: 'connection failure' } });
+      const service = new OrderService(mockSupabase);
+
+      await expect(service.checkout(userId, {}, 'key-1'))
+        .rejects.toMatchObject({ message: 'connection failure' });
+    });
+  });
+
+  describe('Stock reservations', () => {
+    test('commits a paid order\'s held stock', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: null });
+      const service = new OrderService(mockSupabase);
+
+      await service.commitStock('order-1');
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('commit_order_stock', { p_order_id: 'order-1' });
+    });
+
+    test('reports holds that were released before payment as a conflict', async () => {
+      mockSupabase.rpc.mockResolvedValue({
+        data: null,
+        error: { code: 'P0001', message: 'Stock reservation is no longer held' }
+      });
+      const service = new OrderService(mockSupabase);
+
+      await expect(service.commitStock('order-1'))
+        .rejects.toMatchObject({ status: 409, message: 'Stock reservation is no longer held' });
+    });
+
+    test('releases held stock with a reason', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: 2, error: null });
+      const service = new OrderService(mockSupabase);
+
+      await expect(service.releaseStock('order-1', 'payment_failed')).resolves.toBe(2);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('release_order_stock', {
+        p_order_id: 'order-1',
+        p_reason: 'payment_failed'
+      });
+    });
+
+    test('sweeps expired holds on an interval', async () => {
+      jest.useFakeTimers();
+      try {
+        mockSupabase.rpc.mockResolvedValue({ data: 3, error: null });
+        const sweeper = new ReservationSweeper({ client: mockSupabase, intervalMs: 1000 });
+
+        sweeper.start();
+        await jest.advanceTimersByTimeAsync(2500);
+        sweeper.stop();
+        await jest.advanceTimersByTimeAsync(2000);
+
+        expect(mockSupabase.rpc).toHaveBeenCalledTimes(2);
+        expect(mockSupabase.rpc).toHaveBeenCalledWith('expire_stock_reservations');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('keeps sweeping after a failed sweep', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: { message: 'connection failure' } });
+      const sweeper = new ReservationSweeper({ client: mockSupabase });
+
+      await expect(sweeper.sweep()).resolves.toBe(0);
+    });
+  });
+
+  describe('POST /api/orders/checkout', () => {
+    let app;
+    const originalBypass = process.env.TEST_BYPASS_AUTH;
+
+    beforeAll(() => {
+      process.env.TEST_BYPASS_AUTH = 'true';
+      app = express();
+      app.use(express.json());
+      app.use('/api/orders', ordersRouter);
+    });
+
+    afterAll(() => {
+      process.env.TEST_BYPASS_AUTH = originalBypass;
+    });
+
+    test('requires an Idempotency-Key header', async () => {
+      const res = await request(app).post('/api/orders/checkout').send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Idempotency key required');
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('responds 201 with the new order', async () => {
+      const res = await request(app)
+        .post('/api/orders/checkout')
+        .set('Idempotency-Key', 'key-1')
+        .send({ notes: 'Gift wrap please' });
+
+      expect(res.status).toBe(201);
+      expect(res.headers['idempotency-replayed']).toBeUndefined();
+      expect(res.body).toMatchObject({ success: true, data: { orderNumber: 'AOM-20261019-0042' } });
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('place_order', expect.objectContaining({
+        p_customer_id: 'test-user-id',
+        p_idempotency_key: 'key-1',
+        p_notes: 'Gift wrap please'
+      }));
+    });
+
+    test('responds 200 with the first order when the key is replayed', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: placedOrder(true), error: null });
+
+      const res = await request(app)
+        .post('/api/orders/checkout')
+        .set('Idempotency-Key', 'key-1')
+        .send({});
+
+      expect(res.status).toBe(200);
+      expect(res.headers['idempotency-replayed']).toBe('true');
+      expect(res.body.data.id).toBe('order-1');
+    });
+
+    test('responds 409 with the unavailable items', async () => {
+      const problems = [{ productId: 'product-1', title: 'Blue Pottery Vase', requested: 2, available: 0, reason: 'not_available' }];
+      mockSupabase.rpc.mockResolvedValue({
+        data: null,
+        error: { code: 'P0001', message: 'Some cart items are unavailable', details: JSON.stringify(problems) }
+      });
+
+      const res = await request(app)
+        .post('/api/orders/checkout')
+        .set('Idempotency-Key', 'key-2')
+        .send({});
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({
+        error: 'Checkout failed',
+        message: 'Some cart items are unavailable',
+        items: problems
+      });
+    });
+
+    test('validates the address IDs', async () => {
+      const res = await request(app)
+        .post('/api/orders/checkout')
+        .set('Idempotency-Key', 'key-1')
+        .send({ shippingAddressId: 'not-a-uuid' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Conversation Memory Tests
+ *
+ * Tests for multi-turn chat: history assembly within the token budget,
+ * rolling summarization of older turns and persisting each turn.
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock Supabase
+const mockSupabase = {
+  from: jest.fn(() => ({
+    insert: jest.fn(() => Promise.resolve({ data: [], error: null })),
+    select: jest.fn().mockReturnThis(),
+    eq: jest.fn().mockReturnThis(),
+    single: jest.fn(() => Promise.resolve({ data: null, error: null }))
+  }))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const conversationId = '9b2f4c1e-3d5a-4e6b-8c7d-0e1f2a3b4c5d';
+
+/**
+ * Message rows as returned by ConversationStore.getMessages
+ */
+const turns = (...contents) => contents.map((content, index) => ({
+  seq: index + 1,
+  role: index % 2 === 0 ? 'user' : 'assistant',
+  content,
+  tokenCount: Math.ceil(content.length / 4)
+}));
+
+/**
+ * In-memory stand-in for ConversationStore
+ */
+const memoryConversations = (conversation, messages) => ({
+  get: jest.fn(async (id, userId) => (id === conversation.id && userId === conversation.userId ? conversation : null)),
+  getMessages: jest.fn(async (id, { afterSeq = 0 } = {}) => messages.filter(message => message.seq > afterSeq)),
+  addMessages: jest.fn(async () => {}),
+  updateSummary: jest.fn(async () => {})
+});
+
+describe('Conversation Memory', () => {
+  let ProductRecommendationAgent;
+  let ConversationStore;
+  let conversationConfig;
+  let agent;
+
+  beforeAll(async () => {
+    ({ ProductRecommendationAgent } = await import('../agents/ProductRecommendationAgent.js'));
+    ({ ConversationStore } = await import('../services/conversationStore.js'));
+    ({ conversationConfig } = await import('../config/ai.js'));
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    agent = new ProductRecommendationAgent();
+    agent.provider = {
+      name: 'scripted',
+      displayName: 'Scripted',
+      defaultModel: 'test-model',
+      generate: jest.fn(async () => ({ text: 'Customer wants a Kantha stole under 3000.', toolCalls: [] }))
+    };
+    await agent.cache.clear();
+  });
+
+  test('should send recent turns verbatim while they fit the budget', async () => {
+    agent.conversations = memoryConversations(
+      { id: conversationId, userId: 'customer-1', summary: null, summarizedThroughSeq: 0 },
+      turns('Show me Kantha stoles', 'Here are three Kantha stoles from Bengal.')
+    );
+
+    const history = await agent.buildConversationHistory(conversationId, 'customer-1');
+
+    expect(history).toEqual({
+      summary: null,
+      messages: [
+        { role: 'user', content: 'Show me Kantha stoles' },
+        { role: 'assistant', content: 'Here are three Kantha stoles from Bengal.' }
+      ]
+    });
+    expect(agent.provider.generate).not.toHaveBeenCalled();
+    expect(agent.conversations.updateSummary).not.toHaveBeenCalled();
+  });
+
+  test('should fold turns beyond the budget into the rolling summary', async () => {
+    const long = 'x'.repeat(conversationConfig.historyTokenBudget * 4);
+    agent.conversations = memoryConversations(
+      { id: conversationId, userId: 'customer-1', summary: 'Customer likes Bengal textiles.', summarizedThroughSeq: 2 },
+      turns('old question', 'old answer', long, 'a very long answer', 'Under 3000?', 'Yes, two of them.')
+    );
+
+    const history = await agent.buildConversationHistory(conversationId, 'customer-1');
+
+    // Turns 1-2 were already summarized; 3-4 no longer fit and are folded in
+    const [{ messages: summaryPrompt }] = agent.provider.generate.mock.calls[0];
+    expect(summaryPrompt[0].content).toContain('Current summary: Customer likes Bengal textiles.');
+    expect(summaryPrompt[0].content).toContain('Assistant: a very long answer');
+    expect(summaryPrompt[0].content).not.toContain('old question');
+    expect(agent.conversations.updateSummary)
+      .toHaveBeenCalledWith(conversationId, 'Customer wants a Kantha stole under 3000.', 4);
+    expect(history.messages).toEqual([
+      { role: 'user', content: 'Under 3000?' },
+      { role: 'assistant', content: 'Yes, two of them.' }
+    ]);
+  });
+
+  test('should not start the kept history with an orphaned reply', async () => {
+    agent.conversations = memoryConversations(
+      { id: conversationId, userId: 'customer-1', summary: null, summarizedThroughSeq: 0 },
+      turns('x'.repeat(conversationConfig.historyTokenBudget * 4), 'Here is one in red.', 'And in blue?')
+    );
+
+    const history = await agent.buildConversationHistory(conversationId, 'customer-1');
+
+    expect(history.messages).toEqual([{ role: 'user', content: 'And in blue?' }]);
+    expect(agent.conversations.updateSummary).toHaveBeenCalledWith(conversationId, expect.any(String), 2);
+  });
+
+  test('should answer with the history and remember the turn', async () => {
+    agent.conversations = memoryConversations(
+      { id: conversationId, userId: 'customer-1', summary: 'Budget is 3000.', summarizedThroughSeq: 0 },
+      turns('Show me Kantha stoles', 'Here are three.')
+    );
+    agent.provider.generate.mockResolvedValue({ text: 'The blue one is 2400.', toolCalls: [] });
+
+    const result = await agent.processQuery('Which is cheapest?', 'customer-1', {}, { conversationId });
+
+    expect(result).toMatchObject({ success: true, response: 'The blue one is 2400.' });
+    const [{ messages }] = agent.provider.generate.mock.calls[0];
+    expect(messages.slice(0, 2)).toEqual([
+      { role: 'user', content: 'Show me Kantha stoles' },
+      { role: 'assistant', content: 'Here are three.' }
+    ]);
+    expect(JSON.parse(messages[2].content)).toMatchObject({ query: 'Which is cheapest?', conversationSummary: 'Budget is 3000.' });
+    expect(agent.conversations.addMessages).toHaveBeenCalledWith(conversationId, [
+      { role: 'user', content: 'Which is cheapest?' },
+      { role: 'assistant', content: 'The blue one is 2400.', agentType: 'content-optimizer' }
+    ]);
+  });
+
+  test('should refuse conversations that belong to another user', async () => {
+    agent.conversations = memoryConversations(
+      { id: conversationId, userId: 'customer-1', summary: null, summarizedThroughSeq: 0 },
+      []
+    );
+
+    const result = await agent.processQuery('Hello', 'customer-2', {}, { conversationId });
+
+    expect(result).toMatchObject({ success: false, error: `Conversation ${conversationId} not found` });
+    expect(agent.conversations.addMessages).not.toHaveBeenCalled();
+  });
+
+  test('should remember streamed turns once the stream completes', async () => {
+    agent.conversations = memoryConversations(
+      { id: conversationId, userId: 'customer-1', summary: null, summarizedThroughSeq: 0 },
+      []
+    );
+    agent.provider.stream = async function* () {
+      yield { text: 'Madhubani ' };
+      yield { text: 'paintings' };
+    };
+
+    let streamed = '';
+    for await (const text of agent.streamQuery('Tell me about Mithila art', 'customer-1', {}, { conversationId })) {
+      streamed += text;
+    }
+
+    expect(streamed).toBe('Madhubani paintings');
+    expect(agent.conversations.addMessages).toHaveBeenCalledWith(conversationId, [
+      { role: 'user', content: 'Tell me about Mithila art' },
+      { role: 'assistant', content: 'Madhubani paintings', agentType: 'content-optimizer' }
+    ]);
+  });
+
+  test('should title new conversations after their first message', async () => {
+    const insert = jest.fn(row => ({
+      select: () => ({ single: async () => ({ data: { id: conversationId, ...row }, error: null }) })
+    }));
+    const store = new ConversationStore({ from: () => ({ insert }) });
+
+    const conversation = await store.create({
+      userId: 'customer-1',
+      agentType: 'content-optimizer',
+      firstMessage: 'I am looking for a handwoven Pashmina shawl for my mother, something in muted colours under 15000'
+    });
+
+    expect(conversation.title).toHaveLength(80);
+    expect(conversation.title.endsWith('...')).toBe(true);
+    expect(insert).toHaveBeenCalledWith(expect.objectContaining({ user_id: 'customer-1', agent_type: 'content-optimizer' }));
+  });
+});
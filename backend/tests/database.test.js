@@ -12,6 +12,8 @@
 
 import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
 import { supabaseAdmin, supabaseClient } from '../config/database.js';
+import { PaymentService } from '../services/paymentService.js';
+import { SandboxPaymentProvider } from '../services/payments/index.js';
 
 describe('Database Connectivity Tests', () => {
   beforeAll(async () => {
@@ -70,7 +72,29 @@ describe('Schema Validation Tests', () => {
     'order_items',
     'carts',
     'addresses',
-    'wishlists'
+    'wishlists',
+    'agent_tasks',
+    'ai_interactions',
+    'conversations',
+    'conversation_messages',
+    'order_number_settings',
+    'stock_reservations',
+    'payments',
+    'payment_events',
+    'order_fulfilments',
+    'order_status_history',
+    'return_requests',
+    'return_request_items',
+    'payment_refunds',
+    'shipments',
+    'shipment_events',
+    'invoices',
+    'invoice_counters',
+    'promotions',
+    'promotion_redemptions',
+    'search_queries',
+    'product_similarities',
+    'product_popularity'
   ];
 
   test('should have all required tables', async () => {
@@ -351,4 +375,980 @@ describe('Performance and Optimization Tests', () => {
       expect(error).toBeNull();
     });
   });
-});
\ No newline at end of file
+});
+describe('Order Number Tests', () => {
+  const ORDER_NUMBER_PATTERN = /^AOM-\d{4}(\d{4})?-\d{4,}$/;
+
+  test('should hand out unique order numbers to concurrent callers', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 50 }, () => supabaseAdmin.rpc('generate_order_number'))
+    );
+
+    results.forEach(({ error, data }) => {
+      expect(error).toBeNull();
+      expect(data).toMatch(ORDER_NUMBER_PATTERN);
+    });
+    expect(new Set(results.map(({ data }) => data)).size).toBe(results.length);
+  });
+
+  test('should keep handing out increasing numbers within a period', async () => {
+    const { data: first } = await supabaseAdmin.rpc('generate_order_number');
+    const { data: second } = await supabaseAdmin.rpc('generate_order_number');
+
+    const counter = number => Number(number.split('-').pop());
+    expect(second.slice(0, second.lastIndexOf('-'))).toBe(first.slice(0, first.lastIndexOf('-')));
+    expect(counter(second)).toBeGreaterThan(counter(first));
+  });
+
+  test('should number concurrently inserted orders uniquely', async () => {
+    const { data: customer, error: customerError } = await supabaseAdmin
+      .from('user_profiles')
+      .select('id')
+      .limit(1)
+      .single();
+    expect(customerError).toBeNull();
+
+    // order_number is left out so the trigger assigns it
+    const results = await Promise.all(
+      Array.from({ length: 20 }, () => supabaseAdmin
+        .from('orders')
+        .insert({ customer_id: customer.id, total_amount: 1, shipping_address: {} })
+        .select('id, order_number')
+        .single())
+    );
+
+    const orders = results.map(({ data }) => data).filter(Boolean);
+    try {
+      results.forEach(({ error }) => {
+        expect(error).toBeNull();
+      });
+      orders.forEach(order => {
+        expect(order.order_number).toMatch(ORDER_NUMBER_PATTERN);
+      });
+      expect(new Set(orders.map(order => order.order_number)).size).toBe(results.length);
+    } finally {
+      await supabaseAdmin.from('orders').delete().in('id', orders.map(order => order.id));
+    }
+  });
+
+  test('should give each artisan one sub-number per order', async () => {
+    const { data: products, error: productError } = await supabaseAdmin
+      .from('products')
+      .select('id, artisan_id, title, price')
+      .limit(20);
+    expect(productError).toBeNull();
+
+    const [first, second] = [...new Map(products.map(product => [product.artisan_id, product])).values()];
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const { data: order, error: orderError } = await supabaseAdmin
+      .from('orders')
+      .insert({ customer_id: customer.id, total_amount: 1, shipping_address: {} })
+      .select('id, order_number')
+      .single();
+    expect(orderError).toBeNull();
+
+    try {
+      const lines = [first, first, second].filter(Boolean).map(product => ({
+        order_id: order.id,
+        product_id: product.id,
+        artisan_id: product.artisan_id,
+        quantity: 1,
+        unit_price: product.price,
+        total_price: product.price,
+        product_title: product.title
+      }));
+      const { data: items, error } = await supabaseAdmin
+        .from('order_items')
+        .insert(lines)
+        .select('artisan_id, artisan_order_number');
+
+      expect(error).toBeNull();
+      expect(items[0].artisan_order_number).toBe(`${order.order_number}/1`);
+      expect(items[1].artisan_order_number).toBe(`${order.order_number}/1`);
+      if (second) {
+        expect(items[2].artisan_order_number).toBe(`${order.order_number}/2`);
+      }
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', order.id);
+    }
+  });
+});
+
+describe('Stock Reservation Tests', () => {
+  test('should mark products sold out while their stock is held', async () => {
+    const { data: product, error: productError } = await supabaseAdmin
+      .from('products')
+      .select('id, stock_quantity')
+      .eq('status', 'active')
+      .limit(1)
+      .single();
+    expect(productError).toBeNull();
+
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .insert({ customer_id: customer.id, total_amount: 1, shipping_address: {} })
+      .select('id')
+      .single();
+
+    try {
+      await supabaseAdmin.from('products').update({ stock_quantity: 2 }).eq('id', product.id);
+      const { error } = await supabaseAdmin.from('stock_reservations').insert({
+        order_id: order.id,
+        product_id: product.id,
+        quantity: 2,
+        expires_at: new Date(Date.now() + 15 * 60 * 1000).toISOString()
+      });
+      expect(error).toBeNull();
+
+      const { data: held } = await supabaseAdmin.from('products').select('status').eq('id', product.id).single();
+      expect(held.status).toBe('sold_out');
+
+      const { data: released } = await supabaseAdmin.rpc('release_order_stock', {
+        p_order_id: order.id,
+        p_reason: 'payment_failed'
+      });
+      expect(released).toBe(1);
+
+      const { data: available } = await supabaseAdmin.from('products').select('status').eq('id', product.id).single();
+      expect(available.status).toBe('active');
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', order.id);
+      await supabaseAdmin.from('products').update({ stock_quantity: product.stock_quantity }).eq('id', product.id);
+    }
+  });
+});
+
+describe('Purchase Flow Tests', () => {
+  test('should confirm an order paid through the sandbox', async () => {
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, stock_quantity')
+      .eq('status', 'active')
+      .gt('stock_quantity', 1)
+      .limit(1)
+      .single();
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const payments = new PaymentService({
+      client: supabaseAdmin,
+      providers: () => new SandboxPaymentProvider({ webhookSecret: 'test' })
+    });
+
+    await supabaseAdmin.from('carts').delete().eq('user_id', customer.id);
+    await supabaseAdmin.from('carts').insert({ user_id: customer.id, product_id: product.id, quantity: 1 });
+
+    const { data: placed, error } = await supabaseAdmin.rpc('place_order', {
+      p_customer_id: customer.id,
+      p_idempotency_key: `purchase-flow-${Date.now()}`,
+      p_shipping_address: {},
+      p_billing_address: null,
+      p_payment_method: 'upi',
+      p_notes: null
+    });
+    expect(error).toBeNull();
+
+    try {
+      const payment = await payments.startPayment(customer.id, placed.order.id, { method: 'upi', outcome: 'success' });
+      const { order } = await payments.capturePayment(customer.id, payment.id);
+
+      expect(order.status).toBe('confirmed');
+      expect(order.paymentStatus).toBe('completed');
+
+      const { data: stocked } = await supabaseAdmin.from('products').select('stock_quantity').eq('id', product.id).single();
+      expect(stocked.stock_quantity).toBe(product.stock_quantity - 1);
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', placed.order.id);
+      await supabaseAdmin.from('products').update({ stock_quantity: product.stock_quantity }).eq('id', product.id);
+    }
+  });
+
+  test('should refund an order paid after its holds expired but before they were swept', async () => {
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, stock_quantity')
+      .eq('status', 'active')
+      .gt('stock_quantity', 1)
+      .limit(1)
+      .single();
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const payments = new PaymentService({
+      client: supabaseAdmin,
+      providers: () => new SandboxPaymentProvider({ webhookSecret: 'test' })
+    });
+
+    await supabaseAdmin.from('carts').delete().eq('user_id', customer.id);
+    await supabaseAdmin.from('carts').insert({ user_id: customer.id, product_id: product.id, quantity: 1 });
+
+    const { data: placed, error } = await supabaseAdmin.rpc('place_order', {
+      p_customer_id: customer.id,
+      p_idempotency_key: `expired-hold-${Date.now()}`,
+      p_shipping_address: {},
+      p_billing_address: null,
+      p_payment_method: 'upi',
+      p_notes: null
+    });
+    expect(error).toBeNull();
+
+    try {
+      // The hold runs out; the sweeper has not marked it expired yet
+      await supabaseAdmin
+        .from('stock_reservations')
+        .update({ expires_at: new Date(Date.now() - 60 * 1000).toISOString() })
+        .eq('order_id', placed.order.id);
+
+      const payment = await payments.startPayment(customer.id, placed.order.id, { method: 'upi', outcome: 'success' });
+      const { order } = await payments.capturePayment(customer.id, payment.id);
+      expect(order.status).toBe('cancelled');
+
+      const { data: stocked } = await supabaseAdmin.from('products').select('stock_quantity').eq('id', product.id).single();
+      expect(stocked.stock_quantity).toBe(product.stock_quantity);
+
+      const { data: reservations } = await supabaseAdmin
+        .from('stock_reservations')
+        .select('status')
+        .eq('order_id', placed.order.id);
+      expect(reservations.map(reservation => reservation.status)).toEqual(['expired']);
+
+      const { data: paid } = await supabaseAdmin.from('payments').select('status').eq('id', payment.id).single();
+      expect(paid.status).toBe('refunded');
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', placed.order.id);
+      await supabaseAdmin.from('products').update({ stock_quantity: product.stock_quantity }).eq('id', product.id);
+    }
+  });
+
+  test('should charge each artisan\'s quoted shipping', async () => {
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, artisan_id, price, stock_quantity')
+      .eq('status', 'active')
+      .gt('stock_quantity', 1)
+      .limit(1)
+      .single();
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+
+    await supabaseAdmin.from('carts').delete().eq('user_id', customer.id);
+    await supabaseAdmin.from('carts').insert({ user_id: customer.id, product_id: product.id, quantity: 1 });
+
+    const placeOrder = shipping => supabaseAdmin.rpc('place_order', {
+      p_customer_id: customer.id,
+      p_idempotency_key: `shipping-${Date.now()}-${shipping.length}`,
+      p_shipping_address: {},
+      p_billing_address: null,
+      p_payment_method: 'upi',
+      p_notes: null,
+      p_shipping: shipping
+    });
+
+    // A quote that leaves out an artisan in the cart is out of date
+    const { error: stale } = await placeOrder([]);
+    expect(stale?.message).toContain('Shipping quote is out of date');
+
+    const { data: placed, error } = await placeOrder([
+      { artisanId: product.artisan_id, service: 'express', amount: 85.5 }
+    ]);
+    expect(error).toBeNull();
+
+    try {
+      const { data: order } = await supabaseAdmin
+        .from('orders')
+        .select('shipping_amount, total_amount')
+        .eq('id', placed.order.id)
+        .single();
+      expect(Number(order.shipping_amount)).toBe(85.5);
+      expect(Number(order.total_amount)).toBe(Number(product.price) + 85.5);
+
+      const { data: fulfilment } = await supabaseAdmin
+        .from('order_fulfilments')
+        .select('shipping_service, shipping_amount')
+        .eq('order_id', placed.order.id)
+        .single();
+      expect(fulfilment.shipping_service).toBe('express');
+      expect(Number(fulfilment.shipping_amount)).toBe(85.5);
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', placed.order.id);
+      await supabaseAdmin.from('products').update({ stock_quantity: product.stock_quantity }).eq('id', product.id);
+    }
+  });
+});
+
+describe('Fulfilment Tests', () => {
+  test('should derive the order status from each artisan\'s fulfilment', async () => {
+    const { data: products } = await supabaseAdmin
+      .from('products')
+      .select('id, artisan_id, title, price')
+      .eq('status', 'active')
+      .limit(50);
+    const [first, second] = products.filter((product, index) => (
+      products.findIndex(other => other.artisan_id === product.artisan_id) === index
+    ));
+    expect(second).toBeDefined();
+
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .insert({ customer_id: customer.id, total_amount: 1, shipping_address: {}, status: 'confirmed' })
+      .select('id')
+      .single();
+
+    try {
+      await supabaseAdmin.from('order_items').insert([first, second].map(product => ({
+        order_id: order.id,
+        product_id: product.id,
+        artisan_id: product.artisan_id,
+        quantity: 1,
+        unit_price: product.price,
+        total_price: product.price,
+        product_title: product.title
+      })));
+
+      const ship = artisanId => supabaseAdmin
+        .from('order_fulfilments')
+        .update({ status: 'shipped' })
+        .eq('order_id', order.id)
+        .eq('artisan_id', artisanId);
+      const orderStatus = async () => {
+        const { data } = await supabaseAdmin.from('orders').select('status').eq('id', order.id).single();
+        return data.status;
+      };
+
+      const { data: fulfilments } = await supabaseAdmin
+        .from('order_fulfilments')
+        .select('artisan_id, status')
+        .eq('order_id', order.id);
+      expect(fulfilments).toHaveLength(2);
+
+      await ship(first.artisan_id);
+      expect(await orderStatus()).toBe('processing');
+
+      await ship(second.artisan_id);
+      expect(await orderStatus()).toBe('shipped');
+
+      const { data: shipped } = await supabaseAdmin
+        .from('order_fulfilments')
+        .select('shipped_at')
+        .eq('order_id', order.id);
+      expect(shipped.every(fulfilment => fulfilment.shipped_at)).toBe(true);
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', order.id);
+    }
+  });
+});
+
+describe('Order Lifecycle Tests', () => {
+  test('should reject illegal transitions and record legal ones', async () => {
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .insert({ customer_id: customer.id, total_amount: 1, shipping_address: {} })
+      .select('id')
+      .single();
+
+    try {
+      const { error: illegal } = await supabaseAdmin.from('orders').update({ status: 'shipped' }).eq('id', order.id);
+      expect(illegal?.message).toBe('Illegal order status transition');
+
+      const { data: cancelled, error } = await supabaseAdmin.rpc('transition_order_status', {
+        p_order_id: order.id,
+        p_status: 'cancelled',
+        p_actor_id: customer.id,
+        p_actor_role: 'customer',
+        p_reason: 'Changed my mind'
+      });
+      expect(error).toBeNull();
+      expect(cancelled.status).toBe('cancelled');
+
+      const { data: history } = await supabaseAdmin
+        .from('order_status_history')
+        .select('from_status, to_status, actor_id, actor_role, reason')
+        .eq('order_id', order.id)
+        .order('created_at');
+      expect(history).toEqual([
+        { from_status: null, to_status: 'pending', actor_id: customer.id, actor_role: 'customer', reason: null },
+        { from_status: 'pending', to_status: 'cancelled', actor_id: customer.id, actor_role: 'customer', reason: 'Changed my mind' }
+      ]);
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', order.id);
+    }
+  });
+
+  // Place and pay for one unit of an in-stock product
+  const placePaidOrder = async () => {
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, stock_quantity')
+      .eq('status', 'active')
+      .gt('stock_quantity', 1)
+      .limit(1)
+      .single();
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+
+    await supabaseAdmin.from('carts').delete().eq('user_id', customer.id);
+    await supabaseAdmin.from('carts').insert({ user_id: customer.id, product_id: product.id, quantity: 1 });
+
+    const { data: placed } = await supabaseAdmin.rpc('place_order', {
+      p_customer_id: customer.id,
+      p_idempotency_key: `restock-${Date.now()}`,
+      p_shipping_address: {},
+      p_billing_address: null,
+      p_payment_method: 'upi',
+      p_notes: null
+    });
+    const { data: payment } = await supabaseAdmin.from('payments').insert({
+      order_id: placed.order.id,
+      provider: 'sandbox',
+      provider_intent_id: `sbx_intent_success_${placed.order.id}`,
+      amount: placed.order.total_amount
+    }).select('id').single();
+    await supabaseAdmin.rpc('apply_payment_result', {
+      p_payment_id: payment.id,
+      p_status: 'completed',
+      p_provider_payment_id: `sbx_pay_${placed.order.id}`
+    });
+
+    return { product, customer, order: placed.order };
+  };
+
+  test.each([
+    ['order', ({ order, customer }) => supabaseAdmin.rpc('transition_order_status', {
+      p_order_id: order.id,
+      p_status: 'cancelled',
+      p_actor_id: customer.id,
+      p_actor_role: 'customer',
+      p_reason: 'Changed my mind'
+    })],
+    ['fulfilment', ({ order }) => supabaseAdmin
+      .from('order_fulfilments')
+      .update({ status: 'cancelled' })
+      .eq('order_id', order.id)]
+  ])('should put the stock of a paid order back when its %s is cancelled', async (_, cancel) => {
+    const placed = await placePaidOrder();
+    const stock = async () => {
+      const { data } = await supabaseAdmin.from('products').select('stock_quantity').eq('id', placed.product.id).single();
+      return data.stock_quantity;
+    };
+
+    try {
+      expect(await stock()).toBe(placed.product.stock_quantity - 1);
+
+      const { error } = await cancel(placed);
+      expect(error).toBeNull();
+      expect(await stock()).toBe(placed.product.stock_quantity);
+
+      const { data: order } = await supabaseAdmin.from('orders').select('status').eq('id', placed.order.id).single();
+      expect(order.status).toBe('cancelled');
+
+      const { data: reservations } = await supabaseAdmin
+        .from('stock_reservations')
+        .select('status, release_reason')
+        .eq('order_id', placed.order.id);
+      expect(reservations).toEqual([{ status: 'released', release_reason: 'fulfilment_cancelled' }]);
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', placed.order.id);
+      await supabaseAdmin.from('products').update({ stock_quantity: placed.product.stock_quantity }).eq('id', placed.product.id);
+    }
+  });
+});
+
+describe('Return Tests', () => {
+  test('should return delivered items and refund the order once everything is back', async () => {
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, artisan_id, title, price')
+      .eq('status', 'active')
+      .limit(1)
+      .single();
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .insert({
+        customer_id: customer.id,
+        total_amount: product.price * 2,
+        shipping_address: {},
+        status: 'confirmed',
+        payment_status: 'completed'
+      })
+      .select('id')
+      .single();
+
+    try {
+      const { data: [item] } = await supabaseAdmin.from('order_items').insert({
+        order_id: order.id,
+        product_id: product.id,
+        artisan_id: product.artisan_id,
+        quantity: 2,
+        unit_price: product.price,
+        total_price: product.price * 2,
+        product_title: product.title
+      }).select('id');
+      const { data: payment } = await supabaseAdmin.from('payments').insert({
+        order_id: order.id,
+        provider: 'sandbox',
+        provider_intent_id: `sbx_intent_success_${order.id}`,
+        provider_payment_id: `sbx_pay_${order.id}`,
+        amount: product.price * 2,
+        status: 'completed'
+      }).select('id').single();
+
+      const returnItems = quantity => ({
+        p_customer_id: customer.id,
+        p_order_id: order.id,
+        p_reason: 'damaged',
+        p_description: null,
+        p_evidence_paths: [],
+        p_items: [{ orderItemId: item.id, quantity }]
+      });
+
+      const { error: notDelivered } = await supabaseAdmin.rpc('create_return_request', returnItems(1));
+      expect(notDelivered?.message).toBe('Items are not returnable');
+
+      for (const status of ['processing', 'shipped', 'delivered']) {
+        await supabaseAdmin.from('order_fulfilments').update({ status }).eq('order_id', order.id);
+      }
+
+      const { data: first, error } = await supabaseAdmin.rpc('create_return_request', returnItems(1));
+      expect(error).toBeNull();
+      expect(first.status).toBe('requested');
+
+      const { error: tooMany } = await supabaseAdmin.rpc('create_return_request', returnItems(2));
+      expect(tooMany?.message).toBe('Return quantity exceeds what can be returned');
+      expect(JSON.parse(tooMany.details)).toEqual([{ orderItemId: item.id, requested: 2, returnable: 1 }]);
+
+      const requestRefund = (returnRequestId) => supabaseAdmin.rpc('request_payment_refund', {
+        p_payment_id: payment.id,
+        p_amount: product.price,
+        p_return_request_id: returnRequestId
+      });
+      const recordRefund = (refundId) => supabaseAdmin.rpc('record_payment_refund', {
+        p_refund_id: refundId,
+        p_status: 'completed',
+        p_provider_refund_id: `sbx_rfnd_${refundId}`
+      });
+      const refund = async (returnRequestId) => {
+        const { data: requested, error: requestError } = await requestRefund(returnRequestId);
+        if (requestError) return { error: requestError };
+        return recordRefund(requested.id);
+      };
+
+      const { error: claimError } = await supabaseAdmin
+        .from('return_requests')
+        .update({ status: 'refunding' })
+        .eq('id', first.id);
+      expect(claimError).toBeNull();
+
+      const { data: partial } = await refund(first.id);
+      expect(partial.payment.status).toBe('completed');
+      expect(partial.order.status).toBe('delivered');
+
+      // A payment is refunded once per return
+      const { error: twice } = await refund(first.id);
+      expect(twice?.code).toBe('23505');
+
+      // A requested refund counts against the payment before it is recorded
+      const { data: second } = await supabaseAdmin.rpc('create_return_request', returnItems(1));
+      const { data: requested } = await requestRefund(second.id);
+      expect(requested.status).toBe('requested');
+      const { error: overRequest } = await requestRefund(null);
+      expect(overRequest?.message).toBe('Refund exceeds the amount paid');
+
+      const { data: full } = await recordRefund(requested.id);
+      expect(full.payment.status).toBe('refunded');
+      expect(full.order).toMatchObject({ status: 'refunded', payment_status: 'refunded' });
+
+      const { error: overRefund } = await refund(null);
+      expect(overRefund?.message).toBe('Refund exceeds the amount paid');
+
+      const { error: recordedTwice } = await recordRefund(requested.id);
+      expect(recordedTwice?.message).toBe('Refund was already recorded');
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', order.id);
+    }
+  });
+});
+
+describe('Shipment Tests', () => {
+  test('should ship and deliver a fulfilment from the newest tracking events', async () => {
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, artisan_id, title, price')
+      .eq('status', 'active')
+      .limit(1)
+      .single();
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .insert({
+        customer_id: customer.id,
+        total_amount: product.price,
+        shipping_address: {},
+        status: 'confirmed',
+        payment_status: 'completed'
+      })
+      .select('id')
+      .single();
+
+    try {
+      await supabaseAdmin.from('order_items').insert({
+        order_id: order.id,
+        product_id: product.id,
+        artisan_id: product.artisan_id,
+        quantity: 1,
+        unit_price: product.price,
+        total_price: product.price,
+        product_title: product.title
+      });
+      const { data: fulfilment } = await supabaseAdmin
+        .from('order_fulfilments')
+        .update({ status: 'processing' })
+        .eq('order_id', order.id)
+        .select('id')
+        .single();
+
+      const { data: shipment } = await supabaseAdmin.from('shipments').insert({
+        order_id: order.id,
+        artisan_id: product.artisan_id,
+        fulfilment_id: fulfilment.id,
+        carrier: 'local',
+        tracking_number: `LCLF${Date.now()}`
+      }).select('id').single();
+
+      const { error: secondLabel } = await supabaseAdmin.from('shipments').insert({
+        order_id: order.id,
+        artisan_id: product.artisan_id,
+        fulfilment_id: fulfilment.id,
+        carrier: 'local',
+        tracking_number: `LCLF${Date.now()}2`
+      });
+      expect(secondLabel?.code).toBe('23505');
+
+      const track = (eventId, status, occurredAt) => supabaseAdmin.from('shipment_events').insert({
+        shipment_id: shipment.id,
+        event_id: eventId,
+        status,
+        occurred_at: occurredAt
+      });
+
+      await track('evt_1', 'picked_up', '2026-10-19T10:00:00Z');
+      const { data: shipped } = await supabaseAdmin.from('order_fulfilments').select('status').eq('id', fulfilment.id).single();
+      expect(shipped.status).toBe('shipped');
+
+      await track('evt_3', 'delivered', '2026-10-21T10:00:00Z');
+      // An older event arriving late does not move the shipment back
+      await track('evt_2', 'in_transit', '2026-10-20T10:00:00Z');
+      const { error: duplicate } = await track('evt_2', 'in_transit', '2026-10-20T10:00:00Z');
+      expect(duplicate?.code).toBe('23505');
+
+      const { data: delivered } = await supabaseAdmin.from('shipments').select('status').eq('id', shipment.id).single();
+      expect(delivered.status).toBe('delivered');
+      const { data: deliveredOrder } = await supabaseAdmin.from('orders').select('status').eq('id', order.id).single();
+      expect(deliveredOrder.status).toBe('delivered');
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', order.id);
+    }
+  });
+});
+
+describe('Invoice Tests', () => {
+  test('should keep each item\'s GST slab and number invoices per artisan', async () => {
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, artisan_id, title, price, gst_rate, category:categories(gst_rate)')
+      .eq('status', 'active')
+      .limit(1)
+      .single();
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .insert({
+        customer_id: customer.id,
+        total_amount: product.price,
+        shipping_address: {},
+        status: 'confirmed',
+        payment_status: 'completed'
+      })
+      .select('id')
+      .single();
+
+    try {
+      const { data: item } = await supabaseAdmin.from('order_items').insert({
+        order_id: order.id,
+        product_id: product.id,
+        artisan_id: product.artisan_id,
+        quantity: 1,
+        unit_price: product.price,
+        total_price: product.price,
+        product_title: product.title
+      }).select('gst_rate, tax_amount').single();
+
+      const rate = Number(product.gst_rate ?? product.category.gst_rate);
+      expect(Number(item.gst_rate)).toBe(rate);
+      expect(Number(item.tax_amount)).toBeCloseTo(Number(product.price) - Number(product.price) * 100 / (100 + rate), 2);
+
+      const { data: fulfilment } = await supabaseAdmin
+        .from('order_fulfilments')
+        .select('id')
+        .eq('order_id', order.id)
+        .single();
+      const invoice = () => supabaseAdmin.from('invoices').insert({
+        fulfilment_id: fulfilment.id,
+        order_id: order.id,
+        artisan_id: product.artisan_id,
+        customer_id: customer.id,
+        supply_type: 'inter_state',
+        taxable_amount: Number(product.price) - Number(item.tax_amount),
+        igst_amount: item.tax_amount,
+        total_amount: product.price
+      }).select('invoice_number, financial_year').single();
+
+      const { data: issued, error } = await invoice();
+      expect(error).toBeNull();
+      expect(issued.invoice_number).toMatch(/^INV\/\d{2}-\d{2}\/\d{5,}$/);
+      expect(issued.invoice_number.split('/')[1]).toBe(issued.financial_year);
+
+      // One invoice per fulfilment
+      const { error: duplicate } = await invoice();
+      expect(duplicate?.code).toBe('23505');
+    } finally {
+      await supabaseAdmin.from('orders').delete().eq('id', order.id);
+    }
+  });
+});
+
+describe('Promotion Tests', () => {
+  test('should record the discount and count redemptions against the limit', async () => {
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, artisan_id, price, stock_quantity')
+      .eq('status', 'active')
+      .gt('stock_quantity', 1)
+      .limit(1)
+      .single();
+    const { data: customer } = await supabaseAdmin.from('user_profiles').select('id').limit(1).single();
+    const { data: promotion, error: promotionError } = await supabaseAdmin
+      .from('promotions')
+      .insert({
+        code: `TEST${Date.now()}`.slice(0, 32),
+        type: 'flat',
+        value: 1,
+        funded_by: 'artisan',
+        artisan_id: product.artisan_id,
+        usage_limit: 1
+      })
+      .select('id')
+      .single();
+    expect(promotionError).toBeNull();
+
+    // The discount is always quoted for one unit
+    const placeOrder = async (attempt, quantity = 1) => {
+      await supabaseAdmin.from('carts').delete().eq('user_id', customer.id);
+      await supabaseAdmin.from('carts').insert({ user_id: customer.id, product_id: product.id, quantity });
+      return supabaseAdmin.rpc('place_order', {
+        p_customer_id: customer.id,
+        p_idempotency_key: `promotion-${Date.now()}-${attempt}`,
+        p_shipping_address: {},
+        p_billing_address: null,
+        p_payment_method: 'upi',
+        p_notes: null,
+        p_shipping: [{ artisanId: product.artisan_id, service: 'standard', amount: 0 }],
+        p_promotion: {
+          promotionId: promotion.id,
+          subtotal: product.price,
+          discounts: [{ artisanId: product.artisan_id, eligibleSubtotal: product.price, amount: 1 }]
+        }
+      });
+    };
+
+    const { error: stale } = await placeOrder(0, 2);
+    expect(stale?.message).toBe('Promotion quote is out of date');
+
+    const { data: placed, error } = await placeOrder(1);
+    expect(error).toBeNull();
+
+    try {
+      expect(Number(placed.order.discount_amount)).toBe(1);
+      expect(Number(placed.order.total_amount)).toBe(Number(product.price) - 1);
+
+      const { data: fulfilment } = await supabaseAdmin
+        .from('order_fulfilments')
+        .select('discount_amount, artisan_discount_amount')
+        .eq('order_id', placed.order.id)
+        .single();
+      expect(Number(fulfilment.discount_amount)).toBe(1);
+      expect(Number(fulfilment.artisan_discount_amount)).toBe(1);
+
+      const { error: usedUp } = await placeOrder(2);
+      expect(usedUp?.message).toContain('Promotion usage limit reached');
+
+      // Cancelling the order gives its use back
+      await supabaseAdmin.from('orders').update({ status: 'cancelled' }).eq('id', placed.order.id);
+      const { count } = await supabaseAdmin
+        .from('promotion_redemptions')
+        .select('id', { count: 'exact', head: true })
+        .eq('promotion_id', promotion.id);
+      expect(count).toBe(0);
+    } finally {
+      await supabaseAdmin.from('carts').delete().eq('user_id', customer.id);
+      await supabaseAdmin.from('orders').delete().eq('id', placed.order.id);
+      await supabaseAdmin.from('promotions').delete().eq('id', promotion.id);
+      await supabaseAdmin.from('products').update({ stock_quantity: product.stock_quantity }).eq('id', product.id);
+    }
+  });
+});
+
+describe('Product Search Tests', () => {
+  test('should rank typo-tolerant matches and count facets', async () => {
+    const { data: existing } = await supabaseAdmin
+      .from('products')
+      .select('artisan_id, category_id')
+      .limit(1)
+      .single();
+    const { data: product, error: productError } = await supabaseAdmin
+      .from('products')
+      .insert({
+        artisan_id: existing.artisan_id,
+        category_id: existing.category_id,
+        title: `Jaipur Blue Pottery Vase ${Date.now()}`,
+        description: 'Hand-painted quartz vase in cobalt blue',
+        price: 2400,
+        status: 'active',
+        stock_quantity: 5,
+        tags: ['blue pottery'],
+        materials: ['Quartz Clay']
+      })
+      .select('id')
+      .single();
+    expect(productError).toBeNull();
+
+    try {
+      const { data: search, error } = await supabaseAdmin.rpc('search_products', {
+        p_query: 'blu potery jaipur',
+        p_limit: 50
+      });
+      expect(error).toBeNull();
+      expect(search.results.map(result => result.id)).toContain(product.id);
+      expect(search.facets.priceRanges).toContainEqual(expect.objectContaining({ value: '1000-3000' }));
+      expect(search.facets.materials).toContainEqual(expect.objectContaining({ value: 'quartz clay' }));
+
+      // Facets still count the other price ranges while one is chosen
+      const { data: filtered } = await supabaseAdmin.rpc('search_products', {
+        p_query: 'blu potery jaipur',
+        p_filters: { priceRange: 'above-10000' },
+        p_limit: 50
+      });
+      expect(filtered.results.map(result => result.id)).not.toContain(product.id);
+      expect(filtered.facets.priceRanges).toContainEqual(expect.objectContaining({ value: '1000-3000' }));
+    } finally {
+      await supabaseAdmin.from('products').delete().eq('id', product.id);
+    }
+  });
+});
+
+describe('Search Suggestion Tests', () => {
+  test('should filter by budget and suggest popular searches and products', async () => {
+    const { data: existing } = await supabaseAdmin
+      .from('products')
+      .select('artisan_id, category_id')
+      .limit(1)
+      .single();
+    const marker = `zardozi${Date.now()}`;
+    const { data: product, error: productError } = await supabaseAdmin
+      .from('products')
+      .insert({
+        artisan_id: existing.artisan_id,
+        category_id: existing.category_id,
+        title: `${marker} Clutch`,
+        description: 'Hand-embroidered evening clutch',
+        price: 4200,
+        status: 'active',
+        stock_quantity: 3
+      })
+      .select('id')
+      .single();
+    expect(productError).toBeNull();
+
+    try {
+      const { data: inBudget } = await supabaseAdmin.rpc('search_products', {
+        p_query: marker,
+        p_filters: { maxPrice: 5000 }
+      });
+      expect(inBudget.results.map(result => result.id)).toContain(product.id);
+
+      const { data: overBudget } = await supabaseAdmin.rpc('search_products', {
+        p_query: marker,
+        p_filters: { maxPrice: 4000 }
+      });
+      expect(overBudget.total).toBe(0);
+
+      // Searches are suggested once they were made three times
+      for (let i = 0; i < 3; i++) {
+        const { error } = await supabaseAdmin.rpc('record_search_query', { p_query: `  ${marker.toUpperCase()}   clutch ` });
+        expect(error).toBeNull();
+      }
+
+      const { data: suggestions, error } = await supabaseAdmin.rpc('search_suggestions', { p_prefix: marker });
+      expect(error).toBeNull();
+      expect(suggestions).toContainEqual({ type: 'query', text: `${marker} clutch`, value: null });
+      expect(suggestions).toContainEqual({ type: 'product', text: `${marker} Clutch`, value: product.id });
+    } finally {
+      await supabaseAdmin.from('search_queries').delete().like('query', `${marker}%`);
+      await supabaseAdmin.from('products').delete().eq('id', product.id);
+    }
+  });
+});
+
+describe('Product Similarity Tests', () => {
+  test('should recommend products wishlisted by the same shoppers', async () => {
+    const { data: existing } = await supabaseAdmin
+      .from('products')
+      .select('artisan_id, category_id')
+      .limit(1)
+      .single();
+    const { data: shoppers } = await supabaseAdmin.from('user_profiles').select('id').limit(2);
+    expect(shoppers).toHaveLength(2);
+
+    const { data: products, error: productError } = await supabaseAdmin
+      .from('products')
+      .insert(['Kantha Stole', 'Kantha Cushion Cover'].map(title => ({
+        artisan_id: existing.artisan_id,
+        category_id: existing.category_id,
+        title: `${title} ${Date.now()}`,
+        description: 'Hand-stitched kantha',
+        price: 1800,
+        status: 'active',
+        stock_quantity: 4
+      })))
+      .select('id');
+    expect(productError).toBeNull();
+    const [stole, cushion] = products.map(product => product.id);
+
+    try {
+      const { error: wishlistError } = await supabaseAdmin
+        .from('wishlists')
+        .insert(shoppers.flatMap(shopper => [stole, cushion].map(productId => ({
+          user_id: shopper.id,
+          product_id: productId
+        }))));
+      expect(wishlistError).toBeNull();
+
+      const { data: refreshed, error } = await supabaseAdmin.rpc('refresh_product_similarities', {
+        p_lookback_days: 1,
+        p_min_shoppers: 2
+      });
+      expect(error).toBeNull();
+      expect(refreshed.pairs).toBeGreaterThanOrEqual(2);
+
+      const { data: recommended } = await supabaseAdmin.rpc('recommend_products', { p_product_ids: [stole] });
+      expect(recommended[0]).toMatchObject({ id: cushion, reason: 'similar' });
+      expect(recommended.map(pick => pick.id)).not.toContain(stole);
+
+      // Wishlisting together is not buying together
+      const { data: alsoBought } = await supabaseAdmin.rpc('recommend_products', {
+        p_product_ids: [stole],
+        p_purchased_only: true
+      });
+      expect(alsoBought.filter(pick => pick.reason === 'similar')).toEqual([]);
+    } finally {
+      await supabaseAdmin.from('products').delete().in('id', [stole, cushion]);
+    }
+  });
+});
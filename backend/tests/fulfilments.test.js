@@ -0,0 +1,219 @@
+/**
+ * Fulfilment Tests
+ *
+ * Tests for per-artisan fulfilments: artisans only see and update their own
+ * share of an order, and only along the allowed transitions.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+// Mock Supabase: every query builder call chains; each awaited query on a
+// table resolves to the next of mockResults[table]
+let mockResults = {};
+const mockQueries = [];
+
+const mockBuilder = (table) => {
+  const calls = [];
+  mockQueries.push({ table, calls });
+  const result = () => Promise.resolve(mockResults[table]?.shift() || { data: null, error: null });
+
+  const builder = {
+    maybeSingle: jest.fn(result),
+    single: jest.fn(result),
+    then: (resolve, reject) => result().then(resolve, reject)
+  };
+  ['select', 'eq', 'in', 'order', 'update'].forEach(method => {
+    builder[method] = jest.fn((...args) => {
+      calls.push([method, ...args]);
+      return builder;
+    });
+  });
+  return builder;
+};
+
+const mockSupabase = {
+  from: jest.fn(table => mockBuilder(table))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const artisanId = '2b1c0d9e-8f7a-4b6c-9d5e-4f3a2b1c0d9e';
+const fulfilmentId = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+const orderId = '7d6c5b4a-3e2f-4a1b-9c8d-7e6f5a4b3c2d';
+
+const fulfilmentRow = (overrides = {}, orderOverrides = {}) => ({
+  id: fulfilmentId,
+  order_id: orderId,
+  artisan_id: artisanId,
+  artisan_order_number: 'AOM-20261019-0042/2',
+  status: 'pending',
+  carrier: null,
+  tracking_number: null,
+  shipped_at: null,
+  order: {
+    order_number: 'AOM-20261019-0042',
+    status: 'confirmed',
+    payment_status: 'completed',
+    payment_method: 'upi',
+    shipping_address: { city: 'Jaipur', state: 'Rajasthan' },
+    created_at: '2026-10-19T10:00:00.000Z',
+    customer: { full_name: 'Priya Sharma', avatar_url: null },
+    ...orderOverrides
+  },
+  ...overrides
+});
+
+const asArtisan = () => ({ data: { id: artisanId }, error: null });
+
+describe('Fulfilments', () => {
+  let FulfilmentService;
+  let fulfilmentsRouter;
+  let service;
+
+  beforeAll(async () => {
+    ({ FulfilmentService } = await import('../services/fulfilmentService.js'));
+    ({ default: fulfilmentsRouter } = await import('../api/fulfilments.routes.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResults = {};
+    mockQueries.length = 0;
+    service = new FulfilmentService(mockSupabase);
+  });
+
+  describe('listForArtisan', () => {
+    test('returns only the artisan\'s items of shared orders', async () => {
+      mockResults.artisan_profiles = [asArtisan()];
+      mockResults.order_fulfilments = [{ data: [fulfilmentRow()], error: null }];
+      mockResults.order_items = [{
+        data: [{
+          id: 'item-1',
+          order_id: orderId,
+          product_id: 'product-1',
+          product_title: 'Blue Pottery Vase',
+          product_image: null,
+          quantity: 2,
+          unit_price: '1200.00',
+          total_price: '2400.00'
+        }],
+        error: null
+      }];
+
+      const [fulfilment] = await service.listForArtisan('user-1');
+
+      const itemsQuery = mockQueries.find(query => query.table === 'order_items');
+      expect(itemsQuery.calls).toContainEqual(['eq', 'artisan_id', artisanId]);
+      expect(itemsQuery.calls).toContainEqual(['in', 'order_id', [orderId]]);
+      expect(fulfilment).toMatchObject({
+        artisanOrderNumber: 'AOM-20261019-0042/2',
+        status: 'pending',
+        order: { orderNumber: 'AOM-20261019-0042', customerName: 'Priya Sharma' },
+        items: [{ title: 'Blue Pottery Vase', quantity: 2, unitPrice: 1200, totalPrice: 2400 }]
+      });
+    });
+
+    test('requires an artisan profile', async () => {
+      await expect(service.listForArtisan('user-1')).rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('updateFulfilment', () => {
+    test('ships a fulfilment and returns the derived order status', async () => {
+      mockResults.artisan_profiles = [asArtisan()];
+      mockResults.order_fulfilments = [
+        { data: fulfilmentRow({ status: 'processing' }, { status: 'processing' }), error: null },
+        { data: null, error: null },
+        { data: fulfilmentRow({ status: 'shipped', tracking_number: 'EE123456789IN' }, { status: 'shipped' }), error: null }
+      ];
+
+      const fulfilment = await service.updateFulfilment('user-1', fulfilmentId, {
+        status: 'shipped',
+        trackingNumber: 'EE123456789IN'
+      });
+
+      const update = mockQueries
+        .filter(query => query.table === 'order_fulfilments')
+        .flatMap(query => query.calls)
+        .find(([method]) => method === 'update');
+      expect(update).toEqual(['update', { status: 'shipped', tracking_number: 'EE123456789IN' }]);
+      expect(fulfilment).toMatchObject({
+        status: 'shipped',
+        trackingNumber: 'EE123456789IN',
+        order: { status: 'shipped' }
+      });
+    });
+
+    test('rejects another artisan\'s fulfilment', async () => {
+      mockResults.artisan_profiles = [asArtisan()];
+
+      await expect(service.updateFulfilment('user-1', fulfilmentId, { status: 'processing' }))
+        .rejects.toMatchObject({ status: 404, message: 'Fulfilment not found' });
+    });
+
+    test('does not fulfil unpaid orders', async () => {
+      mockResults.artisan_profiles = [asArtisan()];
+      mockResults.order_fulfilments = [{ data: fulfilmentRow({}, { status: 'pending' }), error: null }];
+
+      await expect(service.updateFulfilment('user-1', fulfilmentId, { status: 'processing' }))
+        .rejects.toMatchObject({ status: 409, message: 'Order is not ready for fulfilment' });
+    });
+
+    test('rejects skipped and backward transitions', async () => {
+      mockResults.artisan_profiles = [asArtisan(), asArtisan()];
+      mockResults.order_fulfilments = [
+        { data: fulfilmentRow(), error: null },
+        { data: fulfilmentRow({ status: 'shipped' }, { status: 'shipped' }), error: null }
+      ];
+
+      await expect(service.updateFulfilment('user-1', fulfilmentId, { status: 'shipped' }))
+        .rejects.toMatchObject({ status: 409, message: 'Cannot move a pending fulfilment to shipped' });
+      await expect(service.updateFulfilment('user-1', fulfilmentId, { status: 'cancelled' }))
+        .rejects.toMatchObject({ status: 409, message: 'Cannot move a shipped fulfilment to cancelled' });
+    });
+  });
+
+  describe('PATCH /api/fulfilments/:fulfilmentId', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.TEST_BYPASS_AUTH = 'true';
+      app = express();
+      app.use(express.json());
+      app.use('/api/fulfilments', fulfilmentsRouter);
+    });
+
+    afterAll(() => {
+      delete process.env.TEST_BYPASS_AUTH;
+    });
+
+    test('responds 409 to illegal transitions', async () => {
+      mockResults.artisan_profiles = [asArtisan()];
+      mockResults.order_fulfilments = [{ data: fulfilmentRow(), error: null }];
+
+      const res = await request(app)
+        .patch(`/api/fulfilments/${fulfilmentId}`)
+        .send({ status: 'delivered' });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({
+        error: 'Fulfilment update failed',
+        message: 'Cannot move a pending fulfilment to delivered'
+      });
+    });
+
+    test('rejects empty updates', async () => {
+      const res = await request(app)
+        .patch(`/api/fulfilments/${fulfilmentId}`)
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(mockSupabase.from).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * Invoice Tests
+ *
+ * Tests for GST: state codes and the CGST + SGST or IGST split of
+ * GST-inclusive prices, the cart's tax quote, the PDF writer, issuing and
+ * storing numbered invoices per artisan fulfilment and the invoice routes.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+// Mock Supabase: every query builder call chains; single reads resolve to the
+// next of mockQueue[table] or else mockRows[table], list reads to
+// mockLists[table], inserts to the row inserted (or the next of
+// mockInsertErrors[table]) and updates succeed
+let mockRows = {};
+let mockQueue = {};
+let mockLists = {};
+let mockInsertErrors = {};
+let mockWrites = [];
+
+const mockBuilder = (table) => {
+  let inserted = null;
+  let updating = false;
+  const read = () => ({
+    data: (mockQueue[table]?.length ? mockQueue[table].shift() : mockRows[table]) ?? null,
+    error: null
+  });
+  const insertResult = () => {
+    const error = mockInsertErrors[table]?.shift();
+    return error
+      ? { data: null, error }
+      : {
+          data: {
+            id: `${table}-1`,
+            invoice_number: 'INV/26-27/00001',
+            financial_year: '26-27',
+            issued_at: '2026-10-19T10:00:00.000Z',
+            storage_path: null,
+            ...inserted
+          },
+          error: null
+        };
+  };
+  const builder = {
+    insert: jest.fn(row => {
+      inserted = row;
+      mockWrites.push({ table, insert: row });
+      return builder;
+    }),
+    update: jest.fn(row => {
+      updating = true;
+      mockWrites.push({ table, update: row });
+      return builder;
+    }),
+    maybeSingle: jest.fn(() => Promise.resolve(read())),
+    single: jest.fn(() => Promise.resolve(inserted ? insertResult() : read())),
+    then: (resolve, reject) => Promise.resolve(updating
+      ? { data: null, error: null }
+      : { data: mockLists[table] ?? [], error: null }).then(resolve, reject)
+  };
+  ['select', 'eq', 'in', 'order', 'limit'].forEach(method => {
+    builder[method] = jest.fn(() => builder);
+  });
+  return builder;
+};
+
+const mockStorage = {
+  upload: jest.fn(() => Promise.resolve({ data: {}, error: null })),
+  createSignedUrl: jest.fn((path) => Promise.resolve({
+    data: { signedUrl: `https://storage.test/${path}?token=t` },
+    error: null
+  }))
+};
+
+const mockSupabase = {
+  from: jest.fn(table => mockBuilder(table)),
+  rpc: jest.fn(),
+  storage: { from: jest.fn(() => mockStorage) }
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const customerId = 'test-user-id';
+const artisanId = 'a1b2c3d4-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const orderId = '7d6c5b4a-3e2f-4a1b-9c8d-7e6f5a4b3c2d';
+const fulfilmentId = '5f4e3d2c-1b0a-4f9e-8d7c-6b5a4f3e2d1c';
+
+const fulfilmentRow = (overrides = {}) => ({
+  id: fulfilmentId,
+  order_id: orderId,
+  artisan_id: artisanId,
+  artisan_order_number: 'AOM-20261019-0042/1',
+  status: 'processing',
+  shipping_service: 'standard',
+  shipping_amount: '90.00',
+  order: {
+    id: orderId,
+    customer_id: customerId,
+    order_number: 'AOM-20261019-0042',
+    status: 'confirmed',
+    shipping_address: { full_name: 'Asha Rao', address_line_1: '4 MG Road', city: 'Pune', state: 'Maharashtra', postal_code: '411001' },
+    created_at: '2026-10-19T09:00:00.000Z'
+  },
+  artisan: {
+    id: artisanId,
+    user_id: 'artisan-user-id',
+    business_name: 'Blue Pottery Works',
+    workshop_address: '12 Kala Marg, Jaipur',
+    workshop_state: 'Rajasthan',
+    gstin: '08ABCDE1234F1Z5'
+  },
+  ...overrides
+});
+
+const orderItems = [
+  { product_title: 'Blue Pottery Vase (large)', hsn_code: '6913', gst_rate: '12.00', quantity: 2, unit_price: '1120.00', total_price: '2240.00' },
+  { product_title: 'Block-printed Cushion Cover', hsn_code: '6304', gst_rate: '5.00', quantity: 1, unit_price: '525.00', total_price: '525.00' }
+];
+
+describe('Invoices', () => {
+  let gstStateCode;
+  let supplyType;
+  let gstBreakdown;
+  let TaxService;
+  let PdfDocument;
+  let InvoiceService;
+  let ordersRouter;
+  let taxRouter;
+
+  beforeAll(async () => {
+    ({ gstStateCode, supplyType, gstBreakdown, TaxService } = await import('../services/taxService.js'));
+    ({ PdfDocument } = await import('../utils/pdf.js'));
+    ({ InvoiceService } = await import('../services/invoiceService.js'));
+    ({ default: ordersRouter } = await import('../api/orders.routes.js'));
+    ({ default: taxRouter } = await import('../api/tax.routes.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRows = {};
+    mockQueue = {};
+    mockLists = {};
+    mockInsertErrors = {};
+    mockWrites = [];
+  });
+
+  describe('GST', () => {
+    test('recognises states as addresses write them', () => {
+      expect(gstStateCode('Maharashtra')).toBe('27');
+      expect(gstStateCode(' jammu & kashmir ')).toBe('01');
+      expect(gstStateCode('Orissa')).toBe('21');
+      expect(gstStateCode('Atlantis')).toBeNull();
+    });
+
+    test('taxes sales within a state as CGST + SGST and others as IGST', () => {
+      expect(supplyType('Rajasthan', 'RAJASTHAN')).toBe('intra_state');
+      expect(supplyType('Rajasthan', 'Maharashtra')).toBe('inter_state');
+      // Without the seller's state the sale cannot be shown to be local
+      expect(supplyType(null, 'Maharashtra')).toBe('inter_state');
+    });
+
+    test('takes the GST out of GST-inclusive amounts', () => {
+      const intra = gstBreakdown([
+        { amount: 1120, gstRate: 12 },
+        { amount: 101, gstRate: 5 }
+      ], 'intra_state');
+
+      expect(intra.lines[0]).toMatchObject({ taxableAmount: 1000, cgstAmount: 60, sgstAmount: 60, igstAmount: 0 });
+      // Odd paise go to SGST so the halves add up to the tax
+      expect(intra.lines[1]).toMatchObject({ taxableAmount: 96.19, cgstAmount: 2.4, sgstAmount: 2.41 });
+      expect(intra).toMatchObject({ taxableAmount: 1096.19, taxAmount: 124.81, totalAmount: 1221 });
+
+      const inter = gstBreakdown([{ amount: 2360, gstRate: 18 }], 'inter_state');
+      expect(inter).toMatchObject({ taxableAmount: 2000, cgstAmount: 0, sgstAmount: 0, igstAmount: 360, taxAmount: 360 });
+    });
+
+    test('quotes the GST in a cart per artisan', async () => {
+      mockRows.addresses = { state: 'Rajasthan' };
+      mockLists.carts = [
+        {
+          quantity: 2,
+          product: {
+            id: 'product-1', artisan_id: artisanId, price: '1120.00', gst_rate: null,
+            category: { gst_rate: '12.00' },
+            artisan: { id: artisanId, business_name: 'Blue Pottery Works', workshop_state: 'Rajasthan' }
+          }
+        },
+        {
+          quantity: 1,
+          product: {
+            id: 'product-2', artisan_id: 'artisan-2', price: '590.00', gst_rate: '18.00',
+            category: { gst_rate: '12.00' },
+            artisan: { id: 'artisan-2', business_name: 'Brass Works', workshop_state: 'Uttar Pradesh' }
+          }
+        }
+      ];
+
+      const quote = await new TaxService({ client: mockSupabase }).quoteCart(customerId);
+
+      expect(quote).toMatchObject({ placeOfSupply: 'Rajasthan', currency: 'INR', taxableAmount: 2500, taxAmount: 330 });
+      expect(quote.artisans).toEqual([
+        expect.objectContaining({ artisanId, supplyType: 'intra_state', cgstAmount: 120, sgstAmount: 120, igstAmount: 0 }),
+        expect.objectContaining({ artisanId: 'artisan-2', supplyType: 'inter_state', igstAmount: 90 })
+      ]);
+    });
+  });
+
+  describe('PdfDocument', () => {
+    test('writes a PDF whose cross-reference table points at its objects', () => {
+      const pdf = new PdfDocument()
+        .text(40, 50, 'Total (incl. GST) ₹1,200.00', { bold: true })
+        .line(40, 60, 555, 60)
+        .addPage()
+        .text(555, 50, 'Page 2', { align: 'right' })
+        .toBuffer()
+        .toString('latin1');
+
+      expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+      expect(pdf.endsWith('%%EOF\n')).toBe(true);
+      expect(pdf).toContain('(Total \\(incl. GST\\) Rs.1,200.00) Tj');
+      expect(pdf).toContain('/Count 2');
+
+      const offsets = [...pdf.matchAll(/(\d{10}) 00000 n/g)].map(match => Number(match[1]));
+      offsets.forEach((offset, index) => {
+        expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+      });
+      const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+      expect(pdf.slice(xref).startsWith('xref')).toBe(true);
+    });
+  });
+
+  describe('InvoiceService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new InvoiceService({ client: mockSupabase });
+      mockRows.artisan_profiles = { id: artisanId };
+      mockRows.order_fulfilments = fulfilmentRow();
+      mockLists.order_items = orderItems;
+    });
+
+    test('issues a numbered invoice with shipping taxed at the goods\' highest rate', async () => {
+      const invoice = await service.getForArtisan('artisan-user-id', fulfilmentId);
+
+      const { insert } = mockWrites.find(write => write.table === 'invoices' && write.insert);
+      expect(insert).toMatchObject({
+        fulfilment_id: fulfilmentId,
+        customer_id: customerId,
+        supply_type: 'inter_state',
+        seller_state: 'Rajasthan',
+        place_of_supply: 'Maharashtra',
+        cgst_amount: 0,
+        sgst_amount: 0,
+        igst_amount: 240 + 25 + 9.64,
+        total_amount: 2240 + 525 + 90
+      });
+      expect(insert.lines[2]).toMatchObject({ description: 'Shipping (standard)', hsnCode: '996812', gstRate: 12, taxableAmount: 80.36 });
+
+      const [path, pdf, options] = mockStorage.upload.mock.calls[0];
+      expect(path).toBe(`${orderId}/invoices-1.pdf`);
+      expect(options).toEqual({ contentType: 'application/pdf', upsert: true });
+      const text = pdf.toString('latin1');
+      expect(text).toContain('(Invoice No. INV/26-27/00001)');
+      expect(text).toContain('(GSTIN: 08ABCDE1234F1Z5)');
+      expect(text).toContain('(Place of supply: Maharashtra \\(27\\))');
+      expect(text).toContain('(IGST)');
+      expect(text).not.toContain('(CGST)');
+
+      expect(mockWrites).toContainEqual({ table: 'invoices', update: { storage_path: path } });
+      expect(mockStorage.createSignedUrl).toHaveBeenCalledWith(path, 3600, { download: 'INV-26-27-00001.pdf' });
+      expect(invoice).toMatchObject({
+        invoiceNumber: 'INV/26-27/00001',
+        supplyType: 'inter_state',
+        totalAmount: 2855,
+        downloadUrl: `https://storage.test/${path}?token=t`
+      });
+    });
+
+    test('splits the GST of a sale within the artisan\'s state', async () => {
+      mockRows.order_fulfilments = fulfilmentRow({
+        shipping_amount: '0.00',
+        order: { ...fulfilmentRow().order, shipping_address: { full_name: 'Meera Shah', state: 'Rajasthan' } }
+      });
+
+      await service.getForArtisan('artisan-user-id', fulfilmentId);
+
+      const { insert } = mockWrites.find(write => write.table === 'invoices' && write.insert);
+      expect(insert).toMatchObject({ supply_type: 'intra_state', cgst_amount: 132.5, sgst_amount: 132.5, igst_amount: 0 });
+      expect(insert.lines).toHaveLength(2);
+      expect(mockStorage.upload.mock.calls[0][1].toString('latin1')).toContain('(SGST)');
+    });
+
+    test('takes discounts the artisan funds off the invoiced lines', async () => {
+      mockRows.order_fulfilments = fulfilmentRow({
+        shipping_amount: '0.00',
+        discount_amount: '276.50',
+        artisan_discount_amount: '276.50'
+      });
+
+      await service.getForArtisan('artisan-user-id', fulfilmentId);
+
+      const { insert } = mockWrites.find(write => write.table === 'invoices' && write.insert);
+      expect(insert.total_amount).toBe(2765 - 276.5);
+      expect(insert.lines[0]).toMatchObject({ amount: 2016, discountAmount: 224 });
+      expect(insert.lines[1]).toMatchObject({ amount: 472.5, discountAmount: 52.5 });
+      expect(mockStorage.upload.mock.calls[0][1].toString('latin1')).toContain('seller discount of Rs. 276.50');
+    });
+
+    test('invoices the full price when the platform funds the discount', async () => {
+      mockRows.order_fulfilments = fulfilmentRow({ discount_amount: '200.00', artisan_discount_amount: '0.00' });
+
+      await service.getForArtisan('artisan-user-id', fulfilmentId);
+
+      const { insert } = mockWrites.find(write => write.table === 'invoices' && write.insert);
+      expect(insert.total_amount).toBe(2855);
+    });
+
+    test('hands out an issued invoice again without issuing another', async () => {
+      mockRows.invoices = {
+        id: 'invoice-1',
+        invoice_number: 'INV/26-27/00007',
+        fulfilment_id: fulfilmentId,
+        total_amount: '2855.00',
+        storage_path: `${orderId}/invoice-1.pdf`
+      };
+      // Invoices stay downloadable after the fulfilment is cancelled
+      mockRows.order_fulfilments = fulfilmentRow({ status: 'cancelled' });
+
+      const invoice = await service.getForArtisan('artisan-user-id', fulfilmentId);
+
+      expect(mockWrites).toEqual([]);
+      expect(mockStorage.upload).not.toHaveBeenCalled();
+      expect(invoice).toMatchObject({ invoiceNumber: 'INV/26-27/00007', totalAmount: 2855 });
+    });
+
+    test('uses the invoice another request issued meanwhile', async () => {
+      mockInsertErrors.invoices = [{ code: '23505', message: 'duplicate key value' }];
+      mockQueue.invoices = [null, { id: 'invoice-2', invoice_number: 'INV/26-27/00008', storage_path: `${orderId}/invoice-2.pdf` }];
+
+      const invoice = await service.getForArtisan('artisan-user-id', fulfilmentId);
+
+      expect(mockStorage.upload).not.toHaveBeenCalled();
+      expect(invoice.invoiceNumber).toBe('INV/26-27/00008');
+    });
+
+    test('only invoices paid orders and fulfilments still going ahead', async () => {
+      mockRows.order_fulfilments = fulfilmentRow({ order: { ...fulfilmentRow().order, status: 'pending' } });
+      await expect(service.getForArtisan('artisan-user-id', fulfilmentId))
+        .rejects.toMatchObject({ status: 409, message: 'Order is not paid yet' });
+
+      mockRows.order_fulfilments = fulfilmentRow({ status: 'cancelled' });
+      await expect(service.getForArtisan('artisan-user-id', fulfilmentId))
+        .rejects.toMatchObject({ status: 409, message: 'Fulfilment was cancelled' });
+
+      mockRows.order_fulfilments = null;
+      await expect(service.getForArtisan('artisan-user-id', fulfilmentId)).rejects.toMatchObject({ status: 404 });
+
+      mockRows.artisan_profiles = null;
+      await expect(service.getForArtisan(customerId, fulfilmentId)).rejects.toMatchObject({ status: 403 });
+    });
+
+    test('lists the invoices of the customer\'s order, leaving out cancelled fulfilments', async () => {
+      mockRows.orders = { id: orderId, status: 'confirmed' };
+      mockLists.order_fulfilments = [
+        fulfilmentRow(),
+        fulfilmentRow({ id: 'fulfilment-2', artisan_id: 'artisan-2', status: 'cancelled' })
+      ];
+
+      const invoices = await service.listForOrder({ id: customerId, role: 'customer' }, orderId);
+
+      expect(invoices).toHaveLength(1);
+      expect(invoices[0]).toMatchObject({ fulfilmentId, invoiceNumber: 'INV/26-27/00001' });
+      const ordersQuery = mockSupabase.from.mock.results[0].value;
+      expect(ordersQuery.eq).toHaveBeenCalledWith('customer_id', customerId);
+    });
+  });
+
+  describe('Routes', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.TEST_BYPASS_AUTH = 'true';
+      app = express();
+      app.use(express.json());
+      app.use('/api/orders', ordersRouter);
+      app.use('/api/tax', taxRouter);
+    });
+
+    afterAll(() => {
+      delete process.env.TEST_BYPASS_AUTH;
+    });
+
+    test('GET /api/orders/:orderId/invoices answers 404 for other customers\' orders', async () => {
+      const res = await request(app).get(`/api/orders/${orderId}/invoices`);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: 'Invoice unavailable', message: 'Order not found' });
+    });
+
+    test('POST /api/tax/quote validates the address ID', async () => {
+      const res = await request(app).post('/api/tax/quote').send({ addressId: 'home' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * LLM Provider Tests
+ *
+ * Tests for the pluggable provider layer behind BaseAgent: the offline
+ * fixture provider, the OpenAI-compatible adapter, and agent wiring.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock Supabase
+const mockInsert = jest.fn(() => Promise.resolve({ data: [], error: null }));
+const mockSupabase = {
+  from: jest.fn(() => ({
+    insert: mockInsert
+  }))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+describe('LLM Provider Layer', () => {
+  let FixtureProvider;
+  let OpenAICompatibleProvider;
+  let synthesizeFromSchema;
+  let fixturesDir;
+
+  beforeAll(async () => {
+    const llm = await import('../services/llm/index.js');
+    FixtureProvider = llm.FixtureProvider;
+    OpenAICompatibleProvider = llm.OpenAICompatibleProvider;
+    ({ synthesizeFromSchema } = await import('../services/llm/FixtureProvider.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  describe('Fixture Provider', () => {
+    const request = {
+      systemPrompt: 'You are a test agent',
+      messages: [{ role: 'user', content: 'Tell me about Madhubani paintings' }]
+    };
+
+    test('should hash prompts independently of key order', () => {
+      const a = FixtureProvider.hashRequest({
+        systemPrompt: 'sys',
+        messages: [],
+        responseSchema: { type: 'object', properties: { a: { type: 'string' } } }
+      });
+      const b = FixtureProvider.hashRequest({
+        responseSchema: { properties: { a: { type: 'string' } }, type: 'object' },
+        messages: [],
+        systemPrompt: 'sys'
+      });
+
+      expect(a).toBe(b);
+      expect(a).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    test('should record through the delegate and replay offline', async () => {
+      const delegate = {
+        generate: jest.fn().mockResolvedValue({
+          text: 'Madhubani art comes from Mithila.',
+          model: 'gemini-2.0-flash-001',
+          usage: { promptTokens: 12, completionTokens: 7, totalTokens: 19 }
+        })
+      };
+
+      const recorder = new FixtureProvider({ fixturesDir, mode: 'record', delegate });
+      await recorder.generate(request);
+
+      const replayer = new FixtureProvider({ fixturesDir, mode: 'strict' });
+      const replayed = await replayer.generate(request);
+
+      expect(delegate.generate).toHaveBeenCalledTimes(1);
+      expect(replayed.text).toBe('Madhubani art comes from Mithila.');
+      expect(replayed.usage.totalTokens).toBe(19);
+    });
+
+    test('should fail in strict mode when no recording exists', async () => {
+      const provider = new FixtureProvider({ fixturesDir, mode: 'strict' });
+
+      await expect(provider.generate(request)).rejects.toThrow('No LLM fixture recorded');
+    });
+
+    test('should synthesize a deterministic answer in replay mode', async () => {
+      const provider = new FixtureProvider({ fixturesDir });
+
+      const first = await provider.generate(request);
+      const second = await provider.generate(request);
+
+      expect(first.text).toBe(second.text);
+    });
+
+    test('should synthesize JSON that satisfies the response schema', async () => {
+      const provider = new FixtureProvider({ fixturesDir });
+      const responseSchema = {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: ['Order Status', 'Shipping'] },
+          actions: { type: 'array', items: { type: 'object', properties: { priority: { type: 'number' } } } }
+        }
+      };
+
+      const { text } = await provider.generate({ ...request, responseSchema });
+
+      expect(JSON.parse(text)).toEqual({
+        category: 'Order Status',
+        actions: [{ priority: 0 }]
+      });
+    });
+
+    test('should stream the answer in several chunks', async () => {
+      const provider = new FixtureProvider({ fixturesDir });
+      const { text } = await provider.generate(request);
+
+      const chunks = [];
+      for await (const chunk of provider.stream(request)) {
+        chunks.push(chunk.text);
+      }
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.join('')).toBe(text);
+    });
+
+    test('should require a delegate in record mode', () => {
+      expect(() => new FixtureProvider({ fixturesDir, mode: 'record' }))
+        .toThrow('requires a delegate');
+    });
+
+    test('should build values for nested schemas', () => {
+      const value = synthesizeFromSchema({
+        type: 'object',
+        properties: { name: { type: 'string' }, inStock: { type: 'boolean' } },
+        required: ['name']
+      });
+
+      expect(value).toEqual({ name: 'fixture name' });
+    });
+  });
+
+  describe('OpenAI-compatible Provider', () => {
+    test('should call chat completions and map usage', async () => {
+      const httpClient = {
+        post: jest.fn().mockResolvedValue({
+          data: {
+            model: 'llama3',
+            choices: [{ message: { content: '{"ok":true}' } }],
+            usage: { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14, prompt_tokens_details: { cached_tokens: 6 } }
+          }
+        })
+      };
+      const provider = new OpenAICompatibleProvider({ httpClient, defaultModel: 'llama3' });
+
+      const result = await provider.generate({
+        systemPrompt: 'sys',
+        messages: [{ role: 'assistant', content: 'hi' }, { role: 'user', content: 'json please' }],
+        generationConfig: { temperature: 0.2, maxTokens: 50 },
+        responseSchema: { type: 'object' },
+        schemaName: 'answer'
+      });
+
+      const [endpoint, body] = httpClient.post.mock.calls[0];
+      expect(endpoint).toBe('/chat/completions');
+      expect(body.messages[0]).toEqual({ role: 'system', content: 'sys' });
+      expect(body.max_tokens).toBe(50);
+      expect(body.response_format.json_schema.name).toBe('answer');
+      expect(result).toEqual({
+        text: '{"ok":true}',
+        toolCalls: [],
+        model: 'llama3',
+        usage: { promptTokens: 10, completionTokens: 4, cachedTokens: 6, totalTokens: 14 }
+      });
+    });
+  });
+
+  describe('Gemini Provider', () => {
+    test('should stream text deltas followed by usage', async () => {
+      const { GeminiProvider } = await import('../services/llm/index.js');
+      async function* chunks() {
+        yield { text: () => 'Hand-block ' };
+        yield { text: () => 'printing' };
+      }
+      const client = {
+        getGenerativeModel: jest.fn(() => ({
+          generateContentStream: jest.fn().mockResolvedValue({
+            stream: chunks(),
+            response: Promise.resolve({
+              usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2, totalTokenCount: 7 }
+            })
+          })
+        }))
+      };
+      const provider = new GeminiProvider({ client });
+
+      const received = [];
+      for await (const chunk of provider.stream({ messages: [{ role: 'user', content: 'hi' }] })) {
+        received.push(chunk);
+      }
+
+      expect(received).toEqual([
+        { text: 'Hand-block ' },
+        { text: 'printing' },
+        { usage: { promptTokens: 5, completionTokens: 2, cachedTokens: 0, totalTokens: 7 } }
+      ]);
+    });
+  });
+
+  describe('BaseAgent wiring', () => {
+    test('should generate responses through the configured provider', async () => {
+      const { default: BaseAgent } = await import('../agents/BaseAgent.js');
+      const agent = new BaseAgent('customer-support');
+      agent.provider = new FixtureProvider({ fixturesDir });
+
+      const response = await agent.generateResponse(
+        [{ role: 'user', content: 'Where is my order?' }],
+        { skipCache: true }
+      );
+
+      expect(response).toContain('offline response');
+      expect(mockSupabase.from).toHaveBeenCalledWith('ai_interactions');
+    });
+
+    test('should stream responses and cache the full answer', async () => {
+      const { default: BaseAgent } = await import('../agents/BaseAgent.js');
+      const agent = new BaseAgent('customer-insights');
+      agent.provider = new FixtureProvider({ fixturesDir });
+      const messages = [{ role: 'user', content: 'Tell me a Pattachitra story' }];
+
+      let streamed = '';
+      for await (const text of agent.streamResponse(messages)) {
+        streamed += text;
+      }
+
+      expect(await agent.cache.get(agent.responseCacheKey(messages))).toBe(streamed);
+      expect(mockInsert).toHaveBeenCalledTimes(1);
+    });
+  });
+});
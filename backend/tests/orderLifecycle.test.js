@@ -0,0 +1,333 @@
+/**
+ * Order Lifecycle Tests
+ *
+ * Tests for the order state machine, who may move orders along it, and the
+ * dispatcher publishing status changes as order domain events.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+// Mock Supabase: maybeSingle yields mockOrder and writes succeed
+let mockOrder = null;
+
+const mockQuery = {
+  select: jest.fn(() => mockQuery),
+  eq: jest.fn(() => mockQuery),
+  in: jest.fn(() => mockQuery),
+  order: jest.fn(() => mockQuery),
+  update: jest.fn(() => mockQuery),
+  maybeSingle: jest.fn(() => Promise.resolve({ data: mockOrder, error: null })),
+  then: (resolve, reject) => Promise.resolve({ data: null, error: null }).then(resolve, reject)
+};
+
+const mockSupabase = {
+  from: jest.fn(() => mockQuery),
+  rpc: jest.fn()
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const orderId = '7d6c5b4a-3e2f-4a1b-9c8d-7e6f5a4b3c2d';
+const customer = { id: 'test-user-id', role: 'customer' };
+const admin = { id: 'admin-user-id', role: 'admin' };
+
+const orderRow = (overrides = {}) => ({
+  id: orderId,
+  customer_id: customer.id,
+  order_number: 'AOM-20261019-0042',
+  status: 'pending',
+  payment_status: 'pending',
+  total_amount: '4400.00',
+  ...overrides
+});
+
+const historyRow = (overrides = {}) => ({
+  id: 'history-1',
+  order_id: orderId,
+  from_status: 'processing',
+  to_status: 'shipped',
+  actor_id: 'artisan-user-id',
+  actor_role: 'artisan',
+  reason: 'Fulfilment AOM-20261019-0042/1 shipped',
+  created_at: '2026-10-19T10:00:00.000Z',
+  ...overrides
+});
+
+describe('Order Lifecycle', () => {
+  let canTransition;
+  let OrderLifecycle;
+  let OrderEventDispatcher;
+  let ORDER_STATUS_CHANGED;
+  let ordersRouter;
+
+  beforeAll(async () => {
+    ({ canTransition, OrderLifecycle } = await import('../services/orderLifecycle.js'));
+    ({ OrderEventDispatcher, ORDER_STATUS_CHANGED } = await import('../services/orderEvents.js'));
+    ({ default: ordersRouter } = await import('../api/orders.routes.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOrder = null;
+  });
+
+  describe('canTransition', () => {
+    test.each([
+      ['pending', 'confirmed'],
+      ['confirmed', 'processing'],
+      ['processing', 'shipped'],
+      ['shipped', 'delivered'],
+      ['pending', 'cancelled'],
+      ['processing', 'cancelled']
+    ])('allows %s -> %s', (from, to) => {
+      expect(canTransition({ status: from, payment_status: 'completed' }, to)).toBe(true);
+    });
+
+    test.each([
+      ['pending', 'shipped'],
+      ['confirmed', 'delivered'],
+      ['shipped', 'processing'],
+      ['shipped', 'cancelled'],
+      ['delivered', 'cancelled'],
+      ['cancelled', 'confirmed'],
+      ['refunded', 'confirmed']
+    ])('rejects %s -> %s', (from, to) => {
+      expect(canTransition({ status: from, payment_status: 'completed' }, to)).toBe(false);
+    });
+
+    test('only refunds paid orders', () => {
+      expect(canTransition({ status: 'delivered', payment_status: 'completed' }, 'refunded')).toBe(true);
+      expect(canTransition({ status: 'cancelled', payment_status: 'completed' }, 'refunded')).toBe(true);
+      expect(canTransition({ status: 'cancelled', payment_status: 'failed' }, 'refunded')).toBe(false);
+      expect(canTransition({ status: 'pending', payment_status: 'pending' }, 'refunded')).toBe(false);
+    });
+  });
+
+  describe('OrderLifecycle', () => {
+    let events;
+    let lifecycle;
+
+    beforeEach(() => {
+      events = { dispatch: jest.fn() };
+      lifecycle = new OrderLifecycle({ client: mockSupabase, events });
+    });
+
+    test('lets customers cancel their own orders', async () => {
+      mockOrder = orderRow();
+      mockSupabase.rpc.mockResolvedValue({ data: orderRow({ status: 'cancelled' }), error: null });
+
+      const order = await lifecycle.transition(customer, orderId, 'cancelled', 'Changed my mind');
+
+      expect(mockQuery.eq).toHaveBeenCalledWith('customer_id', customer.id);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('transition_order_status', {
+        p_order_id: orderId,
+        p_status: 'cancelled',
+        p_actor_id: customer.id,
+        p_actor_role: 'customer',
+        p_reason: 'Changed my mind'
+      });
+      expect(events.dispatch).toHaveBeenCalled();
+      expect(order).toMatchObject({ id: orderId, status: 'cancelled' });
+    });
+
+    test('leaves other transitions to admins', async () => {
+      mockOrder = orderRow({ status: 'processing', payment_status: 'completed' });
+
+      await expect(lifecycle.transition(customer, orderId, 'shipped'))
+        .rejects.toMatchObject({ status: 403 });
+
+      mockSupabase.rpc.mockResolvedValue({ data: orderRow({ status: 'shipped' }), error: null });
+      await expect(lifecycle.transition(admin, orderId, 'shipped'))
+        .resolves.toMatchObject({ status: 'shipped' });
+      expect(mockQuery.eq).not.toHaveBeenCalledWith('customer_id', admin.id);
+    });
+
+    test('rejects illegal transitions', async () => {
+      mockOrder = orderRow({ status: 'shipped', payment_status: 'completed' });
+
+      await expect(lifecycle.transition(customer, orderId, 'cancelled'))
+        .rejects.toMatchObject({ status: 409, message: 'Cannot move a shipped order to cancelled' });
+      await expect(lifecycle.transition(admin, orderId, 'processing'))
+        .rejects.toMatchObject({ status: 409 });
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('reports transitions the database rejected as conflicts', async () => {
+      mockOrder = orderRow();
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: { message: 'Illegal order status transition' } });
+
+      await expect(lifecycle.transition(customer, orderId, 'cancelled'))
+        .rejects.toMatchObject({ status: 409 });
+      expect(events.dispatch).not.toHaveBeenCalled();
+    });
+
+    test('hides other customers\' orders', async () => {
+      await expect(lifecycle.transition(customer, orderId, 'cancelled'))
+        .rejects.toMatchObject({ status: 404, message: 'Order not found' });
+      await expect(lifecycle.history(customer, orderId))
+        .rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('OrderEventDispatcher', () => {
+    let dispatcher;
+
+    beforeEach(() => {
+      dispatcher = new OrderEventDispatcher({ client: mockSupabase, batchSize: 2 });
+    });
+
+    test('publishes claimed status changes to their subscribers', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: [historyRow()], error: null });
+      const shipped = jest.fn();
+      const all = jest.fn();
+      const delivered = jest.fn();
+      dispatcher.subscribe('order.shipped', shipped);
+      dispatcher.subscribe(ORDER_STATUS_CHANGED, all);
+      dispatcher.subscribe('order.delivered', delivered);
+
+      await expect(dispatcher.dispatch()).resolves.toBe(1);
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('claim_order_status_events', { p_limit: 2 });
+      const event = {
+        id: 'history-1',
+        type: 'order.shipped',
+        orderId,
+        from: 'processing',
+        to: 'shipped',
+        actorId: 'artisan-user-id',
+        actorRole: 'artisan',
+        reason: 'Fulfilment AOM-20261019-0042/1 shipped',
+        occurredAt: '2026-10-19T10:00:00.000Z'
+      };
+      expect(shipped).toHaveBeenCalledWith(event);
+      expect(all).toHaveBeenCalledWith(event);
+      expect(delivered).not.toHaveBeenCalled();
+      expect(mockSupabase.from).toHaveBeenCalledWith('order_status_history');
+      expect(mockQuery.update).toHaveBeenCalledWith({ dispatched_at: expect.any(String) });
+      expect(mockQuery.in).toHaveBeenCalledWith('id', ['history-1']);
+    });
+
+    test('drains full batches', async () => {
+      mockSupabase.rpc
+        .mockResolvedValueOnce({ data: [historyRow({ id: 'h1' }), historyRow({ id: 'h2' })], error: null })
+        .mockResolvedValueOnce({ data: [historyRow({ id: 'h3' })], error: null });
+
+      await expect(dispatcher.dispatch()).resolves.toBe(3);
+      expect(mockSupabase.rpc).toHaveBeenCalledTimes(2);
+    });
+
+    test('keeps publishing when a subscriber fails', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: [historyRow({ id: 'h1' }), historyRow({ id: 'h2', to_status: 'delivered' })], error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
+      const failing = jest.fn(() => {
+        throw new Error('Notification service unavailable');
+      });
+      const analytics = jest.fn();
+      dispatcher.subscribe(ORDER_STATUS_CHANGED, failing);
+      const unsubscribe = dispatcher.subscribe(ORDER_STATUS_CHANGED, analytics);
+
+      await expect(dispatcher.dispatch()).resolves.toBe(0);
+
+      expect(failing).toHaveBeenCalledTimes(2);
+      expect(analytics).toHaveBeenCalledTimes(2);
+
+      unsubscribe();
+      mockSupabase.rpc.mockResolvedValueOnce({ data: [historyRow({ id: 'h3' })], error: null });
+      await dispatcher.dispatch();
+      expect(analytics).toHaveBeenCalledTimes(2);
+    });
+
+    test('publishes changes whose subscribers failed again later, backing off', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        mockSupabase.rpc.mockResolvedValueOnce({
+          data: [historyRow({ id: 'h1', to_status: 'cancelled', attempts: 3 }), historyRow({ id: 'h2', attempts: 1 })],
+          error: null
+        }).mockResolvedValueOnce({ data: [], error: null });
+        dispatcher.subscribe('order.cancelled', () => {
+          throw new Error('Gateway unavailable');
+        });
+
+        await expect(dispatcher.dispatch()).resolves.toBe(1);
+
+        // 30s doubled for each earlier attempt
+        expect(mockQuery.update).toHaveBeenCalledWith({
+          next_attempt_at: '2026-10-19T10:02:00.000Z',
+          last_error: 'Gateway unavailable'
+        });
+        expect(mockQuery.eq).toHaveBeenCalledWith('id', 'h1');
+        expect(mockQuery.in).toHaveBeenCalledWith('id', ['h2']);
+        expect(mockQuery.in).not.toHaveBeenCalledWith('id', expect.arrayContaining(['h1']));
+
+        const slow = new OrderEventDispatcher({ client: mockSupabase, batchSize: 2, maxRetryDelayMs: 60000 });
+        slow.subscribe('order.cancelled', () => Promise.reject(new Error('Gateway unavailable')));
+        mockSupabase.rpc.mockResolvedValueOnce({ data: [historyRow({ id: 'h1', to_status: 'cancelled', attempts: 9 })], error: null });
+
+        await slow.dispatch();
+        expect(mockQuery.update).toHaveBeenLastCalledWith(expect.objectContaining({
+          next_attempt_at: '2026-10-19T10:01:00.000Z'
+        }));
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('shares a running dispatch', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: [historyRow()], error: null });
+
+      const [first, second] = await Promise.all([dispatcher.dispatch(), dispatcher.dispatch()]);
+
+      expect(first).toBe(1);
+      expect(second).toBe(1);
+      expect(mockSupabase.rpc).toHaveBeenCalledTimes(1);
+    });
+
+    test('returns 0 when claiming fails', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'connection refused' } });
+
+      await expect(dispatcher.dispatch()).resolves.toBe(0);
+    });
+  });
+
+  describe('POST /api/orders/:orderId/status', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.TEST_BYPASS_AUTH = 'true';
+      app = express();
+      app.use(express.json());
+      app.use('/api/orders', ordersRouter);
+    });
+
+    afterAll(() => {
+      delete process.env.TEST_BYPASS_AUTH;
+    });
+
+    test('rejects statuses outside the lifecycle', async () => {
+      const res = await request(app)
+        .post(`/api/orders/${orderId}/status`)
+        .send({ status: 'pending' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('responds 403 when a customer tries to ship', async () => {
+      mockOrder = orderRow({ status: 'processing', payment_status: 'completed' });
+
+      const res = await request(app)
+        .post(`/api/orders/${orderId}/status`)
+        .send({ status: 'shipped' });
+
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({
+        error: 'Status change failed',
+        message: 'Only admins can move orders to shipped'
+      });
+    });
+  });
+});
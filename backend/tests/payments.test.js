@@ -0,0 +1,575 @@
+/**
+ * Payment Tests
+ *
+ * Tests for the payment providers (sandbox and Razorpay), PaymentService
+ * applying results from captures and webhooks, and the signed webhook route.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+// The routes use the configured gateway, which config/orders.js does not default
+process.env.PAYMENT_PROVIDER = 'sandbox';
+process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET = 'test-webhook-secret';
+
+// Mock Supabase: every query builder call chains; reads resolve to
+// mockRows[table] and writes to mockWrites[table]
+let mockRows = {};
+let mockWrites = {};
+const mockInserts = [];
+
+const mockBuilder = (table) => {
+  let writing = false;
+  const result = () => (writing
+    ? mockWrites[table] || { data: null, error: null }
+    : { data: mockRows[table] ?? null, error: null });
+
+  const builder = {
+    insert: jest.fn(row => {
+      mockInserts.push({ table, row });
+      writing = true;
+      return builder;
+    }),
+    update: jest.fn(() => {
+      writing = true;
+      return builder;
+    }),
+    maybeSingle: jest.fn(() => Promise.resolve(result())),
+    single: jest.fn(() => Promise.resolve(result())),
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+  };
+  ['select', 'eq', 'order'].forEach(method => {
+    builder[method] = jest.fn(() => builder);
+  });
+  return builder;
+};
+
+const mockSupabase = {
+  from: jest.fn(table => mockBuilder(table)),
+  rpc: jest.fn()
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const userId = '5c3e1a7b-2d4f-4a6b-9c8d-7e6f5a4b3c2d';
+const orderId = '7d6c5b4a-3e2f-4a1b-9c8d-7e6f5a4b3c2d';
+const paymentId = '1f2e3d4c-5b6a-4a7b-8c9d-0e1f2a3b4c5d';
+const webhookSecret = 'test-webhook-secret';
+
+const pendingOrder = {
+  id: orderId,
+  order_number: 'AOM-20261019-0042',
+  status: 'pending',
+  payment_status: 'pending',
+  total_amount: '4400.00'
+};
+
+const paymentRow = (overrides = {}) => ({
+  id: paymentId,
+  order_id: orderId,
+  provider: 'sandbox',
+  provider_intent_id: 'sbx_intent_success_abc',
+  provider_payment_id: null,
+  method: 'upi',
+  amount: '4400.00',
+  currency: 'INR',
+  status: 'pending',
+  failure_reason: null,
+  created_at: '2026-10-19T10:00:00.000Z',
+  ...overrides
+});
+
+const appliedResult = ({ payment = {}, order = {}, needsRefund = false } = {}) => ({
+  applied: true,
+  needsRefund,
+  payment: paymentRow({ status: 'completed', provider_payment_id: 'sbx_pay_1', ...payment }),
+  order: { ...pendingOrder, status: 'confirmed', payment_status: 'completed', ...order }
+});
+
+const requestedRefund = (refund = {}) => ({
+  id: 'refund-1',
+  payment_id: paymentId,
+  amount: '4400.00',
+  status: 'requested',
+  provider_refund_id: null,
+  ...refund
+});
+
+const refundResult = (refund = {}, payment = {}) => ({
+  refund: {
+    id: 'refund-1',
+    payment_id: paymentId,
+    amount: '4400.00',
+    status: 'completed',
+    provider_refund_id: 'sbx_rfnd_1',
+    ...refund
+  },
+  payment: paymentRow({ status: 'completed', provider_payment_id: 'sbx_pay_1', ...payment }),
+  order: { ...pendingOrder, status: 'confirmed', payment_status: 'completed' }
+});
+
+describe('Payments', () => {
+  let PaymentProvider;
+  let SandboxPaymentProvider;
+  let RazorpayPaymentProvider;
+  let createPaymentProvider;
+  let PaymentService;
+  let paymentsRouter;
+
+  beforeAll(async () => {
+    ({
+      PaymentProvider,
+      SandboxPaymentProvider,
+      RazorpayPaymentProvider,
+      createPaymentProvider
+    } = await import('../services/payments/index.js'));
+    ({ PaymentService } = await import('../services/paymentService.js'));
+    ({ default: paymentsRouter } = await import('../api/payments.routes.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRows = {};
+    mockWrites = {};
+    mockInserts.length = 0;
+  });
+
+  describe('SandboxPaymentProvider', () => {
+    let sandbox;
+
+    beforeEach(() => {
+      sandbox = new SandboxPaymentProvider({ webhookSecret });
+    });
+
+    test.each([
+      ['success', 'completed'],
+      ['failure', 'failed'],
+      ['pending', 'pending']
+    ])('captures %s intents as %s', async (outcome, status) => {
+      const { intentId, clientData } = await sandbox.createIntent({ amount: 4400, currency: 'INR', outcome });
+
+      expect(clientData).toMatchObject({ intentId, amount: 4400, outcome });
+      await expect(sandbox.capture(intentId)).resolves.toMatchObject({ status });
+    });
+
+    test('is not created in production', () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        expect(() => createPaymentProvider('sandbox')).toThrow('cannot be used in production');
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+      expect(createPaymentProvider('sandbox')).toBeInstanceOf(SandboxPaymentProvider);
+      expect(() => createPaymentProvider(undefined)).toThrow('PAYMENT_PROVIDER is not configured');
+    });
+
+    test('rejects unknown outcomes', async () => {
+      await expect(sandbox.createIntent({ amount: 1, outcome: 'maybe' })).rejects.toThrow('Unknown sandbox payment outcome');
+    });
+
+    test('signs webhooks it can verify', () => {
+      const { body, headers } = sandbox.buildWebhook('payment.completed', { intentId: 'sbx_intent_success_abc' });
+
+      expect(sandbox.verifyWebhook(body, headers)).toBe(true);
+      expect(sandbox.verifyWebhook(body.replace('completed', 'failed'), headers)).toBe(false);
+      expect(sandbox.verifyWebhook(body, { 'x-sandbox-signature': 'abc' })).toBe(false);
+      expect(sandbox.parseWebhook(JSON.parse(body))).toMatchObject({
+        type: 'payment.completed',
+        intentId: 'sbx_intent_success_abc'
+      });
+    });
+  });
+
+  describe('RazorpayPaymentProvider', () => {
+    let http;
+    let razorpay;
+
+    beforeEach(() => {
+      http = { get: jest.fn(), post: jest.fn() };
+      razorpay = new RazorpayPaymentProvider({ keyId: 'rzp_test_key', webhookSecret, httpClient: http });
+    });
+
+    test('creates a Razorpay order in paise', async () => {
+      http.post.mockResolvedValue({ data: { id: 'order_Rz1', amount: 440000, currency: 'INR' } });
+
+      const intent = await razorpay.createIntent({ orderId, orderNumber: 'AOM-20261019-0042', amount: 4400, currency: 'INR' });
+
+      expect(http.post).toHaveBeenCalledWith('/orders', {
+        amount: 440000,
+        currency: 'INR',
+        receipt: 'AOM-20261019-0042',
+        notes: { order_id: orderId }
+      });
+      expect(intent).toEqual({
+        intentId: 'order_Rz1',
+        clientData: { keyId: 'rzp_test_key', razorpayOrderId: 'order_Rz1', amount: 440000, currency: 'INR' }
+      });
+    });
+
+    test('captures authorized payments', async () => {
+      http.get.mockResolvedValue({ data: { id: 'pay_1', order_id: 'order_Rz1', status: 'authorized' } });
+      http.post.mockResolvedValue({ data: { id: 'pay_1', order_id: 'order_Rz1', status: 'captured' } });
+
+      const result = await razorpay.capture('order_Rz1', { providerPaymentId: 'pay_1', amount: 4400, currency: 'INR' });
+
+      expect(http.post).toHaveBeenCalledWith('/payments/pay_1/capture', { amount: 440000, currency: 'INR' });
+      expect(result).toMatchObject({ status: 'completed', providerPaymentId: 'pay_1' });
+    });
+
+    test('refuses payments made against another order', async () => {
+      http.get.mockResolvedValue({ data: { id: 'pay_1', order_id: 'order_other', status: 'captured' } });
+
+      await expect(razorpay.capture('order_Rz1', { providerPaymentId: 'pay_1' }))
+        .rejects.toThrow('does not belong to this order');
+    });
+
+    test('refunds in paise', async () => {
+      http.post.mockResolvedValue({ data: { id: 'rfnd_1', amount: 100000, status: 'processed' } });
+
+      const refund = await razorpay.refund('pay_1', { amount: 1000, reason: 'Damaged in transit' });
+
+      expect(http.post).toHaveBeenCalledWith('/payments/pay_1/refund', {
+        amount: 100000,
+        notes: { reason: 'Damaged in transit' }
+      });
+      expect(refund).toEqual({ refundId: 'rfnd_1', status: 'completed', amount: 1000 });
+    });
+
+    test('verifies and maps webhooks', () => {
+      const body = JSON.stringify({
+        event: 'payment.failed',
+        payload: { payment: { entity: { id: 'pay_1', order_id: 'order_Rz1', error_description: 'Card declined' } } }
+      });
+      const headers = {
+        'x-razorpay-signature': PaymentProvider.sign(body, webhookSecret),
+        'x-razorpay-event-id': 'evt_1'
+      };
+
+      expect(razorpay.verifyWebhook(body, headers)).toBe(true);
+      expect(razorpay.parseWebhook(JSON.parse(body), headers)).toEqual({
+        eventId: 'evt_1',
+        type: 'payment.failed',
+        intentId: 'order_Rz1',
+        providerPaymentId: 'pay_1',
+        failureReason: 'Card declined'
+      });
+    });
+  });
+
+  describe('PaymentService', () => {
+    let sandbox;
+    let service;
+
+    beforeEach(() => {
+      sandbox = new SandboxPaymentProvider({ webhookSecret });
+      service = new PaymentService({ client: mockSupabase, providers: () => sandbox });
+    });
+
+    test('starts a payment for a pending order', async () => {
+      mockRows.orders = pendingOrder;
+      mockWrites.payments = { data: paymentRow(), error: null };
+
+      const payment = await service.startPayment(userId, orderId, { method: 'upi', outcome: 'success' });
+
+      expect(mockInserts).toContainEqual({
+        table: 'payments',
+        row: expect.objectContaining({
+          order_id: orderId,
+          provider: 'sandbox',
+          provider_intent_id: expect.stringMatching(/^sbx_intent_success_/),
+          amount: 4400,
+          currency: 'INR'
+        })
+      });
+      expect(payment).toMatchObject({ id: paymentId, status: 'pending', clientData: { outcome: 'success' } });
+    });
+
+    test('refuses to choose outcomes outside the sandbox', async () => {
+      const razorpay = new RazorpayPaymentProvider({ keyId: 'rzp_test_key', webhookSecret, httpClient: {} });
+      service = new PaymentService({ client: mockSupabase, providers: () => razorpay });
+      mockRows.orders = pendingOrder;
+
+      await expect(service.startPayment(userId, orderId, { method: 'upi', outcome: 'success' }))
+        .rejects.toMatchObject({ status: 400, message: 'Payment outcomes can only be chosen in the sandbox' });
+      expect(mockInserts).toHaveLength(0);
+    });
+
+    test('only takes payments for the user\'s pending orders', async () => {
+      await expect(service.startPayment(userId, orderId, { method: 'upi' }))
+        .rejects.toMatchObject({ status: 404 });
+
+      mockRows.orders = { ...pendingOrder, status: 'cancelled' };
+      await expect(service.startPayment(userId, orderId, { method: 'upi' }))
+        .rejects.toMatchObject({ status: 409, message: 'Order is not awaiting payment' });
+    });
+
+    test('applies a successful capture', async () => {
+      mockRows.payments = paymentRow();
+      mockSupabase.rpc.mockResolvedValue({ data: appliedResult(), error: null });
+
+      const { payment, order } = await service.capturePayment(userId, paymentId);
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('apply_payment_result', expect.objectContaining({
+        p_payment_id: paymentId,
+        p_status: 'completed',
+        p_provider_payment_id: expect.stringMatching(/^sbx_pay_/)
+      }));
+      expect(payment.status).toBe('completed');
+      expect(order.status).toBe('confirmed');
+    });
+
+    test('leaves pending captures for the webhook', async () => {
+      mockRows.payments = paymentRow({ provider_intent_id: 'sbx_intent_pending_abc' });
+
+      const { payment, order } = await service.capturePayment(userId, paymentId);
+
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+      expect(payment.status).toBe('pending');
+      expect(payment.providerPaymentId).toMatch(/^sbx_pay_/);
+      expect(order).toBeNull();
+    });
+
+    test('refunds payments that arrive after the order was cancelled', async () => {
+      mockRows.payments = paymentRow();
+      mockSupabase.rpc
+        .mockResolvedValueOnce({
+          data: appliedResult({ needsRefund: true, order: { status: 'cancelled' } }),
+          error: null
+        })
+        .mockResolvedValueOnce({ data: requestedRefund(), error: null })
+        .mockResolvedValueOnce({ data: refundResult(), error: null });
+      const refund = jest.spyOn(sandbox, 'refund');
+
+      await service.capturePayment(userId, paymentId);
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('request_payment_refund', expect.objectContaining({
+        p_payment_id: paymentId,
+        p_amount: null
+      }));
+      expect(refund).toHaveBeenCalledWith('sbx_pay_1', expect.objectContaining({ amount: 4400 }));
+      expect(mockSupabase.rpc).toHaveBeenLastCalledWith('record_payment_refund', expect.objectContaining({
+        p_refund_id: 'refund-1',
+        p_status: 'completed',
+        p_provider_refund_id: expect.stringMatching(/^sbx_rfnd_/)
+      }));
+    });
+
+    test('refunds part of an order\'s payment', async () => {
+      mockRows.payments = [paymentRow({ status: 'completed', provider_payment_id: 'sbx_pay_1', refunded_amount: '1000.00' })];
+      mockSupabase.rpc
+        .mockResolvedValueOnce({ data: requestedRefund({ amount: '1200.00' }), error: null })
+        .mockResolvedValueOnce({
+          data: refundResult({ amount: '1200.00' }, { refunded_amount: '2200.00' }),
+          error: null
+        });
+
+      const { refund, payment } = await service.refundOrder(orderId, { amount: 1200, reason: 'Damaged', returnRequestId: 'return-1' });
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('request_payment_refund', expect.objectContaining({
+        p_amount: 1200,
+        p_return_request_id: 'return-1',
+        p_reason: 'Damaged'
+      }));
+      expect(refund).toMatchObject({ amount: 1200, status: 'completed' });
+      expect(payment).toMatchObject({ status: 'completed', refundedAmount: 2200 });
+    });
+
+    test('refunds orders that were paid twice across their payments', async () => {
+      const secondPaymentId = '2a3b4c5d-6e7f-4a8b-9c0d-1e2f3a4b5c6d';
+      mockRows.payments = [
+        paymentRow({ status: 'completed', provider_payment_id: 'sbx_pay_1', refunded_amount: '4000.00' }),
+        paymentRow({ id: secondPaymentId, status: 'completed', provider_payment_id: 'sbx_pay_2', created_at: '2026-10-19T10:05:00.000Z' })
+      ];
+      mockSupabase.rpc
+        .mockResolvedValueOnce({ data: requestedRefund({ amount: '400.00' }), error: null })
+        .mockResolvedValueOnce({ data: refundResult({ amount: '400.00' }, { status: 'refunded', refunded_amount: '4400.00' }), error: null })
+        .mockResolvedValueOnce({ data: requestedRefund({ id: 'refund-2', payment_id: secondPaymentId }), error: null })
+        .mockResolvedValueOnce({ data: refundResult({ id: 'refund-2', payment_id: secondPaymentId, amount: '4400.00' }), error: null });
+      const refund = jest.spyOn(sandbox, 'refund');
+
+      const result = await service.refundCancelledOrder({ orderId, reason: 'Cancelled by customer' });
+
+      expect(refund).toHaveBeenNthCalledWith(1, 'sbx_pay_1', expect.objectContaining({ amount: 400 }));
+      expect(refund).toHaveBeenNthCalledWith(2, 'sbx_pay_2', expect.objectContaining({ amount: 4400 }));
+      expect(mockSupabase.rpc).toHaveBeenNthCalledWith(1, 'request_payment_refund', expect.objectContaining({ p_payment_id: paymentId, p_amount: 400 }));
+      expect(mockSupabase.rpc).toHaveBeenNthCalledWith(2, 'record_payment_refund', expect.objectContaining({ p_refund_id: 'refund-1' }));
+      expect(mockSupabase.rpc).toHaveBeenNthCalledWith(3, 'request_payment_refund', expect.objectContaining({ p_payment_id: secondPaymentId, p_amount: 4400 }));
+      expect(mockSupabase.rpc).toHaveBeenNthCalledWith(4, 'record_payment_refund', expect.objectContaining({ p_refund_id: 'refund-2' }));
+      expect(result.refunds.map(r => r.amount)).toEqual([400, 4400]);
+    });
+
+    test('reports refunds the gateway sent but that could not be recorded', async () => {
+      mockSupabase.rpc
+        .mockResolvedValueOnce({ data: requestedRefund(), error: null })
+        .mockResolvedValueOnce({ data: null, error: new Error('connection reset') });
+
+      await expect(service.refundPayment(paymentRow({ status: 'completed', provider_payment_id: 'sbx_pay_1' })))
+        .rejects.toMatchObject({ message: 'connection reset', providerRefundId: expect.stringMatching(/^sbx_rfnd_/) });
+    });
+
+    test('does not refund again when a refund that could not be recorded is retried', async () => {
+      mockRows.payments = [paymentRow({
+        status: 'completed',
+        provider_payment_id: 'sbx_pay_1',
+        refunds: [{ amount: '4400.00', status: 'requested' }]
+      })];
+      const refund = jest.spyOn(sandbox, 'refund');
+
+      await expect(service.refundCancelledOrder({ orderId })).resolves.toBeNull();
+      expect(refund).not.toHaveBeenCalled();
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('releases the refund request when the gateway turns the refund down', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: requestedRefund(), error: null });
+      jest.spyOn(sandbox, 'refund').mockRejectedValueOnce(new Error('Gateway unavailable'));
+
+      await expect(service.refundPayment(paymentRow({ status: 'completed', provider_payment_id: 'sbx_pay_1' })))
+        .rejects.toThrow('Gateway unavailable');
+
+      const release = mockSupabase.from.mock.results
+        .find((result, i) => mockSupabase.from.mock.calls[i][0] === 'payment_refunds').value;
+      expect(release.update).toHaveBeenCalledWith({ status: 'failed' });
+      expect(release.eq).toHaveBeenCalledWith('id', 'refund-1');
+      expect(mockSupabase.rpc).not.toHaveBeenCalledWith('record_payment_refund', expect.anything());
+    });
+
+    test('resolves to null when a refund of the rest finds nothing left', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: null, error: null });
+      const refund = jest.spyOn(sandbox, 'refund');
+
+      await expect(service.refundPayment(paymentRow({ status: 'completed', provider_payment_id: 'sbx_pay_1' })))
+        .resolves.toBeNull();
+      expect(refund).not.toHaveBeenCalled();
+    });
+
+    test('refuses to refund more than was paid before calling the gateway', async () => {
+      mockRows.payments = [paymentRow({ status: 'completed', provider_payment_id: 'sbx_pay_1', refunded_amount: '4000.00' })];
+      const refund = jest.spyOn(sandbox, 'refund');
+
+      await expect(service.refundOrder(orderId, { amount: 1200 }))
+        .rejects.toMatchObject({ status: 409, message: 'Refund exceeds the amount paid' });
+      expect(refund).not.toHaveBeenCalled();
+
+      mockRows.payments = [];
+      await expect(service.refundOrder(orderId)).resolves.toBeNull();
+    });
+
+    test('completes pending refunds from the gateway\'s webhook', async () => {
+      mockRows.payments = paymentRow({ status: 'completed', provider_payment_id: 'sbx_pay_1' });
+      const { body, headers } = sandbox.buildWebhook('refund.completed', {
+        intentId: 'sbx_intent_success_abc',
+        providerPaymentId: 'sbx_pay_1',
+        refundId: 'sbx_rfnd_1'
+      });
+
+      await expect(service.handleWebhook('sandbox', body, headers)).resolves.toEqual({ applied: true });
+      const calls = mockSupabase.from.mock.calls;
+      const refunds = mockSupabase.from.mock.results[calls.findIndex(([table]) => table === 'payment_refunds')].value;
+      expect(refunds.update).toHaveBeenCalledWith({ status: 'completed' });
+      expect(refunds.eq).toHaveBeenCalledWith('provider_refund_id', 'sbx_rfnd_1');
+    });
+
+    test('applies webhooks once', async () => {
+      mockRows.payments = paymentRow({ provider_intent_id: 'sbx_intent_pending_abc' });
+      mockSupabase.rpc.mockResolvedValue({ data: appliedResult(), error: null });
+      const { body, headers } = sandbox.buildWebhook('payment.completed', {
+        intentId: 'sbx_intent_pending_abc',
+        providerPaymentId: 'sbx_pay_1'
+      });
+
+      await expect(service.handleWebhook('sandbox', body, headers))
+        .resolves.toEqual({ applied: true, orderStatus: 'confirmed' });
+      expect(mockInserts).toContainEqual({
+        table: 'payment_events',
+        row: expect.objectContaining({ provider: 'sandbox', event_type: 'payment.completed', payment_id: paymentId })
+      });
+
+      mockWrites.payment_events = { data: null, error: { code: '23505', message: 'duplicate key' } };
+      await expect(service.handleWebhook('sandbox', body, headers)).resolves.toEqual({ duplicate: true });
+      expect(mockSupabase.rpc).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects webhooks with a bad signature', async () => {
+      const { body } = sandbox.buildWebhook('payment.completed', { intentId: 'sbx_intent_pending_abc' });
+
+      await expect(service.handleWebhook('sandbox', body, { 'x-sandbox-signature': '00' }))
+        .rejects.toMatchObject({ status: 401 });
+      await expect(service.handleWebhook('paypal', body, {}))
+        .rejects.toMatchObject({ status: 404 });
+      expect(mockInserts).toHaveLength(0);
+    });
+
+    test('only accepts webhooks from the configured gateway', async () => {
+      const razorpay = new RazorpayPaymentProvider({ keyId: 'rzp_test_key', webhookSecret, httpClient: {} });
+      service = new PaymentService({ client: mockSupabase, providers: () => razorpay });
+      const { body, headers } = sandbox.buildWebhook('payment.completed', { intentId: 'sbx_intent_pending_abc' });
+
+      await expect(service.handleWebhook('sandbox', body, headers))
+        .rejects.toMatchObject({ status: 404, message: 'Unknown payment provider' });
+      expect(mockInserts).toHaveLength(0);
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/payments/webhooks/:provider', () => {
+    let app;
+    let sandbox;
+
+    beforeAll(async () => {
+      const { getPaymentProvider } = await import('../services/payments/index.js');
+      sandbox = getPaymentProvider('sandbox');
+
+      // Same body parsing as server.js
+      app = express();
+      app.use(express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        }
+      }));
+      app.use('/api/payments', paymentsRouter);
+    });
+
+    test('verifies the signature over the raw body', async () => {
+      mockRows.payments = paymentRow({ provider_intent_id: 'sbx_intent_pending_abc' });
+      mockSupabase.rpc.mockResolvedValue({ data: appliedResult(), error: null });
+      const { body, headers } = sandbox.buildWebhook('payment.completed', { intentId: 'sbx_intent_pending_abc' });
+
+      const res = await request(app)
+        .post('/api/payments/webhooks/sandbox')
+        .set(headers)
+        .send(body);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, data: { applied: true, orderStatus: 'confirmed' } });
+    });
+
+    test('responds 401 to unsigned webhooks', async () => {
+      const res = await request(app)
+        .post('/api/payments/webhooks/sandbox')
+        .send({ type: 'payment.completed', data: { intentId: 'sbx_intent_pending_abc' } });
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid webhook signature');
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('responds 404 to gateways other than the configured one', async () => {
+      const body = JSON.stringify({ event: 'payment.captured' });
+
+      const res = await request(app)
+        .post('/api/payments/webhooks/razorpay')
+        .set('Content-Type', 'application/json')
+        .set('x-razorpay-signature', PaymentProvider.sign(body, webhookSecret))
+        .send(body);
+
+      expect(res.status).toBe(404);
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Product Recommendation Tests
+ *
+ * Tests for the recommendation agent's candidates: preference filtering and
+ * pre-ranking over the real catalog and the shopper's similar products, the
+ * shortlist the model is shown, dropping picks that are not real, active
+ * products, and the job refreshing product similarities.
+ */
+
+import { jest } from '@jest/globals';
+
+// Chainable Supabase query builder that resolves to the next queued result
+// for its table; rpc() resolves search_products by the search's query and
+// recommend_products to the current picks
+const tableResults = {};
+const queryCalls = [];
+const mockInsert = jest.fn(() => Promise.resolve({ data: [], error: null }));
+let searchResults = {};
+let recommended = [];
+
+const queryBuilder = (table) => {
+  const builder = {};
+  ['select', 'eq', 'neq', 'gt', 'in', 'order', 'limit'].forEach(method => {
+    builder[method] = jest.fn((...args) => {
+      queryCalls.push({ table, method, args });
+      return builder;
+    });
+  });
+  builder.single = jest.fn(() => builder);
+  builder.then = (resolve, reject) =>
+    Promise.resolve(tableResults[table]?.shift() || { data: [], error: null }).then(resolve, reject);
+  builder.insert = mockInsert;
+  return builder;
+};
+
+const mockSupabase = {
+  from: jest.fn(table => queryBuilder(table)),
+  rpc: jest.fn((name, args) => Promise.resolve(name === 'recommend_products'
+    ? { data: recommended, error: null }
+    : { data: { total: 0, results: searchResults[args.p_query ?? 'best-rated'] || [], facets: {} }, error: null }))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+/**
+ * Provider double that replays a scripted list of responses
+ */
+const scriptedProvider = (...responses) => ({
+  name: 'scripted',
+  displayName: 'Scripted',
+  defaultModel: 'test-model',
+  generate: jest.fn(async () => responses.shift() || { text: '{"recommendations": [], "summary": ""}', toolCalls: [] })
+});
+
+const answer = (recommendations, summary = 'Picked for you') => ({
+  text: JSON.stringify({ recommendations, summary }),
+  toolCalls: []
+});
+
+const product = (id, { rating = [], price = 1500, stock = 5, category = 'textiles', region = 'West Bengal' } = {}) => ({
+  id,
+  title: `Product ${id}`,
+  description: 'Hand-stitched '.repeat(40),
+  price,
+  images: [`https://cdn.example.com/${id}.jpg`],
+  tags: ['handmade'],
+  materials: ['cotton'],
+  stock_quantity: stock,
+  is_featured: false,
+  category_id: `category-${category}`,
+  categories: { name: category.charAt(0).toUpperCase() + category.slice(1), slug: category },
+  artisan_profiles: { id: `artisan-${id}`, business_name: `Studio ${id}`, region, is_verified: true },
+  product_reviews: rating.map(value => ({ rating: value }))
+});
+
+const calls = (table, method) => queryCalls.filter(call => call.table === table && call.method === method);
+
+describe('Product Recommendations', () => {
+  let ProductRecommendationAgent;
+  let SimilarityRefresher;
+
+  beforeAll(async () => {
+    ({ ProductRecommendationAgent } = await import('../agents/ProductRecommendationAgent.js'));
+    ({ SimilarityRefresher } = await import('../services/similarityRefresher.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queryCalls.length = 0;
+    for (const table of Object.keys(tableResults)) delete tableResults[table];
+    searchResults = {};
+    recommended = [];
+  });
+
+  const newAgent = (...responses) => {
+    const agent = new ProductRecommendationAgent();
+    agent.cache = { get: jest.fn(async () => undefined), set: jest.fn(async () => {}) };
+    agent.provider = scriptedProvider(...responses);
+    return agent;
+  };
+
+  describe('rankCandidates', () => {
+    test('ranks by text relevance and review-weighted rating', async () => {
+      searchResults = {
+        'kantha or stole': [{ id: 'a', rank: 0.8 }, { id: 'b', rank: 0.4 }],
+        'best-rated': [{ id: 'c', rank: 0 }, { id: 'a', rank: 0 }]
+      };
+      tableResults.products = [{
+        data: [
+          product('a', { rating: [4, 4] }),
+          product('b', { rating: [5, 5, 5, 5, 5, 5, 5, 5] }),
+          product('c', { rating: [5] })
+        ],
+        error: null
+      }];
+
+      const ranked = await newAgent().rankCandidates('kantha stole', {});
+
+      expect(ranked.map(candidate => candidate.product.id)).toEqual(['a', 'b', 'c']);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('search_products', {
+        p_query: 'kantha or stole', p_filters: { minPrice: undefined, maxPrice: undefined }, p_sort: null, p_limit: 60
+      });
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('search_products', expect.objectContaining({ p_query: null, p_sort: 'rating' }));
+      expect(calls('products', 'in')[0].args).toEqual(['id', ['a', 'b', 'c']]);
+      expect(calls('products', 'eq')[0].args).toEqual(['status', 'active']);
+    });
+
+    test('filters on budget, categories and regions from the real catalog', async () => {
+      searchResults = { 'best-rated': [{ id: 'a', rank: 0 }, { id: 'b', rank: 0 }, { id: 'c', rank: 0 }, { id: 'd', rank: 0 }] };
+      tableResults.categories = [{ data: [{ name: 'Textiles', slug: 'textiles' }, { name: 'Pottery', slug: 'pottery' }], error: null }];
+      tableResults.products = [{
+        data: [
+          product('a'),
+          product('b', { region: 'Rajasthan' }),
+          product('c', { category: 'pottery' }),
+          product('d', { stock: 0 })
+        ],
+        error: null
+      }];
+
+      const ranked = await newAgent().rankCandidates('a gift', {
+        budgetMax: 3000,
+        categories: ['textiles'],
+        regions: ['West Bengal']
+      });
+
+      expect(ranked.map(candidate => candidate.product.id)).toEqual(['a']);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('search_products', expect.objectContaining({
+        p_query: 'gift',
+        p_filters: { minPrice: undefined, maxPrice: 3000, category: 'textiles', region: 'west bengal' }
+      }));
+    });
+
+    test('ranks products similar to the shopper\'s history higher', async () => {
+      searchResults = { 'best-rated': [{ id: 'a', rank: 0 }, { id: 'b', rank: 0 }] };
+      recommended = [
+        { id: 'b', score: 0.9, reason: 'similar' },
+        { id: 'c', score: 12, reason: 'popular' }
+      ];
+      tableResults.carts = [{ data: [{ product_id: 'in-cart' }], error: null }];
+      tableResults.wishlists = [{ data: [{ product_id: 'wished' }, { product_id: 'in-cart' }], error: null }];
+      tableResults.order_items = [{ data: [{ product_id: 'ordered' }], error: null }];
+      tableResults.products = [{
+        data: [product('a', { rating: [5] }), product('b', { rating: [5] }), product('c', { rating: [5] })],
+        error: null
+      }];
+
+      const ranked = await newAgent().rankCandidates('a gift', { budgetMax: 3000 }, { userId: 'customer-1' });
+
+      expect(ranked.map(candidate => [candidate.product.id, candidate.similar])).toEqual([
+        ['b', true],
+        ['a', false],
+        ['c', false]
+      ]);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('recommend_products', {
+        p_product_ids: ['in-cart', 'wished', 'ordered'],
+        p_category: null,
+        p_region: null,
+        p_limit: 60,
+        p_purchased_only: false
+      });
+      expect(calls('order_items', 'eq')[0].args).toEqual(['orders.customer_id', 'customer-1']);
+    });
+
+    test('keeps similar products to the budget', async () => {
+      recommended = [{ id: 'a', score: 0.9, reason: 'similar' }];
+      tableResults.products = [{ data: [product('a', { price: 4500 })], error: null }];
+
+      await expect(newAgent().rankCandidates('a gift', { budgetMax: 3000 })).resolves.toEqual([]);
+    });
+
+    test('finds nothing for categories the catalog does not have', async () => {
+      tableResults.categories = [{ data: [{ name: 'Textiles', slug: 'textiles' }], error: null }];
+
+      await expect(newAgent().rankCandidates('vase', { categories: ['Glassware'] })).resolves.toEqual([]);
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRecommendations', () => {
+    test('shows the model only the best candidates and tags the answer with them', async () => {
+      const ids = Array.from({ length: 15 }, (_, index) => `p${String(index).padStart(2, '0')}`);
+      searchResults = { 'best-rated': ids.map(id => ({ id, rank: 0 })) };
+      tableResults.products = [
+        { data: ids.map((id, index) => product(id, { rating: [5 - index * 0.2] })), error: null },
+        { data: [product('p00', { rating: [5] })], error: null }
+      ];
+      const agent = newAgent(answer([{ productId: 'p00', matchScore: 92, reason: 'Best rated' }]));
+
+      const result = await agent.getRecommendations('gift', {});
+
+      const request = agent.provider.generate.mock.calls[0][0];
+      const shown = JSON.parse(request.messages[0].content.match(/Candidate Products, best matches first: (.*)/)[1]);
+      expect(shown.map(candidate => candidate.id)).toEqual(ids.slice(0, 12));
+      expect(shown[0].description).toHaveLength(200);
+      expect(request.responseSchema.properties.recommendations.items.properties.productId.enum).toEqual(ids.slice(0, 12));
+      expect(agent.cache.set).toHaveBeenCalledWith(expect.any(String), expect.anything(), expect.objectContaining({
+        tags: ['agent:content-optimizer', 'catalog', ...ids.slice(0, 12).map(id => `product:${id}`)]
+      }));
+      expect(result.data.recommendations).toEqual([{
+        productId: 'p00',
+        productName: 'Product p00',
+        artisanName: 'Studio p00',
+        price: 1500,
+        rating: 5,
+        reviewCount: 1,
+        image: 'https://cdn.example.com/p00.jpg',
+        category: 'Textiles',
+        region: 'West Bengal',
+        matchScore: 92,
+        reason: 'Best rated'
+      }]);
+    });
+
+    test('drops picks that were not candidates or are no longer available', async () => {
+      searchResults = { 'best-rated': [{ id: 'a', rank: 0 }, { id: 'b', rank: 0 }] };
+      tableResults.products = [
+        { data: [product('a'), product('b')], error: null },
+        // b sold out after the model was asked
+        { data: [product('a')], error: null }
+      ];
+      const agent = newAgent(answer([
+        { productId: 'made-up', matchScore: 99, reason: 'Perfect' },
+        { productId: 'a', matchScore: 90, reason: 'Close' },
+        { productId: 'b', matchScore: 80, reason: 'Also close' },
+        { productId: 'a', matchScore: 70, reason: 'Again' }
+      ]));
+      jest.spyOn(agent.logger, 'warn');
+
+      const result = await agent.getRecommendations('stole', {});
+
+      expect(result.data.recommendations.map(rec => [rec.productId, rec.reason])).toEqual([['a', 'Close']]);
+      expect(calls('products', 'in')[1].args).toEqual(['id', ['a', 'b']]);
+      expect(agent.logger.warn).toHaveBeenCalledWith(expect.any(String), { productIds: ['made-up'] });
+    });
+
+    test('answers without the model when nothing matches', async () => {
+      const agent = newAgent();
+
+      const result = await agent.getRecommendations('jade figurine', { budgetMax: 100 });
+
+      expect(result).toEqual({
+        success: true,
+        data: {
+          recommendations: [],
+          searchCriteria: { budget: { min: undefined, max: 100 } },
+          summary: expect.any(String)
+        }
+      });
+      expect(agent.provider.generate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSimilarProducts', () => {
+    test('describes the products shoppers chose together, in their order', async () => {
+      recommended = [
+        { id: 'b', score: 0.9, reason: 'similar' },
+        { id: 'c', score: 4, reason: 'category' }
+      ];
+      tableResults.products = [
+        { data: product('a'), error: null },
+        { data: [product('c'), product('b')], error: null }
+      ];
+      const agent = newAgent({ text: 'Both pair well with a Kantha stole.', toolCalls: [] });
+
+      const result = await agent.getSimilarProducts('a', 2);
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('recommend_products', expect.objectContaining({
+        p_product_ids: ['a'],
+        p_limit: 2
+      }));
+      expect(result.data.similarProducts.map(similar => [similar.id, similar.similarity])).toEqual([
+        ['b', 'similar'],
+        ['c', 'category']
+      ]);
+      expect(result.data.aiAnalysis).toBe('Both pair well with a Kantha stole.');
+    });
+
+    test('answers without the model when there is nothing similar', async () => {
+      tableResults.products = [{ data: product('a'), error: null }];
+      const agent = newAgent();
+
+      const result = await agent.getSimilarProducts('a');
+
+      expect(result.data).toMatchObject({ similarProducts: [], aiAnalysis: null });
+      expect(agent.provider.generate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('SimilarityRefresher', () => {
+    const config = { refreshIntervalMs: 1000, lookbackDays: 90, minShoppers: 3, maxPerProduct: 10 };
+
+    test('recomputes similarities with the configured window and limits', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: { pairs: 42, products: 17 }, error: null });
+      const refresher = new SimilarityRefresher({ client: mockSupabase, config });
+
+      await expect(refresher.refresh()).resolves.toEqual({ pairs: 42, products: 17 });
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('refresh_product_similarities', {
+        p_lookback_days: 90,
+        p_min_shoppers: 3,
+        p_max_per_product: 10
+      });
+    });
+
+    test('survives a failed refresh', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'canceling statement due to statement timeout' } });
+      const refresher = new SimilarityRefresher({ client: mockSupabase, config });
+
+      await expect(refresher.refresh()).resolves.toBeNull();
+    });
+
+    test('refreshes at start and then on every interval', async () => {
+      jest.useFakeTimers();
+      try {
+        const refresher = new SimilarityRefresher({ client: mockSupabase, config });
+        jest.spyOn(refresher, 'refresh').mockResolvedValue(null);
+
+        refresher.start();
+        jest.advanceTimersByTime(2500);
+        refresher.stop();
+        jest.advanceTimersByTime(2000);
+
+        expect(refresher.refresh).toHaveBeenCalledTimes(3);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
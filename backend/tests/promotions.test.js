@@ -0,0 +1,372 @@
+/**
+ * Promotion Tests
+ *
+ * Tests for promo codes: percentage, flat and free shipping discounts on the
+ * items a promotion is scoped to, their split across artisans, validity
+ * windows, usage limits and minimum cart values, managing promotions as an
+ * admin or artisan, and the promotion routes.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+// Mock Supabase: every query builder call chains; single reads resolve to
+// mockRows[table] (merged with the update, when updating), list reads to
+// mockLists[table] with the next of mockCounts[table] as their count, and
+// inserts to the row inserted or the next of mockInsertErrors[table]
+let mockRows = {};
+let mockLists = {};
+let mockCounts = {};
+let mockInsertErrors = {};
+let mockWrites = [];
+
+const mockBuilder = (table) => {
+  let inserted = null;
+  let updated = null;
+  const builder = {
+    insert: jest.fn(row => {
+      inserted = row;
+      mockWrites.push({ table, insert: row });
+      return builder;
+    }),
+    update: jest.fn(row => {
+      updated = row;
+      mockWrites.push({ table, update: row });
+      return builder;
+    }),
+    maybeSingle: jest.fn(() => Promise.resolve({
+      data: mockRows[table] && updated ? { ...mockRows[table], ...updated } : mockRows[table] ?? null,
+      error: null
+    })),
+    single: jest.fn(() => {
+      const error = mockInsertErrors[table]?.shift();
+      return Promise.resolve(error
+        ? { data: null, error }
+        : { data: { id: `${table}-1`, created_at: '2026-10-19T10:00:00.000Z', ...inserted }, error: null });
+    }),
+    then: (resolve, reject) => Promise.resolve({
+      data: mockLists[table] ?? [],
+      count: mockCounts[table]?.shift() ?? 0,
+      error: null
+    }).then(resolve, reject)
+  };
+  ['select', 'eq', 'order'].forEach(method => {
+    builder[method] = jest.fn(() => builder);
+  });
+  return builder;
+};
+
+const mockSupabase = {
+  from: jest.fn(table => mockBuilder(table)),
+  rpc: jest.fn()
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+// The latest query builder made for a table
+const lastQuery = (table) => {
+  const index = mockSupabase.from.mock.calls.map(([name]) => name).lastIndexOf(table);
+  return mockSupabase.from.mock.results[index].value;
+};
+
+const userId = 'test-user-id';
+const potterId = 'a1b2c3d4-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const weaverId = 'b2c3d4e5-6f7a-4b8c-9d0e-1f2a3b4c5d6e';
+const potteryId = 'c3d4e5f6-7a8b-4c9d-8e1f-2a3b4c5d6e7f';
+const textilesId = 'd4e5f6a7-8b9c-4d0e-9f2a-3b4c5d6e7f8a';
+const promotionId = 'e5f6a7b8-9c0d-4e1f-8a3b-4c5d6e7f8a9b';
+
+const promotionRow = (overrides = {}) => ({
+  id: promotionId,
+  code: 'WELCOME10',
+  description: '10% off your first order',
+  type: 'percentage',
+  value: '10.00',
+  max_discount: null,
+  funded_by: 'platform',
+  artisan_id: null,
+  category_ids: [],
+  min_cart_value: '0.00',
+  starts_at: '2026-10-01T00:00:00.000Z',
+  ends_at: null,
+  usage_limit: null,
+  per_user_limit: null,
+  is_active: true,
+  created_at: '2026-10-01T00:00:00.000Z',
+  ...overrides
+});
+
+// A vase pair from the potter and a cushion cover from the weaver
+const cart = [
+  {
+    quantity: 2,
+    product: {
+      id: 'product-1', artisan_id: potterId, category_id: potteryId, price: '1000.00',
+      artisan: { id: potterId, business_name: 'Blue Pottery Works' }
+    }
+  },
+  {
+    quantity: 1,
+    product: {
+      id: 'product-2', artisan_id: weaverId, category_id: textilesId, price: '500.00',
+      artisan: { id: weaverId, business_name: 'Kutch Weaves' }
+    }
+  }
+];
+
+describe('Promotions', () => {
+  let PromotionService;
+  let promotionsRouter;
+
+  beforeAll(async () => {
+    ({ PromotionService } = await import('../services/promotionService.js'));
+    ({ default: promotionsRouter } = await import('../api/promotions.routes.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRows = { promotions: promotionRow() };
+    mockLists = { carts: cart };
+    mockCounts = {};
+    mockInsertErrors = {};
+    mockWrites = [];
+  });
+
+  describe('PromotionService.quoteCart', () => {
+    let quotes;
+    let service;
+
+    beforeEach(() => {
+      quotes = {
+        quoteCart: jest.fn(() => Promise.resolve({
+          artisans: [{ artisanId: potterId, amount: 90 }, { artisanId: weaverId, amount: 60 }]
+        }))
+      };
+      service = new PromotionService({ client: mockSupabase, quotes });
+    });
+
+    test('splits a percentage discount across artisans by their share of the cart', async () => {
+      const promotion = await service.quoteCart(userId, ' welcome10 ');
+
+      expect(lastQuery('promotions').eq).toHaveBeenCalledWith('code', 'WELCOME10');
+      expect(promotion).toEqual({
+        promotionId,
+        code: 'WELCOME10',
+        description: '10% off your first order',
+        type: 'percentage',
+        fundedBy: 'platform',
+        subtotal: 2500,
+        discountAmount: 250,
+        artisans: [
+          { artisanId: potterId, artisanName: 'Blue Pottery Works', eligibleSubtotal: 2000, discountAmount: 200 },
+          { artisanId: weaverId, artisanName: 'Kutch Weaves', eligibleSubtotal: 500, discountAmount: 50 }
+        ]
+      });
+      expect(quotes.quoteCart).not.toHaveBeenCalled();
+    });
+
+    test('caps percentage discounts at their maximum', async () => {
+      mockRows.promotions = promotionRow({ value: '20.00', max_discount: '300.00' });
+
+      const promotion = await service.quoteCart(userId, 'WELCOME10');
+
+      expect(promotion.discountAmount).toBe(300);
+      expect(promotion.artisans.map(artisan => artisan.discountAmount)).toEqual([240, 60]);
+    });
+
+    test('only discounts the artisan and categories a promotion is scoped to', async () => {
+      mockRows.promotions = promotionRow({ type: 'flat', value: '150.00', funded_by: 'artisan', artisan_id: potterId });
+      expect((await service.quoteCart(userId, 'WELCOME10')).artisans).toEqual([
+        { artisanId: potterId, artisanName: 'Blue Pottery Works', eligibleSubtotal: 2000, discountAmount: 150 }
+      ]);
+
+      // A flat discount is at most what the eligible items cost
+      mockRows.promotions = promotionRow({ type: 'flat', value: '1000.00', category_ids: [textilesId] });
+      expect((await service.quoteCart(userId, 'WELCOME10')).artisans).toEqual([
+        { artisanId: weaverId, artisanName: 'Kutch Weaves', eligibleSubtotal: 500, discountAmount: 500 }
+      ]);
+    });
+
+    test('waives the quoted shipping of eligible artisans for free shipping codes', async () => {
+      mockRows.promotions = promotionRow({ code: 'FREESHIP', type: 'free_shipping', value: '0.00', artisan_id: weaverId });
+
+      const promotion = await service.quoteCart(userId, 'FREESHIP', { services: { [weaverId]: 'express' } });
+
+      expect(quotes.quoteCart).toHaveBeenCalledWith(userId, { services: { [weaverId]: 'express' } });
+      expect(promotion.discountAmount).toBe(60);
+
+      // Checkout passes the quote it charges instead
+      quotes.quoteCart.mockClear();
+      const shipping = { artisans: [{ artisanId: weaverId, amount: 110 }] };
+      expect((await service.quoteCart(userId, 'FREESHIP', { shipping })).discountAmount).toBe(110);
+      expect(quotes.quoteCart).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown, inactive and out of window codes', async () => {
+      mockRows.promotions = null;
+      await expect(service.quoteCart(userId, 'NOPE10'))
+        .rejects.toMatchObject({ status: 404, message: 'Invalid promo code' });
+
+      mockRows.promotions = promotionRow({ is_active: false });
+      await expect(service.quoteCart(userId, 'WELCOME10')).rejects.toMatchObject({ status: 404 });
+
+      mockRows.promotions = promotionRow({ starts_at: '2999-01-01T00:00:00.000Z' });
+      await expect(service.quoteCart(userId, 'WELCOME10'))
+        .rejects.toMatchObject({ status: 409, message: 'This code is not valid yet' });
+
+      mockRows.promotions = promotionRow({ ends_at: '2026-10-02T00:00:00.000Z' });
+      await expect(service.quoteCart(userId, 'WELCOME10'))
+        .rejects.toMatchObject({ status: 409, message: 'This code has expired' });
+    });
+
+    test('enforces the global and per-customer usage limits', async () => {
+      mockRows.promotions = promotionRow({ usage_limit: 100, per_user_limit: 1 });
+
+      mockCounts.promotion_redemptions = [100];
+      await expect(service.quoteCart(userId, 'WELCOME10'))
+        .rejects.toMatchObject({ status: 409, message: 'Promotion usage limit reached' });
+
+      mockCounts.promotion_redemptions = [99, 1];
+      await expect(service.quoteCart(userId, 'WELCOME10'))
+        .rejects.toMatchObject({ status: 409, message: 'You have already used this code' });
+      const perUserQuery = lastQuery('promotion_redemptions');
+      expect(perUserQuery.eq).toHaveBeenCalledWith('customer_id', userId);
+
+      mockCounts.promotion_redemptions = [99, 0];
+      await expect(service.quoteCart(userId, 'WELCOME10')).resolves.toMatchObject({ discountAmount: 250 });
+    });
+
+    test('needs the minimum cart value and an item the code applies to', async () => {
+      mockRows.promotions = promotionRow({ min_cart_value: '3000.00' });
+      await expect(service.quoteCart(userId, 'WELCOME10')).rejects.toMatchObject({
+        status: 409,
+        message: 'Add items worth ₹500 more to use this code',
+        minCartValue: 3000
+      });
+
+      mockRows.promotions = promotionRow({ category_ids: ['f6a7b8c9-0d1e-4f2a-9b4c-5d6e7f8a9b0c'] });
+      await expect(service.quoteCart(userId, 'WELCOME10'))
+        .rejects.toMatchObject({ status: 409, message: 'No items in your cart qualify for this code' });
+
+      mockLists.carts = [];
+      await expect(service.quoteCart(userId, 'WELCOME10'))
+        .rejects.toMatchObject({ status: 409, message: 'Cart is empty' });
+    });
+  });
+
+  describe('Managing promotions', () => {
+    let service;
+    const admin = { id: 'admin-user-id', role: 'admin' };
+    const artisan = { id: 'artisan-user-id', role: 'artisan' };
+
+    beforeEach(() => {
+      service = new PromotionService({ client: mockSupabase });
+      mockRows.artisan_profiles = { id: potterId };
+    });
+
+    test('artisans create promotions they fund on their own items', async () => {
+      const promotion = await service.createPromotion(artisan, {
+        code: 'diwali15',
+        type: 'percentage',
+        value: 15,
+        fundedBy: 'platform',
+        artisanId: weaverId
+      });
+
+      const { insert } = mockWrites.find(write => write.table === 'promotions' && write.insert);
+      expect(insert).toMatchObject({
+        code: 'DIWALI15',
+        funded_by: 'artisan',
+        artisan_id: potterId,
+        category_ids: [],
+        created_by: 'artisan-user-id'
+      });
+      expect(promotion).toMatchObject({ code: 'DIWALI15', fundedBy: 'artisan', artisanId: potterId, value: 15 });
+    });
+
+    test('admins name the artisan funding a promotion', async () => {
+      await expect(service.createPromotion(admin, { code: 'POTTERY5', type: 'flat', value: 50, fundedBy: 'artisan' }))
+        .rejects.toMatchObject({ status: 400 });
+
+      const promotion = await service.createPromotion(admin, { code: 'FREESHIP', type: 'free_shipping' });
+      expect(promotion).toMatchObject({ fundedBy: 'platform', artisanId: null, value: 0 });
+    });
+
+    test('reports taken codes as a conflict', async () => {
+      mockInsertErrors.promotions = [{ code: '23505', message: 'duplicate key value' }];
+
+      await expect(service.createPromotion(admin, { code: 'WELCOME10', type: 'percentage', value: 10 }))
+        .rejects.toMatchObject({ status: 409, message: 'Promo code already exists' });
+    });
+
+    test('artisans only see and change the promotions they fund', async () => {
+      mockLists.promotions = [{ ...promotionRow({ funded_by: 'artisan', artisan_id: potterId }), redemptions: [{ count: 3 }] }];
+
+      const promotions = await service.listPromotions(artisan);
+      expect(promotions).toEqual([expect.objectContaining({ id: promotionId, redemptions: 3 })]);
+      expect(lastQuery('promotions').eq).toHaveBeenCalledWith('artisan_id', potterId);
+
+      const updated = await service.updatePromotion(artisan, promotionId, { isActive: false, code: 'TAKEN' });
+      expect(mockWrites).toContainEqual({ table: 'promotions', update: { is_active: false } });
+      expect(lastQuery('promotions').eq).toHaveBeenCalledWith('artisan_id', potterId);
+      expect(updated.isActive).toBe(false);
+
+      mockRows.promotions = null;
+      await expect(service.updatePromotion(artisan, promotionId, { isActive: false }))
+        .rejects.toMatchObject({ status: 404 });
+
+      mockRows.artisan_profiles = null;
+      await expect(service.listPromotions({ id: userId, role: 'customer' }))
+        .rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('Routes', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.TEST_BYPASS_AUTH = 'true';
+      app = express();
+      app.use(express.json());
+      app.use('/api/promotions', promotionsRouter);
+    });
+
+    afterAll(() => {
+      delete process.env.TEST_BYPASS_AUTH;
+    });
+
+    test('POST /api/promotions/validate quotes the code for the cart', async () => {
+      const res = await request(app).post('/api/promotions/validate').send({ code: 'welcome10' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data).toMatchObject({ code: 'WELCOME10', discountAmount: 250 });
+    });
+
+    test('POST /api/promotions/validate answers unknown codes with 404', async () => {
+      mockRows.promotions = null;
+
+      const res = await request(app).post('/api/promotions/validate').send({ code: 'NOPE10' });
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: 'Promotion failed', message: 'Invalid promo code' });
+    });
+
+    test('POST /api/promotions/validate rejects malformed codes', async () => {
+      const res = await request(app).post('/api/promotions/validate').send({ code: 'a b' });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+    });
+
+    test('managing promotions requires an admin or artisan profile', async () => {
+      const res = await request(app).get('/api/promotions');
+
+      expect(res.status).toBe(401);
+      expect(mockSupabase.from).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,420 @@
+/**
+ * Return Tests
+ *
+ * Tests for return requests: the customer's request, the artisan's decision
+ * with its return label, refunds of the returned items, the order agent's
+ * advisory triage and the return routes.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+// Mock Supabase: every query builder call chains; single reads resolve to
+// mockRows[table], list reads to mockLists[table] and writes to
+// mockWrites[table]
+let mockRows = {};
+let mockLists = {};
+let mockWrites = {};
+
+const mockBuilder = (table) => {
+  let writing = false;
+  const builder = {
+    update: jest.fn(() => {
+      writing = true;
+      return builder;
+    }),
+    maybeSingle: jest.fn(() => Promise.resolve({ data: mockRows[table] ?? null, error: null })),
+    then: (resolve, reject) => Promise.resolve(writing
+      ? mockWrites[table] || { data: [{ id: 'written' }], error: null }
+      : { data: mockLists[table] ?? [], error: null }).then(resolve, reject)
+  };
+  ['select', 'eq', 'neq', 'in', 'order'].forEach(method => {
+    builder[method] = jest.fn(() => builder);
+  });
+  return builder;
+};
+
+const mockStorage = {
+  createSignedUrls: jest.fn((paths) => Promise.resolve({
+    data: paths.map(path => ({ path, signedUrl: `https://storage.test/${path}?token=t` })),
+    error: null
+  }))
+};
+
+const mockSupabase = {
+  from: jest.fn(table => mockBuilder(table)),
+  rpc: jest.fn(),
+  storage: { from: jest.fn(() => mockStorage) }
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const customerId = 'test-user-id';
+const artisanUserId = 'artisan-user-id';
+const artisanId = 'a1b2c3d4-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const orderId = '7d6c5b4a-3e2f-4a1b-9c8d-7e6f5a4b3c2d';
+const orderItemId = '3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e6f';
+const returnId = '9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c6b';
+
+const returnRow = (overrides = {}) => ({
+  id: returnId,
+  order_id: orderId,
+  fulfilment_id: 'fulfilment-1',
+  customer_id: customerId,
+  artisan_id: artisanId,
+  status: 'requested',
+  reason: 'damaged',
+  description: 'The vase arrived cracked',
+  evidence_paths: [`${customerId}/crack.jpg`],
+  decision_note: null,
+  return_label_id: null,
+  refund_amount: null,
+  ai_recommendation: null,
+  created_at: '2026-10-19T10:00:00.000Z',
+  order: {
+    order_number: 'AOM-20261019-0042',
+    customer_id: customerId,
+    shipping_address: { full_name: 'Asha Rao', city: 'Pune', state: 'Maharashtra', postal_code: '411001' }
+  },
+  artisan: { user_id: artisanUserId, business_name: 'Blue Pottery Works', workshop_address: 'Jaipur' },
+  items: [{
+    id: 'return-item-1',
+    order_item_id: orderItemId,
+    quantity: 1,
+    refund_amount: '1200.00',
+    order_item: { product_id: 'product-1', product_title: 'Blue Pottery Vase', quantity: 2, unit_price: '1200.00' }
+  }],
+  ...overrides
+});
+
+describe('Returns', () => {
+  let ReturnService;
+  let OrderProcessingAgent;
+  let returnsRouter;
+
+  beforeAll(async () => {
+    ({ ReturnService } = await import('../services/returnService.js'));
+    ({ OrderProcessingAgent } = await import('../agents/OrderProcessingAgent.js'));
+    ({ default: returnsRouter } = await import('../api/returns.routes.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRows = { artisan_profiles: { id: artisanId }, return_requests: returnRow() };
+    mockLists = {};
+    mockWrites = {};
+  });
+
+  describe('ReturnService', () => {
+    let payments;
+    let shipments;
+    let triage;
+    let service;
+
+    beforeEach(() => {
+      payments = { refundOrder: jest.fn() };
+      shipments = {
+        bookReturnShipment: jest.fn(() => Promise.resolve({
+          carrier: 'local',
+          labelId: 'lcl_label_1',
+          labelUrl: null,
+          trackingNumber: 'LCLR1234567890'
+        }))
+      };
+      triage = jest.fn(() => Promise.resolve());
+      service = new ReturnService({ client: mockSupabase, payments, shipments, triage });
+    });
+
+    test('records return requests and queues their triage', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: returnRow(), error: null });
+
+      const returnRequest = await service.requestReturn(customerId, orderId, {
+        reason: 'damaged',
+        description: 'The vase arrived cracked',
+        items: [{ orderItemId, quantity: 1 }],
+        evidencePaths: [`${customerId}/crack.jpg`]
+      });
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('create_return_request', {
+        p_customer_id: customerId,
+        p_order_id: orderId,
+        p_reason: 'damaged',
+        p_description: 'The vase arrived cracked',
+        p_evidence_paths: [`${customerId}/crack.jpg`],
+        p_items: [{ orderItemId, quantity: 1 }],
+        p_window_days: 7
+      });
+      expect(triage).toHaveBeenCalledWith(expect.objectContaining({ id: returnId }));
+      expect(returnRequest).toMatchObject({
+        id: returnId,
+        orderNumber: 'AOM-20261019-0042',
+        status: 'requested',
+        items: [{ orderItemId, title: 'Blue Pottery Vase', quantity: 1, refundAmount: 1200 }]
+      });
+    });
+
+    test('only accepts evidence from the customer\'s own folder', async () => {
+      await expect(service.requestReturn(customerId, orderId, {
+        reason: 'damaged',
+        items: [{ orderItemId, quantity: 1 }],
+        evidencePaths: ['someone-else/crack.jpg']
+      })).rejects.toMatchObject({ status: 400 });
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('reports what is left to return when asking for too much', async () => {
+      mockSupabase.rpc.mockResolvedValue({
+        data: null,
+        error: {
+          message: 'Return quantity exceeds what can be returned',
+          details: JSON.stringify([{ orderItemId, requested: 3, returnable: 2 }])
+        }
+      });
+
+      await expect(service.requestReturn(customerId, orderId, { reason: 'changed_mind', items: [{ orderItemId, quantity: 3 }] }))
+        .rejects.toMatchObject({ status: 409, items: [{ orderItemId, requested: 3, returnable: 2 }] });
+      expect(triage).not.toHaveBeenCalled();
+    });
+
+    test('books a return label when the artisan approves', async () => {
+      const returnRequest = await service.approve(artisanUserId, returnId, { note: 'Sorry about that' });
+
+      expect(shipments.bookReturnShipment).toHaveBeenCalledWith(expect.objectContaining({
+        id: returnId,
+        artisan: expect.objectContaining({ business_name: 'Blue Pottery Works' })
+      }));
+      const returns = mockSupabase.from.mock.results
+        .map(result => result.value)
+        .find(builder => builder.update.mock.calls.length > 0);
+      expect(returns.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'approved',
+        decision_note: 'Sorry about that',
+        decided_by: artisanUserId,
+        return_carrier: 'local',
+        return_tracking_number: 'LCLR1234567890'
+      }));
+      expect(returns.eq).toHaveBeenCalledWith('status', 'requested');
+      expect(returnRequest.id).toBe(returnId);
+    });
+
+    test('only lets the artisan decide requested returns of their shop', async () => {
+      mockRows.return_requests = returnRow({ artisan_id: 'another-artisan' });
+      await expect(service.approve(artisanUserId, returnId)).rejects.toMatchObject({ status: 404 });
+
+      mockRows.return_requests = returnRow({ status: 'rejected' });
+      await expect(service.approve(artisanUserId, returnId)).rejects.toMatchObject({ status: 409 });
+
+      mockRows.artisan_profiles = null;
+      await expect(service.reject(customerId, returnId, { note: 'No' })).rejects.toMatchObject({ status: 403 });
+      expect(shipments.bookReturnShipment).not.toHaveBeenCalled();
+    });
+
+    test('reports decisions someone else made first as conflicts', async () => {
+      mockWrites.return_requests = { data: [], error: null };
+
+      await expect(service.reject(artisanUserId, returnId, { note: 'Used item' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('refunds the returned items once the parcel is back', async () => {
+      mockRows.return_requests = returnRow({ status: 'approved' });
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: null });
+      payments.refundOrder.mockResolvedValue({
+        refund: { amount: 1200, status: 'completed' },
+        order: { id: orderId, status: 'delivered' }
+      });
+
+      const returnRequest = await service.receive(artisanUserId, returnId, { restock: true });
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('restock_return', { p_return_request_id: returnId });
+      expect(payments.refundOrder).toHaveBeenCalledWith(orderId, {
+        amount: 1200,
+        reason: 'Return AOM-20261019-0042: damaged',
+        returnRequestId: returnId
+      });
+      const updates = mockSupabase.from.mock.results
+        .map(result => result.value)
+        .filter(builder => builder.update.mock.calls.length > 0)
+        .map(builder => builder.update.mock.calls[0][0]);
+      expect(updates).toEqual([
+        expect.objectContaining({ status: 'received' }),
+        { status: 'refunding' },
+        expect.objectContaining({ status: 'refunded', refund_amount: 1200 })
+      ]);
+      expect(returnRequest.refund).toEqual({ amount: 1200, status: 'completed' });
+    });
+
+    test('retries the refund of a received return', async () => {
+      mockRows.return_requests = returnRow({ status: 'received' });
+      payments.refundOrder.mockResolvedValue({ refund: { amount: 1200 }, order: {} });
+
+      await service.receive(artisanUserId, returnId, { restock: true });
+
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+      expect(payments.refundOrder).toHaveBeenCalled();
+    });
+
+    test('does not refund a return someone else is refunding', async () => {
+      mockRows.return_requests = returnRow({ status: 'received' });
+      mockWrites.return_requests = { data: [], error: null };
+
+      await expect(service.receive(artisanUserId, returnId))
+        .rejects.toMatchObject({ status: 409, message: 'Return request was changed by someone else' });
+      expect(payments.refundOrder).not.toHaveBeenCalled();
+    });
+
+    test('only refunds what earlier attempts did not', async () => {
+      mockRows.return_requests = returnRow({
+        status: 'received',
+        items: [
+          { ...returnRow().items[0] },
+          { ...returnRow().items[0], id: 'return-item-2', refund_amount: '800.00' }
+        ]
+      });
+      mockLists.payment_refunds = [{ amount: '1200.00' }];
+      payments.refundOrder.mockResolvedValue({ refund: { amount: 800 }, order: {} });
+
+      await service.receive(artisanUserId, returnId);
+
+      expect(payments.refundOrder).toHaveBeenCalledWith(orderId, expect.objectContaining({ amount: 800 }));
+    });
+
+    test('finishes a return whose refund was recorded without refunding it again', async () => {
+      mockRows.return_requests = returnRow({ status: 'refunding' });
+      mockLists.payment_refunds = [{ amount: '1200.00' }];
+
+      const returnRequest = await service.receive(artisanUserId, returnId);
+
+      expect(payments.refundOrder).not.toHaveBeenCalled();
+      const updates = mockSupabase.from.mock.results
+        .map(result => result.value)
+        .filter(builder => builder.update.mock.calls.length > 0)
+        .map(builder => builder.update.mock.calls[0][0]);
+      expect(updates).toEqual([expect.objectContaining({ status: 'refunded', refund_amount: 1200 })]);
+      expect(returnRequest.refund).toBeNull();
+    });
+
+    test('leaves an interrupted refund for checking with the payment provider', async () => {
+      mockRows.return_requests = returnRow({ status: 'refunding' });
+
+      await expect(service.receive(artisanUserId, returnId))
+        .rejects.toMatchObject({ status: 409 });
+      expect(payments.refundOrder).not.toHaveBeenCalled();
+    });
+
+    test('hands a return back for a retry only when no refund went out', async () => {
+      mockRows.return_requests = returnRow({ status: 'received' });
+      payments.refundOrder.mockRejectedValueOnce(new Error('Gateway unavailable'));
+
+      await expect(service.receive(artisanUserId, returnId)).rejects.toThrow('Gateway unavailable');
+
+      const statuses = () => mockSupabase.from.mock.results
+        .map(result => result.value)
+        .filter(builder => builder.update.mock.calls.length > 0)
+        .map(builder => builder.update.mock.calls[0][0].status);
+      expect(statuses()).toEqual(['refunding', 'received']);
+
+      jest.clearAllMocks();
+      payments.refundOrder.mockRejectedValueOnce(Object.assign(new Error('insert failed'), { providerRefundId: 'rfnd_1' }));
+
+      await expect(service.receive(artisanUserId, returnId)).rejects.toThrow('insert failed');
+      expect(statuses()).toEqual(['refunding']);
+    });
+
+    test('shows artisans signed evidence URLs and the triage', async () => {
+      mockLists.return_requests = [returnRow({ ai_recommendation: { recommendation: 'approve' } })];
+
+      const [returnRequest] = await service.listForArtisan(artisanUserId);
+
+      expect(mockStorage.createSignedUrls).toHaveBeenCalledWith([`${customerId}/crack.jpg`], 3600);
+      expect(returnRequest.evidenceUrls).toEqual([`https://storage.test/${customerId}/crack.jpg?token=t`]);
+      expect(returnRequest.aiRecommendation).toEqual({ recommendation: 'approve' });
+    });
+  });
+
+  describe('OrderProcessingAgent.handleReturn', () => {
+    let agent;
+
+    beforeEach(() => {
+      agent = new OrderProcessingAgent();
+      agent.generateStructuredResponse = jest.fn(() => Promise.resolve({
+        recommendation: 'approve',
+        resolution: 'full_refund',
+        suggestedRefundAmount: 5000,
+        confidence: 0.8,
+        reasoning: 'Photo shows transit damage',
+        flags: []
+      }));
+    });
+
+    test('stores an advisory recommendation without deciding the return', async () => {
+      mockLists.return_requests = [{ reason: 'changed_mind', status: 'refunded' }];
+
+      const recommendation = await agent.handleReturn(returnId);
+
+      expect(recommendation).toMatchObject({
+        recommendation: 'approve',
+        suggestedRefundAmount: 1200,
+        maxRefundAmount: 1200
+      });
+      const updates = mockSupabase.from.mock.results
+        .map(result => result.value)
+        .filter(builder => builder.update.mock.calls.length > 0)
+        .map(builder => builder.update.mock.calls[0][0]);
+      expect(updates).toEqual([{ ai_recommendation: recommendation }]);
+    });
+
+    test('only triages returns of the asking artisan\'s shop', async () => {
+      mockRows.user_profiles = { role: 'artisan', artisan: { id: 'another-artisan' } };
+
+      await expect(agent.handleReturn(returnId, { userId: artisanUserId }))
+        .rejects.toThrow('Return request not found');
+      expect(agent.generateStructuredResponse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Return routes', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.TEST_BYPASS_AUTH = 'true';
+      app = express();
+      app.use(express.json());
+      app.use('/api/returns', returnsRouter);
+    });
+
+    afterAll(() => {
+      delete process.env.TEST_BYPASS_AUTH;
+    });
+
+    test('asks for a photo of damaged items', async () => {
+      const res = await request(app)
+        .post('/api/returns')
+        .send({ orderId, reason: 'damaged', items: [{ orderItemId, quantity: 1 }] });
+
+      expect(res.status).toBe(400);
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('requires a note to reject a return', async () => {
+      const res = await request(app)
+        .post(`/api/returns/${returnId}/reject`)
+        .send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    test('responds 404 for another customer\'s return', async () => {
+      mockRows.return_requests = returnRow({ customer_id: 'someone-else' });
+
+      const res = await request(app).post(`/api/returns/${returnId}/cancel`);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: 'Return failed', message: 'Return request not found' });
+    });
+  });
+});
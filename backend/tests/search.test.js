@@ -0,0 +1,285 @@
+/**
+ * Search Tests
+ *
+ * Tests for natural-language product search: reading the agent's parse into
+ * catalog filters, the keyword fallback when the AI is unavailable, popular
+ * search recording, autocomplete and the search routes.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+// Mock Supabase: rpc() resolves to mockRpc[name] (a result or a function of
+// the arguments)
+let mockRpc = {};
+
+const mockSupabase = {
+  from: jest.fn(),
+  rpc: jest.fn((name, args) => Promise.resolve(
+    typeof mockRpc[name] === 'function' ? mockRpc[name](args) : mockRpc[name] ?? { data: null, error: null }
+  ))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+// The product agent is not running unless a test says otherwise
+const mockAgentManager = {
+  executeTask: jest.fn()
+};
+
+jest.unstable_mockModule('../api/agentManager.js', () => ({
+  default: mockAgentManager
+}));
+
+// Facets of an empty search_products search, i.e. the catalog
+const catalogSearch = () => ({
+  data: {
+    total: 42,
+    results: [],
+    facets: {
+      categories: [
+        { value: 'textiles', label: 'Textiles', count: 20 },
+        { value: 'pottery', label: 'Pottery', count: 12 },
+        { value: 'woodwork', label: 'Woodwork', count: 10 }
+      ],
+      regions: [
+        { value: 'Rajasthan', label: 'Rajasthan', count: 18 },
+        { value: 'West Bengal', label: 'West Bengal', count: 9 }
+      ],
+      priceRanges: [],
+      materials: [
+        { value: 'cotton', count: 15 },
+        { value: 'terracotta', count: 8 }
+      ],
+      verified: { verified: 30, unverified: 12 }
+    }
+  },
+  error: null
+});
+
+const rpcCalls = (name) => mockSupabase.rpc.mock.calls.filter(([called]) => called === name);
+
+describe('Search', () => {
+  let SearchService;
+  let searchRouter;
+
+  beforeAll(async () => {
+    ({ SearchService } = await import('../services/searchService.js'));
+    ({ default: searchRouter } = await import('../api/search.routes.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRpc = {
+      search_products: catalogSearch(),
+      record_search_query: { data: null, error: null }
+    };
+    mockAgentManager.executeTask.mockRejectedValue(new Error('Agent content-optimizer is not running'));
+  });
+
+  describe('SearchService.parseQuery with the agent', () => {
+    let interpret;
+    let service;
+
+    beforeEach(() => {
+      interpret = jest.fn();
+      service = new SearchService({ client: mockSupabase, interpret });
+    });
+
+    test('maps the agent\'s parse onto catalog filters', async () => {
+      interpret.mockResolvedValue({
+        keywords: ['wooden', 'sculptures'],
+        categories: ['Woodwork'],
+        budgetMax: 5000
+      });
+
+      const parsed = await service.parseQuery('wooden sculptures under ₹5000');
+
+      expect(interpret).toHaveBeenCalledWith('wooden sculptures under ₹5000');
+      expect(parsed).toEqual({
+        query: 'wooden sculptures under ₹5000',
+        keywords: 'wooden sculptures',
+        filters: [
+          { field: 'category', value: 'woodwork', label: 'Woodwork' },
+          { field: 'maxPrice', value: 5000, label: 'Under ₹5,000' }
+        ],
+        source: 'ai'
+      });
+    });
+
+    test('searches values the catalog does not have as keywords', async () => {
+      interpret.mockResolvedValue({
+        keywords: ['handwoven', 'rajasthan'],
+        categories: ['Shawls'],
+        regions: ['Rajasthan'],
+        materials: ['pashmina', 'Cotton'],
+        verifiedOnly: true,
+        priceSort: 'asc'
+      });
+
+      const parsed = await service.parseQuery('cheapest handwoven shawls from rajasthan');
+
+      expect(parsed.keywords).toBe('handwoven shawls pashmina');
+      expect(parsed.filters).toEqual([
+        { field: 'region', value: 'Rajasthan', label: 'Rajasthan' },
+        { field: 'material', value: 'cotton', label: 'Cotton' },
+        { field: 'verified', value: true, label: 'Verified artisans' },
+        { field: 'sort', value: 'price-low', label: 'Lowest price first' }
+      ]);
+    });
+
+    test('searches the whole query when the agent reads nothing into it', async () => {
+      interpret.mockResolvedValue({});
+
+      const parsed = await service.parseQuery('something for a wedding');
+
+      expect(parsed).toMatchObject({ keywords: 'something for a wedding', filters: [], source: 'ai' });
+    });
+
+    test('records the search and reuses the catalog', async () => {
+      interpret.mockResolvedValue({ keywords: ['pots'] });
+
+      await service.parseQuery('  Blue   Pots ');
+      await service.parseQuery('x'.repeat(101));
+
+      expect(rpcCalls('search_products')).toHaveLength(1);
+      expect(rpcCalls('record_search_query')).toEqual([
+        ['record_search_query', { p_query: 'blue pots' }]
+      ]);
+    });
+
+    test('still answers when the search cannot be recorded', async () => {
+      interpret.mockResolvedValue({ keywords: ['pots'] });
+      mockRpc.record_search_query = { data: null, error: { message: 'permission denied' } };
+
+      await expect(service.parseQuery('pots')).resolves.toMatchObject({ keywords: 'pots' });
+    });
+  });
+
+  describe('SearchService.parseQuery without the agent', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new SearchService({
+        client: mockSupabase,
+        interpret: jest.fn().mockRejectedValue(new Error('Search parsing timed out'))
+      });
+    });
+
+    test('reads catalog values, budgets and verified artisans from the words', async () => {
+      const parsed = await service.parseQuery('Handwoven textiles from Rajasthan under ₹3,000 by verified artisans');
+
+      expect(parsed).toEqual({
+        query: 'Handwoven textiles from Rajasthan under ₹3,000 by verified artisans',
+        keywords: 'handwoven',
+        filters: [
+          { field: 'maxPrice', value: 3000, label: 'Under ₹3,000' },
+          { field: 'verified', value: true, label: 'Verified artisans' },
+          { field: 'category', value: 'textiles', label: 'Textiles' },
+          { field: 'region', value: 'Rajasthan', label: 'Rajasthan' }
+        ],
+        source: 'keywords'
+      });
+    });
+
+    test('reads price ranges, ratings and sorting', async () => {
+      const parsed = await service.parseQuery('terracotta lamps between 1k and 2,500 4 stars and up best rated');
+
+      expect(parsed.keywords).toBe('lamps');
+      expect(parsed.filters).toEqual([
+        { field: 'minPrice', value: 1000, label: 'Over ₹1,000' },
+        { field: 'maxPrice', value: 2500, label: 'Under ₹2,500' },
+        { field: 'minRating', value: 4, label: '4★ & up' },
+        { field: 'sort', value: 'rating', label: 'Best rated first' },
+        { field: 'material', value: 'terracotta', label: 'Terracotta' }
+      ]);
+    });
+
+    test('matches multi-word regions', async () => {
+      const parsed = await service.parseQuery('kantha from west bengal');
+
+      expect(parsed.keywords).toBe('kantha');
+      expect(parsed.filters).toEqual([{ field: 'region', value: 'West Bengal', label: 'West Bengal' }]);
+    });
+  });
+
+  describe('SearchService.suggest', () => {
+    test('returns the suggestions of search_suggestions', async () => {
+      const suggestions = [
+        { type: 'query', text: 'blue pottery', value: null },
+        { type: 'category', text: 'Pottery', value: 'pottery' }
+      ];
+      mockRpc.search_suggestions = { data: suggestions, error: null };
+      const service = new SearchService({ client: mockSupabase });
+
+      await expect(service.suggest('pot', { limit: 5 })).resolves.toEqual(suggestions);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('search_suggestions', { p_prefix: 'pot', p_limit: 5 });
+    });
+  });
+
+  describe('Routes', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/search', searchRouter);
+    });
+
+    test('POST /api/search/parse asks the product agent', async () => {
+      mockAgentManager.executeTask.mockResolvedValue({
+        success: true,
+        data: { keywords: ['scarf'], categories: ['textiles'] }
+      });
+
+      const res = await request(app).post('/api/search/parse').send({ query: 'a textile scarf' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data).toMatchObject({
+        keywords: 'scarf',
+        filters: [{ field: 'category', value: 'textiles', label: 'Textiles' }],
+        source: 'ai'
+      });
+      expect(mockAgentManager.executeTask).toHaveBeenCalledWith('content-optimizer', {
+        action: 'parseSearchQuery',
+        input: { query: 'a textile scarf' }
+      }, expect.objectContaining({ timeoutMs: expect.any(Number) }));
+    });
+
+    test('POST /api/search/parse falls back to keywords when the agent is not running', async () => {
+      const res = await request(app).post('/api/search/parse').send({ query: 'pottery under 2000' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        keywords: '',
+        filters: [
+          { field: 'maxPrice', value: 2000 },
+          { field: 'category', value: 'pottery' }
+        ],
+        source: 'keywords'
+      });
+    });
+
+    test('POST /api/search/parse rejects empty searches', async () => {
+      const res = await request(app).post('/api/search/parse').send({ query: '   ' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+    });
+
+    test('GET /api/search/suggestions autocompletes for guests', async () => {
+      mockRpc.search_suggestions = { data: [{ type: 'region', text: 'Rajasthan', value: 'Rajasthan' }], error: null };
+
+      const res = await request(app).get('/api/search/suggestions').query({ q: 'raj' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([{ type: 'region', text: 'Rajasthan', value: 'Rajasthan' }]);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('search_suggestions', { p_prefix: 'raj', p_limit: 8 });
+    });
+  });
+});
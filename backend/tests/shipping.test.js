@@ -0,0 +1,612 @@
+/**
+ * Shipping Tests
+ *
+ * Tests for shipping carriers (the file-backed simulator, Shiprocket and
+ * India Post), booking shipments, storing carrier tracking webhooks and the
+ * order agent's tracking answers from stored events.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const stateFile = path.join(os.tmpdir(), `shipping-test-${process.pid}.json`);
+process.env.SHIPPING_SIMULATOR_FILE = stateFile;
+// The routes use the configured carrier, which config/orders.js does not default
+process.env.SHIPPING_CARRIER = 'local';
+process.env.SHIPPING_LOCAL_WEBHOOK_SECRET = 'test-webhook-secret';
+
+// Mock Supabase: every query builder call chains; single reads resolve to
+// mockRows[table], list reads to mockLists[table], inserts to the row
+// inserted (or the next of mockInsertErrors[table]) and updates succeed
+let mockRows = {};
+let mockLists = {};
+let mockInsertErrors = {};
+let mockInserts = [];
+
+const mockBuilder = (table) => {
+  let inserted = null;
+  const insertResult = () => {
+    const error = mockInsertErrors[table]?.shift();
+    return error
+      ? { data: null, error }
+      : { data: { id: `${table}-1`, created_at: '2026-10-19T10:00:00.000Z', status: 'label_created', ...inserted }, error: null };
+  };
+  const builder = {
+    insert: jest.fn(row => {
+      inserted = row;
+      mockInserts.push({ table, row });
+      return builder;
+    }),
+    update: jest.fn(() => builder),
+    maybeSingle: jest.fn(() => Promise.resolve({ data: mockRows[table] ?? null, error: null })),
+    single: jest.fn(() => Promise.resolve(insertResult())),
+    then: (resolve, reject) => Promise.resolve(inserted
+      ? insertResult()
+      : { data: mockLists[table] ?? [], error: null }).then(resolve, reject)
+  };
+  ['select', 'eq', 'neq', 'in', 'order', 'limit'].forEach(method => {
+    builder[method] = jest.fn(() => builder);
+  });
+  return builder;
+};
+
+const mockSupabase = {
+  from: jest.fn(table => mockBuilder(table)),
+  rpc: jest.fn()
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const customerId = 'test-user-id';
+const artisanUserId = 'artisan-user-id';
+const artisanId = 'a1b2c3d4-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const orderId = '7d6c5b4a-3e2f-4a1b-9c8d-7e6f5a4b3c2d';
+const fulfilmentId = '5f4e3d2c-1b0a-4f9e-8d7c-6b5a4f3e2d1c';
+
+const jaipur = { full_name: 'Blue Pottery Works', address_line_1: '12 Kala Marg', city: 'Jaipur', state: 'Rajasthan', postal_code: '302001' };
+const pune = { full_name: 'Asha Rao', address_line_1: '4 MG Road', city: 'Pune', state: 'Maharashtra', postal_code: '411001' };
+
+const shipmentRow = (overrides = {}) => ({
+  id: 'shipment-1',
+  order_id: orderId,
+  artisan_id: artisanId,
+  fulfilment_id: fulfilmentId,
+  direction: 'forward',
+  carrier: 'local',
+  tracking_number: 'LCLF1234567890',
+  label_url: null,
+  status: 'in_transit',
+  estimated_delivery_at: '2026-10-25T10:00:00.000Z',
+  created_at: '2026-10-19T10:00:00.000Z',
+  order: { customer_id: customerId },
+  events: [
+    { status: 'in_transit', description: 'Arrived at sorting hub', location: 'Sorting hub', occurred_at: '2026-10-20T09:00:00.000Z' },
+    { status: 'picked_up', description: 'Picked up from sender', location: 'Jaipur, Rajasthan', occurred_at: '2026-10-19T15:00:00.000Z' }
+  ],
+  ...overrides
+});
+
+describe('Shipping', () => {
+  let ShippingCarrier;
+  let LocalShippingCarrier;
+  let ShiprocketShippingCarrier;
+  let IndiaPostShippingCarrier;
+  let ShipmentService;
+  let ShippingQuoteService;
+  let createShippingCarrier;
+  let hasShippingCarrier;
+  let OrderProcessingAgent;
+  let shippingRouter;
+
+  beforeAll(async () => {
+    ({
+      ShippingCarrier,
+      LocalShippingCarrier,
+      ShiprocketShippingCarrier,
+      IndiaPostShippingCarrier,
+      createShippingCarrier,
+      hasShippingCarrier
+    } = await import('../services/shipping/index.js'));
+    ({ ShipmentService } = await import('../services/shipmentService.js'));
+    ({ ShippingQuoteService } = await import('../services/shippingQuoteService.js'));
+    ({ OrderProcessingAgent } = await import('../agents/OrderProcessingAgent.js'));
+    ({ default: shippingRouter } = await import('../api/shipping.routes.js'));
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockRows = {};
+    mockLists = {};
+    mockInsertErrors = {};
+    mockInserts = [];
+    await fs.rm(stateFile, { force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(stateFile, { force: true });
+  });
+
+  describe('LocalShippingCarrier', () => {
+    let carrier;
+
+    beforeEach(() => {
+      carrier = new LocalShippingCarrier({ stateFile, webhookSecret: 'local-secret' });
+    });
+
+    test('quotes by pincode zone and 500 g slabs', async () => {
+      const local = await carrier.quote({ fromPincode: '302001', toPincode: '302019', weightGrams: 400 });
+      const national = await carrier.quote({ fromPincode: '302001', toPincode: '411001', weightGrams: 1200 });
+
+      expect(local).toEqual([
+        { service: 'standard', serviceName: 'Local Standard', amount: 40, currency: 'INR', estimatedDays: 2 },
+        { service: 'express', serviceName: 'Local Express', amount: 70, currency: 'INR', estimatedDays: 1 }
+      ]);
+      expect(national[0]).toMatchObject({ service: 'standard', amount: 90 + 2 * 45, estimatedDays: 6 });
+    });
+
+    test('keeps booked parcels in its state file and walks them to delivery', async () => {
+      const label = await carrier.createLabel({ reference: 'AOM-1', from: jaipur, to: pune, weightGrams: 800, service: 'express' });
+
+      expect(label).toMatchObject({ service: 'express', amount: 160 + 75, estimatedDays: 3 });
+      expect(label.trackingNumber).toMatch(/^LCLF\d{10}$/);
+
+      // A new instance reads the same file, as after a restart
+      const restarted = new LocalShippingCarrier({ stateFile, webhookSecret: 'local-secret' });
+      const statuses = [];
+      for (let step = 0; step < 4; step++) {
+        const { body, headers } = await restarted.advance(label.trackingNumber);
+        expect(restarted.verifyWebhook(body, headers)).toBe(true);
+        statuses.push(...restarted.parseWebhook(JSON.parse(body)).map(event => event.status));
+      }
+
+      expect(statuses).toEqual(['picked_up', 'in_transit', 'out_for_delivery', 'delivered']);
+      await expect(restarted.advance(label.trackingNumber)).rejects.toThrow('already delivered');
+    });
+
+    test('rejects webhooks with a wrong signature', async () => {
+      const { body } = carrier.buildWebhook([]);
+
+      expect(carrier.verifyWebhook(body, { 'x-local-shipping-signature': 'abc' })).toBe(false);
+      expect(carrier.verifyWebhook(body, {})).toBe(false);
+      expect(new LocalShippingCarrier({ stateFile }).verifyWebhook(body, {})).toBe(false);
+    });
+
+    test('is not used in production', () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        expect(() => createShippingCarrier('local')).toThrow('cannot be used in production');
+        expect(hasShippingCarrier('local')).toBe(false);
+        expect(hasShippingCarrier('shiprocket')).toBe(true);
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+      expect(createShippingCarrier('local')).toBeInstanceOf(LocalShippingCarrier);
+      expect(() => createShippingCarrier(undefined)).toThrow('SHIPPING_CARRIER is not configured');
+    });
+  });
+
+  describe('ShiprocketShippingCarrier', () => {
+    let http;
+    let carrier;
+
+    beforeEach(() => {
+      http = {
+        request: jest.fn(({ url }) => {
+          const responses = {
+            '/auth/login': { token: 'sr-token' },
+            '/courier/serviceability/': {
+              data: {
+                available_courier_companies: [
+                  { courier_company_id: 24, courier_name: 'Delhivery Surface', rate: 95.5, estimated_delivery_days: '5' }
+                ]
+              }
+            },
+            '/orders/create/adhoc': { order_id: 901, shipment_id: 801 },
+            '/courier/assign/awb': { awb_assign_status: 1, response: { data: { awb_code: '1411223344556', courier_company_id: 24 } } },
+            '/courier/generate/label': { label_created: 1, label_url: 'https://shiprocket.test/label.pdf' }
+          };
+          return Promise.resolve({ data: responses[url] });
+        })
+      };
+      carrier = new ShiprocketShippingCarrier({
+        email: 'api@example.com',
+        password: 'secret',
+        webhookToken: 'sr-webhook-token',
+        httpClient: http
+      });
+    });
+
+    test('logs in once and quotes each courier as a service', async () => {
+      const rates = await carrier.quote({ fromPincode: '302001', toPincode: '411001', weightGrams: 1500 });
+      await carrier.quote({ fromPincode: '302001', toPincode: '411001', weightGrams: 500 });
+
+      expect(rates).toEqual([
+        { service: '24', serviceName: 'Delhivery Surface', amount: 95.5, currency: 'INR', estimatedDays: 5 }
+      ]);
+      expect(http.request.mock.calls.filter(([call]) => call.url === '/auth/login')).toHaveLength(1);
+      expect(http.request).toHaveBeenCalledWith(expect.objectContaining({
+        url: '/courier/serviceability/',
+        params: { pickup_postcode: '302001', delivery_postcode: '411001', weight: 1.5, cod: 0 },
+        headers: { Authorization: 'Bearer sr-token' }
+      }));
+    });
+
+    test('creates the order, assigns the courier and fetches the label', async () => {
+      const label = await carrier.createLabel({
+        reference: 'AOM-1',
+        from: jaipur,
+        to: pune,
+        items: [{ productId: 'product-1', title: 'Blue Pottery Vase', quantity: 1, unitPrice: 1200 }],
+        weightGrams: 900,
+        service: '24'
+      });
+
+      expect(label).toEqual({
+        labelId: '801',
+        trackingNumber: '1411223344556',
+        labelUrl: 'https://shiprocket.test/label.pdf',
+        service: '24',
+        amount: null
+      });
+      expect(http.request).toHaveBeenCalledWith(expect.objectContaining({
+        url: '/orders/create/adhoc',
+        data: expect.objectContaining({ order_id: 'AOM-1', billing_pincode: '411001', weight: 0.9, sub_total: 1200 })
+      }));
+      expect(http.request).toHaveBeenCalledWith(expect.objectContaining({
+        url: '/courier/assign/awb',
+        data: { shipment_id: 801, courier_id: '24' }
+      }));
+    });
+
+    test('checks the webhook token and maps statuses in IST', () => {
+      const body = {
+        awb: '1411223344556',
+        current_status: 'OUT FOR DELIVERY',
+        current_status_id: 17,
+        current_timestamp: '21 10 2026 08:15:00',
+        scans: [{ date: '2026-10-21 08:15:00', activity: 'Out for delivery', location: 'Pune_Hub' }]
+      };
+
+      expect(carrier.verifyWebhook(JSON.stringify(body), { 'x-api-key': 'sr-webhook-token' })).toBe(true);
+      expect(carrier.verifyWebhook(JSON.stringify(body), { 'x-api-key': 'guess' })).toBe(false);
+      expect(carrier.parseWebhook(body)).toEqual([{
+        eventId: '1411223344556:17:21 10 2026 08:15:00',
+        trackingNumber: '1411223344556',
+        status: 'out_for_delivery',
+        description: 'Out for delivery',
+        location: 'Pune_Hub',
+        occurredAt: '2026-10-21T02:45:00.000Z'
+      }]);
+      expect(carrier.parseWebhook({ ...body, current_status: 'SOMETHING NEW' })).toEqual([]);
+    });
+  });
+
+  describe('IndiaPostShippingCarrier', () => {
+    test('quotes Speed Post from the tariff and maps tracking event codes', async () => {
+      const carrier = new IndiaPostShippingCarrier({ webhookSecret: 'ip-secret', httpClient: {} });
+
+      const [rate] = await carrier.quote({ fromPincode: '302001', toPincode: '313001', weightGrams: 1000 });
+      expect(rate).toEqual({ service: 'speed_post', serviceName: 'Speed Post', amount: 60 + 30, currency: 'INR', estimatedDays: 4 });
+
+      const events = carrier.parseWebhook({
+        events: [
+          { article_number: 'EK123456789IN', event_code: 'ITEM_DELIVERY', event_time: '2026-10-22T11:00:00+05:30', office_name: 'Pune GPO' },
+          { article_number: 'EK123456789IN', event_code: 'ITEM_INQUIRY', event_time: '2026-10-22T12:00:00+05:30' }
+        ]
+      });
+      expect(events).toEqual([expect.objectContaining({ status: 'delivered', location: 'Pune GPO', occurredAt: '2026-10-22T05:30:00.000Z' })]);
+    });
+  });
+
+  describe('ShipmentService', () => {
+    let carrier;
+    let service;
+
+    beforeEach(() => {
+      carrier = new LocalShippingCarrier({ stateFile, webhookSecret: 'local-secret' });
+      service = new ShipmentService({ client: mockSupabase, carriers: () => carrier });
+    });
+
+    test('books a processing fulfilment by product weight from the artisan\'s address', async () => {
+      mockRows.artisan_profiles = { id: artisanId, user_id: artisanUserId, business_name: 'Blue Pottery Works', workshop_address: 'Jaipur' };
+      mockRows.order_fulfilments = { id: fulfilmentId, order_id: orderId, status: 'processing', artisan_order_number: 'AOM-1-A1', order: { shipping_address: pune } };
+      mockRows.addresses = jaipur;
+      mockLists.order_items = [
+        { product_id: 'product-1', product_title: 'Blue Pottery Vase', quantity: 2, unit_price: '1200.00' },
+        { product_id: 'product-2', product_title: 'Coaster Set', quantity: 1, unit_price: '300.00' }
+      ];
+      mockLists.products = [{ id: 'product-1', weight_grams: 700 }, { id: 'product-2', weight_grams: null }];
+
+      const shipment = await service.bookFulfilmentShipment(artisanUserId, fulfilmentId);
+
+      // 2 x 700 g plus the 500 g default: national standard, 4 slabs
+      expect(shipment).toMatchObject({ carrier: 'local', direction: 'forward', weightGrams: 1900, shippingCost: 90 + 3 * 45 });
+      const state = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+      expect(state.shipments[shipment.trackingNumber]).toMatchObject({ reference: 'AOM-1-A1', from: 'Jaipur, Rajasthan', to: 'Pune, Maharashtra' });
+      expect(mockInserts).toEqual([expect.objectContaining({
+        table: 'shipments',
+        row: expect.objectContaining({ fulfilment_id: fulfilmentId, tracking_number: shipment.trackingNumber })
+      })]);
+    });
+
+    test('only books processing fulfilments once', async () => {
+      mockRows.artisan_profiles = { id: artisanId, user_id: artisanUserId };
+      mockRows.order_fulfilments = { id: fulfilmentId, status: 'pending', order: {} };
+      await expect(service.bookFulfilmentShipment(artisanUserId, fulfilmentId)).rejects.toMatchObject({ status: 409 });
+
+      mockRows.order_fulfilments.status = 'processing';
+      mockLists.shipments = [{ id: 'shipment-1' }];
+      await expect(service.bookFulfilmentShipment(artisanUserId, fulfilmentId))
+        .rejects.toMatchObject({ status: 409, message: 'Fulfilment already has a shipment' });
+      expect(mockInserts).toHaveLength(0);
+    });
+
+    test('books returns from the customer to the artisan\'s workshop when they have no address', async () => {
+      const shipment = await service.bookReturnShipment({
+        id: 'return-1',
+        order_id: orderId,
+        artisan_id: artisanId,
+        fulfilment_id: fulfilmentId,
+        order: { shipping_address: pune },
+        artisan: { user_id: artisanUserId, business_name: 'Blue Pottery Works', workshop_address: 'Jaipur' },
+        items: [{ quantity: 1, order_item: { product_id: 'product-1', product_title: 'Blue Pottery Vase', unit_price: '1200.00' } }]
+      });
+
+      expect(shipment).toMatchObject({ direction: 'return', returnRequestId: 'return-1', weightGrams: 500 });
+      expect(shipment.trackingNumber).toMatch(/^LCLR/);
+    });
+
+    test('stores webhook events once and ignores unknown parcels', async () => {
+      mockRows.shipments = { id: 'shipment-1' };
+      mockInsertErrors.shipment_events = [null, { code: '23505' }];
+      const event = {
+        eventId: 'lcl_evt_1',
+        trackingNumber: 'LCLF1234567890',
+        status: 'picked_up',
+        description: 'Picked up from sender',
+        location: 'Jaipur, Rajasthan',
+        occurredAt: '2026-10-19T15:00:00.000Z'
+      };
+      const { body, headers } = carrier.buildWebhook([event, event]);
+
+      await expect(service.handleWebhook('local', body, headers))
+        .resolves.toEqual({ recorded: 1, duplicates: 1, ignored: 0 });
+      expect(mockInserts[0].row).toMatchObject({ shipment_id: 'shipment-1', event_id: 'lcl_evt_1', status: 'picked_up' });
+
+      mockRows.shipments = null;
+      await expect(service.handleWebhook('local', body, headers))
+        .resolves.toEqual({ recorded: 0, duplicates: 0, ignored: 2 });
+    });
+
+    test('rejects unsigned webhooks and unknown carriers', async () => {
+      const { body } = carrier.buildWebhook([]);
+
+      await expect(service.handleWebhook('local', body, {})).rejects.toMatchObject({ status: 401 });
+      await expect(service.handleWebhook('bluedart', body, {})).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('rejects signed webhooks whose body is not JSON', async () => {
+      const body = '{"events": [';
+      const headers = { 'x-local-shipping-signature': ShippingCarrier.sign(body, 'local-secret') };
+
+      await expect(service.handleWebhook('local', body, headers))
+        .rejects.toMatchObject({ status: 400, message: 'Invalid webhook body' });
+      expect(mockInserts).toHaveLength(0);
+    });
+
+    test('refuses simulator webhooks in production', async () => {
+      const { body, headers } = carrier.buildWebhook([]);
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        await expect(service.handleWebhook('local', body, headers)).rejects.toMatchObject({ status: 404 });
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+  });
+
+  describe('ShippingQuoteService', () => {
+    const potteryId = 'b1b2c3d4-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+    const coastersId = 'c1b2c3d4-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+    let service;
+
+    beforeEach(() => {
+      const carrier = new LocalShippingCarrier({ stateFile, webhookSecret: 'local-secret' });
+      service = new ShippingQuoteService({ client: mockSupabase, carriers: () => carrier });
+      mockRows.addresses = { postal_code: '411001' };
+      mockLists.carts = [
+        {
+          quantity: 2,
+          product: {
+            id: 'product-1',
+            artisan_id: potteryId,
+            price: '1200.00',
+            weight_grams: 700,
+            dimensions: { length: 20, width: 20, height: 25 },
+            artisan: { id: potteryId, business_name: 'Blue Pottery Works', workshop_pincode: '302001', free_shipping_threshold: '2000.00' }
+          }
+        },
+        {
+          quantity: 1,
+          product: {
+            id: 'product-2',
+            artisan_id: coastersId,
+            price: '300.00',
+            weight_grams: null,
+            dimensions: null,
+            artisan: { id: coastersId, business_name: 'Coaster Co', workshop_pincode: null, free_shipping_threshold: null }
+          }
+        }
+      ];
+    });
+
+    test('quotes each artisan\'s parcel by volumetric weight and zone', async () => {
+      const quote = await service.quoteCart(customerId, { services: { [coastersId]: 'express' } });
+
+      expect(mockSupabase.from).toHaveBeenCalledWith('addresses');
+      expect(quote).toMatchObject({ toPincode: '411001', currency: 'INR', shippingAmount: 160 });
+
+      // 20 x 20 x 25 cm is charged as 2 kg a vase; over the threshold the
+      // cheapest service is free and express costs the difference
+      const [pottery, coasters] = quote.artisans;
+      expect(pottery).toMatchObject({
+        artisanId: potteryId,
+        subtotal: 2400,
+        weightGrams: 4000,
+        freeShipping: true,
+        service: 'standard',
+        amount: 0,
+        services: [
+          { service: 'standard', serviceName: 'Local Standard', amount: 0, estimatedDays: 6 },
+          { service: 'express', serviceName: 'Local Express', amount: 685 - 405, estimatedDays: 3 }
+        ]
+      });
+      // No workshop pincode is quoted as national, no weight at the default
+      expect(coasters).toMatchObject({ weightGrams: 500, freeShipping: false, service: 'express', amount: 160 });
+    });
+
+    test('quotes to a given pincode and rejects unknown services', async () => {
+      const quote = await service.quoteCart(customerId, { postalCode: '302019' });
+      expect(quote.artisans[0]).toMatchObject({ amount: 0, services: [{ amount: 0 }, { amount: (70 + 7 * 35) - (40 + 7 * 20) }] });
+      expect(mockSupabase.from).not.toHaveBeenCalledWith('addresses');
+
+      await expect(service.quoteCart(customerId, { services: { [potteryId]: 'overnight' } }))
+        .rejects.toMatchObject({ status: 400, message: 'Unknown shipping service: overnight' });
+    });
+
+    test('needs an address to quote to', async () => {
+      mockRows.addresses = null;
+
+      await expect(service.quoteCart(customerId)).rejects.toMatchObject({ status: 400 });
+      await expect(service.quoteCart(customerId, { addressId: 'address-1' })).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('OrderProcessingAgent.trackShipment', () => {
+    let agent;
+
+    beforeEach(() => {
+      agent = new OrderProcessingAgent();
+      agent.generateStructuredResponse = jest.fn(() => Promise.resolve({
+        predictions: { estimatedDelivery: '2026-10-24', confidence: 0.7 },
+        notifications: []
+      }));
+    });
+
+    test('answers from stored events and only asks the model to predict', async () => {
+      mockRows.shipments = shipmentRow();
+
+      const tracking = await agent.trackShipment(orderId, undefined, { userId: customerId });
+
+      expect(tracking).toMatchObject({
+        carrier: 'local',
+        trackingNumber: 'LCLF1234567890',
+        status: 'in_transit',
+        currentStatus: { status: 'in_transit', location: 'Sorting hub', timestamp: '2026-10-20T09:00:00.000Z' },
+        predictions: { estimatedDelivery: '2026-10-24' }
+      });
+      expect(tracking.journey.map(step => step.status)).toEqual(['picked_up', 'in_transit']);
+    });
+
+    test('does not predict delivered parcels', async () => {
+      mockRows.shipments = shipmentRow({ status: 'delivered' });
+
+      const tracking = await agent.trackShipment(orderId, 'LCLF1234567890');
+
+      expect(tracking).toMatchObject({ status: 'delivered', predictions: null, notifications: [] });
+      expect(agent.generateStructuredResponse).not.toHaveBeenCalled();
+    });
+
+    test('only tracks shipments for their customer, artisan or an admin', async () => {
+      mockRows.shipments = shipmentRow();
+      mockRows.user_profiles = { role: 'customer', artisan: [] };
+      await expect(agent.trackShipment(orderId, undefined, { userId: 'someone-else' }))
+        .rejects.toThrow('Shipment not found');
+
+      mockRows.shipments = null;
+      await expect(agent.trackShipment(orderId, undefined, { userId: customerId }))
+        .rejects.toThrow('Shipment not found');
+      expect(agent.generateStructuredResponse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/shipping/quote', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.TEST_BYPASS_AUTH = 'true';
+      app = express();
+      app.use(express.json());
+      app.use('/api/shipping', shippingRouter);
+    });
+
+    afterAll(() => {
+      delete process.env.TEST_BYPASS_AUTH;
+    });
+
+    test('quotes the signed-in user\'s cart', async () => {
+      mockLists.carts = [];
+
+      const res = await request(app).post('/api/shipping/quote').send({ postalCode: '411001' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        data: { toPincode: '411001', currency: 'INR', shippingAmount: 0, artisans: [] }
+      });
+    });
+
+    test('validates the pincode', async () => {
+      const res = await request(app).post('/api/shipping/quote').send({ postalCode: '4110' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+    });
+  });
+
+  describe('POST /api/shipping/webhooks/:carrier', () => {
+    let app;
+
+    beforeAll(() => {
+      // Same body parsing as server.js
+      app = express();
+      app.use(express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        }
+      }));
+      app.use('/api/shipping', shippingRouter);
+    });
+
+    test('verifies the signature over the raw body', async () => {
+      const { getShippingCarrier } = await import('../services/shipping/index.js');
+      const { body, headers } = getShippingCarrier('local').buildWebhook([]);
+
+      const res = await request(app)
+        .post('/api/shipping/webhooks/local')
+        .set(headers)
+        .send(body);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, data: { recorded: 0, duplicates: 0, ignored: 0 } });
+    });
+
+    test('responds 401 to unsigned webhooks', async () => {
+      const res = await request(app)
+        .post('/api/shipping/webhooks/local')
+        .send({ events: [] });
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid webhook signature');
+    });
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Agent Task Queue Tests
+ *
+ * Tests for task IDs, priority ordering, per-agent concurrency limits,
+ * timeouts, cancellation, action dispatch and agent_tasks persistence in AgentManager.
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock Supabase
+const mockSupabase = {
+  from: jest.fn(() => ({
+    insert: jest.fn(() => Promise.resolve({ data: [], error: null }))
+  }))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+/**
+ * Deferred agent call that the test resolves by hand
+ */
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+/**
+ * In-memory stand-in for the agent_tasks store
+ */
+const createMemoryStore = (rows = []) => {
+  const tasks = new Map(rows.map(task => [task.id, { ...task }]));
+  return {
+    tasks,
+    create: jest.fn(async (task) => { tasks.set(task.id, { ...task }); }),
+    update: jest.fn(async (task) => { tasks.set(task.id, { ...tasks.get(task.id), ...task }); }),
+    get: jest.fn(async (id) => tasks.get(id) || null),
+    listPending: jest.fn(async () => [...tasks.values()]
+      .filter(task => ['queued', 'running'].includes(task.status))
+      .map(task => ({ ...task }))),
+    listForUser: jest.fn(async (userId) => {
+      const own = [...tasks.values()].filter(task => task.userId === userId);
+      return { tasks: own, total: own.length };
+    }),
+    getStats: jest.fn(async () => [])
+  };
+};
+
+describe('Agent Task Queue', () => {
+  let AgentManager;
+  let TaskStatus;
+  let manager;
+  let store;
+  let calls;
+
+  beforeAll(async () => {
+    ({ AgentManager, TaskStatus } = await import('../api/agentManager.js'));
+  });
+
+  beforeEach(async () => {
+    store = createMemoryStore();
+    manager = new AgentManager({ maxConcurrency: 1, taskTimeoutMs: 1000, store });
+    await manager.startAgent('customer-support');
+    stubAgent(manager);
+  });
+
+  afterEach(async () => {
+    await manager.stopAllAgents();
+  });
+
+  const stubAgent = (target) => {
+    calls = [];
+    target.agents.get('customer-support').processQuery = jest.fn((query) => {
+      const call = deferred();
+      calls.push({ query, ...call });
+      return call.promise;
+    });
+  };
+
+  test('should queue tasks beyond the concurrency limit', async () => {
+    const first = await manager.submitTask('customer-support', { input: { query: 'first' }, userId: 'u1' });
+    const second = await manager.submitTask('customer-support', { input: { query: 'second' }, userId: 'u1' });
+
+    expect(first.id).not.toBe(second.id);
+    expect(manager.getTask(first.id).status).toBe(TaskStatus.RUNNING);
+    expect(second).toMatchObject({ status: TaskStatus.QUEUED, queuePosition: 1 });
+    expect(manager.getAgentStatus('customer-support')).toMatchObject({ queueLength: 1, runningTasks: 1 });
+
+    calls[0].resolve({ success: true, response: 'done' });
+    const finished = await manager.waitForTask(first.id);
+
+    expect(finished.status).toBe(TaskStatus.COMPLETED);
+    expect(finished.result.response).toBe('done');
+    expect(manager.getTask(second.id).status).toBe(TaskStatus.RUNNING);
+  });
+
+  test('should run higher priority tasks first', async () => {
+    await manager.submitTask('customer-support', { input: { query: 'blocking' } });
+    await manager.submitTask('customer-support', { input: { query: 'bulk' } }, { priority: 'low' });
+    await manager.submitTask('customer-support', { input: { query: 'normal' } });
+    await manager.submitTask('customer-support', { input: { query: 'chat' } }, { priority: 'high' });
+
+    for (let i = 0; i < 4; i++) {
+      calls[i].resolve({ success: true });
+      await new Promise(setImmediate);
+    }
+
+    expect(calls.map(call => call.query)).toEqual(['blocking', 'chat', 'normal', 'bulk']);
+  });
+
+  test('should cancel queued and running tasks', async () => {
+    const cancelled = jest.fn();
+    manager.on('agent-task-cancelled', cancelled);
+
+    const running = await manager.submitTask('customer-support', { input: { query: 'running' } });
+    const queued = await manager.submitTask('customer-support', { input: { query: 'queued' } });
+
+    expect(manager.cancelTask(queued.id).status).toBe(TaskStatus.CANCELLED);
+    expect(manager.getAgentStatus('customer-support').queueLength).toBe(0);
+
+    manager.cancelTask(running.id);
+    calls[0].resolve({ success: true, response: 'too late' });
+    await new Promise(setImmediate);
+
+    const task = manager.getTask(running.id);
+    expect(task.status).toBe(TaskStatus.CANCELLED);
+    expect(task.result).toBeNull();
+    expect(cancelled).toHaveBeenCalledTimes(2);
+    expect(calls).toHaveLength(1);
+  });
+
+  test('should time out tasks and free the slot', async () => {
+    const task = await manager.submitTask('customer-support', { input: { query: 'slow' } }, { timeoutMs: 20 });
+    const next = await manager.submitTask('customer-support', { input: { query: 'next' } });
+
+    const finished = await manager.waitForTask(task.id);
+
+    expect(finished.status).toBe(TaskStatus.TIMED_OUT);
+    expect(finished.error).toMatch('timed out');
+    expect(manager.getTask(next.id).status).toBe(TaskStatus.RUNNING);
+    expect(manager.getAgentStatus('customer-support').stats.failedTasks).toBe(1);
+  });
+
+  test('should fail tasks when the agent reports an error', async () => {
+    const promise = manager.executeTask('customer-support', { input: { query: 'broken' } });
+    await new Promise(setImmediate);
+    calls[0].resolve({ success: false, error: 'AI service unavailable' });
+
+    await expect(promise).rejects.toThrow('AI service unavailable');
+  });
+
+  test('should reject tasks for stopped agents', async () => {
+    await expect(manager.submitTask('order-processor', { input: { query: 'hi' } }))
+      .rejects.toThrow('is not running');
+  });
+
+  test('should run named actions with the submitting user', async () => {
+    const agent = manager.agents.get('customer-support');
+    agent.handleSupportQuery = jest.fn().mockResolvedValue({ success: true, response: 'Shipped' });
+
+    const result = await manager.executeTask('customer-support', {
+      action: 'handleSupportQuery',
+      input: { query: 'Where is my order?' },
+      userId: 'u1'
+    });
+
+    expect(result.response).toBe('Shipped');
+    expect(agent.handleSupportQuery).toHaveBeenCalledWith('Where is my order?', 'u1', []);
+  });
+
+  test('should validate action input before queueing', async () => {
+    await expect(manager.submitTask('customer-support', { action: 'categorizeQuery', input: {} }))
+      .rejects.toMatchObject({ name: 'ZodError' });
+    await expect(manager.submitTask('customer-support', { action: 'refundEverything', input: {} }))
+      .rejects.toThrow('Unknown action');
+    expect(store.create).not.toHaveBeenCalled();
+  });
+
+  describe('Persistence', () => {
+    test('should record the task lifecycle in the store', async () => {
+      const task = await manager.submitTask('customer-support', { input: { query: 'hi' }, userId: 'artisan-1' });
+      expect(store.create).toHaveBeenCalledWith(expect.objectContaining({ id: task.id, status: 'queued' }));
+
+      calls[0].resolve({ success: true, response: 'hello' });
+      await manager.waitForTask(task.id);
+      await manager.flushWrites();
+
+      expect(store.tasks.get(task.id)).toMatchObject({
+        status: TaskStatus.COMPLETED,
+        attempts: 1,
+        result: { success: true, response: 'hello' }
+      });
+    });
+
+    test('should keep queueing when the store is unavailable', async () => {
+      store.create.mockRejectedValueOnce(new Error('Supabase unavailable'));
+
+      const task = await manager.submitTask('customer-support', { input: { query: 'hi' } });
+
+      expect(manager.getTask(task.id).status).toBe(TaskStatus.RUNNING);
+    });
+
+    test('should leave unfinished tasks pending on shutdown and resume them on start', async () => {
+      const running = await manager.submitTask('customer-support', { input: { query: 'running' } });
+      const queued = await manager.submitTask('customer-support', { input: { query: 'queued' } });
+      await manager.stopAllAgents();
+
+      expect(store.tasks.get(running.id).status).toBe(TaskStatus.RUNNING);
+      expect(store.tasks.get(queued.id).status).toBe(TaskStatus.QUEUED);
+
+      const restarted = new AgentManager({ maxConcurrency: 1, taskTimeoutMs: 1000, store });
+      await restarted.startAgent('customer-support');
+      stubAgent(restarted);
+
+      const summary = await restarted.recoverTasks();
+
+      expect(summary).toEqual({ resumed: 2, failed: 0 });
+      expect(calls.map(call => call.query)).toEqual(['running']);
+      expect(restarted.getTask(queued.id).queuePosition).toBe(1);
+      await restarted.stopAllAgents();
+    });
+
+    test('should fail interrupted tasks that used up their attempts', async () => {
+      const restarted = new AgentManager({
+        maxAttempts: 1,
+        store: createMemoryStore([{
+          id: 'c0a80121-7ac0-4e1b-9b2a-0c1d2e3f4a5b',
+          agentType: 'customer-support',
+          status: 'running',
+          priority: 'normal',
+          action: 'query',
+          input: { query: 'crashed mid-flight' },
+          attempts: 1,
+          createdAt: new Date().toISOString()
+        }])
+      });
+      await restarted.startAgent('customer-support');
+
+      const summary = await restarted.recoverTasks();
+
+      expect(summary).toEqual({ resumed: 0, failed: 1 });
+      expect(restarted.store.tasks.get('c0a80121-7ac0-4e1b-9b2a-0c1d2e3f4a5b')).toMatchObject({
+        status: TaskStatus.FAILED,
+        error: 'Interrupted by a server restart'
+      });
+      await restarted.stopAllAgents();
+    });
+
+    test('should restore lifetime stats from the store', async () => {
+      store.getStats.mockResolvedValue([{
+        agent_type: 'customer-support',
+        total_tasks: '12',
+        successful_tasks: '10',
+        failed_tasks: '2',
+        average_response_time: 850
+      }]);
+
+      await manager.restoreStats();
+
+      expect(manager.getAgentStatus('customer-support').stats).toMatchObject({
+        totalTasks: 12,
+        successfulTasks: 10,
+        failedTasks: 2,
+        averageResponseTime: 850
+      });
+    });
+  });
+});
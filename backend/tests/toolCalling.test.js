@@ -0,0 +1,258 @@
+/**
+ * Agent Tool Calling Tests
+ *
+ * Tests for the BaseAgent tool loop: tool dispatch, iteration bounds, error
+ * feedback to the model, the ai_interactions audit trail, the catalog tools
+ * and the provider mappings for tool calls.
+ */
+
+import { jest } from '@jest/globals';
+
+// Chainable Supabase query builder that resolves to the next queued result
+const queryResults = [];
+const queryCalls = [];
+const mockInsert = jest.fn(() => Promise.resolve({ data: [], error: null }));
+
+const queryBuilder = (table) => {
+  const builder = {};
+  ['select', 'eq', 'or', 'ilike', 'gte', 'lte', 'gt', 'overlaps', 'in', 'order', 'limit', 'range'].forEach(method => {
+    builder[method] = jest.fn((...args) => {
+      queryCalls.push({ table, method, args });
+      return builder;
+    });
+  });
+  builder.maybeSingle = jest.fn(() => builder);
+  builder.then = (resolve, reject) =>
+    Promise.resolve(queryResults.shift() || { data: [], error: null }).then(resolve, reject);
+  builder.insert = mockInsert;
+  return builder;
+};
+
+const mockSupabase = {
+  from: jest.fn(table => queryBuilder(table))
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabaseAdmin: mockSupabase,
+  supabaseClient: mockSupabase
+}));
+
+const productId = '3f1c2b6e-8a4d-4c1e-9f2a-1b2c3d4e5f60';
+
+/**
+ * Provider double that replays a scripted list of responses
+ */
+const scriptedProvider = (...responses) => ({
+  name: 'scripted',
+  displayName: 'Scripted',
+  defaultModel: 'test-model',
+  generate: jest.fn(async () => responses.shift() || { text: 'done', toolCalls: [] })
+});
+
+const toolCall = (name, args, id = `call_${name}`) => ({ text: '', toolCalls: [{ id, name, arguments: args }] });
+
+describe('Agent Tool Calling', () => {
+  let CustomerSupportAgent;
+  let ProductRecommendationAgent;
+  let OpenAICompatibleProvider;
+  let GeminiProvider;
+
+  beforeAll(async () => {
+    ({ CustomerSupportAgent } = await import('../agents/CustomerSupportAgent.js'));
+    ({ ProductRecommendationAgent } = await import('../agents/ProductRecommendationAgent.js'));
+    ({ OpenAICompatibleProvider, GeminiProvider } = await import('../services/llm/index.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queryResults.length = 0;
+    queryCalls.length = 0;
+  });
+
+  describe('Tool loop', () => {
+    test('should describe tools with JSON schemas', () => {
+      const tools = ProductRecommendationAgent.describeTools();
+
+      expect(tools.map(tool => tool.name)).toEqual(['searchProducts', 'getProduct', 'getArtisanProfile', 'checkStock']);
+      expect(tools[0].parameters).toMatchObject({
+        type: 'object',
+        properties: { maxPrice: { type: 'number' }, sort: { enum: ['featured', 'price_asc', 'price_desc', 'newest'] } }
+      });
+    });
+
+    test('should run requested tools and return their results to the model', async () => {
+      const agent = new CustomerSupportAgent();
+      agent.provider = scriptedProvider(
+        toolCall('checkStock', { productIds: [productId] }),
+        { text: 'Yes, 3 are in stock.', toolCalls: [] }
+      );
+      queryResults.push({ data: [{ id: productId, title: 'Brass Diya', status: 'active', stock_quantity: 3 }], error: null });
+
+      const result = await agent.generateWithTools([{ role: 'user', content: 'Is the brass diya in stock?' }]);
+
+      expect(result).toMatchObject({ text: 'Yes, 3 are in stock.', iterations: 2 });
+      expect(result.toolResults[0].result.products[0]).toMatchObject({ available: true, stockQuantity: 3 });
+
+      const secondTurn = agent.provider.generate.mock.calls[1][0];
+      expect(secondTurn.tools.map(tool => tool.name)).toContain('checkStock');
+      expect(secondTurn.messages.slice(-2)).toEqual([
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_checkStock', name: 'checkStock', arguments: { productIds: [productId] } }] },
+        { role: 'tool', toolCallId: 'call_checkStock', name: 'checkStock', content: JSON.stringify(result.toolResults[0].result) }
+      ]);
+    });
+
+    test('should stop offering tools after the iteration bound', async () => {
+      const agent = new CustomerSupportAgent();
+      agent.provider = scriptedProvider(
+        toolCall('getOrderStatus', {}),
+        toolCall('getOrderStatus', {}),
+        { text: 'Your order is on its way.', toolCalls: [] }
+      );
+
+      const result = await agent.generateWithTools(
+        [{ role: 'user', content: 'Where is my order?' }],
+        { userId: 'customer-1', maxToolIterations: 2 }
+      );
+
+      const choices = agent.provider.generate.mock.calls.map(([request]) => request.toolChoice);
+      expect(choices).toEqual(['auto', 'auto', 'none']);
+      expect(result.iterations).toBe(3);
+    });
+
+    test('should report invalid arguments and unknown tools back to the model', async () => {
+      const agent = new CustomerSupportAgent();
+      agent.provider = scriptedProvider(
+        { text: '', toolCalls: [
+          { id: 'a', name: 'checkStock', arguments: { productIds: ['not-a-uuid'] } },
+          { id: 'b', name: 'deleteProduct', arguments: {} }
+        ] },
+        { text: 'Sorry, I could not check that.', toolCalls: [] }
+      );
+
+      const { toolResults } = await agent.generateWithTools([{ role: 'user', content: 'Check stock' }]);
+
+      expect(toolResults[0].result.error).toMatch(/^Invalid arguments: productIds\.0/);
+      expect(toolResults[1].result).toEqual({ error: 'Unknown tool deleteProduct' });
+    });
+
+    test('should audit every model turn and tool call under one session', async () => {
+      const agent = new CustomerSupportAgent();
+      agent.provider = scriptedProvider(
+        toolCall('getOrderStatus', { orderNumber: 'AOM-1001' }),
+        { text: 'It shipped yesterday.', toolCalls: [] }
+      );
+      queryResults.push({ data: [{ order_number: 'AOM-1001', status: 'shipped', total_amount: '1299.00', order_items: [] }], error: null });
+
+      const { sessionId } = await agent.generateWithTools(
+        [{ role: 'user', content: 'Where is AOM-1001?' }],
+        { userId: 'customer-1' }
+      );
+
+      const rows = mockInsert.mock.calls.map(([row]) => row);
+      expect(rows.map(row => [row.interaction_type, row.iteration])).toEqual([
+        ['completion', 0],
+        ['tool_call', 0],
+        ['completion', 1]
+      ]);
+      rows.forEach(row => expect(row).toMatchObject({ agent_type: 'customer-support', user_id: 'customer-1', session_id: sessionId }));
+      expect(rows[1]).toMatchObject({
+        tool_name: 'getOrderStatus',
+        input: { orderNumber: 'AOM-1001' },
+        output: { orders: [expect.objectContaining({ status: 'shipped', totalAmount: 1299 })] }
+      });
+    });
+  });
+
+  describe('Catalog tools', () => {
+    test('should scope order lookups to the signed-in customer', async () => {
+      const { getOrderStatus } = await import('../agents/tools.js');
+      const agent = new CustomerSupportAgent();
+
+      await expect(agent.runTool({ name: 'getOrderStatus', arguments: {} })).resolves
+        .toEqual({ error: 'The customer is not signed in' });
+
+      await getOrderStatus.run(agent, { orderNumber: 'AOM-1001', limit: 3 }, { userId: 'customer-1' });
+      expect(queryCalls).toContainEqual({ table: 'orders', method: 'eq', args: ['customer_id', 'customer-1'] });
+    });
+
+    test('should translate search filters into catalog queries', async () => {
+      const agent = new ProductRecommendationAgent();
+      queryResults.push({ data: [], count: 42, error: null });
+
+      const result = await agent.runTool({
+        name: 'searchProducts',
+        arguments: { keywords: 'block print, (cotton)', maxPrice: 2000, region: 'Rajasthan', offset: 20 }
+      });
+
+      expect(result).toEqual({ total: 42, products: [] });
+      expect(queryCalls).toEqual(expect.arrayContaining([
+        { table: 'products', method: 'eq', args: ['status', 'active'] },
+        { table: 'products', method: 'or', args: ['title.ilike.%block print   cotton%,description.ilike.%block print   cotton%'] },
+        { table: 'products', method: 'lte', args: ['price', 2000] },
+        { table: 'products', method: 'gt', args: ['stock_quantity', 0] },
+        { table: 'products', method: 'range', args: [20, 29] }
+      ]));
+    });
+  });
+
+  describe('Provider mappings', () => {
+    const tools = [{ name: 'checkStock', description: 'Check stock', parameters: { type: 'object', properties: {}, additionalProperties: false } }];
+    const messages = [
+      { role: 'user', content: 'In stock?' },
+      { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'checkStock', arguments: { productIds: [productId] } }] },
+      { role: 'tool', toolCallId: 'call_1', name: 'checkStock', content: '{"available":true}' }
+    ];
+
+    test('should send and parse OpenAI-style tool calls', async () => {
+      const httpClient = {
+        post: jest.fn().mockResolvedValue({
+          data: {
+            choices: [{
+              message: {
+                content: null,
+                tool_calls: [{ id: 'call_2', type: 'function', function: { name: 'checkStock', arguments: '{"productIds":[]}' } }]
+              }
+            }]
+          }
+        })
+      };
+      const provider = new OpenAICompatibleProvider({ httpClient, defaultModel: 'llama3' });
+
+      const result = await provider.generate({ messages, tools, toolChoice: 'none' });
+
+      const [, body] = httpClient.post.mock.calls[0];
+      expect(body.tools[0]).toMatchObject({ type: 'function', function: { name: 'checkStock' } });
+      expect(body.tool_choice).toBe('none');
+      expect(body.messages[1].tool_calls[0]).toEqual({
+        id: 'call_1',
+        type: 'function',
+        function: { name: 'checkStock', arguments: JSON.stringify({ productIds: [productId] }) }
+      });
+      expect(body.messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '{"available":true}' });
+      expect(result.toolCalls).toEqual([{ id: 'call_2', name: 'checkStock', arguments: { productIds: [] } }]);
+    });
+
+    test('should send and parse Gemini function calls', async () => {
+      const generateContent = jest.fn().mockResolvedValue({
+        response: {
+          text: () => '',
+          functionCalls: () => [{ name: 'checkStock', args: { productIds: [] } }]
+        }
+      });
+      const provider = new GeminiProvider({ client: { getGenerativeModel: () => ({ generateContent }) } });
+
+      const result = await provider.generate({ messages, tools });
+
+      const [params] = generateContent.mock.calls[0];
+      expect(params.tools[0].functionDeclarations[0]).toEqual({
+        name: 'checkStock',
+        description: 'Check stock',
+        parameters: { type: 'object', properties: {} }
+      });
+      expect(params.toolConfig.functionCallingConfig.mode).toBe('AUTO');
+      expect(params.contents.map(content => content.role)).toEqual(['user', 'model', 'function']);
+      expect(params.contents[2].parts[0].functionResponse).toEqual({ name: 'checkStock', response: { content: '{"available":true}' } });
+      expect(result.toolCalls).toEqual([{ id: 'call_0', name: 'checkStock', arguments: { productIds: [] } }]);
+    });
+  });
+});
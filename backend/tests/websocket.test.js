@@ -11,16 +11,19 @@ import { Server } from 'socket.io';
 import SocketClient from 'socket.io-client';
 import jwt from 'jsonwebtoken';
 
-// Mock dependencies
+// Mock dependencies; agent manager listeners are kept by event name
+const mockAgentListeners = new Map();
 const mockAgentManager = {
-  on: jest.fn(),
+  on: jest.fn((event, listener) => mockAgentListeners.set(event, listener)),
   off: jest.fn(),
   getAllAgentsStatus: jest.fn(() => ({})),
+  streamTask: jest.fn(),
   agents: new Map()
 };
 
 jest.unstable_mockModule('../api/agentManager.js', () => ({
-  default: mockAgentManager
+  default: mockAgentManager,
+  resolveChatAgentType: (contextType) => (contextType === 'support' ? 'customer-support' : null)
 }));
 
 const mockSupabase = {
@@ -265,6 +268,50 @@ describe('WebSocket Integration Tests', () => {
     });
   });
 
+  describe('Agent Task Events', () => {
+    let otherSocket;
+
+    beforeEach((done) => {
+      const port = httpServer.address().port;
+      const otherToken = jwt.sign({ id: 'other-user-456', email: 'other@example.com' }, process.env.JWT_SECRET || 'test-secret');
+      clientSocket = SocketClient(`http://localhost:${port}`, { auth: { token: validToken } });
+      otherSocket = SocketClient(`http://localhost:${port}`, { auth: { token: otherToken } });
+
+      otherSocket.on('subscribed', () => done());
+      otherSocket.on('connect', () => {
+        otherSocket.emit('subscribe-agent', 'customer-support');
+      });
+    });
+
+    afterEach(() => {
+      otherSocket.disconnect();
+    });
+
+    test('should send task results only to the user who submitted the task', (done) => {
+      const received = [];
+      otherSocket.on('agent-task-complete', (data) => received.push(data));
+
+      clientSocket.on('agent-task-complete', (data) => {
+        expect(data).toMatchObject({ taskId: 'task-123', agentType: 'customer-support', result: { answer: 'Your order shipped' } });
+        // Give the other user's socket time to receive anything sent to the agent's room
+        setTimeout(() => {
+          expect(received).toEqual([]);
+          done();
+        }, 50);
+      });
+
+      const emitTaskComplete = () => mockAgentListeners.get('agent-task-complete')({
+        type: 'customer-support',
+        taskId: 'task-123',
+        userId: 'test-user-123',
+        status: 'completed',
+        result: { answer: 'Your order shipped' }
+      });
+      if (clientSocket.connected) emitTaskComplete();
+      else clientSocket.on('connect', emitTaskComplete);
+    });
+  });
+
   describe('System Notifications', () => {
     beforeEach((done) => {
       const port = httpServer.address().port;
@@ -427,5 +474,27 @@ describe('WebSocket Integration Tests', () => {
         }
       });
     });
+
+    test('should limit AI chat to the same budget as the HTTP AI routes', (done) => {
+      mockAgentManager.streamTask.mockImplementation(async function* () {
+        yield 'Hello';
+      });
+      const port = httpServer.address().port;
+      clientSocket = SocketClient(`http://localhost:${port}`, {
+        auth: { token: validToken }
+      });
+
+      clientSocket.on('connect', () => {
+        clientSocket.on('ai-error', (data) => {
+          expect(data).toMatchObject({ requestId: 50, message: expect.stringMatching(/limit exceeded/i) });
+          expect(mockAgentManager.streamTask).toHaveBeenCalledTimes(50);
+          done();
+        });
+
+        for (let i = 0; i <= 50; i++) {
+          clientSocket.emit('ai-chat', { message: 'Hi', context: { type: 'support' }, requestId: i });
+        }
+      });
+    });
   });
 });
\ No newline at end of file
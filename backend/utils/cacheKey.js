@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+
+/**
+ * Canonical form of a value for cache keys: object keys sorted, undefined
+ * fields dropped and strings trimmed with runs of whitespace collapsed, so
+ * prompts that differ only in formatting share an entry
+ */
+export function normalizeForKey(value) {
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ');
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeForKey);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      if (value[key] !== undefined) normalized[key] = normalizeForKey(value[key]);
+      return normalized;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Fixed-length cache key `<namespace>:<kind>:<sha256 of the normalized parts>`
+ */
+export function cacheKey(namespace, kind, parts) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalizeForKey(parts)))
+    .digest('hex');
+  return `${namespace}:${kind}:${hash}`;
+}
+
+export default cacheKey;
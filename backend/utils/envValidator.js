@@ -6,10 +6,20 @@
 import crypto from 'crypto';
 import { URL } from 'url';
 
+// Whether any agent is configured to use the given LLM provider
+const usesProvider = (name) => {
+  const defaultProvider = process.env.AI_PROVIDER || 'gemini';
+  const overrides = Object.keys(process.env)
+    .filter(key => key.startsWith('AI_PROVIDER_'))
+    .map(key => process.env[key]);
+  return defaultProvider === name || overrides.includes(name);
+};
+
 // Required environment variables with validation rules
+// `required` may be a function for variables that depend on other settings
 const REQUIRED_VARS = {
   GEMINI_API_KEY: {
-    required: true,
+    required: () => usesProvider('gemini'),
     validator: (value) => {
       if (!value || value === 'your_gemini_api_key_here') {
         return 'Please configure your actual Google Gemini API key';
@@ -80,6 +90,52 @@ const REQUIRED_VARS = {
       '1. Generate a secure secret using: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"',
       '2. Copy the generated string to JWT_SECRET in your .env file'
     ]
+  },
+  PAYMENT_PROVIDER: {
+    required: true,
+    validator: (value) => {
+      if (!['razorpay', 'sandbox'].includes(value)) {
+        return 'PAYMENT_PROVIDER must be one of: razorpay, sandbox';
+      }
+      if (value === 'sandbox' && isProduction()) {
+        return 'The sandbox takes no real payments and cannot be used in production';
+      }
+      return null;
+    },
+    setupInstructions: [
+      '1. Set PAYMENT_PROVIDER=razorpay and the RAZORPAY_* keys to take real payments',
+      '2. Outside production, PAYMENT_PROVIDER=sandbox simulates payments without an account'
+    ]
+  },
+  PAYMENT_SANDBOX_WEBHOOK_SECRET: {
+    required: () => process.env.PAYMENT_PROVIDER === 'sandbox',
+    setupInstructions: [
+      '1. Generate a secret using: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"',
+      '2. Copy the generated string to PAYMENT_SANDBOX_WEBHOOK_SECRET in your .env file'
+    ]
+  },
+  SHIPPING_CARRIER: {
+    required: true,
+    validator: (value) => {
+      if (!['local', 'indiapost', 'shiprocket'].includes(value)) {
+        return 'SHIPPING_CARRIER must be one of: local, indiapost, shiprocket';
+      }
+      if (value === 'local' && isProduction()) {
+        return 'The local simulator ships no real parcels and cannot be used in production';
+      }
+      return null;
+    },
+    setupInstructions: [
+      '1. Set SHIPPING_CARRIER=indiapost or shiprocket and that carrier\'s keys to book real shipments',
+      '2. Outside production, SHIPPING_CARRIER=local simulates labels and tracking without an account'
+    ]
+  },
+  SHIPPING_LOCAL_WEBHOOK_SECRET: {
+    required: () => process.env.SHIPPING_CARRIER === 'local',
+    setupInstructions: [
+      '1. Generate a secret using: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"',
+      '2. Copy the generated string to SHIPPING_LOCAL_WEBHOOK_SECRET in your .env file'
+    ]
   }
 };
 
@@ -115,9 +171,27 @@ const OPTIONAL_VARS = {
       }
     }
   },
+  AI_PROVIDER: {
+    default: 'gemini',
+    validator: (value) => {
+      if (!['gemini', 'openai', 'fixture'].includes(value)) {
+        return 'AI_PROVIDER must be one of: gemini, openai, fixture';
+      }
+      return null;
+    }
+  },
   AI_MODEL: {
     default: 'gemini-2.0-flash-001'
   },
+  AI_FIXTURE_MODE: {
+    default: 'replay',
+    validator: (value) => {
+      if (!['replay', 'strict', 'record'].includes(value)) {
+        return 'AI_FIXTURE_MODE must be one of: replay, strict, record';
+      }
+      return null;
+    }
+  },
   AI_TEMPERATURE: {
     default: '0.7',
     validator: (value) => {
@@ -138,6 +212,179 @@ const OPTIONAL_VARS = {
       return null;
     }
   },
+  AGENT_MAX_CONCURRENCY: {
+    default: '2',
+    validator: (value) => {
+      const limit = parseInt(value);
+      if (isNaN(limit) || limit < 1) {
+        return 'AGENT_MAX_CONCURRENCY must be a positive integer';
+      }
+      return null;
+    }
+  },
+  AGENT_TASK_TIMEOUT_MS: {
+    default: '120000',
+    validator: (value) => {
+      const timeout = parseInt(value);
+      if (isNaN(timeout) || timeout < 1000) {
+        return 'AGENT_TASK_TIMEOUT_MS must be at least 1000';
+      }
+      return null;
+    }
+  },
+  AGENT_TASK_MAX_ATTEMPTS: {
+    default: '2',
+    validator: (value) => {
+      const attempts = parseInt(value);
+      if (isNaN(attempts) || attempts < 1) {
+        return 'AGENT_TASK_MAX_ATTEMPTS must be a positive integer';
+      }
+      return null;
+    }
+  },
+  AGENT_MAX_TOOL_ITERATIONS: {
+    default: '5',
+    validator: (value) => {
+      const iterations = parseInt(value);
+      if (isNaN(iterations) || iterations < 1) {
+        return 'AGENT_MAX_TOOL_ITERATIONS must be a positive integer';
+      }
+      return null;
+    }
+  },
+  CONVERSATION_HISTORY_TOKENS: {
+    default: '3000',
+    validator: (value) => {
+      const tokens = parseInt(value);
+      if (isNaN(tokens) || tokens < 100) {
+        return 'CONVERSATION_HISTORY_TOKENS must be at least 100';
+      }
+      return null;
+    }
+  },
+  CONVERSATION_SUMMARY_TOKENS: {
+    default: '400',
+    validator: (value) => {
+      const tokens = parseInt(value);
+      if (isNaN(tokens) || tokens < 50) {
+        return 'CONVERSATION_SUMMARY_TOKENS must be at least 50';
+      }
+      return null;
+    }
+  },
+  AI_USER_MONTHLY_TOKENS: {
+    default: '500000',
+    validator: (value) => {
+      const tokens = parseInt(value);
+      if (isNaN(tokens) || tokens < 0) {
+        return 'AI_USER_MONTHLY_TOKENS must be 0 (unlimited) or a positive integer';
+      }
+      return null;
+    }
+  },
+  AI_ARTISAN_MONTHLY_TOKENS: {
+    default: '2000000',
+    validator: (value) => {
+      const tokens = parseInt(value);
+      if (isNaN(tokens) || tokens < 0) {
+        return 'AI_ARTISAN_MONTHLY_TOKENS must be 0 (unlimited) or a positive integer';
+      }
+      return null;
+    }
+  },
+  AI_CACHE_BACKEND: {
+    validator: (value) => {
+      if (!['memory', 'redis'].includes(value)) {
+        return 'AI_CACHE_BACKEND must be one of: memory, redis';
+      }
+      if (value === 'redis' && !process.env.REDIS_URL) {
+        return 'AI_CACHE_BACKEND=redis requires REDIS_URL';
+      }
+      return null;
+    }
+  },
+  REDIS_URL: {
+    validator: (value) => {
+      try {
+        const url = new URL(value);
+        if (!['redis:', 'rediss:'].includes(url.protocol)) {
+          return 'REDIS_URL must start with redis:// or rediss://';
+        }
+        return null;
+      } catch {
+        return 'REDIS_URL must be a valid URL';
+      }
+    }
+  },
+  AI_CACHE_TTL_SECONDS: {
+    default: '600',
+    validator: (value) => {
+      const seconds = parseInt(value);
+      if (isNaN(seconds) || seconds < 1) {
+        return 'AI_CACHE_TTL_SECONDS must be a positive integer';
+      }
+      return null;
+    }
+  },
+  CHECKOUT_HOLD_MINUTES: {
+    default: '15',
+    validator: (value) => {
+      const minutes = parseInt(value);
+      if (isNaN(minutes) || minutes < 1) {
+        return 'CHECKOUT_HOLD_MINUTES must be a positive integer';
+      }
+      return null;
+    }
+  },
+  RESERVATION_SWEEP_INTERVAL_MS: {
+    default: '60000',
+    validator: (value) => {
+      const ms = parseInt(value);
+      if (isNaN(ms) || ms < 1000) {
+        return 'RESERVATION_SWEEP_INTERVAL_MS must be at least 1000';
+      }
+      return null;
+    }
+  },
+  ORDER_EVENTS_POLL_INTERVAL_MS: {
+    default: '5000',
+    validator: (value) => {
+      const ms = parseInt(value);
+      if (isNaN(ms) || ms < 100) {
+        return 'ORDER_EVENTS_POLL_INTERVAL_MS must be at least 100';
+      }
+      return null;
+    }
+  },
+  PAYMENT_SANDBOX_OUTCOME: {
+    default: 'success',
+    validator: (value) => {
+      if (!['success', 'failure', 'pending'].includes(value)) {
+        return 'PAYMENT_SANDBOX_OUTCOME must be one of: success, failure, pending';
+      }
+      return null;
+    }
+  },
+  RETURN_WINDOW_DAYS: {
+    default: '7',
+    validator: (value) => {
+      const days = parseInt(value);
+      if (isNaN(days) || days < 0) {
+        return 'RETURN_WINDOW_DAYS must be a non-negative integer';
+      }
+      return null;
+    }
+  },
+  SHIPPING_DEFAULT_ITEM_WEIGHT_GRAMS: {
+    default: '500',
+    validator: (value) => {
+      const grams = parseInt(value);
+      if (isNaN(grams) || grams <= 0) {
+        return 'SHIPPING_DEFAULT_ITEM_WEIGHT_GRAMS must be a positive integer';
+      }
+      return null;
+    }
+  },
   JWT_EXPIRY: {
     default: '7d'
   },
@@ -186,7 +433,8 @@ const OPTIONAL_VARS = {
  * Validate a single environment variable
  */
 function validateEnvVar(key, config, value) {
-  if (config.required && !value) {
+  const required = typeof config.required === 'function' ? config.required() : config.required;
+  if (required && !value) {
     return {
       isValid: false,
       error: `${key} is required but not set`,
@@ -0,0 +1,8 @@
+/**
+ * Error carrying the HTTP status the API should answer with, plus any extra
+ * fields for the response body
+ */
+export const httpError = (status, message, extra = {}) =>
+  Object.assign(new Error(message), { status, ...extra });
+
+export default httpError;
@@ -0,0 +1,19 @@
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+/**
+ * Convert a zod schema to an inline JSON schema (OpenAPI 3 flavour, no $refs).
+ * Plain JSON schemas are returned unchanged.
+ */
+export function toJsonSchema(schema) {
+  if (!isZodSchema(schema)) return schema;
+  return zodToJsonSchema(schema, { target: 'openApi3', $refStrategy: 'none' });
+}
+
+/**
+ * True for zod schemas, whichever copy of zod created them
+ */
+export function isZodSchema(schema) {
+  return typeof schema?.safeParse === 'function' && Boolean(schema._def);
+}
+
+export default toJsonSchema;
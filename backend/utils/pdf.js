@@ -0,0 +1,101 @@
+/**
+ * A small PDF writer for text documents such as invoices: A4 pages of
+ * Helvetica text and rules. Coordinates are in points from the top left
+ * corner of the page.
+ */
+
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// Helvetica advance widths, in thousandths of the font size, of the
+// characters amounts are written with; others count as 556
+const HELVETICA_WIDTHS = {
+  ' ': 278, ',': 278, '.': 278, '/': 278, '-': 333, '%': 889, '(': 333, ')': 333,
+  'R': 722, 's': 500
+};
+
+// Characters outside WinAnsi that documents commonly contain
+const REPLACEMENTS = { '₹': 'Rs.', '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '•': '-' };
+
+export class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  /**
+   * Write text with its baseline at y; align 'right' ends it at x
+   */
+  text(x, y, value, { size = 10, bold = false, align = 'left' } = {}) {
+    const text = toWinAnsi(value);
+    const left = align === 'right' ? x - textWidth(text, size) : x;
+    this.page.push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${format(left)} ${format(PAGE_HEIGHT - y)} Td (${escape(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.page.push(
+      `${format(width)} w ${format(x1)} ${format(PAGE_HEIGHT - y1)} m ${format(x2)} ${format(PAGE_HEIGHT - y2)} l S`
+    );
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    // Object numbers start at 1, so the new length is the object's number
+    const add = body => objects.push(body);
+
+    add('<< /Type /Catalog /Pages 2 0 R >>');
+    add(null); // the page tree, once the pages are numbered
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = this.pages.map(operations => {
+      const stream = operations.join('\n');
+      const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+    objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(pdf, 'latin1');
+      pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+  }
+}
+
+/**
+ * Width of text in points at a font size, close enough to right-align
+ * amounts
+ */
+export function textWidth(text, size) {
+  return [...text].reduce((sum, char) => sum + (HELVETICA_WIDTHS[char] ?? 556), 0) * size / 1000;
+}
+
+const toWinAnsi = value => [...String(value ?? '')]
+  .map(char => REPLACEMENTS[char] ?? (char.charCodeAt(0) <= 0xff ? char : '?'))
+  .join('');
+
+const escape = text => text.replace(/[\\()]/g, char => `\\${char}`).replace(/[\r\n]+/g, ' ');
+
+const format = number => Number(number.toFixed(2)).toString();
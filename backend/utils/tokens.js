@@ -0,0 +1,13 @@
+// Rough characters per token for English text across Gemini and OpenAI tokenizers
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token count of a text without calling a tokenizer.
+ * Good enough for budgeting prompt history, not for billing.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+export default estimateTokens;
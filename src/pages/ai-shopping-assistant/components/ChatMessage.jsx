@@ -31,6 +31,7 @@ const ChatMessage = ({
   timestamp, 
   progress,
   actions,
+  isStreaming = false,
   onViewProduct,
   onAddToCart,
   className = '' 
@@ -81,10 +82,22 @@ const ChatMessage = ({
               ? 'bg-primary text-primary-foreground' 
               : 'bg-card text-card-foreground border border-border'
           }`}>
+            {/* Waiting for the first streamed chunk */}
+            {isStreaming && !text && (
+              <div className="flex items-center space-x-1 py-1" aria-label="Assistant is typing">
+                <span className="w-2 h-2 rounded-full bg-muted-foreground animate-bounce" />
+                <span className="w-2 h-2 rounded-full bg-muted-foreground animate-bounce [animation-delay:150ms]" />
+                <span className="w-2 h-2 rounded-full bg-muted-foreground animate-bounce [animation-delay:300ms]" />
+              </div>
+            )}
+
             {/* Text Content */}
             {text && (
-              <p className="text-sm leading-relaxed whitespace-pre-wrap">
+              <p className="text-sm leading-relaxed whitespace-pre-wrap" aria-live={isStreaming ? 'polite' : undefined}>
                 {text}
+                {isStreaming && (
+                  <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-current animate-pulse" />
+                )}
               </p>
             )}
 
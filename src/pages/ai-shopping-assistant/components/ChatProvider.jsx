@@ -1,14 +1,39 @@
 import React, { createContext, useContext, useState } from 'react';
+import { aiService } from '../../../services/aiService';
+import { useAuth } from '../../../contexts/AuthContext';
 
 const ChatContext = createContext(null);
 
 export const ChatProvider = ({ children }) => {
+  const { session } = useAuth();
   const [isConnected, setIsConnected] = useState(true); // Always connected for HTTP mode
   const [connectionError, setConnectionError] = useState(null);
 
-  const sendMessage = async (message, agentType = 'productRecommendation', userId = 'anonymous') => {
+  const sendMessage = async (message, agentType = 'productRecommendation', userId = 'anonymous', onChunk = null, conversationId = null) => {
     try {
       setConnectionError(null);
+
+      // Stream partial text from the backend when it is available
+      if (onChunk && !aiService.isMockMode) {
+        const reply = await aiService.streamChatWithAgent({
+          message,
+          agentType,
+          conversationId,
+          token: session?.access_token
+        }, onChunk);
+
+        return {
+          response: reply.response,
+          conversationId: reply.conversationId,
+          agentType,
+          timestamp: reply.timestamp,
+          userId,
+          metadata: {
+            agent: reply.agent,
+            streamed: true
+          }
+        };
+      }
       
       // Get the current Vercel app URL or fallback to relative path
       // Use test endpoint to avoid authentication issues
@@ -6,20 +6,16 @@ const ConversationSidebar = ({
   isOpen, 
   onClose, 
   conversationHistory, 
+  conversations = [],
+  activeConversationId,
+  onSelectConversation,
   userPreferences, 
   onResetConversation,
   onUpdatePreferences 
 }) => {
-  const recentTopics = [
-    { id: 1, topic: "Rajasthani Textiles", count: 5, timestamp: new Date(Date.now() - 3600000) },
-    { id: 2, topic: "Kerala Pottery", count: 3, timestamp: new Date(Date.now() - 7200000) },
-    { id: 3, topic: "Kashmiri Carpets", count: 8, timestamp: new Date(Date.now() - 86400000) },
-    { id: 4, topic: "Bengali Jewelry", count: 2, timestamp: new Date(Date.now() - 172800000) }
-  ];
-
   const formatRelativeTime = (timestamp) => {
     const now = new Date();
-    const diff = now - timestamp;
+    const diff = now - new Date(timestamp);
     const hours = Math.floor(diff / (1000 * 60 * 60));
     const days = Math.floor(hours / 24);
     
@@ -112,25 +108,36 @@ const ConversationSidebar = ({
               </div>
             </div>
 
-            {/* Recent Topics */}
+            {/* Past Conversations */}
             <div className="p-4 border-b border-border">
               <h4 className="text-sm font-semibold text-foreground mb-3">
-                Recent Topics
+                Recent Conversations
               </h4>
               
               <div className="space-y-2">
-                {recentTopics?.map((topic) => (
-                  <div key={topic?.id} className="flex items-center justify-between p-2 rounded-lg hover:bg-muted transition-colors duration-200 cursor-pointer">
+                {conversations?.length === 0 && (
+                  <p className="text-xs text-muted-foreground">
+                    Your conversations will appear here so you can pick them up later.
+                  </p>
+                )}
+                {conversations?.map((conversation) => (
+                  <button
+                    key={conversation?.id}
+                    onClick={() => onSelectConversation?.(conversation?.id)}
+                    className={`w-full text-left flex items-center justify-between p-2 rounded-lg hover:bg-muted transition-colors duration-200 ${
+                      conversation?.id === activeConversationId ? 'bg-muted' : ''
+                    }`}
+                  >
                     <div className="flex-1 min-w-0">
                       <p className="text-sm font-medium text-foreground truncate">
-                        {topic?.topic}
+                        {conversation?.title}
                       </p>
                       <p className="text-xs text-muted-foreground">
-                        {topic?.count} messages • {formatRelativeTime(topic?.timestamp)}
+                        {conversation?.messageCount} messages • {formatRelativeTime(conversation?.lastMessageAt)}
                       </p>
                     </div>
                     <Icon name="MessageCircle" size={16} className="text-muted-foreground" />
-                  </div>
+                  </button>
                 ))}
               </div>
             </div>
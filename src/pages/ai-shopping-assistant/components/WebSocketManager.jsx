@@ -87,9 +87,14 @@ export const WebSocketProvider = ({ children }) => {
       'agent-started',
       'agent-stopped',
       'agent-error',
+      'agent-task-queued',
       'agent-task-progress',
       'agent-task-complete',
-      'ai-response'
+      'agent-task-cancelled',
+      'ai-thinking',
+      'ai-response-chunk',
+      'ai-response',
+      'ai-error'
     ];
 
     agentEvents.forEach(event => {
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from '../../components/ui/Header';
 import AppIcon from '../../components/AppIcon';
@@ -10,6 +10,27 @@ import WelcomeScreen from './components/WelcomeScreen';
 import ChatProvider, { useChat } from './components/ChatProvider';
 import { WebSocketProvider } from './components/WebSocketManager';
 import { useAuth } from '../../contexts/AuthContext';
+import { aiService } from '../../services/aiService';
+
+// Backend agent types mapped back onto the assistant's agent names
+const chatAgentTypes = {
+  'content-optimizer': 'productRecommendation',
+  'customer-support': 'customerSupport',
+  'market-analyzer': 'artisanAssistant',
+  'order-processor': 'orderProcessing',
+  'customer-insights': 'contentGeneration'
+};
+
+/**
+ * Map a stored conversation message onto the chat message shape
+ */
+const toChatMessage = (message) => ({
+  id: message.id,
+  sender: message.role === 'user' ? 'user' : 'ai',
+  agentType: chatAgentTypes[message.agentType],
+  timestamp: new Date(message.createdAt),
+  text: message.content
+});
 
 const AIShoppingAssistantContent = () => {
   const navigate = useNavigate();
@@ -23,6 +44,8 @@ const AIShoppingAssistantContent = () => {
   const [showWelcome, setShowWelcome] = useState(true);
   const [selectedAgent, setSelectedAgent] = useState('productRecommendation');
   const [currentTask, setCurrentTask] = useState(null);
+  const [conversationId, setConversationId] = useState(null);
+  const [conversations, setConversations] = useState([]);
   const [userPreferences, setUserPreferences] = useState({
     budgetMin: 500,
     budgetMax: 10000,
@@ -39,6 +62,42 @@ const AIShoppingAssistantContent = () => {
     messagesEndRef?.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  const loadConversations = useCallback(async () => {
+    if (!session?.access_token) return;
+    try {
+      const result = await aiService.listConversations(session.access_token);
+      setConversations(result?.data?.conversations || []);
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+  }, [session?.access_token]);
+
+  useEffect(() => {
+    loadConversations();
+  }, [loadConversations]);
+
+  const handleResumeConversation = async (id) => {
+    try {
+      const result = await aiService.getConversation(id, session?.access_token);
+      const conversation = result?.data;
+      if (!conversation?.messages) return;
+
+      setConversationId(conversation.id);
+      setConversationHistory(conversation.messages.map(toChatMessage));
+      setSelectedAgent(chatAgentTypes[conversation.agentType] || 'productRecommendation');
+      setShowWelcome(false);
+      setIsSidebarOpen(false);
+    } catch (error) {
+      console.error('Error resuming conversation:', error);
+    }
+  };
+
+  const handleResetConversation = () => {
+    setConversationId(null);
+    setConversationHistory([]);
+    setShowWelcome(true);
+  };
+
   const handleSendMessage = async (message, selectedAgentType = null) => {
     const agentType = selectedAgentType || selectedAgent || 'productRecommendation';
     const userId = session?.user?.id || 'anonymous';
@@ -51,7 +110,24 @@ const AIShoppingAssistantContent = () => {
       text: message
     };
 
-    setConversationHistory(prev => [...prev, userMessage]);
+    // Placeholder for the AI reply, filled in as text streams in
+    const aiMessageId = Date.now() + 1;
+    const pendingMessage = {
+      id: aiMessageId,
+      sender: 'ai',
+      agentType,
+      timestamp: new Date(),
+      text: '',
+      isStreaming: true
+    };
+
+    const updateAiMessage = (update) => {
+      setConversationHistory(prev => prev.map(msg => (
+        msg.id === aiMessageId ? { ...msg, ...update(msg) } : msg
+      )));
+    };
+
+    setConversationHistory(prev => [...prev, userMessage, pendingMessage]);
     setIsLoading(true);
     setShowWelcome(false);
 
@@ -64,23 +140,30 @@ const AIShoppingAssistantContent = () => {
     });
 
     try {
-      // Send message to Gemini-powered API
-      const response = await sendMessage(message, agentType, userId);
+      // Send message to the AI backend, rendering partial text as it arrives
+      const response = await sendMessage(message, agentType, userId, (chunk) => {
+        updateAiMessage(msg => ({ text: msg.text + chunk }));
+      }, conversationId);
+
+      // Only streamed replies are stored by the backend
+      if (response.metadata?.streamed && response.conversationId) {
+        if (response.conversationId !== conversationId) {
+          setConversationId(response.conversationId);
+        }
+        loadConversations();
+      }
       
-      // Add AI response to conversation
-      const aiMessage = {
-        id: Date.now() + 1,
-        sender: 'ai',
+      // Replace the placeholder with the complete AI response
+      updateAiMessage(() => ({
         agentType: response.agentType,
         timestamp: new Date(response.timestamp),
         text: response.response,
+        isStreaming: false,
         products: response.products || [],
         culturalInsight: response.culturalInsight,
         suggestions: response.suggestions || [],
         metadata: response.metadata
-      };
-
-      setConversationHistory(prev => [...prev, aiMessage]);
+      }));
       
       // Complete the task
       setCurrentTask({
@@ -93,17 +176,14 @@ const AIShoppingAssistantContent = () => {
     } catch (error) {
       console.error('Error sending message:', error);
       
-      // Add error message
-      const errorMessage = {
-        id: Date.now() + 1,
-        sender: 'ai',
+      // Replace the placeholder with an error message
+      updateAiMessage(() => ({
         agentType: 'customerSupport',
         timestamp: new Date(),
         text: "I'm sorry, I encountered an issue processing your request. Please try again.",
+        isStreaming: false,
         error: true
-      };
-
-      setConversationHistory(prev => [...prev, errorMessage]);
+      }));
     } finally {
       setIsLoading(false);
       setTimeout(() => setCurrentTask(null), 2000); // Clear task after 2 seconds
@@ -126,9 +206,13 @@ const AIShoppingAssistantContent = () => {
       <ConversationSidebar
         isOpen={isSidebarOpen}
         onClose={() => setIsSidebarOpen(false)}
-        history={conversationHistory}
-        preferences={userPreferences}
-        onPreferencesChange={setUserPreferences}
+        conversationHistory={conversationHistory}
+        conversations={conversations}
+        activeConversationId={conversationId}
+        onSelectConversation={handleResumeConversation}
+        onResetConversation={handleResetConversation}
+        userPreferences={userPreferences}
+        onUpdatePreferences={setUserPreferences}
       />
 
       <div className="flex-1 flex flex-col">
@@ -173,7 +257,7 @@ const AIShoppingAssistantContent = () => {
               {conversationHistory.map((message) => (
                 <ChatMessage
                   key={message.id}
-                  message={message}
+                  {...message}
                   onAgentSelect={(agentType) => {
                     setSelectedAgent(agentType);
                     if (message.text) {
@@ -1,73 +1,42 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Image from '../../../components/AppImage';
 import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import { orderService } from '../../../services/orderService';
+
+const formatAddress = (address) => [address?.city, address?.state]?.filter(Boolean)?.join(', ');
 
 const OrderManagement = () => {
   const [activeTab, setActiveTab] = useState('pending');
   const [selectedOrders, setSelectedOrders] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [updateErrors, setUpdateErrors] = useState({});
+  const [trackingNumbers, setTrackingNumbers] = useState({});
+  const [labelUrls, setLabelUrls] = useState({});
+  const [invoices, setInvoices] = useState({});
 
-  const orders = [
-    {
-      id: 'ORD-2024-001',
-      customer: 'Priya Sharma',
-      customerAvatar: 'https://images.unsplash.com/photo-1494790108755-2616b612b786?w=150',
-      products: [
-        {
-          name: 'Handwoven Silk Saree',
-          image: 'https://images.unsplash.com/photo-1610030469983-98e550d6193c?w=150',
-          quantity: 1,
-          price: 8500
-        }
-      ],
-      total: 8500,
-      status: 'pending',
-      orderDate: '2024-09-15',
-      shippingAddress: 'Mumbai, Maharashtra',
-      paymentMethod: 'UPI'
-    },
-    {
-      id: 'ORD-2024-002',
-      customer: 'Rajesh Kumar',
-      customerAvatar: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150',
-      products: [
-        {
-          name: 'Wooden Jewelry Box',
-          image: 'https://images.unsplash.com/photo-1586339949916-3e9457bef6d3?w=150',
-          quantity: 2,
-          price: 1200
-        }
-      ],
-      total: 2400,
-      status: 'processing',
-      orderDate: '2024-09-14',
-      shippingAddress: 'Delhi, India',
-      paymentMethod: 'Credit Card'
-    },
-    {
-      id: 'ORD-2024-003',
-      customer: 'Anita Desai',
-      customerAvatar: 'https://images.unsplash.com/photo-1438761681033-6461ffad8d80?w=150',
-      products: [
-        {
-          name: 'Ceramic Tea Set',
-          image: 'https://images.unsplash.com/photo-1544787219-7f47ccb76574?w=150',
-          quantity: 1,
-          price: 3200
-        }
-      ],
-      total: 3200,
-      status: 'completed',
-      orderDate: '2024-09-12',
-      shippingAddress: 'Bangalore, Karnataka',
-      paymentMethod: 'Net Banking'
-    }
-  ];
+  // Each order here is this artisan's fulfilment of it: a shared order only
+  // shows, and only updates, their own items
+  useEffect(() => {
+    const loadOrders = async () => {
+      setLoading(true);
+      const { data, error } = await orderService?.getArtisanFulfilments();
+      setOrders(data);
+      setLoadError(error);
+      setLoading(false);
+    };
+    loadOrders();
+  }, []);
 
   const tabs = [
     { id: 'pending', label: 'Pending', count: orders?.filter(o => o?.status === 'pending')?.length },
     { id: 'processing', label: 'Processing', count: orders?.filter(o => o?.status === 'processing')?.length },
-    { id: 'completed', label: 'Completed', count: orders?.filter(o => o?.status === 'completed')?.length }
+    { id: 'shipped', label: 'Shipped', count: orders?.filter(o => o?.status === 'shipped')?.length },
+    { id: 'delivered', label: 'Delivered', count: orders?.filter(o => o?.status === 'delivered')?.length }
   ];
 
   const filteredOrders = orders?.filter(order => order?.status === activeTab);
@@ -78,7 +47,9 @@ const OrderManagement = () => {
         return 'bg-warning text-warning-foreground';
       case 'processing':
         return 'bg-accent text-accent-foreground';
-      case 'completed':
+      case 'shipped':
+        return 'bg-primary text-primary-foreground';
+      case 'delivered':
         return 'bg-success text-success-foreground';
       default:
         return 'bg-muted text-muted-foreground';
@@ -93,9 +64,58 @@ const OrderManagement = () => {
     );
   };
 
-  const handleStatusUpdate = (orderId, newStatus) => {
-    // Handle status update logic here
-    console.log(`Updating order ${orderId} to ${newStatus}`);
+  const handleStatusUpdate = async (fulfilmentId, newStatus) => {
+    setUpdatingId(fulfilmentId);
+    setUpdateErrors(prev => ({ ...prev, [fulfilmentId]: null }));
+
+    const trackingNumber = trackingNumbers?.[fulfilmentId]?.trim();
+    const { data, error } = await orderService?.updateFulfilment(fulfilmentId, {
+      status: newStatus,
+      ...(newStatus === 'shipped' && trackingNumber && { trackingNumber })
+    });
+
+    if (error) {
+      setUpdateErrors(prev => ({ ...prev, [fulfilmentId]: error }));
+    } else {
+      setOrders(prev => prev?.map(order => (
+        order?.id === fulfilmentId ? { ...order, ...data, items: order?.items } : order
+      )));
+    }
+    setUpdatingId(null);
+  };
+
+  const handleBookLabel = async (fulfilmentId) => {
+    setUpdatingId(fulfilmentId);
+    setUpdateErrors(prev => ({ ...prev, [fulfilmentId]: null }));
+
+    const { data, error } = await orderService?.bookShipment(fulfilmentId);
+
+    if (error) {
+      setUpdateErrors(prev => ({ ...prev, [fulfilmentId]: error }));
+    } else {
+      setOrders(prev => prev?.map(order => (
+        order?.id === fulfilmentId
+          ? { ...order, carrier: data?.carrier, trackingNumber: data?.trackingNumber }
+          : order
+      )));
+      setLabelUrls(prev => ({ ...prev, [fulfilmentId]: data?.labelUrl }));
+    }
+    setUpdatingId(null);
+  };
+
+  // Issues the GST invoice the first time it is asked for
+  const handleGetInvoice = async (fulfilmentId) => {
+    setUpdatingId(fulfilmentId);
+    setUpdateErrors(prev => ({ ...prev, [fulfilmentId]: null }));
+
+    const { data, error } = await orderService?.getFulfilmentInvoice(fulfilmentId);
+
+    if (error) {
+      setUpdateErrors(prev => ({ ...prev, [fulfilmentId]: error }));
+    } else {
+      setInvoices(prev => ({ ...prev, [fulfilmentId]: data }));
+    }
+    setUpdatingId(null);
   };
 
   return (
@@ -140,7 +160,16 @@ const OrderManagement = () => {
         </div>
       </div>
       <div className="p-6">
-        {filteredOrders?.length === 0 ? (
+        {loading ? (
+          <div className="text-center py-12">
+            <Icon name="Loader2" size={32} className="mx-auto text-muted-foreground animate-spin" />
+          </div>
+        ) : loadError ? (
+          <div className="text-center py-12">
+            <Icon name="AlertCircle" size={48} className="mx-auto text-error mb-4" />
+            <p className="text-muted-foreground">{loadError}</p>
+          </div>
+        ) : filteredOrders?.length === 0 ? (
           <div className="text-center py-12">
             <Icon name="Package" size={48} className="mx-auto text-muted-foreground mb-4" />
             <h4 className="text-lg font-medium text-foreground mb-2">
@@ -164,40 +193,44 @@ const OrderManagement = () => {
                     />
                     <div className="w-10 h-10 rounded-full overflow-hidden">
                       <Image
-                        src={order?.customerAvatar}
-                        alt={order?.customer}
+                        src={order?.order?.customerAvatar}
+                        alt={order?.order?.customerName}
                         className="w-full h-full object-cover"
                       />
                     </div>
                     <div>
-                      <h4 className="font-medium text-foreground">{order?.id}</h4>
-                      <p className="text-sm text-muted-foreground">{order?.customer}</p>
-                      <p className="text-xs text-muted-foreground">{order?.orderDate}</p>
+                      <h4 className="font-medium text-foreground">{order?.artisanOrderNumber || order?.order?.orderNumber}</h4>
+                      <p className="text-sm text-muted-foreground">{order?.order?.customerName}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {new Date(order?.order?.createdAt)?.toLocaleDateString('en-IN')}
+                      </p>
                     </div>
                   </div>
                   <div className="text-right">
                     <span className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(order?.status)}`}>
                       {order?.status}
                     </span>
-                    <p className="text-lg font-semibold text-foreground mt-1">₹{order?.total}</p>
+                    <p className="text-lg font-semibold text-foreground mt-1">
+                      ₹{order?.items?.reduce((sum, item) => sum + item?.totalPrice, 0)?.toLocaleString('en-IN')}
+                    </p>
                   </div>
                 </div>
 
                 {/* Products */}
                 <div className="space-y-2 mb-4">
-                  {order?.products?.map((product, index) => (
-                    <div key={index} className="flex items-center space-x-3 p-2 bg-muted rounded-lg">
+                  {order?.items?.map((product) => (
+                    <div key={product?.id} className="flex items-center space-x-3 p-2 bg-muted rounded-lg">
                       <div className="w-12 h-12 rounded-lg overflow-hidden">
                         <Image
                           src={product?.image}
-                          alt={product?.name}
+                          alt={product?.title}
                           className="w-full h-full object-cover"
                         />
                       </div>
                       <div className="flex-1">
-                        <p className="font-medium text-foreground text-sm">{product?.name}</p>
+                        <p className="font-medium text-foreground text-sm">{product?.title}</p>
                         <p className="text-xs text-muted-foreground">
-                          Qty: {product?.quantity} × ₹{product?.price}
+                          Qty: {product?.quantity} × ₹{product?.unitPrice}
                         </p>
                       </div>
                     </div>
@@ -208,14 +241,60 @@ const OrderManagement = () => {
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4 text-sm">
                   <div>
                     <p className="text-muted-foreground">Shipping Address</p>
-                    <p className="text-foreground">{order?.shippingAddress}</p>
+                    <p className="text-foreground">{formatAddress(order?.order?.shippingAddress)}</p>
                   </div>
                   <div>
                     <p className="text-muted-foreground">Payment Method</p>
-                    <p className="text-foreground">{order?.paymentMethod}</p>
+                    <p className="text-foreground">{order?.order?.paymentMethod}</p>
                   </div>
+                  {order?.trackingNumber && (
+                    <div>
+                      <p className="text-muted-foreground">Tracking Number</p>
+                      <p className="text-foreground">
+                        {[order?.carrier, order?.trackingNumber]?.filter(Boolean)?.join(' · ')}
+                      </p>
+                      {labelUrls?.[order?.id] && (
+                        <a
+                          href={labelUrls?.[order?.id]}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-primary hover:underline"
+                        >
+                          Download label
+                        </a>
+                      )}
+                    </div>
+                  )}
+                  {invoices?.[order?.id] && (
+                    <div>
+                      <p className="text-muted-foreground">Invoice</p>
+                      <a
+                        href={invoices?.[order?.id]?.downloadUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-primary hover:underline"
+                      >
+                        Download {invoices?.[order?.id]?.invoiceNumber}
+                      </a>
+                    </div>
+                  )}
                 </div>
 
+                {order?.status === 'processing' && !order?.trackingNumber && (
+                  <div className="mb-4">
+                    <Input
+                      label="Tracking Number"
+                      placeholder="Added to the shipment when you mark it shipped"
+                      value={trackingNumbers?.[order?.id] || ''}
+                      onChange={(e) => setTrackingNumbers(prev => ({ ...prev, [order?.id]: e?.target?.value }))}
+                    />
+                  </div>
+                )}
+
+                {updateErrors?.[order?.id] && (
+                  <p className="text-sm text-error mb-4">{updateErrors?.[order?.id]}</p>
+                )}
+
                 {/* Actions */}
                 <div className="flex items-center justify-end space-x-2 pt-4 border-t border-border">
                   <Button variant="ghost" size="sm">
@@ -226,24 +305,62 @@ const OrderManagement = () => {
                     <Icon name="Eye" size={16} className="mr-2" />
                     View Details
                   </Button>
-                  {order?.status === 'pending' && (
+                  {order?.order?.status !== 'pending' && !invoices?.[order?.id] && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      loading={updatingId === order?.id}
+                      onClick={() => handleGetInvoice(order?.id)}
+                    >
+                      <Icon name="FileText" size={16} className="mr-2" />
+                      Invoice
+                    </Button>
+                  )}
+                  {order?.status === 'pending' && order?.order?.status === 'pending' && (
+                    <span className="text-sm text-muted-foreground">Awaiting payment</span>
+                  )}
+                  {order?.status === 'pending' && order?.order?.status !== 'pending' && (
                     <Button 
                       variant="default" 
                       size="sm"
+                      loading={updatingId === order?.id}
                       onClick={() => handleStatusUpdate(order?.id, 'processing')}
                     >
                       <Icon name="Package" size={16} className="mr-2" />
                       Process Order
                     </Button>
                   )}
+                  {order?.status === 'processing' && !order?.trackingNumber && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      loading={updatingId === order?.id}
+                      onClick={() => handleBookLabel(order?.id)}
+                    >
+                      <Icon name="Tag" size={16} className="mr-2" />
+                      Book Label
+                    </Button>
+                  )}
                   {order?.status === 'processing' && (
                     <Button 
                       variant="default" 
                       size="sm"
-                      onClick={() => handleStatusUpdate(order?.id, 'completed')}
+                      loading={updatingId === order?.id}
+                      onClick={() => handleStatusUpdate(order?.id, 'shipped')}
+                    >
+                      <Icon name="Truck" size={16} className="mr-2" />
+                      Mark Shipped
+                    </Button>
+                  )}
+                  {order?.status === 'shipped' && (
+                    <Button 
+                      variant="default" 
+                      size="sm"
+                      loading={updatingId === order?.id}
+                      onClick={() => handleStatusUpdate(order?.id, 'delivered')}
                     >
                       <Icon name="Check" size={16} className="mr-2" />
-                      Mark Complete
+                      Mark Delivered
                     </Button>
                   )}
                 </div>
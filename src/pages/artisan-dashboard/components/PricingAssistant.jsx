@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import Button from '../../../components/ui/Button';
 import AppIcon from '../../../components/AppIcon';
 import AgentStatusIndicator from '../../ai-shopping-assistant/components/AgentStatusIndicator';
@@ -37,32 +37,47 @@ export default function PricingAssistant({
   const [analysis, setAnalysis] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [progress, setProgress] = useState(null);
+  // taskId -> productId of the suggestPricing tasks still running
+  const pendingTasksRef = useRef({});
+  const taskCountRef = useRef(0);
   const { socket, isConnected } = useWebSocket();
 
-  // Handle WebSocket events for agent progress
+  // Collect one suggestPricing recommendation per product
   useEffect(() => {
     if (!socket) return;
 
-    const handleProgress = (data) => {
-      if (data.taskType === 'pricing-analysis') {
-        setProgress(data.progress);
+    const settleTask = (data, result = null) => {
+      const productId = pendingTasksRef.current[data.taskId];
+      if (!productId) return;
+      delete pendingTasksRef.current[data.taskId];
+
+      if (result) {
+        setAnalysis(prev => ({
+          ...prev,
+          recommendations: { ...prev?.recommendations, [productId]: result }
+        }));
       }
-    };
 
-    const handleComplete = (data) => {
-      if (data.taskType === 'pricing-analysis') {
+      const remaining = Object.keys(pendingTasksRef.current).length;
+      if (remaining === 0) {
         setIsAnalyzing(false);
-        setAnalysis(data.results);
         setProgress(null);
+      } else {
+        setProgress({ value: ((taskCountRef.current - remaining) / taskCountRef.current) * 100 });
       }
     };
 
-    socket.on('agent-task-progress', handleProgress);
+    const handleComplete = (data) => settleTask(data, data.result);
+    const handleFailed = (data) => settleTask(data);
+
     socket.on('agent-task-complete', handleComplete);
+    socket.on('agent-error', handleFailed);
+    socket.on('agent-task-cancelled', handleFailed);
 
     return () => {
-      socket.off('agent-task-progress', handleProgress);
       socket.off('agent-task-complete', handleComplete);
+      socket.off('agent-error', handleFailed);
+      socket.off('agent-task-cancelled', handleFailed);
     };
   }, [socket]);
 
@@ -78,20 +93,42 @@ export default function PricingAssistant({
     
     setIsAnalyzing(true);
     setAnalysis(null);
-    
+    setProgress({ value: 0 });
+    pendingTasksRef.current = {};
+    taskCountRef.current = selectedProducts.length;
+
+    const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+    const marketContext = {
+      category: productDetails.category,
+      region: productDetails.region,
+      seasonality: productDetails.seasonality,
+      competitorPrices: splitList(productDetails.competitorPrices).map(Number).filter(Number.isFinite)
+    };
+
     try {
-      const response = await fetch('/api/agents/artisanAssistant/task', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: 'suggestPricing',
-          products: selectedProducts,
-          context: productDetails
-        })
-      });
-      
-      if (!response.ok) throw new Error('Failed to start pricing analysis');
-      
+      for (const product of selectedProducts) {
+        const response = await fetch('/api/agents/artisanAssistant/actions/suggestPricing', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            input: {
+              productData: {
+                title: product.name,
+                description: product.description || '',
+                materials: splitList(productDetails.materials),
+                productionTime: Number(productDetails.productionTime) || 0,
+                craftingComplexity: productDetails.complexity
+              },
+              marketContext
+            }
+          })
+        });
+
+        if (!response.ok) throw new Error('Failed to start pricing analysis');
+
+        const { data } = await response.json();
+        pendingTasksRef.current[data.taskId] = product.id;
+      }
     } catch (error) {
       console.error('Pricing analysis error:', error);
       setIsAnalyzing(false);
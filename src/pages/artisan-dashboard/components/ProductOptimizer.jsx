@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import Button from '../../../components/ui/Button';
 import AppIcon from '../../../components/AppIcon';
 import AgentStatusIndicator from '../../ai-shopping-assistant/components/AgentStatusIndicator';
@@ -22,32 +22,44 @@ export default function ProductOptimizer({
   const [optimizationResults, setOptimizationResults] = useState(null);
   const [isOptimizing, setIsOptimizing] = useState(false);
   const [progress, setProgress] = useState(null);
+  // taskId -> productId of the optimizeListing tasks still running
+  const pendingTasksRef = useRef({});
+  const taskCountRef = useRef(0);
   const { socket, isConnected } = useWebSocket();
 
-  // Handle WebSocket events for optimization progress
+  // Collect one optimizeListing result per product
   useEffect(() => {
     if (!socket) return;
 
-    const handleProgress = (data) => {
-      if (data.taskType === 'product-optimization') {
-        setProgress(data.progress);
+    const settleTask = (data, result = null) => {
+      const productId = pendingTasksRef.current[data.taskId];
+      if (!productId) return;
+      delete pendingTasksRef.current[data.taskId];
+
+      if (result) {
+        setOptimizationResults(prev => ({ ...prev, [productId]: { suggestions: result } }));
       }
-    };
 
-    const handleComplete = (data) => {
-      if (data.taskType === 'product-optimization') {
+      const remaining = Object.keys(pendingTasksRef.current).length;
+      if (remaining === 0) {
         setIsOptimizing(false);
-        setOptimizationResults(data.results);
         setProgress(null);
+      } else {
+        setProgress({ value: ((taskCountRef.current - remaining) / taskCountRef.current) * 100 });
       }
     };
 
-    socket.on('agent-task-progress', handleProgress);
+    const handleComplete = (data) => settleTask(data, data.result);
+    const handleFailed = (data) => settleTask(data);
+
     socket.on('agent-task-complete', handleComplete);
+    socket.on('agent-error', handleFailed);
+    socket.on('agent-task-cancelled', handleFailed);
 
     return () => {
-      socket.off('agent-task-progress', handleProgress);
       socket.off('agent-task-complete', handleComplete);
+      socket.off('agent-error', handleFailed);
+      socket.off('agent-task-cancelled', handleFailed);
     };
   }, [socket]);
 
@@ -64,20 +76,27 @@ export default function ProductOptimizer({
     
     setIsOptimizing(true);
     setOptimizationResults(null);
-    
+    setProgress({ value: 0 });
+    pendingTasksRef.current = {};
+    taskCountRef.current = selectedProducts.length;
+
+    const goals = Object.fromEntries(selectedGoals.map(goal => [goal, true]));
+
     try {
-      const response = await fetch('/api/agents/artisanAssistant/task', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: 'optimizeListing',
-          products: selectedProducts,
-          goals: selectedGoals,
-        })
-      });
-      
-      if (!response.ok) throw new Error('Failed to start optimization');
-      
+      for (const product of selectedProducts) {
+        const response = await fetch('/api/agents/artisanAssistant/actions/optimizeListing', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            input: { productId: product.id, goals }
+          })
+        });
+
+        if (!response.ok) throw new Error('Failed to start optimization');
+
+        const { data } = await response.json();
+        pendingTasksRef.current[data.taskId] = product.id;
+      }
     } catch (error) {
       console.error('Optimization error:', error);
       setIsOptimizing(false);
@@ -7,6 +7,31 @@ import AgentStatusIndicator from '../../ai-shopping-assistant/components/AgentSt
 import TaskProgress from '../../ai-shopping-assistant/components/TaskProgress';
 import { useWebSocket } from '../../ai-shopping-assistant/components/WebSocketManager';
 
+// Map a product onto the input schema of an artisanAssistant action
+// (see GET /api/agents/actions)
+const buildActionInput = (action, product) => {
+  switch (action) {
+    case 'optimizeListing':
+      return { productId: product.id };
+    case 'suggestPricing':
+      return {
+        productData: {
+          title: product.name,
+          description: product.description || '',
+          materials: product.materials || [],
+          productionTime: product.productionTime || 0,
+          craftingComplexity: product.complexity || 'medium'
+        },
+        marketContext: {
+          category: product.category || '',
+          region: product.region || 'India'
+        }
+      };
+    default:
+      return { productDetails: product };
+  }
+};
+
 const ProductTable = ({ 
   products,
   onUpdateProduct,
@@ -19,47 +44,62 @@ const ProductTable = ({
   const [editData, setEditData] = useState({});
   const [selectedProducts, setSelectedProducts] = useState([]);
   const [bulkOperation, setBulkOperation] = useState(null);
-  const [progress, setProgress] = useState(null);
+  const bulkOperationRef = React.useRef(null);
   const { socket, isConnected } = useWebSocket();
 
-  // Handle WebSocket events for bulk operations
+  React.useEffect(() => {
+    bulkOperationRef.current = bulkOperation;
+  }, [bulkOperation]);
+
+  // Track the queued agent tasks of the running bulk operation
   React.useEffect(() => {
     if (!socket) return;
 
-    const handleProgress = (data) => {
-      if (data.taskType === bulkOperation?.type) {
-        setProgress(data.progress);
-      }
+    const settleTask = (data, result = null) => {
+      setBulkOperation(prev => {
+        if (!prev || !(data.taskId in prev.tasks) || prev.settled.includes(data.taskId)) return prev;
+        return {
+          ...prev,
+          settled: [...prev.settled, data.taskId],
+          results: result
+            ? [...prev.results, { productId: prev.tasks[data.taskId], ...result }]
+            : prev.results
+        };
+      });
     };
 
-    const handleComplete = (data) => {
-      if (data.taskType === bulkOperation?.type) {
-        setBulkOperation(null);
-        setProgress(null);
-
-        // Call appropriate handler based on operation type
-        switch (data.taskType) {
-          case 'product-optimization':
-            onApplyOptimizations(data.results);
-            break;
-          case 'pricing-analysis':
-            onApplyPricing(data.results);
-            break;
-          case 'content-generation':
-            onGenerateContent(data.results);
-            break;
-        }
-      }
-    };
+    const handleComplete = (data) => settleTask(data, data.result);
+    const handleFailed = (data) => settleTask(data);
 
-    socket.on('agent-task-progress', handleProgress);
     socket.on('agent-task-complete', handleComplete);
+    socket.on('agent-error', handleFailed);
+    socket.on('agent-task-cancelled', handleFailed);
 
     return () => {
-      socket.off('agent-task-progress', handleProgress);
       socket.off('agent-task-complete', handleComplete);
+      socket.off('agent-error', handleFailed);
+      socket.off('agent-task-cancelled', handleFailed);
     };
-  }, [socket, bulkOperation]);
+  }, [socket]);
+
+  // Hand the results over once every task has finished
+  React.useEffect(() => {
+    if (!bulkOperation?.submitted) return;
+    if (bulkOperation.settled.length < Object.keys(bulkOperation.tasks).length) return;
+
+    switch (bulkOperation.type) {
+      case 'product-optimization':
+        onApplyOptimizations(bulkOperation.results);
+        break;
+      case 'pricing-analysis':
+        onApplyPricing(bulkOperation.results);
+        break;
+      case 'content-generation':
+        onGenerateContent(bulkOperation.results);
+        break;
+    }
+    setBulkOperation(null);
+  }, [bulkOperation]);
 
   const handleEdit = (product) => {
     setEditingId(product.id);
@@ -97,31 +137,62 @@ const ProductTable = ({
     );
   };
 
-  const startBulkOperation = async (type) => {
-    if (!selectedProducts.length || !isConnected) return;
+  const startBulkOperation = async (type, productIds = selectedProducts) => {
+    if (!productIds.length || !isConnected) return;
+
+    const action = type === 'product-optimization' ? 'optimizeListing' :
+      type === 'pricing-analysis' ? 'suggestPricing' :
+      'generateListingContent';
+
+    setBulkOperation({ type, tasks: {}, settled: [], results: [], submitted: false, startTime: Date.now() });
 
-    setBulkOperation({ type, startTime: Date.now() });
-    
     try {
-      const response = await fetch('/api/agents/artisanAssistant/task', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: type === 'product-optimization' ? 'optimizeListing' :
-                 type === 'pricing-analysis' ? 'suggestPricing' :
-                 'generateListingContent',
-          products: selectedProducts,
-        })
-      });
+      // One low-priority task per product so the agent queue spreads the work
+      for (const productId of productIds) {
+        const product = products.find(p => p.id === productId);
+        const response = await fetch(`/api/agents/artisanAssistant/actions/${action}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            input: buildActionInput(action, product),
+            priority: 'low'
+          })
+        });
+
+        if (!response.ok) throw new Error(`Failed to start ${type}`);
 
-      if (!response.ok) throw new Error(`Failed to start ${type}`);
-      
+        const { data } = await response.json();
+        setBulkOperation(prev => prev && ({
+          ...prev,
+          tasks: { ...prev.tasks, [data.taskId]: productId }
+        }));
+      }
+
+      setBulkOperation(prev => prev && ({ ...prev, submitted: true }));
     } catch (error) {
       console.error('Bulk operation error:', error);
-      setBulkOperation(null);
+      cancelBulkOperation();
+    }
+  };
+
+  const cancelBulkOperation = () => {
+    const operation = bulkOperationRef.current;
+    if (operation) {
+      Object.keys(operation.tasks)
+        .filter(taskId => !operation.settled.includes(taskId))
+        .forEach(taskId => {
+          fetch(`/api/agents/tasks/${taskId}`, { method: 'DELETE' }).catch(error => {
+            console.error('Failed to cancel task:', error);
+          });
+        });
     }
+    setBulkOperation(null);
   };
 
+  const bulkProgress = bulkOperation && Object.keys(bulkOperation.tasks).length > 0
+    ? (bulkOperation.settled.length / Object.keys(bulkOperation.tasks).length) * 100
+    : 0;
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'active':
@@ -217,12 +288,13 @@ const ProductTable = ({
                 </span>
               </div>
             </div>
-            {progress && (
-              <TaskProgress 
-                value={progress.value}
-                label={progress.label || `Processing ${selectedProducts.length} products...`}
-              />
-            )}
+            <TaskProgress
+              agentType="Artisan Assistant"
+              status="in-progress"
+              progress={bulkProgress}
+              message={`${bulkOperation.settled.length} of ${Object.keys(bulkOperation.tasks).length} products processed`}
+              onCancel={cancelBulkOperation}
+            />
           </div>
         )}
       </div>
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Image from '../../../components/AppImage';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import { orderService } from '../../../services/orderService';
+
+const REASON_LABELS = {
+  damaged: 'Arrived damaged',
+  defective: 'Defective',
+  not_as_described: 'Not as described',
+  wrong_item: 'Wrong item',
+  size_or_fit: 'Size or fit',
+  changed_mind: 'Changed mind',
+  other: 'Other'
+};
+
+const RECOMMENDATION_LABELS = {
+  approve: 'Suggests approving',
+  reject: 'Suggests rejecting',
+  needs_more_info: 'Suggests asking for more information'
+};
+
+const ReturnRequests = () => {
+  const [activeTab, setActiveTab] = useState('requested');
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [updateErrors, setUpdateErrors] = useState({});
+  const [notes, setNotes] = useState({});
+
+  useEffect(() => {
+    const loadReturns = async () => {
+      setLoading(true);
+      const { data, error } = await orderService?.getArtisanReturns();
+      setReturns(data);
+      setLoadError(error);
+      setLoading(false);
+    };
+    loadReturns();
+  }, []);
+
+  // Received returns whose refund failed or is still going through wait with
+  // the approved ones to retry
+  const tabs = [
+    { id: 'requested', label: 'Requested', statuses: ['requested'] },
+    { id: 'approved', label: 'Awaiting Parcel', statuses: ['approved', 'received', 'refunding'] },
+    { id: 'refunded', label: 'Refunded', statuses: ['refunded'] }
+  ]?.map(tab => ({ ...tab, count: returns?.filter(r => tab?.statuses?.includes(r?.status))?.length }));
+
+  const filteredReturns = returns?.filter(returnRequest => (
+    tabs?.find(tab => tab?.id === activeTab)?.statuses?.includes(returnRequest?.status)
+  ));
+
+  // The AI recommendation is advice only; the artisan's decision is what counts
+  const handleDecision = async (returnId, decision, details) => {
+    setUpdatingId(returnId);
+    setUpdateErrors(prev => ({ ...prev, [returnId]: null }));
+
+    const { data, error } = await orderService?.decideReturn(returnId, decision, details);
+
+    if (error) {
+      setUpdateErrors(prev => ({ ...prev, [returnId]: error }));
+    } else {
+      setReturns(prev => prev?.map(returnRequest => (
+        returnRequest?.id === returnId ? { ...returnRequest, ...data } : returnRequest
+      )));
+    }
+    setUpdatingId(null);
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-lg shadow-warm-sm">
+      <div className="p-6 border-b border-border">
+        <h3 className="text-lg font-heading font-semibold text-foreground">
+          Returns
+        </h3>
+
+        {/* Tabs */}
+        <div className="flex items-center space-x-1 mt-4 bg-muted rounded-lg p-1">
+          {tabs?.map((tab) => (
+            <button
+              key={tab?.id}
+              onClick={() => setActiveTab(tab?.id)}
+              className={`flex items-center space-x-2 px-4 py-2 text-sm font-medium rounded-md transition-colors duration-200 ${
+                activeTab === tab?.id
+                  ? 'bg-background text-foreground shadow-warm-sm'
+                  : 'text-muted-foreground hover:text-foreground'
+              }`}
+            >
+              <span>{tab?.label}</span>
+              <span className="bg-primary text-primary-foreground text-xs px-2 py-1 rounded-full">
+                {tab?.count}
+              </span>
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="p-6">
+        {loading ? (
+          <div className="text-center py-12">
+            <Icon name="Loader2" size={32} className="mx-auto text-muted-foreground animate-spin" />
+          </div>
+        ) : loadError ? (
+          <div className="text-center py-12">
+            <Icon name="AlertCircle" size={48} className="mx-auto text-error mb-4" />
+            <p className="text-muted-foreground">{loadError}</p>
+          </div>
+        ) : filteredReturns?.length === 0 ? (
+          <div className="text-center py-12">
+            <Icon name="RotateCcw" size={48} className="mx-auto text-muted-foreground mb-4" />
+            <p className="text-muted-foreground">No returns here.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {filteredReturns?.map((returnRequest) => (
+              <div key={returnRequest?.id} className="bg-background border border-border rounded-lg p-4">
+                <div className="flex items-start justify-between mb-4">
+                  <div>
+                    <h4 className="font-medium text-foreground">{returnRequest?.orderNumber}</h4>
+                    <p className="text-sm text-muted-foreground">{REASON_LABELS?.[returnRequest?.reason]}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {new Date(returnRequest?.createdAt)?.toLocaleDateString('en-IN')}
+                    </p>
+                  </div>
+                  <p className="text-lg font-semibold text-foreground">
+                    ₹{(returnRequest?.refundAmount ?? returnRequest?.items?.reduce((sum, item) => sum + item?.refundAmount, 0))?.toLocaleString('en-IN')}
+                  </p>
+                </div>
+
+                {returnRequest?.description && (
+                  <p className="text-sm text-foreground mb-4">{returnRequest?.description}</p>
+                )}
+
+                {/* Items */}
+                <div className="space-y-2 mb-4">
+                  {returnRequest?.items?.map((item) => (
+                    <div key={item?.id} className="flex items-center space-x-3 p-2 bg-muted rounded-lg">
+                      <div className="w-12 h-12 rounded-lg overflow-hidden">
+                        <Image src={item?.image} alt={item?.title} className="w-full h-full object-cover" />
+                      </div>
+                      <div className="flex-1">
+                        <p className="font-medium text-foreground text-sm">{item?.title}</p>
+                        <p className="text-xs text-muted-foreground">Qty: {item?.quantity}</p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {/* Evidence */}
+                {returnRequest?.evidenceUrls?.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mb-4">
+                    {returnRequest?.evidenceUrls?.map((url) => (
+                      <a key={url} href={url} target="_blank" rel="noreferrer" className="w-16 h-16 rounded-lg overflow-hidden border border-border">
+                        <Image src={url} alt="Return evidence" className="w-full h-full object-cover" />
+                      </a>
+                    ))}
+                  </div>
+                )}
+
+                {/* AI triage */}
+                {returnRequest?.status === 'requested' && returnRequest?.aiRecommendation && (
+                  <div className="p-3 bg-muted rounded-lg mb-4 text-sm">
+                    <p className="font-medium text-foreground flex items-center">
+                      <Icon name="Sparkles" size={14} className="mr-2" />
+                      {RECOMMENDATION_LABELS?.[returnRequest?.aiRecommendation?.recommendation]}
+                      {' · '}₹{returnRequest?.aiRecommendation?.suggestedRefundAmount?.toLocaleString('en-IN')}
+                    </p>
+                    <p className="text-muted-foreground mt-1">{returnRequest?.aiRecommendation?.reasoning}</p>
+                    {returnRequest?.aiRecommendation?.flags?.map((flag) => (
+                      <p key={flag} className="text-warning mt-1">{flag}</p>
+                    ))}
+                  </div>
+                )}
+
+                {returnRequest?.returnShipment && (
+                  <div className="text-sm mb-4">
+                    <p className="text-muted-foreground">Return Shipment</p>
+                    <p className="text-foreground">
+                      {[returnRequest?.returnShipment?.carrier, returnRequest?.returnShipment?.trackingNumber]?.filter(Boolean)?.join(' · ')}
+                    </p>
+                  </div>
+                )}
+
+                {returnRequest?.status === 'requested' && (
+                  <div className="mb-4">
+                    <Input
+                      label="Note to the customer"
+                      placeholder="Required when rejecting"
+                      value={notes?.[returnRequest?.id] || ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [returnRequest?.id]: e?.target?.value }))}
+                    />
+                  </div>
+                )}
+
+                {updateErrors?.[returnRequest?.id] && (
+                  <p className="text-sm text-error mb-4">{updateErrors?.[returnRequest?.id]}</p>
+                )}
+
+                {/* Actions */}
+                <div className="flex items-center justify-end space-x-2 pt-4 border-t border-border">
+                  {returnRequest?.status === 'requested' && (
+                    <>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={!notes?.[returnRequest?.id]?.trim()}
+                        loading={updatingId === returnRequest?.id}
+                        onClick={() => handleDecision(returnRequest?.id, 'reject', { note: notes?.[returnRequest?.id]?.trim() })}
+                      >
+                        <Icon name="X" size={16} className="mr-2" />
+                        Reject
+                      </Button>
+                      <Button
+                        variant="default"
+                        size="sm"
+                        loading={updatingId === returnRequest?.id}
+                        onClick={() => handleDecision(returnRequest?.id, 'approve', { note: notes?.[returnRequest?.id]?.trim() || undefined })}
+                      >
+                        <Icon name="Check" size={16} className="mr-2" />
+                        Approve
+                      </Button>
+                    </>
+                  )}
+                  {['approved', 'received', 'refunding']?.includes(returnRequest?.status) && (
+                    <Button
+                      variant="default"
+                      size="sm"
+                      loading={updatingId === returnRequest?.id}
+                      onClick={() => handleDecision(returnRequest?.id, 'receive', { restock: true })}
+                    >
+                      <Icon name="PackageCheck" size={16} className="mr-2" />
+                      Received &amp; Refund
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReturnRequests;
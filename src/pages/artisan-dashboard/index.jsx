@@ -4,6 +4,7 @@ import MetricsCard from './components/MetricsCard';
 import ProductTable from './components/ProductTable';
 import SalesChart from './components/SalesChart';
 import OrderManagement from './components/OrderManagement';
+import ReturnRequests from './components/ReturnRequests';
 import AIContentGenerator from './components/AIContentGenerator';
 import QuickActions from './components/QuickActions';
 import { WebSocketProvider } from '../ai-shopping-assistant/components/WebSocketManager';
@@ -315,6 +316,11 @@ const ArtisanDashboard = () => {
               <div>
                 <OrderManagement />
               </div>
+
+              {/* Returns */}
+              <div>
+                <ReturnRequests />
+              </div>
             </div>
           </div>
         </main>
@@ -2,99 +2,127 @@ import React, { useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import { marketplaceService } from '../../../services/marketplaceService';
 
+// Wait for a pause in typing before asking for suggestions
+const SUGGESTION_DELAY_MS = 250;
+
+const SUGGESTION_ICONS = {
+  query: 'TrendingUp',
+  category: 'Tag',
+  region: 'MapPin',
+  product: 'Package'
+};
+
+const SUGGESTION_TYPES = {
+  query: 'Popular search',
+  category: 'Category',
+  region: 'Region',
+  product: 'Product'
+};
+
+// Filters the shopper can change the amount of rather than only remove
+const PRICE_FIELDS = {
+  minPrice: 'Over ₹',
+  maxPrice: 'Under ₹'
+};
+
+const toFilters = (chips) => Object.fromEntries(chips?.map(chip => [chip?.field, chip?.value]));
+
+/**
+ * Natural-language search. The backend reads the query into keywords and
+ * catalog filters (see marketplaceService.parseSearch), which are shown as
+ * chips to edit before onSearch({ query, filters }) runs the search;
+ * autocomplete comes from popular searches and the catalog.
+ */
 const AISearchBar = ({ onSearch }) => {
   const [query, setQuery] = useState('');
   const [isListening, setIsListening] = useState(false);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [suggestions, setSuggestions] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
-  const [searchResults, setSearchResults] = useState(null);
+  const [interpretation, setInterpretation] = useState(null);
   const inputRef = useRef(null);
 
-  const aiSuggestions = [
-    {
-      id: 1,
-      text: "handwoven textiles from Rajasthan",
-      category: "Textiles",
-      region: "Rajasthan",
-      icon: "Shirt"
-    },
-    {
-      id: 2,
-      text: "wooden sculptures under ₹5000",
-      category: "Sculptures",
-      priceRange: "Under ₹5000",
-      icon: "TreePine"
-    },
-    {
-      id: 3,
-      text: "pottery with traditional patterns",
-      category: "Pottery",
-      style: "Traditional",
-      icon: "Coffee"
-    },
-    {
-      id: 4,
-      text: "jewelry made by verified artisans",
-      category: "Jewelry",
-      verified: true,
-      icon: "Gem"
-    },
-    {
-      id: 5,
-      text: "eco-friendly bamboo crafts",
-      category: "Eco-friendly",
-      material: "Bamboo",
-      icon: "Leaf"
-    },
-    {
-      id: 6,
-      text: "leather goods from Gujarat",
-      category: "Leather",
-      region: "Gujarat",
-      icon: "Briefcase"
-    }
-  ];
-
   useEffect(() => {
-    if (query?.length > 2) {
-      const filtered = aiSuggestions?.filter(suggestion =>
-        suggestion?.text?.toLowerCase()?.includes(query?.toLowerCase()) ||
-        suggestion?.category?.toLowerCase()?.includes(query?.toLowerCase()) ||
-        (suggestion?.region && suggestion?.region?.toLowerCase()?.includes(query?.toLowerCase()))
-      );
-      setSuggestions(filtered);
-      setShowSuggestions(true);
-    } else {
-      setSuggestions(aiSuggestions?.slice(0, 4));
-      setShowSuggestions(query?.length === 0 && document.activeElement === inputRef?.current);
+    const prefix = query?.trim();
+    if (!prefix || prefix?.length < 2) {
+      setSuggestions([]);
+      return undefined;
     }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const { data } = await marketplaceService?.getSearchSuggestions(prefix);
+      if (!cancelled) {
+        setSuggestions(data || []);
+      }
+    }, SUGGESTION_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
   }, [query]);
 
+  const runSearch = (searchQuery, filters = {}) => {
+    setInterpretation(null);
+    onSearch?.({ query: searchQuery, filters });
+  };
+
+  // Read the query, then show what was understood for the shopper to adjust;
+  // when the backend cannot be reached the words are searched as typed
   const handleSearch = async (searchQuery = query) => {
-    if (searchQuery?.trim()) {
-      setIsSearching(true);
-      setSearchResults(null);
-      setShowSuggestions(false);
-      inputRef?.current?.blur();
-      
-      // Simulate AI processing delay
-      setTimeout(() => {
-        setIsSearching(false);
-        setSearchResults({
-          suggestion: `Based on your query "${searchQuery}", I recommend handwoven textiles with traditional patterns, perfect for wedding gifts.`,
-          products: ['Traditional Handwoven Scarf', 'Wedding Ceremony Textile', 'Artisan Silk Fabric']
-        });
-      }, 2000);
-      
-      onSearch?.(searchQuery?.trim());
-    }
+    const trimmed = searchQuery?.trim();
+    if (!trimmed) return;
+
+    setIsSearching(true);
+    setInterpretation(null);
+    setShowSuggestions(false);
+    inputRef?.current?.blur();
+
+    const { data, error } = await marketplaceService?.parseSearch(trimmed);
+    setIsSearching(false);
+    setInterpretation(error
+      ? { query: trimmed, keywords: trimmed, filters: [], source: 'unavailable' }
+      : data);
   };
 
   const handleSuggestionClick = (suggestion) => {
-    setQuery(suggestion?.text);
-    handleSearch(suggestion?.text);
+    setShowSuggestions(false);
+    if (suggestion?.type === 'category' || suggestion?.type === 'region') {
+      setQuery('');
+      runSearch('', { [suggestion?.type]: suggestion?.value });
+    } else if (suggestion?.type === 'product') {
+      setQuery(suggestion?.text);
+      runSearch(suggestion?.text);
+    } else {
+      setQuery(suggestion?.text);
+      handleSearch(suggestion?.text);
+    }
+  };
+
+  const handleKeywordsChange = (keywords) => {
+    setInterpretation(prev => ({ ...prev, keywords }));
+  };
+
+  const handlePriceChange = (field, amount) => {
+    setInterpretation(prev => ({
+      ...prev,
+      filters: prev?.filters?.map(chip => (chip?.field === field ? { ...chip, value: Number(amount) || null } : chip))
+    }));
+  };
+
+  const handleRemoveFilter = (field) => {
+    setInterpretation(prev => ({
+      ...prev,
+      filters: prev?.filters?.filter(chip => chip?.field !== field)
+    }));
+  };
+
+  const handleApply = () => {
+    const chips = interpretation?.filters?.filter(chip => chip?.value !== null);
+    runSearch(interpretation?.keywords?.trim() || '', toFilters(chips));
   };
 
   const handleVoiceSearch = () => {
@@ -135,6 +163,7 @@ const AISearchBar = ({ onSearch }) => {
       handleSearch();
     } else if (e?.key === 'Escape') {
       setShowSuggestions(false);
+      setInterpretation(null);
       inputRef?.current?.blur();
     }
   };
@@ -151,7 +180,10 @@ const AISearchBar = ({ onSearch }) => {
           ref={inputRef}
           type="text"
           value={query}
-          onChange={(e) => setQuery(e?.target?.value)}
+          onChange={(e) => {
+            setQuery(e?.target?.value);
+            setShowSuggestions(true);
+          }}
           onKeyDown={handleKeyPress}
           onFocus={() => setShowSuggestions(true)}
           onBlur={() => setTimeout(() => setShowSuggestions(false), 200)}
@@ -185,9 +217,9 @@ const AISearchBar = ({ onSearch }) => {
           </Button>
         </div>
       </div>
-      {/* AI Suggestions Dropdown */}
+      {/* Autocomplete Dropdown */}
       <AnimatePresence>
-        {showSuggestions && (
+        {showSuggestions && suggestions?.length > 0 && (
           <motion.div
             initial={{ opacity: 0, y: -10 }}
             animate={{ opacity: 1, y: 0 }}
@@ -198,46 +230,27 @@ const AISearchBar = ({ onSearch }) => {
             <div className="p-3">
               <div className="flex items-center space-x-2 mb-3">
                 <Icon name="Sparkles" size={16} className="text-accent" />
-                <span className="text-sm font-medium text-foreground">AI Suggestions</span>
+                <span className="text-sm font-medium text-foreground">Suggestions</span>
               </div>
               
-              <div className="space-y-1">
+              <div className="space-y-1" data-testid="ai-search-suggestions">
                 {suggestions?.map((suggestion) => (
                   <button
-                    key={suggestion?.id}
+                    key={`${suggestion?.type}-${suggestion?.value ?? suggestion?.text}`}
                     onClick={() => handleSuggestionClick(suggestion)}
                     className="w-full flex items-center space-x-3 p-3 rounded-lg hover:bg-muted transition-colors duration-200 text-left group"
                   >
                     <div className="w-8 h-8 bg-accent/10 rounded-lg flex items-center justify-center group-hover:bg-accent/20 transition-colors duration-200">
-                      <Icon name={suggestion?.icon} size={16} className="text-accent" />
+                      <Icon name={SUGGESTION_ICONS[suggestion?.type] || 'Search'} size={16} className="text-accent" />
                     </div>
                     
                     <div className="flex-1 min-w-0">
                       <p className="text-sm font-medium text-foreground truncate">
                         {suggestion?.text}
                       </p>
-                      <div className="flex items-center space-x-2 mt-1">
-                        <span className="text-xs text-muted-foreground">
-                          {suggestion?.category}
-                        </span>
-                        {suggestion?.region && (
-                          <>
-                            <span className="text-xs text-muted-foreground">•</span>
-                            <span className="text-xs text-muted-foreground">
-                              {suggestion?.region}
-                            </span>
-                          </>
-                        )}
-                        {suggestion?.verified && (
-                          <>
-                            <span className="text-xs text-muted-foreground">•</span>
-                            <div className="flex items-center space-x-1">
-                              <Icon name="Shield" size={10} className="text-success" />
-                              <span className="text-xs text-success">Verified</span>
-                            </div>
-                          </>
-                        )}
-                      </div>
+                      <span className="text-xs text-muted-foreground">
+                        {SUGGESTION_TYPES[suggestion?.type]}
+                      </span>
                     </div>
                     
                     <Icon name="ArrowUpRight" size={14} className="text-muted-foreground group-hover:text-foreground transition-colors duration-200" />
@@ -269,26 +282,98 @@ const AISearchBar = ({ onSearch }) => {
         </div>
       )}
 
-      {/* AI Search Results */}
-      {searchResults && !isSearching && (
-        <div className="absolute top-full left-0 right-0 mt-2 p-6 bg-background border border-border rounded-xl shadow-warm-lg" data-testid="ai-search-results">
+      {/* Interpreted Search, to adjust before running it */}
+      {interpretation && !isSearching && (
+        <div className="absolute top-full left-0 right-0 mt-2 p-6 bg-background border border-border rounded-xl shadow-warm-lg z-40" data-testid="ai-search-results">
           <div className="space-y-4">
             <div className="flex items-start space-x-3">
-              <Icon name="Sparkles" size={20} className="text-primary mt-0.5" />
+              <Icon name={interpretation?.source === 'ai' ? 'Sparkles' : 'Search'} size={20} className="text-primary mt-0.5" />
               <div className="flex-1">
-                <h4 className="font-medium text-foreground mb-2">AI Suggestion</h4>
+                <h4 className="font-medium text-foreground mb-2">
+                  {interpretation?.source === 'ai' ? 'Here is what we understood' : 'Searching by keywords'}
+                </h4>
                 <p className="text-sm text-muted-foreground" data-testid="ai-suggestion-text">
-                  {searchResults.suggestion}
+                  {interpretation?.source === 'ai' && 'Remove or change anything that does not fit, then show the products.'}
+                  {interpretation?.source === 'keywords' && 'AI search is unavailable right now, so we matched your words against the catalog.'}
+                  {interpretation?.source === 'unavailable' && 'Search is unavailable right now, so we will look for your words as typed.'}
                 </p>
               </div>
+              <button
+                onClick={() => setInterpretation(null)}
+                className="text-muted-foreground hover:text-foreground transition-colors duration-200"
+                aria-label="Close"
+              >
+                <Icon name="X" size={16} />
+              </button>
             </div>
-            <div className="border-t border-border pt-4">
-              <h5 className="text-sm font-medium text-foreground mb-2">Recommended Products:</h5>
-              <div className="space-y-2">
-                {searchResults.products.map((product, index) => (
-                  <div key={index} className="text-sm text-muted-foreground">• {product}</div>
-                ))}
-              </div>
+
+            <div className="border-t border-border pt-4 space-y-3">
+              <label className="flex items-center space-x-2">
+                <span className="text-sm font-medium text-foreground">Keywords:</span>
+                <input
+                  type="text"
+                  value={interpretation?.keywords || ''}
+                  onChange={(e) => handleKeywordsChange(e?.target?.value)}
+                  onKeyDown={(e) => e?.key === 'Enter' && handleApply()}
+                  placeholder="Any product"
+                  className="flex-1 px-3 py-1.5 text-sm bg-background border border-border rounded-lg text-foreground placeholder-muted-foreground focus:border-primary focus:outline-none"
+                  data-testid="ai-search-keywords"
+                />
+              </label>
+
+              {interpretation?.filters?.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {interpretation?.filters?.map((chip) => (
+                    <span
+                      key={chip?.field}
+                      className="flex items-center space-x-2 px-3 py-1.5 rounded-full text-sm border border-primary/30 bg-primary/5 text-foreground"
+                      data-testid="ai-search-filter"
+                    >
+                      {PRICE_FIELDS[chip?.field] ? (
+                        <>
+                          <span>{PRICE_FIELDS[chip?.field]}</span>
+                          <input
+                            type="number"
+                            min="0"
+                            value={chip?.value ?? ''}
+                            onChange={(e) => handlePriceChange(chip?.field, e?.target?.value)}
+                            className="w-20 bg-transparent border-b border-border focus:border-primary focus:outline-none"
+                            aria-label={PRICE_FIELDS[chip?.field]}
+                          />
+                        </>
+                      ) : (
+                        <span>{chip?.label}</span>
+                      )}
+                      <button
+                        onClick={() => handleRemoveFilter(chip?.field)}
+                        className="text-muted-foreground hover:text-foreground"
+                        aria-label={`Remove ${chip?.label}`}
+                      >
+                        <Icon name="X" size={12} />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center justify-end space-x-2">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => runSearch(interpretation?.query)}
+              >
+                Search as typed
+              </Button>
+              <Button
+                variant="default"
+                size="sm"
+                iconName="ArrowRight"
+                onClick={handleApply}
+                data-testid="ai-search-apply"
+              >
+                Show products
+              </Button>
             </div>
           </div>
         </div>
@@ -1,93 +1,148 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import Icon from '../../../components/AppIcon';
 
-const CategoryChips = ({ onCategoryChange, onFilterChange }) => {
-  const [selectedCategory, setSelectedCategory] = useState('all');
-  const [selectedRegion, setSelectedRegion] = useState('all');
-  const [selectedPriceRange, setSelectedPriceRange] = useState('all');
+// Icons of the known category slugs; other categories get a tag
+const CATEGORY_ICONS = {
+  textiles: 'Shirt',
+  pottery: 'Coffee',
+  jewelry: 'Gem',
+  woodwork: 'TreePine',
+  metalwork: 'Wrench',
+  leather: 'Briefcase',
+  bamboo: 'Leaf'
+};
+
+// Bucket IDs of the search_products price facet
+const PRICE_RANGES = [
+  { id: 'under-1000', name: 'Under ₹1,000' },
+  { id: '1000-3000', name: '₹1,000 - ₹3,000' },
+  { id: '3000-5000', name: '₹3,000 - ₹5,000' },
+  { id: '5000-10000', name: '₹5,000 - ₹10,000' },
+  { id: 'above-10000', name: 'Above ₹10,000' }
+];
+
+const ALL_FILTERS = {
+  category: 'all',
+  region: 'all',
+  priceRange: 'all',
+  material: 'all',
+  verified: null
+};
+
+const formatAmount = (amount) => `₹${Number(amount)?.toLocaleString('en-IN')}`;
+
+// A budget read from an AI search, which has no price range chip of its own
+const budgetLabel = ({ minPrice, maxPrice }) => {
+  if (minPrice && maxPrice) return `${formatAmount(minPrice)} - ${formatAmount(maxPrice)}`;
+  if (maxPrice) return `Under ${formatAmount(maxPrice)}`;
+  return `Over ${formatAmount(minPrice)}`;
+};
+
+/**
+ * Filter chips with the counts of the current search's facets (see
+ * marketplaceService.getProducts); each count is the number of results that
+ * choosing the chip would give. Follows filters set elsewhere, such as by
+ * the AI search bar.
+ */
+const CategoryChips = ({ filters, facets, total, onCategoryChange, onFilterChange }) => {
+  const [selected, setSelected] = useState(ALL_FILTERS);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState(null);
 
+  useEffect(() => {
+    if (filters) {
+      setSelected({ ...ALL_FILTERS, ...filters });
+    }
+  }, [filters]);
+
   const categories = [
-    { id: 'all', name: 'All Categories', icon: 'Grid3X3', count: 1247 },
-    { id: 'textiles', name: 'Textiles', icon: 'Shirt', count: 324 },
-    { id: 'pottery', name: 'Pottery', icon: 'Coffee', count: 189 },
-    { id: 'jewelry', name: 'Jewelry', icon: 'Gem', count: 156 },
-    { id: 'woodwork', name: 'Woodwork', icon: 'TreePine', count: 143 },
-    { id: 'metalwork', name: 'Metalwork', icon: 'Wrench', count: 98 },
-    { id: 'leather', name: 'Leather Goods', icon: 'Briefcase', count: 87 },
-    { id: 'bamboo', name: 'Bamboo Crafts', icon: 'Leaf', count: 76 }
+    { id: 'all', name: 'All Categories', icon: 'Grid3X3', count: total },
+    ...(facets?.categories || [])?.map(category => ({
+      id: category?.value,
+      name: category?.label,
+      icon: CATEGORY_ICONS[category?.value] || 'Tag',
+      count: category?.count
+    }))
   ];
 
   const regions = [
-    { id: 'all', name: 'All Regions', count: 1247 },
-    { id: 'rajasthan', name: 'Rajasthan', count: 298 },
-    { id: 'gujarat', name: 'Gujarat', count: 234 },
-    { id: 'uttar-pradesh', name: 'Uttar Pradesh', count: 187 },
-    { id: 'west-bengal', name: 'West Bengal', count: 156 },
-    { id: 'karnataka', name: 'Karnataka', count: 143 },
-    { id: 'tamil-nadu', name: 'Tamil Nadu', count: 129 }
+    { id: 'all', name: 'All Regions', count: total },
+    ...(facets?.regions || [])?.map(region => ({
+      id: region?.value,
+      name: region?.label,
+      count: region?.count
+    }))
   ];
 
   const priceRanges = [
-    { id: 'all', name: 'All Prices', count: 1247 },
-    { id: 'under-1000', name: 'Under ₹1,000', count: 423 },
-    { id: '1000-3000', name: '₹1,000 - ₹3,000', count: 387 },
-    { id: '3000-5000', name: '₹3,000 - ₹5,000', count: 234 },
-    { id: '5000-10000', name: '₹5,000 - ₹10,000', count: 156 },
-    { id: 'above-10000', name: 'Above ₹10,000', count: 47 }
+    { id: 'all', name: 'All Prices', count: total },
+    ...PRICE_RANGES?.map(range => ({
+      ...range,
+      count: facets?.priceRanges?.find(bucket => bucket?.value === range?.id)?.count || 0
+    }))
   ];
 
+  const materials = (facets?.materials || [])?.map(material => ({
+    id: material?.value,
+    name: material?.value?.charAt(0)?.toUpperCase() + material?.value?.slice(1),
+    count: material?.count
+  }));
+
   const handleSearch = () => {
     if (searchQuery.trim()) {
-      setSearchResults({ query: searchQuery, count: 42 }); // Mock results
-      onFilterChange?.({
-        category: selectedCategory,
-        region: selectedRegion,
-        priceRange: selectedPriceRange,
-        searchQuery: searchQuery
-      });
+      setSearchResults({ query: searchQuery });
+      onFilterChange?.({ ...selected, searchQuery });
     }
   };
 
+  const updateFilters = (changes) => {
+    const next = { ...selected, ...changes };
+    setSelected(next);
+    onFilterChange?.(next);
+  };
+
   const handleCategorySelect = (categoryId) => {
-    setSelectedCategory(categoryId);
     onCategoryChange?.(categoryId);
-    updateFilters(categoryId, selectedRegion, selectedPriceRange);
+    updateFilters({ category: categoryId });
   };
 
   const handleRegionSelect = (regionId) => {
-    setSelectedRegion(regionId);
-    updateFilters(selectedCategory, regionId, selectedPriceRange);
+    updateFilters({ region: regionId });
   };
 
   const handlePriceRangeSelect = (priceRangeId) => {
-    setSelectedPriceRange(priceRangeId);
-    updateFilters(selectedCategory, selectedRegion, priceRangeId);
+    updateFilters({ priceRange: priceRangeId });
+  };
+
+  const handleMaterialSelect = (materialId) => {
+    updateFilters({ material: selected?.material === materialId ? 'all' : materialId });
   };
 
-  const updateFilters = (category, region, priceRange) => {
-    onFilterChange?.({
-      category,
-      region,
-      priceRange
-    });
+  const handleVerifiedToggle = () => {
+    updateFilters({ verified: selected?.verified ? null : true });
+  };
+
+  const handleBudgetClear = () => {
+    updateFilters({ minPrice: undefined, maxPrice: undefined });
+  };
+
+  const handleMinRatingClear = () => {
+    updateFilters({ minRating: undefined });
   };
 
   const clearAllFilters = () => {
-    setSelectedCategory('all');
-    setSelectedRegion('all');
-    setSelectedPriceRange('all');
     onCategoryChange?.('all');
-    onFilterChange?.({
-      category: 'all',
-      region: 'all',
-      priceRange: 'all'
-    });
+    setSelected(ALL_FILTERS);
+    onFilterChange?.(ALL_FILTERS);
   };
 
-  const hasActiveFilters = selectedCategory !== 'all' || selectedRegion !== 'all' || selectedPriceRange !== 'all';
+  const selectedCategory = selected?.category;
+  const selectedRegion = selected?.region;
+  const selectedPriceRange = selected?.priceRange;
+  const hasBudget = Boolean(selected?.minPrice || selected?.maxPrice);
+  const hasActiveFilters = selectedCategory !== 'all' || selectedRegion !== 'all' || selectedPriceRange !== 'all'
+    || selected?.material !== 'all' || selected?.verified || hasBudget || selected?.minRating;
 
   return (
     <div className="space-y-6">
@@ -135,7 +190,7 @@ const CategoryChips = ({ onCategoryChange, onFilterChange }) => {
       {searchResults && (
         <div className="p-4 bg-muted/50 rounded-lg" data-testid="search-results">
           <p className="text-sm text-muted-foreground">
-            Found {searchResults.count} results for "{searchResults.query}"
+            Found {total ?? 0} results for "{searchResults.query}"
           </p>
         </div>
       )}
@@ -165,7 +220,7 @@ const CategoryChips = ({ onCategoryChange, onFilterChange }) => {
                   ? 'bg-primary-foreground/20 text-primary-foreground'
                   : 'bg-muted text-muted-foreground'
               }`}>
-                {category?.count}
+                {category?.count ?? 0}
               </span>
             </motion.button>
           ))}
@@ -195,7 +250,7 @@ const CategoryChips = ({ onCategoryChange, onFilterChange }) => {
                   ? 'text-secondary-foreground/80'
                   : 'text-muted-foreground'
               }`}>
-                ({region?.count})
+                ({region?.count ?? 0})
               </span>
             </motion.button>
           ))}
@@ -225,12 +280,73 @@ const CategoryChips = ({ onCategoryChange, onFilterChange }) => {
                   ? 'text-accent-foreground/80'
                   : 'text-muted-foreground'
               }`}>
-                ({priceRange?.count})
+                ({priceRange?.count ?? 0})
               </span>
             </motion.button>
           ))}
+          {hasBudget && (
+            <button
+              onClick={handleBudgetClear}
+              className="flex items-center space-x-2 px-3 py-1.5 rounded-full text-sm border bg-accent text-accent-foreground border-accent"
+            >
+              <span>{budgetLabel(selected)}</span>
+              <Icon name="X" size={12} />
+            </button>
+          )}
         </div>
       </div>
+      {/* Material and Verified Artisan Filters */}
+      {(materials?.length > 0 || facets?.verified || selected?.minRating) && (
+        <div className="space-y-4">
+          <h4 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">
+            Materials &amp; Makers
+          </h4>
+          <div className="flex flex-wrap gap-2">
+            {facets?.verified && (
+              <motion.button
+                onClick={handleVerifiedToggle}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className={`flex items-center space-x-2 px-3 py-1.5 rounded-full text-sm border transition-all duration-200 ${
+                  selected?.verified
+                    ? 'bg-success text-success-foreground border-success'
+                    : 'bg-background text-foreground border-border hover:border-success/50 hover:bg-success/5'
+                }`}
+              >
+                <Icon name="BadgeCheck" size={14} />
+                <span>Verified Artisans</span>
+                <span className="text-xs opacity-80">({facets?.verified?.verified ?? 0})</span>
+              </motion.button>
+            )}
+            {selected?.minRating && (
+              <button
+                onClick={handleMinRatingClear}
+                className="flex items-center space-x-2 px-3 py-1.5 rounded-full text-sm border bg-warning text-warning-foreground border-warning"
+              >
+                <Icon name="Star" size={14} />
+                <span>{selected?.minRating}★ &amp; up</span>
+                <Icon name="X" size={12} />
+              </button>
+            )}
+            {materials?.map((material) => (
+              <motion.button
+                key={material?.id}
+                onClick={() => handleMaterialSelect(material?.id)}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className={`flex items-center space-x-2 px-3 py-1.5 rounded-full text-sm border transition-all duration-200 ${
+                  selected?.material === material?.id
+                    ? 'bg-primary text-primary-foreground border-primary'
+                    : 'bg-background text-foreground border-border hover:border-primary/50 hover:bg-primary/5'
+                }`}
+              >
+                <span>{material?.name}</span>
+                <span className="text-xs opacity-80">({material?.count})</span>
+              </motion.button>
+            ))}
+          </div>
+        </div>
+      )}
       {/* Active Filters Summary */}
       {hasActiveFilters && (
         <div className="p-4 bg-muted/50 rounded-xl border border-border">
@@ -242,7 +358,7 @@ const CategoryChips = ({ onCategoryChange, onFilterChange }) => {
             <div className="flex items-center space-x-2 text-sm text-muted-foreground">
               <Icon name="Package" size={14} />
               <span>
-                {categories?.find(c => c?.id === selectedCategory)?.count || 0} products found
+                {total ?? 0} products found
               </span>
             </div>
           </div>
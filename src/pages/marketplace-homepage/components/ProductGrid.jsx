@@ -6,42 +6,59 @@ import Button from '../../../components/ui/Button';
 import { marketplaceService } from '../../../services/marketplaceService';
 import { useAuth } from '../../../contexts/AuthContext';
 
-const ProductGrid = ({ filters, searchQuery }) => {
+const PAGE_SIZE = 12;
+
+const ProductGrid = ({ filters, searchQuery, onFacetsChange }) => {
   const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  // The shopper's choice; until they make one, the sort their search asked for
+  const [sortBy, setSortBy] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [hoveredProduct, setHoveredProduct] = useState(null);
   const [error, setError] = useState(null);
+  // "Customers also bought" for the product last added to the cart
+  const [alsoBought, setAlsoBought] = useState(null);
   const { user } = useAuth();
 
   useEffect(() => {
     loadProducts();
-  }, [filters, searchQuery]);
+  }, [filters, searchQuery, sortBy]);
 
-  const loadProducts = async () => {
-    setLoading(true);
+  // Loads the first page, or appends the next one; the facets of each search
+  // go to the filters
+  const loadProducts = async (nextPage = 1) => {
+    const loadingPage = nextPage > 1 ? setLoadingMore : setLoading;
+    loadingPage(true);
     setError(null);
     
     try {
       const filterParams = {
         ...filters,
         searchQuery,
-        limit: 12,
-        page: 1
+        sortBy: sortBy ?? filters?.sort,
+        limit: PAGE_SIZE,
+        page: nextPage
       };
       
-      const { data, error: serviceError } = await marketplaceService?.getProducts(filterParams);
+      const { data, total: count, facets, error: serviceError } = await marketplaceService?.getProducts(filterParams);
       
       if (serviceError) {
         setError(serviceError);
         setProducts([]);
+        setTotal(0);
       } else {
-        setProducts(data || []);
+        setProducts(prev => (nextPage > 1 ? [...prev, ...(data || [])] : data || []));
+        setTotal(count || 0);
+        setPage(nextPage);
+        onFacetsChange?.(facets, count || 0);
       }
     } catch (err) {
       setError('Failed to load products. Please try again.');
       setProducts([]);
     } finally {
-      setLoading(false);
+      loadingPage(false);
     }
   };
 
@@ -58,12 +75,24 @@ const ProductGrid = ({ filters, searchQuery }) => {
         alert(`Failed to add to cart: ${error}`);
       } else {
         alert('Item added to cart successfully!');
+        loadAlsoBought(productId);
       }
     } catch (err) {
       alert('Failed to add item to cart');
     }
   };
 
+  // Products ordered together with this one, or popular ones of its craft and
+  // region while it has too few orders
+  const loadAlsoBought = async (productId) => {
+    const { data } = await marketplaceService?.getRecommendedProducts([productId], {
+      limit: 4,
+      purchasedOnly: true
+    });
+    const product = [...products, ...(alsoBought?.items || [])]?.find(item => item?.id === productId);
+    setAlsoBought(data?.length ? { product, items: data } : null);
+  };
+
   const handleAddToWishlist = async (productId) => {
     if (!user) {
       alert('Please sign in to add items to wishlist');
@@ -135,7 +164,7 @@ const ProductGrid = ({ filters, searchQuery }) => {
         <p className="text-muted-foreground mb-6">
           {error}
         </p>
-        <Button variant="outline" onClick={loadProducts}>
+        <Button variant="outline" onClick={() => loadProducts()}>
           Try Again
         </Button>
       </div>
@@ -170,14 +199,18 @@ const ProductGrid = ({ filters, searchQuery }) => {
             {searchQuery ? `Search Results for "${searchQuery}"` : 'Recommended Products'}
           </h3>
           <span className="text-sm text-muted-foreground">
-            {products?.length} products found
+            {total} products found
           </span>
         </div>
         
         <div className="flex items-center space-x-2">
           <span className="text-sm text-muted-foreground">Sort by:</span>
-          <select className="text-sm bg-background border border-border rounded-lg px-3 py-1 text-foreground focus:outline-none focus:border-primary">
-            <option value="recommended">Recommended</option>
+          <select
+            value={sortBy ?? filters?.sort ?? 'relevance'}
+            onChange={(e) => setSortBy(e?.target?.value)}
+            className="text-sm bg-background border border-border rounded-lg px-3 py-1 text-foreground focus:outline-none focus:border-primary"
+          >
+            <option value="relevance">{searchQuery ? 'Best Match' : 'Recommended'}</option>
             <option value="price-low">Price: Low to High</option>
             <option value="price-high">Price: High to Low</option>
             <option value="rating">Highest Rated</option>
@@ -186,6 +219,50 @@ const ProductGrid = ({ filters, searchQuery }) => {
         </div>
       </div>
 
+      {/* Customers Also Bought */}
+      {alsoBought && (
+        <div className="bg-muted rounded-xl p-4 space-y-3" data-testid="also-bought">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-heading font-semibold text-foreground">
+              {alsoBought?.items?.some(item => item?.recommendationReason === 'similar')
+                ? `Customers who bought ${alsoBought?.product?.title} also bought`
+                : `More like ${alsoBought?.product?.title}`}
+            </h4>
+            <button
+              onClick={() => setAlsoBought(null)}
+              className="text-muted-foreground hover:text-foreground transition-colors duration-200"
+              aria-label="Close"
+            >
+              <Icon name="X" size={16} />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {alsoBought?.items?.map((item) => (
+              <div key={item?.id} className="bg-card rounded-lg border border-border overflow-hidden">
+                <Image
+                  src={getProductImage(item, false)}
+                  alt={item?.title}
+                  className="w-full aspect-square object-cover"
+                />
+                <div className="p-2 space-y-1">
+                  <div className="text-xs font-medium text-foreground line-clamp-2">{item?.title}</div>
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-bold text-foreground">{formatPrice(item?.price)}</span>
+                    <button
+                      onClick={() => handleAddToCart(item?.id)}
+                      className="text-primary hover:text-primary/80 transition-colors duration-200"
+                      aria-label={`Add ${item?.title} to cart`}
+                    >
+                      <Icon name="ShoppingCart" size={14} />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Product Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
         {products?.map((product, index) => (
@@ -340,11 +417,20 @@ const ProductGrid = ({ filters, searchQuery }) => {
       </div>
 
       {/* Load More */}
-      <div className="text-center pt-8">
-        <Button variant="outline" size="lg" iconName="Plus" onClick={loadProducts}>
-          Load More Products
-        </Button>
-      </div>
+      {products?.length < total && (
+        <div className="text-center pt-8">
+          <Button
+            variant="outline"
+            size="lg"
+            iconName="Plus"
+            onClick={() => loadProducts(page + 1)}
+            loading={loadingMore}
+            disabled={loadingMore}
+          >
+            Load More Products
+          </Button>
+        </div>
+      )}
     </div>
   );
 };
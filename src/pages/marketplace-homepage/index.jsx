@@ -10,16 +10,22 @@ import TrustIndicators from './components/TrustIndicators';
 import Icon from '../../components/AppIcon';
 import Button from '../../components/ui/Button';
 
+const DEFAULT_FILTERS = {
+  category: 'all',
+  region: 'all',
+  priceRange: 'all'
+};
+
 const MarketplaceHomepage = () => {
   const [searchQuery, setSearchQuery] = useState('');
-  const [filters, setFilters] = useState({
-    category: 'all',
-    region: 'all',
-    priceRange: 'all'
-  });
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [facets, setFacets] = useState(null);
+  const [total, setTotal] = useState(null);
 
-  const handleSearch = (query) => {
+  // An AI search replaces the keywords and the filters with what it read
+  const handleSearch = ({ query, filters: searchFilters }) => {
     setSearchQuery(query);
+    setFilters({ ...DEFAULT_FILTERS, ...searchFilters });
     // Scroll to products section
     document.getElementById('products-section')?.scrollIntoView({ 
       behavior: 'smooth',
@@ -31,8 +37,17 @@ const MarketplaceHomepage = () => {
     setFilters(prev => ({ ...prev, category }));
   };
 
-  const handleFilterChange = (newFilters) => {
+  const handleFilterChange = ({ searchQuery: query, ...newFilters }) => {
     setFilters(newFilters);
+    if (query !== undefined) {
+      setSearchQuery(query);
+    }
+  };
+
+  // The product search reports the facet counts the chips show
+  const handleFacetsChange = (nextFacets, count) => {
+    setFacets(nextFacets);
+    setTotal(count);
   };
 
   return (
@@ -92,6 +107,9 @@ const MarketplaceHomepage = () => {
               data-testid="category-chips"
             >
               <CategoryChips 
+                filters={filters}
+                facets={facets}
+                total={total}
                 onCategoryChange={handleCategoryChange}
                 onFilterChange={handleFilterChange}
               />
@@ -108,7 +126,11 @@ const MarketplaceHomepage = () => {
               transition={{ duration: 0.6 }}
               data-testid="product-grid"
             >
-              <ProductGrid filters={filters} searchQuery={searchQuery} />
+              <ProductGrid
+                filters={filters}
+                searchQuery={searchQuery}
+                onFacetsChange={handleFacetsChange}
+              />
             </motion.div>
           </div>
         </section>
@@ -6,17 +6,23 @@ import Input from '../../../components/ui/Input';
 const CartSummary = ({ 
   subtotal, 
   tax, 
+  taxQuote,
   shipping, 
+  shippingQuote,
+  shippingError,
+  onSelectShippingService,
   discount, 
   total, 
   currency = '₹',
+  promotion,
+  promotionError,
   onApplyPromoCode,
+  onRemovePromoCode,
   onProceedToCheckout,
   isLoading = false
 }) => {
   const [promoCode, setPromoCode] = useState('');
   const [promoError, setPromoError] = useState('');
-  const [promoSuccess, setPromoSuccess] = useState('');
   const [isApplyingPromo, setIsApplyingPromo] = useState(false);
 
   const formatPrice = (price) => {
@@ -31,12 +37,10 @@ const CartSummary = ({
 
     setIsApplyingPromo(true);
     setPromoError('');
-    setPromoSuccess('');
 
     try {
       const result = await onApplyPromoCode(promoCode);
       if (result?.success) {
-        setPromoSuccess(`Promo code applied! You saved ${formatPrice(result?.discount)}`);
         setPromoCode('');
       } else {
         setPromoError(result?.message || 'Invalid promo code');
@@ -65,7 +69,7 @@ const CartSummary = ({
 
         {discount > 0 && (
           <div className="flex justify-between items-center text-success">
-            <span>Discount</span>
+            <span>Discount{promotion?.code ? ` (${promotion?.code})` : ''}</span>
             <span className="font-medium">-{formatPrice(discount)}</span>
           </div>
         )}
@@ -76,18 +80,68 @@ const CartSummary = ({
             <Icon name="Info" size={14} className="text-muted-foreground" />
           </div>
           <span className="font-medium text-foreground">
-            {shipping === 0 ? 'Free' : formatPrice(shipping)}
+            {shipping === null ? 'Calculated at checkout' : shipping === 0 ? 'Free' : formatPrice(shipping)}
           </span>
         </div>
 
+        {shippingError && (
+          <p className="text-xs text-error">{shippingError}</p>
+        )}
+
+        {/* One parcel per artisan, each with its own service level */}
+        {shippingQuote?.artisans?.map((parcel) => (
+          <div key={parcel?.artisanId} className="pl-3 border-l-2 border-border space-y-1">
+            <div className="flex justify-between items-center text-sm">
+              <span className="text-muted-foreground truncate">{parcel?.artisanName}</span>
+              <span className="text-muted-foreground">
+                {parcel?.amount === 0 ? 'Free' : formatPrice(parcel?.amount)}
+              </span>
+            </div>
+            <select
+              value={parcel?.service}
+              onChange={(e) => onSelectShippingService?.(parcel?.artisanId, e?.target?.value)}
+              className="w-full text-xs border border-border rounded px-2 py-1 bg-background text-foreground"
+            >
+              {parcel?.services?.map((option) => (
+                <option key={option?.service} value={option?.service}>
+                  {option?.serviceName} · {option?.estimatedDays} days · {option?.amount === 0 ? 'Free' : formatPrice(option?.amount)}
+                </option>
+              ))}
+            </select>
+            {!parcel?.freeShipping && parcel?.freeShippingThreshold !== null && (
+              <p className="text-xs text-muted-foreground">
+                Free shipping from this artisan on {formatPrice(parcel?.freeShippingThreshold)} or more
+              </p>
+            )}
+          </div>
+        ))}
+
         <div className="flex justify-between items-center">
           <div className="flex items-center space-x-1">
-            <span className="text-foreground">Tax</span>
+            <span className="text-foreground">GST (included)</span>
             <Icon name="Info" size={14} className="text-muted-foreground" />
           </div>
-          <span className="font-medium text-foreground">{formatPrice(tax)}</span>
+          <span className="font-medium text-foreground">
+            {tax === null ? 'Included in prices' : formatPrice(tax)}
+          </span>
         </div>
 
+        {/* Sales within the artisan's state pay CGST + SGST, others IGST */}
+        {taxQuote?.artisans?.length > 0 && (
+          <div className="text-xs text-muted-foreground space-y-1">
+            {[
+              ['CGST', taxQuote?.artisans?.reduce((sum, artisan) => sum + artisan?.cgstAmount, 0)],
+              ['SGST', taxQuote?.artisans?.reduce((sum, artisan) => sum + artisan?.sgstAmount, 0)],
+              ['IGST', taxQuote?.artisans?.reduce((sum, artisan) => sum + artisan?.igstAmount, 0)]
+            ]?.filter(([, amount]) => amount > 0)?.map(([label, amount]) => (
+              <div key={label} className="flex justify-between">
+                <span>{label}</span>
+                <span>{formatPrice(Math.round(amount * 100) / 100)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
         <div className="border-t border-border pt-4">
           <div className="flex justify-between items-center">
             <span className="text-lg font-semibold text-foreground">Total</span>
@@ -124,10 +178,30 @@ const CartSummary = ({
             Apply
           </Button>
         </div>
-        {promoSuccess && (
-          <div className="mt-2 text-sm text-success flex items-center space-x-1">
-            <Icon name="CheckCircle" size={14} />
-            <span>{promoSuccess}</span>
+        {promotion && (
+          <div className="mt-2 text-sm text-success flex items-center justify-between">
+            <div className="flex items-center space-x-1">
+              <Icon name="CheckCircle" size={14} />
+              <span>
+                {promotion?.code} applied{promotion?.discountAmount > 0 ? `, you save ${formatPrice(promotion?.discountAmount)}` : ''}
+              </span>
+            </div>
+            <button
+              type="button"
+              onClick={onRemovePromoCode}
+              className="text-xs text-muted-foreground hover:text-foreground underline"
+            >
+              Remove
+            </button>
+          </div>
+        )}
+        {promotion?.description && (
+          <p className="mt-1 text-xs text-muted-foreground">{promotion?.description}</p>
+        )}
+        {promotionError && !promotion && (
+          <div className="mt-2 text-sm text-error flex items-center space-x-1">
+            <Icon name="AlertCircle" size={14} />
+            <span>Promo code removed: {promotionError}</span>
           </div>
         )}
       </div>
@@ -151,7 +225,7 @@ const CartSummary = ({
         </div>
         <div className="flex items-center space-x-2">
           <Icon name="Truck" size={14} className="text-primary" />
-          <span>Free shipping on orders over ₹1,000</span>
+          <span>Shipped from each artisan's workshop</span>
         </div>
         <div className="flex items-center space-x-2">
           <Icon name="RotateCcw" size={14} className="text-primary" />
@@ -165,8 +239,16 @@ const CartSummary = ({
           <span className="font-medium text-foreground">Estimated Delivery</span>
         </div>
         <div className="text-sm text-muted-foreground">
-          <div>Express: 3-5 business days</div>
-          <div>Standard: 7-10 business days</div>
+          {shippingQuote?.artisans?.length ? (
+            <div>
+              {Math.max(...shippingQuote?.artisans?.map(parcel => parcel?.estimatedDays || 0))} business days to {shippingQuote?.toPincode}
+            </div>
+          ) : (
+            <>
+              <div>Express: 3-5 business days</div>
+              <div>Standard: 7-10 business days</div>
+            </>
+          )}
           <div className="mt-1 text-xs">
             * Delivery times may vary based on artisan locations
           </div>
@@ -9,6 +9,20 @@ const RecommendedProducts = ({ products, onAddToCart }) => {
     return `${currency}${price?.toLocaleString()}`;
   };
 
+  // Why each product is shown, from recommend_products
+  const getReasonLabel = (product) => {
+    switch (product?.reason) {
+      case 'similar':
+        return 'Often bought together';
+      case 'category':
+        return `Popular in ${product?.category}`;
+      case 'region':
+        return `Popular from ${product?.artisan?.location}`;
+      default:
+        return 'Popular now';
+    }
+  };
+
   const getTrustScoreColor = (score) => {
     if (score >= 4.5) return 'text-success';
     if (score >= 4.0) return 'text-warning';
@@ -19,7 +33,7 @@ const RecommendedProducts = ({ products, onAddToCart }) => {
     <div className="bg-card border border-border rounded-lg p-6 shadow-warm-sm">
       <div className="flex items-center justify-between mb-6">
         <h2 className="font-heading font-semibold text-xl text-foreground">
-          You might also like
+          Complete the look
         </h2>
         <Link 
           to="/marketplace-homepage"
@@ -44,6 +58,11 @@ const RecommendedProducts = ({ products, onAddToCart }) => {
                     New
                   </div>
                 )}
+                {product?.reason && (
+                  <div className="absolute bottom-2 left-2 bg-background/90 text-foreground text-xs font-medium px-2 py-1 rounded-full">
+                    {getReasonLabel(product)}
+                  </div>
+                )}
                 {product?.discount && (
                   <div className="absolute top-2 right-2 bg-success text-success-foreground text-xs font-medium px-2 py-1 rounded-full">
                     -{product?.discount}%
@@ -129,11 +148,11 @@ const RecommendedProducts = ({ products, onAddToCart }) => {
       {/* AI Recommendation Note */}
       <div className="mt-6 p-4 bg-muted rounded-lg">
         <div className="flex items-start space-x-3">
-          <Icon name="Bot" size={20} className="text-primary flex-shrink-0 mt-0.5" />
+          <Icon name="Users" size={20} className="text-primary flex-shrink-0 mt-0.5" />
           <div className="space-y-1">
-            <div className="font-medium text-foreground text-sm">AI Curated for You</div>
+            <div className="font-medium text-foreground text-sm">Picked by Fellow Shoppers</div>
             <div className="text-xs text-muted-foreground">
-              These products are recommended based on your cart items, browsing history, and preferences for authentic handmade crafts.
+              These are the pieces shoppers ordered, saved and carted together with the items in your cart, alongside popular crafts from the same categories and regions.
             </div>
           </div>
         </div>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from '../../components/ui/Header';
 import Icon from '../../components/AppIcon';
@@ -7,12 +7,35 @@ import CartItem from './components/CartItem';
 import CartSummary from './components/CartSummary';
 import EmptyCart from './components/EmptyCart';
 import RecommendedProducts from './components/RecommendedProducts';
+import { useAuth } from '../../contexts/AuthContext';
+import { marketplaceService } from '../../services/marketplaceService';
+import { orderService } from '../../services/orderService';
 
 const ShoppingCart = () => {
   const navigate = useNavigate();
   const [cartItems, setCartItems] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [currency, setCurrency] = useState('₹');
+  const [checkoutError, setCheckoutError] = useState(null);
+  const [placedOrder, setPlacedOrder] = useState(null);
+  const [payment, setPayment] = useState(null);
+  const [paymentError, setPaymentError] = useState(null);
+  const [isPaying, setIsPaying] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [shippingQuote, setShippingQuote] = useState(null);
+  const [shippingError, setShippingError] = useState(null);
+  const [shippingServices, setShippingServices] = useState({});
+  const [taxQuote, setTaxQuote] = useState(null);
+  const [promoCode, setPromoCode] = useState(null);
+  const [promotion, setPromotion] = useState(null);
+  const [promotionError, setPromotionError] = useState(null);
+  const [invoices, setInvoices] = useState(null);
+  const [invoiceError, setInvoiceError] = useState(null);
+  const [isLoadingInvoices, setIsLoadingInvoices] = useState(false);
+  const [recommendedProducts, setRecommendedProducts] = useState([]);
+  const { user } = useAuth();
+  // One key per checkout attempt: kept across retries, replaced when the cart changes
+  const idempotencyKey = useRef(crypto.randomUUID());
 
   // Mock cart data
   const mockCartItems = [
@@ -67,91 +90,156 @@ const ShoppingCart = () => {
     }
   ];
 
-  // Mock recommended products
-  const mockRecommendedProducts = [
-    {
-      id: 4,
-      title: "Handmade Brass Diya Set",
-      price: 650,
-      originalPrice: 800,
-      discount: 19,
-      category: "Metal Craft",
-      isNew: true,
-      image: "https://images.unsplash.com/photo-1605379399642-870262d3d051?w=400",
-      culturalStory: "Traditional brass diyas crafted using ancient techniques passed down through generations.",
-      artisan: {
-        id: 4,
-        name: "Lakshmi Devi",
-        location: "Moradabad, UP",
-        avatar: "https://randomuser.me/api/portraits/women/52.jpg",
-        trustScore: 4.7
-      }
-    },
-    {
-      id: 5,
-      title: "Madhubani Painting on Canvas",
-      price: 3200,
-      category: "Paintings",
-      image: "https://images.pexels.com/photos/1070945/pexels-photo-1070945.jpeg?w=400",
-      culturalStory: "Vibrant Madhubani art depicting traditional folk tales and mythology.",
-      artisan: {
-        id: 5,
-        name: "Sunita Jha",
-        location: "Madhubani, Bihar",
-        avatar: "https://randomuser.me/api/portraits/women/38.jpg",
-        trustScore: 4.5
-      }
-    },
-    {
-      id: 6,
-      title: "Handwoven Bamboo Basket Set",
-      price: 1200,
-      category: "Bamboo Craft",
-      image: "https://images.pixabay.com/photo/2019/07/02/05/54/basket-4311034_1280.jpg?w=400",
-      culturalStory: "Eco-friendly bamboo baskets woven using traditional northeastern techniques.",
-      artisan: {
-        id: 6,
-        name: "Bina Rai",
-        location: "Shillong, Meghalaya",
-        avatar: "https://randomuser.me/api/portraits/women/29.jpg",
-        trustScore: 4.4
-      }
-    }
-  ];
-
   useEffect(() => {
-    // Load cart items from localStorage or API
-    setCartItems(mockCartItems);
-    
     // Load currency preference
     const savedCurrency = localStorage.getItem('preferredCurrency') || '₹';
     setCurrency(savedCurrency);
   }, []);
 
-  const calculateSubtotal = () => {
-    return cartItems?.reduce((sum, item) => sum + (item?.price * item?.quantity), 0);
-  };
+  useEffect(() => {
+    if (!user) {
+      setCartItems(mockCartItems);
+      return;
+    }
 
-  const calculateTax = (subtotal) => {
-    return Math.round(subtotal * 0.18); // 18% GST
-  };
+    // Signed-in shoppers check out what is saved in their cart
+    marketplaceService?.getCartItems(user?.id)?.then(({ data }) => {
+      setCartItems(data?.map(row => ({
+        id: row?.product_id,
+        title: row?.product?.title,
+        price: Number(row?.product?.price),
+        quantity: row?.quantity,
+        stock: row?.product?.stock_quantity,
+        image: row?.product?.images?.[0],
+        artisan: {
+          id: row?.product?.artisan_id,
+          name: row?.product?.artisanName || row?.product?.businessName,
+          trustScore: row?.product?.artisan_profiles?.trust_score
+        }
+      })));
+    });
+  }, [user]);
+
+  // Signed-in shoppers see shipping quoted to their default address, again
+  // whenever the cart or a chosen service changes
+  const cartQuantities = cartItems?.map(item => `${item?.id}:${item?.quantity}`)?.join(',');
+  useEffect(() => {
+    if (!user || !cartItems?.length) {
+      setShippingQuote(null);
+      return;
+    }
 
-  const calculateShipping = (subtotal) => {
-    return subtotal >= 1000 ? 0 : 150; // Free shipping over ₹1000
+    let current = true;
+    orderService?.quoteShipping(shippingServices)?.then(({ data, error }) => {
+      if (!current) return;
+      setShippingQuote(data);
+      setShippingError(error);
+    });
+    return () => {
+      current = false;
+    };
+  }, [user, cartQuantities, shippingServices]);
+
+  // Prices include GST; the quote shows how much, split as CGST + SGST or IGST
+  // by the artisan's state and the state the order ships to
+  useEffect(() => {
+    if (!user || !cartItems?.length) {
+      setTaxQuote(null);
+      return;
+    }
+
+    let current = true;
+    orderService?.quoteTax()?.then(({ data }) => {
+      if (current) setTaxQuote(data);
+    });
+    return () => {
+      current = false;
+    };
+  }, [user, cartQuantities]);
+
+  // An applied code is checked again whenever the cart or shipping changes,
+  // and dropped once it no longer applies. Applying a code checks it itself.
+  useEffect(() => {
+    if (!user || !promoCode) return;
+    if (!cartItems?.length) {
+      setPromotion(null);
+      return;
+    }
+
+    let current = true;
+    orderService?.validatePromotion(promoCode, shippingServices)?.then(({ data, error }) => {
+      if (!current) return;
+      setPromotion(data);
+      setPromotionError(error);
+      if (error) setPromoCode(null);
+    });
+    return () => {
+      current = false;
+    };
+  }, [user, cartQuantities, shippingServices]);
+
+  // "Complete the look": what shoppers ordered, saved and carted together with
+  // the cart's items, topped up with popular pieces of the same crafts and
+  // regions while there is little history
+  const cartProductIds = cartItems?.map(item => item?.id)?.sort()?.join(',');
+  useEffect(() => {
+    // The guest cart is a sample, so guests see what is popular
+    const productIds = user ? cartItems?.map(item => item?.id) : [];
+
+    let current = true;
+    marketplaceService?.getRecommendedProducts(productIds, { limit: 6 })?.then(({ data }) => {
+      if (!current) return;
+      setRecommendedProducts(data?.map(product => ({
+        id: product?.id,
+        title: product?.title,
+        price: Number(product?.price),
+        originalPrice: product?.original_price ? Number(product?.original_price) : null,
+        stock: product?.stock_quantity,
+        category: product?.category,
+        image: product?.images?.[0],
+        reason: product?.recommendationReason,
+        artisan: {
+          id: product?.artisan?.id,
+          name: product?.artisan?.businessName || product?.artisan?.name,
+          avatar: product?.artisan?.image,
+          location: product?.artisan?.region,
+          trustScore: product?.artisan?.trustScore
+        }
+      })));
+    });
+    return () => {
+      current = false;
+    };
+  }, [user, cartProductIds]);
+
+  const cartChanged = () => {
+    idempotencyKey.current = crypto.randomUUID();
+    setCheckoutError(null);
   };
 
-  const calculateDiscount = () => {
-    // Mock discount calculation
-    return 0;
+  const calculateSubtotal = () => {
+    return cartItems?.reduce((sum, item) => sum + (item?.price * item?.quantity), 0);
   };
 
   const subtotal = calculateSubtotal();
-  const tax = calculateTax(subtotal);
-  const shipping = calculateShipping(subtotal);
-  const discount = calculateDiscount();
-  const total = subtotal + tax + shipping - discount;
+  // Included in the prices, so not added to the total
+  const tax = taxQuote?.taxAmount ?? null;
+  // Unknown until quoted; guests see it at checkout
+  const shipping = shippingQuote?.shippingAmount ?? null;
+  // Checked by the server, which applies it again at checkout
+  const discount = promotion?.discountAmount ?? 0;
+  const total = subtotal + (shipping ?? 0) - discount;
+
+  const handleSelectShippingService = (artisanId, service) => {
+    cartChanged();
+    setShippingServices(prev => ({ ...prev, [artisanId]: service }));
+  };
 
   const handleUpdateQuantity = async (itemId, newQuantity) => {
+    cartChanged();
+    if (user) {
+      await marketplaceService?.updateCartQuantity(user?.id, itemId, newQuantity);
+    }
     setCartItems(prevItems =>
       prevItems?.map(item =>
         item?.id === itemId ? { ...item, quantity: newQuantity } : item
@@ -160,6 +248,10 @@ const ShoppingCart = () => {
   };
 
   const handleRemoveItem = (itemId) => {
+    cartChanged();
+    if (user) {
+      marketplaceService?.removeFromCart(user?.id, itemId);
+    }
     setCartItems(prevItems => prevItems?.filter(item => item?.id !== itemId));
   };
 
@@ -173,40 +265,190 @@ const ShoppingCart = () => {
     }
   };
 
-  const handleApplyPromoCode = async (promoCode) => {
-    // Mock promo code validation
-    const validCodes = {
-      'WELCOME10': { discount: subtotal * 0.1, message: 'Welcome discount applied!' },
-      'ARTISAN20': { discount: subtotal * 0.2, message: 'Artisan support discount applied!' },
-      'FREESHIP': { discount: shipping, message: 'Free shipping applied!' }
-    };
+  const handleApplyPromoCode = async (code) => {
+    if (!user) {
+      return { success: false, message: 'Sign in to use promo codes' };
+    }
 
-    if (validCodes?.[promoCode]) {
-      return { success: true, ...validCodes?.[promoCode] };
+    const { data, error } = await orderService?.validatePromotion(code, shippingServices);
+    if (error) {
+      return { success: false, message: error };
     }
 
-    return { success: false, message: 'Invalid promo code' };
+    cartChanged();
+    setPromoCode(data?.code);
+    setPromotion(data);
+    setPromotionError(null);
+    return { success: true, discount: data?.discountAmount };
+  };
+
+  const handleRemovePromoCode = () => {
+    cartChanged();
+    setPromoCode(null);
+    setPromotion(null);
+    setPromotionError(null);
   };
 
-  const handleProceedToCheckout = () => {
+  const handleProceedToCheckout = async () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
     setIsLoading(true);
-    // Mock checkout process
-    setTimeout(() => {
-      setIsLoading(false);
-      // Navigate to checkout page (would be implemented)
-      alert('Proceeding to secure checkout...');
-    }, 2000);
+    setCheckoutError(null);
+    const { data, error, items } = await orderService?.checkout(idempotencyKey.current, {
+      shippingServices,
+      ...(promotion && { promoCode: promotion?.code })
+    });
+    setIsLoading(false);
+
+    if (error) {
+      setCheckoutError(items?.length ? `${error}: ${items?.map(item => item?.title)?.join(', ')}` : error);
+      return;
+    }
+
+    idempotencyKey.current = crypto.randomUUID();
+    setPlacedOrder(data);
+    setCartItems([]);
+    setPromoCode(null);
+    setPromotion(null);
+  };
+
+  const handlePayNow = async () => {
+    setIsPaying(true);
+    setPaymentError(null);
+    const { data, error } = await orderService?.payOrder(placedOrder?.id);
+    setIsPaying(false);
+
+    if (error) {
+      setPaymentError(error);
+      return;
+    }
+
+    setPayment(data?.payment);
+    if (data?.order) {
+      setPlacedOrder(prev => ({ ...prev, ...data?.order }));
+    }
+    if (data?.payment?.status === 'failed') {
+      setPaymentError(`${data?.payment?.failureReason || 'Payment failed'}. Your order was cancelled and its items released.`);
+    }
+  };
+
+  const handleCancelOrder = async () => {
+    setIsCancelling(true);
+    setPaymentError(null);
+    const { data, error } = await orderService?.cancelOrder(placedOrder?.id, 'Cancelled by customer before payment');
+    setIsCancelling(false);
+
+    if (error) {
+      setPaymentError(error);
+      return;
+    }
+    setPlacedOrder(prev => ({ ...prev, ...data }));
+  };
+
+  const handleShowInvoices = async () => {
+    setIsLoadingInvoices(true);
+    setInvoiceError(null);
+    const { data, error } = await orderService?.getOrderInvoices(placedOrder?.id);
+    setIsLoadingInvoices(false);
+
+    setInvoices(data);
+    setInvoiceError(error);
   };
 
   const handleAddToCart = (product) => {
+    cartChanged();
     const existingItem = cartItems?.find(item => item?.id === product?.id);
     if (existingItem) {
       handleUpdateQuantity(product?.id, existingItem?.quantity + 1);
     } else {
+      if (user) {
+        marketplaceService?.addToCart(user?.id, product?.id, 1);
+      }
       setCartItems(prevItems => [...prevItems, { ...product, quantity: 1 }]);
     }
   };
 
+  if (placedOrder) {
+    return (
+      <div className="min-h-screen bg-background">
+        <Header />
+        <div className="pt-20 min-h-[60vh] flex items-center justify-center">
+          <div className="text-center max-w-md mx-auto px-4">
+            <div className="w-24 h-24 mx-auto mb-6 bg-success/10 rounded-full flex items-center justify-center">
+              <Icon name="CheckCircle" size={48} className="text-success" />
+            </div>
+            <h2 className="font-heading font-semibold text-2xl text-foreground mb-3">
+              {placedOrder?.status === 'cancelled'
+                ? 'Order cancelled'
+                : payment?.status === 'completed' ? 'Payment received' : 'Order placed'}
+            </h2>
+            <p className="text-muted-foreground mb-6">
+              {placedOrder?.status === 'cancelled'
+                ? `Your order ${placedOrder?.orderNumber} was cancelled and its items released.`
+                : payment?.status === 'completed'
+                  ? `Your order ${placedOrder?.orderNumber} is confirmed and has been sent to the artisans.`
+                  : `Your order ${placedOrder?.orderNumber} for ${currency}${placedOrder?.totalAmount?.toLocaleString()} is waiting for payment.`}
+            </p>
+            {payment?.status === 'pending' && (
+              <p className="text-sm text-muted-foreground mb-6">
+                We are waiting for your bank to confirm the payment. Your order will be confirmed as soon as it does.
+              </p>
+            )}
+            {!payment && placedOrder?.status === 'pending' && placedOrder?.reservedUntil && (
+              <p className="text-sm text-muted-foreground mb-6">
+                Your items are held for you until {new Date(placedOrder?.reservedUntil)?.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}. Complete payment before then to keep them.
+              </p>
+            )}
+            {paymentError && (
+              <p className="text-sm text-error mb-6">{paymentError}</p>
+            )}
+            {invoices?.length > 0 && (
+              <div className="mb-6 space-y-1">
+                {invoices?.map((invoice) => (
+                  <a
+                    key={invoice?.id}
+                    href={invoice?.downloadUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="block text-sm text-primary hover:underline"
+                  >
+                    Download invoice {invoice?.invoiceNumber}
+                  </a>
+                ))}
+              </div>
+            )}
+            {invoiceError && (
+              <p className="text-sm text-error mb-6">{invoiceError}</p>
+            )}
+            <div className="flex items-center justify-center space-x-3">
+              {!payment && placedOrder?.status === 'pending' && (
+                <Button onClick={handlePayNow} loading={isPaying} iconName="CreditCard" iconPosition="left">
+                  Pay Now
+                </Button>
+              )}
+              {!payment && placedOrder?.status === 'pending' && (
+                <Button variant="ghost" onClick={handleCancelOrder} loading={isCancelling} disabled={isPaying}>
+                  Cancel Order
+                </Button>
+              )}
+              {payment?.status === 'completed' && !invoices?.length && (
+                <Button variant="ghost" onClick={handleShowInvoices} loading={isLoadingInvoices} iconName="FileText" iconPosition="left">
+                  Invoices
+                </Button>
+              )}
+              <Button variant="outline" onClick={() => navigate('/marketplace-homepage')}>
+                Continue Shopping
+              </Button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (cartItems?.length === 0) {
     return (
       <div className="min-h-screen bg-background">
@@ -288,27 +530,42 @@ const ShoppingCart = () => {
 
             {/* Cart Summary */}
             <div className="lg:col-span-1">
+              {checkoutError && (
+                <div className="mb-4 p-4 bg-error/10 border border-error/20 rounded-lg flex items-start space-x-2">
+                  <Icon name="AlertCircle" size={16} className="text-error mt-0.5" />
+                  <p className="text-sm text-error">{checkoutError}</p>
+                </div>
+              )}
               <CartSummary
                 subtotal={subtotal}
                 tax={tax}
+                taxQuote={taxQuote}
                 shipping={shipping}
+                shippingQuote={shippingQuote}
+                shippingError={shippingError}
+                onSelectShippingService={handleSelectShippingService}
                 discount={discount}
                 total={total}
                 currency={currency}
+                promotion={promotion}
+                promotionError={promotionError}
                 onApplyPromoCode={handleApplyPromoCode}
+                onRemovePromoCode={handleRemovePromoCode}
                 onProceedToCheckout={handleProceedToCheckout}
                 isLoading={isLoading}
               />
             </div>
           </div>
 
-          {/* Recommended Products */}
-          <div className="mt-12">
-            <RecommendedProducts
-              products={mockRecommendedProducts}
-              onAddToCart={handleAddToCart}
-            />
-          </div>
+          {/* Complete the Look */}
+          {recommendedProducts?.length > 0 && (
+            <div className="mt-12">
+              <RecommendedProducts
+                products={recommendedProducts}
+                onAddToCart={handleAddToCart}
+              />
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -78,17 +78,136 @@ class AIService {
   async chatWithAgent(data) {
     return this.makeRequest('/ai/chat', {
       method: 'POST',
-      body: JSON.stringify({
-        message: data.message,
-        context: {
-          type: this.mapAgentTypeToContext(data.agentType),
-          data: {
-            agentType: data.agentType,
-            conversationId: data.conversationId,
-            history: data.context?.history || []
-          }
+      body: JSON.stringify(this.buildChatBody(data))
+    });
+  }
+
+  /**
+   * Stream a chat reply from an AI agent over server-sent events.
+   * Calls onChunk with each text delta and resolves with the full reply.
+   */
+  async streamChatWithAgent(data, onChunk) {
+    if (this.isMockMode) {
+      return this.streamMockChatResponse(onChunk);
+    }
+
+    const response = await fetch(`${this.baseURL}/ai/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...(data.token && { Authorization: `Bearer ${data.token}` })
+      },
+      body: JSON.stringify(this.buildChatBody(data))
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let reply = null;
+
+    while (!reply) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const rawEvent of events) {
+        const { event, payload } = this.parseServerSentEvent(rawEvent);
+        if (event === 'ai-response-chunk') {
+          onChunk?.(payload.text);
+        } else if (event === 'ai-response') {
+          reply = payload;
+        } else if (event === 'ai-error') {
+          throw new Error(payload.message);
         }
-      })
+      }
+    }
+
+    if (!reply) {
+      throw new Error('AI response stream ended unexpectedly');
+    }
+
+    return {
+      success: true,
+      response: reply.response,
+      agent: reply.agentType,
+      conversationId: reply.conversationId,
+      timestamp: reply.timestamp
+    };
+  }
+
+  /**
+   * Parse one server-sent event block into its event name and JSON payload
+   */
+  parseServerSentEvent(rawEvent) {
+    let event = 'message';
+    let data = '';
+    rawEvent.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    return { event, payload: data ? JSON.parse(data) : {} };
+  }
+
+  /**
+   * Build the request body shared by the chat endpoints
+   */
+  buildChatBody(data) {
+    // The backend keeps the conversation history; only its ID is sent
+    return {
+      message: data.message,
+      ...(data.conversationId && { conversationId: data.conversationId }),
+      context: {
+        type: this.mapAgentTypeToContext(data.agentType),
+        data: {
+          agentType: data.agentType
+        }
+      }
+    };
+  }
+
+  /**
+   * Headers for requests made on behalf of the signed-in user
+   */
+  authHeaders(token) {
+    return {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    };
+  }
+
+  /**
+   * List the user's past conversations, most recently active first
+   */
+  async listConversations(token, { page = 1, limit = 20 } = {}) {
+    return this.makeRequest(`/ai/conversations?page=${page}&limit=${limit}`, {
+      headers: this.authHeaders(token)
+    });
+  }
+
+  /**
+   * Get a conversation with its messages, to resume it
+   */
+  async getConversation(conversationId, token) {
+    return this.makeRequest(`/ai/conversations/${conversationId}`, {
+      headers: this.authHeaders(token)
+    });
+  }
+
+  /**
+   * Delete a conversation
+   */
+  async deleteConversation(conversationId, token) {
+    return this.makeRequest(`/ai/conversations/${conversationId}`, {
+      method: 'DELETE',
+      headers: this.authHeaders(token)
     });
   }
 
@@ -150,6 +269,12 @@ class AIService {
               confidence: 0.95
             }
           });
+        } else if (endpoint.includes('/ai/conversations')) {
+          // Conversations are only stored by the backend
+          resolve({
+            success: true,
+            data: { conversations: [], messages: [], pagination: { page: 1, limit: 20, total: 0 } }
+          });
         } else if (endpoint.includes('/ai/chat')) {
           resolve({
             success: true,
@@ -209,6 +334,24 @@ class AIService {
     return contents[Math.floor(Math.random() * contents.length)];
   }
 
+  /**
+   * Simulate a streamed chat reply word by word in mock mode
+   */
+  async streamMockChatResponse(onChunk) {
+    const text = this.generateMockChatResponse();
+    for (const word of text.match(/\S+\s*/g) || []) {
+      await new Promise(resolve => setTimeout(resolve, 40));
+      onChunk?.(word);
+    }
+
+    return {
+      success: true,
+      response: text,
+      agent: "ai-assistant",
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * Generate contextually appropriate mock chat responses
    */
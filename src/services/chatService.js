@@ -2,51 +2,29 @@ import { aiService } from './aiService';
 
 /**
  * Chat Service for AI Shopping Assistant
- * Handles chat interactions with AI agents
+ * Handles chat interactions with AI agents. Conversation history is stored
+ * by the backend; a new conversation is started when no ID is given.
  */
 class ChatService {
-  constructor() {
-    this.conversations = new Map(); // Store conversation history
-  }
-
   /**
    * Send message to AI agent
    */
   async sendMessage(message, agentType = 'productRecommendation', conversationId = null) {
-    if (!conversationId) {
-      conversationId = this.generateConversationId();
-    }
-
-    // Get conversation history
-    const conversation = this.conversations.get(conversationId) || [];
-    
     try {
-      const response = await aiService.chatWithAgent({
+      const result = await aiService.chatWithAgent({
         message,
         agentType,
-        conversationId,
-        context: {
-          history: conversation,
-          timestamp: new Date().toISOString()
-        }
+        conversationId
       });
 
       // Handle both real API responses and mock responses
+      const response = result.data || result;
       const aiResponse = response.response || response.content || "I'm here to help you with your queries!";
 
-      // Update conversation history
-      const updatedConversation = [
-        ...conversation,
-        { role: 'user', content: message, timestamp: new Date().toISOString() },
-        { role: 'assistant', content: aiResponse, timestamp: new Date().toISOString() }
-      ];
-      
-      this.conversations.set(conversationId, updatedConversation);
-
       return {
         success: true,
         response: aiResponse,
-        conversationId,
+        conversationId: response.conversationId || conversationId,
         agent: response.agent || this.getAgentName(agentType),
         timestamp: response.timestamp || new Date().toISOString()
       };
@@ -100,22 +78,16 @@ class ChatService {
   /**
    * Get conversation history
    */
-  getConversation(conversationId) {
-    return this.conversations.get(conversationId) || [];
-  }
-
-  /**
-   * Clear conversation
-   */
-  clearConversation(conversationId) {
-    this.conversations.delete(conversationId);
+  async getConversation(conversationId, token) {
+    const result = await aiService.getConversation(conversationId, token);
+    return result?.data?.messages || [];
   }
 
   /**
-   * Generate unique conversation ID
+   * Delete a conversation
    */
-  generateConversationId() {
-    return 'conv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  async clearConversation(conversationId, token) {
+    await aiService.deleteConversation(conversationId, token);
   }
 
   /**
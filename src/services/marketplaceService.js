@@ -1,4 +1,83 @@
 import { supabase } from '../lib/supabase';
+import { getEnvVar } from '../utils/envValidator.js';
+
+/**
+ * Call one of the backend's public search endpoints. Resolves to
+ * { data, error } in the shape of the other methods.
+ */
+const searchRequest = async (path, options = {}) => {
+  const response = await fetch(`${getEnvVar('VITE_API_URL')}/search${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  const body = await response?.json()?.catch(() => ({}));
+
+  if (!response?.ok) {
+    return { data: null, error: body?.message || body?.error || 'Search failed' };
+  }
+  return { data: body?.data, error: null };
+};
+
+/**
+ * Products by ID as product cards with their average rating, artisan and
+ * category, in the order of the IDs. Resolves to { data, error }.
+ */
+const fetchProductCards = async (ids) => {
+  const { data, error } = await supabase
+    ?.from('products')
+    ?.select(`
+      *,
+      artisan_profiles (
+        id,
+        business_name,
+        trust_score,
+        is_verified,
+        region,
+        user_profiles (
+          full_name,
+          avatar_url
+        )
+      ),
+      categories (
+        name,
+        slug
+      ),
+      product_reviews (
+        rating
+      )
+    `)
+    ?.in('id', ids);
+
+  if (error) {
+    return { data: [], error: error?.message };
+  }
+
+  const byId = new Map(data?.map(product => [product?.id, product]));
+  const cards = ids?.map(id => byId?.get(id))?.filter(Boolean)?.map(product => {
+    const reviews = product?.product_reviews || [];
+    const avgRating = reviews?.length > 0 
+      ? reviews?.reduce((sum, review) => sum + review?.rating, 0) / reviews?.length 
+      : 0;
+    
+    return {
+      ...product,
+      rating: Math.round(avgRating * 10) / 10,
+      reviewCount: reviews?.length,
+      artisan: {
+        id: product?.artisan_profiles?.id,
+        name: product?.artisan_profiles?.user_profiles?.full_name,
+        businessName: product?.artisan_profiles?.business_name,
+        image: product?.artisan_profiles?.user_profiles?.avatar_url,
+        trustScore: product?.artisan_profiles?.trust_score,
+        verified: product?.artisan_profiles?.is_verified,
+        region: product?.artisan_profiles?.region
+      },
+      category: product?.categories?.name
+    };
+  });
+
+  return { data: cards || [], error: null };
+};
 
 export const marketplaceService = {
   // Categories
@@ -21,108 +100,110 @@ export const marketplaceService = {
   },
 
   // Products
+  // Ranked, typo-tolerant search over active products (see the
+  // search_products function). Resolves to { data, total, facets, error }
+  // with facet counts for the category, region, price range, material and
+  // verified artisan filters.
   async getProducts(filters = {}) {
     try {
-      let query = supabase
-        ?.from('products')
-        ?.select(`
-          *,
-          artisan_profiles!inner (
-            id,
-            business_name,
-            trust_score,
-            is_verified,
-            user_profiles!inner (
-              full_name,
-              avatar_url
-            )
-          ),
-          categories!inner (
-            name,
-            slug
-          ),
-          product_reviews (
-            rating
-          )
-        `)
-        ?.eq('status', 'active');
+      const limit = filters?.limit || 12;
+      const { data: search, error: searchError } = await supabase?.rpc('search_products', {
+        p_query: filters?.searchQuery || null,
+        p_filters: {
+          category: filters?.category,
+          region: filters?.region,
+          priceRange: filters?.priceRange,
+          minPrice: filters?.minPrice,
+          maxPrice: filters?.maxPrice,
+          minRating: filters?.minRating,
+          material: filters?.material,
+          verified: filters?.verified
+        },
+        p_sort: filters?.sortBy || null,
+        p_limit: limit,
+        p_offset: ((filters?.page || 1) - 1) * limit
+      });
 
-      // Apply filters
-      if (filters?.category && filters?.category !== 'all') {
-        query = query?.eq('categories.slug', filters?.category);
+      if (searchError) {
+        return { data: [], total: 0, facets: null, error: searchError?.message };
       }
 
-      if (filters?.region && filters?.region !== 'all') {
-        query = query?.eq('artisan_profiles.region', filters?.region);
+      const ids = search?.results?.map(result => result?.id) || [];
+      if (ids?.length === 0) {
+        return { data: [], total: search?.total || 0, facets: search?.facets, error: null };
       }
 
-      if (filters?.priceRange && filters?.priceRange !== 'all') {
-        const ranges = {
-          'under-1000': [0, 999],
-          '1000-3000': [1000, 3000],
-          '3000-5000': [3000, 5000],
-          '5000-10000': [5000, 10000],
-          'above-10000': [10000, 999999]
-        };
-        const [min, max] = ranges?.[filters?.priceRange] || [0, 999999];
-        query = query?.gte('price', min)?.lte('price', max);
+      const { data, error } = await fetchProductCards(ids);
+      if (error) {
+        return { data: [], total: 0, facets: null, error };
       }
 
-      if (filters?.searchQuery) {
-        const searchTerm = `%${filters?.searchQuery?.toLowerCase()}%`;
-        query = query?.or(`title.ilike.${searchTerm},description.ilike.${searchTerm},tags.cs.{${filters?.searchQuery?.toLowerCase()}}`);
-      }
+      return { data, total: search?.total || 0, facets: search?.facets, error: null };
+    } catch (error) {
+      return { data: [], total: 0, facets: null, error: 'Failed to fetch products' };
+    }
+  },
 
-      // Apply sorting
-      const sortOptions = {
-        'price-low': [{ column: 'price', ascending: true }],
-        'price-high': [{ column: 'price', ascending: false }],
-        'rating': [{ column: 'created_at', ascending: false }], // Placeholder for rating
-        'newest': [{ column: 'created_at', ascending: false }],
-        'recommended': [{ column: 'is_featured', ascending: false }, { column: 'created_at', ascending: false }]
-      };
-      
-      const sortBy = sortOptions?.[filters?.sortBy || 'recommended'] || sortOptions?.recommended;
-      sortBy?.forEach(sort => {
-        query = query?.order(sort?.column, { ascending: sort?.ascending });
+  // Natural-language search
+  // Reads a search like "wooden sculptures under ₹5000" into { keywords,
+  // filters: [{ field, value, label }], source }, where source is 'ai' or
+  // 'keywords' when the AI was unavailable
+  async parseSearch(query) {
+    try {
+      return await searchRequest('/parse', {
+        method: 'POST',
+        body: JSON.stringify({ query })
       });
+    } catch (error) {
+      return { data: null, error: 'Failed to read search' };
+    }
+  },
 
-      // Apply pagination
-      const limit = filters?.limit || 12;
-      const offset = (filters?.page || 1 - 1) * limit;
-      query = query?.range(offset, offset + limit - 1);
+  // Autocomplete from popular searches, categories, regions and products:
+  // [{ type: 'query' | 'category' | 'region' | 'product', text, value }]
+  async getSearchSuggestions(prefix, limit = 6) {
+    try {
+      const params = new URLSearchParams({ q: prefix, limit: String(limit) });
+      const { data, error } = await searchRequest(`/suggestions?${params}`);
+      return { data: data || [], error };
+    } catch (error) {
+      return { data: [], error: 'Failed to fetch suggestions' };
+    }
+  },
 
-      const { data, error } = await query;
-      
-      if (error) {
-        return { data: [], error: error?.message };
+  // Recommendations
+  // Products to show with the given ones (a product, a cart's items): those
+  // shoppers ordered, wishlisted and carted together with them, then popular
+  // products of the same categories and regions, or of options.category (a
+  // slug) and options.region when there are none. With
+  // options.purchasedOnly only products ordered together count, for
+  // "customers also bought". Each card has a recommendationReason of
+  // 'similar', 'category', 'region' or 'popular'.
+  async getRecommendedProducts(productIds = [], options = {}) {
+    try {
+      const { data: picks, error: pickError } = await supabase?.rpc('recommend_products', {
+        p_product_ids: productIds,
+        p_category: options?.category || null,
+        p_region: options?.region || null,
+        p_limit: options?.limit || 6,
+        p_purchased_only: options?.purchasedOnly || false
+      });
+
+      if (pickError) {
+        return { data: [], error: pickError?.message };
+      }
+      if (!picks?.length) {
+        return { data: [], error: null };
       }
 
-      // Calculate average ratings
-      const productsWithRatings = data?.map(product => {
-        const reviews = product?.product_reviews || [];
-        const avgRating = reviews?.length > 0 
-          ? reviews?.reduce((sum, review) => sum + review?.rating, 0) / reviews?.length 
-          : 0;
-        
-        return {
-          ...product,
-          rating: Math.round(avgRating * 10) / 10,
-          reviewCount: reviews?.length,
-          artisan: {
-            name: product?.artisan_profiles?.user_profiles?.full_name,
-            businessName: product?.artisan_profiles?.business_name,
-            image: product?.artisan_profiles?.user_profiles?.avatar_url,
-            trustScore: product?.artisan_profiles?.trust_score,
-            verified: product?.artisan_profiles?.is_verified
-          },
-          category: product?.categories?.name
-        };
-      });
-      
-      return { data: productsWithRatings || [], error: null };
+      const { data, error } = await fetchProductCards(picks?.map(pick => pick?.id));
+      const reasons = new Map(picks?.map(pick => [pick?.id, pick?.reason]));
+      return {
+        data: data?.map(product => ({ ...product, recommendationReason: reasons?.get(product?.id) })),
+        error
+      };
     } catch (error) {
-      return { data: [], error: 'Failed to fetch products' };
+      return { data: [], error: 'Failed to fetch recommendations' };
     }
   },
 
@@ -293,8 +374,10 @@ export const marketplaceService = {
             price,
             images,
             stock_quantity,
+            artisan_id,
             artisan_profiles (
               business_name,
+              trust_score,
               user_profiles (
                 full_name
               )
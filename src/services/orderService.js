@@ -0,0 +1,220 @@
+import { supabase } from '../lib/supabase';
+import { getEnvVar } from '../utils/envValidator.js';
+
+/**
+ * Call the backend as the signed-in user. Resolves to { data, error, body }
+ * in the shape of the other services.
+ */
+const request = async (path, { headers, ...options } = {}) => {
+  const { data: { session } = {} } = await supabase?.auth?.getSession();
+  if (!session?.access_token) {
+    return { data: null, error: 'Please sign in to continue' };
+  }
+
+  const response = await fetch(`${getEnvVar('VITE_API_URL')}${path}`, {
+    method: 'POST',
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session?.access_token}`,
+      ...headers
+    }
+  });
+  const body = await response?.json()?.catch(() => ({}));
+
+  if (!response?.ok) {
+    return { data: null, error: body?.message || body?.error || 'Request failed', body };
+  }
+  return { data: body?.data, error: null, body };
+};
+
+/**
+ * Open Razorpay Checkout and resolve to the payment ID it returns
+ */
+const collectRazorpayPayment = (clientData) => new Promise((resolve, reject) => {
+  if (!window?.Razorpay) {
+    reject(new Error('Razorpay Checkout is not loaded'));
+    return;
+  }
+
+  const checkout = new window.Razorpay({
+    key: clientData?.keyId,
+    order_id: clientData?.razorpayOrderId,
+    amount: clientData?.amount,
+    currency: clientData?.currency,
+    name: 'Art-O-Mart',
+    handler: (response) => resolve(response?.razorpay_payment_id),
+    modal: { ondismiss: () => reject(new Error('Payment cancelled')) }
+  });
+  checkout?.open();
+});
+
+export const orderService = {
+  // Checkout
+  // Reuse the same idempotencyKey when retrying an attempt, so a double click
+  // or a retried request cannot place the order twice
+  async checkout(idempotencyKey, details = {}) {
+    try {
+      const { data, error, body } = await request('/orders/checkout', {
+        headers: { 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify(details)
+      });
+
+      if (error) {
+        return { data: null, error, items: body?.items || [] };
+      }
+      return { data, error: null };
+    } catch (error) {
+      return { data: null, error: 'Failed to place order' };
+    }
+  },
+
+  // Shipping for the cart to the default shipping address, one parcel per
+  // artisan. services: { [artisanId]: service }, the cheapest when left out.
+  async quoteShipping(services = {}) {
+    try {
+      return await request('/shipping/quote', {
+        body: JSON.stringify({ services })
+      });
+    } catch (error) {
+      return { data: null, error: 'Failed to quote shipping' };
+    }
+  },
+
+  // GST included in the cart when shipped to the default shipping address,
+  // per artisan as CGST + SGST or IGST
+  async quoteTax() {
+    try {
+      return await request('/tax/quote', { body: JSON.stringify({}) });
+    } catch (error) {
+      return { data: null, error: 'Failed to calculate tax' };
+    }
+  },
+
+  // The discount a promo code gives the cart, split per artisan. services
+  // are the shipping services chosen, which free shipping codes waive.
+  async validatePromotion(code, services = {}) {
+    try {
+      return await request('/promotions/validate', {
+        body: JSON.stringify({ code, services })
+      });
+    } catch (error) {
+      return { data: null, error: 'Failed to apply promo code' };
+    }
+  },
+
+  // Order lifecycle
+  // Customers can cancel their orders until they ship
+  async cancelOrder(orderId, reason) {
+    try {
+      return await request(`/orders/${orderId}/status`, {
+        body: JSON.stringify({ status: 'cancelled', reason })
+      });
+    } catch (error) {
+      return { data: null, error: 'Failed to cancel order' };
+    }
+  },
+
+  // GST invoices of a paid order, one per artisan, each with a download link
+  async getOrderInvoices(orderId) {
+    try {
+      const { data, error } = await request(`/orders/${orderId}/invoices`, { method: 'GET' });
+      return { data: data || [], error };
+    } catch (error) {
+      return { data: [], error: 'Failed to load invoices' };
+    }
+  },
+
+  // Payments
+  // Start a payment, collect it from the gateway and settle it. Resolves to
+  // the payment and, once it has a result, the updated order.
+  async payOrder(orderId, method = 'upi') {
+    try {
+      const { data: payment, error } = await request('/payments', {
+        body: JSON.stringify({ orderId, method })
+      });
+      if (error) {
+        return { data: null, error };
+      }
+
+      const providerPaymentId = payment?.provider === 'razorpay'
+        ? await collectRazorpayPayment(payment?.clientData)
+        : undefined;
+
+      return await request(`/payments/${payment?.id}/capture`, {
+        body: JSON.stringify({ providerPaymentId })
+      });
+    } catch (error) {
+      return { data: null, error: error?.message || 'Payment failed' };
+    }
+  },
+
+  // Artisan fulfilments
+  // The signed-in artisan's share of each order, with only their items
+  async getArtisanFulfilments(status) {
+    try {
+      const query = status ? `?status=${encodeURIComponent(status)}` : '';
+      const { data, error } = await request(`/fulfilments${query}`, { method: 'GET' });
+      return { data: data || [], error };
+    } catch (error) {
+      return { data: [], error: 'Failed to load orders' };
+    }
+  },
+
+  // updates: { status, carrier, trackingNumber }
+  async updateFulfilment(fulfilmentId, updates) {
+    try {
+      return await request(`/fulfilments/${fulfilmentId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates)
+      });
+    } catch (error) {
+      return { data: null, error: 'Failed to update order' };
+    }
+  },
+
+  // The GST invoice of one of the artisan's fulfilments, with a download link
+  async getFulfilmentInvoice(fulfilmentId) {
+    try {
+      return await request(`/fulfilments/${fulfilmentId}/invoice`, { method: 'GET' });
+    } catch (error) {
+      return { data: null, error: 'Failed to load invoice' };
+    }
+  },
+
+  // Books the carrier label for a processing fulfilment; the carrier's
+  // tracking moves it to shipped once the parcel is picked up
+  async bookShipment(fulfilmentId) {
+    try {
+      return await request(`/fulfilments/${fulfilmentId}/shipment`, {
+        body: JSON.stringify({})
+      });
+    } catch (error) {
+      return { data: null, error: 'Failed to book shipment' };
+    }
+  },
+
+  // Returns
+  // Return requests for the signed-in artisan, with evidence URLs and the
+  // AI triage recommendation
+  async getArtisanReturns(status) {
+    try {
+      const query = status ? `?status=${encodeURIComponent(status)}` : '';
+      const { data, error } = await request(`/returns/artisan${query}`, { method: 'GET' });
+      return { data: data || [], error };
+    } catch (error) {
+      return { data: [], error: 'Failed to load returns' };
+    }
+  },
+
+  // decision: 'approve' | 'reject' | 'receive'; details: { note } or { restock }
+  async decideReturn(returnId, decision, details = {}) {
+    try {
+      return await request(`/returns/${returnId}/${decision}`, {
+        body: JSON.stringify(details)
+      });
+    } catch (error) {
+      return { data: null, error: 'Failed to update return' };
+    }
+  }
+};
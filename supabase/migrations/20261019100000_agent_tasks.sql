@@ -0,0 +1,90 @@
+-- Location: supabase/migrations/20261019100000_agent_tasks.sql
+-- Schema Analysis: Adds persistence for the AgentManager task queue
+-- Integration Type: New table, read-only for owners, written by the backend service role
+-- Dependencies: 20250917163948_art_o_mart_marketplace.sql (user_profiles, set_updated_at)
+
+-- 1. Types and Enums
+CREATE TYPE public.agent_task_status AS ENUM ('queued', 'running', 'completed', 'failed', 'timed_out', 'cancelled');
+
+-- 2. Tables
+CREATE TABLE public.agent_tasks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    agent_type TEXT NOT NULL,
+    status public.agent_task_status NOT NULL DEFAULT 'queued'::public.agent_task_status,
+    priority TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('high', 'normal', 'low')),
+    -- { query, parameters, context }
+    input JSONB NOT NULL DEFAULT '{}'::jsonb,
+    result JSONB,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    timeout_ms INTEGER,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 3. Indexes
+CREATE INDEX idx_agent_tasks_user_id_created_at ON public.agent_tasks(user_id, created_at DESC);
+CREATE INDEX idx_agent_tasks_agent_type ON public.agent_tasks(agent_type);
+-- Startup recovery only looks at unfinished tasks
+CREATE INDEX idx_agent_tasks_pending ON public.agent_tasks(created_at)
+    WHERE status IN ('queued', 'running');
+
+-- 4. Functions
+-- Lifetime task counts per agent, used to restore AgentManager stats on startup
+CREATE OR REPLACE FUNCTION public.agent_task_stats()
+RETURNS TABLE (
+    agent_type TEXT,
+    total_tasks BIGINT,
+    successful_tasks BIGINT,
+    failed_tasks BIGINT,
+    average_response_time DOUBLE PRECISION
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+SELECT
+    at.agent_type,
+    COUNT(*) AS total_tasks,
+    COUNT(*) FILTER (WHERE at.status = 'completed') AS successful_tasks,
+    COUNT(*) FILTER (WHERE at.status IN ('failed', 'timed_out')) AS failed_tasks,
+    COALESCE(
+        AVG(EXTRACT(EPOCH FROM (at.completed_at - at.started_at)) * 1000)
+            FILTER (WHERE at.status = 'completed'),
+        0
+    )::DOUBLE PRECISION AS average_response_time
+FROM public.agent_tasks at
+GROUP BY at.agent_type;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.agent_task_stats() FROM public, anon, authenticated;
+
+-- 5. Enable RLS
+ALTER TABLE public.agent_tasks ENABLE ROW LEVEL SECURITY;
+
+-- 6. RLS Policies
+-- Tasks are created and updated by the backend with the service role;
+-- users can only read their own history
+CREATE POLICY "users_view_own_agent_tasks"
+ON public.agent_tasks
+FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+CREATE POLICY "admins_view_all_agent_tasks"
+ON public.agent_tasks
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+-- 7. Triggers
+CREATE TRIGGER set_updated_at_agent_tasks
+    BEFORE UPDATE ON public.agent_tasks
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
@@ -0,0 +1,11 @@
+-- Location: supabase/migrations/20261019110000_agent_task_actions.sql
+-- Schema Analysis: agent_tasks now records which agent action a task runs
+-- Integration Type: Column addition
+-- Dependencies: 20261019100000_agent_tasks.sql
+
+-- Tasks created before actions existed were free-form queries
+ALTER TABLE public.agent_tasks
+    ADD COLUMN action TEXT NOT NULL DEFAULT 'query';
+
+-- input now holds the validated action input rather than { query, parameters, context }
+COMMENT ON COLUMN public.agent_tasks.input IS 'Validated input of the agent action';
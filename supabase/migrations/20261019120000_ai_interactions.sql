@@ -0,0 +1,42 @@
+-- Location: supabase/migrations/20261019120000_ai_interactions.sql
+-- Schema Analysis: Adds the audit log written by BaseAgent.logInteraction, including agent tool calls
+-- Integration Type: New table, written by the backend service role, readable by admins
+-- Dependencies: 20250917163948_art_o_mart_marketplace.sql (user_profiles)
+
+-- 1. Tables
+CREATE TABLE IF NOT EXISTS public.ai_interactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    agent_type TEXT NOT NULL,
+    user_id UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    -- Shared by every model turn and tool call of one tool loop
+    session_id UUID,
+    interaction_type TEXT NOT NULL DEFAULT 'completion' CHECK (interaction_type IN ('completion', 'tool_call')),
+    tool_name TEXT,
+    iteration INTEGER,
+    -- Prompt messages or tool arguments
+    input JSONB,
+    -- Model answer or tool result
+    output JSONB,
+    duration_ms INTEGER,
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Indexes
+CREATE INDEX idx_ai_interactions_agent_type_timestamp ON public.ai_interactions(agent_type, timestamp DESC);
+CREATE INDEX idx_ai_interactions_session_id ON public.ai_interactions(session_id) WHERE session_id IS NOT NULL;
+CREATE INDEX idx_ai_interactions_user_id ON public.ai_interactions(user_id);
+
+-- 3. Enable RLS
+ALTER TABLE public.ai_interactions ENABLE ROW LEVEL SECURITY;
+
+-- 4. RLS Policies
+-- Inputs can contain customer order data, so only admins may read the log
+CREATE POLICY "admins_view_ai_interactions"
+ON public.ai_interactions
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
@@ -0,0 +1,102 @@
+-- Location: supabase/migrations/20261019130000_conversations.sql
+-- Schema Analysis: Adds persistent multi-turn memory for the AI shopping assistant
+-- Integration Type: New tables, owned by the customer, written by the backend service role
+-- Dependencies: 20250917163948_art_o_mart_marketplace.sql (user_profiles, set_updated_at)
+
+-- 1. Tables
+CREATE TABLE public.conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    agent_type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    -- Rolling summary of every message up to summarized_through_seq
+    summary TEXT,
+    summarized_through_seq BIGINT NOT NULL DEFAULT 0,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    last_message_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE public.conversation_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID NOT NULL REFERENCES public.conversations(id) ON DELETE CASCADE,
+    -- Insertion order; a user message and its reply share created_at
+    seq BIGINT GENERATED ALWAYS AS IDENTITY,
+    role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    agent_type TEXT,
+    token_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Indexes
+CREATE INDEX idx_conversations_user_id_last_message_at ON public.conversations(user_id, last_message_at DESC);
+CREATE INDEX idx_conversation_messages_conversation_id_seq ON public.conversation_messages(conversation_id, seq);
+
+-- 3. Functions
+-- Keep the conversation list ordering and counts in step with its messages
+CREATE OR REPLACE FUNCTION public.touch_conversation()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    UPDATE public.conversations
+    SET message_count = message_count + 1,
+        last_message_at = NEW.created_at
+    WHERE id = NEW.conversation_id;
+    RETURN NEW;
+END;
+$$;
+
+-- 4. Enable RLS
+ALTER TABLE public.conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.conversation_messages ENABLE ROW LEVEL SECURITY;
+
+-- 5. RLS Policies
+CREATE POLICY "users_manage_own_conversations"
+ON public.conversations
+FOR ALL
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "users_view_own_conversation_messages"
+ON public.conversation_messages
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.conversations c
+    WHERE c.id = conversation_id
+    AND c.user_id = auth.uid()
+));
+
+CREATE POLICY "users_add_own_conversation_messages"
+ON public.conversation_messages
+FOR INSERT
+TO authenticated
+WITH CHECK (EXISTS (
+    SELECT 1 FROM public.conversations c
+    WHERE c.id = conversation_id
+    AND c.user_id = auth.uid()
+));
+
+CREATE POLICY "admins_view_all_conversations"
+ON public.conversations
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+-- 6. Triggers
+CREATE TRIGGER set_updated_at_conversations
+    BEFORE UPDATE ON public.conversations
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+CREATE TRIGGER touch_conversation_on_message
+    AFTER INSERT ON public.conversation_messages
+    FOR EACH ROW EXECUTE FUNCTION public.touch_conversation();
@@ -0,0 +1,95 @@
+-- Location: supabase/migrations/20261019140000_ai_usage_accounting.sql
+-- Schema Analysis: Adds token, latency and cost accounting to ai_interactions, with aggregates for quotas and reporting
+-- Integration Type: New columns and functions, read by the backend service role
+-- Dependencies: 20261019120000_ai_interactions.sql (ai_interactions), 20250917163948_art_o_mart_marketplace.sql (artisan_profiles)
+
+-- 1. Columns
+ALTER TABLE public.ai_interactions
+    -- Shop the call was made for, when the user is an artisan
+    ADD COLUMN artisan_id UUID REFERENCES public.artisan_profiles(id) ON DELETE SET NULL,
+    ADD COLUMN model TEXT,
+    ADD COLUMN prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN completion_tokens INTEGER NOT NULL DEFAULT 0,
+    -- Part of prompt_tokens served from the provider's prompt cache
+    ADD COLUMN cached_tokens INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN total_tokens INTEGER NOT NULL DEFAULT 0,
+    -- True when the provider reported no usage and tokens were estimated from text length
+    ADD COLUMN usage_estimated BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0;
+
+-- 2. Indexes
+CREATE INDEX idx_ai_interactions_user_id_timestamp ON public.ai_interactions(user_id, timestamp)
+    WHERE interaction_type = 'completion';
+CREATE INDEX idx_ai_interactions_artisan_id_timestamp ON public.ai_interactions(artisan_id, timestamp)
+    WHERE interaction_type = 'completion' AND artisan_id IS NOT NULL;
+
+-- 3. Functions
+-- Tokens used since p_since by a user and by an artisan's shop, for quota checks
+CREATE OR REPLACE FUNCTION public.ai_usage_since(p_user_id UUID, p_artisan_id UUID, p_since TIMESTAMPTZ)
+RETURNS TABLE (
+    user_tokens BIGINT,
+    artisan_tokens BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+SELECT
+    COALESCE((
+        SELECT SUM(ai.total_tokens) FROM public.ai_interactions ai
+        WHERE ai.interaction_type = 'completion'
+        AND ai.user_id = p_user_id
+        AND ai.timestamp >= p_since
+    ), 0)::BIGINT AS user_tokens,
+    COALESCE((
+        SELECT SUM(ai.total_tokens) FROM public.ai_interactions ai
+        WHERE ai.interaction_type = 'completion'
+        AND ai.artisan_id = p_artisan_id
+        AND ai.timestamp >= p_since
+    ), 0)::BIGINT AS artisan_tokens;
+$$;
+
+-- Spend between two instants grouped by agent type, user or artisan
+CREATE OR REPLACE FUNCTION public.ai_usage_breakdown(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_group_by TEXT DEFAULT 'agent_type'
+)
+RETURNS TABLE (
+    group_key TEXT,
+    requests BIGINT,
+    prompt_tokens BIGINT,
+    completion_tokens BIGINT,
+    cached_tokens BIGINT,
+    total_tokens BIGINT,
+    cost_usd NUMERIC,
+    average_latency_ms DOUBLE PRECISION
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+SELECT
+    CASE p_group_by
+        WHEN 'user' THEN ai.user_id::TEXT
+        WHEN 'artisan' THEN ai.artisan_id::TEXT
+        WHEN 'model' THEN ai.model
+        ELSE ai.agent_type
+    END AS group_key,
+    COUNT(*) AS requests,
+    SUM(ai.prompt_tokens)::BIGINT AS prompt_tokens,
+    SUM(ai.completion_tokens)::BIGINT AS completion_tokens,
+    SUM(ai.cached_tokens)::BIGINT AS cached_tokens,
+    SUM(ai.total_tokens)::BIGINT AS total_tokens,
+    SUM(ai.cost_usd) AS cost_usd,
+    COALESCE(AVG(ai.duration_ms), 0)::DOUBLE PRECISION AS average_latency_ms
+FROM public.ai_interactions ai
+WHERE ai.interaction_type = 'completion'
+AND ai.timestamp >= p_from
+AND ai.timestamp < p_to
+GROUP BY 1
+ORDER BY SUM(ai.cost_usd) DESC;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.ai_usage_since(UUID, UUID, TIMESTAMPTZ) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.ai_usage_breakdown(TIMESTAMPTZ, TIMESTAMPTZ, TEXT) FROM public, anon, authenticated;
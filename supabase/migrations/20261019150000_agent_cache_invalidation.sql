@@ -0,0 +1,31 @@
+-- Location: supabase/migrations/20261019150000_agent_cache_invalidation.sql
+-- Schema Analysis: Publishes product and artisan profile changes over Supabase Realtime so the backend can invalidate cached agent responses
+-- Integration Type: Realtime publication membership, no schema changes
+-- Dependencies: 20250917163948_art_o_mart_marketplace.sql (products, artisan_profiles)
+
+-- 1. Replica identity
+-- Deletes and updates then carry the old row, so the backend can also
+-- invalidate the artisan a product belonged to
+ALTER TABLE public.products REPLICA IDENTITY FULL;
+
+-- 2. Realtime publication
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        CREATE PUBLICATION supabase_realtime;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'products'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.products;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'artisan_profiles'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.artisan_profiles;
+    END IF;
+END $$;
@@ -0,0 +1,119 @@
+-- Location: supabase/migrations/20261019160000_order_checkout.sql
+-- Schema Analysis: Places an order from a customer's cart in one transaction: re-prices from products, checks stock, snapshots items, decrements stock and clears the cart
+-- Integration Type: New column and function, called by the backend service role from POST /api/orders/checkout
+-- Dependencies: 20250917163948_art_o_mart_marketplace.sql (carts, products, orders, order_items, generate_order_number)
+
+-- 1. Columns
+-- Client-chosen key of the checkout attempt; retries with the same key return the first order
+ALTER TABLE public.orders ADD COLUMN idempotency_key TEXT;
+
+-- 2. Indexes
+CREATE UNIQUE INDEX idx_orders_customer_id_idempotency_key ON public.orders(customer_id, idempotency_key)
+    WHERE idempotency_key IS NOT NULL;
+
+-- 3. Functions
+-- Turn the customer's cart into an order. Raises 'Cart is empty', or
+-- 'Some cart items are unavailable' with a JSON array of the problems in DETAIL.
+-- Returns { order, items, replayed } where replayed is true when an order was
+-- already placed with this idempotency key.
+CREATE OR REPLACE FUNCTION public.place_order(
+    p_customer_id UUID,
+    p_idempotency_key TEXT,
+    p_shipping_address JSONB,
+    p_billing_address JSONB DEFAULT NULL,
+    p_payment_method TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_order public.orders%ROWTYPE;
+    v_problems JSONB;
+    v_subtotal DECIMAL(10,2);
+BEGIN
+    -- One checkout per customer at a time, so a double click waits for the
+    -- first attempt and then finds its order
+    PERFORM pg_advisory_xact_lock(hashtext('checkout:' || p_customer_id::TEXT));
+
+    SELECT * INTO v_order FROM public.orders
+    WHERE customer_id = p_customer_id AND idempotency_key = p_idempotency_key;
+
+    IF FOUND THEN
+        RETURN jsonb_build_object(
+            'order', to_jsonb(v_order),
+            'items', (SELECT COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.created_at, oi.id), '[]'::JSONB)
+                      FROM public.order_items oi WHERE oi.order_id = v_order.id),
+            'replayed', true
+        );
+    END IF;
+
+    -- Lock the products in a fixed order so concurrent checkouts cannot deadlock
+    PERFORM 1
+    FROM public.products p
+    WHERE p.id IN (SELECT c.product_id FROM public.carts c WHERE c.user_id = p_customer_id)
+    ORDER BY p.id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Cart is empty';
+    END IF;
+
+    SELECT jsonb_agg(jsonb_build_object(
+        'productId', p.id,
+        'title', p.title,
+        'requested', c.quantity,
+        'available', CASE WHEN p.status = 'active' THEN COALESCE(p.stock_quantity, 0) ELSE 0 END,
+        'reason', CASE WHEN p.status <> 'active' THEN 'not_available' ELSE 'insufficient_stock' END
+    ))
+    INTO v_problems
+    FROM public.carts c
+    JOIN public.products p ON p.id = c.product_id
+    WHERE c.user_id = p_customer_id
+      AND (p.status <> 'active' OR COALESCE(p.stock_quantity, 0) < c.quantity);
+
+    IF v_problems IS NOT NULL THEN
+        RAISE EXCEPTION 'Some cart items are unavailable' USING DETAIL = v_problems::TEXT;
+    END IF;
+
+    SELECT SUM(p.price * c.quantity) INTO v_subtotal
+    FROM public.carts c
+    JOIN public.products p ON p.id = c.product_id
+    WHERE c.user_id = p_customer_id;
+
+    INSERT INTO public.orders (
+        customer_id, order_number, total_amount, shipping_address, billing_address,
+        payment_method, notes, idempotency_key
+    )
+    VALUES (
+        p_customer_id, public.generate_order_number(), v_subtotal, p_shipping_address,
+        COALESCE(p_billing_address, p_shipping_address), p_payment_method, p_notes, p_idempotency_key
+    )
+    RETURNING * INTO v_order;
+
+    INSERT INTO public.order_items (
+        order_id, product_id, artisan_id, quantity, unit_price, total_price, product_title, product_image
+    )
+    SELECT v_order.id, p.id, p.artisan_id, c.quantity, p.price, p.price * c.quantity, p.title, p.images[1]
+    FROM public.carts c
+    JOIN public.products p ON p.id = c.product_id
+    WHERE c.user_id = p_customer_id;
+
+    UPDATE public.products p
+    SET stock_quantity = p.stock_quantity - c.quantity
+    FROM public.carts c
+    WHERE c.user_id = p_customer_id AND p.id = c.product_id;
+
+    DELETE FROM public.carts WHERE user_id = p_customer_id;
+
+    RETURN jsonb_build_object(
+        'order', to_jsonb(v_order),
+        'items', (SELECT COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.created_at, oi.id), '[]'::JSONB)
+                  FROM public.order_items oi WHERE oi.order_id = v_order.id),
+        'replayed', false
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.place_order(UUID, TEXT, JSONB, JSONB, TEXT, TEXT) FROM public, anon, authenticated;
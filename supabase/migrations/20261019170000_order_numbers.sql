@@ -0,0 +1,163 @@
+-- Location: supabase/migrations/20261019170000_order_numbers.sql
+-- Schema Analysis: Replaces random order numbers with per-period counters assigned by a trigger, plus per-artisan sub-numbers on order items
+-- Integration Type: New tables, columns, functions and triggers; generate_order_number() keeps its signature
+-- Dependencies: 20250917163948_art_o_mart_marketplace.sql (orders, order_items, generate_order_number)
+
+-- 1. Tables
+-- Single-row settings of the numbering scheme. With reset_period 'day' numbers
+-- look like AOM-20261019-0042, with 'year' like AOM-2026-0042.
+CREATE TABLE public.order_number_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    prefix TEXT NOT NULL DEFAULT 'AOM',
+    reset_period TEXT NOT NULL DEFAULT 'day' CHECK (reset_period IN ('day', 'year')),
+    -- Minimum width of the counter; longer counters are never truncated
+    counter_digits INTEGER NOT NULL DEFAULT 4 CHECK (counter_digits BETWEEN 1 AND 12),
+    -- Calendar the day or year is taken from
+    time_zone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+    -- Give each artisan's items in an order a number like AOM-20261019-0042/2
+    artisan_sub_numbers BOOLEAN NOT NULL DEFAULT true,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO public.order_number_settings DEFAULT VALUES;
+
+-- Last number handed out in each period. Incrementing a row is atomic and
+-- holds its lock until the order commits, so two orders can never share a
+-- number and an order that rolls back does not leave a gap behind a later one.
+CREATE TABLE public.order_number_counters (
+    period TEXT PRIMARY KEY,
+    last_value BIGINT NOT NULL
+);
+
+-- 2. Columns
+ALTER TABLE public.order_items
+    -- Number of the artisan's slice of the order, shared by all their items in it
+    ADD COLUMN artisan_order_number TEXT;
+
+-- 3. Indexes
+CREATE INDEX idx_order_items_artisan_order_number ON public.order_items(artisan_order_number)
+    WHERE artisan_order_number IS NOT NULL;
+
+-- 4. Functions
+-- Next order number of the current period
+CREATE OR REPLACE FUNCTION public.generate_order_number()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_settings public.order_number_settings%ROWTYPE;
+    v_period TEXT;
+    v_value BIGINT;
+BEGIN
+    SELECT * INTO v_settings FROM public.order_number_settings WHERE id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'order_number_settings has no row';
+    END IF;
+
+    v_period := TO_CHAR(
+        CURRENT_TIMESTAMP AT TIME ZONE v_settings.time_zone,
+        CASE v_settings.reset_period WHEN 'year' THEN 'YYYY' ELSE 'YYYYMMDD' END
+    );
+
+    INSERT INTO public.order_number_counters (period, last_value)
+    VALUES (v_period, 1)
+    ON CONFLICT (period) DO UPDATE SET last_value = public.order_number_counters.last_value + 1
+    RETURNING last_value INTO v_value;
+
+    RETURN v_settings.prefix || '-' || v_period || '-'
+        || LPAD(v_value::TEXT, GREATEST(v_settings.counter_digits, LENGTH(v_value::TEXT)), '0');
+END;
+$$;
+
+-- Number orders inserted without one
+CREATE OR REPLACE FUNCTION public.assign_order_number()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NEW.order_number IS NULL THEN
+        NEW.order_number := public.generate_order_number();
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+-- Give an order item its artisan's sub-number: the one already used by that
+-- artisan's other items in the order, or the next free one
+CREATE OR REPLACE FUNCTION public.assign_artisan_order_number()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_order_number TEXT;
+    v_slices INTEGER;
+BEGIN
+    IF NEW.artisan_order_number IS NOT NULL
+        OR NOT (SELECT s.artisan_sub_numbers FROM public.order_number_settings s WHERE s.id) THEN
+        RETURN NEW;
+    END IF;
+
+    -- Serialize item inserts per order so two artisans cannot take the same slice
+    SELECT o.order_number INTO v_order_number
+    FROM public.orders o
+    WHERE o.id = NEW.order_id
+    FOR UPDATE;
+
+    SELECT oi.artisan_order_number INTO NEW.artisan_order_number
+    FROM public.order_items oi
+    WHERE oi.order_id = NEW.order_id
+    AND oi.artisan_id = NEW.artisan_id
+    AND oi.artisan_order_number IS NOT NULL
+    LIMIT 1;
+
+    IF NEW.artisan_order_number IS NULL THEN
+        SELECT COUNT(DISTINCT oi.artisan_id) INTO v_slices
+        FROM public.order_items oi
+        WHERE oi.order_id = NEW.order_id
+        AND oi.artisan_order_number IS NOT NULL;
+
+        NEW.artisan_order_number := v_order_number || '/' || (v_slices + 1);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.generate_order_number() FROM public, anon, authenticated;
+
+-- 5. Enable RLS
+ALTER TABLE public.order_number_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.order_number_counters ENABLE ROW LEVEL SECURITY;
+
+-- 6. RLS Policies
+-- Numbers are only handed out by the triggers; admins may read and change the scheme
+CREATE POLICY "admins_manage_order_number_settings"
+ON public.order_number_settings
+FOR ALL
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+))
+WITH CHECK (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+-- 7. Triggers
+CREATE TRIGGER assign_order_number
+    BEFORE INSERT ON public.orders
+    FOR EACH ROW EXECUTE FUNCTION public.assign_order_number();
+
+CREATE TRIGGER assign_artisan_order_number
+    BEFORE INSERT ON public.order_items
+    FOR EACH ROW EXECUTE FUNCTION public.assign_artisan_order_number();
+
+CREATE TRIGGER set_updated_at_order_number_settings
+    BEFORE UPDATE ON public.order_number_settings
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
@@ -0,0 +1,318 @@
+-- Location: supabase/migrations/20261019180000_stock_reservations.sql
+-- Schema Analysis: Holds stock for unpaid orders instead of decrementing it at checkout; holds are committed on payment, released on failure or expiry, and products flip between active and sold_out on available stock
+-- Integration Type: New enum, table, functions and triggers; place_order gains a hold duration and stops decrementing stock
+-- Dependencies: 20261019160000_order_checkout.sql (place_order), 20250917163948_art_o_mart_marketplace.sql (orders, products)
+
+-- 1. Types
+CREATE TYPE public.reservation_status AS ENUM ('held', 'committed', 'released', 'expired');
+
+-- 2. Tables
+CREATE TABLE public.stock_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status public.reservation_status NOT NULL DEFAULT 'held',
+    -- A held reservation stops counting against stock after this
+    expires_at TIMESTAMPTZ NOT NULL,
+    -- Why a hold was released, e.g. payment_failed
+    release_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, product_id)
+);
+
+-- 3. Indexes
+CREATE INDEX idx_stock_reservations_product_id ON public.stock_reservations(product_id)
+    WHERE status = 'held';
+CREATE INDEX idx_stock_reservations_expires_at ON public.stock_reservations(expires_at)
+    WHERE status = 'held';
+
+-- 4. Functions
+-- Units of a product held by unexpired reservations
+CREATE OR REPLACE FUNCTION public.reserved_quantity(p_product_id UUID)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+SELECT COALESCE(SUM(sr.quantity), 0)::INTEGER
+FROM public.stock_reservations sr
+WHERE sr.product_id = p_product_id
+AND sr.status = 'held'
+AND sr.expires_at > CURRENT_TIMESTAMP;
+$$;
+
+-- Keep listed products active while stock remains after reservations, and
+-- sold_out otherwise. Drafts and inactive products are left alone.
+CREATE OR REPLACE FUNCTION public.apply_product_availability()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NEW.status IN ('active', 'sold_out') THEN
+        NEW.status := CASE
+            WHEN COALESCE(NEW.stock_quantity, 0) - public.reserved_quantity(NEW.id) > 0 THEN 'active'
+            ELSE 'sold_out'
+        END::public.product_status;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+-- Re-evaluate a product's availability after its reservations change
+CREATE OR REPLACE FUNCTION public.refresh_reserved_product()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    -- Setting status runs apply_product_availability
+    UPDATE public.products p
+    SET status = p.status
+    WHERE p.id = NEW.product_id
+    AND p.status IN ('active', 'sold_out');
+    RETURN NULL;
+END;
+$$;
+
+-- Turn the customer's cart into an order and hold its stock for p_hold_minutes.
+-- Stock is only decremented by commit_order_stock once the order is paid.
+-- Raises like before; returns { order, items, reservedUntil, replayed }.
+DROP FUNCTION public.place_order(UUID, TEXT, JSONB, JSONB, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION public.place_order(
+    p_customer_id UUID,
+    p_idempotency_key TEXT,
+    p_shipping_address JSONB,
+    p_billing_address JSONB DEFAULT NULL,
+    p_payment_method TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL,
+    p_hold_minutes INTEGER DEFAULT 15
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_order public.orders%ROWTYPE;
+    v_problems JSONB;
+    v_subtotal DECIMAL(10,2);
+    v_replayed BOOLEAN := false;
+BEGIN
+    -- One checkout per customer at a time, so a double click waits for the
+    -- first attempt and then finds its order
+    PERFORM pg_advisory_xact_lock(hashtext('checkout:' || p_customer_id::TEXT));
+
+    SELECT * INTO v_order FROM public.orders
+    WHERE customer_id = p_customer_id AND idempotency_key = p_idempotency_key;
+    v_replayed := FOUND;
+
+    IF NOT v_replayed THEN
+        -- Lock the products in a fixed order so concurrent checkouts cannot
+        -- deadlock, and so the reserved quantities below stay accurate
+        PERFORM 1
+        FROM public.products p
+        WHERE p.id IN (SELECT c.product_id FROM public.carts c WHERE c.user_id = p_customer_id)
+        ORDER BY p.id
+        FOR UPDATE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cart is empty';
+        END IF;
+
+        SELECT jsonb_agg(jsonb_build_object(
+            'productId', l.id,
+            'title', l.title,
+            'requested', l.quantity,
+            'available', l.available,
+            'reason', CASE WHEN l.listed THEN 'insufficient_stock' ELSE 'not_available' END
+        ))
+        INTO v_problems
+        FROM (
+            SELECT
+                p.id,
+                p.title,
+                c.quantity,
+                p.status IN ('active', 'sold_out') AS listed,
+                CASE WHEN p.status IN ('active', 'sold_out')
+                    THEN GREATEST(COALESCE(p.stock_quantity, 0) - public.reserved_quantity(p.id), 0)
+                    ELSE 0
+                END AS available
+            FROM public.carts c
+            JOIN public.products p ON p.id = c.product_id
+            WHERE c.user_id = p_customer_id
+        ) l
+        WHERE NOT l.listed OR l.available < l.quantity;
+
+        IF v_problems IS NOT NULL THEN
+            RAISE EXCEPTION 'Some cart items are unavailable' USING DETAIL = v_problems::TEXT;
+        END IF;
+
+        SELECT SUM(p.price * c.quantity) INTO v_subtotal
+        FROM public.carts c
+        JOIN public.products p ON p.id = c.product_id
+        WHERE c.user_id = p_customer_id;
+
+        INSERT INTO public.orders (
+            customer_id, order_number, total_amount, shipping_address, billing_address,
+            payment_method, notes, idempotency_key
+        )
+        VALUES (
+            p_customer_id, public.generate_order_number(), v_subtotal, p_shipping_address,
+            COALESCE(p_billing_address, p_shipping_address), p_payment_method, p_notes, p_idempotency_key
+        )
+        RETURNING * INTO v_order;
+
+        INSERT INTO public.order_items (
+            order_id, product_id, artisan_id, quantity, unit_price, total_price, product_title, product_image
+        )
+        SELECT v_order.id, p.id, p.artisan_id, c.quantity, p.price, p.price * c.quantity, p.title, p.images[1]
+        FROM public.carts c
+        JOIN public.products p ON p.id = c.product_id
+        WHERE c.user_id = p_customer_id;
+
+        INSERT INTO public.stock_reservations (order_id, product_id, quantity, expires_at)
+        SELECT v_order.id, c.product_id, c.quantity, CURRENT_TIMESTAMP + make_interval(mins => p_hold_minutes)
+        FROM public.carts c
+        WHERE c.user_id = p_customer_id;
+
+        DELETE FROM public.carts WHERE user_id = p_customer_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'order', to_jsonb(v_order),
+        'items', (SELECT COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.created_at, oi.id), '[]'::JSONB)
+                  FROM public.order_items oi WHERE oi.order_id = v_order.id),
+        'reservedUntil', (SELECT MIN(sr.expires_at) FROM public.stock_reservations sr
+                          WHERE sr.order_id = v_order.id AND sr.status = 'held'),
+        'replayed', v_replayed
+    );
+END;
+$$;
+
+-- Take a paid order's held stock out of stock_quantity. Raises
+-- 'Stock reservation is no longer held' when a hold was released or swept.
+CREATE OR REPLACE FUNCTION public.commit_order_stock(p_order_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    PERFORM 1
+    FROM public.products p
+    WHERE p.id IN (SELECT sr.product_id FROM public.stock_reservations sr WHERE sr.order_id = p_order_id)
+    ORDER BY p.id
+    FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM public.stock_reservations sr
+        WHERE sr.order_id = p_order_id AND sr.status <> 'held'
+    ) THEN
+        RAISE EXCEPTION 'Stock reservation is no longer held';
+    END IF;
+
+    UPDATE public.products p
+    SET stock_quantity = p.stock_quantity - sr.quantity
+    FROM public.stock_reservations sr
+    WHERE sr.order_id = p_order_id AND p.id = sr.product_id;
+
+    UPDATE public.stock_reservations
+    SET status = 'committed'
+    WHERE order_id = p_order_id;
+END;
+$$;
+
+-- Release an order's held stock, e.g. after a failed payment, and cancel the
+-- order if it is still pending. Returns the number of holds released.
+CREATE OR REPLACE FUNCTION public.release_order_stock(p_order_id UUID, p_reason TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_released INTEGER;
+BEGIN
+    UPDATE public.stock_reservations
+    SET status = 'released', release_reason = p_reason
+    WHERE order_id = p_order_id AND status = 'held';
+    GET DIAGNOSTICS v_released = ROW_COUNT;
+
+    UPDATE public.orders
+    SET status = 'cancelled'
+    WHERE id = p_order_id AND status = 'pending';
+
+    RETURN v_released;
+END;
+$$;
+
+-- Expire holds past their expiry and cancel the pending orders left without
+-- any. Safe to run from several backend replicas at once. Returns the number
+-- of holds expired.
+CREATE OR REPLACE FUNCTION public.expire_stock_reservations()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_order_ids UUID[];
+    v_expired INTEGER;
+BEGIN
+    WITH expired AS (
+        UPDATE public.stock_reservations sr
+        SET status = 'expired', release_reason = 'timeout'
+        WHERE sr.id IN (
+            SELECT id FROM public.stock_reservations
+            WHERE status = 'held' AND expires_at <= CURRENT_TIMESTAMP
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING sr.order_id
+    )
+    SELECT array_agg(DISTINCT order_id), COUNT(*) INTO v_order_ids, v_expired FROM expired;
+
+    UPDATE public.orders o
+    SET status = 'cancelled'
+    WHERE o.id = ANY(COALESCE(v_order_ids, '{}'))
+    AND o.status = 'pending'
+    AND NOT EXISTS (
+        SELECT 1 FROM public.stock_reservations sr
+        WHERE sr.order_id = o.id AND sr.status IN ('held', 'committed')
+    );
+
+    RETURN v_expired;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.place_order(UUID, TEXT, JSONB, JSONB, TEXT, TEXT, INTEGER) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.commit_order_stock(UUID) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.release_order_stock(UUID, TEXT) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.expire_stock_reservations() FROM public, anon, authenticated;
+
+-- 5. Enable RLS
+ALTER TABLE public.stock_reservations ENABLE ROW LEVEL SECURITY;
+
+-- 6. RLS Policies
+-- Reservations are managed by the backend with the service role;
+-- customers can see the holds on their own orders
+CREATE POLICY "users_view_own_stock_reservations"
+ON public.stock_reservations
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.orders o
+    WHERE o.id = order_id AND o.customer_id = auth.uid()
+));
+
+-- 7. Triggers
+CREATE TRIGGER apply_product_availability
+    BEFORE INSERT OR UPDATE OF stock_quantity, status ON public.products
+    FOR EACH ROW EXECUTE FUNCTION public.apply_product_availability();
+
+CREATE TRIGGER refresh_reserved_product
+    AFTER INSERT OR UPDATE OF status ON public.stock_reservations
+    FOR EACH ROW EXECUTE FUNCTION public.refresh_reserved_product();
+
+CREATE TRIGGER set_updated_at_stock_reservations
+    BEFORE UPDATE ON public.stock_reservations
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
@@ -0,0 +1,170 @@
+-- Location: supabase/migrations/20261019190000_payments.sql
+-- Schema Analysis: Records payment attempts against orders and the provider webhooks received for them, and applies payment results to orders and their stock holds
+-- Integration Type: New tables and function, written by the backend service role
+-- Dependencies: 20261019180000_stock_reservations.sql (stock_reservations, commit_order_stock, release_order_stock), 20250917163948_art_o_mart_marketplace.sql (orders, payment_status)
+
+-- 1. Tables
+-- One row per payment attempt. provider_intent_id is the provider's handle
+-- for the attempt (a Razorpay order ID); provider_payment_id the captured
+-- payment, once there is one.
+CREATE TABLE public.payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    provider_intent_id TEXT NOT NULL,
+    provider_payment_id TEXT,
+    method TEXT,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency TEXT NOT NULL DEFAULT 'INR',
+    status public.payment_status NOT NULL DEFAULT 'pending',
+    failure_reason TEXT,
+    refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, provider_intent_id)
+);
+
+-- Webhooks already handled; providers redeliver, so each event is applied once
+CREATE TABLE public.payment_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    payment_id UUID REFERENCES public.payments(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL,
+    received_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, event_id)
+);
+
+-- 2. Indexes
+CREATE INDEX idx_payments_order_id ON public.payments(order_id);
+CREATE INDEX idx_payment_events_payment_id ON public.payment_events(payment_id);
+
+-- 3. Functions
+-- Apply a payment result to the payment, its order and the order's stock.
+-- Results only move forward: pending -> completed | failed, failed ->
+-- completed (a later attempt succeeded) and completed -> refunded; anything
+-- else is ignored and reported with applied = false.
+--
+-- A completed payment confirms a pending order and commits its held stock.
+-- If the holds were already released or expired the order stays cancelled
+-- and needsRefund tells the caller to return the money. A failed payment
+-- releases the holds and cancels the order.
+CREATE OR REPLACE FUNCTION public.apply_payment_result(
+    p_payment_id UUID,
+    p_status public.payment_status,
+    p_provider_payment_id TEXT DEFAULT NULL,
+    p_failure_reason TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_payment public.payments%ROWTYPE;
+    v_order public.orders%ROWTYPE;
+    v_needs_refund BOOLEAN := false;
+BEGIN
+    SELECT * INTO v_payment FROM public.payments WHERE id = p_payment_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment not found';
+    END IF;
+
+    SELECT * INTO v_order FROM public.orders WHERE id = v_payment.order_id FOR UPDATE;
+
+    IF NOT (
+        (v_payment.status = 'pending' AND p_status IN ('completed', 'failed'))
+        OR (v_payment.status = 'failed' AND p_status = 'completed')
+        OR (v_payment.status = 'completed' AND p_status = 'refunded')
+    ) THEN
+        RETURN jsonb_build_object(
+            'applied', false,
+            'needsRefund', false,
+            'payment', to_jsonb(v_payment),
+            'order', to_jsonb(v_order)
+        );
+    END IF;
+
+    UPDATE public.payments
+    SET status = p_status,
+        provider_payment_id = COALESCE(p_provider_payment_id, provider_payment_id),
+        failure_reason = CASE WHEN p_status = 'failed' THEN p_failure_reason END,
+        refunded_amount = CASE WHEN p_status = 'refunded' THEN amount ELSE refunded_amount END
+    WHERE id = p_payment_id
+    RETURNING * INTO v_payment;
+
+    IF p_status = 'completed' THEN
+        IF v_order.status = 'pending' AND NOT EXISTS (
+            SELECT 1 FROM public.stock_reservations sr
+            WHERE sr.order_id = v_order.id AND sr.status <> 'held'
+        ) THEN
+            PERFORM public.commit_order_stock(v_order.id);
+            UPDATE public.orders
+            SET status = 'confirmed',
+                payment_status = 'completed',
+                payment_method = COALESCE(v_payment.method, payment_method),
+                payment_transaction_id = v_payment.provider_payment_id
+            WHERE id = v_order.id;
+        ELSE
+            -- Paid after the order was cancelled: the stock may be gone
+            UPDATE public.orders
+            SET payment_status = 'completed',
+                payment_transaction_id = v_payment.provider_payment_id
+            WHERE id = v_order.id;
+            v_needs_refund := true;
+        END IF;
+    ELSIF p_status = 'failed' THEN
+        IF v_order.payment_status = 'pending' THEN
+            UPDATE public.orders SET payment_status = 'failed' WHERE id = v_order.id;
+            PERFORM public.release_order_stock(v_order.id, 'payment_failed');
+        END IF;
+    ELSE
+        UPDATE public.orders
+        SET payment_status = 'refunded',
+            status = CASE WHEN status = 'cancelled' THEN status ELSE 'refunded' END
+        WHERE id = v_order.id;
+    END IF;
+
+    SELECT * INTO v_order FROM public.orders WHERE id = v_order.id;
+
+    RETURN jsonb_build_object(
+        'applied', true,
+        'needsRefund', v_needs_refund,
+        'payment', to_jsonb(v_payment),
+        'order', to_jsonb(v_order)
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.apply_payment_result(UUID, public.payment_status, TEXT, TEXT) FROM public, anon, authenticated;
+
+-- 4. Enable RLS
+ALTER TABLE public.payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.payment_events ENABLE ROW LEVEL SECURITY;
+
+-- 5. RLS Policies
+-- Payments are written by the backend with the service role; customers can
+-- see the attempts on their own orders. Webhook events are backend-only.
+CREATE POLICY "users_view_own_payments"
+ON public.payments
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.orders o
+    WHERE o.id = order_id AND o.customer_id = auth.uid()
+));
+
+CREATE POLICY "admins_view_all_payments"
+ON public.payments
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+-- 6. Triggers
+CREATE TRIGGER set_updated_at_payments
+    BEFORE UPDATE ON public.payments
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
@@ -0,0 +1,223 @@
+-- Location: supabase/migrations/20261019200000_order_fulfilments.sql
+-- Schema Analysis: Orders with items from several artisans were shipped as one; each artisan's share of an order now has its own fulfilment with status, tracking and timestamps, and the order status is derived from them
+-- Integration Type: New enum, table, functions and triggers; backfills fulfilments for existing orders
+-- Dependencies: 20261019170000_order_numbers.sql (order_items.artisan_order_number), 20250917163948_art_o_mart_marketplace.sql (orders, order_items, artisan_profiles)
+
+-- 1. Types
+CREATE TYPE public.fulfilment_status AS ENUM ('pending', 'processing', 'shipped', 'delivered', 'cancelled');
+
+-- 2. Tables
+CREATE TABLE public.order_fulfilments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    artisan_id UUID NOT NULL REFERENCES public.artisan_profiles(id) ON DELETE CASCADE,
+    -- The artisan's sub-number of the order, e.g. AOM-20261019-0042/2
+    artisan_order_number TEXT,
+    status public.fulfilment_status NOT NULL DEFAULT 'pending',
+    carrier TEXT,
+    tracking_number TEXT,
+    shipped_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, artisan_id)
+);
+
+-- 3. Indexes
+CREATE INDEX idx_order_fulfilments_artisan_id ON public.order_fulfilments(artisan_id, status);
+
+-- 4. Functions
+-- Open a fulfilment for each artisan the first time an order gets one of their items
+CREATE OR REPLACE FUNCTION public.open_order_fulfilment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    INSERT INTO public.order_fulfilments (order_id, artisan_id, artisan_order_number)
+    VALUES (NEW.order_id, NEW.artisan_id, NEW.artisan_order_number)
+    ON CONFLICT (order_id, artisan_id) DO NOTHING;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Stamp when a fulfilment shipped, was delivered or was cancelled
+CREATE OR REPLACE FUNCTION public.stamp_fulfilment_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        CASE NEW.status
+            WHEN 'shipped' THEN NEW.shipped_at := COALESCE(NEW.shipped_at, CURRENT_TIMESTAMP);
+            WHEN 'delivered' THEN
+                NEW.shipped_at := COALESCE(NEW.shipped_at, CURRENT_TIMESTAMP);
+                NEW.delivered_at := COALESCE(NEW.delivered_at, CURRENT_TIMESTAMP);
+            WHEN 'cancelled' THEN NEW.cancelled_at := COALESCE(NEW.cancelled_at, CURRENT_TIMESTAMP);
+            ELSE NULL;
+        END CASE;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Order status implied by its fulfilments: delivered or shipped once every
+-- fulfilment that was not cancelled is, processing once any has started,
+-- cancelled when all were cancelled. Unpaid, delivered, cancelled and
+-- refunded orders are left as they are.
+CREATE OR REPLACE FUNCTION public.derive_order_status(p_order_id UUID)
+RETURNS public.order_status
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_status public.order_status;
+    v_derived public.order_status;
+    v_active INTEGER;
+    v_started INTEGER;
+    v_shipped INTEGER;
+    v_delivered INTEGER;
+BEGIN
+    SELECT o.status INTO v_status
+    FROM public.orders o
+    WHERE o.id = p_order_id
+    FOR UPDATE;
+
+    IF v_status IS NULL OR v_status NOT IN ('confirmed', 'processing', 'shipped') THEN
+        RETURN v_status;
+    END IF;
+
+    SELECT
+        COUNT(*) FILTER (WHERE f.status <> 'cancelled'),
+        COUNT(*) FILTER (WHERE f.status IN ('processing', 'shipped', 'delivered')),
+        COUNT(*) FILTER (WHERE f.status IN ('shipped', 'delivered')),
+        COUNT(*) FILTER (WHERE f.status = 'delivered')
+    INTO v_active, v_started, v_shipped, v_delivered
+    FROM public.order_fulfilments f
+    WHERE f.order_id = p_order_id;
+
+    v_derived := CASE
+        WHEN v_active = 0 THEN 'cancelled'
+        WHEN v_delivered = v_active THEN 'delivered'
+        WHEN v_shipped = v_active THEN 'shipped'
+        WHEN v_started > 0 THEN 'processing'
+        ELSE 'confirmed'
+    END;
+
+    IF v_derived <> v_status THEN
+        UPDATE public.orders SET status = v_derived WHERE id = p_order_id;
+    END IF;
+
+    RETURN v_derived;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.refresh_order_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    PERFORM public.derive_order_status(NEW.order_id);
+    RETURN NEW;
+END;
+$$;
+
+-- Cancelling an order cancels the fulfilments that have not shipped
+CREATE OR REPLACE FUNCTION public.cancel_order_fulfilments()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    UPDATE public.order_fulfilments
+    SET status = 'cancelled'
+    WHERE order_id = NEW.id
+    AND status IN ('pending', 'processing');
+
+    RETURN NEW;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.derive_order_status(UUID) FROM public, anon, authenticated;
+
+-- Backfill one fulfilment per artisan for existing orders
+INSERT INTO public.order_fulfilments (order_id, artisan_id, artisan_order_number, status)
+SELECT DISTINCT ON (oi.order_id, oi.artisan_id)
+    oi.order_id,
+    oi.artisan_id,
+    oi.artisan_order_number,
+    CASE o.status
+        WHEN 'processing' THEN 'processing'
+        WHEN 'shipped' THEN 'shipped'
+        WHEN 'delivered' THEN 'delivered'
+        WHEN 'cancelled' THEN 'cancelled'
+        WHEN 'refunded' THEN 'cancelled'
+        ELSE 'pending'
+    END::public.fulfilment_status
+FROM public.order_items oi
+JOIN public.orders o ON o.id = oi.order_id
+ORDER BY oi.order_id, oi.artisan_id, oi.created_at
+ON CONFLICT (order_id, artisan_id) DO NOTHING;
+
+-- 5. Enable RLS
+ALTER TABLE public.order_fulfilments ENABLE ROW LEVEL SECURITY;
+
+-- 6. RLS Policies
+-- Fulfilments are updated through the backend; artisans see their own and
+-- customers see the fulfilments of their orders
+CREATE POLICY "artisans_view_own_order_fulfilments"
+ON public.order_fulfilments
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.artisan_profiles ap
+    WHERE ap.id = artisan_id AND ap.user_id = auth.uid()
+));
+
+CREATE POLICY "users_view_own_order_fulfilments"
+ON public.order_fulfilments
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.orders o
+    WHERE o.id = order_id AND o.customer_id = auth.uid()
+));
+
+CREATE POLICY "admins_view_all_order_fulfilments"
+ON public.order_fulfilments
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+-- 7. Triggers
+CREATE TRIGGER open_order_fulfilment
+    AFTER INSERT ON public.order_items
+    FOR EACH ROW EXECUTE FUNCTION public.open_order_fulfilment();
+
+CREATE TRIGGER stamp_fulfilment_status
+    BEFORE UPDATE OF status ON public.order_fulfilments
+    FOR EACH ROW EXECUTE FUNCTION public.stamp_fulfilment_status();
+
+CREATE TRIGGER refresh_order_status
+    AFTER UPDATE OF status ON public.order_fulfilments
+    FOR EACH ROW
+    WHEN (NEW.status IS DISTINCT FROM OLD.status)
+    EXECUTE FUNCTION public.refresh_order_status();
+
+CREATE TRIGGER cancel_order_fulfilments
+    AFTER UPDATE OF status ON public.orders
+    FOR EACH ROW
+    WHEN (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled')
+    EXECUTE FUNCTION public.cancel_order_fulfilments();
+
+CREATE TRIGGER set_updated_at_order_fulfilments
+    BEFORE UPDATE ON public.order_fulfilments
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
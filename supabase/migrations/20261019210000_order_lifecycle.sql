@@ -0,0 +1,282 @@
+-- Location: supabase/migrations/20261019210000_order_lifecycle.sql
+-- Schema Analysis: Any order status could be set to any other; the legal transitions are now enforced on every update of orders.status and each change is recorded with its actor and reason, the history doubling as the outbox of order domain events
+-- Integration Type: New table, functions and triggers; derive_order_status and refresh_order_status replaced to step through the lifecycle and record the artisan
+-- Dependencies: 20261019200000_order_fulfilments.sql (derive_order_status, refresh_order_status), 20261019180000_stock_reservations.sql (release_order_stock), 20250917163948_art_o_mart_marketplace.sql (orders, user_profiles)
+
+-- 1. Tables
+CREATE TABLE public.order_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    -- NULL when the order was placed
+    from_status public.order_status,
+    to_status public.order_status NOT NULL,
+    actor_id UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    actor_role TEXT NOT NULL DEFAULT 'system' CHECK (actor_role IN ('customer', 'artisan', 'admin', 'system')),
+    reason TEXT,
+    -- Wall-clock time, so the steps of one transaction keep their order
+    created_at TIMESTAMPTZ DEFAULT clock_timestamp(),
+    -- Set once the backend has published the change as a domain event
+    dispatched_at TIMESTAMPTZ
+);
+
+-- 2. Indexes
+CREATE INDEX idx_order_status_history_order_id ON public.order_status_history(order_id, created_at);
+CREATE INDEX idx_order_status_history_undispatched ON public.order_status_history(created_at)
+    WHERE dispatched_at IS NULL;
+
+-- 3. Functions
+-- The order lifecycle: pending -> confirmed -> processing -> shipped ->
+-- delivered, cancelled only before shipping and refunded only once paid
+CREATE OR REPLACE FUNCTION public.order_transition_allowed(
+    p_from public.order_status,
+    p_to public.order_status,
+    p_payment_status public.payment_status
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+SELECT CASE p_to
+    WHEN 'confirmed' THEN p_from = 'pending'
+    WHEN 'processing' THEN p_from = 'confirmed'
+    WHEN 'shipped' THEN p_from = 'processing'
+    WHEN 'delivered' THEN p_from = 'shipped'
+    WHEN 'cancelled' THEN p_from IN ('pending', 'confirmed', 'processing')
+    WHEN 'refunded' THEN p_from IN ('confirmed', 'processing', 'shipped', 'delivered', 'cancelled')
+        AND p_payment_status IN ('completed', 'refunded')
+    ELSE false
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.enforce_order_transition()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NOT public.order_transition_allowed(OLD.status, NEW.status, OLD.payment_status) THEN
+        RAISE EXCEPTION 'Illegal order status transition'
+            USING DETAIL = json_build_object('from', OLD.status, 'to', NEW.status)::TEXT;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Record a status change. The actor and reason come from the transaction's
+-- app.order_actor_id, app.order_actor_role and app.order_status_reason
+-- settings; changes made without them, e.g. by payments or the reservation
+-- sweeper, are recorded as the system's. New orders are the customer's.
+CREATE OR REPLACE FUNCTION public.record_order_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_actor_id UUID := NULLIF(current_setting('app.order_actor_id', true), '')::UUID;
+    v_actor_role TEXT := NULLIF(current_setting('app.order_actor_role', true), '');
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        v_actor_id := COALESCE(v_actor_id, NEW.customer_id);
+        v_actor_role := COALESCE(v_actor_role, 'customer');
+    END IF;
+
+    INSERT INTO public.order_status_history (order_id, from_status, to_status, actor_id, actor_role, reason)
+    VALUES (
+        NEW.id,
+        CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+        NEW.status,
+        v_actor_id,
+        COALESCE(v_actor_role, 'system'),
+        NULLIF(current_setting('app.order_status_reason', true), '')
+    );
+
+    RETURN NEW;
+END;
+$$;
+
+-- Set or clear (NULLs) who is changing order statuses in this transaction
+CREATE OR REPLACE FUNCTION public.set_order_actor(p_actor_id UUID, p_actor_role TEXT, p_reason TEXT)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+SELECT
+    set_config('app.order_actor_id', COALESCE(p_actor_id::TEXT, ''), true),
+    set_config('app.order_actor_role', COALESCE(p_actor_role, ''), true),
+    set_config('app.order_status_reason', COALESCE(p_reason, ''), true);
+$$;
+
+-- Move an order to a status on behalf of an actor. Illegal transitions
+-- raise 'Illegal order status transition'; cancelling an unpaid order also
+-- releases its held stock.
+CREATE OR REPLACE FUNCTION public.transition_order_status(
+    p_order_id UUID,
+    p_status public.order_status,
+    p_actor_id UUID DEFAULT NULL,
+    p_actor_role TEXT DEFAULT 'system',
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_order public.orders%ROWTYPE;
+BEGIN
+    SELECT * INTO v_order FROM public.orders WHERE id = p_order_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order not found';
+    END IF;
+
+    PERFORM public.set_order_actor(p_actor_id, p_actor_role, p_reason);
+
+    UPDATE public.orders SET status = p_status WHERE id = p_order_id
+    RETURNING * INTO v_order;
+
+    IF p_status = 'cancelled' THEN
+        PERFORM public.release_order_stock(p_order_id, 'order_cancelled');
+    END IF;
+
+    PERFORM public.set_order_actor(NULL, NULL, NULL);
+
+    RETURN to_jsonb(v_order);
+END;
+$$;
+
+-- Hand the next undispatched status changes to one backend replica to
+-- publish; replicas polling at the same time skip each other's rows
+CREATE OR REPLACE FUNCTION public.claim_order_status_events(p_limit INTEGER DEFAULT 100)
+RETURNS SETOF public.order_status_history
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+UPDATE public.order_status_history h
+SET dispatched_at = CURRENT_TIMESTAMP
+WHERE h.id IN (
+    SELECT id FROM public.order_status_history
+    WHERE dispatched_at IS NULL
+    ORDER BY created_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+)
+RETURNING h.*;
+$$;
+
+-- Replaced to step the order through each status in turn, so every move is
+-- a legal transition with its own history entry
+CREATE OR REPLACE FUNCTION public.derive_order_status(p_order_id UUID)
+RETURNS public.order_status
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_lifecycle public.order_status[] := ARRAY['confirmed', 'processing', 'shipped', 'delivered']::public.order_status[];
+    v_status public.order_status;
+    v_derived public.order_status;
+    v_active INTEGER;
+    v_started INTEGER;
+    v_shipped INTEGER;
+    v_delivered INTEGER;
+BEGIN
+    SELECT o.status INTO v_status
+    FROM public.orders o
+    WHERE o.id = p_order_id
+    FOR UPDATE;
+
+    IF v_status IS NULL OR v_status NOT IN ('confirmed', 'processing', 'shipped') THEN
+        RETURN v_status;
+    END IF;
+
+    SELECT
+        COUNT(*) FILTER (WHERE f.status <> 'cancelled'),
+        COUNT(*) FILTER (WHERE f.status IN ('processing', 'shipped', 'delivered')),
+        COUNT(*) FILTER (WHERE f.status IN ('shipped', 'delivered')),
+        COUNT(*) FILTER (WHERE f.status = 'delivered')
+    INTO v_active, v_started, v_shipped, v_delivered
+    FROM public.order_fulfilments f
+    WHERE f.order_id = p_order_id;
+
+    v_derived := CASE
+        WHEN v_active = 0 THEN 'cancelled'
+        WHEN v_delivered = v_active THEN 'delivered'
+        WHEN v_shipped = v_active THEN 'shipped'
+        WHEN v_started > 0 THEN 'processing'
+        ELSE 'confirmed'
+    END;
+
+    IF v_derived = 'cancelled' THEN
+        UPDATE public.orders SET status = v_derived WHERE id = p_order_id;
+        RETURN v_derived;
+    END IF;
+
+    WHILE array_position(v_lifecycle, v_status) < array_position(v_lifecycle, v_derived) LOOP
+        v_status := v_lifecycle[array_position(v_lifecycle, v_status) + 1];
+        UPDATE public.orders SET status = v_status WHERE id = p_order_id;
+    END LOOP;
+
+    RETURN v_status;
+END;
+$$;
+
+-- Replaced to record the artisan whose fulfilment moved the order
+CREATE OR REPLACE FUNCTION public.refresh_order_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    PERFORM public.set_order_actor(
+        (SELECT ap.user_id FROM public.artisan_profiles ap WHERE ap.id = NEW.artisan_id),
+        'artisan',
+        'Fulfilment ' || COALESCE(NEW.artisan_order_number, NEW.id::TEXT) || ' ' || NEW.status
+    );
+    PERFORM public.derive_order_status(NEW.order_id);
+    PERFORM public.set_order_actor(NULL, NULL, NULL);
+
+    RETURN NEW;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.transition_order_status(UUID, public.order_status, UUID, TEXT, TEXT) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.claim_order_status_events(INTEGER) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.set_order_actor(UUID, TEXT, TEXT) FROM public, anon, authenticated;
+
+-- 4. Enable RLS
+ALTER TABLE public.order_status_history ENABLE ROW LEVEL SECURITY;
+
+-- 5. RLS Policies
+-- History is written by triggers; customers can read their own orders'
+CREATE POLICY "users_view_own_order_status_history"
+ON public.order_status_history
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.orders o
+    WHERE o.id = order_id AND o.customer_id = auth.uid()
+));
+
+CREATE POLICY "admins_view_all_order_status_history"
+ON public.order_status_history
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+-- 6. Triggers
+CREATE TRIGGER enforce_order_transition
+    BEFORE UPDATE OF status ON public.orders
+    FOR EACH ROW
+    WHEN (NEW.status IS DISTINCT FROM OLD.status)
+    EXECUTE FUNCTION public.enforce_order_transition();
+
+CREATE TRIGGER record_order_placed
+    AFTER INSERT ON public.orders
+    FOR EACH ROW EXECUTE FUNCTION public.record_order_status();
+
+CREATE TRIGGER record_order_status
+    AFTER UPDATE OF status ON public.orders
+    FOR EACH ROW
+    WHEN (NEW.status IS DISTINCT FROM OLD.status)
+    EXECUTE FUNCTION public.record_order_status();
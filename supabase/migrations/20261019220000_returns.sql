@@ -0,0 +1,339 @@
+-- Location: supabase/migrations/20261019220000_returns.sql
+-- Schema Analysis: Returns were only ever answered by the order agent and never stored; customers now request returns of delivered items with reason codes and photo evidence, artisans approve or reject them, and refunds, full or per item, are recorded against the payment
+-- Integration Type: New enums, tables, storage bucket, functions and policies
+-- Dependencies: 20261019200000_order_fulfilments.sql (order_fulfilments), 20261019190000_payments.sql (payments), 20261019210000_order_lifecycle.sql (order status transitions)
+
+-- 1. Types
+CREATE TYPE public.return_reason AS ENUM (
+    'damaged', 'defective', 'not_as_described', 'wrong_item', 'size_or_fit', 'changed_mind', 'other'
+);
+CREATE TYPE public.return_status AS ENUM ('requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled');
+CREATE TYPE public.refund_status AS ENUM ('pending', 'completed', 'failed');
+
+-- 2. Tables
+-- One artisan's items of one order that the customer wants to send back
+CREATE TABLE public.return_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    fulfilment_id UUID NOT NULL REFERENCES public.order_fulfilments(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    artisan_id UUID NOT NULL REFERENCES public.artisan_profiles(id) ON DELETE CASCADE,
+    status public.return_status NOT NULL DEFAULT 'requested',
+    reason public.return_reason NOT NULL,
+    description TEXT,
+    -- Object paths in the return-evidence bucket
+    evidence_paths TEXT[] NOT NULL DEFAULT '{}',
+    decision_note TEXT,
+    decided_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    decided_at TIMESTAMPTZ,
+    -- Return shipment, booked when the return is approved
+    return_carrier TEXT,
+    return_label_id TEXT,
+    return_label_url TEXT,
+    return_tracking_number TEXT,
+    received_at TIMESTAMPTZ,
+    restocked BOOLEAN NOT NULL DEFAULT false,
+    refund_amount DECIMAL(10,2),
+    refunded_at TIMESTAMPTZ,
+    -- Advisory triage by the order agent; the decision above is the artisan's
+    ai_recommendation JSONB,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE public.return_request_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    return_request_id UUID NOT NULL REFERENCES public.return_requests(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL REFERENCES public.order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    -- What returning these units refunds, at the price paid
+    refund_amount DECIMAL(10,2) NOT NULL CHECK (refund_amount >= 0),
+    UNIQUE (return_request_id, order_item_id)
+);
+
+-- Each refund of a payment, full or partial
+CREATE TABLE public.payment_refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+    return_request_id UUID REFERENCES public.return_requests(id) ON DELETE SET NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    status public.refund_status NOT NULL DEFAULT 'pending',
+    provider_refund_id TEXT,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 3. Indexes
+CREATE INDEX idx_return_requests_order_id ON public.return_requests(order_id);
+CREATE INDEX idx_return_requests_customer_id ON public.return_requests(customer_id, created_at);
+CREATE INDEX idx_return_requests_artisan_id ON public.return_requests(artisan_id, status);
+CREATE INDEX idx_return_request_items_order_item_id ON public.return_request_items(order_item_id);
+CREATE INDEX idx_payment_refunds_payment_id ON public.payment_refunds(payment_id);
+CREATE UNIQUE INDEX idx_payment_refunds_provider_refund_id ON public.payment_refunds(payment_id, provider_refund_id)
+    WHERE provider_refund_id IS NOT NULL;
+
+-- 4. Storage Buckets
+-- Private: customers upload to <their user id>/..., artisans see signed URLs
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('return-evidence', 'return-evidence', false, 5242880, ARRAY['image/jpeg', 'image/png', 'image/webp', 'image/jpg'])
+ON CONFLICT (id) DO NOTHING;
+
+-- 5. Functions
+-- Request the return of some delivered items of one artisan's fulfilment.
+-- p_items is a JSON array of { orderItemId, quantity }. Units already in a
+-- return that was not rejected or cancelled cannot be returned again.
+CREATE OR REPLACE FUNCTION public.create_return_request(
+    p_customer_id UUID,
+    p_order_id UUID,
+    p_reason public.return_reason,
+    p_description TEXT,
+    p_evidence_paths TEXT[],
+    p_items JSONB,
+    p_window_days INTEGER DEFAULT 7
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_artisan_ids UUID[];
+    v_fulfilment public.order_fulfilments%ROWTYPE;
+    v_return public.return_requests%ROWTYPE;
+    v_over JSONB;
+BEGIN
+    PERFORM 1 FROM public.orders o
+    WHERE o.id = p_order_id AND o.customer_id = p_customer_id
+    FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order not found';
+    END IF;
+
+    DROP TABLE IF EXISTS pg_temp.requested_items;
+    CREATE TEMP TABLE requested_items ON COMMIT DROP AS
+    SELECT oi.id AS order_item_id, oi.artisan_id, oi.quantity AS ordered, oi.unit_price, x.quantity
+    FROM jsonb_to_recordset(p_items) AS x("orderItemId" UUID, quantity INTEGER)
+    LEFT JOIN public.order_items oi ON oi.id = x."orderItemId" AND oi.order_id = p_order_id;
+
+    IF EXISTS (SELECT 1 FROM requested_items WHERE order_item_id IS NULL) THEN
+        RAISE EXCEPTION 'Return items are not part of this order';
+    END IF;
+
+    SELECT array_agg(DISTINCT artisan_id) INTO v_artisan_ids FROM requested_items;
+    IF array_length(v_artisan_ids, 1) IS DISTINCT FROM 1 THEN
+        RAISE EXCEPTION 'Return items must come from one artisan';
+    END IF;
+
+    SELECT * INTO v_fulfilment
+    FROM public.order_fulfilments f
+    WHERE f.order_id = p_order_id AND f.artisan_id = v_artisan_ids[1];
+
+    IF v_fulfilment.status IS DISTINCT FROM 'delivered'
+        OR v_fulfilment.delivered_at < CURRENT_TIMESTAMP - make_interval(days => p_window_days) THEN
+        RAISE EXCEPTION 'Items are not returnable';
+    END IF;
+
+    SELECT jsonb_agg(jsonb_build_object(
+        'orderItemId', r.order_item_id,
+        'requested', r.quantity,
+        'returnable', r.ordered - r.returned
+    ))
+    INTO v_over
+    FROM (
+        SELECT ri.*, COALESCE((
+            SELECT SUM(rri.quantity)
+            FROM public.return_request_items rri
+            JOIN public.return_requests rr ON rr.id = rri.return_request_id
+            WHERE rri.order_item_id = ri.order_item_id
+            AND rr.status NOT IN ('rejected', 'cancelled')
+        ), 0) AS returned
+        FROM requested_items ri
+    ) r
+    WHERE r.quantity > r.ordered - r.returned;
+
+    IF v_over IS NOT NULL THEN
+        RAISE EXCEPTION 'Return quantity exceeds what can be returned'
+            USING DETAIL = v_over::TEXT;
+    END IF;
+
+    INSERT INTO public.return_requests (
+        order_id, fulfilment_id, customer_id, artisan_id, reason, description, evidence_paths
+    )
+    VALUES (
+        p_order_id, v_fulfilment.id, p_customer_id, v_fulfilment.artisan_id,
+        p_reason, p_description, COALESCE(p_evidence_paths, '{}')
+    )
+    RETURNING * INTO v_return;
+
+    INSERT INTO public.return_request_items (return_request_id, order_item_id, quantity, refund_amount)
+    SELECT v_return.id, ri.order_item_id, ri.quantity, ri.unit_price * ri.quantity
+    FROM requested_items ri;
+
+    RETURN to_jsonb(v_return);
+END;
+$$;
+
+-- Record a refund of some or all of a payment. Once the whole payment has
+-- been refunded, the payment and its order become refunded.
+CREATE OR REPLACE FUNCTION public.record_payment_refund(
+    p_payment_id UUID,
+    p_amount DECIMAL,
+    p_status public.refund_status,
+    p_provider_refund_id TEXT DEFAULT NULL,
+    p_return_request_id UUID DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_payment public.payments%ROWTYPE;
+    v_refund public.payment_refunds%ROWTYPE;
+    v_order public.orders%ROWTYPE;
+BEGIN
+    SELECT * INTO v_payment FROM public.payments WHERE id = p_payment_id FOR UPDATE;
+    IF NOT FOUND OR v_payment.status NOT IN ('completed', 'refunded') THEN
+        RAISE EXCEPTION 'Payment is not refundable';
+    END IF;
+    IF v_payment.refunded_amount + p_amount > v_payment.amount THEN
+        RAISE EXCEPTION 'Refund exceeds the amount paid';
+    END IF;
+
+    INSERT INTO public.payment_refunds (payment_id, return_request_id, amount, status, provider_refund_id, reason)
+    VALUES (p_payment_id, p_return_request_id, p_amount, p_status, p_provider_refund_id, p_reason)
+    RETURNING * INTO v_refund;
+
+    UPDATE public.payments
+    SET refunded_amount = refunded_amount + p_amount,
+        status = CASE WHEN refunded_amount + p_amount >= amount THEN 'refunded' ELSE status END
+    WHERE id = p_payment_id
+    RETURNING * INTO v_payment;
+
+    IF v_payment.status = 'refunded' THEN
+        PERFORM public.set_order_actor(NULL, 'system', COALESCE(p_reason, 'Payment refunded'));
+        UPDATE public.orders
+        SET payment_status = 'refunded',
+            status = CASE WHEN status = 'pending' THEN status ELSE 'refunded' END
+        WHERE id = v_payment.order_id;
+    END IF;
+
+    SELECT * INTO v_order FROM public.orders WHERE id = v_payment.order_id;
+
+    RETURN jsonb_build_object(
+        'refund', to_jsonb(v_refund),
+        'payment', to_jsonb(v_payment),
+        'order', to_jsonb(v_order)
+    );
+END;
+$$;
+
+-- Put the units of a received return back into stock
+CREATE OR REPLACE FUNCTION public.restock_return(p_return_request_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+UPDATE public.products p
+SET stock_quantity = p.stock_quantity + returned.quantity
+FROM (
+    SELECT oi.product_id, SUM(rri.quantity) AS quantity
+    FROM public.return_request_items rri
+    JOIN public.order_items oi ON oi.id = rri.order_item_id
+    WHERE rri.return_request_id = p_return_request_id
+    GROUP BY oi.product_id
+) returned
+WHERE p.id = returned.product_id;
+
+UPDATE public.return_requests SET restocked = true WHERE id = p_return_request_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.create_return_request(UUID, UUID, public.return_reason, TEXT, TEXT[], JSONB, INTEGER) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.record_payment_refund(UUID, DECIMAL, public.refund_status, TEXT, UUID, TEXT) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.restock_return(UUID) FROM public, anon, authenticated;
+
+-- 6. Enable RLS
+ALTER TABLE public.return_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.return_request_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.payment_refunds ENABLE ROW LEVEL SECURITY;
+
+-- 7. RLS Policies
+-- Returns are written through the backend; customers and artisans see their own
+CREATE POLICY "users_view_own_return_requests"
+ON public.return_requests
+FOR SELECT
+TO authenticated
+USING (customer_id = auth.uid());
+
+CREATE POLICY "artisans_view_own_return_requests"
+ON public.return_requests
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.artisan_profiles ap
+    WHERE ap.id = artisan_id AND ap.user_id = auth.uid()
+));
+
+CREATE POLICY "admins_view_all_return_requests"
+ON public.return_requests
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+-- Visible with the return request (its own policies apply to the subquery)
+CREATE POLICY "users_view_own_return_request_items"
+ON public.return_request_items
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.return_requests rr
+    WHERE rr.id = return_request_id
+));
+
+CREATE POLICY "users_view_own_payment_refunds"
+ON public.payment_refunds
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.payments pay
+    JOIN public.orders o ON o.id = pay.order_id
+    WHERE pay.id = payment_id AND o.customer_id = auth.uid()
+));
+
+-- Storage policies
+CREATE POLICY "users_upload_return_evidence"
+ON storage.objects
+FOR INSERT
+TO authenticated
+WITH CHECK (
+    bucket_id = 'return-evidence'
+    AND (storage.foldername(name))[1] = auth.uid()::TEXT
+);
+
+CREATE POLICY "users_view_own_return_evidence"
+ON storage.objects
+FOR SELECT
+TO authenticated
+USING (
+    bucket_id = 'return-evidence'
+    AND (storage.foldername(name))[1] = auth.uid()::TEXT
+);
+
+CREATE POLICY "users_manage_own_return_evidence"
+ON storage.objects
+FOR DELETE
+TO authenticated
+USING (bucket_id = 'return-evidence' AND owner = auth.uid());
+
+-- 8. Triggers
+CREATE TRIGGER set_updated_at_return_requests
+    BEFORE UPDATE ON public.return_requests
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+CREATE TRIGGER set_updated_at_payment_refunds
+    BEFORE UPDATE ON public.payment_refunds
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
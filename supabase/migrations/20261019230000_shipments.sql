@@ -0,0 +1,152 @@
+-- Location: supabase/migrations/20261019230000_shipments.sql
+-- Schema Analysis: Shipment tracking was made up by the order agent; labels booked with a carrier are now stored as shipments, and the tracking events carriers send by webhook are stored against them and move fulfilments on
+-- Integration Type: New enums, tables, function, trigger and policies
+-- Dependencies: 20261019200000_order_fulfilments.sql (order_fulfilments), 20261019220000_returns.sql (return_requests)
+
+-- 1. Types
+CREATE TYPE public.shipment_direction AS ENUM ('forward', 'return');
+CREATE TYPE public.shipment_status AS ENUM (
+    'label_created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned', 'cancelled'
+);
+
+-- 2. Tables
+-- A parcel booked with a carrier: an artisan's fulfilment on its way to the
+-- customer, or a return on its way back
+CREATE TABLE public.shipments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    artisan_id UUID NOT NULL REFERENCES public.artisan_profiles(id) ON DELETE CASCADE,
+    fulfilment_id UUID REFERENCES public.order_fulfilments(id) ON DELETE CASCADE,
+    return_request_id UUID REFERENCES public.return_requests(id) ON DELETE CASCADE,
+    direction public.shipment_direction NOT NULL DEFAULT 'forward',
+    carrier TEXT NOT NULL,
+    service TEXT,
+    label_id TEXT,
+    label_url TEXT,
+    tracking_number TEXT NOT NULL,
+    weight_grams INTEGER,
+    shipping_cost DECIMAL(10,2),
+    status public.shipment_status NOT NULL DEFAULT 'label_created',
+    estimated_delivery_at TIMESTAMPTZ,
+    -- When the newest tracking event happened, at the carrier
+    last_event_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (carrier, tracking_number),
+    CHECK (direction = 'forward' OR return_request_id IS NOT NULL)
+);
+
+-- Tracking events as reported by the carrier, in any order and possibly twice
+CREATE TABLE public.shipment_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    shipment_id UUID NOT NULL REFERENCES public.shipments(id) ON DELETE CASCADE,
+    -- The carrier's ID for the event, unique per shipment
+    event_id TEXT NOT NULL,
+    status public.shipment_status NOT NULL,
+    description TEXT,
+    location TEXT,
+    occurred_at TIMESTAMPTZ NOT NULL,
+    payload JSONB,
+    received_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (shipment_id, event_id)
+);
+
+-- 3. Indexes
+CREATE INDEX idx_shipments_order_id ON public.shipments(order_id);
+CREATE INDEX idx_shipments_fulfilment_id ON public.shipments(fulfilment_id);
+-- A fulfilment ships as one parcel unless its label was cancelled
+CREATE UNIQUE INDEX idx_shipments_active_forward ON public.shipments(fulfilment_id)
+    WHERE direction = 'forward' AND status <> 'cancelled';
+CREATE INDEX idx_shipments_return_request_id ON public.shipments(return_request_id);
+CREATE INDEX idx_shipment_events_shipment_id ON public.shipment_events(shipment_id, occurred_at);
+
+-- 4. Functions
+-- Apply a tracking event to its shipment. Only the newest event sets the
+-- shipment status, so late deliveries of older events change nothing. A
+-- forward parcel the carrier has picked up ships its fulfilment, and one it
+-- delivered delivers it; the order status follows from the fulfilment.
+CREATE OR REPLACE FUNCTION public.apply_shipment_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_shipment public.shipments%ROWTYPE;
+BEGIN
+    UPDATE public.shipments
+    SET status = NEW.status,
+        last_event_at = NEW.occurred_at
+    WHERE id = NEW.shipment_id
+    AND (last_event_at IS NULL OR last_event_at <= NEW.occurred_at)
+    RETURNING * INTO v_shipment;
+
+    IF NOT FOUND OR v_shipment.direction <> 'forward' OR v_shipment.fulfilment_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.status IN ('picked_up', 'in_transit', 'out_for_delivery') THEN
+        UPDATE public.order_fulfilments
+        SET status = 'shipped'
+        WHERE id = v_shipment.fulfilment_id AND status = 'processing';
+    ELSIF NEW.status = 'delivered' THEN
+        UPDATE public.order_fulfilments
+        SET status = 'delivered'
+        WHERE id = v_shipment.fulfilment_id AND status IN ('processing', 'shipped');
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- 5. Enable RLS
+ALTER TABLE public.shipments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shipment_events ENABLE ROW LEVEL SECURITY;
+
+-- 6. RLS Policies
+-- Shipments are written through the backend and by carrier webhooks
+CREATE POLICY "users_view_own_shipments"
+ON public.shipments
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.orders o
+    WHERE o.id = order_id AND o.customer_id = auth.uid()
+));
+
+CREATE POLICY "artisans_view_own_shipments"
+ON public.shipments
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.artisan_profiles ap
+    WHERE ap.id = artisan_id AND ap.user_id = auth.uid()
+));
+
+CREATE POLICY "admins_view_all_shipments"
+ON public.shipments
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+-- Visible with the shipment (its own policies apply to the subquery)
+CREATE POLICY "users_view_own_shipment_events"
+ON public.shipment_events
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.shipments s
+    WHERE s.id = shipment_id
+));
+
+-- 7. Triggers
+CREATE TRIGGER apply_shipment_event
+    AFTER INSERT ON public.shipment_events
+    FOR EACH ROW EXECUTE FUNCTION public.apply_shipment_event();
+
+CREATE TRIGGER set_updated_at_shipments
+    BEFORE UPDATE ON public.shipments
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
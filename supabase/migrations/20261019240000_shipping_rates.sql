@@ -0,0 +1,164 @@
+-- Location: supabase/migrations/20261019240000_shipping_rates.sql
+-- Schema Analysis: The cart charged a flat shipping fee that checkout never collected; shipping is now quoted per artisan from parcel weight and pincode zones, artisans can ship free over a threshold, and checkout charges the quoted services on the order and its fulfilments
+-- Integration Type: New columns; place_order gains the quoted shipping
+-- Dependencies: 20261019180000_stock_reservations.sql (place_order), 20261019200000_order_fulfilments.sql (order_fulfilments)
+
+-- 1. Columns
+-- Where the artisan's parcels are picked up, for quoting by pincode zone
+ALTER TABLE public.artisan_profiles
+    ADD COLUMN workshop_pincode TEXT CHECK (workshop_pincode ~ '^[1-9][0-9]{5}$'),
+    -- The artisan's items ship free (on the cheapest service) once an order
+    -- has at least this much of them; NULL never ships free
+    ADD COLUMN free_shipping_threshold DECIMAL(10,2) CHECK (free_shipping_threshold >= 0);
+
+-- The service the customer chose for this artisan's parcel and what they paid
+ALTER TABLE public.order_fulfilments
+    ADD COLUMN shipping_service TEXT,
+    ADD COLUMN shipping_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- 2. Functions
+-- Like before, plus p_shipping: the quoted shipping per artisan as
+-- [{ artisanId, service, amount }], which is added to the order total and
+-- recorded on each fulfilment. Raises 'Shipping quote is out of date' when
+-- the cart has items of an artisan that was not quoted. NULL charges no
+-- shipping.
+DROP FUNCTION public.place_order(UUID, TEXT, JSONB, JSONB, TEXT, TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION public.place_order(
+    p_customer_id UUID,
+    p_idempotency_key TEXT,
+    p_shipping_address JSONB,
+    p_billing_address JSONB DEFAULT NULL,
+    p_payment_method TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL,
+    p_hold_minutes INTEGER DEFAULT 15,
+    p_shipping JSONB DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_order public.orders%ROWTYPE;
+    v_problems JSONB;
+    v_subtotal DECIMAL(10,2);
+    v_shipping DECIMAL(10,2);
+    v_replayed BOOLEAN := false;
+BEGIN
+    -- One checkout per customer at a time, so a double click waits for the
+    -- first attempt and then finds its order
+    PERFORM pg_advisory_xact_lock(hashtext('checkout:' || p_customer_id::TEXT));
+
+    SELECT * INTO v_order FROM public.orders
+    WHERE customer_id = p_customer_id AND idempotency_key = p_idempotency_key;
+    v_replayed := FOUND;
+
+    IF NOT v_replayed THEN
+        -- Lock the products in a fixed order so concurrent checkouts cannot
+        -- deadlock, and so the reserved quantities below stay accurate
+        PERFORM 1
+        FROM public.products p
+        WHERE p.id IN (SELECT c.product_id FROM public.carts c WHERE c.user_id = p_customer_id)
+        ORDER BY p.id
+        FOR UPDATE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cart is empty';
+        END IF;
+
+        SELECT jsonb_agg(jsonb_build_object(
+            'productId', l.id,
+            'title', l.title,
+            'requested', l.quantity,
+            'available', l.available,
+            'reason', CASE WHEN l.listed THEN 'insufficient_stock' ELSE 'not_available' END
+        ))
+        INTO v_problems
+        FROM (
+            SELECT
+                p.id,
+                p.title,
+                c.quantity,
+                p.status IN ('active', 'sold_out') AS listed,
+                CASE WHEN p.status IN ('active', 'sold_out')
+                    THEN GREATEST(COALESCE(p.stock_quantity, 0) - public.reserved_quantity(p.id), 0)
+                    ELSE 0
+                END AS available
+            FROM public.carts c
+            JOIN public.products p ON p.id = c.product_id
+            WHERE c.user_id = p_customer_id
+        ) l
+        WHERE NOT l.listed OR l.available < l.quantity;
+
+        IF v_problems IS NOT NULL THEN
+            RAISE EXCEPTION 'Some cart items are unavailable' USING DETAIL = v_problems::TEXT;
+        END IF;
+
+        -- The backend quotes shipping for the cart it read; a cart that
+        -- gained another artisan's items since then is quoted again
+        IF p_shipping IS NOT NULL AND EXISTS (
+            SELECT 1
+            FROM public.carts c
+            JOIN public.products p ON p.id = c.product_id
+            WHERE c.user_id = p_customer_id
+            AND NOT EXISTS (
+                SELECT 1 FROM jsonb_array_elements(p_shipping) s
+                WHERE (s->>'artisanId')::UUID = p.artisan_id
+            )
+        ) THEN
+            RAISE EXCEPTION 'Shipping quote is out of date';
+        END IF;
+
+        SELECT SUM(p.price * c.quantity) INTO v_subtotal
+        FROM public.carts c
+        JOIN public.products p ON p.id = c.product_id
+        WHERE c.user_id = p_customer_id;
+
+        SELECT COALESCE(SUM((s->>'amount')::DECIMAL(10,2)), 0) INTO v_shipping
+        FROM jsonb_array_elements(COALESCE(p_shipping, '[]'::JSONB)) s;
+
+        INSERT INTO public.orders (
+            customer_id, order_number, total_amount, shipping_amount, shipping_address, billing_address,
+            payment_method, notes, idempotency_key
+        )
+        VALUES (
+            p_customer_id, public.generate_order_number(), v_subtotal + v_shipping, v_shipping, p_shipping_address,
+            COALESCE(p_billing_address, p_shipping_address), p_payment_method, p_notes, p_idempotency_key
+        )
+        RETURNING * INTO v_order;
+
+        INSERT INTO public.order_items (
+            order_id, product_id, artisan_id, quantity, unit_price, total_price, product_title, product_image
+        )
+        SELECT v_order.id, p.id, p.artisan_id, c.quantity, p.price, p.price * c.quantity, p.title, p.images[1]
+        FROM public.carts c
+        JOIN public.products p ON p.id = c.product_id
+        WHERE c.user_id = p_customer_id;
+
+        -- Fulfilments were opened by the order_items trigger
+        UPDATE public.order_fulfilments f
+        SET shipping_service = s.service,
+            shipping_amount = s.amount
+        FROM jsonb_to_recordset(COALESCE(p_shipping, '[]'::JSONB)) AS s("artisanId" UUID, service TEXT, amount DECIMAL(10,2))
+        WHERE f.order_id = v_order.id AND f.artisan_id = s."artisanId";
+
+        INSERT INTO public.stock_reservations (order_id, product_id, quantity, expires_at)
+        SELECT v_order.id, c.product_id, c.quantity, CURRENT_TIMESTAMP + make_interval(mins => p_hold_minutes)
+        FROM public.carts c
+        WHERE c.user_id = p_customer_id;
+
+        DELETE FROM public.carts WHERE user_id = p_customer_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'order', to_jsonb(v_order),
+        'items', (SELECT COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.created_at, oi.id), '[]'::JSONB)
+                  FROM public.order_items oi WHERE oi.order_id = v_order.id),
+        'reservedUntil', (SELECT MIN(sr.expires_at) FROM public.stock_reservations sr
+                          WHERE sr.order_id = v_order.id AND sr.status = 'held'),
+        'replayed', v_replayed
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.place_order(UUID, TEXT, JSONB, JSONB, TEXT, TEXT, INTEGER, JSONB) FROM public, anon, authenticated;
@@ -0,0 +1,179 @@
+-- Location: supabase/migrations/20261019250000_gst_invoices.sql
+-- Schema Analysis: The cart added a flat 18% that checkout never charged; listed prices are GST-inclusive, so each category and product now carries its HSN code and GST slab, order items keep the rate they were sold at, and every artisan fulfilment gets a numbered GST invoice stored as a PDF
+-- Integration Type: New columns, tables, storage bucket, functions, triggers and policies
+-- Dependencies: 20261019200000_order_fulfilments.sql (order_fulfilments), 20261019240000_shipping_rates.sql (artisan workshop columns)
+
+-- 1. Columns
+-- GST slab of the category's goods, in percent. 18 is the flat rate the cart
+-- used so far; set each category to its HSN slab.
+ALTER TABLE public.categories
+    ADD COLUMN hsn_code TEXT CHECK (hsn_code ~ '^[0-9]{4}([0-9]{2}){0,2}$'),
+    ADD COLUMN gst_rate DECIMAL(5,2) NOT NULL DEFAULT 18 CHECK (gst_rate >= 0 AND gst_rate <= 40);
+
+-- Overrides of the category's HSN code and slab for one product
+ALTER TABLE public.products
+    ADD COLUMN hsn_code TEXT CHECK (hsn_code ~ '^[0-9]{4}([0-9]{2}){0,2}$'),
+    ADD COLUMN gst_rate DECIMAL(5,2) CHECK (gst_rate >= 0 AND gst_rate <= 40);
+
+-- The artisan's state decides between CGST + SGST and IGST; the GSTIN is
+-- printed on their invoices when they are registered
+ALTER TABLE public.artisan_profiles
+    ADD COLUMN workshop_state TEXT,
+    ADD COLUMN gstin TEXT CHECK (gstin ~ '^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$');
+
+-- What the item was taxed at when it was sold; tax_amount is the GST
+-- included in total_price
+ALTER TABLE public.order_items
+    ADD COLUMN hsn_code TEXT,
+    ADD COLUMN gst_rate DECIMAL(5,2),
+    ADD COLUMN tax_amount DECIMAL(10,2);
+
+-- 2. Tables
+-- Last invoice number each artisan handed out in each financial year. GST
+-- invoices are numbered consecutively per supplier and year.
+CREATE TABLE public.invoice_counters (
+    artisan_id UUID NOT NULL REFERENCES public.artisan_profiles(id) ON DELETE CASCADE,
+    financial_year TEXT NOT NULL,
+    last_value BIGINT NOT NULL,
+    PRIMARY KEY (artisan_id, financial_year)
+);
+
+-- The tax invoice for one artisan's fulfilment. Amounts are in INR and
+-- lines are the priced and taxed lines printed on it.
+CREATE TABLE public.invoices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Like INV/26-27/00042, assigned by the assign_invoice_number trigger
+    invoice_number TEXT NOT NULL,
+    financial_year TEXT NOT NULL,
+    fulfilment_id UUID NOT NULL UNIQUE REFERENCES public.order_fulfilments(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    artisan_id UUID NOT NULL REFERENCES public.artisan_profiles(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    supply_type TEXT NOT NULL CHECK (supply_type IN ('intra_state', 'inter_state')),
+    seller_state TEXT,
+    place_of_supply TEXT,
+    taxable_amount DECIMAL(10,2) NOT NULL,
+    cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL,
+    lines JSONB NOT NULL DEFAULT '[]',
+    -- Object path of the PDF in the invoices bucket, once it is rendered
+    storage_path TEXT,
+    issued_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (artisan_id, invoice_number)
+);
+
+-- 3. Indexes
+CREATE INDEX idx_invoices_order_id ON public.invoices(order_id);
+CREATE INDEX idx_invoices_customer_id ON public.invoices(customer_id, issued_at);
+
+-- 4. Storage Buckets
+-- Private: the backend writes invoices and hands out signed download URLs
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('invoices', 'invoices', false, 1048576, ARRAY['application/pdf'])
+ON CONFLICT (id) DO NOTHING;
+
+-- 5. Functions
+-- Snapshot the HSN code and GST slab of the product, or else its category,
+-- onto order items inserted without them
+CREATE OR REPLACE FUNCTION public.assign_order_item_tax()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NEW.gst_rate IS NULL THEN
+        SELECT COALESCE(p.hsn_code, c.hsn_code), COALESCE(p.gst_rate, c.gst_rate)
+        INTO NEW.hsn_code, NEW.gst_rate
+        FROM public.products p
+        JOIN public.categories c ON c.id = p.category_id
+        WHERE p.id = NEW.product_id;
+    END IF;
+
+    IF NEW.tax_amount IS NULL AND NEW.gst_rate IS NOT NULL THEN
+        NEW.tax_amount := NEW.total_price - ROUND(NEW.total_price * 100 / (100 + NEW.gst_rate), 2);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Number invoices inserted without one from the artisan's counter for the
+-- Indian financial year (April to March) they are issued in
+CREATE OR REPLACE FUNCTION public.assign_invoice_number()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_issued TIMESTAMP := NEW.issued_at AT TIME ZONE 'Asia/Kolkata';
+    v_start INTEGER;
+    v_value BIGINT;
+BEGIN
+    IF NEW.invoice_number IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+
+    v_start := EXTRACT(YEAR FROM v_issued)::INTEGER - CASE WHEN EXTRACT(MONTH FROM v_issued) < 4 THEN 1 ELSE 0 END;
+    NEW.financial_year := TO_CHAR(v_start % 100, 'FM00') || '-' || TO_CHAR((v_start + 1) % 100, 'FM00');
+
+    INSERT INTO public.invoice_counters (artisan_id, financial_year, last_value)
+    VALUES (NEW.artisan_id, NEW.financial_year, 1)
+    ON CONFLICT (artisan_id, financial_year) DO UPDATE SET last_value = public.invoice_counters.last_value + 1
+    RETURNING last_value INTO v_value;
+
+    NEW.invoice_number := 'INV/' || NEW.financial_year || '/'
+        || LPAD(v_value::TEXT, GREATEST(5, LENGTH(v_value::TEXT)), '0');
+    RETURN NEW;
+END;
+$$;
+
+-- 6. Backfill
+UPDATE public.order_items oi
+SET hsn_code = COALESCE(p.hsn_code, c.hsn_code),
+    gst_rate = COALESCE(p.gst_rate, c.gst_rate),
+    tax_amount = oi.total_price - ROUND(oi.total_price * 100 / (100 + COALESCE(p.gst_rate, c.gst_rate)), 2)
+FROM public.products p
+JOIN public.categories c ON c.id = p.category_id
+WHERE p.id = oi.product_id;
+
+-- 7. Enable RLS
+ALTER TABLE public.invoice_counters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.invoices ENABLE ROW LEVEL SECURITY;
+
+-- 8. RLS Policies
+-- Invoices are issued by the backend; customers and artisans see their own
+CREATE POLICY "users_view_own_invoices"
+ON public.invoices
+FOR SELECT
+TO authenticated
+USING (customer_id = auth.uid());
+
+CREATE POLICY "artisans_view_own_invoices"
+ON public.invoices
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.artisan_profiles ap
+    WHERE ap.id = artisan_id AND ap.user_id = auth.uid()
+));
+
+CREATE POLICY "admins_view_all_invoices"
+ON public.invoices
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+-- 9. Triggers
+CREATE TRIGGER assign_order_item_tax
+    BEFORE INSERT ON public.order_items
+    FOR EACH ROW EXECUTE FUNCTION public.assign_order_item_tax();
+
+CREATE TRIGGER assign_invoice_number
+    BEFORE INSERT ON public.invoices
+    FOR EACH ROW EXECUTE FUNCTION public.assign_invoice_number();
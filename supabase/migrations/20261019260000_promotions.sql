@@ -0,0 +1,330 @@
+-- Location: supabase/migrations/20261019260000_promotions.sql
+-- Schema Analysis: Promo codes were a hardcoded list in the browser and discounts never reached orders.discount_amount; promotions are now stored with their type, funder, scope, validity window and usage limits, and checkout records each redemption and the discount on the order and its fulfilments
+-- Integration Type: New enums, tables, columns, functions, triggers and policies; place_order gains the applied promotion
+-- Dependencies: 20261019240000_shipping_rates.sql (place_order), 20261019200000_order_fulfilments.sql (order_fulfilments)
+
+-- 1. Types
+CREATE TYPE public.promotion_type AS ENUM ('percentage', 'flat', 'free_shipping');
+-- Who pays for the discount: the platform, or the artisan out of their payout
+CREATE TYPE public.promotion_funder AS ENUM ('platform', 'artisan');
+
+-- 2. Tables
+CREATE TABLE public.promotions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code TEXT NOT NULL UNIQUE CHECK (code ~ '^[A-Z0-9_-]{3,32}$'),
+    description TEXT,
+    type public.promotion_type NOT NULL,
+    -- Percent off for percentage promotions, rupees off for flat ones;
+    -- unused by free shipping
+    value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+    -- Cap on a percentage discount
+    max_discount DECIMAL(10,2) CHECK (max_discount > 0),
+    funded_by public.promotion_funder NOT NULL DEFAULT 'platform',
+    -- Only this artisan's items are discounted; required when they fund it
+    artisan_id UUID REFERENCES public.artisan_profiles(id) ON DELETE CASCADE,
+    -- Only items in these categories are discounted; empty for all
+    category_ids UUID[] NOT NULL DEFAULT '{}',
+    -- Cart subtotal needed before the code applies
+    min_cart_value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (min_cart_value >= 0),
+    starts_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ends_at TIMESTAMPTZ,
+    -- Redemptions allowed in total and per customer; NULL for no limit
+    usage_limit INTEGER CHECK (usage_limit > 0),
+    per_user_limit INTEGER CHECK (per_user_limit > 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (type <> 'percentage' OR value <= 100),
+    CHECK (funded_by <> 'artisan' OR artisan_id IS NOT NULL),
+    CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- A promotion used by an order. Deleted when the order is cancelled, so the
+-- use counts against the limits again.
+CREATE TABLE public.promotion_redemptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    promotion_id UUID NOT NULL REFERENCES public.promotions(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL UNIQUE REFERENCES public.orders(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10,2) NOT NULL CHECK (discount_amount >= 0),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 3. Columns
+-- The discount on this artisan's share of the order, and the part of it the
+-- artisan funds
+ALTER TABLE public.order_fulfilments
+    ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN artisan_discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- 4. Indexes
+CREATE INDEX idx_promotions_artisan_id ON public.promotions(artisan_id) WHERE artisan_id IS NOT NULL;
+CREATE INDEX idx_promotion_redemptions_promotion_id ON public.promotion_redemptions(promotion_id, customer_id);
+
+-- 5. Functions
+-- Like before, plus p_promotion: the promotion the backend applied to the
+-- cart as { promotionId, discounts: [{ artisanId, amount }] }. The promotion
+-- is locked while its window and usage limits are checked, so concurrent
+-- checkouts cannot redeem it beyond them. Raises 'Promotion is not
+-- available', 'Promotion usage limit reached' or 'Promotion quote is out of
+-- date' (the cart changed since the discount was worked out).
+DROP FUNCTION public.place_order(UUID, TEXT, JSONB, JSONB, TEXT, TEXT, INTEGER, JSONB);
+
+CREATE OR REPLACE FUNCTION public.place_order(
+    p_customer_id UUID,
+    p_idempotency_key TEXT,
+    p_shipping_address JSONB,
+    p_billing_address JSONB DEFAULT NULL,
+    p_payment_method TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL,
+    p_hold_minutes INTEGER DEFAULT 15,
+    p_shipping JSONB DEFAULT NULL,
+    p_promotion JSONB DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_order public.orders%ROWTYPE;
+    v_promotion public.promotions%ROWTYPE;
+    v_problems JSONB;
+    v_subtotal DECIMAL(10,2);
+    v_shipping DECIMAL(10,2);
+    v_discount DECIMAL(10,2) := 0;
+    v_replayed BOOLEAN := false;
+BEGIN
+    -- One checkout per customer at a time, so a double click waits for the
+    -- first attempt and then finds its order
+    PERFORM pg_advisory_xact_lock(hashtext('checkout:' || p_customer_id::TEXT));
+
+    SELECT * INTO v_order FROM public.orders
+    WHERE customer_id = p_customer_id AND idempotency_key = p_idempotency_key;
+    v_replayed := FOUND;
+
+    IF NOT v_replayed THEN
+        -- Lock the products in a fixed order so concurrent checkouts cannot
+        -- deadlock, and so the reserved quantities below stay accurate
+        PERFORM 1
+        FROM public.products p
+        WHERE p.id IN (SELECT c.product_id FROM public.carts c WHERE c.user_id = p_customer_id)
+        ORDER BY p.id
+        FOR UPDATE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cart is empty';
+        END IF;
+
+        SELECT jsonb_agg(jsonb_build_object(
+            'productId', l.id,
+            'title', l.title,
+            'requested', l.quantity,
+            'available', l.available,
+            'reason', CASE WHEN l.listed THEN 'insufficient_stock' ELSE 'not_available' END
+        ))
+        INTO v_problems
+        FROM (
+            SELECT
+                p.id,
+                p.title,
+                c.quantity,
+                p.status IN ('active', 'sold_out') AS listed,
+                CASE WHEN p.status IN ('active', 'sold_out')
+                    THEN GREATEST(COALESCE(p.stock_quantity, 0) - public.reserved_quantity(p.id), 0)
+                    ELSE 0
+                END AS available
+            FROM public.carts c
+            JOIN public.products p ON p.id = c.product_id
+            WHERE c.user_id = p_customer_id
+        ) l
+        WHERE NOT l.listed OR l.available < l.quantity;
+
+        IF v_problems IS NOT NULL THEN
+            RAISE EXCEPTION 'Some cart items are unavailable' USING DETAIL = v_problems::TEXT;
+        END IF;
+
+        -- The backend quotes shipping for the cart it read; a cart that
+        -- gained another artisan's items since then is quoted again
+        IF p_shipping IS NOT NULL AND EXISTS (
+            SELECT 1
+            FROM public.carts c
+            JOIN public.products p ON p.id = c.product_id
+            WHERE c.user_id = p_customer_id
+            AND NOT EXISTS (
+                SELECT 1 FROM jsonb_array_elements(p_shipping) s
+                WHERE (s->>'artisanId')::UUID = p.artisan_id
+            )
+        ) THEN
+            RAISE EXCEPTION 'Shipping quote is out of date';
+        END IF;
+
+        SELECT SUM(p.price * c.quantity) INTO v_subtotal
+        FROM public.carts c
+        JOIN public.products p ON p.id = c.product_id
+        WHERE c.user_id = p_customer_id;
+
+        SELECT COALESCE(SUM((s->>'amount')::DECIMAL(10,2)), 0) INTO v_shipping
+        FROM jsonb_array_elements(COALESCE(p_shipping, '[]'::JSONB)) s;
+
+        IF p_promotion IS NOT NULL THEN
+            SELECT * INTO v_promotion
+            FROM public.promotions
+            WHERE id = (p_promotion->>'promotionId')::UUID
+            FOR UPDATE;
+
+            IF NOT FOUND OR NOT v_promotion.is_active
+                OR v_promotion.starts_at > CURRENT_TIMESTAMP
+                OR v_promotion.ends_at <= CURRENT_TIMESTAMP THEN
+                RAISE EXCEPTION 'Promotion is not available';
+            END IF;
+
+            IF v_promotion.usage_limit <= (
+                SELECT COUNT(*) FROM public.promotion_redemptions r
+                WHERE r.promotion_id = v_promotion.id
+            ) OR v_promotion.per_user_limit <= (
+                SELECT COUNT(*) FROM public.promotion_redemptions r
+                WHERE r.promotion_id = v_promotion.id AND r.customer_id = p_customer_id
+            ) THEN
+                RAISE EXCEPTION 'Promotion usage limit reached';
+            END IF;
+
+            SELECT COALESCE(SUM((d->>'amount')::DECIMAL(10,2)), 0) INTO v_discount
+            FROM jsonb_array_elements(COALESCE(p_promotion->'discounts', '[]'::JSONB)) d;
+
+            -- Discounts for artisans no longer in the cart, or beyond what
+            -- the cart now costs, were worked out for another cart
+            IF v_subtotal < v_promotion.min_cart_value
+                OR v_discount > v_subtotal + v_shipping
+                OR EXISTS (
+                    SELECT 1 FROM jsonb_array_elements(COALESCE(p_promotion->'discounts', '[]'::JSONB)) d
+                    WHERE NOT EXISTS (
+                        SELECT 1
+                        FROM public.carts c
+                        JOIN public.products p ON p.id = c.product_id
+                        WHERE c.user_id = p_customer_id
+                        AND p.artisan_id = (d->>'artisanId')::UUID
+                    )
+                ) THEN
+                RAISE EXCEPTION 'Promotion quote is out of date';
+            END IF;
+        END IF;
+
+        INSERT INTO public.orders (
+            customer_id, order_number, total_amount, shipping_amount, discount_amount, shipping_address,
+            billing_address, payment_method, notes, idempotency_key
+        )
+        VALUES (
+            p_customer_id, public.generate_order_number(), v_subtotal + v_shipping - v_discount, v_shipping,
+            v_discount, p_shipping_address, COALESCE(p_billing_address, p_shipping_address), p_payment_method,
+            p_notes, p_idempotency_key
+        )
+        RETURNING * INTO v_order;
+
+        INSERT INTO public.order_items (
+            order_id, product_id, artisan_id, quantity, unit_price, total_price, product_title, product_image
+        )
+        SELECT v_order.id, p.id, p.artisan_id, c.quantity, p.price, p.price * c.quantity, p.title, p.images[1]
+        FROM public.carts c
+        JOIN public.products p ON p.id = c.product_id
+        WHERE c.user_id = p_customer_id;
+
+        -- Fulfilments were opened by the order_items trigger
+        UPDATE public.order_fulfilments f
+        SET shipping_service = s.service,
+            shipping_amount = s.amount
+        FROM jsonb_to_recordset(COALESCE(p_shipping, '[]'::JSONB)) AS s("artisanId" UUID, service TEXT, amount DECIMAL(10,2))
+        WHERE f.order_id = v_order.id AND f.artisan_id = s."artisanId";
+
+        IF p_promotion IS NOT NULL THEN
+            UPDATE public.order_fulfilments f
+            SET discount_amount = d.amount,
+                artisan_discount_amount = CASE WHEN v_promotion.funded_by = 'artisan' THEN d.amount ELSE 0 END
+            FROM jsonb_to_recordset(COALESCE(p_promotion->'discounts', '[]'::JSONB)) AS d("artisanId" UUID, amount DECIMAL(10,2))
+            WHERE f.order_id = v_order.id AND f.artisan_id = d."artisanId";
+
+            INSERT INTO public.promotion_redemptions (promotion_id, order_id, customer_id, discount_amount)
+            VALUES (v_promotion.id, v_order.id, p_customer_id, v_discount);
+        END IF;
+
+        INSERT INTO public.stock_reservations (order_id, product_id, quantity, expires_at)
+        SELECT v_order.id, c.product_id, c.quantity, CURRENT_TIMESTAMP + make_interval(mins => p_hold_minutes)
+        FROM public.carts c
+        WHERE c.user_id = p_customer_id;
+
+        DELETE FROM public.carts WHERE user_id = p_customer_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'order', to_jsonb(v_order),
+        'items', (SELECT COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.created_at, oi.id), '[]'::JSONB)
+                  FROM public.order_items oi WHERE oi.order_id = v_order.id),
+        'reservedUntil', (SELECT MIN(sr.expires_at) FROM public.stock_reservations sr
+                          WHERE sr.order_id = v_order.id AND sr.status = 'held'),
+        'replayed', v_replayed
+    );
+END;
+$$;
+
+-- Give a cancelled order's promotion use back
+CREATE OR REPLACE FUNCTION public.release_promotion_redemption()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    DELETE FROM public.promotion_redemptions WHERE order_id = NEW.id;
+    RETURN NEW;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.place_order(UUID, TEXT, JSONB, JSONB, TEXT, TEXT, INTEGER, JSONB, JSONB) FROM public, anon, authenticated;
+
+-- 6. Enable RLS
+ALTER TABLE public.promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.promotion_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- 7. RLS Policies
+-- Promotions are managed and redeemed through the backend, which checks
+-- codes server-side; nobody can list the codes from the browser. Artisans see
+-- the promotions they fund, admins all of them.
+CREATE POLICY "artisans_view_own_promotions"
+ON public.promotions
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.artisan_profiles ap
+    WHERE ap.id = artisan_id AND ap.user_id = auth.uid()
+));
+
+CREATE POLICY "admins_manage_promotions"
+ON public.promotions
+FOR ALL
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+))
+WITH CHECK (EXISTS (
+    SELECT 1 FROM auth.users au
+    WHERE au.id = auth.uid()
+    AND (au.raw_user_meta_data->>'role' = 'admin')
+));
+
+CREATE POLICY "users_view_own_promotion_redemptions"
+ON public.promotion_redemptions
+FOR SELECT
+TO authenticated
+USING (customer_id = auth.uid());
+
+-- 8. Triggers
+CREATE TRIGGER release_promotion_redemption
+    AFTER UPDATE OF status ON public.orders
+    FOR EACH ROW
+    WHEN (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled')
+    EXECUTE FUNCTION public.release_promotion_redemption();
+
+CREATE TRIGGER set_updated_at_promotions
+    BEFORE UPDATE ON public.promotions
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
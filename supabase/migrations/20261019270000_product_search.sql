@@ -0,0 +1,286 @@
+-- Location: supabase/migrations/20261019270000_product_search.sql
+-- Schema Analysis: The marketplace searched products with ILIKE on title and description plus an exact tag match, so misspelt queries found nothing, results were unranked and filters showed made-up counts; products now carry a weighted full-text document and a trigram document, and one function returns ranked results with facet counts
+-- Integration Type: Extension, new columns, indexes, functions and triggers
+-- Dependencies: 20250917163948_art_o_mart_marketplace.sql (products, categories, artisan_profiles, product_reviews)
+
+-- 1. Extensions
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 2. Columns
+-- search_vector weighs the title (A) over tags (B), materials, category and
+-- the artisan's region (C) and the description (D); search_text holds the
+-- same short fields lower-cased for typo-tolerant trigram matching
+ALTER TABLE public.products
+    ADD COLUMN search_vector TSVECTOR,
+    ADD COLUMN search_text TEXT;
+
+-- 3. Functions
+-- The search documents of a product, from its own fields and its category's
+-- name and artisan's region and business name
+CREATE OR REPLACE FUNCTION public.product_search_fields(
+    p_product public.products,
+    OUT search_vector TSVECTOR,
+    OUT search_text TEXT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_category TEXT;
+    v_region TEXT;
+    v_artisan TEXT;
+BEGIN
+    SELECT c.name INTO v_category FROM public.categories c WHERE c.id = p_product.category_id;
+    SELECT ap.region, ap.business_name INTO v_region, v_artisan
+    FROM public.artisan_profiles ap WHERE ap.id = p_product.artisan_id;
+
+    search_vector :=
+        setweight(to_tsvector('english', COALESCE(p_product.title, '')), 'A') ||
+        setweight(to_tsvector('english', array_to_string(COALESCE(p_product.tags, '{}'), ' ')), 'B') ||
+        setweight(to_tsvector('english', concat_ws(' ',
+            array_to_string(COALESCE(p_product.materials, '{}'), ' '), v_category, v_region, v_artisan
+        )), 'C') ||
+        setweight(to_tsvector('english', COALESCE(p_product.description, '')), 'D');
+    search_text := lower(concat_ws(' ',
+        p_product.title,
+        array_to_string(COALESCE(p_product.tags, '{}'), ' '),
+        array_to_string(COALESCE(p_product.materials, '{}'), ' '),
+        v_category,
+        v_region,
+        v_artisan
+    ));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.set_product_search_fields()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    SELECT f.search_vector, f.search_text INTO NEW.search_vector, NEW.search_text
+    FROM public.product_search_fields(NEW) f;
+    RETURN NEW;
+END;
+$$;
+
+-- Renaming a category or changing an artisan's region or name rewrites the
+-- documents of their products
+CREATE OR REPLACE FUNCTION public.refresh_product_search_fields()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    UPDATE public.products p
+    SET (search_vector, search_text) = (
+        SELECT f.search_vector, f.search_text FROM public.product_search_fields(p) f
+    )
+    WHERE CASE TG_TABLE_NAME
+        WHEN 'categories' THEN p.category_id = NEW.id
+        ELSE p.artisan_id = NEW.id
+    END;
+    RETURN NEW;
+END;
+$$;
+
+-- Search active products. p_query matches words in any form ('pots' finds
+-- 'pot') and, failing that, with typos ('blu potery jaipur'), every word
+-- having to be close to a word of the title, tags, materials, category,
+-- region or artisan. p_filters narrows the results by { category (slug),
+-- region, priceRange, material, verified }; 'all' or a missing key means no
+-- filter. p_sort is 'relevance' (the default; featured and newest first
+-- without a query), 'price-low', 'price-high', 'rating' or 'newest'.
+--
+-- Returns { total, results: [{ id, rank }], facets: { categories: [{ value,
+-- label, count }], regions, priceRanges, materials: [{ value, count }],
+-- verified: { verified, unverified } } }. Each facet counts the results with
+-- every other filter applied, so picking a value shows how many results the
+-- other values of that facet would give.
+CREATE OR REPLACE FUNCTION public.search_products(
+    p_query TEXT DEFAULT NULL,
+    p_filters JSONB DEFAULT '{}'::JSONB,
+    p_sort TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 12,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_query TEXT := NULLIF(trim(COALESCE(p_query, '')), '');
+    v_tsquery TSQUERY := websearch_to_tsquery('english', COALESCE(p_query, ''));
+    v_words TEXT[] := ARRAY(
+        SELECT w FROM regexp_split_to_table(lower(COALESCE(p_query, '')), '[^[:alnum:]]+') w
+        WHERE length(w) > 1
+    );
+    v_category TEXT := NULLIF(p_filters->>'category', 'all');
+    v_region TEXT := lower(NULLIF(p_filters->>'region', 'all'));
+    v_price_range TEXT := NULLIF(p_filters->>'priceRange', 'all');
+    v_material TEXT := lower(NULLIF(p_filters->>'material', 'all'));
+    v_verified BOOLEAN := (p_filters->>'verified')::BOOLEAN;
+BEGIN
+    RETURN (
+        WITH matched AS (
+            SELECT
+                p.id,
+                p.price,
+                p.is_featured,
+                p.created_at,
+                c.slug AS category,
+                c.name AS category_name,
+                ap.region,
+                COALESCE(ap.is_verified, false) AS verified,
+                ARRAY(
+                    SELECT DISTINCT lower(trim(m)) FROM unnest(COALESCE(p.materials, '{}')) m
+                    WHERE trim(m) <> ''
+                ) AS materials,
+                CASE
+                    WHEN p.price < 1000 THEN 'under-1000'
+                    WHEN p.price < 3000 THEN '1000-3000'
+                    WHEN p.price < 5000 THEN '3000-5000'
+                    WHEN p.price < 10000 THEN '5000-10000'
+                    ELSE 'above-10000'
+                END AS price_range,
+                CASE WHEN v_query IS NULL THEN 0 ELSE
+                    ts_rank(p.search_vector, v_tsquery)
+                    + COALESCE((SELECT AVG(word_similarity(w, p.search_text)) FROM unnest(v_words) w), 0)
+                END AS rank,
+                r.rating,
+                r.review_count
+            FROM public.products p
+            JOIN public.categories c ON c.id = p.category_id
+            JOIN public.artisan_profiles ap ON ap.id = p.artisan_id
+            LEFT JOIN LATERAL (
+                SELECT AVG(pr.rating) AS rating, COUNT(*) AS review_count
+                FROM public.product_reviews pr
+                WHERE pr.product_id = p.id
+            ) r ON true
+            WHERE p.status = 'active'
+            AND (
+                v_query IS NULL
+                OR p.search_vector @@ v_tsquery
+                -- The first word narrows the trigram index scan; the rest
+                -- must match too
+                OR (v_words[1] <% p.search_text AND NOT EXISTS (
+                    SELECT 1 FROM unnest(v_words) w WHERE NOT (w <% p.search_text)
+                ))
+            )
+        ),
+        flagged AS (
+            SELECT
+                m.*,
+                (v_category IS NULL OR m.category = v_category) AS in_category,
+                (v_region IS NULL OR lower(m.region) = v_region) AS in_region,
+                (v_price_range IS NULL OR m.price_range = v_price_range) AS in_price_range,
+                (v_material IS NULL OR v_material = ANY(m.materials)) AS in_material,
+                (v_verified IS NULL OR m.verified = v_verified) AS in_verified
+            FROM matched m
+        ),
+        filtered AS (
+            SELECT * FROM flagged
+            WHERE in_category AND in_region AND in_price_range AND in_material AND in_verified
+        ),
+        page AS (
+            SELECT
+                f.id,
+                f.rank,
+                row_number() OVER (ORDER BY
+                    CASE WHEN p_sort = 'price-low' THEN f.price END ASC,
+                    CASE WHEN p_sort = 'price-high' THEN f.price END DESC,
+                    CASE WHEN p_sort = 'rating' THEN f.rating END DESC NULLS LAST,
+                    CASE WHEN p_sort = 'rating' THEN f.review_count END DESC,
+                    CASE WHEN p_sort = 'newest' THEN f.created_at END DESC,
+                    f.rank DESC,
+                    f.is_featured DESC,
+                    f.created_at DESC,
+                    f.id
+                ) AS position
+            FROM filtered f
+        )
+        SELECT jsonb_build_object(
+            'total', (SELECT COUNT(*) FROM filtered),
+            'results', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('id', pg.id, 'rank', round(pg.rank::NUMERIC, 4)) ORDER BY pg.position)
+                FROM page pg
+                WHERE pg.position > p_offset AND pg.position <= p_offset + p_limit
+            ), '[]'::JSONB),
+            'facets', jsonb_build_object(
+                'categories', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object('value', category, 'label', category_name, 'count', count) ORDER BY count DESC, category_name)
+                    FROM (
+                        SELECT category, category_name, COUNT(*) AS count FROM flagged
+                        WHERE in_region AND in_price_range AND in_material AND in_verified
+                        GROUP BY category, category_name
+                    ) f
+                ), '[]'::JSONB),
+                'regions', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object('value', region, 'label', region, 'count', count) ORDER BY count DESC, region)
+                    FROM (
+                        SELECT region, COUNT(*) AS count FROM flagged
+                        WHERE region IS NOT NULL AND in_category AND in_price_range AND in_material AND in_verified
+                        GROUP BY region
+                    ) f
+                ), '[]'::JSONB),
+                'priceRanges', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object('value', price_range, 'count', count) ORDER BY min_price)
+                    FROM (
+                        SELECT price_range, MIN(price) AS min_price, COUNT(*) AS count FROM flagged
+                        WHERE in_category AND in_region AND in_material AND in_verified
+                        GROUP BY price_range
+                    ) f
+                ), '[]'::JSONB),
+                'materials', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object('value', material, 'count', count) ORDER BY count DESC, material)
+                    FROM (
+                        SELECT material, COUNT(*) AS count
+                        FROM flagged, unnest(materials) material
+                        WHERE in_category AND in_region AND in_price_range AND in_verified
+                        GROUP BY material
+                        ORDER BY COUNT(*) DESC, material
+                        LIMIT 20
+                    ) f
+                ), '[]'::JSONB),
+                'verified', (
+                    SELECT jsonb_build_object(
+                        'verified', COUNT(*) FILTER (WHERE verified),
+                        'unverified', COUNT(*) FILTER (WHERE NOT verified)
+                    )
+                    FROM flagged
+                    WHERE in_category AND in_region AND in_price_range AND in_material
+                )
+            )
+        )
+    );
+END;
+$$;
+
+-- 4. Triggers
+CREATE TRIGGER set_product_search_fields
+    BEFORE INSERT OR UPDATE OF title, tags, materials, description, category_id, artisan_id ON public.products
+    FOR EACH ROW EXECUTE FUNCTION public.set_product_search_fields();
+
+CREATE TRIGGER refresh_product_search_fields
+    AFTER UPDATE OF name ON public.categories
+    FOR EACH ROW
+    WHEN (NEW.name IS DISTINCT FROM OLD.name)
+    EXECUTE FUNCTION public.refresh_product_search_fields();
+
+CREATE TRIGGER refresh_product_search_fields
+    AFTER UPDATE OF region, business_name ON public.artisan_profiles
+    FOR EACH ROW
+    WHEN (NEW.region IS DISTINCT FROM OLD.region OR NEW.business_name IS DISTINCT FROM OLD.business_name)
+    EXECUTE FUNCTION public.refresh_product_search_fields();
+
+-- 5. Backfill
+UPDATE public.products p
+SET (search_vector, search_text) = (
+    SELECT f.search_vector, f.search_text FROM public.product_search_fields(p) f
+);
+
+-- 6. Indexes
+CREATE INDEX idx_products_search_vector ON public.products USING GIN (search_vector);
+CREATE INDEX idx_products_search_text ON public.products USING GIN (search_text gin_trgm_ops);
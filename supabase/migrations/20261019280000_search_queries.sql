@@ -0,0 +1,291 @@
+-- Location: supabase/migrations/20261019280000_search_queries.sql
+-- Schema Analysis: The AI search bar suggested a fixed list of six queries and could not narrow results to a budget; searches are now counted so the most popular ones can be suggested alongside matching categories, regions and products, and search_products takes price and rating bounds
+-- Integration Type: New table and functions; search_products gains filters
+-- Dependencies: 20261019270000_product_search.sql (search_products, products.search_text)
+
+-- 1. Tables
+-- One row per distinct search, lower-cased
+CREATE TABLE public.search_queries (
+    query TEXT PRIMARY KEY CHECK (length(query) BETWEEN 2 AND 100),
+    search_count INTEGER NOT NULL DEFAULT 1,
+    last_searched_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Functions
+CREATE OR REPLACE FUNCTION public.record_search_query(p_query TEXT)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+    INSERT INTO public.search_queries (query)
+    VALUES (lower(regexp_replace(trim(p_query), '\s+', ' ', 'g')))
+    ON CONFLICT (query) DO UPDATE
+    SET search_count = public.search_queries.search_count + 1,
+        last_searched_at = CURRENT_TIMESTAMP;
+$$;
+
+-- Autocomplete for what has been typed so far: searches made at least three
+-- times, then categories, regions with active products and product titles,
+-- each starting a word with p_prefix (products also match with typos).
+-- Returns [{ type: 'query' | 'category' | 'region' | 'product', text, value }]
+-- where value is the category slug or product ID.
+CREATE OR REPLACE FUNCTION public.search_suggestions(
+    p_prefix TEXT,
+    p_limit INTEGER DEFAULT 8
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_prefix TEXT := lower(regexp_replace(trim(COALESCE(p_prefix, '')), '\s+', ' ', 'g'));
+BEGIN
+    IF length(v_prefix) < 2 THEN
+        RETURN '[]'::JSONB;
+    END IF;
+
+    RETURN COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('type', s.type, 'text', s.text, 'value', s.value) ORDER BY s.kind, s.ordinal)
+        FROM (
+            SELECT *, row_number() OVER (ORDER BY kind, ordinal) AS overall
+            FROM (
+                (
+                    SELECT 1 AS kind, 'query' AS type, sq.query AS text, NULL::TEXT AS value,
+                        row_number() OVER (ORDER BY sq.search_count DESC, sq.last_searched_at DESC) AS ordinal
+                    FROM public.search_queries sq
+                    WHERE sq.search_count >= 3
+                    AND position(' ' || v_prefix IN ' ' || sq.query) > 0
+                    ORDER BY sq.search_count DESC, sq.last_searched_at DESC
+                    LIMIT p_limit
+                )
+                UNION ALL
+                (
+                    SELECT 2, 'category', c.name, c.slug, row_number() OVER (ORDER BY c.name)
+                    FROM public.categories c
+                    WHERE position(' ' || v_prefix IN ' ' || lower(c.name)) > 0
+                    ORDER BY c.name
+                    LIMIT p_limit
+                )
+                UNION ALL
+                (
+                    SELECT 3, 'region', r.region, r.region, row_number() OVER (ORDER BY r.region)
+                    FROM (
+                        SELECT DISTINCT ap.region
+                        FROM public.artisan_profiles ap
+                        JOIN public.products p ON p.artisan_id = ap.id AND p.status = 'active'
+                        WHERE position(' ' || v_prefix IN ' ' || lower(ap.region)) > 0
+                    ) r
+                    ORDER BY r.region
+                    LIMIT p_limit
+                )
+                UNION ALL
+                (
+                    SELECT 4, 'product', p.title, p.id::TEXT,
+                        row_number() OVER (ORDER BY word_similarity(v_prefix, lower(p.title)) DESC, p.is_featured DESC, p.title)
+                    FROM public.products p
+                    WHERE p.status = 'active'
+                    AND (position(' ' || v_prefix IN ' ' || lower(p.title)) > 0 OR v_prefix <% p.search_text)
+                    ORDER BY word_similarity(v_prefix, lower(p.title)) DESC, p.is_featured DESC, p.title
+                    LIMIT p_limit
+                )
+            ) candidates
+        ) s
+        WHERE s.overall <= p_limit
+    ), '[]'::JSONB);
+END;
+$$;
+
+-- search_products as before, with minPrice and maxPrice (inclusive) and
+-- minRating (average review rating) added to p_filters for budgets and
+-- quality bars read from natural-language searches.
+--
+-- Search active products. p_query matches words in any form ('pots' finds
+-- 'pot') and, failing that, with typos ('blu potery jaipur'), every word
+-- having to be close to a word of the title, tags, materials, category,
+-- region or artisan. p_filters narrows the results by { category (slug),
+-- region, priceRange, minPrice, maxPrice, minRating, material, verified };
+-- 'all' or a missing key means no filter. p_sort is 'relevance' (the default; featured and newest first
+-- without a query), 'price-low', 'price-high', 'rating' or 'newest'.
+--
+-- Returns { total, results: [{ id, rank }], facets: { categories: [{ value,
+-- label, count }], regions, priceRanges, materials: [{ value, count }],
+-- verified: { verified, unverified } } }. Each facet counts the results with
+-- every other filter applied, so picking a value shows how many results the
+-- other values of that facet would give.
+CREATE OR REPLACE FUNCTION public.search_products(
+    p_query TEXT DEFAULT NULL,
+    p_filters JSONB DEFAULT '{}'::JSONB,
+    p_sort TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 12,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_query TEXT := NULLIF(trim(COALESCE(p_query, '')), '');
+    v_tsquery TSQUERY := websearch_to_tsquery('english', COALESCE(p_query, ''));
+    v_words TEXT[] := ARRAY(
+        SELECT w FROM regexp_split_to_table(lower(COALESCE(p_query, '')), '[^[:alnum:]]+') w
+        WHERE length(w) > 1
+    );
+    v_category TEXT := NULLIF(p_filters->>'category', 'all');
+    v_region TEXT := lower(NULLIF(p_filters->>'region', 'all'));
+    v_price_range TEXT := NULLIF(p_filters->>'priceRange', 'all');
+    v_material TEXT := lower(NULLIF(p_filters->>'material', 'all'));
+    v_verified BOOLEAN := (p_filters->>'verified')::BOOLEAN;
+    v_min_price NUMERIC := (p_filters->>'minPrice')::NUMERIC;
+    v_max_price NUMERIC := (p_filters->>'maxPrice')::NUMERIC;
+    v_min_rating NUMERIC := (p_filters->>'minRating')::NUMERIC;
+BEGIN
+    RETURN (
+        WITH matched AS (
+            SELECT
+                p.id,
+                p.price,
+                p.is_featured,
+                p.created_at,
+                c.slug AS category,
+                c.name AS category_name,
+                ap.region,
+                COALESCE(ap.is_verified, false) AS verified,
+                ARRAY(
+                    SELECT DISTINCT lower(trim(m)) FROM unnest(COALESCE(p.materials, '{}')) m
+                    WHERE trim(m) <> ''
+                ) AS materials,
+                CASE
+                    WHEN p.price < 1000 THEN 'under-1000'
+                    WHEN p.price < 3000 THEN '1000-3000'
+                    WHEN p.price < 5000 THEN '3000-5000'
+                    WHEN p.price < 10000 THEN '5000-10000'
+                    ELSE 'above-10000'
+                END AS price_range,
+                CASE WHEN v_query IS NULL THEN 0 ELSE
+                    ts_rank(p.search_vector, v_tsquery)
+                    + COALESCE((SELECT AVG(word_similarity(w, p.search_text)) FROM unnest(v_words) w), 0)
+                END AS rank,
+                r.rating,
+                r.review_count
+            FROM public.products p
+            JOIN public.categories c ON c.id = p.category_id
+            JOIN public.artisan_profiles ap ON ap.id = p.artisan_id
+            LEFT JOIN LATERAL (
+                SELECT AVG(pr.rating) AS rating, COUNT(*) AS review_count
+                FROM public.product_reviews pr
+                WHERE pr.product_id = p.id
+            ) r ON true
+            WHERE p.status = 'active'
+            AND (v_min_rating IS NULL OR r.rating >= v_min_rating)
+            AND (
+                v_query IS NULL
+                OR p.search_vector @@ v_tsquery
+                -- The first word narrows the trigram index scan; the rest
+                -- must match too
+                OR (v_words[1] <% p.search_text AND NOT EXISTS (
+                    SELECT 1 FROM unnest(v_words) w WHERE NOT (w <% p.search_text)
+                ))
+            )
+        ),
+        flagged AS (
+            SELECT
+                m.*,
+                (v_category IS NULL OR m.category = v_category) AS in_category,
+                (v_region IS NULL OR lower(m.region) = v_region) AS in_region,
+                (v_price_range IS NULL OR m.price_range = v_price_range)
+                    AND (v_min_price IS NULL OR m.price >= v_min_price)
+                    AND (v_max_price IS NULL OR m.price <= v_max_price) AS in_price_range,
+                (v_material IS NULL OR v_material = ANY(m.materials)) AS in_material,
+                (v_verified IS NULL OR m.verified = v_verified) AS in_verified
+            FROM matched m
+        ),
+        filtered AS (
+            SELECT * FROM flagged
+            WHERE in_category AND in_region AND in_price_range AND in_material AND in_verified
+        ),
+        page AS (
+            SELECT
+                f.id,
+                f.rank,
+                row_number() OVER (ORDER BY
+                    CASE WHEN p_sort = 'price-low' THEN f.price END ASC,
+                    CASE WHEN p_sort = 'price-high' THEN f.price END DESC,
+                    CASE WHEN p_sort = 'rating' THEN f.rating END DESC NULLS LAST,
+                    CASE WHEN p_sort = 'rating' THEN f.review_count END DESC,
+                    CASE WHEN p_sort = 'newest' THEN f.created_at END DESC,
+                    f.rank DESC,
+                    f.is_featured DESC,
+                    f.created_at DESC,
+                    f.id
+                ) AS position
+            FROM filtered f
+        )
+        SELECT jsonb_build_object(
+            'total', (SELECT COUNT(*) FROM filtered),
+            'results', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('id', pg.id, 'rank', round(pg.rank::NUMERIC, 4)) ORDER BY pg.position)
+                FROM page pg
+                WHERE pg.position > p_offset AND pg.position <= p_offset + p_limit
+            ), '[]'::JSONB),
+            'facets', jsonb_build_object(
+                'categories', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object('value', category, 'label', category_name, 'count', count) ORDER BY count DESC, category_name)
+                    FROM (
+                        SELECT category, category_name, COUNT(*) AS count FROM flagged
+                        WHERE in_region AND in_price_range AND in_material AND in_verified
+                        GROUP BY category, category_name
+                    ) f
+                ), '[]'::JSONB),
+                'regions', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object('value', region, 'label', region, 'count', count) ORDER BY count DESC, region)
+                    FROM (
+                        SELECT region, COUNT(*) AS count FROM flagged
+                        WHERE region IS NOT NULL AND in_category AND in_price_range AND in_material AND in_verified
+                        GROUP BY region
+                    ) f
+                ), '[]'::JSONB),
+                'priceRanges', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object('value', price_range, 'count', count) ORDER BY min_price)
+                    FROM (
+                        SELECT price_range, MIN(price) AS min_price, COUNT(*) AS count FROM flagged
+                        WHERE in_category AND in_region AND in_material AND in_verified
+                        GROUP BY price_range
+                    ) f
+                ), '[]'::JSONB),
+                'materials', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object('value', material, 'count', count) ORDER BY count DESC, material)
+                    FROM (
+                        SELECT material, COUNT(*) AS count
+                        FROM flagged, unnest(materials) material
+                        WHERE in_category AND in_region AND in_price_range AND in_verified
+                        GROUP BY material
+                        ORDER BY COUNT(*) DESC, material
+                        LIMIT 20
+                    ) f
+                ), '[]'::JSONB),
+                'verified', (
+                    SELECT jsonb_build_object(
+                        'verified', COUNT(*) FILTER (WHERE verified),
+                        'unverified', COUNT(*) FILTER (WHERE NOT verified)
+                    )
+                    FROM flagged
+                    WHERE in_category AND in_region AND in_price_range AND in_material
+                )
+            )
+        )
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.record_search_query(TEXT) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.search_suggestions(TEXT, INTEGER) FROM public, anon, authenticated;
+
+-- 3. Enable RLS
+-- Searches are recorded and suggested through the backend with the service
+-- role; there are no policies, so browsers cannot read what others searched
+ALTER TABLE public.search_queries ENABLE ROW LEVEL SECURITY;
+
+-- 4. Indexes
+CREATE INDEX idx_search_queries_search_count ON public.search_queries(search_count DESC);
@@ -0,0 +1,226 @@
+-- Location: supabase/migrations/20261019290000_product_similarities.sql
+-- Schema Analysis: Every recommendation came from an LLM prompt and the cart's "you might also like" list was hardcoded; products are now related by how often the same shoppers ordered, wishlisted and carted them, recomputed by a scheduled job, with the most popular products of the same categories and regions filling in while there is little history
+-- Integration Type: New tables and functions
+-- Dependencies: 20250917163948_art_o_mart_marketplace.sql (products, orders, order_items, carts, wishlists, artisan_profiles, categories)
+
+-- 1. Tables
+-- The most similar products of each product, by the cosine similarity of the
+-- shoppers interested in them; rewritten by refresh_product_similarities
+CREATE TABLE public.product_similarities (
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    similar_product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    score NUMERIC NOT NULL,
+    -- Shoppers interested in both, and of those how many ordered both
+    shoppers INTEGER NOT NULL,
+    co_purchases INTEGER NOT NULL DEFAULT 0,
+    computed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (product_id, similar_product_id),
+    CHECK (product_id <> similar_product_id)
+);
+
+-- How much interest each product drew, for ranking the fallbacks
+CREATE TABLE public.product_popularity (
+    product_id UUID PRIMARY KEY REFERENCES public.products(id) ON DELETE CASCADE,
+    score NUMERIC NOT NULL,
+    shoppers INTEGER NOT NULL,
+    computed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Functions
+-- The products each shopper showed interest in since p_since, weighted by
+-- how much: ordered (3) over wishlisted (2) over carted (1). Unpaid,
+-- cancelled and refunded orders do not count as orders.
+CREATE OR REPLACE FUNCTION public.shopper_product_interests(p_since TIMESTAMPTZ)
+RETURNS TABLE (user_id UUID, product_id UUID, weight INTEGER, purchased BOOLEAN)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT i.user_id, i.product_id, MAX(i.weight), bool_or(i.purchased)
+    FROM (
+        SELECT o.customer_id AS user_id, oi.product_id, 3 AS weight, true AS purchased
+        FROM public.order_items oi
+        JOIN public.orders o ON o.id = oi.order_id
+        WHERE o.created_at >= p_since
+        AND o.status NOT IN ('pending', 'cancelled', 'refunded')
+        UNION ALL
+        SELECT w.user_id, w.product_id, 2, false
+        FROM public.wishlists w
+        WHERE w.added_at >= p_since
+        UNION ALL
+        SELECT c.user_id, c.product_id, 1, false
+        FROM public.carts c
+        WHERE c.added_at >= p_since
+    ) i
+    GROUP BY i.user_id, i.product_id;
+$$;
+
+-- Recompute product_similarities and product_popularity from the last
+-- p_lookback_days of orders, wishlists and carts. Pairs need at least
+-- p_min_shoppers shoppers in common, so that one shopper's basket is never
+-- shown to others; each product keeps its p_max_per_product most similar.
+-- Every replica schedules the job; a refresh already running makes the others
+-- return NULL. Returns { pairs, products }.
+CREATE OR REPLACE FUNCTION public.refresh_product_similarities(
+    p_lookback_days INTEGER DEFAULT 365,
+    p_min_shoppers INTEGER DEFAULT 2,
+    p_max_per_product INTEGER DEFAULT 20
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_since TIMESTAMPTZ := CURRENT_TIMESTAMP - make_interval(days => p_lookback_days);
+    v_pairs INTEGER;
+    v_products INTEGER;
+BEGIN
+    IF NOT pg_try_advisory_xact_lock(hashtext('refresh_product_similarities')) THEN
+        RETURN NULL;
+    END IF;
+
+    WITH interests AS (
+        SELECT * FROM public.shopper_product_interests(v_since)
+    ),
+    norms AS (
+        SELECT i.product_id, sqrt(SUM(i.weight * i.weight)) AS norm
+        FROM interests i
+        GROUP BY i.product_id
+    ),
+    pairs AS (
+        SELECT
+            a.product_id,
+            b.product_id AS similar_product_id,
+            SUM(a.weight * b.weight) / (na.norm * nb.norm) AS score,
+            COUNT(*) AS shoppers,
+            COUNT(*) FILTER (WHERE a.purchased AND b.purchased) AS co_purchases
+        FROM interests a
+        JOIN interests b ON b.user_id = a.user_id AND b.product_id <> a.product_id
+        JOIN norms na ON na.product_id = a.product_id
+        JOIN norms nb ON nb.product_id = b.product_id
+        GROUP BY a.product_id, b.product_id, na.norm, nb.norm
+        HAVING COUNT(*) >= p_min_shoppers
+    ),
+    ranked AS (
+        SELECT
+            p.*,
+            row_number() OVER (PARTITION BY p.product_id ORDER BY p.score DESC, p.similar_product_id) AS ordinal
+        FROM pairs p
+    )
+    INSERT INTO public.product_similarities (product_id, similar_product_id, score, shoppers, co_purchases, computed_at)
+    SELECT r.product_id, r.similar_product_id, r.score, r.shoppers, r.co_purchases, CURRENT_TIMESTAMP
+    FROM ranked r
+    WHERE r.ordinal <= p_max_per_product
+    ON CONFLICT (product_id, similar_product_id) DO UPDATE
+    SET score = EXCLUDED.score,
+        shoppers = EXCLUDED.shoppers,
+        co_purchases = EXCLUDED.co_purchases,
+        computed_at = EXCLUDED.computed_at;
+    GET DIAGNOSTICS v_pairs = ROW_COUNT;
+
+    -- Pairs this refresh did not write no longer hold
+    DELETE FROM public.product_similarities WHERE computed_at < CURRENT_TIMESTAMP;
+
+    INSERT INTO public.product_popularity (product_id, score, shoppers, computed_at)
+    SELECT i.product_id, SUM(i.weight), COUNT(*), CURRENT_TIMESTAMP
+    FROM public.shopper_product_interests(v_since) i
+    GROUP BY i.product_id
+    ON CONFLICT (product_id) DO UPDATE
+    SET score = EXCLUDED.score,
+        shoppers = EXCLUDED.shoppers,
+        computed_at = EXCLUDED.computed_at;
+    GET DIAGNOSTICS v_products = ROW_COUNT;
+
+    DELETE FROM public.product_popularity WHERE computed_at < CURRENT_TIMESTAMP;
+
+    RETURN jsonb_build_object('pairs', v_pairs, 'products', v_products);
+END;
+$$;
+
+-- Products to show alongside p_product_ids (a product, a cart's items): the
+-- ones shoppers were interested in together with them, most similar first;
+-- then, while there is too little history to fill p_limit, the most popular
+-- products of the same categories, then of the same regions, then of the
+-- whole catalog. p_category (a slug) and p_region add a category and region
+-- to fall back on, e.g. for a shopper with an empty cart. With
+-- p_purchased_only only products ordered together count ("customers also
+-- bought").
+--
+-- Only active, in-stock products other than p_product_ids are returned, as
+-- [{ id, score, reason: 'similar' | 'category' | 'region' | 'popular' }].
+CREATE OR REPLACE FUNCTION public.recommend_products(
+    p_product_ids UUID[] DEFAULT '{}',
+    p_category TEXT DEFAULT NULL,
+    p_region TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 6,
+    p_purchased_only BOOLEAN DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    WITH seeds AS (
+        SELECT p.category_id, lower(ap.region) AS region
+        FROM public.products p
+        JOIN public.artisan_profiles ap ON ap.id = p.artisan_id
+        WHERE p.id = ANY(COALESCE(p_product_ids, '{}'))
+        UNION
+        SELECT
+            (SELECT c.id FROM public.categories c WHERE c.slug = p_category),
+            lower(NULLIF(trim(p_region), ''))
+    ),
+    similar AS (
+        SELECT ps.similar_product_id AS id, SUM(ps.score) AS score
+        FROM public.product_similarities ps
+        WHERE ps.product_id = ANY(COALESCE(p_product_ids, '{}'))
+        AND (NOT p_purchased_only OR ps.co_purchases > 0)
+        GROUP BY ps.similar_product_id
+    ),
+    candidates AS (
+        SELECT
+            p.id,
+            CASE
+                WHEN s.id IS NOT NULL THEN 1
+                WHEN p.category_id IN (SELECT category_id FROM seeds) THEN 2
+                WHEN lower(ap.region) IN (SELECT region FROM seeds) THEN 3
+                ELSE 4
+            END AS tier,
+            COALESCE(s.score, pp.score, 0) AS score,
+            p.is_featured,
+            p.created_at
+        FROM public.products p
+        JOIN public.artisan_profiles ap ON ap.id = p.artisan_id
+        LEFT JOIN similar s ON s.id = p.id
+        LEFT JOIN public.product_popularity pp ON pp.product_id = p.id
+        WHERE p.status = 'active'
+        AND p.stock_quantity > 0
+        AND NOT p.id = ANY(COALESCE(p_product_ids, '{}'))
+    )
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', picked.id,
+        'score', round(picked.score, 4),
+        'reason', (ARRAY['similar', 'category', 'region', 'popular'])[picked.tier]
+    ) ORDER BY picked.ordinal), '[]'::JSONB)
+    FROM (
+        SELECT
+            c.*,
+            row_number() OVER (ORDER BY c.tier, c.score DESC, c.is_featured DESC, c.created_at DESC, c.id) AS ordinal
+        FROM candidates c
+    ) picked
+    WHERE picked.ordinal <= p_limit;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.shopper_product_interests(TIMESTAMPTZ) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.refresh_product_similarities(INTEGER, INTEGER, INTEGER) FROM public, anon, authenticated;
+
+-- 3. Enable RLS
+-- Similarities are read through recommend_products, which only returns
+-- active products; there are no policies, so browsers cannot read the pairs
+ALTER TABLE public.product_similarities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.product_popularity ENABLE ROW LEVEL SECURITY;
+
+-- 4. Indexes
+CREATE INDEX idx_product_similarities_score ON public.product_similarities(product_id, score DESC);
+CREATE INDEX idx_product_similarities_computed_at ON public.product_similarities(computed_at);
+CREATE INDEX idx_product_popularity_computed_at ON public.product_popularity(computed_at);
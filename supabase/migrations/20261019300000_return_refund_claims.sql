@@ -0,0 +1,13 @@
+-- Location: supabase/migrations/20261019300000_return_refund_claims.sql
+-- Schema Analysis: Receiving a return twice, at once or as a retry, could refund it twice, as only the payment's total capped its refunds; a return is now claimed (received -> refunding) before its refund goes to the payment provider, and each payment is refunded at most once per return
+-- Integration Type: New enum value and unique index
+-- Dependencies: 20261019220000_returns.sql (return_status, payment_refunds)
+
+-- 1. Types
+-- Received, with its refund on the way to the payment provider
+ALTER TYPE public.return_status ADD VALUE IF NOT EXISTS 'refunding' AFTER 'received';
+
+-- 2. Indexes
+-- A second refund of a payment for the same return fails in record_payment_refund
+CREATE UNIQUE INDEX idx_payment_refunds_return_request_id ON public.payment_refunds(payment_id, return_request_id)
+    WHERE return_request_id IS NOT NULL;
@@ -0,0 +1,52 @@
+-- Location: supabase/migrations/20261019310000_restock_cancelled_fulfilments.sql
+-- Schema Analysis: Cancelling a paid order, or one artisan's fulfilment of it, only released held stock, so the units taken out of stock when it was paid were lost; a fulfilment that is cancelled now puts its committed stock back, which also covers cancelled orders, as those cancel their unshipped fulfilments
+-- Integration Type: New function and trigger
+-- Dependencies: 20261019180000_stock_reservations.sql (stock_reservations, commit_order_stock), 20261019200000_order_fulfilments.sql (order_fulfilments, cancel_order_fulfilments)
+
+-- 1. Functions
+-- Put the stock committed for the items of a cancelled fulfilment back and
+-- mark their reservations released, so it is only put back once
+CREATE OR REPLACE FUNCTION public.restock_cancelled_fulfilment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    -- Lock the products in the same order as checkout and commit_order_stock
+    PERFORM 1
+    FROM public.products p
+    WHERE p.id IN (
+        SELECT oi.product_id FROM public.order_items oi
+        WHERE oi.order_id = NEW.order_id AND oi.artisan_id = NEW.artisan_id
+    )
+    ORDER BY p.id
+    FOR UPDATE;
+
+    UPDATE public.products p
+    SET stock_quantity = p.stock_quantity + sr.quantity
+    FROM public.stock_reservations sr
+    JOIN public.order_items oi ON oi.order_id = sr.order_id AND oi.product_id = sr.product_id
+    WHERE sr.order_id = NEW.order_id
+    AND sr.status = 'committed'
+    AND oi.artisan_id = NEW.artisan_id
+    AND p.id = sr.product_id;
+
+    UPDATE public.stock_reservations sr
+    SET status = 'released', release_reason = 'fulfilment_cancelled'
+    FROM public.order_items oi
+    WHERE sr.order_id = NEW.order_id
+    AND sr.status = 'committed'
+    AND oi.order_id = sr.order_id
+    AND oi.product_id = sr.product_id
+    AND oi.artisan_id = NEW.artisan_id;
+
+    RETURN NEW;
+END;
+$$;
+
+-- 2. Triggers
+CREATE TRIGGER restock_cancelled_fulfilment
+    AFTER UPDATE OF status ON public.order_fulfilments
+    FOR EACH ROW
+    WHEN (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled')
+    EXECUTE FUNCTION public.restock_cancelled_fulfilment();
@@ -0,0 +1,39 @@
+-- Location: supabase/migrations/20261019320000_order_event_retries.sql
+-- Schema Analysis: Status changes were marked dispatched as soon as a backend replica claimed them, so a subscriber that failed, or a replica that crashed mid-batch, lost the event for good (e.g. the refund of a cancelled order); claiming now only leases a change, the backend marks it dispatched once its subscribers succeeded and otherwise sets when to publish it again
+-- Integration Type: New columns; claim_order_status_events replaced
+-- Dependencies: 20261019210000_order_lifecycle.sql (order_status_history, claim_order_status_events)
+
+-- 1. Columns
+ALTER TABLE public.order_status_history
+    -- Times the change was handed to a replica to publish
+    ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0,
+    -- Not handed out again before this: the lease of the replica publishing
+    -- it, or the backoff after its subscribers failed
+    ADD COLUMN next_attempt_at TIMESTAMPTZ,
+    -- Why its subscribers last failed
+    ADD COLUMN last_error TEXT;
+
+-- 2. Functions
+-- Replaced to lease the next undispatched status changes to one backend
+-- replica for five minutes instead of marking them dispatched. The replica
+-- sets dispatched_at once their subscribers succeeded, or next_attempt_at
+-- to retry them; changes it did neither for, e.g. because it crashed, are
+-- handed out again when the lease runs out.
+CREATE OR REPLACE FUNCTION public.claim_order_status_events(p_limit INTEGER DEFAULT 100)
+RETURNS SETOF public.order_status_history
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+UPDATE public.order_status_history h
+SET attempts = h.attempts + 1,
+    next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => 5)
+WHERE h.id IN (
+    SELECT id FROM public.order_status_history
+    WHERE dispatched_at IS NULL
+    AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+    ORDER BY created_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+)
+RETURNING h.*;
+$$;
@@ -0,0 +1,143 @@
+-- Location: supabase/migrations/20261019330000_expired_hold_payments.sql
+-- Schema Analysis: A hold past its expiry still counted as held until the sweeper marked it expired, although reserved_quantity already let other buyers reserve those units; a payment landing in between committed stock that was handed out again, overselling it or failing the stock_quantity check and leaving a captured payment pending. Expired holds now count as released, so such payments cancel the order and are refunded
+-- Integration Type: Functions replaced
+-- Dependencies: 20261019180000_stock_reservations.sql (stock_reservations, commit_order_stock, release_order_stock), 20261019190000_payments.sql (apply_payment_result)
+
+-- 1. Functions
+-- Take a paid order's held stock out of stock_quantity. Raises
+-- 'Stock reservation is no longer held' when a hold was released, swept or
+-- has expired.
+CREATE OR REPLACE FUNCTION public.commit_order_stock(p_order_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    PERFORM 1
+    FROM public.products p
+    WHERE p.id IN (SELECT sr.product_id FROM public.stock_reservations sr WHERE sr.order_id = p_order_id)
+    ORDER BY p.id
+    FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM public.stock_reservations sr
+        WHERE sr.order_id = p_order_id
+        AND (sr.status <> 'held' OR sr.expires_at <= CURRENT_TIMESTAMP)
+    ) THEN
+        RAISE EXCEPTION 'Stock reservation is no longer held';
+    END IF;
+
+    UPDATE public.products p
+    SET stock_quantity = p.stock_quantity - sr.quantity
+    FROM public.stock_reservations sr
+    WHERE sr.order_id = p_order_id AND p.id = sr.product_id;
+
+    UPDATE public.stock_reservations
+    SET status = 'committed'
+    WHERE order_id = p_order_id;
+END;
+$$;
+
+-- Apply a payment result reported by a gateway, see 20261019190000_payments.sql.
+--
+-- A completed payment only commits the order's stock while every hold is
+-- held and unexpired. A payment for an order whose holds expired before the
+-- sweeper got to them expires them and cancels the order as the sweeper
+-- would, and needsRefund tells the caller to return the money.
+CREATE OR REPLACE FUNCTION public.apply_payment_result(
+    p_payment_id UUID,
+    p_status public.payment_status,
+    p_provider_payment_id TEXT DEFAULT NULL,
+    p_failure_reason TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_payment public.payments%ROWTYPE;
+    v_order public.orders%ROWTYPE;
+    v_needs_refund BOOLEAN := false;
+BEGIN
+    SELECT * INTO v_payment FROM public.payments WHERE id = p_payment_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment not found';
+    END IF;
+
+    SELECT * INTO v_order FROM public.orders WHERE id = v_payment.order_id FOR UPDATE;
+
+    IF NOT (
+        (v_payment.status = 'pending' AND p_status IN ('completed', 'failed'))
+        OR (v_payment.status = 'failed' AND p_status = 'completed')
+        OR (v_payment.status = 'completed' AND p_status = 'refunded')
+    ) THEN
+        RETURN jsonb_build_object(
+            'applied', false,
+            'needsRefund', false,
+            'payment', to_jsonb(v_payment),
+            'order', to_jsonb(v_order)
+        );
+    END IF;
+
+    UPDATE public.payments
+    SET status = p_status,
+        provider_payment_id = COALESCE(p_provider_payment_id, provider_payment_id),
+        failure_reason = CASE WHEN p_status = 'failed' THEN p_failure_reason END,
+        refunded_amount = CASE WHEN p_status = 'refunded' THEN amount ELSE refunded_amount END
+    WHERE id = p_payment_id
+    RETURNING * INTO v_payment;
+
+    IF p_status = 'completed' THEN
+        IF v_order.status = 'pending' AND NOT EXISTS (
+            SELECT 1 FROM public.stock_reservations sr
+            WHERE sr.order_id = v_order.id
+            AND (sr.status <> 'held' OR sr.expires_at <= CURRENT_TIMESTAMP)
+        ) THEN
+            PERFORM public.commit_order_stock(v_order.id);
+            UPDATE public.orders
+            SET status = 'confirmed',
+                payment_status = 'completed',
+                payment_method = COALESCE(v_payment.method, payment_method),
+                payment_transaction_id = v_payment.provider_payment_id
+            WHERE id = v_order.id;
+        ELSE
+            -- Paid after the order was cancelled or its holds expired: the
+            -- stock may be gone
+            UPDATE public.stock_reservations
+            SET status = 'expired', release_reason = 'timeout'
+            WHERE order_id = v_order.id
+            AND status = 'held'
+            AND expires_at <= CURRENT_TIMESTAMP;
+            PERFORM public.release_order_stock(v_order.id, 'timeout');
+
+            UPDATE public.orders
+            SET payment_status = 'completed',
+                payment_transaction_id = v_payment.provider_payment_id
+            WHERE id = v_order.id;
+            v_needs_refund := true;
+        END IF;
+    ELSIF p_status = 'failed' THEN
+        IF v_order.payment_status = 'pending' THEN
+            UPDATE public.orders SET payment_status = 'failed' WHERE id = v_order.id;
+            PERFORM public.release_order_stock(v_order.id, 'payment_failed');
+        END IF;
+    ELSE
+        UPDATE public.orders
+        SET payment_status = 'refunded',
+            status = CASE WHEN status = 'cancelled' THEN status ELSE 'refunded' END
+        WHERE id = v_order.id;
+    END IF;
+
+    SELECT * INTO v_order FROM public.orders WHERE id = v_order.id;
+
+    RETURN jsonb_build_object(
+        'applied', true,
+        'needsRefund', v_needs_refund,
+        'payment', to_jsonb(v_payment),
+        'order', to_jsonb(v_order)
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.commit_order_stock(UUID) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.apply_payment_result(UUID, public.payment_status, TEXT, TEXT) FROM public, anon, authenticated;
@@ -0,0 +1,123 @@
+-- Location: supabase/migrations/20261019340000_payment_refund_requests.sql
+-- Schema Analysis: Refunds were only written down after the gateway had made them, so when recording one failed the payment still looked unrefunded and a retry (e.g. of a cancelled order's refund) sent the money back again; a refund is now requested first, counting against the payment until it is recorded or turned down, and then recorded by its ID
+-- Integration Type: New enum value and function; record_payment_refund replaced
+-- Dependencies: 20261019220000_returns.sql (refund_status, payment_refunds, record_payment_refund), 20261019300000_return_refund_claims.sql (idx_payment_refunds_return_request_id)
+
+-- 1. Types
+-- Sent to the gateway, not recorded yet
+ALTER TYPE public.refund_status ADD VALUE IF NOT EXISTS 'requested' BEFORE 'pending';
+
+-- 2. Functions
+-- Claim a refund of p_amount, by default the rest, of a payment before it is
+-- sent to the gateway. Requested refunds count against the payment, so the
+-- same money cannot be requested twice, and a payment is requested at most
+-- once per return (idx_payment_refunds_return_request_id). Returns the
+-- requested payment_refunds row, or NULL when no amount is given and nothing
+-- is left to refund.
+CREATE OR REPLACE FUNCTION public.request_payment_refund(
+    p_payment_id UUID,
+    p_amount DECIMAL DEFAULT NULL,
+    p_return_request_id UUID DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_payment public.payments%ROWTYPE;
+    v_requested DECIMAL(10,2);
+    v_amount DECIMAL(10,2);
+    v_refund public.payment_refunds%ROWTYPE;
+BEGIN
+    SELECT * INTO v_payment FROM public.payments WHERE id = p_payment_id FOR UPDATE;
+    IF NOT FOUND OR v_payment.status NOT IN ('completed', 'refunded') THEN
+        RAISE EXCEPTION 'Payment is not refundable';
+    END IF;
+
+    SELECT COALESCE(SUM(pr.amount), 0) INTO v_requested
+    FROM public.payment_refunds pr
+    WHERE pr.payment_id = p_payment_id AND pr.status = 'requested';
+
+    v_amount := COALESCE(p_amount, v_payment.amount - v_payment.refunded_amount - v_requested);
+    IF p_amount IS NULL AND v_amount <= 0 THEN
+        RETURN NULL;
+    END IF;
+    IF v_payment.refunded_amount + v_requested + v_amount > v_payment.amount THEN
+        RAISE EXCEPTION 'Refund exceeds the amount paid';
+    END IF;
+
+    INSERT INTO public.payment_refunds (payment_id, return_request_id, amount, status, reason)
+    VALUES (p_payment_id, p_return_request_id, v_amount, 'requested', p_reason)
+    RETURNING * INTO v_refund;
+
+    RETURN to_jsonb(v_refund);
+END;
+$$;
+
+-- Record the gateway's answer to a requested refund. Once the whole payment
+-- has been refunded, the payment and its order become refunded. Raises
+-- 'Refund was already recorded' for a refund that is no longer requested.
+DROP FUNCTION public.record_payment_refund(UUID, DECIMAL, public.refund_status, TEXT, UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION public.record_payment_refund(
+    p_refund_id UUID,
+    p_status public.refund_status,
+    p_provider_refund_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_payment public.payments%ROWTYPE;
+    v_refund public.payment_refunds%ROWTYPE;
+    v_order public.orders%ROWTYPE;
+BEGIN
+    -- Lock the payment before its refund, as request_payment_refund does
+    SELECT p.* INTO v_payment
+    FROM public.payments p
+    JOIN public.payment_refunds pr ON pr.payment_id = p.id
+    WHERE pr.id = p_refund_id
+    FOR UPDATE OF p;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Refund not found';
+    END IF;
+
+    SELECT * INTO v_refund FROM public.payment_refunds WHERE id = p_refund_id FOR UPDATE;
+    IF v_refund.status <> 'requested' THEN
+        RAISE EXCEPTION 'Refund was already recorded';
+    END IF;
+
+    UPDATE public.payment_refunds
+    SET status = p_status,
+        provider_refund_id = p_provider_refund_id
+    WHERE id = p_refund_id
+    RETURNING * INTO v_refund;
+
+    UPDATE public.payments
+    SET refunded_amount = refunded_amount + v_refund.amount,
+        status = CASE WHEN refunded_amount + v_refund.amount >= amount THEN 'refunded' ELSE status END
+    WHERE id = v_payment.id
+    RETURNING * INTO v_payment;
+
+    IF v_payment.status = 'refunded' THEN
+        PERFORM public.set_order_actor(NULL, 'system', COALESCE(v_refund.reason, 'Payment refunded'));
+        UPDATE public.orders
+        SET payment_status = 'refunded',
+            status = CASE WHEN status = 'pending' THEN status ELSE 'refunded' END
+        WHERE id = v_payment.order_id;
+    END IF;
+
+    SELECT * INTO v_order FROM public.orders WHERE id = v_payment.order_id;
+
+    RETURN jsonb_build_object(
+        'refund', to_jsonb(v_refund),
+        'payment', to_jsonb(v_payment),
+        'order', to_jsonb(v_order)
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.request_payment_refund(UUID, DECIMAL, UUID, TEXT) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.record_payment_refund(UUID, public.refund_status, TEXT) FROM public, anon, authenticated;
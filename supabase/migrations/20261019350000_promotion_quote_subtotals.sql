@@ -0,0 +1,215 @@
+-- Location: supabase/migrations/20261019350000_promotion_quote_subtotals.sql
+-- Schema Analysis: place_order only checked that the artisans a promotion quote discounted were still in the cart, so a cart whose quantities changed between the quote and the order kept a discount worked out for other amounts; the quote now carries the cart subtotal and each artisan's eligible subtotal, which place_order compares with the locked cart
+-- Integration Type: Function replaced
+-- Dependencies: 20261019260000_promotions.sql (place_order, promotions)
+
+-- 1. Functions
+-- Like before, except p_promotion is { promotionId, subtotal, discounts:
+-- [{ artisanId, eligibleSubtotal, amount }] }: the cart subtotal and the
+-- eligible subtotal per artisan the discounts were worked out from. A cart
+-- below the promotion's min_cart_value, or whose subtotals differ from the
+-- quoted ones, raises 'Promotion quote is out of date'.
+CREATE OR REPLACE FUNCTION public.place_order(
+    p_customer_id UUID,
+    p_idempotency_key TEXT,
+    p_shipping_address JSONB,
+    p_billing_address JSONB DEFAULT NULL,
+    p_payment_method TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL,
+    p_hold_minutes INTEGER DEFAULT 15,
+    p_shipping JSONB DEFAULT NULL,
+    p_promotion JSONB DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_order public.orders%ROWTYPE;
+    v_promotion public.promotions%ROWTYPE;
+    v_problems JSONB;
+    v_subtotal DECIMAL(10,2);
+    v_shipping DECIMAL(10,2);
+    v_discount DECIMAL(10,2) := 0;
+    v_replayed BOOLEAN := false;
+BEGIN
+    -- One checkout per customer at a time, so a double click waits for the
+    -- first attempt and then finds its order
+    PERFORM pg_advisory_xact_lock(hashtext('checkout:' || p_customer_id::TEXT));
+
+    SELECT * INTO v_order FROM public.orders
+    WHERE customer_id = p_customer_id AND idempotency_key = p_idempotency_key;
+    v_replayed := FOUND;
+
+    IF NOT v_replayed THEN
+        -- Lock the products in a fixed order so concurrent checkouts cannot
+        -- deadlock, and so the reserved quantities below stay accurate
+        PERFORM 1
+        FROM public.products p
+        WHERE p.id IN (SELECT c.product_id FROM public.carts c WHERE c.user_id = p_customer_id)
+        ORDER BY p.id
+        FOR UPDATE;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cart is empty';
+        END IF;
+
+        SELECT jsonb_agg(jsonb_build_object(
+            'productId', l.id,
+            'title', l.title,
+            'requested', l.quantity,
+            'available', l.available,
+            'reason', CASE WHEN l.listed THEN 'insufficient_stock' ELSE 'not_available' END
+        ))
+        INTO v_problems
+        FROM (
+            SELECT
+                p.id,
+                p.title,
+                c.quantity,
+                p.status IN ('active', 'sold_out') AS listed,
+                CASE WHEN p.status IN ('active', 'sold_out')
+                    THEN GREATEST(COALESCE(p.stock_quantity, 0) - public.reserved_quantity(p.id), 0)
+                    ELSE 0
+                END AS available
+            FROM public.carts c
+            JOIN public.products p ON p.id = c.product_id
+            WHERE c.user_id = p_customer_id
+        ) l
+        WHERE NOT l.listed OR l.available < l.quantity;
+
+        IF v_problems IS NOT NULL THEN
+            RAISE EXCEPTION 'Some cart items are unavailable' USING DETAIL = v_problems::TEXT;
+        END IF;
+
+        -- The backend quotes shipping for the cart it read; a cart that
+        -- gained another artisan's items since then is quoted again
+        IF p_shipping IS NOT NULL AND EXISTS (
+            SELECT 1
+            FROM public.carts c
+            JOIN public.products p ON p.id = c.product_id
+            WHERE c.user_id = p_customer_id
+            AND NOT EXISTS (
+                SELECT 1 FROM jsonb_array_elements(p_shipping) s
+                WHERE (s->>'artisanId')::UUID = p.artisan_id
+            )
+        ) THEN
+            RAISE EXCEPTION 'Shipping quote is out of date';
+        END IF;
+
+        SELECT SUM(p.price * c.quantity) INTO v_subtotal
+        FROM public.carts c
+        JOIN public.products p ON p.id = c.product_id
+        WHERE c.user_id = p_customer_id;
+
+        SELECT COALESCE(SUM((s->>'amount')::DECIMAL(10,2)), 0) INTO v_shipping
+        FROM jsonb_array_elements(COALESCE(p_shipping, '[]'::JSONB)) s;
+
+        IF p_promotion IS NOT NULL THEN
+            SELECT * INTO v_promotion
+            FROM public.promotions
+            WHERE id = (p_promotion->>'promotionId')::UUID
+            FOR UPDATE;
+
+            IF NOT FOUND OR NOT v_promotion.is_active
+                OR v_promotion.starts_at > CURRENT_TIMESTAMP
+                OR v_promotion.ends_at <= CURRENT_TIMESTAMP THEN
+                RAISE EXCEPTION 'Promotion is not available';
+            END IF;
+
+            IF v_promotion.usage_limit <= (
+                SELECT COUNT(*) FROM public.promotion_redemptions r
+                WHERE r.promotion_id = v_promotion.id
+            ) OR v_promotion.per_user_limit <= (
+                SELECT COUNT(*) FROM public.promotion_redemptions r
+                WHERE r.promotion_id = v_promotion.id AND r.customer_id = p_customer_id
+            ) THEN
+                RAISE EXCEPTION 'Promotion usage limit reached';
+            END IF;
+
+            SELECT COALESCE(SUM((d->>'amount')::DECIMAL(10,2)), 0) INTO v_discount
+            FROM jsonb_array_elements(COALESCE(p_promotion->'discounts', '[]'::JSONB)) d;
+
+            -- The discount was worked out from the quoted cart subtotal and
+            -- each artisan's eligible subtotal; if the locked cart adds up
+            -- differently, it was worked out for another cart
+            IF v_subtotal < v_promotion.min_cart_value
+                OR v_subtotal IS DISTINCT FROM (p_promotion->>'subtotal')::DECIMAL(10,2)
+                OR v_discount > v_subtotal + v_shipping
+                OR EXISTS (
+                    SELECT 1
+                    FROM (
+                        SELECT p.artisan_id, SUM(p.price * c.quantity) AS subtotal
+                        FROM public.carts c
+                        JOIN public.products p ON p.id = c.product_id
+                        WHERE c.user_id = p_customer_id
+                        AND (v_promotion.artisan_id IS NULL OR p.artisan_id = v_promotion.artisan_id)
+                        AND (cardinality(v_promotion.category_ids) = 0 OR p.category_id = ANY (v_promotion.category_ids))
+                        GROUP BY p.artisan_id
+                    ) eligible
+                    FULL JOIN jsonb_to_recordset(COALESCE(p_promotion->'discounts', '[]'::JSONB))
+                        AS d("artisanId" UUID, "eligibleSubtotal" DECIMAL(10,2))
+                        ON d."artisanId" = eligible.artisan_id
+                    WHERE eligible.subtotal IS DISTINCT FROM d."eligibleSubtotal"
+                ) THEN
+                RAISE EXCEPTION 'Promotion quote is out of date';
+            END IF;
+        END IF;
+
+        INSERT INTO public.orders (
+            customer_id, order_number, total_amount, shipping_amount, discount_amount, shipping_address,
+            billing_address, payment_method, notes, idempotency_key
+        )
+        VALUES (
+            p_customer_id, public.generate_order_number(), v_subtotal + v_shipping - v_discount, v_shipping,
+            v_discount, p_shipping_address, COALESCE(p_billing_address, p_shipping_address), p_payment_method,
+            p_notes, p_idempotency_key
+        )
+        RETURNING * INTO v_order;
+
+        INSERT INTO public.order_items (
+            order_id, product_id, artisan_id, quantity, unit_price, total_price, product_title, product_image
+        )
+        SELECT v_order.id, p.id, p.artisan_id, c.quantity, p.price, p.price * c.quantity, p.title, p.images[1]
+        FROM public.carts c
+        JOIN public.products p ON p.id = c.product_id
+        WHERE c.user_id = p_customer_id;
+
+        -- Fulfilments were opened by the order_items trigger
+        UPDATE public.order_fulfilments f
+        SET shipping_service = s.service,
+            shipping_amount = s.amount
+        FROM jsonb_to_recordset(COALESCE(p_shipping, '[]'::JSONB)) AS s("artisanId" UUID, service TEXT, amount DECIMAL(10,2))
+        WHERE f.order_id = v_order.id AND f.artisan_id = s."artisanId";
+
+        IF p_promotion IS NOT NULL THEN
+            UPDATE public.order_fulfilments f
+            SET discount_amount = d.amount,
+                artisan_discount_amount = CASE WHEN v_promotion.funded_by = 'artisan' THEN d.amount ELSE 0 END
+            FROM jsonb_to_recordset(COALESCE(p_promotion->'discounts', '[]'::JSONB)) AS d("artisanId" UUID, amount DECIMAL(10,2))
+            WHERE f.order_id = v_order.id AND f.artisan_id = d."artisanId";
+
+            INSERT INTO public.promotion_redemptions (promotion_id, order_id, customer_id, discount_amount)
+            VALUES (v_promotion.id, v_order.id, p_customer_id, v_discount);
+        END IF;
+
+        INSERT INTO public.stock_reservations (order_id, product_id, quantity, expires_at)
+        SELECT v_order.id, c.product_id, c.quantity, CURRENT_TIMESTAMP + make_interval(mins => p_hold_minutes)
+        FROM public.carts c
+        WHERE c.user_id = p_customer_id;
+
+        DELETE FROM public.carts WHERE user_id = p_customer_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'order', to_jsonb(v_order),
+        'items', (SELECT COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.created_at, oi.id), '[]'::JSONB)
+                  FROM public.order_items oi WHERE oi.order_id = v_order.id),
+        'reservedUntil', (SELECT MIN(sr.expires_at) FROM public.stock_reservations sr
+                          WHERE sr.order_id = v_order.id AND sr.status = 'held'),
+        'replayed', v_replayed
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.place_order(UUID, TEXT, JSONB, JSONB, TEXT, TEXT, INTEGER, JSONB, JSONB) FROM public, anon, authenticated;
@@ -0,0 +1,83 @@
+-- Location: supabase/migrations/20261019360000_order_number_sequences.sql
+-- Schema Analysis: generate_order_number incremented one order_number_counters row per period, whose lock was held until the placing transaction committed, so every checkout waited for the one before it; each period now draws from its own sequence, which never blocks. Numbers stay unique and increasing, but an order that rolls back leaves a gap
+-- Integration Type: Function replaced; order_number_counters replaced by one sequence per period
+-- Dependencies: 20261019170000_order_numbers.sql (order_number_settings, order_number_counters, generate_order_number)
+
+-- 1. Sequences
+-- Carry on the numbering of periods that already handed out numbers
+DO $$
+DECLARE
+    v_counter public.order_number_counters%ROWTYPE;
+BEGIN
+    FOR v_counter IN SELECT * FROM public.order_number_counters LOOP
+        EXECUTE format('CREATE SEQUENCE public.%I START WITH %s', 'order_number_' || v_counter.period, v_counter.last_value + 1);
+        EXECUTE format('REVOKE ALL ON SEQUENCE public.%I FROM public, anon, authenticated', 'order_number_' || v_counter.period);
+    END LOOP;
+END;
+$$;
+
+DROP TABLE public.order_number_counters;
+
+-- 2. Functions
+-- Next order number of the current period, from the period's sequence
+-- public.order_number_<period>. The first order of a period creates it and
+-- drops those of periods before the previous one; an order placed at the
+-- same moment waits for that order to commit, later ones never wait.
+CREATE OR REPLACE FUNCTION public.generate_order_number()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_settings public.order_number_settings%ROWTYPE;
+    v_local TIMESTAMP;
+    v_format TEXT;
+    v_period TEXT;
+    v_sequence TEXT;
+    v_stale TEXT;
+    v_value BIGINT;
+BEGIN
+    SELECT * INTO v_settings FROM public.order_number_settings WHERE id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'order_number_settings has no row';
+    END IF;
+
+    v_local := CURRENT_TIMESTAMP AT TIME ZONE v_settings.time_zone;
+    v_format := CASE v_settings.reset_period WHEN 'year' THEN 'YYYY' ELSE 'YYYYMMDD' END;
+    v_period := TO_CHAR(v_local, v_format);
+    v_sequence := 'order_number_' || v_period;
+
+    IF to_regclass('public.' || v_sequence) IS NULL THEN
+        BEGIN
+            EXECUTE format('CREATE SEQUENCE public.%I', v_sequence);
+            EXECUTE format('REVOKE ALL ON SEQUENCE public.%I FROM public, anon, authenticated', v_sequence);
+
+            -- Orders that started before midnight may still be numbered from
+            -- the previous period's sequence
+            FOR v_stale IN
+                SELECT c.relname
+                FROM pg_class c
+                WHERE c.relnamespace = 'public'::regnamespace
+                AND c.relkind = 'S'
+                AND c.relname ~ '^order_number_[0-9]+$'
+                AND c.relname < 'order_number_' || TO_CHAR(
+                    v_local - CASE v_settings.reset_period WHEN 'year' THEN INTERVAL '1 year' ELSE INTERVAL '1 day' END,
+                    v_format
+                )
+            LOOP
+                EXECUTE format('DROP SEQUENCE public.%I', v_stale);
+            END LOOP;
+        EXCEPTION WHEN duplicate_table OR unique_violation THEN
+            -- Another order created it first
+            NULL;
+        END;
+    END IF;
+
+    v_value := nextval(format('public.%I', v_sequence)::REGCLASS);
+
+    RETURN v_settings.prefix || '-' || v_period || '-'
+        || LPAD(v_value::TEXT, GREATEST(v_settings.counter_digits, LENGTH(v_value::TEXT)), '0');
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.generate_order_number() FROM public, anon, authenticated;